@@ -1,20 +1,23 @@
 import { Component, Show, For, createSignal, createEffect, onMount, onCleanup } from 'solid-js';
 import { appStore } from './stores/appStore';
-import { CompactWaveform, ModelLoadingOverlay, DebugPanel, TranscriptionDisplay, SettingsContent } from './components';
-import { getModelDisplayName, MODELS } from './components/ModelLoadingOverlay';
-import { AudioEngine } from './lib/audio';
+import { CompactWaveform, ModelLoadingOverlay, DebugPanel, TranscriptionDisplay, SettingsContent, ExportMenu, HistoryPanel, ComparePanel, PostProcessPanel, VoiceCommandLog } from './components';
+import { findModel, toLoadOptions } from './lib/model';
+import { AudioEngine, decodeAudioFile, isSupportedAudioFile, AUDIO_FILE_ACCEPT, type AudioCaptureSource } from './lib/audio';
 import { MelWorkerClient } from './lib/audio/MelWorkerClient';
-import { TranscriptionWorkerClient } from './lib/transcription';
-import { HybridVAD } from './lib/vad';
-import { WindowBuilder } from './lib/transcription/WindowBuilder';
-import { BufferWorkerClient } from './lib/buffer';
-import { TenVADWorkerClient } from './lib/vad/TenVADWorkerClient';
-import type { V4ProcessResult } from './lib/transcription/TranscriptionWorkerClient';
-import type { BufferWorkerConfig, TenVADResult } from './lib/buffer/types';
+import { TranscriptionWorkerClient, FileTranscriber, StreamingTranscriber } from './lib/transcription';
+import { appendFusionSpans } from './lib/buffer';
+import { SessionStore, IndexedDBSessionBackend, SessionAutosaver, SessionAudioRecorder, loadSessionAudio, toMergerSentences, type SessionRecord, type SessionSnapshot, type SessionSource } from './lib/history';
+import { TraceRecorder } from './lib/trace';
+import { CaptionBroadcaster } from './lib/captions';
+import { PipelineSupervisor } from './lib/supervisor';
+import { CompareRunner, type CompareSideConfig, type CompareSideResources } from './lib/compare';
+import { PostProcessor } from './lib/postprocess';
 import { formatDuration } from './utils/time';
+import { downloadTextFile, timestampedFilename } from './utils/download';
 
 // Singleton instances
 let audioEngine: AudioEngine | null = null;
+let audioEngineSource: AudioCaptureSource = 'microphone';
 export const [audioEngineSignal, setAudioEngineSignal] = createSignal<AudioEngine | null>(null);
 
 let workerClient: TranscriptionWorkerClient | null = null;
@@ -24,19 +27,52 @@ let segmentUnsubscribe: (() => void) | null = null;
 let windowUnsubscribe: (() => void) | null = null;
 let melChunkUnsubscribe: (() => void) | null = null;
 let visualizationUnsubscribe: (() => void) | undefined;
-// v4 pipeline instances
-let hybridVAD: HybridVAD | null = null;
-let bufferClient: BufferWorkerClient | null = null;
-let tenVADClient: TenVADWorkerClient | null = null;
-let windowBuilder: WindowBuilder | null = null;
-let v4TickTimeout: number | undefined;
-let v4TickRunning = false;
+// v4 pipeline: headless StreamingTranscriber fed from the AudioEngine
+let streamingTranscriber: StreamingTranscriber | null = null;
 let v4AudioChunkUnsubscribe: (() => void) | null = null;
-let v4MelChunkUnsubscribe: (() => void) | null = null;
-let v4InferenceBusy = false;
-let v4LastInferenceTime = 0;
-// Global sample counter for audio chunks (tracks total samples written to BufferWorker)
-let v4GlobalSampleOffset = 0;
+// "Mic + tab" capture: tab audio runs through its own engine, mel worker and transcriber
+let tabEngine: AudioEngine | null = null;
+let tabMelClient: MelWorkerClient | null = null;
+let tabTranscriber: StreamingTranscriber | null = null;
+let tabUnsubscribes: Array<() => void> = [];
+let sourceEndedUnsubscribe: (() => void) | null = null;
+// Channel labels when microphone and tab audio are transcribed side by side
+const MIC_CHANNEL = 'Me';
+const TAB_CHANNEL = 'Others';
+// Session history (IndexedDB, separate from the model caches)
+const sessionBackend = new IndexedDBSessionBackend();
+const sessionStore = new SessionStore(sessionBackend);
+const sessionAutosaver = new SessionAutosaver(sessionStore, {
+  onError: (err) => console.warn('[App] Session autosave failed:', err),
+});
+// Optional session audio recording (chunks stored next to the session)
+const sessionAudioRecorder = new SessionAudioRecorder(sessionBackend, {
+  onError: (err) => console.warn('[App] Session audio write failed:', err),
+});
+let sessionAudioUnsubscribe: (() => void) | null = null;
+// Guards against a slow audio load overwriting a newer one
+let sessionAudioLoadSeq = 0;
+// Session reopened from history; transcript edits are written back to it
+let openedSessionId: string | null = null;
+// v4 pipeline trace for replaying sessions offline (debug panel opt-in)
+const traceRecorder = new TraceRecorder();
+
+// Restarts crashed workers, re-opens a lost microphone and falls back to WASM on GPU loss
+const pipelineSupervisor = new PipelineSupervisor();
+// Stop watching the workers of the running pipelines
+let supervisedUnwatches: Array<() => void> = [];
+let traceUnsubscribe: (() => void) | null = null;
+// File import (runs the v4 pipeline over decoded file audio)
+let fileTranscriber: FileTranscriber | null = null;
+let fileImportCancelled = false;
+
+// A/B compare run, and the microphone feeding a live one
+let compareRunner: CompareRunner | null = null;
+let compareEngine: AudioEngine | null = null;
+// Registry id of the model in the app's worker (null: none, or sideloaded files)
+let loadedModelId: string | null = null;
+// A compare side is using the app's worker for v3, whose updates must not reach the main transcript
+let compareV3OnMainWorker = false;
 // Throttle UI updates from TEN-VAD to at most once per frame
 let pendingSileroProb: number | null = null;
 let sileroUpdateScheduled = false;
@@ -94,9 +130,12 @@ const scheduleVadStateUpdate = (next: {
 
 const Header: Component<{
   onToggleDebug: () => void;
+  onToggleHistory: () => void;
+  onToggleCompare: () => void;
+  onTogglePostProcess: () => void;
 }> = (props) => {
   const sessionLabel = () =>
-    appStore.modelState() === 'ready' ? getModelDisplayName(appStore.selectedModelId()) : 'Session';
+    appStore.modelState() === 'ready' ? appStore.selectedModel().name : 'Session';
   return (
     <header class="h-20 flex items-center justify-between px-8 bg-[var(--color-earthy-bg)]/80 backdrop-blur-sm z-30 shrink-0">
       <div class="flex items-center gap-6">
@@ -111,6 +150,33 @@ const Header: Component<{
         </div>
       </div>
       <div class="flex items-center gap-4">
+        <button
+          type="button"
+          onClick={props.onToggleHistory}
+          class={`p-2 rounded-full transition-colors ${appStore.showHistoryPanel() ? 'bg-[var(--color-earthy-muted-green)] text-white' : 'text-[var(--color-earthy-muted-green)] hover:bg-[var(--color-earthy-sage)]/30'}`}
+          title={appStore.showHistoryPanel() ? 'Hide history' : 'Show history'}
+          aria-label="Toggle session history"
+        >
+          <span class="material-symbols-outlined">history</span>
+        </button>
+        <button
+          type="button"
+          onClick={props.onToggleCompare}
+          class={`p-2 rounded-full transition-colors ${appStore.showComparePanel() ? 'bg-[var(--color-earthy-muted-green)] text-white' : 'text-[var(--color-earthy-muted-green)] hover:bg-[var(--color-earthy-sage)]/30'}`}
+          title={appStore.showComparePanel() ? 'Hide compare' : 'Compare two pipeline configurations'}
+          aria-label="Toggle A/B compare"
+        >
+          <span class="material-symbols-outlined">compare</span>
+        </button>
+        <button
+          type="button"
+          onClick={props.onTogglePostProcess}
+          class={`p-2 rounded-full transition-colors ${appStore.showPostProcessPanel() ? 'bg-[var(--color-earthy-muted-green)] text-white' : 'text-[var(--color-earthy-muted-green)] hover:bg-[var(--color-earthy-sage)]/30'}`}
+          title={appStore.showPostProcessPanel() ? 'Hide post-processing' : 'Summaries and cleanup by a local language model'}
+          aria-label="Toggle post-processing"
+        >
+          <span class="material-symbols-outlined">summarize</span>
+        </button>
         <button
           type="button"
           onClick={props.onToggleDebug}
@@ -148,6 +214,8 @@ const App: Component = () => {
 
   const isRecording = () => appStore.recordingState() === 'recording';
   const isModelReady = () => appStore.modelState() === 'ready';
+  const [isFileDragOver, setIsFileDragOver] = createSignal(false);
+  let fileInputRef: HTMLInputElement | undefined;
 
   let dragStart = { x: 0, y: 0 };
   let posStart = { x: 0, y: 0 };
@@ -247,10 +315,12 @@ const App: Component = () => {
     };
 
     workerClient.onV3Confirmed = (text) => {
+      if (compareV3OnMainWorker) return;
       appStore.setTranscript(text);
     };
 
     workerClient.onV3Pending = (text) => {
+      if (compareV3OnMainWorker) return;
       appStore.setPendingText(text);
     };
 
@@ -258,6 +328,16 @@ const App: Component = () => {
       appStore.setErrorMessage(msg);
     };
 
+    pipelineSupervisor.on('recovery', () => appStore.setRecoveryEvents(pipelineSupervisor.getEvents()));
+    // Inference can hold the worker for seconds, so it gets a longer ping timeout
+    pipelineSupervisor.watchWorker('transcription worker', workerClient, {
+      pingTimeoutMs: 10000,
+      maxMissedHeartbeats: 3,
+      onRestarted: resetTranscriberServices,
+    });
+    workerClient.onDeviceLost = (reason) => void recoverFromGpuLoss(reason);
+    pipelineSupervisor.start();
+
     appStore.refreshDevices();
     setWorkerReady(true);
 
@@ -270,239 +350,243 @@ const App: Component = () => {
   onCleanup(() => {
     clearTimeout(panelHoverCloseTimeout);
     visualizationUnsubscribe?.();
-    cleanupV4Pipeline();
+    fileTranscriber?.cancel();
+    void sessionAutosaver.flush();
+    void sessionAudioRecorder.flush();
+    void stopV4Pipeline(false);
+    pipelineSupervisor.dispose();
+    compareRunner?.cancel();
+    compareEngine?.dispose();
     melClient?.dispose();
     workerClient?.dispose();
   });
 
-  // ---- v4 pipeline tick: periodic window building + inference ----
-  let v4TickCount = 0;
-  let v4ModelNotReadyLogged = false;
-  const v4Tick = async () => {
-    if (!workerClient || !windowBuilder || !audioEngine || !bufferClient || v4InferenceBusy) return;
-
-    // Skip inference if model is not ready (but still allow audio/mel/VAD to process)
-    if (appStore.modelState() !== 'ready') {
-      if (!v4ModelNotReadyLogged) {
-        console.log('[v4Tick] Model not ready yet - audio is being captured and preprocessed');
-        v4ModelNotReadyLogged = true;
-      }
-      return;
-    }
-    // Reset the flag once model becomes ready
-    if (v4ModelNotReadyLogged) {
-      console.log('[v4Tick] Model is now ready - starting inference');
-      v4ModelNotReadyLogged = false;
-      // Initialize the v4 service now that model is ready
-      await workerClient.initV4Service({ debug: false });
-    }
-
-    v4TickCount++;
-    const now = performance.now();
-    // Use the store's configurable inference interval (minus a small margin for the tick jitter)
-    const minInterval = Math.max(200, appStore.v4InferenceIntervalMs() - 100);
-    if (now - v4LastInferenceTime < minInterval) return;
-
-    // Check if there is speech via the BufferWorker (async query).
-    // We check both energy and inference VAD layers; either one detecting speech triggers inference.
-    const cursorSample = windowBuilder.getMatureCursorFrame(); // frame === sample in our pipeline
-    const currentSample = v4GlobalSampleOffset;
-    const startSample = cursorSample > 0 ? cursorSample : 0;
-
-    let hasSpeech = false;
-    if (currentSample > startSample) {
-      // Check energy VAD first (always available, low latency)
-      const energyResult = await bufferClient.hasSpeech('energyVad', startSample, currentSample, 0.3);
-
-      // When inference VAD is ready, require BOTH energy AND inference to agree
-      // This prevents false positives from music/noise that has high energy but no speech
-      if (tenVADClient?.isReady()) {
-        const inferenceResult = await bufferClient.hasSpeech('inferenceVad', startSample, currentSample, 0.5);
-        // Require both energy and inference VAD to agree (AND logic)
-        hasSpeech = energyResult.hasSpeech && inferenceResult.hasSpeech;
-      } else {
-        // Fall back to energy-only if inference VAD is not available
-        hasSpeech = energyResult.hasSpeech;
-      }
-    }
-
-    if (v4TickCount <= 5 || v4TickCount % 20 === 0) {
-      const vadState = appStore.vadState();
-      const rb = audioEngine.getRingBuffer();
-      const rbFrame = rb.getCurrentFrame();
-      const rbBase = rb.getBaseFrameOffset();
-      console.log(
-        `[v4Tick #${v4TickCount}] hasSpeech=${hasSpeech}, vadState=${vadState.hybridState}, ` +
-        `energy=${vadState.energy.toFixed(4)}, inferenceVAD=${(vadState.sileroProbability || 0).toFixed(2)}, ` +
-        `samples=[${startSample}:${currentSample}], ` +
-        `ringBuf=[base=${rbBase}, head=${rbFrame}, avail=${rbFrame - rbBase}]`
-      );
-    }
+  // ---- Recovery (see PipelineSupervisor); the finalized transcript is never cleared ----
+  /** Streaming state inside the transcription worker is gone after a restart or model reload. */
+  const resetTranscriberServices = () => {
+    streamingTranscriber?.resetService();
+    tabTranscriber?.resetService();
+  };
 
-    // Periodic buffer worker state dump (every 40 ticks)
-    if (v4TickCount % 40 === 0 && bufferClient) {
-      try {
-        const state = await bufferClient.getState();
-        const layerSummary = Object.entries(state.layers)
-          .map(([id, l]) => `${id}:${l.fillCount}/${l.maxEntries}@${l.currentSample}`)
-          .join(', ');
-        console.log(`[v4Tick #${v4TickCount}] BufferState: ${layerSummary}`);
-      } catch (_) { /* ignore state query errors */ }
-    }
+  const recoverFromGpuLoss = async (reason: string) => {
+    if (!workerClient || appStore.backend() === 'wasm') return;
+    const client = workerClient;
+    await pipelineSupervisor.recover('GPU', 'gpu', `WebGPU device lost: ${reason}`, async () => {
+      const { backend } = await client.switchBackend('wasm');
+      appStore.setBackend(backend);
+      resetTranscriberServices();
+      return 'Switched the model to WASM';
+    });
+  };
 
-    if (!hasSpeech) {
-      // Check for silence-based flush using BufferWorker
-      const silenceDuration = await bufferClient.getSilenceTailDuration('energyVad', 0.3);
-      if (silenceDuration >= appStore.v4SilenceFlushSec()) {
-        // Flush pending sentence via timeout finalization
-        try {
-          const flushResult = await workerClient.v4FinalizeTimeout();
-          if (flushResult) {
-            appStore.setMatureText(flushResult.matureText);
-            appStore.setImmatureText(flushResult.immatureText);
-            appStore.setMatureCursorTime(flushResult.matureCursorTime);
-            appStore.setTranscript(flushResult.fullText);
-            // Advance window builder cursor
-            windowBuilder.advanceMatureCursorByTime(flushResult.matureCursorTime);
-          }
-        } catch (err) {
-          console.error('[v4Tick] Flush error:', err);
-        }
-      }
-      return;
-    }
+  /** Re-open the microphone, or the default one if it is gone. */
+  const recoverMicrophone = (engine: AudioEngine) =>
+    pipelineSupervisor.recover('microphone', 'audio', 'The microphone was disconnected', async () => {
+      const { deviceId, fallback } = await engine.reacquire();
+      if (!fallback) return 'Microphone re-opened';
+      appStore.setSelectedDeviceId(deviceId ?? '');
+      return 'Switched to the default microphone';
+    });
 
-    // Build window from cursor to current position
-    const window = windowBuilder.buildWindow();
-    if (!window) {
-      if (v4TickCount <= 10 || v4TickCount % 20 === 0) {
-        const rb = audioEngine.getRingBuffer();
-        const rbHead = rb.getCurrentFrame();
-        const rbBase = rb.getBaseFrameOffset();
-        console.log(
-          `[v4Tick #${v4TickCount}] buildWindow=null, ` +
-          `ringBuf=[base=${rbBase}, head=${rbHead}, avail=${rbHead - rbBase}], ` +
-          `cursor=${windowBuilder.getMatureCursorFrame()}`
-        );
-      }
-      return;
+  /**
+   * Send an engine's audio to a transcriber. Cross-origin isolated, the capture
+   * worklet writes the transcriber's shared ring itself; otherwise chunks are
+   * posted and pushed. @returns a function that stops it
+   */
+  const feedTranscriber = (engine: AudioEngine, st: StreamingTranscriber): (() => void) => {
+    const ring = st.getSharedAudioBuffer();
+    if (ring && st.readSharedAudio()) {
+      engine.attachSharedRing(ring);
+      return () => engine.attachSharedRing(null);
     }
+    return engine.onAudioChunk((chunk) => st.pushAudio(chunk));
+  };
 
-    console.log(`[v4Tick #${v4TickCount}] Window [${window.startFrame}:${window.endFrame}] ${window.durationSeconds.toFixed(2)}s (initial=${window.isInitial})`);
-
-    v4InferenceBusy = true;
-    v4LastInferenceTime = now;
-
-    try {
-      const inferenceStart = performance.now();
+  /** Health-check the mel worker and the workers a StreamingTranscriber owns. */
+  const superviseV4Workers = (prefix: string, mel: MelWorkerClient, st: StreamingTranscriber) => {
+    supervisedUnwatches.push(
+      pipelineSupervisor.watchWorker(`${prefix}mel worker`, mel, { onRestarted: () => st.resetService() }),
+      ...st.supervisedWorkers().map(({ name, worker }) => pipelineSupervisor.watchWorker(`${prefix}${name}`, worker)),
+    );
+  };
 
-      // Get mel features for the window
-      let features: { features: Float32Array; T: number; melBins: number } | null = null;
-      if (melClient) {
-        features = await melClient.getFeatures(window.startFrame, window.endFrame);
-      }
+  // ---- v4 results → store (shared by live streaming and file import) ----
+  // Full text with text rules applied to the finalized part (matureText is derived from the sentences)
+  const liveTranscript = () =>
+    [appStore.matureText(), appStore.immatureText().trim()].filter(Boolean).join(' ');
+
+  // Pending text per channel; shown labeled while several channels are transcribed
+  const pendingByChannel = new Map<string, string>();
+  const channelPendingText = (channel: string, text: string) => {
+    pendingByChannel.set(channel, text.trim());
+    return [...pendingByChannel]
+      .filter(([, pending]) => pending)
+      .map(([label, pending]) => `${label}: ${pending}`)
+      .join(' · ');
+  };
 
-      if (!features) {
-        v4InferenceBusy = false;
+  /**
+   * Route a pipeline's results to the store. With a channel, pending text is
+   * labeled and kept per channel; metrics come from the pipeline that has them.
+   * Voice commands are only taken from the user's own microphone (`dictation`),
+   * and only while dictation mode is on.
+   */
+  const bindV4Events = (
+    source: Pick<StreamingTranscriber, 'on'>,
+    channel?: string,
+    { metrics = true, dictation = false }: { metrics?: boolean; dictation?: boolean } = {}
+  ) => {
+    source.on('mature', (e) => {
+      appStore.setMatureCursorTime(channel ? Math.max(appStore.matureCursorTime(), e.cursorTime) : e.cursorTime);
+      appStore.setTranscript(liveTranscript());
+    });
+    source.on('immature', (e) => {
+      const text = channel ? channelPendingText(channel, e.text) : e.text;
+      appStore.setImmatureText(text);
+      appStore.setPendingText(text);
+      appStore.setTranscript(liveTranscript());
+    });
+    source.on('sentence', (sentence) => {
+      if (!dictation || !appStore.dictationMode()) {
+        appStore.appendMatureSentences([sentence]);
         return;
       }
-
-      // Calculate time offset for absolute timestamps
-      const timeOffset = window.startFrame / 16000;
-
-      // Calculate incremental cache parameters
-      const cursorFrame = windowBuilder.getMatureCursorFrame();
-      const prefixSeconds = cursorFrame > 0 ? (window.startFrame - cursorFrame) / 16000 : 0;
-
-      const result: V4ProcessResult = await workerClient.processV4ChunkWithFeatures({
-        features: features.features,
-        T: features.T,
-        melBins: features.melBins,
-        timeOffset,
-        endTime: window.endFrame / 16000,
-        segmentId: `v4_${Date.now()}`,
-        incrementalCache: prefixSeconds > 0 ? {
-          cacheKey: 'v4-stream',
-          prefixSeconds,
-        } : undefined,
+      const commands = appStore.receiveDictation(sentence);
+      // Stop outside the pipeline's event handler, since stopping tears the pipeline down
+      if (commands.some((c) => c.action === 'stopRecording')) {
+        setTimeout(() => isRecording() && void toggleRecording(), 0);
+      }
+    });
+    source.on('speaker', (label) => appStore.setSentenceSpeaker(label.sentenceId, label.speaker));
+    if (!metrics) return;
+    source.on('metrics', (m) => {
+      appStore.setInferenceLatency(m.inferenceMs);
+      appStore.setRtf(m.rtf);
+      appStore.setV4MergerStats({
+        sentencesFinalized: m.sentencesFinalized,
+        cursorUpdates: m.cursorUpdates,
+        utterancesProcessed: m.utterancesProcessed,
       });
+      appStore.setBufferMetrics({ fillRatio: m.bufferFillRatio, latencyMs: m.bufferLatencyMs });
+      if (m.segmentation) appStore.setSentenceSegmentation(m.segmentation);
+    });
+  };
 
-      const inferenceMs = performance.now() - inferenceStart;
-
-      // Update UI state
-      appStore.setMatureText(result.matureText);
-      appStore.setImmatureText(result.immatureText);
-      appStore.setTranscript(result.fullText);
-      appStore.setPendingText(result.immatureText);
-      appStore.setInferenceLatency(inferenceMs);
+  // ---- Trace recording (a new run replaces the previous trace) ----
+  const startTrace = (source: Pick<StreamingTranscriber, 'on'>) => {
+    if (!appStore.recordTrace()) return;
+    traceRecorder.clear();
+    appStore.setTraceAvailable(false);
+    traceUnsubscribe = traceRecorder.attach(source);
+  };
 
-      // Update RTF
-      const audioDurationMs = window.durationSeconds * 1000;
-      appStore.setRtf(inferenceMs / audioDurationMs);
+  const endTrace = () => {
+    if (!traceUnsubscribe) return;
+    traceUnsubscribe();
+    traceUnsubscribe = null;
+    appStore.setTraceAvailable(traceRecorder.hasTrace());
+  };
 
-      // Advance cursor if merger advanced it
-      if (result.matureCursorTime > windowBuilder.getMatureCursorTime()) {
-        appStore.setMatureCursorTime(result.matureCursorTime);
-        windowBuilder.advanceMatureCursorByTime(result.matureCursorTime);
-        windowBuilder.markSentenceEnd(Math.round(result.matureCursorTime * 16000));
-      }
+  const downloadTrace = () => {
+    if (!traceRecorder.hasTrace()) return;
+    downloadTextFile(traceRecorder.serialize(), timestampedFilename('keet-trace', 'json'), 'application/json');
+  };
 
-      // Update stats
-      appStore.setV4MergerStats({
-        sentencesFinalized: result.matureSentenceCount,
-        cursorUpdates: result.stats?.matureCursorUpdates || 0,
-        utterancesProcessed: result.stats?.utterancesProcessed || 0,
-      });
+  // Keep running pipelines in sync with the settings sliders
+  createEffect(() => {
+    const intervalMs = appStore.v4InferenceIntervalMs();
+    const adaptiveInterval = appStore.adaptiveInterval();
+    const silenceFlushSec = appStore.v4SilenceFlushSec();
+    const vadPolicy = appStore.vadPolicy();
+    const sileroThreshold = appStore.sileroThreshold();
+    const speakerThreshold = appStore.speakerThreshold();
+    streamingTranscriber?.updateConfig({ intervalMs, adaptiveInterval, silenceFlushSec, vadPolicy, sileroThreshold, speakerThreshold });
+    tabTranscriber?.updateConfig({ intervalMs, adaptiveInterval, silenceFlushSec, vadPolicy, sileroThreshold, speakerThreshold });
+  });
 
-      // Update buffer metrics
-      const ring = audioEngine.getRingBuffer();
-      appStore.setBufferMetrics({
-        fillRatio: ring.getFillCount() / ring.getSize(),
-        latencyMs: (ring.getFillCount() / 16000) * 1000,
-      });
+  // The energy threshold and capture DSP toggles apply to the running engines immediately
+  createEffect(() => {
+    const config = appStore.captureConfig();
+    audioEngineSignal()?.updateConfig(config);
+    tabEngine?.updateConfig(config);
+  });
 
-      // Update metrics
-      if (result.metrics) {
-        appStore.setSystemMetrics({
-          throughput: 0,
-          modelConfidence: 0,
-        });
+  // ---- Tab audio channel for "mic + tab" capture ----
+  /** Transcribe the shared tab (tabEngine, already initialized) as its own channel. */
+  const startTabChannel = async () => {
+    if (!workerClient || !tabEngine) throw new Error('Transcription workers are not available');
+    const engine = tabEngine;
+    tabMelClient = new MelWorkerClient();
+    await tabMelClient.init({ nMels: 128 });
+
+    const st = new StreamingTranscriber(
+      { transcriber: workerClient, mel: tabMelClient, isModelReady },
+      {
+        sampleRate: 16000,
+        intervalMs: appStore.v4InferenceIntervalMs(),
+        adaptiveInterval: appStore.adaptiveInterval(),
+        silenceFlushSec: appStore.v4SilenceFlushSec(),
+        vadPolicy: appStore.vadPolicy(),
+        sileroVad: appStore.sileroVad(),
+        sileroThreshold: appStore.sileroThreshold(),
+        tenVadWasmPath: `${import.meta.env.BASE_URL}wasm/`,
+        language: appStore.sentenceLanguage(),
+        speakerLabels: appStore.speakerLabels(),
+        speakerThreshold: appStore.speakerThreshold(),
+        channel: TAB_CHANNEL,
       }
-    } catch (err: any) {
-      console.error('[v4Tick] Inference error:', err);
-    } finally {
-      v4InferenceBusy = false;
-    }
+    );
+    bindV4Events(st, TAB_CHANNEL, { metrics: false });
+    st.on('error', (err) => console.error('[v4] Tab audio transcription error:', err));
+    await st.start();
+    tabTranscriber = st;
+    superviseV4Workers('tab ', tabMelClient, st);
+    tabUnsubscribes.push(
+      feedTranscriber(engine, st),
+      engine.onSourceEnded(() => {
+        appStore.setErrorMessage('Tab audio sharing stopped; still transcribing the microphone');
+        void stopTabChannel();
+      }),
+    );
   };
 
-  // ---- Cleanup v4 pipeline resources ----
-  const cleanupV4Pipeline = () => {
-    v4TickRunning = false;
-    if (v4TickTimeout) {
-      clearTimeout(v4TickTimeout);
-      v4TickTimeout = undefined;
-    }
-    if (v4AudioChunkUnsubscribe) {
-      v4AudioChunkUnsubscribe();
-      v4AudioChunkUnsubscribe = null;
-    }
-    if (v4MelChunkUnsubscribe) {
-      v4MelChunkUnsubscribe();
-      v4MelChunkUnsubscribe = null;
+  const stopTabChannel = async (flush: boolean = true) => {
+    tabUnsubscribes.forEach((unsubscribe) => unsubscribe());
+    tabUnsubscribes = [];
+    const st = tabTranscriber;
+    tabTranscriber = null;
+    if (st) {
+      await st.stop({ flush });
+      st.removeAllListeners();
     }
-    hybridVAD = null;
-    if (tenVADClient) {
-      tenVADClient.dispose();
-      tenVADClient = null;
-    }
-    if (bufferClient) {
-      bufferClient.dispose();
-      bufferClient = null;
-    }
-    windowBuilder = null;
-    v4InferenceBusy = false;
-    v4LastInferenceTime = 0;
-    v4GlobalSampleOffset = 0;
+    tabEngine?.dispose();
+    tabEngine = null;
+    tabMelClient?.dispose();
+    tabMelClient = null;
+  };
+
+  // ---- Stop the v4 pipeline (optionally transcribing the tail and finalizing first) ----
+  const stopV4Pipeline = async (flush: boolean = true) => {
+    v4AudioChunkUnsubscribe?.();
+    v4AudioChunkUnsubscribe = null;
+    supervisedUnwatches.forEach((unwatch) => unwatch());
+    supervisedUnwatches = [];
+    await stopTabChannel(flush);
+    const st = streamingTranscriber;
+    streamingTranscriber = null;
+    if (!st) return;
+    await st.stop({ flush });
+    endTrace();
+    st.removeAllListeners();
+  };
+
+  /** A shared tab is capture-only; release it so the browser stops showing the share. */
+  const releaseDisplayEngine = () => {
+    if (audioEngineSource !== 'display' || !audioEngine) return;
+    audioEngine.dispose();
+    audioEngine = null;
+    audioEngineSource = 'microphone';
+    setAudioEngineSignal(null);
   };
 
   const toggleRecording = async () => {
@@ -516,13 +600,19 @@ const App: Component = () => {
 
       try {
         audioEngine?.stop();
+        sourceEndedUnsubscribe?.();
+        sourceEndedUnsubscribe = null;
 
         if (segmentUnsubscribe) segmentUnsubscribe();
         if (windowUnsubscribe) windowUnsubscribe();
         if (melChunkUnsubscribe) melChunkUnsubscribe();
-        cleanupV4Pipeline();
+        sessionAudioUnsubscribe?.();
+        sessionAudioUnsubscribe = null;
 
-        if (workerClient) {
+        if (streamingTranscriber) {
+          // Transcribes the not yet processed tail and finalizes the pending sentence
+          await stopV4Pipeline();
+        } else if (workerClient) {
           const final = await workerClient.finalize();
           let text = '';
           if ('text' in final && typeof final.text === 'string') {
@@ -532,37 +622,73 @@ const App: Component = () => {
           }
           appStore.setTranscript(text);
           appStore.setPendingText('');
+          if ('newMatureSentences' in final) {
+            appStore.appendMatureSentences(final.newMatureSentences);
+          }
         }
 
         melClient?.reset();
         audioEngine?.reset();
+        releaseDisplayEngine();
       } catch (err) {
         console.warn('[App] Error during stop recording cleanup:', err);
       }
+      await finishSession();
     } else {
+      if (appStore.isComparing()) {
+        appStore.setErrorMessage('Stop the comparison before recording');
+        return;
+      }
       try {
+        const mode = appStore.transcriptionMode();
+        const capture = appStore.captureSource();
+        if (capture === 'both' && mode !== 'v4-utterance') {
+          throw new Error('Microphone + tab capture needs the v4 utterance mode');
+        }
+        // "Tab only" captures the shared tab with the main engine; "both" adds a tab channel below
+        const source: AudioCaptureSource = capture === 'tab' ? 'display' : 'microphone';
+        const dualChannel = capture === 'both';
+
+        if (audioEngine && (source === 'display' || audioEngineSource !== source)) {
+          audioEngine.dispose();
+          audioEngine = null;
+        }
         if (!audioEngine) {
           audioEngine = new AudioEngine({
             sampleRate: 16000,
             deviceId: appStore.selectedDeviceId(),
+            source,
+            ...appStore.captureConfig(),
           });
+          audioEngineSource = source;
           setAudioEngineSignal(audioEngine);
         } else {
           audioEngine.updateConfig({ deviceId: appStore.selectedDeviceId() });
           audioEngine.reset();
         }
+        // Open the share picker first, while the click still counts as a user gesture
+        if (source === 'display') await audioEngine.init();
+        if (dualChannel) {
+          tabEngine = new AudioEngine({ sampleRate: 16000, source: 'display', ...appStore.captureConfig() });
+          await tabEngine.init();
+        }
+        pendingByChannel.clear();
 
-        const mode = appStore.transcriptionMode();
+        // Record session audio before any pipeline handler sees the chunk
+        // (v4 transfers it to the TEN-VAD worker). push() is a no-op unless enabled.
+        sessionAudioUnsubscribe = audioEngine.onAudioChunk((chunk) => sessionAudioRecorder.push(chunk));
 
         // v4 mode: Always start audio capture, mel preprocessing, and VAD
-        // Inference only runs when model is ready (checked in v4Tick)
+        // Inference only runs once the model is ready (checked on every tick)
         if (mode === 'v4-utterance') {
-          // ---- v4: Utterance-based pipeline with BufferWorker + TEN-VAD ----
-
-          // Initialize merger in worker only if model is ready
-          if (isModelReady() && workerClient) {
-            await workerClient.initV4Service({ debug: false });
-          }
+          // ---- v4: Utterance-based pipeline (StreamingTranscriber) ----
+          appStore.setMatureSentences([]);
+          appStore.setSpeakerNames({});
+          appStore.resetDictation();
+          appStore.setSentenceSegmentation(null);
+          appStore.setSchedulerStats(null);
+          appStore.setVadFusion(null);
+          appStore.setVadFusionSpans([]);
 
           // Initialize mel worker (always needed for preprocessing)
           if (!melClient) {
@@ -576,106 +702,52 @@ const App: Component = () => {
             melClient = null;
             setMelClientSignal(null);
           }
+          if (!workerClient || !melClient) {
+            throw new Error('Transcription workers are not available');
+          }
 
-          // Initialize BufferWorker (centralized multi-layer data store)
-          bufferClient = new BufferWorkerClient();
-          const bufferConfig: BufferWorkerConfig = {
-            sampleRate: 16000,
-            layers: {
-              audio: { hopSamples: 1, entryDimension: 1, maxDurationSec: 120 },
-              mel: { hopSamples: 160, entryDimension: 128, maxDurationSec: 120 },
-              energyVad: { hopSamples: 1280, entryDimension: 1, maxDurationSec: 120 },
-              inferenceVad: { hopSamples: 256, entryDimension: 1, maxDurationSec: 120 },
-            },
-          };
-          await bufferClient.init(bufferConfig);
-
-          // Initialize TEN-VAD worker (inference-based VAD)
-          tenVADClient = new TenVADWorkerClient();
-          tenVADClient.onResult((result: TenVADResult) => {
-            if (!bufferClient) return;
-            // Batch-write hop probabilities to inferenceVad (single worker message)
-            if (result.hopCount > 0) {
-              const lastProb = result.probabilities[result.hopCount - 1];
-              if (bufferClient.writeBatchTransfer) {
-                bufferClient.writeBatchTransfer('inferenceVad', result.probabilities, result.globalSampleOffset);
-              } else {
-                bufferClient.writeBatch('inferenceVad', result.probabilities, result.globalSampleOffset);
-              }
-
-              // Update UI at most once per frame with the latest probability
-              scheduleSileroUpdate(lastProb);
+          // Creates its own BufferWorker and TEN-VAD worker for this recording
+          streamingTranscriber = new StreamingTranscriber(
+            { transcriber: workerClient, mel: melClient, isModelReady },
+            {
+              sampleRate: 16000,
+              intervalMs: appStore.v4InferenceIntervalMs(),
+              adaptiveInterval: appStore.adaptiveInterval(),
+              silenceFlushSec: appStore.v4SilenceFlushSec(),
+              vadPolicy: appStore.vadPolicy(),
+              sileroVad: appStore.sileroVad(),
+              sileroThreshold: appStore.sileroThreshold(),
+              tenVadWasmPath: `${import.meta.env.BASE_URL}wasm/`,
+              language: appStore.sentenceLanguage(),
+              speakerLabels: appStore.speakerLabels(),
+              speakerThreshold: appStore.speakerThreshold(),
+              window: { debug: true }, // window diagnostics in the console
+              ...(dualChannel ? { channel: MIC_CHANNEL } : {}),
             }
+          );
+          bindV4Events(streamingTranscriber, dualChannel ? MIC_CHANNEL : undefined, { dictation: capture !== 'tab' });
+          streamingTranscriber.on('vad', (v) => scheduleVadStateUpdate({
+            isSpeech: v.isSpeech,
+            energy: v.energy,
+            snr: v.snr,
+            hybridState: v.state,
+          }));
+          streamingTranscriber.on('speechProbability', scheduleSileroUpdate);
+          streamingTranscriber.on('schedule', appStore.setSchedulerStats);
+          streamingTranscriber.on('fusion', (result) => {
+            appStore.setVadFusion(result);
+            appStore.setVadFusionSpans((spans) => appendFusionSpans(spans, result, 16000));
           });
-          // TEN-VAD init is non-blocking; falls back gracefully if WASM fails
-          const wasmPath = `${import.meta.env.BASE_URL}wasm/`;
-          tenVADClient.init({ hopSize: 256, threshold: 0.5, wasmPath }).catch((err) => {
-            console.warn('[v4] TEN-VAD init failed, using energy-only:', err);
-          });
-
-          // Initialize hybrid VAD for energy-based detection (always runs, fast)
-          hybridVAD = new HybridVAD({
-            sileroThreshold: 0.5,
-            onsetConfirmations: 2,
-            offsetConfirmations: 3,
-            sampleRate: 16000,
-          });
-          // Do NOT init Silero in HybridVAD (TEN-VAD replaces it)
+          streamingTranscriber.on('error', (err) => console.error('[v4] Transcription error:', err));
+          startTrace(streamingTranscriber);
+          await streamingTranscriber.start();
 
-          // NOTE: WindowBuilder is created AFTER audioEngine.start() below,
-          // because start() may re-create the internal RingBuffer.
+          const st = streamingTranscriber;
+          v4AudioChunkUnsubscribe = feedTranscriber(audioEngine, st);
+          superviseV4Workers('', melClient, st);
 
-          // Reset global sample counter
-          v4GlobalSampleOffset = 0;
-
-          // Feed audio chunks to mel worker from the main v4 audio handler below
-          v4MelChunkUnsubscribe = null;
-
-          // Process each audio chunk: energy VAD + write to BufferWorker + forward to TEN-VAD
-          v4AudioChunkUnsubscribe = audioEngine.onAudioChunk((chunk) => {
-            if (!hybridVAD || !bufferClient) return;
-
-            const chunkOffset = v4GlobalSampleOffset;
-            v4GlobalSampleOffset += chunk.length;
-
-            // 1. Run energy VAD (synchronous, fast) and write to BufferWorker
-            const vadResult = hybridVAD.processEnergyOnly(chunk);
-            const energyProb = vadResult.isSpeech ? 0.9 : 0.1;
-            bufferClient.writeScalar('energyVad', energyProb);
-
-            // 2. Forward audio to mel worker (copy, keep chunk for TEN-VAD transfer)
-            melClient?.pushAudioCopy(chunk);
-
-            // 3. Forward audio to TEN-VAD worker for inference-based VAD (transfer, no copy)
-            if (tenVADClient?.isReady()) {
-              tenVADClient.processTransfer(chunk, chunkOffset);
-            }
-
-            // 4. Update VAD state for UI
-            const sileroProbability = tenVADClient?.isReady()
-              ? undefined
-              : (vadResult.sileroProbability || 0);
-            scheduleVadStateUpdate({
-              isSpeech: vadResult.isSpeech,
-              energy: vadResult.energy,
-              snr: vadResult.snr || 0,
-              hybridState: vadResult.state,
-              ...(sileroProbability !== undefined ? { sileroProbability } : {}),
-            });
-          });
-
-          // Start adaptive inference tick loop (reads interval from appStore)
-          // Note: v4Tick internally checks if model is ready before running inference
-          v4TickRunning = true;
-          const scheduleNextTick = () => {
-            if (!v4TickRunning) return;
-            v4TickTimeout = window.setTimeout(async () => {
-              if (!v4TickRunning) return;
-              await v4Tick();
-              scheduleNextTick();
-            }, appStore.v4InferenceIntervalMs());
-          };
-          scheduleNextTick();
+          // The shared tab's audio becomes the "Others" channel
+          if (dualChannel) await startTabChannel();
 
         } else if (isModelReady() && workerClient) {
           // v3 and v2 modes still require model to be ready
@@ -773,25 +845,19 @@ const App: Component = () => {
           }
         }
 
+        // Begin the session before capture so recorded audio starts at time 0
+        await beginSession(dualChannel ? 'mic+tab' : source === 'display' ? 'tab' : 'microphone');
         await audioEngine.start();
-
-        // Create WindowBuilder AFTER start() so we get the final RingBuffer reference
-        // (AudioEngine.init() re-creates the RingBuffer internally)
-        if (mode === 'v4-utterance') {
-          windowBuilder = new WindowBuilder(
-            audioEngine.getRingBuffer(),
-            null, // No VADRingBuffer; hasSpeech now goes through BufferWorker
-            {
-              sampleRate: 16000,
-              minDurationSec: 3.0,
-              maxDurationSec: 30.0,
-              minInitialDurationSec: 1.5,
-              useVadBoundaries: false, // VAD boundaries now managed by BufferWorker
-              vadSilenceThreshold: 0.3,
-              debug: true, // Enable debug logging for diagnostics
-            }
-          );
-        }
+        await tabEngine?.start();
+        const engine = audioEngine;
+        sourceEndedUnsubscribe = engine.onSourceEnded(async () => {
+          if (!isRecording()) return;
+          // A shared tab cannot be re-opened without the user picking it again
+          if (source === 'microphone' && (await recoverMicrophone(engine))) return;
+          if (!isRecording()) return;
+          appStore.setErrorMessage(source === 'display' ? 'Tab audio sharing stopped' : 'The microphone was disconnected');
+          void toggleRecording();
+        });
 
         appStore.startRecording();
 
@@ -806,6 +872,11 @@ const App: Component = () => {
         });
       } catch (err: any) {
         appStore.setErrorMessage(err.message);
+        sessionAudioUnsubscribe?.();
+        sessionAudioUnsubscribe = null;
+        await stopV4Pipeline(false);
+        releaseDisplayEngine();
+        await finishSession();
       }
     }
   };
@@ -816,7 +887,10 @@ const App: Component = () => {
     if (appStore.modelState() === 'loading') return;
     setShowContextPanel(true);
     try {
-      await workerClient.initModel(appStore.selectedModelId());
+      const model = appStore.selectedModel();
+      const { backend } = await workerClient.initModel(toLoadOptions(model));
+      appStore.setBackend(backend);
+      loadedModelId = model.id;
     } catch (e) {
       console.error('Failed to load model:', e);
       appStore.setModelState('error');
@@ -850,14 +924,406 @@ const App: Component = () => {
     if (!workerClient) return;
     setShowContextPanel(true);
     try {
-      await workerClient.initLocalModel(files);
+      const { backend } = await workerClient.initLocalModel(files);
+      appStore.setBackend(backend);
+      loadedModelId = null;
     } catch (e) {
       console.error('Failed to load local model:', e);
+      appStore.setErrorMessage(e instanceof Error ? e.message : String(e));
     }
   };
 
+  // ---- Session history: autosave the running session, reopen saved ones ----
+  const sessionSettingsSnapshot = (): Record<string, unknown> => ({ ...appStore.tuningSettings() });
+
+  // v2/v3 sessions have no timed sentences; their flat transcript is saved as pending text
+  const sessionSnapshot = (): SessionSnapshot =>
+    appStore.transcriptionMode() === 'v4-utterance'
+      ? {
+        sentences: appStore.matureSentences(),
+        pendingText: appStore.immatureText(),
+        corrections: appStore.corrections(),
+        speakerNames: appStore.speakerNames(),
+      }
+      : { sentences: [], pendingText: appStore.transcript() };
+
+  /** Show the recorded audio of a session in the player (null hides it). */
+  const showSessionAudio = async (sessionId: string | null) => {
+    const seq = ++sessionAudioLoadSeq;
+    const previous = appStore.sessionAudioUrl();
+    appStore.setSessionAudioUrl(null);
+    if (previous) URL.revokeObjectURL(previous);
+    if (!sessionId) return;
+    try {
+      const wav = await loadSessionAudio(sessionBackend, sessionId);
+      if (wav && seq === sessionAudioLoadSeq) appStore.setSessionAudioUrl(URL.createObjectURL(wav));
+    } catch (err) {
+      console.warn('[App] Failed to load session audio:', err);
+    }
+  };
+
+  const beginSession = async (source: SessionSource, title?: string) => {
+    const recordAudio = appStore.recordSessionAudio();
+    openedSessionId = null;
+    const id = await sessionAutosaver.begin({
+      source,
+      title,
+      modelId: appStore.selectedModelId(),
+      settings: sessionSettingsSnapshot(),
+      hasAudio: recordAudio,
+    });
+    appStore.setActiveSessionId(id);
+    void showSessionAudio(null);
+    if (recordAudio) await sessionAudioRecorder.begin(id, 16000);
+  };
+
+  const finishSession = async () => {
+    const id = sessionAutosaver.getActiveId();
+    if (!id) return;
+    const recordedAudio = sessionAudioRecorder.getActiveId() === id;
+    if (recordedAudio) await sessionAudioRecorder.finish();
+    const saved = await sessionAutosaver.finish(sessionSnapshot());
+    appStore.setActiveSessionId(null);
+    if (saved && appStore.postProcess().enabled && appStore.postProcess().autoRun) void runPostProcess();
+    if (!recordedAudio) return;
+    if (saved) {
+      await showSessionAudio(id);
+    } else {
+      // Sessions without text are not kept, so neither is their audio
+      await sessionBackend.deleteAudio(id).catch(() => {});
+    }
+  };
+
+  createEffect(() => {
+    if (!appStore.activeSessionId()) return;
+    sessionAutosaver.update(sessionSnapshot());
+  });
+
+  // ---- Live caption broadcast: the transcript as displayed (text rules and corrections applied) ----
+  const captionBroadcaster = new CaptionBroadcaster(appStore.captionOutput());
+  captionBroadcaster.onSocketStatus(appStore.setCaptionSocketStatus);
+  appStore.setCaptionSocketStatus(captionBroadcaster.getSocketStatus());
+  createEffect(() => captionBroadcaster.updateConfig(appStore.captionOutput()));
+  createEffect(() => captionBroadcaster.publishSentences(appStore.matureSentences()));
+  createEffect(() => captionBroadcaster.publishMature(appStore.matureCursorTime(), appStore.matureSentences().length));
+  createEffect(() => captionBroadcaster.publishImmature(appStore.immatureText()));
+  onCleanup(() => captionBroadcaster.dispose());
+
+  // ---- Post-processing: templates run on the finalized transcript by a local LLM server (opt-in) ----
+  const postProcessor = new PostProcessor();
+  postProcessor.on('update', appStore.upsertPostProcessResult);
+  onCleanup(() => postProcessor.cancel());
+
+  /** Run a template (default: the selected one) on the transcript on screen. */
+  const runPostProcess = async (templateId?: string) => {
+    const config = appStore.postProcess();
+    const template = config.templates.find((t) => t.id === (templateId ?? config.templateId)) ?? config.templates[0];
+    if (!config.enabled || !template) return;
+    const result = await postProcessor.run(config, template, appStore.matureSentences(), appStore.speakerNames());
+    if (result.status === 'error') console.warn('[App] Post-processing failed:', result.error);
+  };
+
+  onMount(() => {
+    const onPageHide = () => {
+      void sessionAutosaver.flush();
+      void sessionAudioRecorder.flush();
+    };
+    window.addEventListener('pagehide', onPageHide);
+    onCleanup(() => window.removeEventListener('pagehide', onPageHide));
+  });
+
+  const openSession = (record: SessionRecord) => {
+    if (isRecording() || appStore.isImportingFile()) return;
+    const sentences = toMergerSentences(record.sentences);
+    appStore.clearTranscript();
+    appStore.setMatureSentences(sentences);
+    appStore.setCorrections(record.corrections ?? []);
+    appStore.setSpeakerNames(record.speakerNames ?? {});
+    appStore.setImmatureText(record.pendingText);
+    appStore.setTranscript(record.text);
+    appStore.setMatureCursorTime(record.durationSec);
+    appStore.setShowHistoryPanel(false);
+    openedSessionId = record.id;
+    void showSessionAudio(record.hasAudio ? record.id : null);
+  };
+
+  // Inline transcript edits. The active session autosaves them; a reopened one is updated here.
+  const saveOpenedSession = () => {
+    if (!openedSessionId || appStore.activeSessionId()) return;
+    sessionStore.updateTranscript(openedSessionId, sessionSnapshot())
+      .catch((err) => console.warn('[App] Failed to save transcript edits:', err));
+  };
+
+  const editSentence = (sentenceId: string, text: string) => {
+    appStore.correctSentence(sentenceId, text);
+    appStore.setTranscript(liveTranscript());
+    saveOpenedSession();
+  };
+
+  const revertSentence = (sentenceId: string) => {
+    appStore.revertCorrection(sentenceId);
+    appStore.setTranscript(liveTranscript());
+    saveOpenedSession();
+  };
+
+  const renameSpeaker = (speaker: string, name: string) => {
+    appStore.renameSpeaker(speaker, name);
+    saveOpenedSession();
+  };
+
+  // ---- Audio file import: decode, then run through the v4 pipeline faster than real time ----
+  const importAudioFile = async (file: File) => {
+    if (!workerClient || appStore.isImportingFile()) return;
+    if (!isSupportedAudioFile(file)) {
+      appStore.setErrorMessage(`Unsupported file type: ${file.name}`);
+      return;
+    }
+    if (!isModelReady()) {
+      appStore.setErrorMessage('Load a model before importing audio files');
+      openPanelForModel();
+      return;
+    }
+    if (isRecording() || appStore.isComparing()) {
+      appStore.setErrorMessage(isRecording() ? 'Stop recording before importing an audio file' : 'Stop the comparison before importing an audio file');
+      return;
+    }
+
+    appStore.setErrorMessage(null);
+    fileImportCancelled = false;
+    appStore.setFileImport({
+      fileName: file.name,
+      phase: 'decoding',
+      progress: 0,
+      processedSec: 0,
+      totalSec: 0,
+      etaSec: null,
+      speed: 0,
+    });
+
+    try {
+      const decoded = await decodeAudioFile(file, 16000);
+      if (fileImportCancelled) return;
+
+      if (!melClient) {
+        melClient = new MelWorkerClient();
+        setMelClientSignal(melClient);
+      }
+      await melClient.init({ nMels: 128 });
+
+      appStore.setImmatureText('');
+      appStore.setMatureCursorTime(0);
+      appStore.clearTranscript();
+      await beginSession('file', file.name);
+      sessionAudioRecorder.push(decoded.samples);
+
+      // No buffer passed: the import gets its own BufferWorker, never sharing VAD history with live capture
+      fileTranscriber = new FileTranscriber(
+        { transcriber: workerClient, mel: melClient },
+        {
+          silenceFlushSec: appStore.v4SilenceFlushSec(),
+          language: appStore.sentenceLanguage(),
+          speakerLabels: appStore.speakerLabels(),
+          speakerThreshold: appStore.speakerThreshold(),
+        },
+        {
+          onProgress: (p) => {
+            appStore.setFileImport({ fileName: file.name, phase: 'transcribing', ...p });
+          },
+        }
+      );
+      bindV4Events(fileTranscriber);
+      startTrace(fileTranscriber);
+      await fileTranscriber.run(decoded.samples);
+    } catch (err) {
+      console.error('[App] File import failed:', err);
+      appStore.setErrorMessage(err instanceof Error ? err.message : String(err));
+    } finally {
+      endTrace();
+      await finishSession();
+      fileTranscriber = null;
+      melClient?.reset();
+      appStore.setFileImport(null);
+    }
+  };
+
+  // ---- A/B compare (see CompareRunner) ----
+  const canCompare = () => isModelReady() && !isRecording() && !appStore.isImportingFile() && !appStore.isComparing();
+
+  /**
+   * Workers for one compare side. A side on the loaded model shares the app's
+   * worker (v4 sides get their own merger stream), except a second v3 side
+   * running at the same time: the v3 merger is one per worker. Other models
+   * load in a worker of their own for the run.
+   */
+  const acquireCompareSide = async (side: CompareSideConfig): Promise<CompareSideResources> => {
+    if (!workerClient) throw new Error('Transcription workers are not available');
+    const main = workerClient;
+    const mel = new MelWorkerClient();
+    try {
+      await mel.init({ nMels: 128 });
+      const usesV3 = side.mode === 'v3-streaming';
+      const onLoadedModel = side.modelId === '' || side.modelId === loadedModelId;
+      if (onLoadedModel && !(usesV3 && compareV3OnMainWorker)) {
+        if (usesV3) compareV3OnMainWorker = true;
+        return {
+          transcriber: main,
+          mel,
+          release: () => {
+            mel.dispose();
+            if (usesV3) compareV3OnMainWorker = false;
+          },
+        };
+      }
+      const model = findModel(appStore.models(), side.modelId || loadedModelId || '');
+      if (!model) throw new Error('Pick a registry model for this side (the loaded model was sideloaded)');
+      const client = new TranscriptionWorkerClient();
+      try {
+        await client.initModel(toLoadOptions(model));
+      } catch (err) {
+        client.dispose();
+        throw err;
+      }
+      return {
+        transcriber: client,
+        mel,
+        release: () => {
+          mel.dispose();
+          client.dispose();
+        },
+      };
+    } catch (err) {
+      mel.dispose();
+      throw err;
+    }
+  };
+
+  const createCompareRunner = () => {
+    const runner = new CompareRunner({ acquire: acquireCompareSide }, { language: appStore.sentenceLanguage() });
+    runner.on('update', (sides) => appStore.setCompareSides(sides));
+    runner.on('progress', (p) => appStore.setCompareProgress(p));
+    compareRunner = runner;
+    appStore.setIsComparing(true);
+    appStore.setErrorMessage(null);
+    return runner;
+  };
+
+  const endCompare = () => {
+    compareRunner = null;
+    compareEngine?.dispose();
+    compareEngine = null;
+    appStore.setIsComparing(false);
+    appStore.setCompareProgress(null);
+  };
+
+  const compareFile = async (file: File) => {
+    if (!canCompare()) return;
+    if (!isSupportedAudioFile(file)) {
+      appStore.setErrorMessage(`Unsupported file type: ${file.name}`);
+      return;
+    }
+    const runner = createCompareRunner();
+    try {
+      const decoded = await decodeAudioFile(file, 16000);
+      await runner.runFile(decoded.samples, appStore.compareConfigs());
+    } catch (err) {
+      console.error('[App] Comparison failed:', err);
+      appStore.setErrorMessage(err instanceof Error ? err.message : String(err));
+    } finally {
+      endCompare();
+    }
+  };
+
+  /** Feed the microphone to both sides until stopCompare(). */
+  const startLiveCompare = async () => {
+    if (!canCompare()) return;
+    const runner = createCompareRunner();
+    const engine = new AudioEngine({
+      sampleRate: 16000,
+      deviceId: appStore.selectedDeviceId(),
+      source: 'microphone',
+      ...appStore.captureConfig(),
+    });
+    compareEngine = engine;
+    try {
+      await engine.init();
+      await runner.startLive(appStore.compareConfigs());
+      if (compareEngine !== engine) return; // stopped while the sides were loading
+      engine.onAudioChunk((chunk) => runner.pushAudio(chunk));
+      engine.onSourceEnded(() => void stopCompare());
+      await engine.start();
+    } catch (err) {
+      console.error('[App] Live comparison failed:', err);
+      appStore.setErrorMessage(err instanceof Error ? err.message : String(err));
+      await runner.stopLive(false);
+      endCompare();
+    }
+  };
+
+  const stopCompare = async () => {
+    const runner = compareRunner;
+    if (!runner) return;
+    if (!compareEngine) {
+      // A file run ends itself once cancelled
+      runner.cancel();
+      return;
+    }
+    compareEngine.dispose();
+    compareEngine = null;
+    await runner.stopLive();
+    endCompare();
+  };
+
+  const cancelFileImport = () => {
+    fileImportCancelled = true;
+    fileTranscriber?.cancel();
+  };
+
+  const handleFileInputChange = (e: Event) => {
+    const input = e.currentTarget as HTMLInputElement;
+    const file = input.files?.[0];
+    input.value = '';
+    if (file) void importAudioFile(file);
+  };
+
+  const hasDraggedFiles = (e: DragEvent) => !!e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+  const handleFileDragOver = (e: DragEvent) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    if (e.dataTransfer) e.dataTransfer.dropEffect = 'copy';
+    setIsFileDragOver(true);
+  };
+
+  const handleFileDragLeave = (e: DragEvent) => {
+    // Ignore leave events fired when moving between child elements
+    if (e.relatedTarget && (e.currentTarget as HTMLElement).contains(e.relatedTarget as Node)) return;
+    setIsFileDragOver(false);
+  };
+
+  const handleFileDrop = (e: DragEvent) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    setIsFileDragOver(false);
+    const file = e.dataTransfer?.files[0];
+    if (file) void importAudioFile(file);
+  };
+
   return (
-    <div class="h-screen flex flex-col overflow-hidden bg-[var(--color-earthy-bg)] selection:bg-[var(--color-earthy-coral)] selection:text-white">
+    <div
+      class="h-screen flex flex-col overflow-hidden bg-[var(--color-earthy-bg)] selection:bg-[var(--color-earthy-coral)] selection:text-white"
+      onDragOver={handleFileDragOver}
+      onDragLeave={handleFileDragLeave}
+      onDrop={handleFileDrop}
+    >
+      <Show when={isFileDragOver()}>
+        <div class="fixed inset-0 z-50 pointer-events-none flex items-center justify-center bg-[var(--color-earthy-bg)]/80 backdrop-blur-sm border-4 border-dashed border-[var(--color-earthy-muted-green)]">
+          <div class="flex flex-col items-center gap-2 text-[var(--color-earthy-dark-brown)]">
+            <span class="material-symbols-outlined text-5xl text-[var(--color-earthy-muted-green)]">upload_file</span>
+            <span class="text-sm font-medium">Drop an audio file to transcribe</span>
+            <span class="text-xs text-[var(--color-earthy-soft-brown)]">WAV, MP3, OGG, WebM</span>
+          </div>
+        </div>
+      </Show>
       <ModelLoadingOverlay
         isVisible={showModelOverlay()}
         state={appStore.modelState()}
@@ -865,6 +1331,7 @@ const App: Component = () => {
         message={appStore.modelMessage()}
         file={appStore.modelFile()}
         backend={appStore.backend()}
+        models={appStore.models()}
         selectedModelId={appStore.selectedModelId()}
         onModelSelect={(id: string) => appStore.setSelectedModelId(id)}
         onStart={() => loadSelectedModel()}
@@ -874,11 +1341,27 @@ const App: Component = () => {
 
       <Header
         onToggleDebug={() => appStore.setShowDebugPanel(!appStore.showDebugPanel())}
+        onToggleHistory={() => {
+          appStore.setShowHistoryPanel(!appStore.showHistoryPanel());
+          appStore.setShowComparePanel(false);
+          appStore.setShowPostProcessPanel(false);
+        }}
+        onToggleCompare={() => {
+          appStore.setShowComparePanel(!appStore.showComparePanel());
+          appStore.setShowHistoryPanel(false);
+          appStore.setShowPostProcessPanel(false);
+        }}
+        onTogglePostProcess={() => {
+          appStore.setShowPostProcessPanel(!appStore.showPostProcessPanel());
+          appStore.setShowHistoryPanel(false);
+          appStore.setShowComparePanel(false);
+        }}
       />
 
       <div class="flex-1 flex overflow-hidden relative">
         <main class="flex-1 overflow-y-auto custom-scrollbar px-6 flex flex-col items-center">
           <div class="max-w-3xl w-full py-12 lg:py-20">
+            <VoiceCommandLog isRecording={isRecording()} />
             <TranscriptionDisplay
               confirmedText={appStore.transcriptionMode() === 'v4-utterance' ? appStore.matureText() : appStore.transcript()}
               pendingText={appStore.transcriptionMode() === 'v4-utterance' ? appStore.immatureText() : appStore.pendingText()}
@@ -886,10 +1369,51 @@ const App: Component = () => {
               lcsLength={appStore.mergeInfo().lcsLength}
               anchorValid={appStore.mergeInfo().anchorValid}
               showConfidence={appStore.transcriptionMode() === 'v3-streaming'}
+              sentences={appStore.matureSentences()}
+              lowConfidenceThreshold={appStore.lowConfidenceThreshold()}
+              onEditSentence={editSentence}
+              onRevertSentence={revertSentence}
+              speakerNames={appStore.speakerNames()}
+              onRenameSpeaker={renameSpeaker}
+              audioSrc={appStore.sessionAudioUrl()}
+              audioFileName={timestampedFilename('keet-session', 'wav')}
               class="min-h-[40vh]"
             />
           </div>
         </main>
+        <Show when={appStore.showHistoryPanel()}>
+          <div class="absolute inset-y-0 right-0 z-40 w-full max-w-sm">
+            <HistoryPanel
+              store={sessionStore}
+              activeSessionId={appStore.activeSessionId()}
+              canOpen={!isRecording() && !appStore.isImportingFile()}
+              onOpen={openSession}
+              onClose={() => appStore.setShowHistoryPanel(false)}
+            />
+          </div>
+        </Show>
+        <Show when={appStore.showComparePanel()}>
+          <div class="absolute inset-y-0 right-0 z-40 w-full max-w-4xl">
+            <ComparePanel
+              models={appStore.models()}
+              canRun={canCompare()}
+              onRunFile={(file) => void compareFile(file)}
+              onStartLive={() => void startLiveCompare()}
+              onStop={() => void stopCompare()}
+              onClose={() => appStore.setShowComparePanel(false)}
+            />
+          </div>
+        </Show>
+        <Show when={appStore.showPostProcessPanel()}>
+          <div class="absolute inset-y-0 right-0 z-40 w-full max-w-md">
+            <PostProcessPanel
+              hasTranscript={appStore.matureSentences().some((s) => s.text.trim())}
+              onRun={(templateId) => void runPostProcess(templateId)}
+              onCancel={() => postProcessor.cancel()}
+              onClose={() => appStore.setShowPostProcessPanel(false)}
+            />
+          </div>
+        </Show>
       </div>
 
       {/* Draggable floating control widget */}
@@ -955,6 +1479,32 @@ const App: Component = () => {
                   <span class="text-[10px] font-mono text-[var(--color-earthy-soft-brown)] tabular-nums">{Math.round(appStore.modelProgress())}%</span>
                 </div>
               </Show>
+              <Show when={appStore.fileImport()}>
+                {(imp) => (
+                  <div class="flex items-center gap-2 px-1" title={imp().fileName}>
+                    <div class="flex-1 h-1.5 rounded-full overflow-hidden bg-[var(--color-earthy-sage)]/20">
+                      <div
+                        class="h-full bg-[var(--color-earthy-coral)] rounded-full transition-all duration-300"
+                        style={{ width: `${Math.round(imp().progress * 100)}%` }}
+                      />
+                    </div>
+                    <span class="text-[10px] font-mono text-[var(--color-earthy-soft-brown)] tabular-nums whitespace-nowrap">
+                      {imp().phase === 'decoding'
+                        ? 'Decoding…'
+                        : `${Math.round(imp().progress * 100)}% · ${imp().etaSec !== null ? `ETA ${formatDuration(Math.ceil(imp().etaSec!))}` : '…'} · ${imp().speed.toFixed(1)}x`}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={cancelFileImport}
+                      class="w-5 h-5 rounded-full flex items-center justify-center text-[var(--color-earthy-soft-brown)] hover:text-[var(--color-earthy-coral)] transition-colors"
+                      title="Cancel import"
+                      aria-label="Cancel import"
+                    >
+                      <span class="material-symbols-outlined text-sm">close</span>
+                    </button>
+                  </div>
+                )}
+              </Show>
             </div>
             <div class="flex items-center gap-2 flex-shrink-0">
               <button
@@ -962,11 +1512,28 @@ const App: Component = () => {
                 onClick={toggleRecording}
                 onMouseEnter={openPanelForAudio}
                 onMouseLeave={schedulePanelCloseIfHover}
-                class={`w-10 h-10 rounded-full flex items-center justify-center transition-colors border ${isRecording() ? 'bg-[var(--color-earthy-coral)] text-white border-[var(--color-earthy-coral)]' : 'text-[var(--color-earthy-dark-brown)] hover:bg-[var(--color-earthy-bg)] border-transparent hover:border-[var(--color-earthy-sage)]/30'}`}
+                disabled={appStore.isImportingFile() || appStore.isComparing()}
+                class={`w-10 h-10 rounded-full flex items-center justify-center transition-colors border ${isRecording() ? 'bg-[var(--color-earthy-coral)] text-white border-[var(--color-earthy-coral)]' : 'text-[var(--color-earthy-dark-brown)] hover:bg-[var(--color-earthy-bg)] border-transparent hover:border-[var(--color-earthy-sage)]/30'} disabled:opacity-40 disabled:cursor-not-allowed`}
                 title={isRecording() ? 'Stop recording' : 'Start recording'}
               >
                 <span class="material-symbols-outlined">mic</span>
               </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={AUDIO_FILE_ACCEPT}
+                class="hidden"
+                onChange={handleFileInputChange}
+              />
+              <button
+                type="button"
+                onClick={() => fileInputRef?.click()}
+                disabled={!isModelReady() || isRecording() || appStore.isImportingFile() || appStore.isComparing()}
+                class="w-10 h-10 rounded-full flex items-center justify-center text-[var(--color-earthy-dark-brown)] hover:bg-[var(--color-earthy-bg)] transition-colors border border-transparent hover:border-[var(--color-earthy-sage)]/30 disabled:opacity-40 disabled:cursor-not-allowed"
+                title={isModelReady() ? 'Transcribe audio file' : 'Load a model to transcribe files'}
+              >
+                <span class="material-symbols-outlined">upload_file</span>
+              </button>
               <button
                 type="button"
                 onClick={() => loadSelectedModel()}
@@ -1005,6 +1572,7 @@ const App: Component = () => {
               >
                 <span class="material-symbols-outlined">content_copy</span>
               </button>
+              <ExportMenu placement={settingsExpandUp() ? 'top' : 'bottom'} />
             </div>
             </div>
           </div>
@@ -1017,6 +1585,7 @@ const App: Component = () => {
           <DebugPanel
             audioEngine={audioEngineSignal() ?? undefined}
             melClient={melClientSignal() ?? undefined}
+            onDownloadTrace={downloadTrace}
           />
         </div>
       </Show>
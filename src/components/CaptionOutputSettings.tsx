@@ -0,0 +1,131 @@
+import { Component, Show } from 'solid-js';
+import { appStore } from '../stores/appStore';
+import type { CaptionOutputConfig, CaptionSocketStatus } from '../lib/captions';
+
+const inputClass =
+  'min-w-0 text-xs bg-transparent border-b border-[var(--color-earthy-sage)]/40 px-0 py-1 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)]';
+const labelClass = 'text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]';
+
+const SOCKET_STATUS: Record<CaptionSocketStatus, { label: string; color: string }> = {
+  off: { label: 'Off', color: 'bg-[var(--color-earthy-sage)]' },
+  connecting: { label: 'Connecting…', color: 'bg-amber-400' },
+  open: { label: 'Connected', color: 'bg-[var(--color-earthy-muted-green)]' },
+  error: { label: 'Not connected, retrying', color: 'bg-[var(--color-earthy-coral)]' },
+};
+
+/** URL of the captions-only view for this build. */
+const overlayUrl = () => {
+  const url = new URL(window.location.href);
+  url.search = '?view=captions';
+  url.hash = '';
+  return url.toString();
+};
+
+/**
+ * Settings for publishing live captions to other tabs, an embedding page
+ * or a local WebSocket relay, and a link to the captions overlay.
+ */
+export const CaptionOutputSettings: Component = () => {
+  const config = () => appStore.captionOutput();
+  const update = (patch: Partial<CaptionOutputConfig>) => appStore.setCaptionOutput({ ...config(), ...patch });
+  const status = () => SOCKET_STATUS[appStore.captionSocketStatus()];
+
+  const Toggle = (p: { label: string; hint?: string; checked: boolean; onChange: (v: boolean) => void }) => (
+    <label class="flex items-start gap-2 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={p.checked}
+        onChange={(e) => p.onChange(e.currentTarget.checked)}
+        class="mt-0.5 accent-[var(--color-earthy-muted-green)]"
+      />
+      <span class="text-xs text-[var(--color-earthy-dark-brown)]">
+        {p.label}
+        <Show when={p.hint}>
+          <span class="block text-[10px] text-[var(--color-earthy-soft-brown)]">{p.hint}</span>
+        </Show>
+      </span>
+    </label>
+  );
+
+  return (
+    <section class="space-y-2">
+      <h3 class={labelClass}>Caption output</h3>
+      <Toggle
+        label="Broadcast live captions"
+        hint="Sends the transcript as it appears to the outputs below; nothing leaves this browser unless WebSocket is on"
+        checked={config().enabled}
+        onChange={(enabled) => update({ enabled })}
+      />
+
+      <div class={`space-y-2 ${config().enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+        <Toggle
+          label="Other tabs (BroadcastChannel)"
+          hint="Same-origin tabs, windows and the captions overlay"
+          checked={config().broadcastChannel}
+          onChange={(broadcastChannel) => update({ broadcastChannel })}
+        />
+        <Toggle
+          label="Embedding page (postMessage)"
+          hint="Posts to the parent page or the window that opened Keet"
+          checked={config().postMessage}
+          onChange={(postMessage) => update({ postMessage })}
+        />
+        <Show when={config().postMessage}>
+          <input
+            type="text"
+            placeholder={`Target origin (blank: ${window.location.origin}; * for any)`}
+            value={config().postMessageOrigin}
+            onChange={(e) => update({ postMessageOrigin: e.currentTarget.value.trim() })}
+            class={`w-full font-mono ${inputClass}`}
+          />
+          <Show when={config().postMessageOrigin === '*'}>
+            <span class="block text-[10px] text-[var(--color-earthy-coral)]">
+              Any page that embeds or opened Keet receives the live transcript
+            </span>
+          </Show>
+        </Show>
+        <Toggle
+          label="WebSocket relay"
+          hint="For OBS and other apps; local addresses only"
+          checked={config().webSocket}
+          onChange={(webSocket) => update({ webSocket })}
+        />
+        <Show when={config().webSocket}>
+          <div class="flex items-center gap-2">
+            <input
+              type="text"
+              placeholder="ws://localhost:8765"
+              value={config().webSocketUrl}
+              onChange={(e) => update({ webSocketUrl: e.currentTarget.value.trim() })}
+              class={`flex-1 font-mono ${inputClass}`}
+            />
+            <span class="flex items-center gap-1 shrink-0 text-[10px] text-[var(--color-earthy-soft-brown)]">
+              <span class={`w-2 h-2 rounded-full ${status().color}`} />
+              {status().label}
+            </span>
+          </div>
+        </Show>
+
+        <div class="flex items-center gap-3 pt-1">
+          <button
+            type="button"
+            onClick={() => window.open(overlayUrl(), 'keet-captions', 'width=960,height=240')}
+            class="flex items-center gap-1 text-xs font-medium text-[var(--color-earthy-muted-green)] hover:opacity-80"
+          >
+            <span class="material-symbols-outlined text-sm">open_in_new</span>
+            Open captions overlay
+          </button>
+          <button
+            type="button"
+            onClick={() => void navigator.clipboard?.writeText(overlayUrl())}
+            class="flex items-center gap-1 text-xs font-medium text-[var(--color-earthy-soft-brown)] hover:opacity-80"
+            title="Overlay URL for a browser source (add &lines=3&size=56&ws=… to customize)"
+          >
+            <span class="material-symbols-outlined text-sm">content_copy</span>
+            Copy URL
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+};
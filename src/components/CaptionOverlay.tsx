@@ -0,0 +1,88 @@
+import { Component, For, Show, createSignal, onCleanup, onMount } from 'solid-js';
+import { CaptionFeed, subscribeCaptions, CAPTION_CHANNEL_NAME } from '../lib/captions';
+
+/** Overlay options from the query string, e.g. ?view=captions&lines=3&size=56&ws=ws://localhost:8765 */
+interface OverlayOptions {
+  lines: number;
+  sizePx: number;
+  color: string;
+  background: string;
+  labels: boolean;
+  channelName: string;
+  webSocketUrl?: string;
+}
+
+const LINE_HEIGHT = 1.3;
+
+function readOptions(search: string): OverlayOptions {
+  const params = new URLSearchParams(search);
+  const number = (key: string, fallback: number, min: number, max: number) => {
+    const value = Number(params.get(key));
+    return Number.isFinite(value) && value > 0 ? Math.min(max, Math.max(min, value)) : fallback;
+  };
+  return {
+    lines: Math.round(number('lines', 2, 1, 10)),
+    sizePx: number('size', 48, 12, 200),
+    color: params.get('color') || '#ffffff',
+    background: params.get('bg') || 'transparent',
+    labels: params.get('labels') !== '0',
+    channelName: params.get('channel') || CAPTION_CHANNEL_NAME,
+    webSocketUrl: params.get('ws') || undefined,
+  };
+}
+
+/**
+ * Captions-only view (index.html?view=captions) for OBS browser sources and
+ * other tabs: large text on a transparent background, showing the last N
+ * lines. Captions come from the broadcast outputs (Settings → Caption output).
+ */
+export const CaptionOverlay: Component = () => {
+  const options = readOptions(window.location.search);
+  const feed = new CaptionFeed();
+  // Enough sentences to fill the visible lines; older text scrolls out of the top
+  const [lines, setLines] = createSignal(feed.recent(options.lines * 3));
+
+  onMount(() => {
+    const { body } = document;
+    const previousBackground = body.style.background;
+    body.style.background = options.background;
+    const unsubscribe = subscribeCaptions(
+      (message) => {
+        feed.apply(message);
+        setLines(feed.recent(options.lines * 3));
+      },
+      { channelName: options.channelName, webSocketUrl: options.webSocketUrl }
+    );
+    onCleanup(() => {
+      unsubscribe();
+      body.style.background = previousBackground;
+    });
+  });
+
+  return (
+    <div
+      class="fixed inset-x-0 bottom-0 px-[4vw] pb-[4vh] flex flex-col justify-end overflow-hidden font-sans font-semibold"
+      style={{
+        'font-size': `${options.sizePx}px`,
+        'line-height': String(LINE_HEIGHT),
+        'max-height': `${options.lines * LINE_HEIGHT * options.sizePx + 1}px`,
+        color: options.color,
+        'text-shadow': '0 2px 6px rgba(0, 0, 0, 0.85)',
+      }}
+      aria-live="polite"
+    >
+      <p class="m-0">
+        <For each={lines()}>
+          {(line, index) => (
+            <>
+              <Show when={options.labels && line.channel && line.channel !== lines()[index() - 1]?.channel}>
+                <span class="opacity-70 mr-[0.3em]">{line.channel}:</span>
+              </Show>
+              <span classList={{ 'opacity-70': line.pending }}>{line.text}</span>{' '}
+            </>
+          )}
+        </For>
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,294 @@
+import { Component, For, Show, createMemo } from 'solid-js';
+import { appStore } from '../stores/appStore';
+import { compareTranscripts, type CompareMode, type CompareSideConfig, type CompareSideState, type WordDiffOp, type WordErrorStats } from '../lib/compare';
+import type { ModelEntry } from '../lib/model';
+import { AUDIO_FILE_ACCEPT } from '../lib/audio';
+
+interface ComparePanelProps {
+  models: ModelEntry[];
+  /** Whether a comparison can start (model loaded, nothing else recording or importing) */
+  canRun: boolean;
+  onRunFile: (file: File) => void;
+  onStartLive: () => void;
+  onStop: () => void;
+  onClose: () => void;
+}
+
+const MODES: Array<{ value: CompareMode; label: string }> = [
+  { value: 'v4-utterance', label: 'v4 utterance' },
+  { value: 'v3-streaming', label: 'v3 streaming (LCS)' },
+];
+
+const STATUS_LABELS: Record<CompareSideState['status'], string> = {
+  waiting: 'Waiting',
+  loading: 'Loading model…',
+  running: 'Running',
+  done: 'Done',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const fieldClass =
+  'w-full text-sm bg-transparent border-b border-[var(--color-earthy-sage)]/40 px-0 py-1 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)] disabled:cursor-not-allowed';
+const labelClass = 'text-[10px] uppercase tracking-wider text-[var(--color-earthy-soft-brown)] font-semibold';
+
+const percent = (value: number) => `${(value * 100).toFixed(1)}%`;
+const werLabel = (stats?: WordErrorStats) =>
+  stats ? `${percent(stats.wer)} (S${stats.substitutions} D${stats.deletions} I${stats.insertions} / ${stats.referenceWords})` : '–';
+
+/** Words of one side of a diff; changed words are highlighted. */
+const DiffText: Component<{ ops: WordDiffOp[]; side: 'a' | 'b'; pending: string }> = (props) => (
+  <p class="text-sm leading-relaxed text-[var(--color-earthy-dark-brown)]">
+    <For each={props.ops}>
+      {(op) => {
+        const word = props.side === 'a' ? ('a' in op ? op.a : null) : ('b' in op ? op.b : null);
+        if (word === null) return null;
+        const cls =
+          op.type === 'equal'
+            ? ''
+            : op.type === 'substitute'
+              ? 'bg-amber-100 text-amber-900 rounded px-0.5'
+              : 'bg-[var(--color-earthy-coral)]/20 text-[var(--color-earthy-coral)] rounded px-0.5';
+        const title = op.type === 'substitute' ? `${props.side === 'a' ? 'B' : 'A'}: ${props.side === 'a' ? op.b : op.a}` : op.type === 'equal' ? undefined : `Only in ${props.side.toUpperCase()}`;
+        return <><span class={cls} title={title}>{word}</span>{' '}</>;
+      }}
+    </For>
+    <Show when={props.pending}>
+      <span class="italic text-[var(--color-earthy-soft-brown)]">{props.pending}</span>
+    </Show>
+  </p>
+);
+
+/**
+ * A/B comparison: two pipeline configurations on the same file or live
+ * microphone audio, with a word diff, per-side timing, agreement and WER
+ * against an optional reference transcript.
+ */
+export const ComparePanel: Component<ComparePanelProps> = (props) => {
+  let fileInputRef: HTMLInputElement | undefined;
+
+  const updateSide = (index: number, patch: Partial<CompareSideConfig>) =>
+    appStore.setCompareConfigs((configs) => configs.map((c, i) => (i === index ? { ...c, ...patch } : c)));
+
+  const sides = () => appStore.compareSides();
+  const comparison = createMemo(() => {
+    const [a, b] = sides();
+    if (!a || !b) return null;
+    return compareTranscripts(a.text, b.text, appStore.compareReference());
+  });
+
+  const numberInput = (index: number, key: 'intervalMs' | 'silenceFlushSec' | 'windowDuration' | 'triggerInterval', label: string, min: number, max: number, step: number) => (
+    <label class="flex flex-col gap-0.5">
+      <span class={labelClass}>{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={appStore.compareConfigs()[index][key]}
+        disabled={appStore.isComparing()}
+        onChange={(e) => {
+          const value = parseFloat(e.currentTarget.value);
+          if (Number.isFinite(value)) updateSide(index, { [key]: Math.min(max, Math.max(min, value)) });
+        }}
+        class={fieldClass}
+      />
+    </label>
+  );
+
+  const progress = () => {
+    const p = appStore.compareProgress();
+    if (!p || p.totalSec <= 0) return null;
+    const label = appStore.compareConfigs()[p.side]?.label ?? '';
+    return { label, value: Math.min(1, p.processedSec / p.totalSec) };
+  };
+
+  return (
+    <div class="h-full flex flex-col bg-[var(--color-earthy-bg)] border-l border-[var(--color-earthy-sage)]/30 shadow-[-4px_0_20px_rgba(0,0,0,0.08)]">
+      <div class="flex items-center justify-between px-5 pt-5 pb-3">
+        <h2 class="text-sm font-semibold tracking-tight text-[var(--color-earthy-dark-brown)]">Compare</h2>
+        <button
+          type="button"
+          onClick={props.onClose}
+          class="p-1.5 rounded-full text-[var(--color-earthy-soft-brown)] hover:bg-[var(--color-earthy-sage)]/30 transition-colors"
+          aria-label="Close compare"
+        >
+          <span class="material-symbols-outlined text-lg">close</span>
+        </button>
+      </div>
+
+      <div class="flex-1 min-h-0 overflow-y-auto custom-scrollbar px-5 pb-5 flex flex-col gap-4">
+        {/* Side settings */}
+        <div class="grid grid-cols-2 gap-3">
+          <For each={appStore.compareConfigs()}>
+            {(config, index) => (
+              <div class="p-3 rounded-xl bg-white/70 border border-[var(--color-earthy-sage)]/30 flex flex-col gap-2">
+                <span class="text-xs font-bold text-[var(--color-earthy-muted-green)]">{config.label}</span>
+                <label class="flex flex-col gap-0.5">
+                  <span class={labelClass}>Pipeline</span>
+                  <select
+                    class={fieldClass}
+                    value={config.mode}
+                    disabled={appStore.isComparing()}
+                    onInput={(e) => updateSide(index(), { mode: e.currentTarget.value as CompareMode })}
+                  >
+                    <For each={MODES}>{(m) => <option value={m.value}>{m.label}</option>}</For>
+                  </select>
+                </label>
+                <label class="flex flex-col gap-0.5">
+                  <span class={labelClass}>Model</span>
+                  <select
+                    class={fieldClass}
+                    value={config.modelId}
+                    disabled={appStore.isComparing()}
+                    onInput={(e) => updateSide(index(), { modelId: e.currentTarget.value })}
+                    title="Another model than the loaded one is loaded in a worker of its own"
+                  >
+                    <option value="">Loaded model</option>
+                    <For each={props.models}>{(m) => <option value={m.id}>{m.name}</option>}</For>
+                  </select>
+                </label>
+                <div class="grid grid-cols-2 gap-2">
+                  <Show
+                    when={config.mode === 'v4-utterance'}
+                    fallback={
+                      <>
+                        {numberInput(index(), 'windowDuration', 'Window (s)', 2, 15, 0.5)}
+                        {numberInput(index(), 'triggerInterval', 'Trigger (s)', 0.5, 10, 0.5)}
+                      </>
+                    }
+                  >
+                    {numberInput(index(), 'intervalMs', 'Tick (ms)', 320, 8000, 80)}
+                    {numberInput(index(), 'silenceFlushSec', 'Flush (s)', 0.3, 5, 0.1)}
+                  </Show>
+                </div>
+              </div>
+            )}
+          </For>
+        </div>
+
+        <label class="flex flex-col gap-1">
+          <span class={labelClass}>Reference transcript (optional, for WER)</span>
+          <textarea
+            rows={3}
+            value={appStore.compareReference()}
+            onInput={(e) => appStore.setCompareReference(e.currentTarget.value)}
+            placeholder="Paste what was actually said"
+            class="w-full px-3 py-2 rounded-xl text-xs bg-white/80 border border-[var(--color-earthy-sage)]/30 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)] resize-y"
+          />
+        </label>
+
+        {/* Run controls */}
+        <div class="flex items-center gap-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={AUDIO_FILE_ACCEPT}
+            class="hidden"
+            onChange={(e) => {
+              const file = e.currentTarget.files?.[0];
+              e.currentTarget.value = '';
+              if (file) props.onRunFile(file);
+            }}
+          />
+          <Show
+            when={appStore.isComparing()}
+            fallback={
+              <>
+                <button
+                  type="button"
+                  onClick={() => fileInputRef?.click()}
+                  disabled={!props.canRun}
+                  class="flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold bg-[var(--color-earthy-muted-green)] text-white disabled:opacity-40 disabled:cursor-not-allowed"
+                  title="Run both sides on an audio file, one after the other"
+                >
+                  <span class="material-symbols-outlined text-base">upload_file</span>
+                  Compare file
+                </button>
+                <button
+                  type="button"
+                  onClick={props.onStartLive}
+                  disabled={!props.canRun}
+                  class="flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold border border-[var(--color-earthy-sage)]/50 text-[var(--color-earthy-dark-brown)] hover:bg-white/70 disabled:opacity-40 disabled:cursor-not-allowed"
+                  title="Feed the microphone to both sides at once"
+                >
+                  <span class="material-symbols-outlined text-base">mic</span>
+                  Compare live
+                </button>
+              </>
+            }
+          >
+            <button
+              type="button"
+              onClick={props.onStop}
+              class="flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold bg-[var(--color-earthy-coral)] text-white"
+            >
+              <span class="material-symbols-outlined text-base">stop</span>
+              Stop
+            </button>
+          </Show>
+          <Show when={progress()}>
+            {(p) => (
+              <div class="flex-1 flex items-center gap-2">
+                <div class="flex-1 h-1.5 rounded-full overflow-hidden bg-[var(--color-earthy-sage)]/20">
+                  <div class="h-full bg-[var(--color-earthy-coral)] rounded-full transition-all duration-300" style={{ width: `${Math.round(p().value * 100)}%` }} />
+                </div>
+                <span class="text-[10px] font-mono text-[var(--color-earthy-soft-brown)] tabular-nums">{p().label} {Math.round(p().value * 100)}%</span>
+              </div>
+            )}
+          </Show>
+        </div>
+
+        <Show when={sides().length === 2}>
+          {/* Agreement and per-side stats */}
+          <div class="grid grid-cols-3 gap-3 text-[11px] text-[var(--color-earthy-dark-brown)]">
+            <div class="p-3 rounded-xl bg-white/70 border border-[var(--color-earthy-sage)]/30 flex flex-col gap-1">
+              <span class={labelClass}>Agreement</span>
+              <span class="text-lg font-semibold tabular-nums">{percent(comparison()?.agreement ?? 1)}</span>
+              <span class="text-[var(--color-earthy-soft-brown)]">
+                {comparison()?.distance.hits ?? 0} matching words · {comparison()?.wordsA ?? 0} / {comparison()?.wordsB ?? 0} words
+              </span>
+              <span class="text-[var(--color-earthy-soft-brown)]" title="Word error rate of B with A as the reference">
+                A→B edit rate {percent(comparison()?.distance.wer ?? 0)}
+              </span>
+            </div>
+            <For each={sides()}>
+              {(side, index) => (
+                <div class="p-3 rounded-xl bg-white/70 border border-[var(--color-earthy-sage)]/30 flex flex-col gap-0.5 font-mono">
+                  <span class={`${labelClass} font-sans`}>
+                    {side.config.label} · {STATUS_LABELS[side.status]}
+                  </span>
+                  <span>WER {werLabel(index() === 0 ? comparison()?.werA : comparison()?.werB)}</span>
+                  <span>Latency {side.stats.meanLatencyMs.toFixed(0)} ms (p95 {side.stats.p95LatencyMs.toFixed(0)})</span>
+                  <span>RTFx {side.stats.rtfx.toFixed(1)} · {side.stats.inferences} runs</span>
+                  <Show when={side.stats.dropped > 0}>
+                    <span>{side.stats.dropped} skipped</span>
+                  </Show>
+                  <Show when={side.error}>
+                    <span class="font-sans text-[var(--color-earthy-coral)]">{side.error}</span>
+                  </Show>
+                </div>
+              )}
+            </For>
+          </div>
+
+          {/* Transcripts with the word diff */}
+          <div class="grid grid-cols-2 gap-3">
+            <For each={sides()}>
+              {(side, index) => (
+                <div class="p-3 rounded-xl bg-white/70 border border-[var(--color-earthy-sage)]/30 flex flex-col gap-2">
+                  <span class="text-xs font-bold text-[var(--color-earthy-muted-green)]">
+                    {side.config.label} · {MODES.find((m) => m.value === side.config.mode)?.label}
+                  </span>
+                  <DiffText ops={comparison()?.diff ?? []} side={index() === 0 ? 'a' : 'b'} pending={side.pendingText} />
+                </div>
+              )}
+            </For>
+          </div>
+        </Show>
+      </div>
+    </div>
+  );
+};
+
+export default ComparePanel;
@@ -1,6 +1,5 @@
 import { Component, For, Show, createEffect, onCleanup } from 'solid-js';
 import { appStore } from '../stores/appStore';
-import { getModelDisplayName, MODELS } from './ModelLoadingOverlay';
 
 interface ContextPanelProps {
   isOpen: boolean;
@@ -58,12 +57,12 @@ export const ContextPanel: Component<ContextPanelProps> = (props) => {
                   onInput={(e) => appStore.setSelectedModelId((e.target as HTMLSelectElement).value)}
                   disabled={appStore.modelState() === 'loading'}
                 >
-                  <For each={MODELS}>
+                  <For each={appStore.models()}>
                     {(m) => <option value={m.id}>{m.name}</option>}
                   </For>
                 </select>
                 <p class="text-xs text-[var(--color-earthy-soft-brown)]">
-                  {appStore.modelState() === 'ready' ? getModelDisplayName(appStore.selectedModelId()) : appStore.modelState()}
+                  {appStore.modelState() === 'ready' ? appStore.selectedModel().name : appStore.modelState()}
                 </p>
                 <button
                   type="button"
@@ -7,6 +7,8 @@ import { LayeredBufferVisualizer } from './LayeredBufferVisualizer';
 interface DebugPanelProps {
   audioEngine?: AudioEngine;
   melClient?: MelWorkerClient;
+  /** Save the last recorded v4 pipeline trace */
+  onDownloadTrace?: () => void;
 }
 
 const MODES: { id: TranscriptionMode; label: string; short: string }[] = [
@@ -159,6 +161,50 @@ export const DebugPanel: Component<DebugPanelProps> = (props) => {
                 <div class="text-[10px] font-bold text-[var(--color-earthy-dark-brown)]">{appStore.v4MergerStats().utterancesProcessed}</div>
               </div>
             </div>
+            <Show when={appStore.schedulerStats()}>
+              {(stats) => (
+                <div
+                  class="grid grid-cols-3 gap-1"
+                  title={`Tick scheduling: ${stats().mode}; latency ${Math.round(stats().latencyMs)}ms, pending ${stats().pendingSec.toFixed(1)}s, ${stats().ticks} ticks`}
+                >
+                  <div class="bg-[var(--color-earthy-bg)] border border-[var(--color-earthy-sage)] rounded px-1 py-0.5 text-center">
+                    <div class="text-[7px] font-bold text-[var(--color-earthy-soft-brown)] uppercase">Tick</div>
+                    <div class="text-[10px] font-bold text-[var(--color-earthy-dark-brown)]">{stats().intervalMs}ms</div>
+                  </div>
+                  <div class="bg-[var(--color-earthy-bg)] border border-[var(--color-earthy-sage)] rounded px-1 py-0.5 text-center">
+                    <div class="text-[7px] font-bold text-[var(--color-earthy-soft-brown)] uppercase">Sched</div>
+                    <div class={`text-[10px] font-bold ${stats().mode === 'behind' ? 'text-[var(--color-earthy-coral)]' : 'text-[var(--color-earthy-dark-brown)]'}`}>{stats().mode}</div>
+                  </div>
+                  <div class="bg-[var(--color-earthy-bg)] border border-[var(--color-earthy-sage)] rounded px-1 py-0.5 text-center">
+                    <div class="text-[7px] font-bold text-[var(--color-earthy-soft-brown)] uppercase">Drop</div>
+                    <div class={`text-[10px] font-bold ${stats().droppedTicks > 0 ? 'text-[var(--color-earthy-coral)]' : 'text-[var(--color-earthy-dark-brown)]'}`}>{stats().droppedTicks}</div>
+                  </div>
+                </div>
+              )}
+            </Show>
+            <div class="flex items-center justify-between pt-1">
+              <label
+                class={`flex items-center gap-1 text-[9px] font-bold uppercase text-[var(--color-earthy-soft-brown)] ${isRecording() ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                title="Record audio, VAD, windows and ASR results of the next run for offline replay"
+              >
+                <input
+                  type="checkbox"
+                  checked={appStore.recordTrace()}
+                  disabled={isRecording()}
+                  onChange={(e) => appStore.setRecordTrace(e.currentTarget.checked)}
+                  class="rounded border-[var(--color-earthy-sage)]"
+                />
+                Trace
+              </label>
+              <button
+                class="px-1.5 py-0.5 rounded border border-[var(--color-earthy-sage)] text-[9px] font-bold uppercase text-[var(--color-earthy-soft-brown)] hover:bg-[var(--color-earthy-sage)]/20 disabled:opacity-40 disabled:cursor-not-allowed"
+                disabled={!appStore.traceAvailable()}
+                onClick={() => props.onDownloadTrace?.()}
+                title="Download the last trace (JSON)"
+              >
+                Download
+              </button>
+            </div>
           </div>
         </Show>
 
@@ -0,0 +1,92 @@
+import { Component, For, Show, createEffect, createSignal, onCleanup } from 'solid-js';
+import { appStore } from '../stores/appStore';
+import type { TranscriptExportFormat } from '../lib/export';
+
+export const EXPORT_FORMATS: { id: TranscriptExportFormat; label: string; hint: string }[] = [
+  { id: 'srt', label: 'SRT', hint: 'Subtitles' },
+  { id: 'vtt', label: 'WebVTT', hint: 'Web captions' },
+  { id: 'json', label: 'JSON', hint: 'Word timings + confidence' },
+  { id: 'txt', label: 'Text', hint: 'Plain transcript' },
+];
+
+interface ExportMenuProps {
+  /** Classes for the trigger button */
+  buttonClass?: string;
+  /** Open the menu above the button (default) or below */
+  placement?: 'top' | 'bottom';
+  /** Edge of the button the menu is aligned to (default 'right') */
+  align?: 'left' | 'right';
+}
+
+/**
+ * Download button with a format picker (SRT, WebVTT, JSON, text).
+ */
+export const ExportMenu: Component<ExportMenuProps> = (props) => {
+  const [open, setOpen] = createSignal(false);
+  let containerRef: HTMLDivElement | undefined;
+
+  createEffect(() => {
+    if (!open()) return;
+    const onMouseDown = (e: MouseEvent) => {
+      if (containerRef?.contains(e.target as Node)) return;
+      setOpen(false);
+    };
+    const onKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', onMouseDown);
+    document.addEventListener('keydown', onKeyDown);
+    onCleanup(() => {
+      document.removeEventListener('mousedown', onMouseDown);
+      document.removeEventListener('keydown', onKeyDown);
+    });
+  });
+
+  const handleExport = (format: TranscriptExportFormat) => {
+    appStore.exportTranscript(format);
+    setOpen(false);
+  };
+
+  return (
+    <div class="relative" ref={(el) => { containerRef = el; }}>
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        class={props.buttonClass ?? 'w-10 h-10 rounded-full flex items-center justify-center text-[var(--color-earthy-dark-brown)] hover:bg-[var(--color-earthy-bg)] transition-colors border border-transparent hover:border-[var(--color-earthy-sage)]/30'}
+        title="Export transcript"
+        aria-haspopup="menu"
+        aria-expanded={open()}
+      >
+        <span class="material-symbols-outlined">download</span>
+      </button>
+      <Show when={open()}>
+        <div
+          role="menu"
+          class="absolute z-50 w-52 p-1.5 rounded-xl bg-white/95 backdrop-blur-sm shadow-lg border border-[var(--color-earthy-sage)]/30"
+          classList={{
+            'bottom-full mb-2': props.placement !== 'bottom',
+            'top-full mt-2': props.placement === 'bottom',
+            'right-0': props.align !== 'left',
+            'left-0': props.align === 'left',
+          }}
+        >
+          <For each={EXPORT_FORMATS}>
+            {(fmt) => (
+              <button
+                type="button"
+                role="menuitem"
+                onClick={() => handleExport(fmt.id)}
+                class="w-full flex items-center justify-between gap-3 px-3 py-2 rounded-lg text-left hover:bg-[var(--color-earthy-sage)]/20 transition-colors"
+              >
+                <span class="text-xs font-semibold text-[var(--color-earthy-dark-brown)]">{fmt.label}</span>
+                <span class="text-[10px] text-[var(--color-earthy-soft-brown)]">{fmt.hint}</span>
+              </button>
+            )}
+          </For>
+        </div>
+      </Show>
+    </div>
+  );
+};
+
+export default ExportMenu;
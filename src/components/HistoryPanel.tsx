@@ -0,0 +1,231 @@
+import { Component, For, Show, createSignal, createEffect, onCleanup } from 'solid-js';
+import type { SessionRecord, SessionSource, SessionStore, SessionSummary } from '../lib/history';
+import { formatDuration } from '../utils/time';
+
+interface HistoryPanelProps {
+  store: SessionStore;
+  /** Session currently being recorded (cannot be deleted) */
+  activeSessionId: string | null;
+  /** Reopening is disabled while recording or importing */
+  canOpen: boolean;
+  onOpen: (record: SessionRecord) => void;
+  onClose: () => void;
+}
+
+const SOURCE_LABELS: Record<SessionSource, string> = {
+  microphone: 'Microphone',
+  tab: 'Tab audio',
+  'mic+tab': 'Microphone and tab audio',
+  file: 'Imported file',
+};
+const SOURCE_ICONS: Record<SessionSource, string> = {
+  microphone: 'mic',
+  tab: 'tab',
+  'mic+tab': 'groups',
+  file: 'audio_file',
+};
+
+const formatDate = (ms: number) =>
+  new Date(ms).toLocaleString(undefined, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Saved sessions: search, rename, reopen and delete.
+ */
+export const HistoryPanel: Component<HistoryPanelProps> = (props) => {
+  const [query, setQuery] = createSignal('');
+  const [sessions, setSessions] = createSignal<SessionSummary[]>([]);
+  const [loading, setLoading] = createSignal(true);
+  const [error, setError] = createSignal<string | null>(null);
+  const [editingId, setEditingId] = createSignal<string | null>(null);
+  const [editTitle, setEditTitle] = createSignal('');
+
+  let searchTimeout: number | undefined;
+  let requestSeq = 0;
+
+  const refresh = async () => {
+    const seq = ++requestSeq;
+    try {
+      const result = await props.store.search(query());
+      if (seq !== requestSeq) return; // a newer search superseded this one
+      setSessions(result);
+      setError(null);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      if (seq === requestSeq) setLoading(false);
+    }
+  };
+
+  createEffect(() => {
+    query(); // Track dependency
+    clearTimeout(searchTimeout);
+    searchTimeout = window.setTimeout(refresh, 200);
+  });
+
+  onCleanup(() => clearTimeout(searchTimeout));
+
+  const startRename = (s: SessionSummary) => {
+    setEditingId(s.id);
+    setEditTitle(s.title);
+  };
+
+  const commitRename = async () => {
+    const id = editingId();
+    if (!id) return;
+    setEditingId(null);
+    try {
+      await props.store.rename(id, editTitle());
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    }
+    await refresh();
+  };
+
+  const handleOpen = async (id: string) => {
+    if (!props.canOpen) return;
+    const record = await props.store.get(id);
+    if (record) props.onOpen(record);
+  };
+
+  const handleDelete = async (s: SessionSummary) => {
+    if (!window.confirm(`Delete "${s.title}"? This cannot be undone.`)) return;
+    await props.store.delete(s.id);
+    await refresh();
+  };
+
+  const handleClearAll = async () => {
+    if (!window.confirm('Delete all saved sessions? Downloaded models are not affected.')) return;
+    await props.store.clear();
+    await refresh();
+  };
+
+  return (
+    <div class="h-full flex flex-col bg-[var(--color-earthy-bg)] border-l border-[var(--color-earthy-sage)]/30 shadow-[-4px_0_20px_rgba(0,0,0,0.08)]">
+      <div class="flex items-center justify-between px-5 pt-5 pb-3">
+        <h2 class="text-sm font-semibold tracking-tight text-[var(--color-earthy-dark-brown)]">History</h2>
+        <button
+          type="button"
+          onClick={props.onClose}
+          class="p-1.5 rounded-full text-[var(--color-earthy-soft-brown)] hover:bg-[var(--color-earthy-sage)]/30 transition-colors"
+          aria-label="Close history"
+        >
+          <span class="material-symbols-outlined text-lg">close</span>
+        </button>
+      </div>
+
+      <div class="px-5 pb-3">
+        <div class="flex items-center gap-2 px-3 py-2 rounded-xl bg-white/80 border border-[var(--color-earthy-sage)]/30">
+          <span class="material-symbols-outlined text-base text-[var(--color-earthy-soft-brown)]">search</span>
+          <input
+            type="search"
+            value={query()}
+            onInput={(e) => setQuery(e.currentTarget.value)}
+            placeholder="Search transcripts"
+            class="flex-1 bg-transparent border-none p-0 text-xs text-[var(--color-earthy-dark-brown)] focus:ring-0"
+          />
+        </div>
+      </div>
+
+      <Show when={error()}>
+        <p class="px-5 pb-2 text-[11px] text-[var(--color-earthy-coral)]">{error()}</p>
+      </Show>
+
+      <div class="flex-1 min-h-0 overflow-y-auto custom-scrollbar px-3 pb-4">
+        <Show
+          when={sessions().length > 0}
+          fallback={
+            <p class="px-2 py-8 text-center text-xs italic text-[var(--color-earthy-soft-brown)] opacity-70">
+              {loading() ? 'Loading…' : query().trim() ? 'No sessions match your search.' : 'No saved sessions yet.'}
+            </p>
+          }
+        >
+          <For each={sessions()}>
+            {(s) => (
+              <div class="group px-2 py-3 rounded-xl hover:bg-white/70 transition-colors">
+                <div class="flex items-start gap-2">
+                  <div class="flex-1 min-w-0">
+                    <Show
+                      when={editingId() === s.id}
+                      fallback={
+                        <button
+                          type="button"
+                          onClick={() => handleOpen(s.id)}
+                          disabled={!props.canOpen}
+                          class="block w-full text-left text-xs font-semibold text-[var(--color-earthy-dark-brown)] truncate hover:text-[var(--color-earthy-muted-green)] disabled:hover:text-[var(--color-earthy-dark-brown)] disabled:cursor-not-allowed"
+                          title={props.canOpen ? 'Open session' : 'Stop recording to open a session'}
+                        >
+                          {s.title}
+                        </button>
+                      }
+                    >
+                      <input
+                        type="text"
+                        value={editTitle()}
+                        onInput={(e) => setEditTitle(e.currentTarget.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') void commitRename();
+                          if (e.key === 'Escape') setEditingId(null);
+                        }}
+                        onBlur={() => void commitRename()}
+                        ref={(el) => queueMicrotask(() => el.focus())}
+                        class="w-full px-2 py-1 rounded-md text-xs border border-[var(--color-earthy-sage)]/50 bg-white"
+                      />
+                    </Show>
+                    <div class="mt-0.5 flex items-center gap-2 text-[10px] text-[var(--color-earthy-soft-brown)]">
+                      <span>{formatDate(s.updatedAt)}</span>
+                      <span>·</span>
+                      <span class="font-mono">{formatDuration(Math.round(s.durationSec))}</span>
+                      <span>·</span>
+                      <span class="material-symbols-outlined text-[12px]" title={SOURCE_LABELS[s.source] ?? 'Microphone'}>
+                        {SOURCE_ICONS[s.source] ?? 'mic'}
+                      </span>
+                      <Show when={s.id === props.activeSessionId}>
+                        <span class="text-[var(--color-earthy-coral)] font-semibold uppercase tracking-wider">Live</span>
+                      </Show>
+                    </div>
+                  </div>
+                  <div class="flex items-center gap-0.5 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                    <button
+                      type="button"
+                      onClick={() => startRename(s)}
+                      class="p-1 rounded-full text-[var(--color-earthy-soft-brown)] hover:bg-[var(--color-earthy-sage)]/30"
+                      title="Rename"
+                    >
+                      <span class="material-symbols-outlined text-base">edit</span>
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(s)}
+                      disabled={s.id === props.activeSessionId}
+                      class="p-1 rounded-full text-[var(--color-earthy-soft-brown)] hover:text-[var(--color-earthy-coral)] hover:bg-[var(--color-earthy-sage)]/30 disabled:opacity-40 disabled:cursor-not-allowed"
+                      title="Delete"
+                    >
+                      <span class="material-symbols-outlined text-base">delete</span>
+                    </button>
+                  </div>
+                </div>
+                <p class="mt-1.5 text-[11px] leading-snug text-[var(--color-earthy-dark-brown)]/80 line-clamp-2">{s.snippet}</p>
+              </div>
+            )}
+          </For>
+        </Show>
+      </div>
+
+      <Show when={sessions().length > 0 && !query().trim()}>
+        <div class="px-5 py-3 border-t border-[var(--color-earthy-sage)]/30 flex items-center justify-between text-[10px] text-[var(--color-earthy-soft-brown)]">
+          <span>{sessions().length} saved session{sessions().length === 1 ? '' : 's'}</span>
+          <button
+            type="button"
+            onClick={handleClearAll}
+            disabled={props.activeSessionId !== null}
+            class="uppercase tracking-wider font-semibold hover:text-[var(--color-earthy-coral)] transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Clear all
+          </button>
+        </div>
+      </Show>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -375,23 +375,38 @@ export const LayeredBufferVisualizer: Component<LayeredBufferVisualizerProps> =
     };
 
     const drawVadLayer = (ctx: CanvasRenderingContext2D, width: number, height: number, offsetY: number, startTime: number, duration: number, dpr: number) => {
-        // Draw VAD state as a colored bar
-        // For now, just show current VAD state as a solid bar (could be enhanced with historical data)
+        // v4 pipelines report fused decisions over time; otherwise show the current energy VAD state
+        const fusion = appStore.vadFusion();
+        const spans = appStore.vadFusionSpans();
         const vadState = appStore.vadState();
-        const isSpeech = vadState.isSpeech;
-
-        // Background
-        ctx.fillStyle = isSpeech ? 'rgba(249, 115, 22, 0.4)' : 'rgba(100, 116, 139, 0.2)'; // Orange when speech, slate when silence
-        ctx.fillRect(0, offsetY, width, height);
+        const isSpeech = fusion && spans.length > 0 ? spans[spans.length - 1].speech : vadState.isSpeech;
+
+        if (fusion && spans.length > 0) {
+            ctx.fillStyle = 'rgba(100, 116, 139, 0.2)';
+            ctx.fillRect(0, offsetY, width, height);
+            // Fused speech spans in the visible window (orange)
+            ctx.fillStyle = 'rgba(249, 115, 22, 0.55)';
+            const endTime = startTime + duration;
+            for (const span of spans) {
+                if (!span.speech || span.end <= startTime || span.start >= endTime) continue;
+                const x0 = ((Math.max(span.start, startTime) - startTime) / duration) * width;
+                const x1 = ((Math.min(span.end, endTime) - startTime) / duration) * width;
+                ctx.fillRect(x0, offsetY, Math.max(1, x1 - x0), height);
+            }
+        } else {
+            ctx.fillStyle = isSpeech ? 'rgba(249, 115, 22, 0.4)' : 'rgba(100, 116, 139, 0.2)'; // Orange when speech, slate when silence
+            ctx.fillRect(0, offsetY, width, height);
+        }
 
-        // If energy-based detection is active, show energy level as a bar
+        // Energy level as a bar from the right (a thin strip on top of fused spans)
         const energyLevel = appStore.audioLevel();
         const energyThreshold = appStore.energyThreshold();
 
         if (energyLevel > 0) {
             const barWidth = Math.min(width, width * (energyLevel / 0.3)); // Scale to max 30% energy
+            const barHeight = fusion ? Math.max(2 * dpr, height * 0.25) : height;
             ctx.fillStyle = energyLevel > energyThreshold ? 'rgba(249, 115, 22, 0.8)' : 'rgba(74, 222, 128, 0.6)';
-            ctx.fillRect(width - barWidth, offsetY, barWidth, height);
+            ctx.fillRect(width - barWidth, offsetY, barWidth, barHeight);
         }
 
         // Draw a thin separator line at top
@@ -402,10 +417,18 @@ export const LayeredBufferVisualizer: Component<LayeredBufferVisualizerProps> =
         ctx.lineTo(width, offsetY);
         ctx.stroke();
 
-        // Label
+        // Label: decision, then policy and each layer's peak probability for the last check
+        let label = isSpeech ? 'SPEECH' : 'SILENCE';
+        if (fusion) {
+            const layer = (name: string, id: keyof typeof fusion.layers) => {
+                const d = fusion.layers[id];
+                return `${name} ${d?.available ? d.maxProb.toFixed(2).replace(/^0/, '') : '–'}`;
+            };
+            label += ` ${fusion.policy.toUpperCase()} ${layer('E', 'energyVad')} ${layer('T', 'inferenceVad')} ${layer('S', 'sileroVad')}`;
+        }
         ctx.fillStyle = isSpeech ? '#fb923c' : '#64748b';
         ctx.font = `${8 * dpr}px monospace`;
-        ctx.fillText(isSpeech ? 'SPEECH' : 'SILENCE', 4 * dpr, offsetY + height - 2 * dpr);
+        ctx.fillText(label, 4 * dpr, offsetY + height - 2 * dpr);
     };
 
     const drawOverlay = (ctx: CanvasRenderingContext2D, width: number, height: number, startTime: number, duration: number, dpr: number) => {
@@ -0,0 +1,196 @@
+import { Component, For, Show, createSignal, onMount } from 'solid-js';
+import { appStore } from '../stores/appStore';
+import {
+  ModelCache,
+  QUANT_CHOICES,
+  describeIntegrityFailures,
+  fetchRepoManifest,
+  findModelByRepo,
+  getStorageEstimate,
+  integrityPassed,
+  type CachedModel,
+  type QuantChoice,
+  type StorageEstimate,
+} from '../lib/model';
+
+const inputClass =
+  'min-w-0 text-xs bg-transparent border-b border-[var(--color-earthy-sage)]/40 px-0 py-1 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)]';
+const labelClass = 'text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]';
+const actionClass =
+  'flex items-center gap-1 text-xs font-medium text-[var(--color-earthy-soft-brown)] hover:opacity-80 disabled:opacity-40 disabled:cursor-not-allowed';
+
+const formatBytes = (bytes: number) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+/**
+ * Model registry and cache: quantization of the selected model, custom
+ * Hugging Face repos, and the cached models with their size, storage quota,
+ * integrity check and per-model delete.
+ */
+export const ModelLibrary: Component = () => {
+  const cache = new ModelCache();
+  const [cached, setCached] = createSignal<CachedModel[]>([]);
+  const [estimate, setEstimate] = createSignal<StorageEstimate | null>(null);
+  const [repoInput, setRepoInput] = createSignal('');
+  const [busyRepo, setBusyRepo] = createSignal<string | null>(null);
+  const [notice, setNotice] = createSignal('');
+
+  const loading = () => appStore.modelState() === 'loading';
+  const model = () => appStore.selectedModel();
+  const labelFor = (repoId: string) => findModelByRepo(appStore.models(), repoId)?.name ?? repoId;
+
+  const refresh = async () => {
+    const [models, storage] = await Promise.all([cache.listModels(), getStorageEstimate().catch(() => null)]);
+    setCached(models);
+    setEstimate(storage);
+  };
+
+  onMount(() => {
+    void refresh();
+  });
+
+  const addModel = () => {
+    const added = appStore.addCustomModel(repoInput());
+    if (!added) return;
+    appStore.setSelectedModelId(added.id);
+    setRepoInput('');
+    setNotice(`Added ${added.repoId}`);
+  };
+
+  const removeModel = () => {
+    const current = model();
+    if (current.builtIn || !window.confirm(`Remove ${current.repoId} from the model list?`)) return;
+    appStore.removeCustomModel(current.id);
+    setNotice('');
+  };
+
+  const verify = async (entry: CachedModel) => {
+    setBusyRepo(entry.repoId);
+    setNotice(`Verifying ${labelFor(entry.repoId)}...`);
+    try {
+      const revision = entry.files[0]?.revision ?? 'main';
+      const manifest = await fetchRepoManifest(entry.repoId, revision);
+      const results = await cache.verifyModel(entry.repoId, manifest, { revision });
+      setNotice(integrityPassed(results)
+        ? `${labelFor(entry.repoId)}: ${results.length} file${results.length === 1 ? '' : 's'} OK`
+        : `${labelFor(entry.repoId)}: ${describeIntegrityFailures(results)}`);
+    } catch (err) {
+      setNotice(err instanceof Error ? err.message : String(err));
+    } finally {
+      setBusyRepo(null);
+    }
+  };
+
+  const remove = async (entry: CachedModel) => {
+    if (!window.confirm(`Delete the cached files of ${labelFor(entry.repoId)} (${formatBytes(entry.bytes)})?`)) return;
+    setBusyRepo(entry.repoId);
+    try {
+      const freed = await cache.deleteModel(entry.repoId);
+      setNotice(`Freed ${formatBytes(freed)}`);
+      await refresh();
+    } finally {
+      setBusyRepo(null);
+    }
+  };
+
+  const quantSelect = (label: string, value: QuantChoice, onChange: (q: QuantChoice) => void) => (
+    <label class="flex items-center gap-2 text-xs text-[var(--color-earthy-dark-brown)]">
+      <span class={labelClass}>{label}</span>
+      <select
+        class={inputClass}
+        value={value}
+        onInput={(e) => onChange((e.target as HTMLSelectElement).value as QuantChoice)}
+        disabled={loading()}
+      >
+        <For each={QUANT_CHOICES}>{(q) => <option value={q}>{q}</option>}</For>
+      </select>
+    </label>
+  );
+
+  return (
+    <div class="space-y-3 pt-1">
+      <div class="flex items-center gap-4 flex-wrap">
+        {quantSelect('Encoder', model().encoderQuant, (q) => appStore.setModelQuant(model().id, { encoderQuant: q }))}
+        {quantSelect('Decoder', model().decoderQuant, (q) => appStore.setModelQuant(model().id, { decoderQuant: q }))}
+        <Show when={!model().builtIn}>
+          <button type="button" class={actionClass} onClick={removeModel} disabled={loading()} title="Remove this custom model">
+            <span class="material-symbols-outlined text-sm">delete</span>Remove
+          </button>
+        </Show>
+      </div>
+      <Show when={appStore.modelState() === 'ready'}>
+        <p class="text-[10px] text-[var(--color-earthy-soft-brown)]">Quantization changes apply the next time the model is loaded.</p>
+      </Show>
+
+      <form
+        class="flex items-center gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          addModel();
+        }}
+      >
+        <input
+          class={`${inputClass} flex-1`}
+          placeholder="owner/repo on Hugging Face"
+          value={repoInput()}
+          onInput={(e) => setRepoInput(e.currentTarget.value)}
+        />
+        <button type="submit" class={actionClass} disabled={!repoInput().trim()}>
+          <span class="material-symbols-outlined text-sm">add</span>Add model
+        </button>
+      </form>
+
+      <div class="space-y-1">
+        <div class="flex items-center justify-between">
+          <h4 class={labelClass}>Cached models</h4>
+          <button type="button" class={actionClass} onClick={() => void refresh()} title="Refresh">
+            <span class="material-symbols-outlined text-sm">refresh</span>
+          </button>
+        </div>
+        <Show when={estimate()}>
+          {(storage) => (
+            <div class="space-y-0.5">
+              <div class="h-1 rounded-full overflow-hidden bg-[var(--color-earthy-sage)]/20">
+                <div
+                  class="h-full bg-[var(--color-earthy-muted-green)]"
+                  style={{ width: `${storage().quota > 0 ? Math.min(100, (storage().usage / storage().quota) * 100) : 0}%` }}
+                />
+              </div>
+              <p class="text-[10px] text-[var(--color-earthy-soft-brown)]">
+                {formatBytes(storage().usage)} used of {formatBytes(storage().quota)}
+                {storage().persisted ? ' (persistent)' : ''}
+              </p>
+            </div>
+          )}
+        </Show>
+        <Show when={cached().length > 0} fallback={<p class="text-xs text-[var(--color-earthy-soft-brown)]">No cached models</p>}>
+          <ul class="space-y-1">
+            <For each={cached()}>
+              {(entry) => (
+                <li class="flex items-center gap-2 text-xs text-[var(--color-earthy-dark-brown)]">
+                  <span class="flex-1 min-w-0 truncate" title={entry.files.map((f) => `${f.filename} (${f.source})`).join('\n')}>
+                    {labelFor(entry.repoId)}
+                  </span>
+                  <span class="font-mono text-[var(--color-earthy-soft-brown)]">{formatBytes(entry.bytes)}</span>
+                  <button type="button" class={actionClass} onClick={() => void verify(entry)} disabled={busyRepo() !== null} title="Check files against the repo">
+                    <span class="material-symbols-outlined text-sm">verified</span>
+                  </button>
+                  <button type="button" class={actionClass} onClick={() => void remove(entry)} disabled={busyRepo() !== null || loading()} title="Delete cached files">
+                    <span class="material-symbols-outlined text-sm">delete</span>
+                  </button>
+                </li>
+              )}
+            </For>
+          </ul>
+        </Show>
+      </div>
+
+      <Show when={notice()}>
+        <p class="text-[10px] text-[var(--color-earthy-soft-brown)]">{notice()}</p>
+      </Show>
+    </div>
+  );
+};
@@ -1,4 +1,5 @@
 import { Component, Show, For, createEffect } from 'solid-js';
+import type { ModelEntry } from '../lib/model';
 
 interface ModelLoadingOverlayProps {
     isVisible: boolean;
@@ -7,6 +8,8 @@ interface ModelLoadingOverlayProps {
     file?: string;
     backend: 'webgpu' | 'wasm';
     state: 'unloaded' | 'loading' | 'ready' | 'error';
+    /** Registry models (built-in and custom) */
+    models: ModelEntry[];
     selectedModelId: string;
     onModelSelect: (id: string) => void;
     onStart: () => void;
@@ -14,15 +17,6 @@ interface ModelLoadingOverlayProps {
     onClose?: () => void;
 }
 
-export const MODELS = [
-    { id: 'parakeet-tdt-0.6b-v2', name: 'Parakeet v2', desc: 'English optimized' },
-    { id: 'parakeet-tdt-0.6b-v3', name: 'Parakeet v3', desc: 'Multilingual Streaming' },
-];
-
-export function getModelDisplayName(id: string): string {
-    return (MODELS.find((m) => m.id === id)?.name ?? id) || 'Unknown model';
-}
-
 export const ModelLoadingOverlay: Component<ModelLoadingOverlayProps> = (props) => {
     const progressWidth = () => `${Math.max(0, Math.min(100, props.progress))}%`;
     let fileInput: HTMLInputElement | undefined;
@@ -106,8 +100,8 @@ export const ModelLoadingOverlay: Component<ModelLoadingOverlayProps> = (props)
                         <div class="px-10 pb-10">
                             <Show when={props.state === 'unloaded'}>
                                 <div class="space-y-4">
-                                    <div class="grid gap-4">
-                                        <For each={MODELS}>
+                                    <div class="grid gap-4 max-h-[50vh] overflow-y-auto p-1">
+                                        <For each={props.models}>
                                             {(model) => (
                                                 <button
                                                     onClick={() => props.onModelSelect(model.id)}
@@ -124,7 +118,7 @@ export const ModelLoadingOverlay: Component<ModelLoadingOverlayProps> = (props)
                                                     </div>
                                                     <div>
                                                         <div class="font-bold text-lg leading-tight">{model.name}</div>
-                                                        <div class="text-[10px] font-black opacity-40 uppercase tracking-widest mt-1">{model.desc}</div>
+                                                        <div class="text-[10px] font-black opacity-40 uppercase tracking-widest mt-1">{model.description}</div>
                                                     </div>
                                                 </button>
                                             )}
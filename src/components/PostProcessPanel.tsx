@@ -0,0 +1,395 @@
+import { Component, For, Index, Show, createSignal } from 'solid-js';
+import { appStore } from '../stores/appStore';
+import {
+  checkEndpoint,
+  createPromptTemplate,
+  defaultPostProcess,
+  listModels,
+  type PostProcessConfig,
+  type PostProcessResult,
+  type PromptScope,
+  type PromptTemplate,
+} from '../lib/postprocess';
+
+interface PostProcessPanelProps {
+  /** Whether there are finalized sentences to run a template on */
+  hasTranscript: boolean;
+  onRun: (templateId: string) => void;
+  onCancel: () => void;
+  onClose: () => void;
+}
+
+const STATUS_LABELS: Record<PostProcessResult['status'], string> = {
+  running: 'Running',
+  done: 'Done',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const fieldClass =
+  'w-full text-sm bg-transparent border-b border-[var(--color-earthy-sage)]/40 px-0 py-1 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)] disabled:cursor-not-allowed';
+const labelClass = 'text-[10px] uppercase tracking-wider text-[var(--color-earthy-soft-brown)] font-semibold';
+const textareaClass =
+  'w-full px-3 py-2 rounded-xl text-xs bg-white/80 border border-[var(--color-earthy-sage)]/30 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)] resize-y';
+
+const formatClock = (time: number) =>
+  new Date(time).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Post-processing: summaries, action items and cleanup of the finalized
+ * transcript by a language model on a local server. Holds the endpoint
+ * settings (off until switched on), the prompt templates and the answers,
+ * which stream in as they are generated.
+ */
+export const PostProcessPanel: Component<PostProcessPanelProps> = (props) => {
+  const [showSettings, setShowSettings] = createSignal(!appStore.postProcess().enabled);
+  const [models, setModels] = createSignal<string[]>([]);
+  const [modelsError, setModelsError] = createSignal<string | null>(null);
+
+  const config = () => appStore.postProcess();
+  const update = (patch: Partial<PostProcessConfig>) => appStore.setPostProcess({ ...config(), ...patch });
+  const endpointProblem = () => checkEndpoint(config().endpoint);
+  const template = () => config().templates.find((t) => t.id === config().templateId) ?? config().templates[0];
+  const updateTemplate = (id: string, patch: Partial<PromptTemplate>) =>
+    update({ templates: config().templates.map((t) => (t.id === id ? { ...t, ...patch } : t)) });
+  const isRunning = () => appStore.postProcessResults().some((r) => r.status === 'running');
+
+  const addTemplate = () => {
+    const created = createPromptTemplate();
+    update({ templates: [...config().templates, created], templateId: created.id });
+  };
+  const removeTemplate = (id: string) => {
+    const templates = config().templates.filter((t) => t.id !== id);
+    if (templates.length === 0) return;
+    update({ templates, templateId: templates[0].id });
+  };
+
+  const fetchModels = async () => {
+    setModelsError(null);
+    try {
+      const ids = await listModels(config().endpoint, config().apiKey);
+      setModels(ids);
+      if (ids.length === 0) setModelsError('The server listed no models');
+      else if (!config().model) update({ model: ids[0] });
+    } catch (err) {
+      setModels([]);
+      setModelsError(err instanceof Error ? err.message : String(err));
+    }
+  };
+
+  const numberInput = (key: 'temperature' | 'maxTokens' | 'batchSize', label: string, min: number, max: number, step: number, title?: string) => (
+    <label class="flex flex-col gap-0.5" title={title}>
+      <span class={labelClass}>{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={config()[key]}
+        onChange={(e) => {
+          const value = parseFloat(e.currentTarget.value);
+          if (Number.isFinite(value)) update({ [key]: Math.min(max, Math.max(min, value)) });
+        }}
+        class={fieldClass}
+      />
+    </label>
+  );
+
+  const copy = (text: string) => {
+    void navigator.clipboard?.writeText(text).catch((err) => console.warn('[PostProcess] Copy failed:', err));
+  };
+
+  return (
+    <div class="h-full flex flex-col bg-[var(--color-earthy-bg)] border-l border-[var(--color-earthy-sage)]/30 shadow-[-4px_0_20px_rgba(0,0,0,0.08)]">
+      <div class="flex items-center justify-between px-5 pt-5 pb-3">
+        <h2 class="text-sm font-semibold tracking-tight text-[var(--color-earthy-dark-brown)]">Post-processing</h2>
+        <div class="flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => setShowSettings(!showSettings())}
+            class={`p-1.5 rounded-full transition-colors ${showSettings() ? 'bg-[var(--color-earthy-sage)]/30 text-[var(--color-earthy-dark-brown)]' : 'text-[var(--color-earthy-soft-brown)] hover:bg-[var(--color-earthy-sage)]/30'}`}
+            aria-label="Post-processing settings"
+            title="Server and templates"
+          >
+            <span class="material-symbols-outlined text-lg">tune</span>
+          </button>
+          <button
+            type="button"
+            onClick={props.onClose}
+            class="p-1.5 rounded-full text-[var(--color-earthy-soft-brown)] hover:bg-[var(--color-earthy-sage)]/30 transition-colors"
+            aria-label="Close post-processing"
+          >
+            <span class="material-symbols-outlined text-lg">close</span>
+          </button>
+        </div>
+      </div>
+
+      <div class="flex-1 min-h-0 overflow-y-auto custom-scrollbar px-5 pb-5 flex flex-col gap-4">
+        <Show when={showSettings()}>
+          <div class="p-3 rounded-xl bg-white/70 border border-[var(--color-earthy-sage)]/30 flex flex-col gap-3">
+            <label class="flex items-start gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={config().enabled}
+                onChange={(e) => update({ enabled: e.currentTarget.checked })}
+                class="mt-0.5 accent-[var(--color-earthy-muted-green)]"
+              />
+              <span class="text-xs text-[var(--color-earthy-dark-brown)]">
+                Send transcripts to a local language model
+                <span class="block text-[10px] text-[var(--color-earthy-soft-brown)]">
+                  Off by default. When on, finalized sentences are sent to the server below when you run a template (or automatically, if enabled). Servers on this device only, e.g. llama.cpp server or Ollama.
+                </span>
+              </span>
+            </label>
+
+            <div class={`flex flex-col gap-3 ${config().enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+              <label class="flex flex-col gap-0.5">
+                <span class={labelClass}>OpenAI-compatible endpoint</span>
+                <input
+                  type="url"
+                  value={config().endpoint}
+                  onChange={(e) => update({ endpoint: e.currentTarget.value.trim() })}
+                  placeholder="http://localhost:11434/v1"
+                  class={fieldClass}
+                />
+                <Show when={endpointProblem()}>
+                  <span class="text-[10px] text-[var(--color-earthy-coral)]">{endpointProblem()}</span>
+                </Show>
+              </label>
+              <div class="flex items-end gap-2">
+                <label class="flex-1 flex flex-col gap-0.5">
+                  <span class={labelClass}>Model</span>
+                  <input
+                    type="text"
+                    list="post-process-models"
+                    value={config().model}
+                    onChange={(e) => update({ model: e.currentTarget.value.trim() })}
+                    placeholder="Server default"
+                    class={fieldClass}
+                  />
+                  <datalist id="post-process-models">
+                    <For each={models()}>{(id) => <option value={id} />}</For>
+                  </datalist>
+                </label>
+                <button
+                  type="button"
+                  onClick={() => void fetchModels()}
+                  disabled={!config().enabled || !!endpointProblem()}
+                  class="px-2 py-1 rounded-full text-[11px] font-medium border border-[var(--color-earthy-sage)]/50 text-[var(--color-earthy-dark-brown)] hover:bg-white/70 disabled:opacity-40"
+                  title="List the models the server offers"
+                >
+                  List models
+                </button>
+              </div>
+              <Show when={modelsError()}>
+                <span class="text-[10px] text-[var(--color-earthy-coral)]">{modelsError()}</span>
+              </Show>
+              <label class="flex flex-col gap-0.5">
+                <span class={labelClass}>API key (optional)</span>
+                <input
+                  type="password"
+                  autocomplete="off"
+                  value={config().apiKey}
+                  onChange={(e) => update({ apiKey: e.currentTarget.value.trim() })}
+                  class={fieldClass}
+                />
+              </label>
+              <div class="grid grid-cols-3 gap-3">
+                {numberInput('temperature', 'Temperature', 0, 2, 0.1)}
+                {numberInput('maxTokens', 'Max tokens', 0, 32768, 64, '0 uses the server default')}
+                {numberInput('batchSize', 'Batch size', 1, 500, 1, 'Sentences per request for batch templates')}
+              </div>
+              <label class="flex items-center gap-2 cursor-pointer text-xs text-[var(--color-earthy-dark-brown)]">
+                <input
+                  type="checkbox"
+                  checked={config().stream}
+                  onChange={(e) => update({ stream: e.currentTarget.checked })}
+                  class="accent-[var(--color-earthy-muted-green)]"
+                />
+                Stream answers
+              </label>
+              <label class="flex items-center gap-2 cursor-pointer text-xs text-[var(--color-earthy-dark-brown)]">
+                <input
+                  type="checkbox"
+                  checked={config().autoRun}
+                  onChange={(e) => update({ autoRun: e.currentTarget.checked })}
+                  class="accent-[var(--color-earthy-muted-green)]"
+                />
+                Run the selected template when a recording or import ends
+              </label>
+            </div>
+          </div>
+
+          {/* Template editor */}
+          <Show when={template()}>
+            {(t) => (
+              <div class="p-3 rounded-xl bg-white/70 border border-[var(--color-earthy-sage)]/30 flex flex-col gap-2">
+                <div class="flex items-center justify-between">
+                  <span class={labelClass}>Template</span>
+                  <div class="flex items-center gap-3">
+                    <button
+                      type="button"
+                      onClick={() => update({ templates: defaultPostProcess().templates, templateId: defaultPostProcess().templateId })}
+                      class="text-xs font-medium text-[var(--color-earthy-soft-brown)] hover:text-[var(--color-earthy-coral)]"
+                      title="Replace the templates with the built-in ones"
+                    >
+                      Reset
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => removeTemplate(t().id)}
+                      disabled={config().templates.length < 2}
+                      class="text-xs font-medium text-[var(--color-earthy-soft-brown)] hover:text-[var(--color-earthy-coral)] disabled:opacity-40"
+                    >
+                      Delete
+                    </button>
+                    <button
+                      type="button"
+                      onClick={addTemplate}
+                      class="flex items-center gap-1 text-xs font-medium text-[var(--color-earthy-muted-green)] hover:opacity-80"
+                    >
+                      <span class="material-symbols-outlined text-sm">add</span>
+                      New
+                    </button>
+                  </div>
+                </div>
+                <div class="grid grid-cols-3 gap-3">
+                  <label class="col-span-2 flex flex-col gap-0.5">
+                    <span class={labelClass}>Name</span>
+                    <input
+                      type="text"
+                      value={t().name}
+                      onChange={(e) => updateTemplate(t().id, { name: e.currentTarget.value })}
+                      class={fieldClass}
+                    />
+                  </label>
+                  <label class="flex flex-col gap-0.5">
+                    <span class={labelClass}>Sent</span>
+                    <select
+                      value={t().scope}
+                      onInput={(e) => updateTemplate(t().id, { scope: e.currentTarget.value as PromptScope })}
+                      class={fieldClass}
+                    >
+                      <option value="session">Whole session</option>
+                      <option value="batch">In batches</option>
+                    </select>
+                  </label>
+                </div>
+                <label class="flex flex-col gap-1">
+                  <span class={labelClass}>System prompt</span>
+                  <textarea
+                    rows={3}
+                    value={t().system}
+                    onChange={(e) => updateTemplate(t().id, { system: e.currentTarget.value })}
+                    class={textareaClass}
+                  />
+                </label>
+                <label class="flex flex-col gap-1">
+                  <span class={labelClass}>Prompt</span>
+                  <textarea
+                    rows={3}
+                    value={t().user}
+                    onChange={(e) => updateTemplate(t().id, { user: e.currentTarget.value })}
+                    class={textareaClass}
+                  />
+                  <span class="text-[10px] text-[var(--color-earthy-soft-brown)]">
+                    {'{{transcript}}'} is replaced by the transcript (appended if missing); {'{{batch}}'} / {'{{batches}}'} by the batch number and count.
+                  </span>
+                </label>
+              </div>
+            )}
+          </Show>
+        </Show>
+
+        {/* Run controls */}
+        <div class="flex items-center gap-2">
+          <select
+            value={template()?.id ?? ''}
+            onInput={(e) => update({ templateId: e.currentTarget.value })}
+            class={`flex-1 ${fieldClass}`}
+            aria-label="Template"
+          >
+            <For each={config().templates}>
+              {(t) => <option value={t.id}>{t.name || 'Untitled'}{t.scope === 'batch' ? ' (batches)' : ''}</option>}
+            </For>
+          </select>
+          <Show
+            when={isRunning()}
+            fallback={
+              <button
+                type="button"
+                onClick={() => template() && props.onRun(template()!.id)}
+                disabled={!config().enabled || !!endpointProblem() || !props.hasTranscript || !template()}
+                class="flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold bg-[var(--color-earthy-muted-green)] text-white disabled:opacity-40 disabled:cursor-not-allowed"
+                title={!config().enabled ? 'Switch post-processing on in the settings first' : props.hasTranscript ? 'Send the finalized transcript to the model' : 'No finalized sentences yet'}
+              >
+                <span class="material-symbols-outlined text-base">auto_awesome</span>
+                Run
+              </button>
+            }
+          >
+            <button
+              type="button"
+              onClick={props.onCancel}
+              class="flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold bg-[var(--color-earthy-coral)] text-white"
+            >
+              <span class="material-symbols-outlined text-base">stop</span>
+              Stop
+            </button>
+          </Show>
+        </div>
+        <Show when={!config().enabled && !showSettings()}>
+          <p class="text-xs text-[var(--color-earthy-soft-brown)]">
+            Post-processing is off, so nothing leaves this browser. Open the settings to connect a local model server.
+          </p>
+        </Show>
+
+        {/* Results, newest first */}
+        <Index each={appStore.postProcessResults()}>
+          {(result) => (
+            <div class="p-3 rounded-xl bg-white/70 border border-[var(--color-earthy-sage)]/30 flex flex-col gap-2">
+              <div class="flex items-center gap-2">
+                <span class="text-xs font-bold text-[var(--color-earthy-muted-green)] truncate">{result().templateName || 'Untitled'}</span>
+                <span class="text-[10px] text-[var(--color-earthy-soft-brown)] shrink-0">
+                  {formatClock(result().startedAt)} · {STATUS_LABELS[result().status]}
+                  <Show when={result().batchCount > 1}> · {result().batchesDone}/{result().batchCount} batches</Show>
+                </span>
+                <div class="ml-auto flex items-center gap-1 shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => copy(result().text)}
+                    disabled={!result().text}
+                    class="material-symbols-outlined text-sm text-[var(--color-earthy-soft-brown)] hover:text-[var(--color-earthy-dark-brown)] disabled:opacity-40"
+                    title="Copy"
+                  >
+                    content_copy
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => appStore.setPostProcessResults((results) => results.filter((r) => r.id !== result().id))}
+                    disabled={result().status === 'running'}
+                    class="material-symbols-outlined text-sm text-[var(--color-earthy-soft-brown)] hover:text-[var(--color-earthy-coral)] disabled:opacity-40"
+                    title="Remove"
+                  >
+                    close
+                  </button>
+                </div>
+              </div>
+              <Show when={result().text}>
+                <p class="text-sm leading-relaxed whitespace-pre-wrap text-[var(--color-earthy-dark-brown)]">{result().text}</p>
+              </Show>
+              <Show when={result().status === 'running' && !result().text}>
+                <span class="text-xs italic text-[var(--color-earthy-soft-brown)]">Waiting for the model…</span>
+              </Show>
+              <Show when={result().error}>
+                <span class="text-xs text-[var(--color-earthy-coral)]">{result().error}</span>
+              </Show>
+            </div>
+          )}
+        </Index>
+      </div>
+    </div>
+  );
+};
+
+export default PostProcessPanel;
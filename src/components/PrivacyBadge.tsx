@@ -1,6 +1,11 @@
-import { Component } from 'solid-js';
+import { Component, Show } from 'solid-js';
 
-export const PrivacyBadge: Component = () => {
+interface PrivacyBadgeProps {
+    /** Post-processing endpoint, when post-processing is switched on */
+    postProcessEndpoint?: string;
+}
+
+export const PrivacyBadge: Component<PrivacyBadgeProps> = (props) => {
     return (
         <div class="fixed bottom-16 right-8 z-30 group">
             <div class="nm-flat rounded-full px-5 py-2.5 flex items-center gap-2 cursor-help transition-all hover:scale-105 active:scale-95 group-hover:bg-green-500/5">
@@ -10,9 +15,18 @@ export const PrivacyBadge: Component = () => {
 
             <div class="absolute bottom-full right-0 mb-6 w-64 p-5 nm-flat rounded-[28px] opacity-0 group-hover:opacity-100 pointer-events-none transition-all transform translate-y-4 group-hover:translate-y-0">
                 <h4 class="font-black text-xs mb-2 tracking-tight uppercase text-slate-700 dark:text-slate-200">Local_Vault_Secure</h4>
-                <p class="text-[11px] text-slate-500 leading-relaxed font-medium">
-                    Your audio never leaves this device. All transcription and AI processing happens locally in your browser's WebGPU sandbox.
-                </p>
+                <Show
+                    when={props.postProcessEndpoint}
+                    fallback={
+                        <p class="text-[11px] text-slate-500 leading-relaxed font-medium">
+                            Your audio never leaves this device. All transcription and AI processing happens locally in your browser's WebGPU sandbox.
+                        </p>
+                    }
+                >
+                    <p class="text-[11px] text-slate-500 leading-relaxed font-medium">
+                        Your audio never leaves this device. Transcription happens locally in your browser's WebGPU sandbox; post-processing sends transcript text only to the language model server on this device ({props.postProcessEndpoint}).
+                    </p>
+                </Show>
             </div>
         </div>
     );
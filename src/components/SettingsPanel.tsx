@@ -1,13 +1,66 @@
 import { Component, For, Show } from 'solid-js';
-import { appStore } from '../stores/appStore';
-import { getModelDisplayName, MODELS } from './ModelLoadingOverlay';
+import { appStore, type CaptureSource } from '../stores/appStore';
+import { TextRulesEditor } from './TextRulesEditor';
+import { VoiceCommandsEditor } from './VoiceCommandsEditor';
+import { CaptionOutputSettings } from './CaptionOutputSettings';
+import { SettingsPresets } from './SettingsPresets';
+import { ModelLibrary } from './ModelLibrary';
 import type { AudioEngine } from '../lib/audio/types';
+import { LANGUAGE_RULES, SENTENCE_LANGUAGES } from '../lib/transcription/sentenceLanguages';
+import type { VadFusionPolicy } from '../lib/buffer/vadFusion';
 
 const formatInterval = (ms: number) => {
   if (ms >= 1000) return `${(ms / 1000).toFixed(1)}s`;
   return `${ms}ms`;
 };
 
+const SEGMENTER_LABELS: Record<string, string> = {
+  wink: 'winkNLP',
+  intl: 'Intl.Segmenter',
+  heuristic: 'punctuation',
+  words: 'punctuation',
+};
+
+const CAPTURE_SOURCES: Array<{ value: CaptureSource; label: string; hint: string }> = [
+  { value: 'mic', label: 'Microphone', hint: 'Transcribe the microphone' },
+  { value: 'tab', label: 'Tab audio', hint: 'Transcribe audio shared from a browser tab' },
+  { value: 'both', label: 'Both', hint: 'Transcribe the microphone ("Me") and a shared tab ("Others") separately' },
+];
+
+const VAD_POLICIES: Array<{ value: VadFusionPolicy; label: string; hint: string }> = [
+  { value: 'and', label: 'All agree', hint: 'Speech only where every VAD layer hears it (fewest false triggers)' },
+  { value: 'or', label: 'Any layer', hint: 'Speech where any VAD layer hears it (misses the least)' },
+  { value: 'weighted', label: 'Weighted average', hint: 'Weighted mean of the layer probabilities, inference VADs counting most' },
+  { value: 'hysteresis', label: 'Hysteresis', hint: 'Weighted mean with separate start/stop levels and hangover, for steady segments' },
+];
+
+const FRONT_END_STAGES: Array<{ label: string; hint: string; value: () => boolean; set: (on: boolean) => void }> = [
+  {
+    label: 'Anti-aliased resampling',
+    hint: 'Windowed-sinc filter when converting to 16 kHz (off: linear interpolation)',
+    value: appStore.sincResampling,
+    set: appStore.setSincResampling,
+  },
+  {
+    label: 'High-pass filter',
+    hint: 'Removes rumble and DC below 80 Hz',
+    value: appStore.highPassFilter,
+    set: appStore.setHighPassFilter,
+  },
+  {
+    label: 'Noise suppression',
+    hint: 'Reduces steady background noise such as fans; adds 32 ms delay',
+    value: appStore.noiseSuppression,
+    set: appStore.setNoiseSuppression,
+  },
+  {
+    label: 'Automatic gain',
+    hint: 'Brings quiet or distant speakers up to a consistent level',
+    value: appStore.autoGain,
+    set: appStore.setAutoGain,
+  },
+];
+
 export type SettingsPanelSection = 'full' | 'audio' | 'model';
 
 export interface SettingsContentProps {
@@ -33,6 +86,7 @@ export const SettingsContent: Component<SettingsContentProps> = (props) => {
   const showAsr = () => section() === 'full' || section() === 'model';
   const showAudio = () => section() === 'full' || section() === 'audio';
   const showSliders = () => section() === 'full';
+  const showTextRules = () => section() === 'full';
   const showDebug = () => section() === 'full';
 
   return (
@@ -51,7 +105,7 @@ export const SettingsContent: Component<SettingsContentProps> = (props) => {
               onInput={(e) => appStore.setSelectedModelId((e.target as HTMLSelectElement).value)}
               disabled={appStore.modelState() === 'loading'}
             >
-              <For each={MODELS}>
+              <For each={appStore.models()}>
                 {(m) => <option value={m.id}>{m.name}</option>}
               </For>
             </select>
@@ -72,7 +126,7 @@ export const SettingsContent: Component<SettingsContentProps> = (props) => {
                   type="file"
                   multiple
                   class="hidden"
-                  accept=".onnx,.bin"
+                  accept=".onnx,.data,.txt,.bin,.sha256"
                   onChange={(e) => {
                     const files = e.currentTarget.files;
                     if (files && files.length > 0) props.onLocalLoad?.(files);
@@ -83,7 +137,7 @@ export const SettingsContent: Component<SettingsContentProps> = (props) => {
             </Show>
           </div>
           <p class="text-xs text-[var(--color-earthy-soft-brown)]">
-            {appStore.modelState() === 'ready' ? getModelDisplayName(appStore.selectedModelId()) : appStore.modelState()}
+            {appStore.modelState() === 'ready' ? appStore.selectedModel().name : appStore.modelState()}
           </p>
           <Show when={appStore.modelState() === 'loading'}>
             <div class="space-y-1">
@@ -99,32 +153,90 @@ export const SettingsContent: Component<SettingsContentProps> = (props) => {
               </div>
             </div>
           </Show>
+          <ModelLibrary />
           </section>
         </Show>
 
         <Show when={showAudio()}>
           <section class="space-y-2">
           <h3 class="text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]">Audio input</h3>
-          <select
-            class="w-full text-sm bg-transparent border-b border-[var(--color-earthy-sage)]/40 px-0 py-1.5 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)]"
-            value={appStore.selectedDeviceId()}
-            onInput={(e) => {
-              const id = (e.target as HTMLSelectElement).value;
-              appStore.setSelectedDeviceId(id);
-              props.onDeviceSelect?.(id);
-            }}
-          >
-            <For each={appStore.availableDevices()}>
-              {(device) => (
-                <option value={device.deviceId}>
-                  {device.label || `Device ${device.deviceId.slice(0, 8)}`}
-                </option>
+          <div class="flex rounded-lg overflow-hidden border border-[var(--color-earthy-sage)]/40 text-xs">
+            <For each={CAPTURE_SOURCES}>
+              {(option) => (
+                <button
+                  type="button"
+                  onClick={() => appStore.setCaptureSource(option.value)}
+                  disabled={appStore.recordingState() !== 'idle'}
+                  title={option.hint}
+                  class={`flex-1 py-1.5 font-medium transition-colors disabled:cursor-not-allowed ${appStore.captureSource() === option.value ? 'bg-[var(--color-earthy-muted-green)] text-white' : 'text-[var(--color-earthy-dark-brown)] hover:bg-[var(--color-earthy-sage)]/20'}`}
+                >
+                  {option.label}
+                </button>
               )}
             </For>
-          </select>
+          </div>
+          <Show when={appStore.captureSource() === 'both' && appStore.transcriptionMode() !== 'v4-utterance'}>
+            <p class="text-[10px] text-[var(--color-earthy-coral)]">Microphone + tab needs the v4 utterance mode</p>
+          </Show>
+          <Show when={appStore.captureSource() !== 'tab'}>
+            <select
+              class="w-full text-sm bg-transparent border-b border-[var(--color-earthy-sage)]/40 px-0 py-1.5 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)]"
+              value={appStore.selectedDeviceId()}
+              onInput={(e) => {
+                const id = (e.target as HTMLSelectElement).value;
+                appStore.setSelectedDeviceId(id);
+                props.onDeviceSelect?.(id);
+              }}
+            >
+              <For each={appStore.availableDevices()}>
+                {(device) => (
+                  <option value={device.deviceId}>
+                    {device.label || `Device ${device.deviceId.slice(0, 8)}`}
+                  </option>
+                )}
+              </For>
+            </select>
+          </Show>
+          <label class="flex items-start gap-2 pt-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={appStore.recordSessionAudio()}
+              onChange={(e) => appStore.setRecordSessionAudio(e.currentTarget.checked)}
+              disabled={appStore.activeSessionId() !== null}
+              class="mt-0.5 accent-[var(--color-earthy-muted-green)]"
+            />
+            <span class="text-xs text-[var(--color-earthy-dark-brown)]">
+              Record session audio
+              <span class="block text-[10px] text-[var(--color-earthy-soft-brown)]">
+                Saved on this device with the session history, for playback and WAV download
+              </span>
+            </span>
+          </label>
+          <div class="pt-1 space-y-1">
+            <For each={FRONT_END_STAGES}>
+              {(stage) => (
+                <label class="flex items-start gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={stage.value()}
+                    onChange={(e) => stage.set(e.currentTarget.checked)}
+                    class="mt-0.5 accent-[var(--color-earthy-muted-green)]"
+                  />
+                  <span class="text-xs text-[var(--color-earthy-dark-brown)]">
+                    {stage.label}
+                    <span class="block text-[10px] text-[var(--color-earthy-soft-brown)]">{stage.hint}</span>
+                  </span>
+                </label>
+              )}
+            </For>
+          </div>
           </section>
         </Show>
 
+        <Show when={showSliders()}>
+          <SettingsPresets />
+        </Show>
+
         <Show when={showSliders()}>
           <section class="grid grid-cols-2 gap-x-4 gap-y-3">
           <div class="space-y-1.5 min-w-0">
@@ -145,6 +257,19 @@ export const SettingsContent: Component<SettingsContentProps> = (props) => {
           </div>
 
           <Show when={isV4()}>
+            <div class="space-y-1.5 min-w-0">
+              <div class="flex justify-between items-center gap-2">
+                <span class="text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]">Low confidence</span>
+                <span class="text-sm text-[var(--color-earthy-dark-brown)] tabular-nums shrink-0">{(appStore.lowConfidenceThreshold() * 100).toFixed(0)}%</span>
+              </div>
+              <input
+                type="range" min="0" max="1" step="0.05"
+                value={appStore.lowConfidenceThreshold()}
+                onInput={(e) => appStore.setLowConfidenceThreshold(parseFloat(e.currentTarget.value))}
+                class="debug-slider w-full h-2 rounded-full appearance-none cursor-pointer bg-[var(--color-earthy-sage)]/30"
+                title="Words below this confidence are highlighted (0% turns highlighting off)"
+              />
+            </div>
             <div class="space-y-1.5 min-w-0">
               <div class="flex justify-between items-center gap-2">
                 <span class="text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]">VAD threshold</span>
@@ -156,12 +281,36 @@ export const SettingsContent: Component<SettingsContentProps> = (props) => {
                 onInput={(e) => appStore.setSileroThreshold(parseFloat(e.currentTarget.value))}
                 class="debug-slider w-full h-2 rounded-full appearance-none cursor-pointer bg-[var(--color-earthy-sage)]/30"
               />
+              <label class="flex items-center gap-1.5 cursor-pointer" title="Run the Silero VAD model as an extra layer (downloads ~2 MB; applies from the next recording)">
+                <input
+                  type="checkbox"
+                  checked={appStore.sileroVad()}
+                  onChange={(e) => appStore.setSileroVad(e.currentTarget.checked)}
+                  disabled={appStore.recordingState() !== 'idle'}
+                  class="accent-[var(--color-earthy-muted-green)]"
+                />
+                <span class="text-[10px] text-[var(--color-earthy-soft-brown)]">Silero VAD layer</span>
+              </label>
             </div>
             <div class="space-y-1.5 min-w-0">
               <div class="flex justify-between items-center gap-2">
                 <span class="text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]">Tick interval</span>
                 <span class="text-sm text-[var(--color-earthy-dark-brown)] tabular-nums shrink-0">{formatInterval(appStore.v4InferenceIntervalMs())}</span>
               </div>
+              <label class="flex items-center gap-1.5 cursor-pointer" title="Tick faster when inference keeps up, slower when it falls behind or during silence">
+                <input
+                  type="checkbox"
+                  checked={appStore.adaptiveInterval()}
+                  onChange={(e) => appStore.setAdaptiveInterval(e.currentTarget.checked)}
+                  class="accent-[var(--color-earthy-muted-green)]"
+                />
+                <span class="text-[10px] text-[var(--color-earthy-soft-brown)]">
+                  Adaptive
+                  <Show when={appStore.adaptiveInterval() && appStore.schedulerStats()}>
+                    {(stats) => <> · now {formatInterval(stats().intervalMs)}</>}
+                  </Show>
+                </span>
+              </label>
               <input
                 type="range" min="320" max="8000" step="80"
                 value={appStore.v4InferenceIntervalMs()}
@@ -185,6 +334,66 @@ export const SettingsContent: Component<SettingsContentProps> = (props) => {
                 class="debug-slider w-full h-2 rounded-full appearance-none cursor-pointer bg-[var(--color-earthy-sage)]/30"
               />
             </div>
+            <div class="col-span-2 space-y-1.5 min-w-0">
+              <span class="text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]">VAD policy</span>
+              <select
+                class="w-full text-sm bg-transparent border-b border-[var(--color-earthy-sage)]/40 px-0 py-1.5 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)]"
+                value={appStore.vadPolicy()}
+                onInput={(e) => appStore.setVadPolicy((e.target as HTMLSelectElement).value as VadFusionPolicy)}
+                title={VAD_POLICIES.find((p) => p.value === appStore.vadPolicy())?.hint}
+              >
+                <For each={VAD_POLICIES}>
+                  {(policy) => <option value={policy.value}>{policy.label}</option>}
+                </For>
+              </select>
+            </div>
+            <div class="col-span-2 space-y-1.5 min-w-0">
+              <div class="flex justify-between items-center gap-2">
+                <span class="text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]">Sentence language</span>
+                <Show when={appStore.sentenceSegmentation()}>
+                  {(info) => (
+                    <span class="text-[10px] text-[var(--color-earthy-soft-brown)] truncate">
+                      {info().languageDetected ? 'Detected' : 'Using'}: {LANGUAGE_RULES[info().language]?.name ?? info().language} ({SEGMENTER_LABELS[info().segmenter]})
+                    </span>
+                  )}
+                </Show>
+              </div>
+              <select
+                class="w-full text-sm bg-transparent border-b border-[var(--color-earthy-sage)]/40 px-0 py-1.5 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)] disabled:cursor-not-allowed"
+                value={appStore.sentenceLanguage()}
+                onInput={(e) => appStore.setSentenceLanguage((e.target as HTMLSelectElement).value)}
+                disabled={appStore.recordingState() !== 'idle'}
+                title="Language of the speech, for sentence boundaries and abbreviations"
+              >
+                <option value="auto">Auto-detect</option>
+                <For each={SENTENCE_LANGUAGES}>
+                  {(code) => <option value={code}>{LANGUAGE_RULES[code].name}</option>}
+                </For>
+              </select>
+            </div>
+            <div class="col-span-2 space-y-1.5 min-w-0">
+              <div class="flex justify-between items-center gap-2">
+                <label class="flex items-center gap-1.5 cursor-pointer" title="Label sentences with speakers, told apart on this device from their voice (no download; applies from the next recording)">
+                  <input
+                    type="checkbox"
+                    checked={appStore.speakerLabels()}
+                    onChange={(e) => appStore.setSpeakerLabels(e.currentTarget.checked)}
+                    disabled={appStore.recordingState() !== 'idle'}
+                    class="accent-[var(--color-earthy-muted-green)]"
+                  />
+                  <span class="text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]">Speaker labels</span>
+                </label>
+                <span class="text-sm text-[var(--color-earthy-dark-brown)] tabular-nums shrink-0">{appStore.speakerThreshold().toFixed(2)}</span>
+              </div>
+              <input
+                type="range" min="0.05" max="2" step="0.05"
+                value={appStore.speakerThreshold()}
+                onInput={(e) => appStore.setSpeakerThreshold(parseFloat(e.currentTarget.value))}
+                disabled={!appStore.speakerLabels()}
+                class="debug-slider w-full h-2 rounded-full appearance-none cursor-pointer bg-[var(--color-earthy-sage)]/30 disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Voice distance that starts a new speaker: lower finds more speakers, higher merges similar voices"
+              />
+            </div>
           </Show>
 
           <Show when={isV3()}>
@@ -204,6 +413,18 @@ export const SettingsContent: Component<SettingsContentProps> = (props) => {
           </section>
         </Show>
 
+        <Show when={showTextRules()}>
+          <TextRulesEditor />
+        </Show>
+
+        <Show when={showTextRules()}>
+          <VoiceCommandsEditor />
+        </Show>
+
+        <Show when={showTextRules()}>
+          <CaptionOutputSettings />
+        </Show>
+
         <Show when={showDebug()}>
           <div class="pt-2">
             <button
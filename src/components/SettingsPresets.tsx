@@ -0,0 +1,135 @@
+import { Component, For, Show, createSignal } from 'solid-js';
+import { appStore } from '../stores/appStore';
+
+const inputClass =
+  'min-w-0 text-xs bg-transparent border-b border-[var(--color-earthy-sage)]/40 px-0 py-1 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)]';
+const labelClass = 'text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]';
+const actionClass =
+  'flex items-center gap-1 text-xs font-medium text-[var(--color-earthy-soft-brown)] hover:opacity-80 disabled:opacity-40 disabled:cursor-not-allowed';
+
+/** Custom marker for the preset select when the settings match no preset */
+const CUSTOM = '';
+
+/**
+ * Named tuning presets: switch between built-in and saved presets, save the
+ * current settings under a name, and share presets as JSON files.
+ */
+export const SettingsPresets: Component = () => {
+  const [naming, setNaming] = createSignal(false);
+  const [name, setName] = createSignal('');
+  const [notice, setNotice] = createSignal('');
+
+  const active = () => appStore.activePreset();
+  const idle = () => appStore.recordingState() === 'idle';
+  const builtIns = () => appStore.presets().filter((p) => p.builtIn);
+
+  const save = () => {
+    const preset = appStore.saveCurrentAsPreset(name());
+    if (!preset) return;
+    setNaming(false);
+    setName('');
+    setNotice(`Saved "${preset.name}"`);
+  };
+
+  const remove = () => {
+    const preset = active();
+    if (!preset || preset.builtIn) return;
+    if (!window.confirm(`Delete preset "${preset.name}"?`)) return;
+    appStore.deletePreset(preset.id);
+    setNotice('');
+  };
+
+  const importFile = async (file: File) => {
+    const count = appStore.importPresets(await file.text());
+    setNotice(count > 0 ? `Imported ${count} preset${count === 1 ? '' : 's'}` : '');
+  };
+
+  return (
+    <section class="space-y-2">
+      <h3 class={labelClass}>Presets</h3>
+      <select
+        class="w-full text-sm bg-transparent border-b border-[var(--color-earthy-sage)]/40 px-0 py-1.5 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)] disabled:cursor-not-allowed"
+        value={active()?.id ?? CUSTOM}
+        onInput={(e) => {
+          const id = (e.target as HTMLSelectElement).value;
+          if (id !== CUSTOM) appStore.applyPreset(id);
+          setNotice('');
+        }}
+        disabled={!idle()}
+        title={idle() ? 'Apply a preset' : 'Stop recording to switch presets'}
+      >
+        <Show when={!active()}>
+          <option value={CUSTOM}>Custom</option>
+        </Show>
+        <optgroup label="Built-in">
+          <For each={builtIns()}>{(p) => <option value={p.id}>{p.name}</option>}</For>
+        </optgroup>
+        <Show when={appStore.userPresets().length > 0}>
+          <optgroup label="Saved">
+            <For each={appStore.userPresets()}>{(p) => <option value={p.id}>{p.name}</option>}</For>
+          </optgroup>
+        </Show>
+      </select>
+      <Show when={active()?.description}>
+        <p class="text-[10px] text-[var(--color-earthy-soft-brown)]">{active()!.description}</p>
+      </Show>
+
+      <Show when={naming()}>
+        <form
+          class="flex items-center gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            save();
+          }}
+        >
+          <input
+            type="text"
+            placeholder="Preset name"
+            value={name()}
+            onInput={(e) => setName(e.currentTarget.value)}
+            class={`flex-1 ${inputClass}`}
+            autofocus
+          />
+          <button type="submit" disabled={!name().trim()} class={actionClass}>Save</button>
+          <button type="button" onClick={() => setNaming(false)} class={actionClass}>Cancel</button>
+        </form>
+      </Show>
+
+      <div class="flex flex-wrap items-center gap-x-3 gap-y-1">
+        <button type="button" onClick={() => setNaming(true)} class={actionClass} title="Save the current settings as a preset (model and backend are not included)">
+          <span class="material-symbols-outlined text-sm">bookmark_add</span>
+          Save as…
+        </button>
+        <button type="button" onClick={remove} disabled={!active() || active()!.builtIn} class={actionClass}>
+          <span class="material-symbols-outlined text-sm">delete</span>
+          Delete
+        </button>
+        <button type="button" onClick={() => appStore.exportPresets()} class={actionClass} title="Download saved presets as JSON">
+          <span class="material-symbols-outlined text-sm">download</span>
+          Export
+        </button>
+        <label class={`${actionClass} cursor-pointer`} title="Add presets from a JSON file">
+          <span class="material-symbols-outlined text-sm">upload</span>
+          Import
+          <input
+            type="file"
+            class="hidden"
+            accept=".json,application/json"
+            onChange={(e) => {
+              const file = e.currentTarget.files?.[0];
+              if (file) void importFile(file);
+              e.currentTarget.value = '';
+            }}
+          />
+        </label>
+        <button type="button" onClick={() => appStore.resetSettings()} disabled={!idle()} class={actionClass} title="Restore the default settings">
+          <span class="material-symbols-outlined text-sm">restart_alt</span>
+          Defaults
+        </button>
+      </div>
+      <Show when={notice()}>
+        <p class="text-[10px] text-[var(--color-earthy-muted-green)]">{notice()}</p>
+      </Show>
+    </section>
+  );
+};
@@ -1,4 +1,5 @@
 import { Component, For, Show, createEffect, createSignal, onCleanup } from 'solid-js';
+import { ExportMenu } from './ExportMenu';
 
 interface SidebarProps {
   activeTab: string;
@@ -119,9 +120,7 @@ export const Sidebar: Component<SidebarProps> = (props) => {
           <span class="material-symbols-outlined text-xl">translate</span>
         </button>
 
-        <button class="neu-square-btn text-slate-500" title="Export Transcript" onClick={() => (window as any).appStore?.copyTranscript()}>
-          <span class="material-symbols-outlined text-xl">download</span>
-        </button>
+        <ExportMenu buttonClass="neu-square-btn text-slate-500 transition-all active:scale-95" placement="top" align="left" />
       </nav>
 
       <div class="mt-auto">
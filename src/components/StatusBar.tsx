@@ -1,7 +1,36 @@
-import { Component, Show } from 'solid-js';
+import { Component, Show, createEffect, createSignal, onCleanup } from 'solid-js';
 import { appStore } from '../stores/appStore';
+import type { RecoveryEvent } from '../lib/supervisor';
+
+/** How long a successful recovery stays in the bar; ongoing and failed ones stay until the next */
+const RECOVERED_VISIBLE_MS = 10000;
+
+const RECOVERY_STYLE: Record<RecoveryEvent['status'], { icon: string; label: string; class: string }> = {
+    recovering: { icon: 'autorenew', label: 'Recovering', class: 'text-amber-500' },
+    recovered: { icon: 'check_circle', label: 'Recovered', class: 'text-green-500' },
+    failed: { icon: 'error', label: 'Recovery failed', class: 'text-red-500' },
+};
 
 export const StatusBar: Component = () => {
+    const latestRecovery = () => appStore.recoveryEvents().at(-1) ?? null;
+    const [dismissedRecovery, setDismissedRecovery] = createSignal<RecoveryEvent | null>(null);
+
+    createEffect(() => {
+        const event = latestRecovery();
+        if (event?.status !== 'recovered') return;
+        const timer = setTimeout(() => setDismissedRecovery(event), RECOVERED_VISIBLE_MS);
+        onCleanup(() => clearTimeout(timer));
+    });
+
+    const visibleRecovery = () => {
+        const event = latestRecovery();
+        return event && event !== dismissedRecovery() ? event : null;
+    };
+
+    const recoveryHistory = () => appStore.recoveryEvents()
+        .map((e) => `${new Date(e.at).toLocaleTimeString()} ${e.component} ${e.status}: ${e.reason}${e.message ? ` (${e.message})` : ''}`)
+        .join('\n');
+
     const modelStatusText = () => {
         switch (appStore.modelState()) {
             case 'unloaded': return 'Model not loaded';
@@ -33,6 +62,17 @@ export const StatusBar: Component = () => {
                     <span class="material-icons-round text-sm">memory</span>
                     <span>BACKEND: <span class="text-blue-500 font-black">{appStore.backend().toUpperCase()}</span></span>
                 </div>
+
+                <Show when={visibleRecovery()}>
+                    {(event) => (
+                        <div class={`flex items-center gap-1.5 normal-case tracking-normal ${RECOVERY_STYLE[event().status].class}`} title={recoveryHistory()}>
+                            <span class={`material-icons-round text-sm ${event().status === 'recovering' ? 'animate-spin' : ''}`}>{RECOVERY_STYLE[event().status].icon}</span>
+                            <span>
+                                {RECOVERY_STYLE[event().status].label} {event().component}: {event().message || event().reason}
+                            </span>
+                        </div>
+                    )}
+                </Show>
             </div>
 
             <div class="flex items-center gap-8">
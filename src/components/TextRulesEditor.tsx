@@ -0,0 +1,217 @@
+import { Component, For, Show } from 'solid-js';
+import { appStore } from '../stores/appStore';
+import { createTextRule, validateTextRule, type TextRule, type TextRulesConfig } from '../lib/text';
+
+const inputClass =
+  'min-w-0 text-xs bg-transparent border-b border-[var(--color-earthy-sage)]/40 px-0 py-1 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)]';
+const labelClass = 'text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]';
+
+/** One term per line (commas also separate) */
+const parseList = (value: string) =>
+  value.split(/[\n,]/).map((t) => t.trim()).filter(Boolean);
+
+/**
+ * Settings for the text rules applied to finalized sentences: find/replace
+ * rules, vocabulary, spoken numbers, profanity masking and capitalization.
+ */
+export const TextRulesEditor: Component = () => {
+  const config = () => appStore.textRules();
+  const update = (patch: Partial<TextRulesConfig>) => appStore.setTextRules({ ...config(), ...patch });
+  const updateRule = (id: string, patch: Partial<TextRule>) =>
+    update({ rules: config().rules.map((r) => (r.id === id ? { ...r, ...patch } : r)) });
+  const removeRule = (id: string) => update({ rules: config().rules.filter((r) => r.id !== id) });
+
+  const Toggle = (p: { label: string; hint?: string; checked: boolean; onChange: (v: boolean) => void }) => (
+    <label class="flex items-start gap-2 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={p.checked}
+        onChange={(e) => p.onChange(e.currentTarget.checked)}
+        class="mt-0.5 accent-[var(--color-earthy-muted-green)]"
+      />
+      <span class="text-xs text-[var(--color-earthy-dark-brown)]">
+        {p.label}
+        <Show when={p.hint}>
+          <span class="block text-[10px] text-[var(--color-earthy-soft-brown)]">{p.hint}</span>
+        </Show>
+      </span>
+    </label>
+  );
+
+  return (
+    <section class="space-y-2">
+      <h3 class={labelClass}>Text rules</h3>
+      <Toggle
+        label="Apply text rules"
+        hint="Rewrites finalized sentences; the original text is kept in JSON exports"
+        checked={config().enabled}
+        onChange={(enabled) => update({ enabled })}
+      />
+
+      <div class={`space-y-2 ${config().enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+        <div class="grid grid-cols-2 gap-x-4 gap-y-1">
+          <Toggle
+            label="Numbers as digits"
+            hint={'"twenty five" → 25'}
+            checked={config().numbersToDigits}
+            onChange={(numbersToDigits) => update({ numbersToDigits })}
+          />
+          <Toggle
+            label="Capitalize sentences"
+            checked={config().capitalizeSentences}
+            onChange={(capitalizeSentences) => update({ capitalizeSentences })}
+          />
+          <Toggle
+            label="Mask profanity"
+            checked={config().maskProfanity}
+            onChange={(maskProfanity) => update({ maskProfanity })}
+          />
+        </div>
+
+        <Show when={config().maskProfanity}>
+          <input
+            type="text"
+            placeholder="Extra words to mask, comma separated"
+            value={config().profanityWords.join(', ')}
+            onChange={(e) => update({ profanityWords: parseList(e.currentTarget.value) })}
+            class={`w-full ${inputClass}`}
+          />
+        </Show>
+
+        <div class="space-y-1">
+          <span class={labelClass}>Vocabulary</span>
+          <textarea
+            rows={2}
+            placeholder={'One term per line, e.g. WebGPU'}
+            value={config().vocabulary.join('\n')}
+            onChange={(e) => update({ vocabulary: parseList(e.currentTarget.value) })}
+            class={`w-full resize-y ${inputClass}`}
+          />
+        </div>
+
+        <div class="space-y-1">
+          <div class="flex items-center justify-between">
+            <span class={labelClass}>Replacements</span>
+            <button
+              type="button"
+              onClick={() => update({ rules: [...config().rules, createTextRule()] })}
+              class="flex items-center gap-1 text-xs font-medium text-[var(--color-earthy-muted-green)] hover:opacity-80"
+            >
+              <span class="material-symbols-outlined text-sm">add</span>
+              Add rule
+            </button>
+          </div>
+          <For each={config().rules}>
+            {(rule) => {
+              const error = () => validateTextRule(rule);
+              return (
+                <div class="space-y-1 py-1 border-b border-[var(--color-earthy-sage)]/20">
+                  <div class="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      title="Enabled"
+                      checked={rule.enabled}
+                      onChange={(e) => updateRule(rule.id, { enabled: e.currentTarget.checked })}
+                      class="accent-[var(--color-earthy-muted-green)]"
+                    />
+                    <select
+                      value={rule.kind}
+                      onInput={(e) => updateRule(rule.id, { kind: e.currentTarget.value as TextRule['kind'] })}
+                      class={inputClass}
+                    >
+                      <option value="literal">Text</option>
+                      <option value="regex">Regex</option>
+                    </select>
+                    <input
+                      type="text"
+                      placeholder="Find"
+                      value={rule.find}
+                      onChange={(e) => updateRule(rule.id, { find: e.currentTarget.value })}
+                      class={`flex-1 font-mono ${inputClass}`}
+                    />
+                    <span class="text-xs text-[var(--color-earthy-soft-brown)]">→</span>
+                    <input
+                      type="text"
+                      placeholder="Replace"
+                      value={rule.replace}
+                      onChange={(e) => updateRule(rule.id, { replace: e.currentTarget.value })}
+                      class={`flex-1 font-mono ${inputClass}`}
+                    />
+                    <button
+                      type="button"
+                      title="Remove rule"
+                      onClick={() => removeRule(rule.id)}
+                      class="material-symbols-outlined text-sm text-[var(--color-earthy-soft-brown)] hover:text-[var(--color-earthy-coral)]"
+                    >
+                      close
+                    </button>
+                  </div>
+                  <div class="flex items-center gap-3 pl-5 text-[10px] text-[var(--color-earthy-soft-brown)]">
+                    <label class="flex items-center gap-1 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={rule.caseSensitive === true}
+                        onChange={(e) => updateRule(rule.id, { caseSensitive: e.currentTarget.checked })}
+                        class="accent-[var(--color-earthy-muted-green)]"
+                      />
+                      Match case
+                    </label>
+                    <Show when={rule.kind === 'literal'}>
+                      <label class="flex items-center gap-1 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={rule.wholeWord !== false}
+                          onChange={(e) => updateRule(rule.id, { wholeWord: e.currentTarget.checked })}
+                          class="accent-[var(--color-earthy-muted-green)]"
+                        />
+                        Whole words
+                      </label>
+                    </Show>
+                    <Show when={rule.find && error()}>
+                      <span class="text-[var(--color-earthy-coral)] truncate">{error()}</span>
+                    </Show>
+                  </div>
+                </div>
+              );
+            }}
+          </For>
+        </div>
+      </div>
+
+      <Show when={appStore.corrections().length > 0}>
+        <div class="space-y-1 pt-1">
+          <div class="flex items-center justify-between">
+            <span class={labelClass}>Corrections ({appStore.corrections().length})</span>
+            <button
+              type="button"
+              onClick={() => appStore.exportCorrections()}
+              class="flex items-center gap-1 text-xs font-medium text-[var(--color-earthy-muted-green)] hover:opacity-80"
+            >
+              <span class="material-symbols-outlined text-sm">download</span>
+              Export
+            </button>
+          </div>
+          <For each={appStore.corrections()}>
+            {(correction) => (
+              <div class="flex items-center gap-2 text-xs py-0.5">
+                <span class="flex-1 min-w-0 truncate text-[var(--color-earthy-dark-brown)]" title={`${correction.before} → ${correction.after}`}>
+                  <span class="line-through text-[var(--color-earthy-soft-brown)]">{correction.before}</span>
+                  {' → '}
+                  {correction.after}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => appStore.learnFromCorrection(correction.sentenceId)}
+                  class="shrink-0 text-[10px] font-medium text-[var(--color-earthy-muted-green)] hover:opacity-80"
+                  title="Add the changed words to the vocabulary or as replacement rules"
+                >
+                  Learn
+                </button>
+              </div>
+            )}
+          </For>
+        </div>
+      </Show>
+    </section>
+  );
+};
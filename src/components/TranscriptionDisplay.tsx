@@ -1,4 +1,9 @@
-import { Component, Show, createMemo, onMount, onCleanup } from 'solid-js';
+import { Component, For, Show, createEffect, createMemo, createSelector, createSignal, on, onMount, onCleanup } from 'solid-js';
+import type { MergerSentence } from '../lib/transcription/UtteranceBasedMerger';
+import { replaceWord } from '../lib/text';
+import { speakerName } from '../lib/speakers';
+import { findSpanAtTime } from '../utils/wordTiming';
+import { formatDuration } from '../utils/time';
 
 export interface TranscriptionDisplayProps {
     confirmedText: string;
@@ -9,11 +14,182 @@ export interface TranscriptionDisplayProps {
     showConfidence?: boolean;
     placeholder?: string;
     class?: string;
+    /** Finalized sentences with word timings (seconds from the start of the session audio) */
+    sentences?: MergerSentence[];
+    /** Recorded session audio. When set (and not recording) the transcript becomes seekable. */
+    audioSrc?: string | null;
+    /** File name offered when downloading the audio */
+    audioFileName?: string;
+    /** Finalized words below this confidence (0-1) are highlighted */
+    lowConfidenceThreshold?: number;
+    /** Enables inline editing; receives the sentence's full new text */
+    onEditSentence?: (sentenceId: string, text: string) => void;
+    /** Undo the user's edits of a sentence */
+    onRevertSentence?: (sentenceId: string) => void;
+    /** Names given to speakers, by speaker id */
+    speakerNames?: Record<string, string>;
+    /** Enables renaming a speaker by clicking its label (a blank name restores the default) */
+    onRenameSpeaker?: (speaker: string, name: string) => void;
 }
 
+/** The word (or whole sentence, wordIndex null) being edited inline */
+interface EditTarget {
+    sentenceId: string;
+    wordIndex: number | null;
+}
+
+interface TimedWord {
+    key: string;
+    text: string;
+    start: number;
+    end: number;
+}
+
+const formatPlaybackTime = (sec: number) => formatDuration(Math.floor(Number.isFinite(sec) ? sec : 0));
+
 export const TranscriptionDisplay: Component<TranscriptionDisplayProps> = (props) => {
     let containerRef: HTMLDivElement | undefined;
+    let audioRef: HTMLAudioElement | undefined;
     let scrollScheduled = false;
+    let playbackFrame: number | undefined;
+
+    const [currentTime, setCurrentTime] = createSignal(0);
+    const [duration, setDuration] = createSignal(0);
+    const [isPlaying, setIsPlaying] = createSignal(false);
+    const [editTarget, setEditTarget] = createSignal<EditTarget | null>(null);
+    const [renamingSpeaker, setRenamingSpeaker] = createSignal<string | null>(null);
+
+    const hasSentences = () => (props.sentences?.length ?? 0) > 0;
+    const playbackMode = createMemo(() => !!props.audioSrc && !props.isRecording && hasSentences());
+    const canEdit = () => !!props.onEditSentence;
+
+    const isLowConfidence = (confidence: number | undefined) =>
+        confidence !== undefined && confidence < (props.lowConfidenceThreshold ?? 0);
+
+    /** Who a sentence is attributed to: its speaker, or else its channel */
+    const labelKey = (sentence: MergerSentence | undefined) => sentence?.speaker ?? sentence?.channel;
+
+    /** Whether a speaker label goes before sentence `index` (its speaker or channel differs from the previous one) */
+    const labelStarts = (index: number) => {
+        const key = labelKey(props.sentences?.[index]);
+        return !!key && labelKey(props.sentences?.[index - 1]) !== key;
+    };
+
+    const labelText = (sentence: MergerSentence) =>
+        sentence.speaker ? speakerName(sentence.speaker, props.speakerNames) : sentence.channel;
+
+    const commitRename = (speaker: string, value: string) => {
+        if (renamingSpeaker() !== speaker) return;
+        setRenamingSpeaker(null);
+        if (value.trim() !== speakerName(speaker, props.speakerNames)) props.onRenameSpeaker?.(speaker, value);
+    };
+
+    const renameKeyDown = (e: KeyboardEvent & { currentTarget: HTMLInputElement }, speaker: string) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            commitRename(speaker, e.currentTarget.value);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            setRenamingSpeaker(null);
+        }
+    };
+
+    const isEditing = (sentenceId: string, wordIndex: number | null) => {
+        const target = editTarget();
+        return !!target && target.sentenceId === sentenceId && target.wordIndex === wordIndex;
+    };
+
+    const startEdit = (sentenceId: string, wordIndex: number | null) => {
+        if (canEdit()) setEditTarget({ sentenceId, wordIndex });
+    };
+
+    const commitEdit = (sentence: MergerSentence, value: string) => {
+        const target = editTarget();
+        if (!target || target.sentenceId !== sentence.id) return;
+        setEditTarget(null);
+        const text = target.wordIndex === null ? value : replaceWord(sentence, target.wordIndex, value);
+        if (text.trim() !== sentence.text.trim()) props.onEditSentence?.(sentence.id, text);
+    };
+
+    // Focus and select the editor as soon as it is rendered
+    const focusEditor = (el: HTMLInputElement) => {
+        requestAnimationFrame(() => {
+            el.focus();
+            el.select();
+        });
+    };
+
+    const editorKeyDown = (e: KeyboardEvent & { currentTarget: HTMLInputElement }, sentence: MergerSentence) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            commitEdit(sentence, e.currentTarget.value);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            setEditTarget(null);
+        }
+    };
+
+    const wordTitle = (confidence: number | undefined) => {
+        const parts: string[] = [];
+        if (confidence !== undefined) parts.push(`Confidence ${Math.round(confidence * 100)}%`);
+        if (canEdit()) parts.push(playbackMode() ? 'double-click to edit' : 'click to edit');
+        return parts.join(' · ') || undefined;
+    };
+
+    // All words in time order, keyed by sentence id + position
+    const timedWords = createMemo<TimedWord[]>(() =>
+        (props.sentences ?? []).flatMap((s) =>
+            (s.words ?? []).map((w, i) => ({ key: `${s.id}:${i}`, text: w.text, start: w.start, end: w.end }))
+        )
+    );
+
+    const activeWordKey = createMemo(() => {
+        if (!playbackMode()) return null;
+        const words = timedWords();
+        const idx = findSpanAtTime(words, currentTime());
+        return idx >= 0 ? words[idx].key : null;
+    });
+    const isActiveWord = createSelector(activeWordKey);
+
+    // timeupdate fires only ~4x/s; poll per frame while playing for a smooth highlight
+    const trackPlayback = () => {
+        if (!audioRef) return;
+        setCurrentTime(audioRef.currentTime);
+        if (!audioRef.paused) playbackFrame = requestAnimationFrame(trackPlayback);
+    };
+
+    const stopTracking = () => {
+        if (playbackFrame !== undefined) cancelAnimationFrame(playbackFrame);
+        playbackFrame = undefined;
+    };
+
+    const seek = (time: number) => {
+        if (!audioRef) return;
+        audioRef.currentTime = Math.max(0, time);
+        setCurrentTime(audioRef.currentTime);
+        void audioRef.play().catch(() => {});
+    };
+
+    const togglePlay = () => {
+        if (!audioRef) return;
+        if (audioRef.paused) void audioRef.play().catch(() => {});
+        else audioRef.pause();
+    };
+
+    // New audio (another session): reset the transport
+    createEffect(on(() => props.audioSrc, () => {
+        stopTracking();
+        setIsPlaying(false);
+        setCurrentTime(0);
+        setDuration(0);
+    }));
+
+    // Keep the spoken word in view while playing
+    createEffect(on(activeWordKey, (key) => {
+        if (!key || !isPlaying() || !containerRef) return;
+        const el = containerRef.querySelector(`[data-word-key="${CSS.escape(key)}"]`);
+        el?.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+    }));
 
     const scrollToBottom = () => {
         if (scrollScheduled) return;
@@ -41,10 +217,60 @@ export const TranscriptionDisplay: Component<TranscriptionDisplayProps> = (props
 
     onCleanup(() => {
         observer?.disconnect();
+        stopTracking();
     });
 
     return (
         <div class={`flex flex-col h-full bg-transparent ${props.class ?? ''}`}>
+            {/* Session audio player */}
+            <Show when={props.audioSrc && !props.isRecording}>
+                <div class="sticky top-0 z-10 mb-6 flex items-center gap-3 px-4 py-2 rounded-full bg-white/90 backdrop-blur-sm border border-[var(--color-earthy-sage)]/40 shadow-sm">
+                    <audio
+                        ref={audioRef}
+                        src={props.audioSrc ?? undefined}
+                        preload="metadata"
+                        onLoadedMetadata={(e) => setDuration(e.currentTarget.duration)}
+                        onDurationChange={(e) => setDuration(e.currentTarget.duration)}
+                        onPlay={() => { setIsPlaying(true); stopTracking(); trackPlayback(); }}
+                        onPause={() => { setIsPlaying(false); stopTracking(); }}
+                        onEnded={() => { setIsPlaying(false); stopTracking(); }}
+                        onSeeked={(e) => setCurrentTime(e.currentTarget.currentTime)}
+                    />
+                    <button
+                        type="button"
+                        onClick={togglePlay}
+                        class="w-8 h-8 shrink-0 rounded-full flex items-center justify-center bg-[var(--color-earthy-muted-green)] text-white hover:opacity-90 transition-opacity"
+                        aria-label={isPlaying() ? 'Pause' : 'Play session audio'}
+                    >
+                        <span class="material-symbols-outlined text-lg">{isPlaying() ? 'pause' : 'play_arrow'}</span>
+                    </button>
+                    <span class="font-mono text-xs tabular-nums text-[var(--color-earthy-dark-brown)] shrink-0">
+                        {formatPlaybackTime(currentTime())} / {formatPlaybackTime(duration())}
+                    </span>
+                    <input
+                        type="range"
+                        min="0"
+                        max={duration() || 0}
+                        step="0.1"
+                        value={currentTime()}
+                        onInput={(e) => {
+                            if (audioRef) audioRef.currentTime = parseFloat(e.currentTarget.value);
+                            setCurrentTime(parseFloat(e.currentTarget.value));
+                        }}
+                        class="debug-slider flex-1 min-w-0 h-2 rounded-full appearance-none cursor-pointer bg-[var(--color-earthy-sage)]/30"
+                        aria-label="Seek"
+                    />
+                    <a
+                        href={props.audioSrc ?? undefined}
+                        download={props.audioFileName ?? 'keet-session.wav'}
+                        class="p-1 shrink-0 rounded-full text-[var(--color-earthy-soft-brown)] hover:bg-[var(--color-earthy-sage)]/30 transition-colors"
+                        title="Download audio (WAV)"
+                    >
+                        <span class="material-symbols-outlined text-lg">download</span>
+                    </a>
+                </div>
+            </Show>
+
             {/* Main transcript area */}
             <div
                 ref={containerRef}
@@ -64,10 +290,162 @@ export const TranscriptionDisplay: Component<TranscriptionDisplayProps> = (props
                     <div class="story-font space-y-12 py-4">
                         <div class="group">
                             <div class="pl-4 border-l-2 border-[var(--color-earthy-coral)]/30 group-hover:border-[var(--color-earthy-coral)]/50 transition-colors duration-300">
-                                {/* Confirmed text */}
-                                <p class="text-2xl md:text-3xl leading-[1.6] text-[var(--color-earthy-dark-brown)] font-normal inline">
-                                    {props.confirmedText}
-                                </p>
+                                {/* Confirmed text: word spans (confidence, inline editing, seeking) when sentences are available */}
+                                <Show
+                                    when={hasSentences()}
+                                    fallback={
+                                        <p class="text-2xl md:text-3xl leading-[1.6] text-[var(--color-earthy-dark-brown)] font-normal inline">
+                                            {props.confirmedText}
+                                        </p>
+                                    }
+                                >
+                                    <p class="text-2xl md:text-3xl leading-[1.6] text-[var(--color-earthy-dark-brown)] font-normal inline">
+                                        <For each={props.sentences}>
+                                            {(sentence, index) => (
+                                                <>
+                                                    {/* Speaker changes start a new line; dictated breaks a new line or paragraph */}
+                                                    <Show
+                                                        when={index() > 0 && sentence.breakBefore === 'paragraph'}
+                                                        fallback={<Show when={index() > 0 && (labelStarts(index()) || sentence.breakBefore === 'line')}><br /></Show>}
+                                                    >
+                                                        <span class="block h-6" aria-hidden="true" />
+                                                    </Show>
+                                                    <Show when={labelStarts(index())}>
+                                                        <Show
+                                                            when={sentence.speaker && renamingSpeaker() === sentence.speaker}
+                                                            fallback={
+                                                                <span
+                                                                    class="inline-block align-middle mr-2 px-2 py-0.5 rounded-full text-[10px] font-bold uppercase tracking-widest not-italic bg-[var(--color-earthy-sage)]/30 text-[var(--color-earthy-soft-brown)]"
+                                                                    classList={{ 'cursor-pointer hover:bg-[var(--color-earthy-sage)]/50': !!sentence.speaker && !!props.onRenameSpeaker }}
+                                                                    title={sentence.speaker && props.onRenameSpeaker ? 'Click to rename this speaker' : undefined}
+                                                                    onClick={() => sentence.speaker && props.onRenameSpeaker && setRenamingSpeaker(sentence.speaker)}
+                                                                >
+                                                                    {labelText(sentence)}
+                                                                </span>
+                                                            }
+                                                        >
+                                                            <input
+                                                                ref={focusEditor}
+                                                                type="text"
+                                                                value={labelText(sentence)}
+                                                                onKeyDown={(e) => renameKeyDown(e, sentence.speaker!)}
+                                                                onBlur={(e) => commitRename(sentence.speaker!, e.currentTarget.value)}
+                                                                class="align-middle mr-2 w-40 text-xs bg-white/80 border-b-2 border-[var(--color-earthy-muted-green)] px-1 focus:outline-none"
+                                                                aria-label="Speaker name"
+                                                            />
+                                                        </Show>
+                                                    </Show>
+                                                    <Show
+                                                        when={!isEditing(sentence.id, null)}
+                                                        fallback={
+                                                            <span class="inline-flex items-center gap-2 w-full">
+                                                                <input
+                                                                    ref={focusEditor}
+                                                                    type="text"
+                                                                    value={sentence.text}
+                                                                    onKeyDown={(e) => editorKeyDown(e, sentence)}
+                                                                    onBlur={(e) => commitEdit(sentence, e.currentTarget.value)}
+                                                                    class="flex-1 min-w-0 bg-white/80 border-b-2 border-[var(--color-earthy-muted-green)] px-1 focus:outline-none"
+                                                                    aria-label="Edit sentence"
+                                                                />
+                                                                <Show when={sentence.corrected && props.onRevertSentence}>
+                                                                    <button
+                                                                        type="button"
+                                                                        onMouseDown={(e) => e.preventDefault()}
+                                                                        onClick={() => {
+                                                                            setEditTarget(null);
+                                                                            props.onRevertSentence?.(sentence.id);
+                                                                        }}
+                                                                        class="text-xs font-medium text-[var(--color-earthy-soft-brown)] hover:text-[var(--color-earthy-coral)] shrink-0"
+                                                                        title={sentence.originalText ? `Original: ${sentence.originalText}` : undefined}
+                                                                    >
+                                                                        Revert
+                                                                    </button>
+                                                                </Show>{' '}
+                                                            </span>
+                                                        }
+                                                    >
+                                                        <span
+                                                            class="group/sentence rounded transition-colors"
+                                                            classList={{
+                                                                'cursor-pointer hover:bg-[var(--color-earthy-sage)]/20': playbackMode(),
+                                                                'decoration-[var(--color-earthy-muted-green)]/60 underline decoration-dotted underline-offset-8': !!sentence.corrected,
+                                                            }}
+                                                            title={playbackMode() ? `Play from ${formatPlaybackTime(sentence.startTime)}` : undefined}
+                                                            onClick={() => playbackMode() && seek(sentence.startTime)}
+                                                        >
+                                                            <Show when={(sentence.words?.length ?? 0) > 0} fallback={sentence.text}>
+                                                                <For each={sentence.words}>
+                                                                    {(word, i) => {
+                                                                        const key = `${sentence.id}:${i()}`;
+                                                                        return (
+                                                                            <>
+                                                                                <Show
+                                                                                    when={!isEditing(sentence.id, i())}
+                                                                                    fallback={
+                                                                                        <input
+                                                                                            ref={focusEditor}
+                                                                                            type="text"
+                                                                                            value={word.text.trim()}
+                                                                                            size={Math.max(3, word.text.trim().length + 1)}
+                                                                                            onClick={(e) => e.stopPropagation()}
+                                                                                            onKeyDown={(e) => editorKeyDown(e, sentence)}
+                                                                                            onBlur={(e) => commitEdit(sentence, e.currentTarget.value)}
+                                                                                            class="bg-white/80 border-b-2 border-[var(--color-earthy-muted-green)] px-1 focus:outline-none"
+                                                                                            aria-label="Edit word"
+                                                                                        />
+                                                                                    }
+                                                                                >
+                                                                                    <span
+                                                                                        data-word-key={key}
+                                                                                        class="rounded-sm transition-colors duration-100"
+                                                                                        classList={{
+                                                                                            'bg-[var(--color-earthy-coral)]/25 text-[var(--color-earthy-dark-brown)]': isActiveWord(key),
+                                                                                            'hover:underline decoration-[var(--color-earthy-coral)]/60': !isActiveWord(key) && (playbackMode() || canEdit()),
+                                                                                            'cursor-text': canEdit() && !playbackMode(),
+                                                                                            'text-[var(--color-earthy-coral)] underline decoration-wavy decoration-[var(--color-earthy-coral)]/50 underline-offset-4': isLowConfidence(word.confidence) && !isActiveWord(key),
+                                                                                        }}
+                                                                                        title={wordTitle(word.confidence)}
+                                                                                        onClick={(e) => {
+                                                                                            e.stopPropagation();
+                                                                                            if (playbackMode()) seek(word.start);
+                                                                                            else startEdit(sentence.id, i());
+                                                                                        }}
+                                                                                        onDblClick={(e) => {
+                                                                                            e.stopPropagation();
+                                                                                            startEdit(sentence.id, i());
+                                                                                        }}
+                                                                                    >
+                                                                                        {word.text.trim()}
+                                                                                    </span>
+                                                                                </Show>{' '}
+                                                                            </>
+                                                                        );
+                                                                    }}
+                                                                </For>
+                                                            </Show>
+                                                            <Show when={canEdit()}>
+                                                                <button
+                                                                    type="button"
+                                                                    onClick={(e) => {
+                                                                        e.stopPropagation();
+                                                                        startEdit(sentence.id, null);
+                                                                    }}
+                                                                    class="material-symbols-outlined align-middle text-base text-[var(--color-earthy-soft-brown)] opacity-0 group-hover/sentence:opacity-70 hover:!opacity-100 transition-opacity"
+                                                                    title="Edit sentence"
+                                                                    aria-label="Edit sentence"
+                                                                >
+                                                                    edit
+                                                                </button>
+                                                            </Show>
+                                                            {' '}
+                                                        </span>
+                                                    </Show>
+                                                </>
+                                            )}
+                                        </For>
+                                    </p>
+                                </Show>
 
                                 {/* Pending text */}
                                 <Show when={props.pendingText}>
@@ -0,0 +1,61 @@
+import { Component, For, Show } from 'solid-js';
+import { appStore } from '../stores/appStore';
+
+export interface VoiceCommandLogProps {
+  isRecording: boolean;
+}
+
+const formatClock = (time: number) =>
+  new Date(time).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+/**
+ * Dictation status and the voice commands heard this session, newest first.
+ * Shown while dictation mode is on and there is something to show.
+ */
+export const VoiceCommandLog: Component<VoiceCommandLogProps> = (props) => {
+  const entries = () => [...appStore.commandLog()].reverse();
+  // First phrase of the first enabled "resume" command, for the paused hint
+  const resumePhrase = () =>
+    appStore.voiceCommands().commands.find((c) => c.action === 'resume' && c.enabled && c.phrases.length > 0)?.phrases[0];
+
+  return (
+    <Show when={appStore.dictationMode() && (props.isRecording || appStore.commandLog().length > 0)}>
+      <div class="mb-6 rounded-2xl border border-[var(--color-earthy-sage)]/40 bg-white/60 px-4 py-2 text-xs">
+        <div class="flex items-center gap-2">
+          <span class="material-symbols-outlined text-base text-[var(--color-earthy-muted-green)]">keyboard_voice</span>
+          <span class="text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]">Dictation</span>
+          <Show
+            when={appStore.dictationPaused()}
+            fallback={<span class="text-[var(--color-earthy-soft-brown)]">{props.isRecording ? 'Listening for commands' : 'Stopped'}</span>}
+          >
+            <span class="font-medium text-[var(--color-earthy-coral)]">
+              Paused{resumePhrase() ? ` · say "${resumePhrase()}" to continue` : ''}
+            </span>
+          </Show>
+          <Show when={appStore.commandLog().length > 0}>
+            <button
+              type="button"
+              onClick={() => appStore.setCommandLog([])}
+              class="ml-auto text-[10px] font-medium text-[var(--color-earthy-soft-brown)] hover:text-[var(--color-earthy-coral)]"
+            >
+              Clear
+            </button>
+          </Show>
+        </div>
+        <Show when={appStore.commandLog().length > 0}>
+          <ul class="mt-1 max-h-24 overflow-y-auto custom-scrollbar space-y-0.5" aria-label="Recognized voice commands">
+            <For each={entries()}>
+              {(entry) => (
+                <li class="flex items-baseline gap-2" classList={{ 'opacity-50': !!entry.ignored }}>
+                  <span class="font-mono tabular-nums text-[10px] text-[var(--color-earthy-soft-brown)] shrink-0">{formatClock(entry.time)}</span>
+                  <span class="italic text-[var(--color-earthy-dark-brown)] shrink-0">"{entry.heard}"</span>
+                  <span class="text-[var(--color-earthy-soft-brown)] truncate">→ {entry.detail}</span>
+                </li>
+              )}
+            </For>
+          </ul>
+        </Show>
+      </div>
+    </Show>
+  );
+};
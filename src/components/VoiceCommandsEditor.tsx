@@ -0,0 +1,142 @@
+import { Component, For, Show } from 'solid-js';
+import { appStore } from '../stores/appStore';
+import {
+  INLINE_ACTIONS,
+  VOICE_COMMAND_LABELS,
+  createVoiceCommand,
+  defaultVoiceCommands,
+  type VoiceCommand,
+  type VoiceCommandAction,
+  type VoiceCommandsConfig,
+} from '../lib/commands';
+
+const inputClass =
+  'min-w-0 text-xs bg-transparent border-b border-[var(--color-earthy-sage)]/40 px-0 py-1 text-[var(--color-earthy-dark-brown)] focus:outline-none focus:border-[var(--color-earthy-muted-green)]';
+const labelClass = 'text-[10px] font-bold uppercase tracking-widest text-[var(--color-earthy-soft-brown)]';
+
+/** Phrases are comma separated */
+const parsePhrases = (value: string) =>
+  value.split(',').map((p) => p.trim().replace(/\s+/g, ' ')).filter(Boolean);
+
+const ACTIONS = Object.keys(VOICE_COMMAND_LABELS) as VoiceCommandAction[];
+
+/**
+ * Settings for dictation mode: the switch and the command grammar (phrases
+ * and aliases per command, inserted text, custom commands).
+ */
+export const VoiceCommandsEditor: Component = () => {
+  const config = () => appStore.voiceCommands();
+  const update = (patch: Partial<VoiceCommandsConfig>) => appStore.setVoiceCommands({ ...config(), ...patch });
+  const updateCommand = (id: string, patch: Partial<VoiceCommand>) =>
+    update({ commands: config().commands.map((c) => (c.id === id ? { ...c, ...patch } : c)) });
+  const removeCommand = (id: string) => update({ commands: config().commands.filter((c) => c.id !== id) });
+
+  const changeAction = (command: VoiceCommand, action: VoiceCommandAction) => {
+    const { text: _text, ...rest } = command;
+    updateCommand(command.id, action === 'insert' ? { ...rest, action, text: command.text ?? '' } : { ...rest, action });
+  };
+
+  return (
+    <section class="space-y-2">
+      <h3 class={labelClass}>Voice commands</h3>
+      <label class="flex items-start gap-2 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={appStore.dictationMode()}
+          onChange={(e) => appStore.setDictationMode(e.currentTarget.checked)}
+          class="mt-0.5 accent-[var(--color-earthy-muted-green)]"
+        />
+        <span class="text-xs text-[var(--color-earthy-dark-brown)]">
+          Dictation mode
+          <span class="block text-[10px] text-[var(--color-earthy-soft-brown)]">
+            Spoken commands in microphone sentences (v4) are carried out instead of transcribed. Formatting works mid-sentence; other commands must be said on their own.
+          </span>
+        </span>
+      </label>
+
+      <div class={`space-y-2 ${appStore.dictationMode() ? '' : 'opacity-50'}`}>
+        <div class="flex items-center gap-2">
+          <span class="text-xs text-[var(--color-earthy-dark-brown)] shrink-0">Literal word</span>
+          <input
+            type="text"
+            value={config().literalWord}
+            onChange={(e) => update({ literalWord: e.currentTarget.value.trim() })}
+            class={`w-24 ${inputClass}`}
+            title={`Say it before a formatting phrase to dictate the phrase, e.g. "${config().literalWord || 'literal'} period"`}
+          />
+        </div>
+
+        <div class="space-y-1">
+          <div class="flex items-center justify-between">
+            <span class={labelClass}>Commands</span>
+            <div class="flex items-center gap-3">
+              <button
+                type="button"
+                onClick={() => update(defaultVoiceCommands())}
+                class="text-xs font-medium text-[var(--color-earthy-soft-brown)] hover:text-[var(--color-earthy-coral)]"
+                title="Replace the commands with the built-in grammar"
+              >
+                Reset
+              </button>
+              <button
+                type="button"
+                onClick={() => update({ commands: [...config().commands, createVoiceCommand()] })}
+                class="flex items-center gap-1 text-xs font-medium text-[var(--color-earthy-muted-green)] hover:opacity-80"
+              >
+                <span class="material-symbols-outlined text-sm">add</span>
+                Add command
+              </button>
+            </div>
+          </div>
+          <For each={config().commands}>
+            {(command) => (
+              <div class="flex items-center gap-2 py-1 border-b border-[var(--color-earthy-sage)]/20">
+                <input
+                  type="checkbox"
+                  title="Enabled"
+                  checked={command.enabled}
+                  onChange={(e) => updateCommand(command.id, { enabled: e.currentTarget.checked })}
+                  class="accent-[var(--color-earthy-muted-green)]"
+                />
+                <select
+                  value={command.action}
+                  onInput={(e) => changeAction(command, e.currentTarget.value as VoiceCommandAction)}
+                  class={`w-28 ${inputClass}`}
+                  title={INLINE_ACTIONS.includes(command.action) ? 'Works anywhere in a sentence' : 'Must be said on its own'}
+                >
+                  <For each={ACTIONS}>{(action) => <option value={action}>{VOICE_COMMAND_LABELS[action]}</option>}</For>
+                </select>
+                <Show when={command.action === 'insert'}>
+                  <input
+                    type="text"
+                    placeholder="Text"
+                    value={command.text ?? ''}
+                    onChange={(e) => updateCommand(command.id, { text: e.currentTarget.value })}
+                    class={`w-10 font-mono text-center ${inputClass}`}
+                    aria-label="Inserted text"
+                  />
+                </Show>
+                <input
+                  type="text"
+                  placeholder="Phrases, comma separated"
+                  value={command.phrases.join(', ')}
+                  onChange={(e) => updateCommand(command.id, { phrases: parsePhrases(e.currentTarget.value) })}
+                  class={`flex-1 ${inputClass}`}
+                  aria-label="Phrases"
+                />
+                <button
+                  type="button"
+                  title="Remove command"
+                  onClick={() => removeCommand(command.id)}
+                  class="material-symbols-outlined text-sm text-[var(--color-earthy-soft-brown)] hover:text-[var(--color-earthy-coral)]"
+                >
+                  close
+                </button>
+              </div>
+            )}
+          </For>
+        </div>
+      </div>
+    </section>
+  );
+};
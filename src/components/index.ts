@@ -10,3 +10,14 @@ export * from './EnergyMeter';
 export * from './PrivacyBadge';
 export * from './ContextPanel';
 export * from './SettingsPanel';
+export * from './ExportMenu';
+export * from './HistoryPanel';
+export * from './ComparePanel';
+export * from './PostProcessPanel';
+export * from './TextRulesEditor';
+export * from './VoiceCommandsEditor';
+export * from './VoiceCommandLog';
+export * from './CaptionOverlay';
+export * from './CaptionOutputSettings';
+export * from './SettingsPresets';
+export * from './ModelLibrary';
@@ -30,5 +30,9 @@ describe('Content Security Policy', () => {
     expect(content).toContain('https://*.hf.co');
     expect(content).toContain('blob:'); // For workers
     expect(content).toContain("worker-src 'self' blob:");
+    expect(content).toContain("media-src 'self' blob:"); // Session audio playback
+    expect(content).toContain('ws://localhost:*'); // Caption WebSocket relay
+    expect(content).toContain('http://localhost:*'); // Post-processing on a local LLM server
+    expect(content).not.toMatch(/connect-src[^;]*(\s|https?:\/\/)\*[\s;]/); // No wildcard host that transcripts could be sent to
   });
 });
@@ -7,6 +7,7 @@
 /* @refresh reload */
 import { render } from 'solid-js/web';
 import App from './App';
+import { CaptionOverlay } from './components/CaptionOverlay';
 import './index.css';
 
 const root = document.getElementById('root');
@@ -15,4 +16,7 @@ if (!root) {
   throw new Error('Root element not found');
 }
 
-render(() => <App />, root);
+// ?view=captions renders only the live captions (browser sources, other tabs)
+const view = new URLSearchParams(window.location.search).get('view');
+
+render(() => (view === 'captions' ? <CaptionOverlay /> : <App />), root);
@@ -1,11 +1,18 @@
 import { AudioEngine as IAudioEngine, AudioEngineConfig, AudioSegment, IRingBuffer, AudioMetrics } from './types';
 import { RingBuffer } from './RingBuffer';
+import { SharedAudioRing, SharedAudioReader, followSharedAudio } from './SharedAudioRing';
 import { AudioSegmentProcessor, ProcessedSegment } from './AudioSegmentProcessor';
+import type { AudioFrontEndConfig } from './dsp/AudioFrontEnd';
 import { resampleLinear } from './utils';
+import type { CaptureProcessorOptions } from './capture-processor';
+import captureProcessorUrl from './capture-processor.ts?worker&url';
 
 /** Duration of the visualization buffer in seconds */
 const VISUALIZATION_BUFFER_DURATION = 30;
 
+/** Length of the chunks the capture worklet produces, in seconds */
+const CAPTURE_CHUNK_DURATION = 0.080;
+
 /**
  * AudioEngine implementation for capturing audio, buffering it, and performing VAD.
  * Uses AudioSegmentProcessor for robust speech detection (incl. lookback).
@@ -34,6 +41,14 @@ export class AudioEngine implements IAudioEngine {
     private deviceSampleRate: number = 48000;
     private targetSampleRate: number = 16000;
 
+    // Resampling + optional cleanup stages, run by the capture worklet
+    private frontEndConfig: Partial<AudioFrontEndConfig>;
+
+    // Shared ring the worklet writes instead of posting chunks (see attachSharedRing)
+    private sharedRingBuffer: SharedArrayBuffer | null = null;
+    private sharedReader: SharedAudioReader | null = null;
+    private stopSharedFollow: (() => void) | null = null;
+
     private currentEnergy: number = 0;
 
     private segmentCallbacks: Array<(segment: AudioSegment) => void> = [];
@@ -49,6 +64,10 @@ export class AudioEngine implements IAudioEngine {
 
     // Resampled audio chunk callbacks (for mel worker, etc.)
     private audioChunkCallbacks: Array<(chunk: Float32Array) => void> = [];
+    private sourceEndedCallbacks: Array<() => void> = [];
+    /** Stream the source-ended callbacks already fired for (track end and device removal both report) */
+    private endedStream: MediaStream | null = null;
+    private deviceChangeListening = false;
 
     // SMA buffer for energy calculation
     private energyHistory: number[] = [];
@@ -115,6 +134,7 @@ export class AudioEngine implements IAudioEngine {
 
         // RingBuffer operates at TARGET sample rate (16kHz)
         this.ringBuffer = new RingBuffer(this.targetSampleRate, this.config.bufferDuration);
+        this.frontEndConfig = { ...this.config.frontEnd };
 
         // Initialize AudioSegmentProcessor
         this.audioProcessor = new AudioSegmentProcessor({
@@ -148,40 +168,106 @@ export class AudioEngine implements IAudioEngine {
 
     private isWorkletInitialized = false;
 
+    /** Microphone via getUserMedia, or tab/system audio via getDisplayMedia. */
+    private async acquireStream(): Promise<MediaStream> {
+        const audio: MediaTrackConstraints = {
+            channelCount: 1,
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+        };
+
+        if (this.config.source !== 'display') {
+            const constraints: MediaStreamConstraints = {
+                audio: { ...audio, deviceId: this.deviceId ? { exact: this.deviceId } : undefined },
+            };
+            console.log('[AudioEngine] Requesting microphone:', constraints);
+            return navigator.mediaDevices.getUserMedia(constraints);
+        }
+
+        if (!navigator.mediaDevices?.getDisplayMedia) {
+            throw new Error('Tab audio capture is not supported in this browser');
+        }
+        console.log('[AudioEngine] Requesting tab/system audio');
+        // Browsers only offer audio sharing together with video; the video track is dropped right away
+        const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio });
+        stream.getVideoTracks().forEach(t => {
+            t.stop();
+            stream.removeTrack(t);
+        });
+        if (stream.getAudioTracks().length === 0) {
+            throw new Error('No audio was shared. Pick a tab and turn on "Share tab audio".');
+        }
+        return stream;
+    }
+
     async init(): Promise<void> {
-        // Request microphone permission with optional deviceId
+        // Request microphone permission with optional deviceId (or the shared tab's audio)
         try {
             if (this.mediaStream) {
                 this.mediaStream.getTracks().forEach(t => t.stop());
             }
-
-            const constraints: MediaStreamConstraints = {
-                audio: {
-                    deviceId: this.deviceId ? { exact: this.deviceId } : undefined,
-                    channelCount: 1,
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false,
-                },
-            };
-
-            console.log('[AudioEngine] Requesting microphone:', constraints);
-            this.mediaStream = await navigator.mediaDevices.getUserMedia(constraints);
-            console.log('[AudioEngine] Microphone stream acquired:', this.mediaStream.id);
+            this.mediaStream = await this.acquireStream();
+            console.log('[AudioEngine] Stream acquired:', this.mediaStream.id);
         } catch (err) {
             console.error('[AudioEngine] Failed to get media stream:', err);
             throw err;
         }
+        await this.connectStream(true);
+    }
+
+    /**
+     * Get microphone capture back after its track ended or its device went
+     * away: the selected device if it can still be opened, otherwise the
+     * system default. Buffers and the sample timeline are kept, so pipelines
+     * reading them carry on. @returns the device now in use and whether it
+     * is the default one standing in for the selected device
+     */
+    async reacquire(): Promise<{ deviceId: string | null; fallback: boolean }> {
+        if (this.config.source === 'display') {
+            throw new Error('Tab audio cannot be re-acquired; share the tab again');
+        }
+        this.mediaStream?.getTracks().forEach(t => t.stop());
+        let fallback = false;
+        try {
+            this.mediaStream = await this.acquireStream();
+        } catch (err) {
+            if (!this.deviceId) throw err;
+            console.warn('[AudioEngine] Selected microphone unavailable, using the default:', err);
+            this.deviceId = null;
+            fallback = true;
+            this.mediaStream = await this.acquireStream();
+        }
+        console.log('[AudioEngine] Stream re-acquired:', this.mediaStream.id);
+        await this.connectStream(false);
+        const deviceId = this.mediaStream.getAudioTracks()[0]?.getSettings?.().deviceId ?? this.deviceId;
+        return { deviceId: deviceId || null, fallback };
+    }
 
+    /**
+     * Build the capture graph around this.mediaStream. With `resetBuffers`
+     * the ring buffer and segment processor start over; otherwise only what
+     * depends on the device sample rate is replaced.
+     */
+    private async connectStream(resetBuffers: boolean): Promise<void> {
         const track = this.mediaStream!.getAudioTracks()[0];
+        const stream = this.mediaStream!;
+        track?.addEventListener('ended', () => this.notifySourceEnded(stream));
+        if (this.config.source !== 'display' && !this.deviceChangeListening && navigator.mediaDevices?.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+            this.deviceChangeListening = true;
+        }
         const trackSettings = track?.getSettings?.();
         // Device sample rate (what the mic gives us)
         this.deviceSampleRate = trackSettings?.sampleRate ?? 48000;
         console.log('[AudioEngine] Device sample rate:', this.deviceSampleRate, '-> Target:', this.targetSampleRate);
 
+        const wasRunning = this.audioContext?.state === 'running';
         if (this.audioContext && this.audioContext.sampleRate !== this.deviceSampleRate) {
             await this.audioContext.close();
             this.audioContext = null;
+            // Worklet modules are registered per context
+            this.isWorkletInitialized = false;
         }
         if (!this.audioContext) {
             this.audioContext = new AudioContext({
@@ -189,101 +275,26 @@ export class AudioEngine implements IAudioEngine {
                 latencyHint: 'interactive',
             });
             console.log('[AudioEngine] Created AudioContext:', this.audioContext.state, 'sampleRate:', this.audioContext.sampleRate);
+            if (wasRunning) await this.audioContext.resume();
         }
 
         // Re-initialize components with correct rates
-        this.ringBuffer = new RingBuffer(this.targetSampleRate, this.config.bufferDuration);
-
-        // Update processor config
-        this.audioProcessor = new AudioSegmentProcessor({
-            sampleRate: this.targetSampleRate,
-            energyThreshold: this.config.energyThreshold,
-            minSpeechDuration: this.config.minSpeechDuration,
-            silenceThreshold: this.config.minSilenceDuration,
-            maxSegmentDuration: this.config.maxSegmentDuration,
-        });
+        if (resetBuffers) {
+            this.ringBuffer = new RingBuffer(this.targetSampleRate, this.config.bufferDuration);
+
+            // Update processor config
+            this.audioProcessor = new AudioSegmentProcessor({
+                sampleRate: this.targetSampleRate,
+                energyThreshold: this.config.energyThreshold,
+                minSpeechDuration: this.config.minSpeechDuration,
+                silenceThreshold: this.config.minSilenceDuration,
+                maxSegmentDuration: this.config.maxSegmentDuration,
+            });
+        }
 
         if (!this.isWorkletInitialized) {
-            const windowDuration = 0.080;
-            const processorCode = `
-                class CaptureProcessor extends AudioWorkletProcessor {
-                    constructor(options) {
-                        super(options);
-                        const opts = options?.processorOptions || {};
-                        this.inputSampleRate = opts.inputSampleRate || 16000;
-                        this.targetSampleRate = opts.targetSampleRate || this.inputSampleRate;
-                        this.ratio = this.inputSampleRate / this.targetSampleRate;
-                        this.bufferSize = Math.round(${windowDuration} * this.inputSampleRate);
-                        this.buffer = new Float32Array(this.bufferSize);
-                        this.index = 0;
-                        this._lastLog = 0;
-                    }
-
-                    _emitChunk() {
-                        let out;
-                        let maxAbs = 0;
-
-                        if (this.targetSampleRate === this.inputSampleRate) {
-                            out = new Float32Array(this.bufferSize);
-                            for (let i = 0; i < this.bufferSize; i++) {
-                                const v = this.buffer[i];
-                                out[i] = v;
-                                const a = v < 0 ? -v : v;
-                                if (a > maxAbs) maxAbs = a;
-                            }
-                        } else {
-                            const outLength = Math.floor(this.bufferSize / this.ratio);
-                            out = new Float32Array(outLength);
-                            for (let i = 0; i < outLength; i++) {
-                                const srcIndex = i * this.ratio;
-                                const srcIndexFloor = Math.floor(srcIndex);
-                                const srcIndexCeil = Math.min(srcIndexFloor + 1, this.bufferSize - 1);
-                                const t = srcIndex - srcIndexFloor;
-                                const v = this.buffer[srcIndexFloor] * (1 - t) + this.buffer[srcIndexCeil] * t;
-                                out[i] = v;
-                                const a = v < 0 ? -v : v;
-                                if (a > maxAbs) maxAbs = a;
-                            }
-                        }
-
-                        this.port.postMessage(
-                            { type: 'audio', samples: out, sampleRate: this.targetSampleRate, maxAbs },
-                            [out.buffer]
-                        );
-                    }
-
-                    process(inputs) {
-                        const input = inputs[0];
-                        if (!input || !input[0]) return true;
-                        
-                        const channelData = input[0];
-                        
-                        // Buffer the data
-                        for (let i = 0; i < channelData.length; i++) {
-                            this.buffer[this.index++] = channelData[i];
-                            
-                            if (this.index >= this.bufferSize) {
-                                this._emitChunk();
-                                this.index = 0;
-                                
-                                // Debug log every ~5 seconds
-                                const now = Date.now();
-                                if (now - this._lastLog > 5000) {
-                                    this.port.postMessage({ type: 'log', message: '[AudioWorklet] Active' });
-                                    this._lastLog = now;
-                                }
-                            }
-                        }
-                        
-                        return true;
-                    }
-                }
-                registerProcessor('capture-processor', CaptureProcessor);
-            `;
-            const blob = new Blob([processorCode], { type: 'application/javascript' });
-            const url = URL.createObjectURL(blob);
             try {
-                await this.audioContext.audioWorklet.addModule(url);
+                await this.audioContext.audioWorklet.addModule(captureProcessorUrl);
                 this.isWorkletInitialized = true;
                 console.log('[AudioEngine] AudioWorklet module loaded');
             } catch (err) {
@@ -298,30 +309,38 @@ export class AudioEngine implements IAudioEngine {
         // Re-create worklet node if needed (it might handle dispose differently, but safe to new)
         if (this.workletNode) this.workletNode.disconnect();
 
-        this.workletNode = new AudioWorkletNode(this.audioContext, 'capture-processor', {
-            processorOptions: { inputSampleRate: this.deviceSampleRate, targetSampleRate: this.targetSampleRate },
-        });
+        // The worklet batches device-rate audio and runs the front end, so chunks arrive at the target rate
+        const processorOptions: CaptureProcessorOptions = {
+            inputSampleRate: this.deviceSampleRate,
+            targetSampleRate: this.targetSampleRate,
+            chunkDuration: CAPTURE_CHUNK_DURATION,
+            frontEnd: this.frontEndConfig,
+        };
+        this.workletNode = new AudioWorkletNode(this.audioContext, 'capture-processor', { processorOptions });
         this.workletNode.port.onmessage = (event: MessageEvent<any>) => {
             if (event.data?.type === 'audio' && event.data.samples instanceof Float32Array) {
                 this.handleAudioChunk(event.data.samples, event.data.maxAbs, event.data.sampleRate);
             } else if (event.data instanceof Float32Array) {
                 this.handleAudioChunk(event.data, undefined, this.deviceSampleRate);
+            } else if (event.data?.type === 'ring') {
+                this.followSharedRing(event.data.buffer ?? null, event.data.startFrame ?? 0);
             } else if (event.data?.type === 'log') {
                 console.log(event.data.message);
             }
         };
+        if (this.sharedRingBuffer) this.workletNode.port.postMessage({ type: 'ring', buffer: this.sharedRingBuffer });
         this.workletNode.onprocessorerror = (e) => {
             console.error('[AudioEngine] Worklet processor error:', e);
         };
 
         // Reconnect source node
         this.sourceNode?.disconnect();
-        this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+        this.sourceNode = this.audioContext.createMediaStreamSource(stream);
         this.sourceNode.connect(this.workletNode);
 
         // AnalyserNode branch for lightweight preview bars (native FFT, no mel worker)
         this.disposeAnalyser();
-        this.analyserSourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+        this.analyserSourceNode = this.audioContext.createMediaStreamSource(stream);
         this.analyserNode = this.audioContext.createAnalyser();
         this.analyserNode.fftSize = this.ANALYSER_FFT_SIZE;
         this.analyserNode.smoothingTimeConstant = this.ANALYSER_SMOOTHING;
@@ -364,6 +383,7 @@ export class AudioEngine implements IAudioEngine {
         // Reset audio/VAD state
         this.ringBuffer.reset();
         this.audioProcessor.reset();
+        this.workletNode?.port.postMessage({ type: 'reset' });
         this.currentEnergy = 0;
 
         // Reset metrics
@@ -479,6 +499,18 @@ export class AudioEngine implements IAudioEngine {
         };
     }
 
+    /**
+     * Called when capture stops on its own: the track ended (tab sharing
+     * stopped, microphone revoked or unplugged) or, for a microphone, its
+     * device is no longer listed after a `devicechange`. Fires once per stream.
+     */
+    onSourceEnded(callback: () => void): () => void {
+        this.sourceEndedCallbacks.push(callback);
+        return () => {
+            this.sourceEndedCallbacks = this.sourceEndedCallbacks.filter((cb) => cb !== callback);
+        };
+    }
+
     updateConfig(config: Partial<AudioEngineConfig>): void {
         this.config = { ...this.config, ...config };
 
@@ -496,6 +528,11 @@ export class AudioEngine implements IAudioEngine {
 
         if (config.snrThreshold !== undefined) this.audioProcessor.setSnrThreshold(config.snrThreshold);
         if (config.minSnrThreshold !== undefined) this.audioProcessor.setMinSnrThreshold(config.minSnrThreshold);
+
+        if (config.frontEnd !== undefined) {
+            this.frontEndConfig = { ...this.frontEndConfig, ...config.frontEnd };
+            this.workletNode?.port.postMessage({ type: 'frontEnd', config: config.frontEnd });
+        }
     }
 
     async setDevice(deviceId: string): Promise<void> {
@@ -510,6 +547,35 @@ export class AudioEngine implements IAudioEngine {
         }
     }
 
+    private notifySourceEnded(stream: MediaStream): void {
+        // Ignore streams we replaced ourselves, and a second report for the same one
+        if (this.mediaStream !== stream || this.endedStream === stream) return;
+        this.endedStream = stream;
+        console.warn('[AudioEngine] Capture ended');
+        for (const cb of this.sourceEndedCallbacks) cb();
+    }
+
+    /** Some browsers keep an unplugged microphone's track live; check the device list as well. */
+    private handleDeviceChange = async (): Promise<void> => {
+        const stream = this.mediaStream;
+        const track = stream?.getAudioTracks()[0];
+        if (!stream || !track) return;
+        if (track.readyState === 'ended') {
+            this.notifySourceEnded(stream);
+            return;
+        }
+        const deviceId = track.getSettings?.().deviceId;
+        if (!deviceId) return;
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            if (!devices.some((d) => d.kind === 'audioinput' && d.deviceId === deviceId)) {
+                this.notifySourceEnded(stream);
+            }
+        } catch (err) {
+            console.warn('[AudioEngine] Could not list devices:', err);
+        }
+    };
+
     private disposeAnalyser(): void {
         this.analyserSourceNode?.disconnect();
         this.analyserNode?.disconnect();
@@ -521,9 +587,27 @@ export class AudioEngine implements IAudioEngine {
         this.waveformOut = null;
     }
 
+    /**
+     * Have the capture worklet write its chunks into a SharedAudioRing at the
+     * target rate (e.g. the one a StreamingTranscriber's workers follow)
+     * instead of posting them; null goes back to posting. Nothing else may
+     * write the ring. This engine's own consumers (onAudioChunk, segments,
+     * visualization) still get every chunk, read back from the ring.
+     */
+    attachSharedRing(buffer: SharedArrayBuffer | null): void {
+        if (buffer === this.sharedRingBuffer) return;
+        this.sharedRingBuffer = buffer;
+        this.workletNode?.port.postMessage({ type: 'ring', buffer });
+    }
+
     dispose(): void {
         this.stop();
+        this.stopFollowingSharedRing();
         this.disposeAnalyser();
+        if (this.deviceChangeListening) {
+            navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+            this.deviceChangeListening = false;
+        }
         this.mediaStream?.getTracks().forEach(track => track.stop());
         this.audioContext?.close();
         this.audioContext = null;
@@ -532,8 +616,37 @@ export class AudioEngine implements IAudioEngine {
         this.sourceNode = null;
     }
 
+    /**
+     * The worklet switched rings (its answer comes after the last chunk it
+     * posted, so nothing is handled out of order): read what the old ring
+     * still holds, then follow the new one from where the worklet starts.
+     */
+    private followSharedRing(buffer: SharedArrayBuffer | null, startFrame: number): void {
+        this.stopFollowingSharedRing();
+        if (!buffer) return;
+        this.sharedReader = new SharedAudioReader(SharedAudioRing.attach(buffer), startFrame);
+        this.stopSharedFollow = followSharedAudio(this.sharedReader, (samples) => this.handleSharedAudio(samples));
+    }
+
+    private stopFollowingSharedRing(): void {
+        if (!this.sharedReader) return;
+        const rest = this.sharedReader.read();
+        if (rest) this.handleSharedAudio(rest.samples);
+        this.stopSharedFollow?.();
+        this.sharedReader = null;
+        this.stopSharedFollow = null;
+    }
+
+    /** Ring reads can span several worklet chunks; handle them one chunk at a time. */
+    private handleSharedAudio(samples: Float32Array): void {
+        const size = Math.round(CAPTURE_CHUNK_DURATION * this.targetSampleRate);
+        for (let i = 0; i < samples.length; i += size) {
+            this.handleAudioChunk(samples.slice(i, i + size));
+        }
+    }
+
     private handleAudioChunk(rawChunk: Float32Array, precomputedMaxAbs?: number, chunkSampleRate?: number): void {
-        // 0. Ensure chunk is at target sample rate (resample only if needed)
+        // 0. Ensure chunk is at target sample rate (the worklet's front end normally did this)
         const sampleRate = chunkSampleRate ?? this.targetSampleRate;
         const needsResample = sampleRate !== this.targetSampleRate;
         const chunk = needsResample
@@ -10,6 +10,9 @@
  *   // Continuously push audio chunks (fire-and-forget)
  *   melClient.pushAudio(chunk);
  *   
+ *   // Or, when cross-origin isolated, let the worker read a SharedAudioRing:
+ *   await melClient.attachSharedAudio(ring.buffer);
+ *   
  *   // When inference needs features:
  *   const features = await melClient.getFeatures(startSample, endSample);
  *   // features = { features: Float32Array, T: number, melBins: number }
@@ -22,35 +25,19 @@ export interface MelFeatures {
 }
 
 export class MelWorkerClient {
-    private worker: Worker;
+    private worker!: Worker;
     private messageId = 0;
     private pendingPromises = new Map<number, { resolve: (v: any) => void; reject: (e: any) => void }>();
     private initFailed = false;
+    private crashCallbacks = new Set<(message: string) => void>();
+    // Replayed by restart()
+    private lastConfig: { nMels?: number } | null = null;
+    private sharedBuffer: SharedArrayBuffer | null = null;
+    /** Samples pushed since init/reset, where a restarted worker picks up the timeline */
+    private pushedSamples = 0;
 
     constructor() {
-        // Create worker eagerly in constructor (matching TranscriptionWorkerClient pattern).
-        // Vite's worker detection reliably picks up new Worker(new URL(...)) in constructors.
-        this.worker = new Worker(new URL('./mel.worker.ts', import.meta.url), {
-            type: 'module'
-        });
-
-        this.worker.onmessage = (e: MessageEvent) => {
-            this.handleMessage(e);
-        };
-
-        this.worker.onerror = (e: Event) => {
-            // Worker load errors fire as plain Event, not ErrorEvent
-            const errEvent = e as ErrorEvent;
-            const msg = errEvent.message || 'Worker failed to load';
-            const loc = errEvent.filename ? ` at ${errEvent.filename}:${errEvent.lineno}:${errEvent.colno}` : '';
-            console.error(`[MelWorkerClient] Worker error: ${msg}${loc}`, e);
-            this.initFailed = true;
-            // Reject all pending promises so callers don't hang
-            for (const [, promise] of this.pendingPromises) {
-                promise.reject(new Error(`[MelWorkerClient] ${msg}${loc}`));
-            }
-            this.pendingPromises.clear();
-        };
+        this.spawn();
     }
 
     /**
@@ -60,6 +47,8 @@ export class MelWorkerClient {
         if (this.initFailed) {
             throw new Error('[MelWorkerClient] Worker failed to load');
         }
+        this.lastConfig = config;
+        this.pushedSamples = 0;
         await this.sendRequest('INIT', config);
     }
 
@@ -69,6 +58,7 @@ export class MelWorkerClient {
      */
     pushAudio(chunk: Float32Array): void {
         if (this.initFailed) return;
+        this.pushedSamples += chunk.length;
         // Transfer the buffer for zero-copy (caller must not reuse the chunk)
         // If caller needs to keep it, they should slice() first
         this.worker.postMessage(
@@ -83,6 +73,7 @@ export class MelWorkerClient {
      */
     pushAudioCopy(chunk: Float32Array): void {
         if (this.initFailed) return;
+        this.pushedSamples += chunk.length;
         const copy = new Float32Array(chunk);
         this.worker.postMessage(
             { type: 'PUSH_AUDIO', payload: copy },
@@ -90,6 +81,24 @@ export class MelWorkerClient {
         );
     }
 
+    /**
+     * Have the worker compute mel frames from a SharedAudioRing as it is
+     * written, starting at its current frame, instead of from pushed chunks.
+     * Requests made afterwards see every sample written before them.
+     */
+    async attachSharedAudio(buffer: SharedArrayBuffer): Promise<void> {
+        await this.sendRequest('ATTACH_SHARED', { buffer });
+        this.sharedBuffer = buffer;
+    }
+
+    /**
+     * Stop following the shared ring (after computing what is left in it).
+     */
+    async detachSharedAudio(): Promise<void> {
+        this.sharedBuffer = null;
+        await this.sendRequest('DETACH_SHARED', {});
+    }
+
     /**
      * Request mel features for a sample range.
      * Returns null if no frames are available in the range.
@@ -129,23 +138,84 @@ export class MelWorkerClient {
      * Reset the mel worker (clear all buffers).
      */
     async reset(): Promise<void> {
+        this.pushedSamples = 0;
         return this.sendRequest('RESET', {});
     }
 
+    /**
+     * Round trip to the worker; resolves once it answers.
+     */
+    async ping(): Promise<void> {
+        await this.sendRequest('PING', {});
+    }
+
+    /**
+     * Called with the error message when the worker throws or fails to load.
+     */
+    onCrash(callback: (message: string) => void): () => void {
+        this.crashCallbacks.add(callback);
+        return () => this.crashCallbacks.delete(callback);
+    }
+
+    /**
+     * Replace the worker with a fresh one, initialized with the last config
+     * and following the same shared ring. Its frames keep the old sample
+     * numbering, but frames computed before the restart are lost, so feature
+     * requests for earlier audio come back empty.
+     */
+    async restart(): Promise<void> {
+        this.worker.terminate();
+        this.rejectPending('MelWorkerClient restarted');
+        this.initFailed = false;
+        this.spawn();
+        if (!this.lastConfig) return;
+        // Attached to a shared ring, the worker takes the ring's position instead
+        const startSample = this.sharedBuffer ? undefined : this.pushedSamples;
+        await this.sendRequest('INIT', { ...this.lastConfig, startSample });
+        if (this.sharedBuffer) await this.attachSharedAudio(this.sharedBuffer);
+    }
+
     /**
      * Dispose the worker.
      */
     dispose(): void {
         this.worker.terminate();
-        // Reject all pending promises
+        this.rejectPending('MelWorkerClient disposed');
+        this.crashCallbacks.clear();
+    }
+
+    // ─── Internal ────────────────────────────────────────────────────────
+
+    private spawn(): void {
+        // Created with new Worker(new URL(...)) so Vite's worker detection picks it up
+        this.worker = new Worker(new URL('./mel.worker.ts', import.meta.url), {
+            type: 'module'
+        });
+
+        this.worker.onmessage = (e: MessageEvent) => {
+            this.handleMessage(e);
+        };
+
+        this.worker.onerror = (e: Event) => {
+            // Worker load errors fire as plain Event, not ErrorEvent
+            const errEvent = e as ErrorEvent;
+            const msg = errEvent.message || 'Worker failed to load';
+            const loc = errEvent.filename ? ` at ${errEvent.filename}:${errEvent.lineno}:${errEvent.colno}` : '';
+            console.error(`[MelWorkerClient] Worker error: ${msg}${loc}`, e);
+            this.initFailed = true;
+            // Reject all pending promises so callers don't hang
+            this.rejectPending(`[MelWorkerClient] ${msg}${loc}`);
+            for (const cb of this.crashCallbacks) cb(`${msg}${loc}`);
+        };
+    }
+
+    private rejectPending(message: string): void {
         for (const [, promise] of this.pendingPromises) {
-            promise.reject(new Error('MelWorkerClient disposed'));
+            promise.reject(new Error(message));
         }
         this.pendingPromises.clear();
     }
 
-    // ─── Internal ────────────────────────────────────────────────────────
-
     private handleMessage(e: MessageEvent): void {
         const { type, payload, id } = e.data;
 
@@ -3,23 +3,29 @@ import { IRingBuffer } from './types';
 /**
  * Fixed-size circular buffer for PCM audio samples.
  * Uses global frame offsets for absolute addressing.
+ *
+ * The write cursor is only touched through getCurrentFrame() and
+ * setCurrentFrame(), so a subclass can keep it elsewhere (SharedAudioRing
+ * keeps it in shared memory).
  */
 export class RingBuffer implements IRingBuffer {
     readonly sampleRate: number;
     readonly maxFrames: number;
-    private buffer: Float32Array;
+    protected data: Float32Array;
     private currentFrame: number = 0; // The next frame to be written (global)
 
-    constructor(sampleRate: number, durationSeconds: number) {
+    /** `storage`, when given, holds the frames instead of a new array (its length is the capacity) */
+    constructor(sampleRate: number, durationSeconds: number, storage?: Float32Array) {
         this.sampleRate = sampleRate;
-        this.maxFrames = Math.floor(sampleRate * durationSeconds);
-        this.buffer = new Float32Array(this.maxFrames);
+        this.maxFrames = storage ? storage.length : Math.floor(sampleRate * durationSeconds);
+        this.data = storage ?? new Float32Array(this.maxFrames);
     }
 
     /**
      * Append PCM frames to the buffer.
      */
     write(chunk: Float32Array): void {
+        let currentFrame = this.getCurrentFrame();
         let chunkLength = chunk.length;
         let dataToWrite = chunk;
 
@@ -28,24 +34,24 @@ export class RingBuffer implements IRingBuffer {
             const start = chunkLength - this.maxFrames;
             dataToWrite = chunk.subarray(start);
             // Advance frame counter for the skipped part
-            this.currentFrame += start;
+            currentFrame += start;
             // Now we only write maxFrames
             chunkLength = this.maxFrames;
         }
 
-        const writePos = this.currentFrame % this.maxFrames;
+        const writePos = currentFrame % this.maxFrames;
         const remainingSpace = this.maxFrames - writePos;
 
         if (chunkLength <= remainingSpace) {
             // Single operation
-            this.buffer.set(dataToWrite, writePos);
+            this.data.set(dataToWrite, writePos);
         } else {
             // Wrap around
-            this.buffer.set(dataToWrite.subarray(0, remainingSpace), writePos);
-            this.buffer.set(dataToWrite.subarray(remainingSpace), 0);
+            this.data.set(dataToWrite.subarray(0, remainingSpace), writePos);
+            this.data.set(dataToWrite.subarray(remainingSpace), 0);
         }
 
-        this.currentFrame += chunkLength;
+        this.setCurrentFrame(currentFrame + chunkLength);
     }
 
     /**
@@ -56,32 +62,8 @@ export class RingBuffer implements IRingBuffer {
         if (startFrame < 0) throw new RangeError('startFrame must be non-negative');
         if (endFrame <= startFrame) return new Float32Array(0);
 
-        const baseFrame = this.getBaseFrameOffset();
-        if (startFrame < baseFrame) {
-            throw new RangeError(
-                `Requested frame ${startFrame} has been overwritten. Oldest available: ${baseFrame}`
-            );
-        }
-
-        if (endFrame > this.currentFrame) {
-            throw new RangeError(
-                `Requested frame ${endFrame} is in the future. Latest available: ${this.currentFrame}`
-            );
-        }
-
-        const length = endFrame - startFrame;
-        const result = new Float32Array(length);
-
-        const readPos = startFrame % this.maxFrames;
-        const remainingAtEnd = this.maxFrames - readPos;
-
-        if (length <= remainingAtEnd) {
-            result.set(this.buffer.subarray(readPos, readPos + length));
-        } else {
-            result.set(this.buffer.subarray(readPos, this.maxFrames));
-            result.set(this.buffer.subarray(0, length - remainingAtEnd), remainingAtEnd);
-        }
-
+        const result = new Float32Array(endFrame - startFrame);
+        this.readInto(startFrame, endFrame, result);
         return result;
     }
 
@@ -96,16 +78,17 @@ export class RingBuffer implements IRingBuffer {
         if (startFrame < 0) throw new RangeError('startFrame must be non-negative');
         if (endFrame <= startFrame) return 0;
 
-        const baseFrame = this.getBaseFrameOffset();
+        const currentFrame = this.getCurrentFrame();
+        const baseFrame = Math.max(0, currentFrame - this.maxFrames);
         if (startFrame < baseFrame) {
             throw new RangeError(
                 `Requested frame ${startFrame} has been overwritten. Oldest available: ${baseFrame}`
             );
         }
 
-        if (endFrame > this.currentFrame) {
+        if (endFrame > currentFrame) {
             throw new RangeError(
-                `Requested frame ${endFrame} is in the future. Latest available: ${this.currentFrame}`
+                `Requested frame ${endFrame} is in the future. Latest available: ${currentFrame}`
             );
         }
 
@@ -114,10 +97,10 @@ export class RingBuffer implements IRingBuffer {
         const remainingAtEnd = this.maxFrames - readPos;
 
         if (length <= remainingAtEnd) {
-            dest.set(this.buffer.subarray(readPos, readPos + length));
+            dest.set(this.data.subarray(readPos, readPos + length));
         } else {
-            dest.set(this.buffer.subarray(readPos, this.maxFrames));
-            dest.set(this.buffer.subarray(0, length - remainingAtEnd), remainingAtEnd);
+            dest.set(this.data.subarray(readPos, this.maxFrames));
+            dest.set(this.data.subarray(0, length - remainingAtEnd), remainingAtEnd);
         }
 
         return length;
@@ -128,7 +111,7 @@ export class RingBuffer implements IRingBuffer {
     }
 
     getFillCount(): number {
-        return Math.min(this.currentFrame, this.maxFrames);
+        return Math.min(this.getCurrentFrame(), this.maxFrames);
     }
 
     getSize(): number {
@@ -136,15 +119,20 @@ export class RingBuffer implements IRingBuffer {
     }
 
     getCurrentTime(): number {
-        return this.currentFrame / this.sampleRate;
+        return this.getCurrentFrame() / this.sampleRate;
     }
 
     getBaseFrameOffset(): number {
-        return Math.max(0, this.currentFrame - this.maxFrames);
+        return Math.max(0, this.getCurrentFrame() - this.maxFrames);
     }
 
     reset(): void {
-        this.currentFrame = 0;
-        this.buffer.fill(0);
+        this.setCurrentFrame(0);
+        this.data.fill(0);
+    }
+
+    /** Move the write cursor; called after the frames before it are in place. */
+    protected setCurrentFrame(frame: number): void {
+        this.currentFrame = frame;
     }
 }
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for SharedAudioRing (SharedArrayBuffer ring read by workers).
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { SharedAudioRing, SharedAudioReader, followSharedAudio, isSharedAudioSupported } from './SharedAudioRing';
+import { RingBuffer } from './RingBuffer';
+
+const ramp = (from: number, n: number) => Float32Array.from({ length: n }, (_, i) => from + i);
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('SharedAudioRing', () => {
+    it('reads by global frame like RingBuffer, across the wrap', () => {
+        const ring = new SharedAudioRing(10, 1); // 10 frames
+        expect(ring).toBeInstanceOf(RingBuffer);
+        ring.write(ramp(0, 8));
+        ring.write(ramp(8, 6));
+
+        expect(ring.getCurrentFrame()).toBe(14);
+        expect(ring.getBaseFrameOffset()).toBe(4);
+        expect(ring.getFillCount()).toBe(10);
+        expect(Array.from(ring.read(6, 12))).toEqual([6, 7, 8, 9, 10, 11]);
+
+        const dest = new Float32Array(10);
+        expect(ring.readInto(4, 14, dest)).toBe(10);
+        expect(Array.from(dest)).toEqual(Array.from(ramp(4, 10)));
+
+        expect(() => ring.read(3, 5)).toThrow(RangeError);
+        expect(() => ring.read(10, 15)).toThrow(RangeError);
+    });
+
+    it('keeps only the end of a chunk larger than the ring', () => {
+        const ring = new SharedAudioRing(4, 1);
+        ring.write(ramp(0, 6));
+        expect(ring.getCurrentFrame()).toBe(6);
+        expect(Array.from(ring.read(2, 6))).toEqual([2, 3, 4, 5]);
+    });
+
+    it('is visible through another view of the same buffer', () => {
+        const ring = new SharedAudioRing(12.5, 8); // one entry per 80 ms hop
+        const other = SharedAudioRing.attach(ring.buffer);
+        expect(other.sampleRate).toBe(12.5);
+        expect(other.maxFrames).toBe(100);
+
+        const sequence = other.getWriteSequence();
+        ring.write(Float32Array.of(0.9, 0.1));
+        expect(other.getWriteSequence()).not.toBe(sequence);
+        expect(Array.from(other.read(0, 2))).toEqual([Math.fround(0.9), Math.fround(0.1)]);
+        expect(other.getCurrentTime()).toBeCloseTo(0.16, 6);
+
+        ring.reset();
+        expect(other.getCurrentFrame()).toBe(0);
+    });
+
+    it('wakes a waiting reader on write and times out otherwise', async () => {
+        const ring = new SharedAudioRing(16000, 1);
+        const sequence = ring.getWriteSequence();
+        const woken = ring.waitForWrite(sequence, 5000);
+        ring.write(ramp(0, 4));
+        await woken;
+        expect(ring.getCurrentFrame()).toBe(4);
+
+        const started = Date.now();
+        await ring.waitForWrite(ring.getWriteSequence(), 20);
+        expect(Date.now() - started).toBeGreaterThanOrEqual(15);
+    });
+
+    it('is only used when the page is cross-origin isolated', () => {
+        vi.stubGlobal('crossOriginIsolated', false);
+        expect(isSharedAudioSupported()).toBe(false);
+        vi.stubGlobal('crossOriginIsolated', true);
+        expect(isSharedAudioSupported()).toBe(true);
+    });
+});
+
+describe('SharedAudioReader', () => {
+    it('returns what was written since the last read', () => {
+        const ring = new SharedAudioRing(100, 1);
+        ring.write(ramp(0, 5));
+        const reader = new SharedAudioReader(ring);
+        expect(reader.read()).toBeNull();
+
+        ring.write(ramp(5, 3));
+        ring.write(ramp(8, 2));
+        const data = reader.read()!;
+        expect(data.offset).toBe(5);
+        expect(Array.from(data.samples)).toEqual([5, 6, 7, 8, 9]);
+        expect(reader.read()).toBeNull();
+    });
+
+    it('skips frames overwritten before it read them and follows a reset', () => {
+        const ring = new SharedAudioRing(10, 1);
+        const reader = new SharedAudioReader(ring, 0);
+        ring.write(ramp(0, 25));
+
+        const data = reader.read()!;
+        expect(data.offset).toBe(15);
+        expect(reader.getLostFrames()).toBe(15);
+
+        ring.reset();
+        ring.write(ramp(0, 3));
+        expect(reader.read()!.offset).toBe(0);
+    });
+
+    it('delivers writes to a follower until stopped', async () => {
+        const ring = new SharedAudioRing(16000, 1);
+        const received: Array<[number, number]> = [];
+        const stop = followSharedAudio(new SharedAudioReader(ring), (samples, offset) => {
+            received.push([offset, samples.length]);
+        }, 10);
+
+        ring.write(new Float32Array(1280));
+        await vi.waitFor(() => expect(received).toEqual([[0, 1280]]));
+        ring.write(new Float32Array(1280));
+        await vi.waitFor(() => expect(received).toEqual([[0, 1280], [1280, 1280]]));
+
+        stop();
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        ring.write(new Float32Array(1280));
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        expect(received).toHaveLength(2);
+    });
+});
@@ -0,0 +1,218 @@
+import { RingBuffer } from './RingBuffer';
+
+/**
+ * RingBuffer on a SharedArrayBuffer, so workers can read the audio another
+ * thread (the capture worklet, or the main thread) writes without a message
+ * per chunk. Writing and reading are RingBuffer's; this class only moves the
+ * write cursor into shared memory.
+ *
+ * One writer, any number of readers, no locks. The writer copies samples in,
+ * then publishes them by storing the new write cursor with Atomics (which
+ * orders the sample stores before it) and bumping a sequence number that
+ * readers can wait on. A reader loads the cursor, copies, and then checks
+ * that the writer did not lap the range while it was copying.
+ *
+ * Layout (bytes):
+ *   0   Float64  sample rate (frames per second; need not be an integer)
+ *   8   Int32    capacity in frames
+ *   12  Int32    write sequence (incremented and notified on every write)
+ *   16  BigInt64 write cursor (global frame index of the next frame)
+ *   24  Int32    reset count
+ *   32  Float32  frames
+ */
+
+const HEADER_BYTES = 32;
+/** Int32 index of the write sequence */
+const SEQ = 3;
+/** Int32 index of the reset count */
+const RESETS = 6;
+
+/**
+ * SharedArrayBuffer is only available to cross-origin isolated pages
+ * (COOP/COEP headers, which sw.js and the dev server add).
+ */
+export function isSharedAudioSupported(): boolean {
+    return typeof SharedArrayBuffer !== 'undefined'
+        && typeof Atomics !== 'undefined'
+        && (globalThis as { crossOriginIsolated?: boolean }).crossOriginIsolated === true;
+}
+
+function createSharedBuffer(sampleRate: number, durationSeconds: number): SharedArrayBuffer {
+    const maxFrames = Math.floor(sampleRate * durationSeconds);
+    const buffer = new SharedArrayBuffer(HEADER_BYTES + maxFrames * 4);
+    new Float64Array(buffer, 0, 1)[0] = sampleRate;
+    new Int32Array(buffer, 8, 1)[0] = maxFrames;
+    return buffer;
+}
+
+export class SharedAudioRing extends RingBuffer {
+    /** Pass this to workers and open it there with SharedAudioRing.attach() */
+    readonly buffer: SharedArrayBuffer;
+    private header: Int32Array;
+    private cursor: BigInt64Array;
+
+    constructor(sampleRate: number, durationSeconds: number);
+    constructor(buffer: SharedArrayBuffer);
+    constructor(sampleRateOrBuffer: number | SharedArrayBuffer, durationSeconds = 0) {
+        const buffer = typeof sampleRateOrBuffer === 'number'
+            ? createSharedBuffer(sampleRateOrBuffer, durationSeconds)
+            : sampleRateOrBuffer;
+        const maxFrames = new Int32Array(buffer, 8, 1)[0];
+        super(new Float64Array(buffer, 0, 1)[0], 0, new Float32Array(buffer, HEADER_BYTES, maxFrames));
+        this.buffer = buffer;
+        this.header = new Int32Array(buffer, 0, HEADER_BYTES / 4);
+        this.cursor = new BigInt64Array(buffer, 16, 1);
+    }
+
+    /** Open a ring created in another thread. */
+    static attach(buffer: SharedArrayBuffer): SharedAudioRing {
+        return new SharedAudioRing(buffer);
+    }
+
+    /**
+     * Read samples from [startFrame, endFrame) into `dest` from offset 0.
+     * Returns the number of samples written.
+     * @throws RangeError if data has been overwritten (also while copying) or is in the future.
+     */
+    readInto(startFrame: number, endFrame: number, dest: Float32Array): number {
+        const length = super.readInto(startFrame, endFrame, dest);
+        // The writer may have lapped the range during the copy
+        const baseFrame = this.getBaseFrameOffset();
+        if (length > 0 && startFrame < baseFrame) {
+            throw new RangeError(
+                `Requested frame ${startFrame} has been overwritten. Oldest available: ${baseFrame}`
+            );
+        }
+        return length;
+    }
+
+    getCurrentFrame(): number {
+        return Number(Atomics.load(this.cursor, 0));
+    }
+
+    /** Changes on every write; pass it to waitForWrite() to sleep until the next one. */
+    getWriteSequence(): number {
+        return Atomics.load(this.header, SEQ);
+    }
+
+    /**
+     * Resolve once the write sequence differs from `sequence`, or after
+     * `timeoutMs`. Uses Atomics.waitAsync where available, polling otherwise.
+     */
+    async waitForWrite(sequence: number, timeoutMs: number): Promise<void> {
+        if (typeof Atomics.waitAsync === 'function') {
+            const result = Atomics.waitAsync(this.header, SEQ, sequence, timeoutMs);
+            if (result.async) await result.value;
+            return;
+        }
+        if (this.getWriteSequence() !== sequence) return;
+        await new Promise((resolve) => setTimeout(resolve, timeoutMs));
+    }
+
+    /** Incremented by reset(), so readers can tell a reset from a stalled writer. */
+    getResetCount(): number {
+        return Atomics.load(this.header, RESETS);
+    }
+
+    reset(): void {
+        this.data.fill(0);
+        Atomics.add(this.header, RESETS, 1);
+        this.setCurrentFrame(0);
+    }
+
+    /** Publish: store the cursor, then wake readers waiting on the sequence. */
+    protected setCurrentFrame(frame: number): void {
+        Atomics.store(this.cursor, 0, BigInt(frame));
+        Atomics.add(this.header, SEQ, 1);
+        Atomics.notify(this.header, SEQ);
+    }
+}
+
+/**
+ * A consumer's position in a SharedAudioRing: each read() returns what was
+ * written since the previous one. Workers use it to follow the main thread.
+ */
+export class SharedAudioReader {
+    readonly ring: SharedAudioRing;
+    private nextFrame: number;
+    private resets: number;
+    /** Frames the writer overwrote before this reader got to them */
+    private lostFrames = 0;
+
+    /** Starts at the ring's current frame unless `startFrame` is given */
+    constructor(ring: SharedAudioRing, startFrame?: number) {
+        this.ring = ring;
+        this.nextFrame = startFrame ?? ring.getCurrentFrame();
+        this.resets = ring.getResetCount();
+    }
+
+    /**
+     * Frames written since the last read with the global frame index of the
+     * first one, or null if there are none. Overwritten frames are skipped.
+     */
+    read(): { offset: number; samples: Float32Array } | null {
+        for (;;) {
+            const resets = this.ring.getResetCount();
+            if (resets !== this.resets) {
+                this.resets = resets;
+                this.nextFrame = 0;
+            }
+            const currentFrame = this.ring.getCurrentFrame();
+            const baseFrame = Math.max(0, currentFrame - this.ring.maxFrames);
+            if (this.nextFrame < baseFrame) {
+                this.lostFrames += baseFrame - this.nextFrame;
+                this.nextFrame = baseFrame;
+            }
+            if (currentFrame === this.nextFrame) return null;
+
+            try {
+                const offset = this.nextFrame;
+                const samples = this.ring.read(offset, currentFrame);
+                this.nextFrame = currentFrame;
+                return { offset, samples };
+            } catch (err) {
+                // Lapped during the copy: skip ahead and try again
+                if (!(err instanceof RangeError)) throw err;
+            }
+        }
+    }
+
+    /** Drop everything written so far. */
+    skip(): void {
+        this.resets = this.ring.getResetCount();
+        this.nextFrame = this.ring.getCurrentFrame();
+    }
+
+    getNextFrame(): number {
+        return this.nextFrame;
+    }
+
+    getLostFrames(): number {
+        return this.lostFrames;
+    }
+}
+
+/**
+ * Call `onData` with new frames as they are written until the returned
+ * function is called. Waits with Atomics between writes, and also wakes every
+ * `pollMs` so a missed notification costs at most one poll.
+ */
+export function followSharedAudio(
+    reader: SharedAudioReader,
+    onData: (samples: Float32Array, offset: number) => void,
+    pollMs = 40,
+): () => void {
+    let active = true;
+    const loop = async () => {
+        while (active) {
+            const sequence = reader.ring.getWriteSequence();
+            const data = reader.read();
+            if (data) onData(data.samples, data.offset);
+            await reader.ring.waitForWrite(sequence, pollMs);
+        }
+    };
+    loop().catch((err) => console.error('[SharedAudioRing] Reader stopped:', err));
+    return () => {
+        active = false;
+    };
+}
@@ -1,19 +1,82 @@
 /**
- * Simple AudioWorkletProcessor for capturing raw audio chunks.
- * Minimal logic to keep latency low.
+ * Capture AudioWorkletProcessor.
+ *
+ * Batches the microphone's device-rate audio into 80 ms windows and runs the
+ * AudioFrontEnd (resampling, high-pass, noise suppression, AGC) on the audio
+ * thread, so the main thread only receives model-rate chunks:
+ *   { type: 'audio', samples, sampleRate, maxAbs }  (samples transferred)
+ *
+ * When the page is cross-origin isolated the main thread can hand it a
+ * SharedAudioRing instead; chunks are then written to the ring, where the
+ * pipeline workers read them, and not posted at all.
+ *
+ * Loaded by AudioEngine through Vite's `?worker&url`, which bundles the DSP
+ * imports into one module for audioWorklet.addModule.
+ *
+ * Port messages from the main thread:
+ *   { type: 'frontEnd', config }  update the DSP stages (AudioFrontEnd.updateConfig)
+ *   { type: 'reset' }             drop the partial window and filter state
+ *   { type: 'ring', buffer }      write chunks to this SharedAudioRing (null: post them again);
+ *                                 answered with { type: 'ring', buffer, startFrame } after
+ *                                 the last posted chunk, so the main thread can switch in order
  */
-class CaptureProcessor extends AudioWorkletProcessor {
-    process(inputs: Float32Array[][], _outputs: Float32Array[][]): boolean {
-        const input = inputs[0];
-        if (!input || input.length === 0) return true;
 
-        // Use only the first channel (mono)
-        const channelData = input[0];
+import type { AudioFrontEndConfig } from './dsp/AudioFrontEnd';
+import { CaptureChunker } from './dsp/CaptureChunker';
+import { SharedAudioRing } from './SharedAudioRing';
+
+// AudioWorkletGlobalScope; not part of the DOM lib
+declare class AudioWorkletProcessor {
+    readonly port: MessagePort;
+    constructor(options?: AudioWorkletNodeOptions);
+}
+declare function registerProcessor(name: string, processorCtor: new (options?: AudioWorkletNodeOptions) => AudioWorkletProcessor): void;
+
+export interface CaptureProcessorOptions {
+    inputSampleRate: number;
+    targetSampleRate: number;
+    /** Window length in seconds */
+    chunkDuration: number;
+    frontEnd: Partial<AudioFrontEndConfig>;
+}
 
-        // Send audio chunk to the main thread
-        // We clone the data to avoid issues with SharedArrayBuffer (if not available)
-        this.port.postMessage(channelData);
+const LOG_INTERVAL_MS = 5000;
 
+class CaptureProcessor extends AudioWorkletProcessor {
+    private chunker: CaptureChunker;
+    /** The only writer while attached */
+    private ring: SharedAudioRing | null = null;
+    private lastLog = 0;
+
+    constructor(options?: AudioWorkletNodeOptions) {
+        super(options);
+        const opts = (options?.processorOptions ?? {}) as Partial<CaptureProcessorOptions>;
+        const inputRate = opts.inputSampleRate ?? 16000;
+        const targetRate = opts.targetSampleRate ?? inputRate;
+        this.chunker = new CaptureChunker(inputRate, targetRate, opts.chunkDuration ?? 0.08, opts.frontEnd ?? {}, (samples, maxAbs) => {
+            if (this.ring) this.ring.write(samples);
+            else this.port.postMessage({ type: 'audio', samples, sampleRate: targetRate, maxAbs }, [samples.buffer]);
+            const now = Date.now();
+            if (now - this.lastLog > LOG_INTERVAL_MS) {
+                this.port.postMessage({ type: 'log', message: '[AudioWorklet] Active' });
+                this.lastLog = now;
+            }
+        });
+        this.port.onmessage = (event: MessageEvent) => {
+            const msg = event.data;
+            if (msg?.type === 'frontEnd') this.chunker.frontEnd.updateConfig(msg.config);
+            else if (msg?.type === 'reset') this.chunker.reset();
+            else if (msg?.type === 'ring') {
+                this.ring = msg.buffer ? SharedAudioRing.attach(msg.buffer) : null;
+                this.port.postMessage({ type: 'ring', buffer: msg.buffer ?? null, startFrame: this.ring?.getCurrentFrame() ?? 0 });
+            }
+        };
+    }
+
+    process(inputs: Float32Array[][]): boolean {
+        const channelData = inputs[0]?.[0];
+        // Use only the first channel (mono)
+        if (channelData) this.chunker.push(channelData);
         return true;
     }
 }
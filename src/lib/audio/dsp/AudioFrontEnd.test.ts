@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the capture DSP stages and the AudioFrontEnd chain.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AudioFrontEnd } from './AudioFrontEnd';
+import { HighPassFilter } from './HighPassFilter';
+import { NoiseSuppressor } from './NoiseSuppressor';
+import { AutoGainControl } from './AutoGainControl';
+
+const RATE = 16000;
+
+const tone = (freq: number, rate: number, seconds: number, amplitude = 0.5) =>
+    Float32Array.from({ length: Math.round(rate * seconds) }, (_, i) => amplitude * Math.sin((2 * Math.PI * freq * i) / rate));
+
+/** Deterministic white noise (LCG) so levels are reproducible */
+function noise(length: number, amplitude: number, seed = 1): Float32Array {
+    let state = seed;
+    return Float32Array.from({ length }, () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return amplitude * (state / 2 ** 31 - 1);
+    });
+}
+
+const add = (a: Float32Array, b: Float32Array) => a.map((v, i) => v + b[i]);
+
+const rms = (x: Float32Array, from = 0, to = x.length) => {
+    let sum = 0;
+    for (let i = from; i < to; i++) sum += x[i] * x[i];
+    return Math.sqrt(sum / (to - from));
+};
+
+function amplitudeAt(signal: Float32Array, freq: number, rate: number, from: number, to: number): number {
+    const w = (2 * Math.PI * freq) / rate;
+    let re = 0;
+    let im = 0;
+    for (let i = from; i < to; i++) {
+        re += signal[i] * Math.cos(w * i);
+        im -= signal[i] * Math.sin(w * i);
+    }
+    return (2 * Math.hypot(re, im)) / (to - from);
+}
+
+const db = (ratio: number) => 20 * Math.log10(ratio);
+
+/** Feed a signal through `process` in 80 ms chunks, like the capture worklet */
+function streamed(process: (chunk: Float32Array) => Float32Array, input: Float32Array, chunk = 1280): Float32Array {
+    const out: number[] = [];
+    for (let i = 0; i < input.length; i += chunk) out.push(...process(input.subarray(i, i + chunk)));
+    return Float32Array.from(out);
+}
+
+describe('HighPassFilter', () => {
+    it('cuts rumble and DC while passing speech', () => {
+        const hpf = new HighPassFilter(RATE, 80);
+        const rumble = hpf.process(tone(30, RATE, 1));
+        expect(db(rms(rumble, 8000) / rms(tone(30, RATE, 1), 8000))).toBeLessThan(-12);
+
+        hpf.reset();
+        const dc = hpf.process(new Float32Array(RATE).fill(0.3));
+        expect(Math.abs(dc[RATE - 1])).toBeLessThan(1e-3);
+
+        hpf.reset();
+        const voice = hpf.process(tone(1000, RATE, 1));
+        expect(Math.abs(db(amplitudeAt(voice, 1000, RATE, 1600, RATE) / 0.5))).toBeLessThan(0.1);
+    });
+});
+
+describe('NoiseSuppressor', () => {
+    it('lowers stationary noise and keeps the tone level', () => {
+        // 1 s of noise alone, then a 1 kHz tone over the same noise
+        const background = noise(3 * RATE, 0.05);
+        const speech = new Float32Array(3 * RATE);
+        speech.set(tone(1000, RATE, 2, 0.3), RATE);
+        const input = add(background, speech);
+
+        const ns = new NoiseSuppressor();
+        const out = streamed((c) => ns.process(c), input);
+        expect(out.length).toBe(input.length);
+
+        // Output lags by one frame (512 samples)
+        const lag = ns.frameSize;
+        expect(db(rms(out, 0.5 * RATE + lag, RATE) / rms(input, 0.5 * RATE, RATE - lag))).toBeLessThan(-6);
+        const kept = amplitudeAt(out, 1000, RATE, 1.5 * RATE + lag, 2.5 * RATE + lag);
+        expect(Math.abs(db(kept / 0.3))).toBeLessThan(1.5);
+    });
+
+    it('reconstructs the input exactly when nothing is suppressed', () => {
+        const ns = new NoiseSuppressor({ overSubtraction: 0 });
+        const input = tone(440, RATE, 0.5);
+        const out = streamed((c) => ns.process(c), input, 1000);
+        for (let i = 2000; i < input.length; i += 101) {
+            expect(out[i]).toBeCloseTo(input[i - ns.frameSize], 4);
+        }
+    });
+});
+
+describe('AutoGainControl', () => {
+    it('brings a quiet speaker up to the target level', () => {
+        const agc = new AutoGainControl(RATE);
+        const out = streamed((c) => agc.process(c), tone(500, RATE, 4, 0.02));
+        // Target RMS 0.1 (sine peak ~0.14); the slow release takes a few seconds
+        expect(rms(out, 3 * RATE)).toBeGreaterThan(0.08);
+        expect(rms(out, 3 * RATE)).toBeLessThan(0.11);
+        expect(agc.getGainDb()).toBeGreaterThan(10);
+    });
+
+    it('never clips a loud input', () => {
+        const agc = new AutoGainControl(RATE, { maxGainDb: 24 });
+        agc.process(tone(500, RATE, 2, 0.005));
+        const out = agc.process(tone(500, RATE, 0.5, 0.9));
+        expect(Math.max(...out.map(Math.abs))).toBeLessThanOrEqual(0.95);
+    });
+
+    it('does not boost gated silence', () => {
+        const agc = new AutoGainControl(RATE);
+        const out = agc.process(noise(2 * RATE, 0.001));
+        expect(agc.getGainDb()).toBe(0);
+        expect(rms(out)).toBeLessThan(0.001);
+    });
+});
+
+describe('AudioFrontEnd', () => {
+    it('resamples 48 kHz capture to 16 kHz without aliasing and keeps the stream length', () => {
+        const fe = new AudioFrontEnd(48000, RATE, { highPassFilter: false });
+        const input = add(tone(1000, 48000, 1, 0.3), tone(12000, 48000, 1, 0.3));
+        const out = streamed((c) => fe.process(c), input, 3840);
+        expect(Math.abs(out.length - RATE)).toBeLessThanOrEqual(1);
+        expect(db(amplitudeAt(out, 4000, RATE, 1600, 14400) / 0.3)).toBeLessThan(-60);
+        expect(Math.abs(db(amplitudeAt(out, 1000, RATE, 1600, 14400) / 0.3))).toBeLessThan(0.1);
+
+        fe.updateConfig({ sincResampling: false });
+        const linear = streamed((c) => fe.process(c), input, 3840);
+        expect(db(amplitudeAt(linear, 4000, RATE, 1600, 14400) / 0.3)).toBeGreaterThan(-20);
+    });
+
+    it('runs only the enabled stages', () => {
+        const chunk = tone(1000, RATE, 0.08);
+        const bypass = new AudioFrontEnd(RATE, RATE, { highPassFilter: false });
+        expect(bypass.process(chunk)).toBe(chunk);
+        expect(bypass.getLatencySamples()).toBe(0);
+
+        const full = new AudioFrontEnd(RATE, RATE, { noiseSuppression: true, autoGain: true });
+        expect(full.process(chunk)).toHaveLength(chunk.length);
+        expect(full.getLatencySamples()).toBe(512);
+        expect(full.getConfig()).toMatchObject({ highPassFilter: true, noiseSuppression: true, autoGain: true });
+    });
+});
@@ -0,0 +1,97 @@
+import { resampleLinear } from '../utils';
+import { PolyphaseResampler } from './Resampler';
+import { HighPassFilter } from './HighPassFilter';
+import { NoiseSuppressor } from './NoiseSuppressor';
+import { AutoGainControl } from './AutoGainControl';
+
+/**
+ * Capture-path DSP stages, each toggleable from the settings panel.
+ */
+export interface AudioFrontEndConfig {
+    /** Anti-aliased polyphase resampling; off falls back to linear interpolation */
+    sincResampling: boolean;
+    /** Remove rumble and DC below highPassHz */
+    highPassFilter: boolean;
+    highPassHz: number;
+    /** Spectral-subtraction suppression of stationary background noise */
+    noiseSuppression: boolean;
+    /** Bring quiet speakers up to a consistent level */
+    autoGain: boolean;
+}
+
+export const DEFAULT_FRONT_END_CONFIG: AudioFrontEndConfig = {
+    sincResampling: true,
+    highPassFilter: true,
+    highPassHz: 80,
+    noiseSuppression: false,
+    autoGain: false,
+};
+
+/**
+ * Runs captured device-rate audio through resample -> high-pass -> noise
+ * suppression -> AGC and returns it at the model rate. Filters run after
+ * resampling so they work at 16 kHz regardless of the device rate.
+ *
+ * Stage state is kept while a stage is disabled and reset when it is turned
+ * back on, so toggling mid-recording doesn't replay stale filter history.
+ */
+export class AudioFrontEnd {
+    private config: AudioFrontEndConfig;
+    private resampler: PolyphaseResampler | null;
+    private highPass: HighPassFilter;
+    private noiseSuppressor: NoiseSuppressor;
+    private agc: AutoGainControl;
+
+    constructor(readonly inputRate: number, readonly outputRate: number, config: Partial<AudioFrontEndConfig> = {}) {
+        this.config = { ...DEFAULT_FRONT_END_CONFIG, ...config };
+        this.resampler = inputRate !== outputRate ? new PolyphaseResampler(inputRate, outputRate) : null;
+        this.highPass = new HighPassFilter(outputRate, this.config.highPassHz);
+        this.noiseSuppressor = new NoiseSuppressor({ frameSize: outputRate >= 32000 ? 1024 : 512 });
+        this.agc = new AutoGainControl(outputRate);
+    }
+
+    process(chunk: Float32Array): Float32Array {
+        const { config } = this;
+        let out = chunk;
+        if (this.inputRate !== this.outputRate) {
+            out = config.sincResampling && this.resampler
+                ? this.resampler.process(out)
+                : resampleLinear(out, this.inputRate, this.outputRate);
+        }
+        if (config.highPassFilter) out = this.highPass.process(out);
+        if (config.noiseSuppression) out = this.noiseSuppressor.process(out);
+        if (config.autoGain) out = this.agc.process(out);
+        return out;
+    }
+
+    updateConfig(config: Partial<AudioFrontEndConfig>): void {
+        const prev = this.config;
+        this.config = { ...prev, ...config };
+        if (this.config.highPassHz !== prev.highPassHz) this.highPass.setCutoff(this.config.highPassHz);
+        if (this.config.sincResampling && !prev.sincResampling) this.resampler?.reset();
+        if (this.config.highPassFilter && !prev.highPassFilter) this.highPass.reset();
+        if (this.config.noiseSuppression && !prev.noiseSuppression) this.noiseSuppressor.reset();
+        if (this.config.autoGain && !prev.autoGain) this.agc.reset();
+    }
+
+    getConfig(): AudioFrontEndConfig {
+        return { ...this.config };
+    }
+
+    /** Added delay at the output rate, in samples */
+    getLatencySamples(): number {
+        let latency = 0;
+        if (this.resampler && this.config.sincResampling) {
+            latency += Math.round((this.resampler.delay * this.outputRate) / this.inputRate);
+        }
+        if (this.config.noiseSuppression) latency += this.noiseSuppressor.frameSize;
+        return latency;
+    }
+
+    reset(): void {
+        this.resampler?.reset();
+        this.highPass.reset();
+        this.noiseSuppressor.reset();
+        this.agc.reset();
+    }
+}
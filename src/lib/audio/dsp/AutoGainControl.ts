@@ -0,0 +1,100 @@
+export interface AutoGainOptions {
+    /** Level speech is brought to, as RMS (default 0.1, i.e. -20 dBFS) */
+    targetRms?: number;
+    /** Gain limits in dB (default -12..+24) */
+    minGainDb?: number;
+    maxGainDb?: number;
+    /** Blocks quieter than this RMS hold the current gain (default 0.003, about -50 dBFS) */
+    gateRms?: number;
+    /** Time constant when the gain falls (default 20 ms) */
+    attackMs?: number;
+    /** Time constant when the gain rises (default 800 ms) */
+    releaseMs?: number;
+    /** Peak ceiling of the output (default 0.95) */
+    limit?: number;
+}
+
+const dbToGain = (db: number) => 10 ** (db / 20);
+
+/**
+ * Automatic gain control for quiet or distant speakers.
+ *
+ * Measures RMS in 10 ms blocks and moves the gain towards target / RMS:
+ * quickly down, slowly up. Blocks below the gate (pauses, room tone) keep the
+ * gain where it is, so silence is not pumped up to speech level. The gain is
+ * ramped across each block and capped so peaks stay under `limit`.
+ */
+export class AutoGainControl {
+    private targetRms: number;
+    private minGain: number;
+    private maxGain: number;
+    private gateRms: number;
+    private attack: number;
+    private release: number;
+    private limit: number;
+    private blockSize: number;
+    private gain = 1;
+
+    constructor(readonly sampleRate: number, options: AutoGainOptions = {}) {
+        const {
+            targetRms = 0.1,
+            minGainDb = -12,
+            maxGainDb = 24,
+            gateRms = 0.003,
+            attackMs = 20,
+            releaseMs = 800,
+            limit = 0.95,
+        } = options;
+        this.targetRms = targetRms;
+        this.minGain = dbToGain(minGainDb);
+        this.maxGain = dbToGain(maxGainDb);
+        this.gateRms = gateRms;
+        this.limit = limit;
+        this.blockSize = Math.max(1, Math.round(sampleRate * 0.01));
+        const blockMs = (this.blockSize / sampleRate) * 1000;
+        this.attack = Math.exp(-blockMs / attackMs);
+        this.release = Math.exp(-blockMs / releaseMs);
+    }
+
+    process(input: Float32Array): Float32Array {
+        const output = new Float32Array(input.length);
+        for (let start = 0; start < input.length; start += this.blockSize) {
+            const end = Math.min(input.length, start + this.blockSize);
+            let sum = 0;
+            let peak = 0;
+            for (let i = start; i < end; i++) {
+                const v = input[i];
+                sum += v * v;
+                const a = v < 0 ? -v : v;
+                if (a > peak) peak = a;
+            }
+            const rms = Math.sqrt(sum / (end - start));
+
+            let next = this.gain;
+            if (rms > this.gateRms) {
+                const desired = Math.min(this.maxGain, Math.max(this.minGain, this.targetRms / rms));
+                const coeff = desired < this.gain ? this.attack : this.release;
+                next = coeff * this.gain + (1 - coeff) * desired;
+            }
+            if (peak * next > this.limit) next = this.limit / peak;
+
+            const step = (next - this.gain) / (end - start);
+            for (let i = start; i < end; i++) {
+                const y = input[i] * (this.gain + step * (i - start + 1));
+                // The ramp can briefly overshoot the cap set for this block's peak
+                output[i] = y > this.limit ? this.limit : y < -this.limit ? -this.limit : y;
+            }
+            this.gain = next;
+        }
+        return output;
+    }
+
+    /** Current gain in dB */
+    getGainDb(): number {
+        return 20 * Math.log10(this.gain);
+    }
+
+    reset(): void {
+        this.gain = 1;
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for CaptureChunker (worklet-side batching and front end).
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CaptureChunker } from './CaptureChunker';
+import { AudioFrontEnd } from './AudioFrontEnd';
+
+const QUANTUM = 128;
+
+const tone = (freq: number, rate: number, length: number) =>
+    Float32Array.from({ length }, (_, i) => 0.5 * Math.sin((2 * Math.PI * freq * i) / rate));
+
+/** Feed `input` one render quantum at a time, the way process() receives it */
+function feed(chunker: CaptureChunker, input: Float32Array): void {
+    for (let i = 0; i < input.length; i += QUANTUM) chunker.push(input.subarray(i, i + QUANTUM));
+}
+
+describe('CaptureChunker', () => {
+    it('emits 80 ms windows at the output rate', () => {
+        const chunks: Float32Array[] = [];
+        const chunker = new CaptureChunker(48000, 16000, 0.08, {}, (samples) => chunks.push(samples));
+        // 0.2 s: two full windows (3840 device samples each) and a partial one
+        feed(chunker, tone(440, 48000, 9600));
+        expect(chunks).toHaveLength(2);
+        expect(chunks.every((c) => c.length === 1280)).toBe(true);
+    });
+
+    it('matches running the front end over whole windows', () => {
+        const config = { highPassFilter: true, autoGain: true };
+        const input = tone(300, 48000, 3840 * 3);
+        const chunks: Float32Array[] = [];
+        feed(new CaptureChunker(48000, 16000, 0.08, config, (samples) => chunks.push(samples)), input);
+
+        const reference = new AudioFrontEnd(48000, 16000, config);
+        for (let w = 0; w < 3; w++) {
+            expect(chunks[w]).toEqual(reference.process(input.slice(w * 3840, (w + 1) * 3840)));
+        }
+    });
+
+    it('reports the peak and hands out arrays it does not reuse', () => {
+        const chunks: Float32Array[] = [];
+        const peaks: number[] = [];
+        const chunker = new CaptureChunker(16000, 16000, 0.016, { highPassFilter: false }, (samples, maxAbs) => {
+            chunks.push(samples);
+            peaks.push(maxAbs);
+        });
+        const input = new Float32Array(512).fill(0.25);
+        input[300] = -0.75;
+        feed(chunker, input);
+
+        expect(chunks).toHaveLength(2);
+        expect(peaks).toEqual([0.25, 0.75]);
+        expect(chunks[0]).not.toBe(chunks[1]);
+        expect(chunks[0][0]).toBe(0.25);
+    });
+
+    it('drops the partial window on reset', () => {
+        const chunks: Float32Array[] = [];
+        const chunker = new CaptureChunker(16000, 16000, 0.016, {}, (samples) => chunks.push(samples));
+        chunker.push(new Float32Array(200));
+        chunker.reset();
+        chunker.push(new Float32Array(200));
+        expect(chunks).toHaveLength(0);
+        chunker.push(new Float32Array(56));
+        expect(chunks).toHaveLength(1);
+    });
+});
@@ -0,0 +1,61 @@
+import { AudioFrontEnd, type AudioFrontEndConfig } from './AudioFrontEnd';
+
+/** Receives each finished chunk at the output rate with its peak absolute sample. */
+export type CaptureChunkHandler = (samples: Float32Array, maxAbs: number) => void;
+
+/**
+ * Collects device-rate render quanta (128 samples each) into fixed windows
+ * and runs every window through the AudioFrontEnd. The capture worklet uses
+ * it so resampling and cleanup run on the audio thread and only model-rate
+ * audio reaches the main thread.
+ *
+ * Each chunk handed to `onChunk` is a fresh array the handler may keep or
+ * transfer.
+ */
+export class CaptureChunker {
+    readonly frontEnd: AudioFrontEnd;
+    private buffer: Float32Array;
+    private index = 0;
+
+    constructor(
+        inputRate: number,
+        outputRate: number,
+        chunkDuration: number,
+        config: Partial<AudioFrontEndConfig>,
+        private onChunk: CaptureChunkHandler,
+    ) {
+        this.frontEnd = new AudioFrontEnd(inputRate, outputRate, config);
+        this.buffer = new Float32Array(Math.max(1, Math.round(chunkDuration * inputRate)));
+    }
+
+    push(samples: Float32Array): void {
+        let offset = 0;
+        while (offset < samples.length) {
+            const take = Math.min(this.buffer.length - this.index, samples.length - offset);
+            this.buffer.set(samples.subarray(offset, offset + take), this.index);
+            this.index += take;
+            offset += take;
+            if (this.index === this.buffer.length) {
+                this.emit();
+                this.index = 0;
+            }
+        }
+    }
+
+    /** Drop the partial window and the front end's filter state. */
+    reset(): void {
+        this.index = 0;
+        this.frontEnd.reset();
+    }
+
+    private emit(): void {
+        // The front end returns its input when no stage runs, and the window buffer is reused
+        const out = this.frontEnd.process(this.buffer.slice());
+        let maxAbs = 0;
+        for (let i = 0; i < out.length; i++) {
+            const a = out[i] < 0 ? -out[i] : out[i];
+            if (a > maxAbs) maxAbs = a;
+        }
+        this.onChunk(out, maxAbs);
+    }
+}
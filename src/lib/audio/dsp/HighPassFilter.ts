@@ -0,0 +1,49 @@
+/**
+ * Second-order Butterworth high-pass (RBJ biquad, transposed direct form II).
+ * Removes DC offset, rumble and handling noise below the speech band.
+ */
+export class HighPassFilter {
+    private b0 = 0;
+    private b1 = 0;
+    private b2 = 0;
+    private a1 = 0;
+    private a2 = 0;
+    private z1 = 0;
+    private z2 = 0;
+
+    constructor(readonly sampleRate: number, cutoffHz = 80) {
+        this.setCutoff(cutoffHz);
+    }
+
+    setCutoff(cutoffHz: number): void {
+        const w0 = (2 * Math.PI * cutoffHz) / this.sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+        const a0 = 1 + alpha;
+        this.b0 = (1 + cos) / 2 / a0;
+        this.b1 = -(1 + cos) / a0;
+        this.b2 = (1 + cos) / 2 / a0;
+        this.a1 = (-2 * cos) / a0;
+        this.a2 = (1 - alpha) / a0;
+    }
+
+    process(input: Float32Array): Float32Array {
+        const output = new Float32Array(input.length);
+        let { z1, z2 } = this;
+        for (let i = 0; i < input.length; i++) {
+            const x = input[i];
+            const y = this.b0 * x + z1;
+            z1 = this.b1 * x - this.a1 * y + z2;
+            z2 = this.b2 * x - this.a2 * y;
+            output[i] = y;
+        }
+        this.z1 = z1;
+        this.z2 = z2;
+        return output;
+    }
+
+    reset(): void {
+        this.z1 = 0;
+        this.z2 = 0;
+    }
+}
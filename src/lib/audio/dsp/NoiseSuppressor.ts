@@ -0,0 +1,171 @@
+import { fft, precomputeTwiddles } from '../mel-math';
+
+export interface NoiseSuppressorOptions {
+    /** FFT frame in samples, a power of two (default 512: 32 ms at 16 kHz) */
+    frameSize?: number;
+    /** Noise estimate multiplier; above 1 trades residual noise for speech distortion (default 2) */
+    overSubtraction?: number;
+    /** Lowest gain applied to a bin, linear (default 0.1, i.e. -20 dB) */
+    floorGain?: number;
+    /** Frames averaged for the initial noise estimate (default 8) */
+    initialFrames?: number;
+}
+
+/**
+ * Spectral-subtraction noise suppressor for stationary background noise
+ * (fans, hum, room tone).
+ *
+ * Streams through 50%-overlapped frames with a square-root Hann window on
+ * both analysis and synthesis, so unmodified frames reconstruct exactly. The
+ * per-bin noise power follows dips quickly and rises slowly (a cheap
+ * minimum-statistics tracker), and gains are smoothed over time to keep
+ * "musical noise" down. Output lags input by one frame; process() always
+ * returns as many samples as it was given.
+ */
+export class NoiseSuppressor {
+    readonly frameSize: number;
+    private hop: number;
+    private overSubtraction: number;
+    private floorGain: number;
+    private initialFrames: number;
+    private window: Float64Array;
+    private twiddles: { cos: Float64Array; sin: Float64Array };
+    private re: Float64Array;
+    private im: Float64Array;
+    private noise: Float64Array;
+    private smoothed: Float64Array;
+    private gains: Float64Array;
+    private frame: Float64Array;
+    private overlap: Float64Array;
+    private pending: Float32Array;
+    private pendingCount = 0;
+    private queue: Float32Array;
+    private queueStart = 0;
+    private queueEnd = 0;
+    private framesSeen = 0;
+
+    constructor(options: NoiseSuppressorOptions = {}) {
+        const { frameSize = 512, overSubtraction = 2, floorGain = 0.1, initialFrames = 8 } = options;
+        if (frameSize < 4 || (frameSize & (frameSize - 1)) !== 0) {
+            throw new RangeError(`frameSize must be a power of two, got ${frameSize}`);
+        }
+        this.frameSize = frameSize;
+        this.hop = frameSize / 2;
+        this.overSubtraction = overSubtraction;
+        this.floorGain = floorGain;
+        this.initialFrames = initialFrames;
+        this.window = new Float64Array(frameSize);
+        for (let i = 0; i < frameSize; i++) {
+            this.window[i] = Math.sqrt(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frameSize));
+        }
+        this.twiddles = precomputeTwiddles(frameSize);
+        this.re = new Float64Array(frameSize);
+        this.im = new Float64Array(frameSize);
+        const bins = frameSize / 2 + 1;
+        this.noise = new Float64Array(bins);
+        this.smoothed = new Float64Array(bins);
+        this.gains = new Float64Array(bins).fill(1);
+        this.frame = new Float64Array(frameSize);
+        this.overlap = new Float64Array(frameSize);
+        this.pending = new Float32Array(this.hop);
+        this.queue = new Float32Array(0);
+        this.reset();
+    }
+
+    process(input: Float32Array): Float32Array {
+        this.ensureQueueCapacity(input.length + this.hop);
+        for (let i = 0; i < input.length; i++) {
+            this.pending[this.pendingCount++] = input[i];
+            if (this.pendingCount === this.hop) {
+                this.processHop();
+                this.pendingCount = 0;
+            }
+        }
+        const output = this.queue.slice(this.queueStart, this.queueStart + input.length);
+        this.queueStart += input.length;
+        return output;
+    }
+
+    reset(): void {
+        this.noise.fill(0);
+        this.smoothed.fill(0);
+        this.gains.fill(1);
+        this.frame.fill(0);
+        this.overlap.fill(0);
+        this.pendingCount = 0;
+        this.framesSeen = 0;
+        // One hop of silence up front keeps output length equal to input length
+        this.queue = new Float32Array(this.hop * 4);
+        this.queueStart = 0;
+        this.queueEnd = this.hop;
+    }
+
+    private processHop(): void {
+        const { frameSize: n, hop, re, im, window, frame, overlap } = this;
+
+        // Slide the analysis frame by one hop
+        frame.copyWithin(0, hop);
+        for (let i = 0; i < hop; i++) frame[hop + i] = this.pending[i];
+        for (let i = 0; i < n; i++) {
+            re[i] = frame[i] * window[i];
+            im[i] = 0;
+        }
+        fft(re, im, n, this.twiddles);
+
+        this.updateGains();
+        for (let k = 0; k <= n / 2; k++) {
+            const g = this.gains[k];
+            re[k] *= g;
+            im[k] *= g;
+            if (k > 0 && k < n / 2) {
+                re[n - k] *= g;
+                im[n - k] *= g;
+            }
+        }
+
+        // Inverse FFT via conjugation
+        for (let i = 0; i < n; i++) im[i] = -im[i];
+        fft(re, im, n, this.twiddles);
+        for (let i = 0; i < n; i++) overlap[i] += (re[i] / n) * window[i];
+
+        this.queue.set(Float32Array.from(overlap.subarray(0, hop)), this.queueEnd);
+        this.queueEnd += hop;
+        overlap.copyWithin(0, hop);
+        overlap.fill(0, n - hop);
+    }
+
+    private updateGains(): void {
+        const { re, im, noise, smoothed, gains } = this;
+        const initial = this.framesSeen < this.initialFrames;
+        this.framesSeen++;
+        for (let k = 0; k < noise.length; k++) {
+            const power = re[k] * re[k] + im[k] * im[k];
+            // A single frame's bin power is very noisy; track a smoothed copy
+            smoothed[k] = this.framesSeen === 1 ? power : 0.6 * smoothed[k] + 0.4 * power;
+            if (initial) {
+                // Running mean over the first frames, assumed to be background
+                noise[k] += (power - noise[k]) / this.framesSeen;
+            } else if (smoothed[k] < noise[k]) {
+                noise[k] = 0.9 * noise[k] + 0.1 * smoothed[k];
+            } else {
+                // About +1.3 dB/s at a 16 ms hop, so speech barely lifts the estimate
+                noise[k] = Math.min(smoothed[k], noise[k] * 1.005);
+            }
+
+            const snrGain = smoothed[k] > 0 ? Math.sqrt(Math.max(0, 1 - (this.overSubtraction * noise[k]) / smoothed[k])) : 0;
+            const target = Math.max(this.floorGain, snrGain);
+            // Open fast for onsets, close more slowly between words
+            gains[k] = target > gains[k] ? target : 0.5 * gains[k] + 0.5 * target;
+        }
+    }
+
+    private ensureQueueCapacity(extra: number): void {
+        const live = this.queueEnd - this.queueStart;
+        if (this.queueEnd + extra <= this.queue.length) return;
+        const next = new Float32Array(Math.max(this.queue.length, (live + extra) * 2));
+        next.set(this.queue.subarray(this.queueStart, this.queueEnd));
+        this.queue = next;
+        this.queueStart = 0;
+        this.queueEnd = live;
+    }
+}
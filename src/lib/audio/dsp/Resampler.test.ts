@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the polyphase windowed-sinc resampler.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PolyphaseResampler, resample } from './Resampler';
+import { resampleLinear } from '../utils';
+
+const tone = (freq: number, rate: number, seconds: number, amplitude = 0.5) =>
+    Float32Array.from({ length: Math.round(rate * seconds) }, (_, i) => amplitude * Math.sin((2 * Math.PI * freq * i) / rate));
+
+/** Amplitude of one frequency component (Goertzel), skipping filter edges */
+function amplitudeAt(signal: Float32Array, freq: number, rate: number, skip = 0.1): number {
+    const start = Math.round(rate * skip);
+    const end = signal.length - start;
+    const w = (2 * Math.PI * freq) / rate;
+    let re = 0;
+    let im = 0;
+    for (let i = start; i < end; i++) {
+        re += signal[i] * Math.cos(w * i);
+        im -= signal[i] * Math.sin(w * i);
+    }
+    return (2 * Math.hypot(re, im)) / (end - start);
+}
+
+const db = (ratio: number) => 20 * Math.log10(ratio);
+
+describe('PolyphaseResampler', () => {
+    it('rejects a 12 kHz tone that linear interpolation aliases to 4 kHz (48k -> 16k)', () => {
+        const input = tone(12000, 48000, 1);
+        const sinc = resample(input, 48000, 16000);
+        const linear = resampleLinear(input, 48000, 16000);
+
+        // 12 kHz folds to 16 - 12 = 4 kHz at the output rate
+        expect(db(amplitudeAt(linear, 4000, 16000) / 0.5)).toBeGreaterThan(-20);
+        expect(db(amplitudeAt(sinc, 4000, 16000) / 0.5)).toBeLessThan(-60);
+    });
+
+    it('rejects tones just above the output Nyquist (44.1k -> 16k)', () => {
+        for (const freq of [9000, 11000, 15000]) {
+            const out = resample(tone(freq, 44100, 1), 44100, 16000);
+            const alias = Math.abs(16000 - freq) % 16000;
+            expect(db(amplitudeAt(out, alias, 16000) / 0.5)).toBeLessThan(-60);
+        }
+    });
+
+    it('passes speech-band tones unchanged and time-aligned', () => {
+        for (const freq of [300, 1000, 3400, 7000]) {
+            const input = tone(freq, 48000, 1);
+            const out = resample(input, 48000, 16000);
+            expect(out.length).toBe(16000);
+            expect(Math.abs(db(amplitudeAt(out, freq, 16000) / 0.5))).toBeLessThan(0.1);
+        }
+
+        // Delay compensation: output sample n lines up with input sample 3n
+        const input = tone(1000, 48000, 0.5);
+        const out = resample(input, 48000, 16000);
+        for (const n of [2000, 4000, 6000]) {
+            expect(out[n]).toBeCloseTo(input[3 * n], 2);
+        }
+    });
+
+    it('gives the same output streamed in uneven chunks as in one call', () => {
+        const input = tone(440, 44100, 0.5);
+        const whole = new PolyphaseResampler(44100, 16000).process(input);
+
+        const streaming = new PolyphaseResampler(44100, 16000);
+        const parts: Float32Array[] = [];
+        for (let i = 0, size = 1; i < input.length; i += size, size = (size * 7 + 3) % 4000 + 1) {
+            parts.push(streaming.process(input.subarray(i, i + size)));
+        }
+        const streamed = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+        let offset = 0;
+        for (const p of parts) {
+            streamed.set(p, offset);
+            offset += p.length;
+        }
+
+        expect(streamed.length).toBe(whole.length);
+        for (let i = 0; i < whole.length; i += 97) expect(streamed[i]).toBeCloseTo(whole[i], 6);
+    });
+
+    it('validates rates and passes equal rates through', () => {
+        expect(() => new PolyphaseResampler(44100.5, 16000)).toThrow(RangeError);
+        expect(() => new PolyphaseResampler(48000, 0)).toThrow(RangeError);
+        const input = tone(1000, 16000, 0.1);
+        expect(resample(input, 16000, 16000)).toBe(input);
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Polyphase windowed-sinc resampler.
+ *
+ * Converts between any two integer rates with ratio up/down (48000 -> 16000
+ * is 1/3, 44100 -> 16000 is 160/441). The anti-aliasing low-pass is a
+ * Kaiser-windowed sinc whose transition band ends at the lower Nyquist, so
+ * nothing above the output Nyquist folds back into the band; each output
+ * sample only evaluates the one polyphase branch it needs.
+ */
+
+export interface ResamplerOptions {
+    /** Stopband attenuation in dB (default 80) */
+    attenuationDb?: number;
+    /** Passband edge as a fraction of the lower Nyquist (default 0.9) */
+    passband?: number;
+}
+
+function gcd(a: number, b: number): number {
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+/** Zeroth-order modified Bessel function of the first kind (for the Kaiser window) */
+function besselI0(x: number): number {
+    let sum = 1;
+    let term = 1;
+    for (let k = 1; k < 50; k++) {
+        term *= (x / (2 * k)) ** 2;
+        sum += term;
+        if (term < sum * 1e-12) break;
+    }
+    return sum;
+}
+
+function kaiserBeta(attenuationDb: number): number {
+    if (attenuationDb > 50) return 0.1102 * (attenuationDb - 8.7);
+    if (attenuationDb >= 21) return 0.5842 * (attenuationDb - 21) ** 0.4 + 0.07886 * (attenuationDb - 21);
+    return 0;
+}
+
+export class PolyphaseResampler {
+    readonly fromRate: number;
+    readonly toRate: number;
+    /** Filter length per polyphase branch, in input samples */
+    readonly taps: number;
+    /** Group delay of the filter, in input samples */
+    readonly delay: number;
+    private up: number;
+    private down: number;
+    private phases: Float32Array[];
+    /** The last taps - 1 input samples */
+    private history: Float32Array;
+    private inputCount = 0;
+    private outputCount = 0;
+
+    constructor(fromRate: number, toRate: number, options: ResamplerOptions = {}) {
+        if (!Number.isInteger(fromRate) || !Number.isInteger(toRate) || fromRate <= 0 || toRate <= 0) {
+            throw new RangeError(`Sample rates must be positive integers, got ${fromRate} -> ${toRate}`);
+        }
+        const { attenuationDb = 80, passband = 0.9 } = options;
+        const g = gcd(fromRate, toRate);
+        this.fromRate = fromRate;
+        this.toRate = toRate;
+        this.up = toRate / g;
+        this.down = fromRate / g;
+
+        // Kaiser design: the transition band runs from the passband edge to the lower Nyquist
+        const nyquist = Math.min(fromRate, toRate) / 2;
+        const transition = nyquist * (1 - passband);
+        const cutoff = nyquist - transition / 2;
+        const beta = kaiserBeta(attenuationDb);
+        const width = (2 * Math.PI * transition) / fromRate;
+        let taps = Math.max(2, Math.ceil((attenuationDb - 7.95) / (2.285 * width)) + 1);
+        // An odd prototype length puts the filter center on a whole upsampled sample
+        if ((taps * this.up) % 2 === 0 && this.up % 2 === 1) taps++;
+        this.taps = taps;
+
+        // Prototype filter at the upsampled rate, split into `up` branches
+        const length = this.taps * this.up;
+        const center = (length - 1) / 2;
+        const fc = cutoff / (fromRate * this.up);
+        const i0Beta = besselI0(beta);
+        this.phases = Array.from({ length: this.up }, () => new Float32Array(this.taps));
+        for (let j = 0; j < length; j++) {
+            const t = j - center;
+            const sinc = t === 0 ? 2 * fc : Math.sin(2 * Math.PI * fc * t) / (Math.PI * t);
+            const r = (2 * j) / (length - 1) - 1;
+            const window = besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / i0Beta;
+            // Gain `up` makes up for the zeros inserted by upsampling
+            this.phases[j % this.up][Math.floor(j / this.up)] = sinc * window * this.up;
+        }
+
+        this.delay = center / this.up;
+        this.history = new Float32Array(this.taps - 1);
+    }
+
+    /** Resample the next chunk of a stream. Output length follows the rate ratio (±1 sample). */
+    process(chunk: Float32Array): Float32Array {
+        const taps = this.taps;
+        const buffer = new Float32Array(this.history.length + chunk.length);
+        buffer.set(this.history);
+        buffer.set(chunk, this.history.length);
+
+        // buffer[j] holds global input sample (firstIndex + j)
+        const firstIndex = this.inputCount - this.history.length;
+        const available = this.inputCount + chunk.length;
+        const count = Math.max(0, Math.ceil((available * this.up) / this.down) - this.outputCount);
+        const output = new Float32Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const position = (this.outputCount + i) * this.down;
+            const index = Math.floor(position / this.up) - firstIndex;
+            const coeffs = this.phases[position % this.up];
+            let acc = 0;
+            for (let k = 0; k < taps; k++) acc += coeffs[k] * buffer[index - k];
+            output[i] = acc;
+        }
+
+        this.outputCount += count;
+        this.inputCount = available;
+        this.history = buffer.slice(buffer.length - (taps - 1));
+        return output;
+    }
+
+    reset(): void {
+        this.history.fill(0);
+        this.inputCount = 0;
+        this.outputCount = 0;
+    }
+}
+
+/**
+ * Resample a whole signal, compensating the filter delay so the output is
+ * time-aligned with the input.
+ */
+export function resample(input: Float32Array, fromRate: number, toRate: number, options?: ResamplerOptions): Float32Array {
+    if (fromRate === toRate) return input;
+    const resampler = new PolyphaseResampler(fromRate, toRate, options);
+    const g = gcd(fromRate, toRate);
+    const up = toRate / g;
+    const down = fromRate / g;
+
+    // Lead-in zeros that bring the filter delay onto a whole output sample
+    const delayUp = resampler.delay * up;
+    let lead = 0;
+    let bestError = Infinity;
+    for (let p = 0; p < down && bestError > 1e-9; p++) {
+        const delayOut = (delayUp + p * up) / down;
+        const error = Math.abs(delayOut - Math.round(delayOut));
+        if (error < bestError) {
+            bestError = error;
+            lead = p;
+        }
+    }
+
+    const padded = new Float32Array(lead + input.length + resampler.taps);
+    padded.set(input, lead);
+    const output = resampler.process(padded);
+    const offset = Math.round((delayUp + lead * up) / down);
+    return output.slice(offset, offset + Math.floor((input.length * toRate) / fromRate));
+}
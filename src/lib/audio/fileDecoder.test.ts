@@ -0,0 +1,55 @@
+/**
+ * Unit tests for the audio file decoder helpers (file type detection, downmix).
+ *
+ * decodeAudioFile itself depends on the browser's OfflineAudioContext and is
+ * exercised manually via file import in the app.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isSupportedAudioFile, downmixToMono, AUDIO_FILE_ACCEPT } from './fileDecoder';
+
+describe('isSupportedAudioFile', () => {
+    it('should accept audio MIME types', () => {
+        expect(isSupportedAudioFile({ name: 'clip', type: 'audio/mpeg' })).toBe(true);
+        expect(isSupportedAudioFile({ name: 'clip', type: 'audio/ogg' })).toBe(true);
+    });
+
+    it('should accept WebM video containers', () => {
+        expect(isSupportedAudioFile({ name: 'call.webm', type: 'video/webm' })).toBe(true);
+    });
+
+    it('should fall back to the extension when the type is empty', () => {
+        expect(isSupportedAudioFile({ name: 'Meeting.WAV', type: '' })).toBe(true);
+        expect(isSupportedAudioFile({ name: 'notes.txt', type: '' })).toBe(false);
+    });
+
+    it('should reject non-audio types', () => {
+        expect(isSupportedAudioFile({ name: 'image.png', type: 'image/png' })).toBe(false);
+    });
+
+    it('should list the supported formats in the accept string', () => {
+        for (const ext of ['.wav', '.mp3', '.ogg', '.webm']) {
+            expect(AUDIO_FILE_ACCEPT).toContain(ext);
+        }
+    });
+});
+
+describe('downmixToMono', () => {
+    it('should return the single channel unchanged', () => {
+        const ch = new Float32Array([0.1, 0.2, 0.3]);
+        expect(downmixToMono([ch])).toBe(ch);
+    });
+
+    it('should average multiple channels', () => {
+        const left = new Float32Array([1, 0, -1]);
+        const right = new Float32Array([0, 0.5, 1]);
+        const mono = downmixToMono([left, right]);
+        expect(Array.from(mono)).toEqual([0.5, 0.25, 0]);
+    });
+
+    it('should return an empty buffer for no channels', () => {
+        expect(downmixToMono([])).toHaveLength(0);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Keet - Audio File Decoder
+ *
+ * Decodes imported audio/video files (WAV, MP3, OGG, WebM, ...) into mono PCM
+ * at the pipeline sample rate (16 kHz), ready to be pushed through the same
+ * mel → buffer → window → merger chain used for live capture.
+ *
+ * Decoding goes through an OfflineAudioContext created at the target rate, so
+ * the browser's own resampler (with anti-aliasing) does the rate conversion and
+ * no audio output device is opened.
+ */
+
+import { resample } from './dsp/Resampler';
+
+/** File extensions accepted by the import picker / drop zone. */
+export const SUPPORTED_AUDIO_FILE_EXTENSIONS = [
+    '.wav', '.mp3', '.ogg', '.oga', '.opus', '.webm', '.m4a', '.mp4', '.flac',
+];
+
+/** Value for an `<input type="file" accept>` attribute. */
+export const AUDIO_FILE_ACCEPT = ['audio/*', 'video/webm', 'video/mp4', ...SUPPORTED_AUDIO_FILE_EXTENSIONS].join(',');
+
+/** Result of decoding an imported file. */
+export interface DecodedAudio {
+    /** Mono PCM samples at `sampleRate` */
+    samples: Float32Array;
+    /** Sample rate of `samples` in Hz */
+    sampleRate: number;
+    /** Duration in seconds */
+    duration: number;
+    /** Number of channels in the source file (before downmix) */
+    sourceChannels: number;
+}
+
+/**
+ * Check whether a file looks like something the decoder can handle,
+ * by MIME type first and file extension as a fallback (drag-and-drop
+ * often delivers an empty type).
+ */
+export function isSupportedAudioFile(file: { name: string; type: string }): boolean {
+    if (file.type.startsWith('audio/')) return true;
+    if (file.type === 'video/webm' || file.type === 'video/mp4') return true;
+    const name = file.name.toLowerCase();
+    return SUPPORTED_AUDIO_FILE_EXTENSIONS.some((ext) => name.endsWith(ext));
+}
+
+/**
+ * Average all channels into a single mono channel.
+ * Returns the input channel itself when there is only one.
+ */
+export function downmixToMono(channels: Float32Array[]): Float32Array {
+    if (channels.length === 0) return new Float32Array(0);
+    if (channels.length === 1) return channels[0];
+
+    const length = channels[0].length;
+    const out = new Float32Array(length);
+    const scale = 1 / channels.length;
+    for (const channel of channels) {
+        for (let i = 0; i < length; i++) {
+            out[i] += channel[i] * scale;
+        }
+    }
+    return out;
+}
+
+/**
+ * Decode an audio/video file into mono PCM at `targetSampleRate`.
+ * @throws Error if the browser cannot decode the file.
+ */
+export async function decodeAudioFile(file: Blob, targetSampleRate: number = 16000): Promise<DecodedAudio> {
+    if (typeof OfflineAudioContext === 'undefined') {
+        throw new Error('Audio decoding is not supported in this browser');
+    }
+
+    const data = await file.arrayBuffer();
+    // decodeAudioData resamples to the context rate; length 1 is enough since we never render.
+    const ctx = new OfflineAudioContext(1, 1, targetSampleRate);
+
+    let buffer: AudioBuffer;
+    try {
+        buffer = await ctx.decodeAudioData(data);
+    } catch (err) {
+        const reason = err instanceof Error ? err.message : String(err);
+        throw new Error(`Could not decode audio file: ${reason}`);
+    }
+
+    const channels: Float32Array[] = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        channels.push(buffer.getChannelData(c));
+    }
+
+    let samples = downmixToMono(channels);
+    // Some implementations ignore the context rate; fall back to our own resampler.
+    if (buffer.sampleRate !== targetSampleRate) {
+        samples = resample(samples, buffer.sampleRate, targetSampleRate);
+    }
+
+    return {
+        samples,
+        sampleRate: targetSampleRate,
+        duration: samples.length / targetSampleRate,
+        sourceChannels: buffer.numberOfChannels,
+    };
+}
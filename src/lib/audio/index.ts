@@ -1,9 +1,19 @@
-export type { AudioEngineConfig, AudioSegment, IRingBuffer, AudioEngine as IAudioEngine, AudioMetrics } from './types';
+export type { AudioEngineConfig, AudioSegment, IRingBuffer, AudioEngine as IAudioEngine, AudioMetrics, AudioCaptureSource } from './types';
 export { AudioEngine } from './AudioEngine';
 export { RingBuffer } from './RingBuffer';
+export { SharedAudioRing, SharedAudioReader, followSharedAudio, isSharedAudioSupported } from './SharedAudioRing';
 export { MelWorkerClient, type MelFeatures } from './MelWorkerClient';
 export { MEL_CONSTANTS, hzToMel, melToHz, createMelFilterbank, createPaddedHannWindow, precomputeTwiddles, fft, preemphasize, computeMelFrame, normalizeMelFeatures, sampleToFrame } from './mel-math';
 export { MEL_DISPLAY_MIN_DB, MEL_DISPLAY_MAX_DB, MEL_DISPLAY_DB_RANGE, normalizeMelForDisplay } from './mel-display';
 export { AudioSegmentProcessor, type ProcessedSegment, type AudioSegmentProcessorConfig } from './AudioSegmentProcessor';
 export { defaultAudioParams, segmentationPresets, getSampleCounts } from './audioParams';
 export type { AudioParams, SegmentationPreset } from './audioParams';
+export { decodeAudioFile, isSupportedAudioFile, downmixToMono, SUPPORTED_AUDIO_FILE_EXTENSIONS, AUDIO_FILE_ACCEPT } from './fileDecoder';
+export type { DecodedAudio } from './fileDecoder';
+export { encodeWav, createWavHeader, floatTo16BitPCM } from './wav';
+export { AudioFrontEnd, DEFAULT_FRONT_END_CONFIG, type AudioFrontEndConfig } from './dsp/AudioFrontEnd';
+export { PolyphaseResampler, resample, type ResamplerOptions } from './dsp/Resampler';
+export { HighPassFilter } from './dsp/HighPassFilter';
+export { NoiseSuppressor, type NoiseSuppressorOptions } from './dsp/NoiseSuppressor';
+export { AutoGainControl, type AutoGainOptions } from './dsp/AutoGainControl';
+export { CaptureChunker, type CaptureChunkHandler } from './dsp/CaptureChunker';
@@ -14,6 +14,7 @@
 import '@vitest/web-worker';
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { MEL_CONSTANTS, sampleToFrame } from './mel-math';
+import { SharedAudioRing } from './SharedAudioRing';
 
 /**
  * Helper: send a message to the worker and wait for a response.
@@ -235,4 +236,52 @@ describe('mel.worker', () => {
         expect(status.payload.totalSamples).toBe(8000); // 5 * 1600
         expect(status.payload.computedFrames).toBe(sampleToFrame(8000)); // 50 frames
     });
+
+    // ─── ATTACH_SHARED ────────────────────────────────────────────────────
+
+    it('should compute frames from a shared ring without PUSH_AUDIO', async () => {
+        await sendWorkerMessage(worker, 'INIT', { nMels: 128 }, nextId++);
+        const ring = new SharedAudioRing(16000, 1);
+        const attached = await sendWorkerMessage(worker, 'ATTACH_SHARED', { buffer: ring.buffer }, nextId++);
+        expect(attached.type).toBe('ATTACH_SHARED_DONE');
+
+        for (let chunk = 0; chunk < 5; chunk++) {
+            ring.write(new Float32Array(1600).fill(0.1));
+        }
+
+        // Requests see everything written before them, with no delay needed
+        const status = await sendWorkerMessage(worker, 'GET_STATUS', {}, nextId++);
+        expect(status.payload.totalSamples).toBe(8000);
+        expect(status.payload.computedFrames).toBe(sampleToFrame(8000));
+
+        ring.write(new Float32Array(1600));
+        await sendWorkerMessage(worker, 'DETACH_SHARED', {}, nextId++);
+        ring.write(new Float32Array(1600));
+        const after = await sendWorkerMessage(worker, 'GET_STATUS', {}, nextId++);
+        expect(after.payload.totalSamples).toBe(9600);
+    });
+
+    it('should number frames from the ring position when attached to a running ring', async () => {
+        const ring = new SharedAudioRing(16000, 1);
+        ring.write(new Float32Array(3200));
+        await sendWorkerMessage(worker, 'INIT', { nMels: 128 }, nextId++);
+        await sendWorkerMessage(worker, 'ATTACH_SHARED', { buffer: ring.buffer }, nextId++);
+        ring.write(new Float32Array(1600).fill(0.1));
+
+        const status = await sendWorkerMessage(worker, 'GET_STATUS', {}, nextId++);
+        expect(status.payload.totalSamples).toBe(4800);
+        expect(status.payload.computedFrames).toBe(sampleToFrame(4800));
+        // Only frames after the attach point exist
+        const early = await sendWorkerMessage(worker, 'GET_FEATURES', { startSample: 0, endSample: 3200 }, nextId++);
+        expect(early.payload).toBeNull();
+    });
+
+    it('should start the timeline at startSample from INIT', async () => {
+        await sendWorkerMessage(worker, 'INIT', { nMels: 128, startSample: 16000 }, nextId++);
+        worker.postMessage({ type: 'PUSH_AUDIO', payload: new Float32Array(1600).fill(0.1) });
+        await new Promise(r => setTimeout(r, 100));
+        const status = await sendWorkerMessage(worker, 'GET_STATUS', {}, nextId++);
+        expect(status.payload.totalSamples).toBe(17600);
+        expect(status.payload.computedFrames).toBe(sampleToFrame(17600));
+    });
 });
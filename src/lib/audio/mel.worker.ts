@@ -7,6 +7,7 @@
  * 
  * Architecture:
  *   AudioEngine → pushAudio(chunk) → mel.worker computes raw mel frames incrementally
+ *   (or: ATTACH_SHARED → the worker follows a SharedAudioRing the producer writes)
  *   Inference trigger → getFeatures(startFrame, endFrame) → mel.worker normalizes & returns
  * 
  * This decouples mel computation from the inference thread entirely.
@@ -24,6 +25,7 @@ import {
     normalizeMelFeatures,
     sampleToFrame,
 } from './mel-math';
+import { SharedAudioRing, SharedAudioReader, followSharedAudio } from './SharedAudioRing';
 
 const { N_FFT, HOP_LENGTH, N_FREQ_BINS, PREEMPH, LOG_ZERO_GUARD } = MEL_CONSTANTS;
 
@@ -40,6 +42,7 @@ let preemphBaseIdx = 0;  // Global sample index corresponding to preemphBuffer[0
 let preemphLen = 0;      // Number of valid samples currently in preemphBuffer
 let lastRawSample = 0;
 let totalSamples = 0;
+let pushedSinceInit = false;
 
 // Raw mel frame buffer: fixed-size circular, mel-major layout [nMels * maxFrames].
 // For mel bin m at frame t: rawMelBuffer[m * maxFrames + (t % maxFrames)].
@@ -58,6 +61,10 @@ let melFilterbank: Float32Array;
 let hannWindow: Float64Array;
 let twiddles: { cos: Float64Array; sin: Float64Array };
 
+// Shared audio input (replaces PUSH_AUDIO messages while attached)
+let sharedReader: SharedAudioReader | null = null;
+let stopFollowing: (() => void) | null = null;
+
 // Logging throttle for getFeatures (avoid console spam)
 let lastGetFeaturesLogTime = 0;
 const GET_FEATURES_LOG_INTERVAL = 5000; // Log every 5 seconds max
@@ -66,7 +73,7 @@ const GET_FEATURES_LOG_INTERVAL = 5000; // Log every 5 seconds max
 // Initialization
 // ═══════════════════════════════════════════════════════════════════════════
 
-function init(config: { nMels?: number }) {
+function init(config: { nMels?: number; startSample?: number }) {
     const t0 = performance.now();
     nMels = config.nMels || 128;
 
@@ -95,6 +102,8 @@ function init(config: { nMels?: number }) {
     preemphLen = 0;
     lastRawSample = 0;
     totalSamples = 0;
+    pushedSinceInit = false;
+    if (config.startSample) alignTimeline(config.startSample);
 
     const melBufMB = (nMels * maxFrames * 4 / 1024 / 1024).toFixed(1);
     console.log(`[MelWorker] Initialized: nMels=${nMels}, maxFrames=${maxFrames} (circular), ${melBufMB}MB mel buffer, preemph=${preemphBuffer.length} samples, init ${(performance.now() - t0).toFixed(1)} ms`);
@@ -109,6 +118,7 @@ function pushAudio(chunk: Float32Array) {
 
     const chunkLen = chunk.length;
     if (chunkLen === 0) return;
+    pushedSinceInit = true;
 
     const t0 = performance.now();
 
@@ -320,6 +330,53 @@ function reset() {
     console.log('[MelWorker] Reset');
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// Shared Audio
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Start the timeline at global sample `sample` instead of 0, so a worker
+ * joining a running pipeline (e.g. restarted after a crash) numbers its
+ * frames like the rest of it. Frames before it are never available.
+ */
+function alignTimeline(sample: number) {
+    totalSamples = sample;
+    preemphBaseIdx = sample;
+    preemphLen = 0;
+    lastRawSample = 0;
+    computedFrames = Math.floor(sample / HOP_LENGTH);
+    baseFrame = computedFrames;
+}
+
+/**
+ * Follow a SharedAudioRing from its current frame. Attached right after
+ * INIT, the timeline starts at that frame too.
+ */
+function attachShared(buffer: SharedArrayBuffer) {
+    detachShared();
+    const ring = SharedAudioRing.attach(buffer);
+    const startFrame = ring.getCurrentFrame();
+    if (rawMelBuffer && !pushedSinceInit) alignTimeline(startFrame);
+    sharedReader = new SharedAudioReader(ring, startFrame);
+    stopFollowing = followSharedAudio(sharedReader, (samples) => pushAudio(samples));
+}
+
+/** Compute everything written to the shared ring so far. */
+function drainShared() {
+    const data = sharedReader?.read();
+    if (data) pushAudio(data.samples);
+}
+
+function detachShared() {
+    if (!sharedReader) return;
+    drainShared();
+    stopFollowing?.();
+    const lost = sharedReader.getLostFrames();
+    if (lost > 0) console.warn(`[MelWorker] ${lost} shared audio samples were overwritten before they were read`);
+    sharedReader = null;
+    stopFollowing = null;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // Message Handler
 // ═══════════════════════════════════════════════════════════════════════════
@@ -328,6 +385,9 @@ self.onmessage = (e: MessageEvent) => {
     const { type, payload, id } = e.data;
 
     try {
+        // Requests must see all audio written before they were sent
+        if (type !== 'ATTACH_SHARED' && type !== 'RESET' && type !== 'PING') drainShared();
+
         switch (type) {
             case 'INIT': {
                 init(payload || {});
@@ -341,6 +401,18 @@ self.onmessage = (e: MessageEvent) => {
                 break;
             }
 
+            case 'ATTACH_SHARED': {
+                attachShared(payload.buffer);
+                postMessage({ type: 'ATTACH_SHARED_DONE', id });
+                break;
+            }
+
+            case 'DETACH_SHARED': {
+                detachShared();
+                postMessage({ type: 'DETACH_SHARED_DONE', id });
+                break;
+            }
+
             case 'GET_FEATURES': {
                 const { startSample, endSample, normalize = true } = payload;
                 const startFrame = sampleToFrame(startSample);
@@ -392,10 +464,16 @@ self.onmessage = (e: MessageEvent) => {
 
             case 'RESET': {
                 reset();
+                sharedReader?.skip();
                 postMessage({ type: 'RESET_DONE', id });
                 break;
             }
 
+            case 'PING': {
+                postMessage({ type: 'PING_DONE', id });
+                break;
+            }
+
             default:
                 console.warn('[MelWorker] Unknown message type:', type);
         }
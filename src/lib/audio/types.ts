@@ -1,3 +1,5 @@
+import type { AudioFrontEndConfig } from './dsp/AudioFrontEnd';
+
 /**
  * Audio metrics for UI visualization
  */
@@ -16,6 +18,12 @@ export interface AudioMetrics {
     isSpeaking: boolean;
 }
 
+/**
+ * Where an AudioEngine captures from: a microphone (getUserMedia) or the
+ * audio of a shared tab/screen (getDisplayMedia).
+ */
+export type AudioCaptureSource = 'microphone' | 'display';
+
 /**
  * Configuration for the AudioEngine
  */
@@ -32,8 +40,12 @@ export interface AudioEngineConfig {
     minSilenceDuration: number;
     /** Max segment duration in seconds - splits long utterances for faster streaming (default: 3.0s) */
     maxSegmentDuration: number;
-    /** Preferred device ID (optional) */
+    /** Preferred device ID (optional, microphone only) */
     deviceId?: string;
+    /** Capture source (default: 'microphone') */
+    source?: AudioCaptureSource;
+    /** Capture DSP stages (resampler, high-pass, noise suppression, AGC) */
+    frontEnd?: Partial<AudioFrontEndConfig>;
 
     // Advanced VAD properties matching legacy UI project
     lookbackDuration?: number;
@@ -126,6 +138,18 @@ export interface AudioEngine {
     /** Change active microphone */
     setDevice(deviceId: string): Promise<void>;
 
+    /**
+     * Subscribe to the capture ending outside the app (e.g. the user
+     * stops sharing a tab, or the microphone is unplugged).
+     */
+    onSourceEnded?(callback: () => void): () => void;
+
+    /**
+     * Reopen the microphone after it ended, falling back to the default
+     * device, without resetting buffers.
+     */
+    reacquire?(): Promise<{ deviceId: string | null; fallback: boolean }>;
+
     /** Dispose resources */
     dispose(): void;
 
@@ -0,0 +1,49 @@
+/**
+ * Unit tests for the WAV encoding helpers used by session audio recording.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { floatTo16BitPCM, createWavHeader, encodeWav } from './wav';
+
+describe('floatTo16BitPCM', () => {
+    it('should map the float range onto the full int16 range', () => {
+        const pcm = floatTo16BitPCM(new Float32Array([0, 1, -1, 0.5]));
+        expect(Array.from(pcm)).toEqual([0, 32767, -32768, 16384]);
+    });
+
+    it('should clip samples outside [-1, 1]', () => {
+        const pcm = floatTo16BitPCM(new Float32Array([1.5, -2]));
+        expect(Array.from(pcm)).toEqual([32767, -32768]);
+    });
+});
+
+describe('createWavHeader', () => {
+    it('should describe mono 16-bit PCM', () => {
+        const view = new DataView(createWavHeader(16000, 16000));
+        const ascii = (offset: number) =>
+            String.fromCharCode(...Array.from({ length: 4 }, (_, i) => view.getUint8(offset + i)));
+
+        expect(ascii(0)).toBe('RIFF');
+        expect(ascii(8)).toBe('WAVE');
+        expect(ascii(36)).toBe('data');
+        expect(view.getUint32(4, true)).toBe(36 + 32000);
+        expect(view.getUint16(22, true)).toBe(1);
+        expect(view.getUint32(24, true)).toBe(16000);
+        expect(view.getUint32(28, true)).toBe(32000);
+        expect(view.getUint16(34, true)).toBe(16);
+        expect(view.getUint32(40, true)).toBe(32000);
+    });
+});
+
+describe('encodeWav', () => {
+    it('should concatenate chunks after the header', async () => {
+        const blob = encodeWav([new Int16Array([1, 2]), new Int16Array([3])], 16000);
+        expect(blob.type).toBe('audio/wav');
+        expect(blob.size).toBe(44 + 6);
+
+        const samples = new Int16Array((await blob.arrayBuffer()).slice(44));
+        expect(Array.from(samples)).toEqual([1, 2, 3]);
+    });
+});
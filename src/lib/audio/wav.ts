@@ -0,0 +1,54 @@
+/**
+ * Keet - WAV Encoding
+ *
+ * 16-bit PCM mono WAV helpers for session audio: recordings are kept as Int16
+ * chunks (half the size of Float32) and only assembled into a WAV file when
+ * they are played back or downloaded.
+ */
+
+const WAV_HEADER_BYTES = 44;
+
+/** Convert float samples in [-1, 1] to 16-bit PCM, clipping out-of-range values. */
+export function floatTo16BitPCM(samples: Float32Array): Int16Array {
+    const out = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        out[i] = s < 0 ? Math.round(s * 0x8000) : Math.round(s * 0x7fff);
+    }
+    return out;
+}
+
+/** Build the 44-byte RIFF/WAVE header for mono 16-bit PCM. */
+export function createWavHeader(sampleCount: number, sampleRate: number): ArrayBuffer {
+    const dataBytes = sampleCount * 2;
+    const buffer = new ArrayBuffer(WAV_HEADER_BYTES);
+    const view = new DataView(buffer);
+    const writeAscii = (offset: number, text: string) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeAscii(0, 'RIFF');
+    view.setUint32(4, 36 + dataBytes, true);
+    writeAscii(8, 'WAVE');
+    writeAscii(12, 'fmt ');
+    view.setUint32(16, 16, true);         // fmt chunk size
+    view.setUint16(20, 1, true);          // PCM
+    view.setUint16(22, 1, true);          // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // byte rate
+    view.setUint16(32, 2, true);          // block align
+    view.setUint16(34, 16, true);         // bits per sample
+    writeAscii(36, 'data');
+    view.setUint32(40, dataBytes, true);
+    return buffer;
+}
+
+/**
+ * Assemble 16-bit PCM chunks into a WAV Blob without copying them into
+ * one large intermediate buffer.
+ */
+export function encodeWav(chunks: Int16Array[], sampleRate: number): Blob {
+    const sampleCount = chunks.reduce((n, c) => n + c.length, 0);
+    // Chunks always own plain ArrayBuffers (never SharedArrayBuffer views)
+    return new Blob([createWavHeader(sampleCount, sampleRate), ...(chunks as BlobPart[])], { type: 'audio/wav' });
+}
@@ -13,33 +13,27 @@ import type {
     RangeResult,
     BufferState,
 } from './types';
+import type { VadLayerId, VadFusionConfig, FusedSpeechResult } from './vadFusion';
 
 export class BufferWorkerClient {
-    private worker: Worker;
+    private worker!: Worker;
     private messageId = 0;
     private pendingPromises = new Map<number, { resolve: (v: any) => void; reject: (e: any) => void }>();
     private ready = false;
+    private crashCallbacks = new Set<(message: string) => void>();
+    // Replayed by restart()
+    private lastConfig: BufferWorkerConfig | null = null;
+    private fusionConfig: Partial<VadFusionConfig> | null = null;
+    private sharedLayers = new Map<LayerId, SharedArrayBuffer>();
 
     constructor() {
-        this.worker = new Worker(new URL('./buffer.worker.ts', import.meta.url), {
-            type: 'module',
-        });
-        this.worker.onmessage = (e: MessageEvent<BufferWorkerResponse>) => {
-            this.handleMessage(e.data);
-        };
-        this.worker.onerror = (e: Event) => {
-            const err = e as ErrorEvent;
-            console.error('[BufferWorkerClient] Worker error:', err.message);
-            for (const [, p] of this.pendingPromises) {
-                p.reject(new Error(err.message || 'BufferWorker error'));
-            }
-            this.pendingPromises.clear();
-        };
+        this.spawn();
     }
 
     // ---- Lifecycle ----
 
     async init(config: BufferWorkerConfig): Promise<void> {
+        this.lastConfig = config;
         await this.sendRequest('INIT', config);
         this.ready = true;
     }
@@ -50,24 +44,53 @@ export class BufferWorkerClient {
 
     dispose(): void {
         this.worker.terminate();
-        for (const [, p] of this.pendingPromises) {
-            p.reject(new Error('BufferWorkerClient disposed'));
-        }
-        this.pendingPromises.clear();
+        this.rejectPending('BufferWorkerClient disposed');
+        this.ready = false;
+        this.crashCallbacks.clear();
+    }
+
+    // ---- Supervision ----
+
+    /** Round trip to the worker; resolves once it answers. */
+    async ping(): Promise<void> {
+        await this.sendRequest('PING', undefined);
+    }
+
+    /** Called with the error message when the worker throws or fails to load. */
+    onCrash(callback: (message: string) => void): () => void {
+        this.crashCallbacks.add(callback);
+        return () => this.crashCallbacks.delete(callback);
+    }
+
+    /**
+     * Replace the worker with a fresh one: same layers, fusion config and
+     * shared layers, but empty, so queries only see data written afterwards.
+     */
+    async restart(): Promise<void> {
+        this.worker.terminate();
+        this.rejectPending('BufferWorkerClient restarted');
         this.ready = false;
+        this.spawn();
+        if (!this.lastConfig) return;
+        await this.init(this.lastConfig);
+        if (this.fusionConfig) await this.sendRequest('SET_FUSION', this.fusionConfig);
+        for (const [layer, buffer] of this.sharedLayers) {
+            await this.sendRequest('ATTACH_SHARED', { layer, buffer });
+        }
     }
 
     // ---- Producers (fire-and-forget for low latency) ----
 
     /**
      * Write a single scalar value to a VAD layer (energyVad or inferenceVad).
-     * Fire-and-forget for minimal latency.
+     * Fire-and-forget for minimal latency. Without `globalSampleOffset` it
+     * follows the previous entry.
      */
-    writeScalar(layer: LayerId, value: number): void {
+    writeScalar(layer: LayerId, value: number, globalSampleOffset?: number): void {
         if (!this.ready) return;
         this.worker.postMessage({
             type: 'WRITE',
-            payload: { layer, data: [value] },
+            payload: { layer, data: [value], globalSampleOffset },
         });
     }
 
@@ -120,6 +143,21 @@ export class BufferWorkerClient {
         );
     }
 
+    /**
+     * Fill a layer from a SharedAudioRing (one value per ring frame) that
+     * the caller writes, instead of write messages. Each query first copies
+     * what was written to the ring since the last one.
+     */
+    async attachSharedLayer(layer: LayerId, buffer: SharedArrayBuffer): Promise<void> {
+        await this.sendRequest('ATTACH_SHARED', { layer, buffer });
+        this.sharedLayers.set(layer, buffer);
+    }
+
+    async detachSharedLayer(layer: LayerId): Promise<void> {
+        this.sharedLayers.delete(layer);
+        await this.sendRequest('DETACH_SHARED', { layer });
+    }
+
     // ---- Consumers (async queries) ----
 
     /**
@@ -127,7 +165,7 @@ export class BufferWorkerClient {
      * Used by v4Tick to decide whether to trigger transcription.
      */
     async hasSpeech(
-        layer: 'energyVad' | 'inferenceVad',
+        layer: VadLayerId,
         startSample: number,
         endSample: number,
         threshold: number,
@@ -140,13 +178,38 @@ export class BufferWorkerClient {
      * Scans backward in the specified VAD layer until a probability >= threshold is found.
      */
     async getSilenceTailDuration(
-        layer: 'energyVad' | 'inferenceVad',
+        layer: VadLayerId,
         threshold: number,
     ): Promise<number> {
         const result = await this.sendRequest('GET_SILENCE_TAIL', { layer, threshold });
         return result.durationSec;
     }
 
+    /**
+     * Change the fusion policy, thresholds or weights used by hasSpeechFused()
+     * and getFusedSilenceTail(). Unset fields keep their value. Resolves to
+     * the full config now in effect.
+     */
+    async setFusion(config: Partial<VadFusionConfig>): Promise<VadFusionConfig> {
+        const full: VadFusionConfig = await this.sendRequest('SET_FUSION', config);
+        this.fusionConfig = full;
+        return full;
+    }
+
+    /**
+     * Combine the VAD layers over a sample range with the fusion policy.
+     * Returns the decision, per-step decisions and per-layer diagnostics.
+     */
+    async hasSpeechFused(startSample: number, endSample: number): Promise<FusedSpeechResult> {
+        return this.sendRequest('FUSED_SPEECH', { startSample, endSample });
+    }
+
+    /** Trailing silence by the fused decision, in seconds. */
+    async getFusedSilenceTail(): Promise<number> {
+        const result = await this.sendRequest('GET_FUSED_SILENCE_TAIL', undefined);
+        return result.durationSec;
+    }
+
     /**
      * Query data for an arbitrary sample range across multiple layers.
      * Returns correlated slices from each requested layer.
@@ -168,6 +231,29 @@ export class BufferWorkerClient {
 
     // ---- Internal ----
 
+    private spawn(): void {
+        this.worker = new Worker(new URL('./buffer.worker.ts', import.meta.url), {
+            type: 'module',
+        });
+        this.worker.onmessage = (e: MessageEvent<BufferWorkerResponse>) => {
+            this.handleMessage(e.data);
+        };
+        this.worker.onerror = (e: Event) => {
+            const err = e as ErrorEvent;
+            console.error('[BufferWorkerClient] Worker error:', err.message);
+            const message = err.message || 'BufferWorker error';
+            this.rejectPending(message);
+            for (const cb of this.crashCallbacks) cb(message);
+        };
+    }
+
+    private rejectPending(message: string): void {
+        for (const [, p] of this.pendingPromises) {
+            p.reject(new Error(message));
+        }
+        this.pendingPromises.clear();
+    }
+
     private handleMessage(msg: BufferWorkerResponse): void {
         if (msg.type === 'ERROR') {
             const p = this.pendingPromises.get(msg.id);
@@ -4,6 +4,7 @@
  * Ensures the BufferWorker:
  *   - Loads and responds to INIT with the v4 layer config
  *   - Accepts WRITE to VAD layers and responds to HAS_SPEECH / GET_SILENCE_TAIL
+ *   - Fuses VAD layers (SET_FUSION / FUSED_SPEECH / GET_FUSED_SILENCE_TAIL)
  *   - Resets state on RESET
  *
  * Run: npm test
@@ -12,6 +13,7 @@
 import '@vitest/web-worker';
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import type { BufferWorkerConfig } from './types';
+import { SharedAudioRing } from '../audio/SharedAudioRing';
 
 function defaultConfig(): BufferWorkerConfig {
     return {
@@ -145,6 +147,51 @@ describe('buffer.worker', () => {
         expect(silence.payload?.durationSec).toBeGreaterThan(0);
     });
 
+    it('should read energyVad entries from an attached shared ring before answering', async () => {
+        await sendRequest(worker, 'INIT', defaultConfig(), nextId++);
+        const lane = new SharedAudioRing(16000 / 1280, 30);
+        await sendRequest(worker, 'ATTACH_SHARED', { layer: 'energyVad', buffer: lane.buffer }, nextId++);
+
+        lane.write(Float32Array.of(0.1));
+        lane.write(Float32Array.of(0.9));
+        const hasSpeech = await sendRequest(
+            worker,
+            'HAS_SPEECH',
+            { layer: 'energyVad', startSample: 1280, endSample: 2560, threshold: 0.3 },
+            nextId++
+        );
+        expect(hasSpeech.payload?.hasSpeech).toBe(true);
+
+        lane.write(Float32Array.of(0.1));
+        const silence = await sendRequest(worker, 'GET_SILENCE_TAIL', { layer: 'energyVad', threshold: 0.3 }, nextId++);
+        expect(silence.payload?.durationSec).toBeCloseTo(0.08, 5);
+    });
+
+    it('should fuse an optional sileroVad layer that starts late with the configured policy', async () => {
+        const config = defaultConfig();
+        config.layers.sileroVad = { hopSamples: 512, entryDimension: 1, maxDurationSec: 30 };
+        await sendRequest(worker, 'INIT', config, nextId++);
+
+        worker.postMessage({ type: 'WRITE_BATCH', payload: { layer: 'energyVad', data: Float32Array.of(0.9, 0.9) } });
+        worker.postMessage({ type: 'WRITE_BATCH', payload: { layer: 'sileroVad', data: Float32Array.of(0.1, 0.1, 0.1), globalSampleOffset: 1024 } });
+        const fusion = await sendRequest(worker, 'SET_FUSION', { policy: 'and', layers: ['energyVad', 'sileroVad'] }, nextId++);
+        expect(fusion.payload?.policy).toBe('and');
+        expect(fusion.payload?.thresholds.energyVad).toBe(0.3);
+
+        // Before sample 1024 only energy has data; after it Silero vetoes
+        const and = await sendRequest(worker, 'FUSED_SPEECH', { startSample: 0, endSample: 2560 }, nextId++);
+        expect(Array.from(and.payload?.decisions)).toEqual([1, 1, 0, 0, 0]);
+        expect(and.payload?.layers.sileroVad).toMatchObject({ available: true, steps: 3, hasSpeech: false });
+        expect(and.payload?.layers.sileroVad.maxProb).toBeCloseTo(0.1, 5);
+
+        const tail = await sendRequest(worker, 'GET_FUSED_SILENCE_TAIL', undefined, nextId++);
+        expect(tail.payload?.durationSec).toBeCloseTo(0.096, 5);
+
+        await sendRequest(worker, 'SET_FUSION', { policy: 'or' }, nextId++);
+        const or = await sendRequest(worker, 'FUSED_SPEECH', { startSample: 0, endSample: 2560 }, nextId++);
+        expect(Array.from(or.payload?.decisions)).toEqual([1, 1, 1, 1, 1]);
+    });
+
     it('should respond to RESET with success', async () => {
         await sendRequest(worker, 'INIT', defaultConfig(), nextId++);
         const response = await sendRequest(worker, 'RESET', undefined, nextId++);
@@ -1,16 +1,24 @@
 /**
  * BufferWorker - Centralized Multi-Layer Data Store
  *
- * Manages four time-aligned circular buffers:
+ * Manages time-aligned circular buffers:
  *   1. Raw Audio (PCM Float32)
  *   2. Mel Spectrogram (Float32, multi-dimensional)
  *   3. Energy VAD (Float32 probabilities)
- *   4. Inference VAD (Float32 probabilities from TEN-VAD / Silero)
+ *   4. Inference VAD (Float32 probabilities from TEN-VAD)
+ *   5. Silero VAD (Float32 probabilities, optional layer)
  *
  * All layers share a common timeline based on global sample offsets at a
  * fixed sample rate. Consumers can query arbitrary sample ranges and
  * receive correlated data across all requested layers.
  *
+ * Producers either post WRITE / WRITE_BATCH messages or, for a layer attached
+ * to a SharedAudioRing, just write the ring: the worker copies new ring
+ * entries into the layer before answering each request.
+ *
+ * The VAD layers can be queried one at a time (HAS_SPEECH) or fused with a
+ * configurable policy (FUSED_SPEECH, see vadFusion.ts).
+ *
  * Frame Alignment:
  *   Each layer has its own hop size (samples per entry). The worker
  *   resolves sample-accurate queries by computing which entries overlap
@@ -31,7 +39,19 @@ import type {
     RangeResult,
     LayerSlice,
     BufferState,
+    AttachSharedPayload,
+    FusedSpeechQuery,
 } from './types';
+import { SharedAudioRing, SharedAudioReader } from '../audio/SharedAudioRing';
+import {
+    DEFAULT_VAD_FUSION_CONFIG,
+    VAD_LAYER_IDS,
+    fuseVadRange,
+    fusedSilenceTail,
+    mergeVadFusionConfig,
+    type VadFusionConfig,
+    type VadLayerReaders,
+} from './vadFusion';
 
 // ---- Per-Layer Circular Buffer ----
 
@@ -44,6 +64,8 @@ class CircularLayer {
     private buffer: Float32Array;
     /** Next global entry index to write (monotonic) */
     private globalWriteIndex: number = 0;
+    /** First entry ever written (-1: none); a layer may start at an offset */
+    private firstWrittenEntry: number = -1;
 
     constructor(config: LayerConfig, sampleRate: number) {
         this.hopSamples = config.hopSamples;
@@ -58,6 +80,7 @@ class CircularLayer {
 
     /** Write a single entry (dimension values). */
     write(data: Float32Array | number[]): void {
+        if (this.firstWrittenEntry < 0) this.firstWrittenEntry = this.globalWriteIndex;
         const writePos = (this.globalWriteIndex % this.maxEntries) * this.entryDimension;
         for (let i = 0; i < this.entryDimension; i++) {
             this.buffer[writePos + i] = (data as any)[i] ?? 0;
@@ -68,6 +91,7 @@ class CircularLayer {
     /** Write N entries from a flat array. */
     writeBatch(data: Float32Array, count?: number): void {
         const n = count ?? Math.floor(data.length / this.entryDimension);
+        if (n > 0 && this.firstWrittenEntry < 0) this.firstWrittenEntry = this.globalWriteIndex;
         for (let e = 0; e < n; e++) {
             const writePos = (this.globalWriteIndex % this.maxEntries) * this.entryDimension;
             const srcOffset = e * this.entryDimension;
@@ -113,6 +137,12 @@ class CircularLayer {
         return this.getBaseEntry() * this.hopSamples;
     }
 
+    /** Oldest global sample holding written data (entries before a first offset write are empty). */
+    getOldestWrittenSample(): number {
+        if (this.firstWrittenEntry < 0) return this.getCurrentSample();
+        return Math.max(this.getBaseEntry(), this.firstWrittenEntry) * this.hopSamples;
+    }
+
     /** Read entries covering [startSample, endSample). */
     readRange(startSample: number, endSample: number): LayerSlice | null {
         if (endSample <= startSample) return null;
@@ -146,6 +176,11 @@ class CircularLayer {
         };
     }
 
+    /** Value of the scalar entry containing `sample` (caller checks it is still held). */
+    valueAt(sample: number): number {
+        return this.buffer[this.sampleToEntry(sample) % this.maxEntries * this.entryDimension];
+    }
+
     /** Check if any scalar entry in [startSample, endSample) exceeds threshold. */
     hasSpeechInRange(startSample: number, endSample: number, threshold: number): HasSpeechResult {
         if (this.entryDimension !== 1) {
@@ -210,6 +245,7 @@ class CircularLayer {
 
     reset(): void {
         this.globalWriteIndex = 0;
+        this.firstWrittenEntry = -1;
         this.buffer.fill(0);
     }
 }
@@ -217,7 +253,9 @@ class CircularLayer {
 // ---- Worker State ----
 
 let config: BufferWorkerConfig | null = null;
-let layers: Record<LayerId, CircularLayer> | null = null;
+let layers: Partial<Record<LayerId, CircularLayer>> | null = null;
+const sharedLayers = new Map<LayerId, SharedAudioReader>();
+let fusionConfig: VadFusionConfig = DEFAULT_VAD_FUSION_CONFIG;
 
 // ---- Message Handler ----
 
@@ -225,6 +263,9 @@ self.onmessage = (e: MessageEvent<BufferWorkerRequest>) => {
     const msg = e.data;
 
     try {
+        // Queries must see every entry written to a shared ring before they were sent
+        drainSharedLayers();
+
         switch (msg.type) {
             case 'INIT':
                 handleInit(msg.id, msg.payload);
@@ -247,9 +288,32 @@ self.onmessage = (e: MessageEvent<BufferWorkerRequest>) => {
             case 'GET_STATE':
                 handleGetState(msg.id);
                 break;
+            case 'ATTACH_SHARED':
+                handleAttachShared(msg.id, msg.payload);
+                break;
+            case 'DETACH_SHARED':
+                sharedLayers.delete(msg.payload.layer);
+                respond({ type: 'DETACH_SHARED', id: msg.id, payload: { success: true } });
+                break;
+            case 'SET_FUSION':
+                fusionConfig = mergeVadFusionConfig(fusionConfig, msg.payload);
+                respond({ type: 'SET_FUSION', id: msg.id, payload: fusionConfig });
+                break;
+            case 'FUSED_SPEECH':
+                handleFusedSpeech(msg.id, msg.payload);
+                break;
+            case 'GET_FUSED_SILENCE_TAIL':
+                respond({
+                    type: 'GET_FUSED_SILENCE_TAIL', id: msg.id,
+                    payload: { durationSec: config ? fusedSilenceTail(vadReaders(), fusionConfig, config.sampleRate) : 0 },
+                });
+                break;
             case 'RESET':
                 handleReset(msg.id);
                 break;
+            case 'PING':
+                respond({ type: 'PING', id: msg.id, payload: { success: true } });
+                break;
             default:
                 respond({ type: 'ERROR', id: (msg as any).id ?? 0, payload: `Unknown message type: ${(msg as any).type}` });
         }
@@ -262,21 +326,22 @@ self.onmessage = (e: MessageEvent<BufferWorkerRequest>) => {
 
 function handleInit(id: number, cfg: BufferWorkerConfig): void {
     config = cfg;
-    const layerIds: LayerId[] = ['audio', 'mel', 'energyVad', 'inferenceVad'];
-    layers = {} as Record<LayerId, CircularLayer>;
+    const layerIds: LayerId[] = ['audio', 'mel', 'energyVad', 'inferenceVad', 'sileroVad'];
+    layers = {};
 
     for (const lid of layerIds) {
         const lcfg = cfg.layers[lid];
-        layers[lid] = new CircularLayer(lcfg, cfg.sampleRate);
+        if (lcfg) layers[lid] = new CircularLayer(lcfg, cfg.sampleRate);
     }
 
-    const audioMB = (layers.audio.getState().maxEntries * 4 / (1024 * 1024)).toFixed(1);
-    const melMB = (layers.mel.getState().maxEntries * layers.mel.getState().entryDimension * 4 / (1024 * 1024)).toFixed(1);
+    const audioMB = (layers.audio!.getState().maxEntries * 4 / (1024 * 1024)).toFixed(1);
+    const melMB = (layers.mel!.getState().maxEntries * layers.mel!.getState().entryDimension * 4 / (1024 * 1024)).toFixed(1);
     console.log(
         `[BufferWorker] Initialized: sr=${cfg.sampleRate}, ` +
         `audio=${audioMB}MB, mel=${melMB}MB, ` +
         `energyVad hop=${cfg.layers.energyVad.hopSamples}, ` +
-        `inferenceVad hop=${cfg.layers.inferenceVad.hopSamples}`
+        `inferenceVad hop=${cfg.layers.inferenceVad.hopSamples}` +
+        (cfg.layers.sileroVad ? `, sileroVad hop=${cfg.layers.sileroVad.hopSamples}` : '')
     );
 
     respond({ type: 'INIT', id, payload: { success: true } });
@@ -309,6 +374,24 @@ function handleWriteBatch(payload: WriteBatchPayload): void {
     layer.writeBatch(payload.data);
 }
 
+function handleAttachShared(id: number, payload: AttachSharedPayload): void {
+    // Entries already in the ring are taken too: the ring and the layer share frame 0
+    sharedLayers.set(payload.layer, new SharedAudioReader(SharedAudioRing.attach(payload.buffer), 0));
+    respond({ type: 'ATTACH_SHARED', id, payload: { success: true } });
+}
+
+function drainSharedLayers(): void {
+    if (!layers) return;
+    for (const [layerId, reader] of sharedLayers) {
+        const data = reader.read();
+        if (!data) continue;
+        const layer = layers[layerId];
+        if (!layer) continue;
+        layer.setGlobalWriteIndex(Math.floor(data.offset / layer.entryDimension));
+        layer.writeBatch(data.samples);
+    }
+}
+
 function handleHasSpeech(id: number, query: HasSpeechQuery): void {
     if (!layers) {
         respond({ type: 'HAS_SPEECH', id, payload: { hasSpeech: false, maxProb: 0, entriesChecked: 0 } });
@@ -325,6 +408,26 @@ function handleHasSpeech(id: number, query: HasSpeechQuery): void {
     respond({ type: 'HAS_SPEECH', id, payload: result });
 }
 
+function vadReaders(): VadLayerReaders {
+    const readers: VadLayerReaders = {};
+    for (const id of VAD_LAYER_IDS) {
+        const layer = layers?.[id];
+        if (!layer || layer.entryDimension !== 1) continue;
+        readers[id] = {
+            hopSamples: layer.hopSamples,
+            getOldestSample: () => layer.getOldestWrittenSample(),
+            getCurrentSample: () => layer.getCurrentSample(),
+            valueAt: (sample) => layer.valueAt(sample),
+        };
+    }
+    return readers;
+}
+
+function handleFusedSpeech(id: number, query: FusedSpeechQuery): void {
+    const result = fuseVadRange(vadReaders(), query.startSample, query.endSample, fusionConfig, config?.sampleRate ?? 16000);
+    respond({ type: 'FUSED_SPEECH', id, payload: result }, [result.decisions.buffer]);
+}
+
 function handleGetSilenceTail(id: number, query: SilenceTailQuery): void {
     if (!layers || !config) {
         respond({ type: 'GET_SILENCE_TAIL', id, payload: { durationSec: 0 } });
@@ -377,15 +480,10 @@ function handleGetState(id: number): void {
         return;
     }
 
-    const state: BufferState = {
-        sampleRate: config.sampleRate,
-        layers: {
-            audio: layers.audio.getState(),
-            mel: layers.mel.getState(),
-            energyVad: layers.energyVad.getState(),
-            inferenceVad: layers.inferenceVad.getState(),
-        },
-    };
+    const state: BufferState = { sampleRate: config.sampleRate, layers: {} };
+    for (const [lid, layer] of Object.entries(layers) as Array<[LayerId, CircularLayer]>) {
+        state.layers[lid] = layer.getState();
+    }
 
     respond({ type: 'GET_STATE', id, payload: state });
 }
@@ -396,6 +494,7 @@ function handleReset(id: number): void {
             layer.reset();
         }
     }
+    for (const reader of sharedLayers.values()) reader.skip();
     respond({ type: 'RESET', id, payload: { success: true } });
 }
 
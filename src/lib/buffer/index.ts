@@ -9,4 +9,24 @@ export type {
     BufferState,
     TenVADConfig,
     TenVADResult,
+    SileroVADWorkerConfig,
 } from './types';
+export {
+    DEFAULT_VAD_FUSION_CONFIG,
+    VAD_FUSION_POLICIES,
+    VAD_LAYER_IDS,
+    fuseVadRange,
+    fusedSilenceTail,
+    mergeVadFusionConfig,
+    appendFusionSpans,
+} from './vadFusion';
+export type {
+    VadLayerId,
+    VadFusionPolicy,
+    VadFusionConfig,
+    VadLayerReader,
+    VadLayerReaders,
+    VadLayerDiagnostics,
+    FusedSpeechResult,
+    VadFusionSpan,
+} from './vadFusion';
@@ -5,9 +5,11 @@
  * All layers are time-aligned via global sample indexes at a fixed sample rate.
  */
 
+import type { VadLayerId, VadFusionConfig, FusedSpeechResult } from './vadFusion';
+
 // ---- Layer Identifiers ----
 
-export type LayerId = 'audio' | 'mel' | 'energyVad' | 'inferenceVad';
+export type LayerId = 'audio' | 'mel' | VadLayerId;
 
 // ---- Layer Configuration ----
 
@@ -25,8 +27,8 @@ export interface LayerConfig {
 export interface BufferWorkerConfig {
     /** Audio sample rate in Hz (typically 16000) */
     sampleRate: number;
-    /** Per-layer configuration */
-    layers: Record<LayerId, LayerConfig>;
+    /** Per-layer configuration; sileroVad is optional (only when Silero runs) */
+    layers: Record<Exclude<LayerId, 'sileroVad'>, LayerConfig> & Partial<Record<'sileroVad', LayerConfig>>;
 }
 
 // ---- Messages: Main Thread -> Worker ----
@@ -39,11 +41,27 @@ export type BufferWorkerRequest =
     | { type: 'GET_SILENCE_TAIL'; id: number; payload: SilenceTailQuery }
     | { type: 'QUERY_RANGE'; id: number; payload: RangeQuery }
     | { type: 'GET_STATE'; id: number; payload?: undefined }
-    | { type: 'RESET'; id: number; payload?: undefined };
+    | { type: 'ATTACH_SHARED'; id: number; payload: AttachSharedPayload }
+    | { type: 'DETACH_SHARED'; id: number; payload: { layer: LayerId } }
+    | { type: 'SET_FUSION'; id: number; payload: Partial<VadFusionConfig> }
+    | { type: 'FUSED_SPEECH'; id: number; payload: FusedSpeechQuery }
+    | { type: 'GET_FUSED_SILENCE_TAIL'; id: number; payload?: undefined }
+    | { type: 'RESET'; id: number; payload?: undefined }
+    | { type: 'PING'; id: number; payload?: undefined };
+
+/**
+ * Fill a layer from a SharedAudioRing instead of WRITE messages. Ring frame
+ * indices are layer value indices: entry i is frames
+ * [i * entryDimension, (i + 1) * entryDimension).
+ */
+export interface AttachSharedPayload {
+    layer: LayerId;
+    buffer: SharedArrayBuffer;
+}
 
 /** Query the duration of trailing silence from the write head. */
 export interface SilenceTailQuery {
-    layer: 'energyVad' | 'inferenceVad';
+    layer: VadLayerId;
     threshold: number;
 }
 
@@ -70,8 +88,8 @@ export interface WriteBatchPayload {
 
 /** Query whether any VAD entry exceeds a threshold in a sample range. */
 export interface HasSpeechQuery {
-    /** Layer to check (energyVad or inferenceVad) */
-    layer: 'energyVad' | 'inferenceVad';
+    /** Scalar VAD layer to check */
+    layer: VadLayerId;
     /** Start sample (global, inclusive) */
     startSample: number;
     /** End sample (global, exclusive) */
@@ -80,6 +98,14 @@ export interface HasSpeechQuery {
     threshold: number;
 }
 
+/** Fuse the VAD layers over a sample range with the worker's fusion config. */
+export interface FusedSpeechQuery {
+    /** Start sample (global, inclusive) */
+    startSample: number;
+    /** End sample (global, exclusive) */
+    endSample: number;
+}
+
 /** Query data for an arbitrary sample range. */
 export interface RangeQuery {
     /** Start sample (global, inclusive) */
@@ -98,7 +124,13 @@ export type BufferWorkerResponse =
     | { type: 'GET_SILENCE_TAIL'; id: number; payload: { durationSec: number } }
     | { type: 'QUERY_RANGE'; id: number; payload: RangeResult }
     | { type: 'GET_STATE'; id: number; payload: BufferState }
+    | { type: 'ATTACH_SHARED'; id: number; payload: { success: boolean } }
+    | { type: 'DETACH_SHARED'; id: number; payload: { success: boolean } }
+    | { type: 'SET_FUSION'; id: number; payload: VadFusionConfig }
+    | { type: 'FUSED_SPEECH'; id: number; payload: FusedSpeechResult }
+    | { type: 'GET_FUSED_SILENCE_TAIL'; id: number; payload: { durationSec: number } }
     | { type: 'RESET'; id: number; payload: { success: boolean } }
+    | { type: 'PING'; id: number; payload: { success: boolean } }
     | { type: 'ERROR'; id: number; payload: string };
 
 export interface HasSpeechResult {
@@ -130,7 +162,8 @@ export interface LayerSlice {
 /** Snapshot of the buffer state for debugging / UI. */
 export interface BufferState {
     sampleRate: number;
-    layers: Record<LayerId, {
+    /** Layers the worker was initialized with */
+    layers: Partial<Record<LayerId, {
         globalWriteIndex: number;
         currentSample: number;
         oldestSample: number;
@@ -138,7 +171,7 @@ export interface BufferState {
         maxEntries: number;
         hopSamples: number;
         entryDimension: number;
-    }>;
+    }>>;
 }
 
 // ---- TEN-VAD Worker Messages ----
@@ -146,7 +179,10 @@ export interface BufferState {
 export type TenVADRequest =
     | { type: 'INIT'; id: number; payload: TenVADConfig }
     | { type: 'PROCESS'; id?: number; payload: { samples: Float32Array; globalSampleOffset: number } }
+    | { type: 'ATTACH_SHARED'; id: number; payload: { buffer: SharedArrayBuffer } }
+    | { type: 'DETACH_SHARED'; id: number; payload?: undefined }
     | { type: 'RESET'; id: number; payload?: undefined }
+    | { type: 'PING'; id: number; payload?: undefined }
     | { type: 'DISPOSE'; id: number; payload?: undefined };
 
 export interface TenVADConfig {
@@ -162,7 +198,10 @@ export type TenVADResponse =
     | { type: 'INIT'; id: number; payload: { success: boolean; version?: string } }
     | { type: 'RESULT'; id?: number; payload: TenVADResult }
     | { type: 'RESET'; id: number; payload: { success: boolean } }
+    | { type: 'ATTACH_SHARED'; id: number; payload: { success: boolean } }
+    | { type: 'DETACH_SHARED'; id: number; payload: { success: boolean } }
     | { type: 'DISPOSE'; id: number; payload: { success: boolean } }
+    | { type: 'PING'; id: number; payload: { success: boolean } }
     | { type: 'ERROR'; id: number; payload: string };
 
 export interface TenVADResult {
@@ -177,3 +216,20 @@ export interface TenVADResult {
     /** Processing time in ms */
     processingTimeMs: number;
 }
+
+// ---- Silero VAD Worker Messages ----
+
+/** Same protocol as the TEN-VAD worker, with a model instead of WASM glue. */
+export type SileroVADRequest =
+    | { type: 'INIT'; id: number; payload: SileroVADWorkerConfig }
+    | Exclude<TenVADRequest, { type: 'INIT' }>;
+
+export interface SileroVADWorkerConfig {
+    /** Silero VAD v5 ONNX model URL (default: onnx-community/silero-vad on the Hub) */
+    modelUrl?: string;
+    /** Speech threshold for the per-hop flags (default: 0.5) */
+    threshold: number;
+}
+
+/** Results use TenVADResult with 512-sample hops (32 ms at 16 kHz). */
+export type SileroVADResponse = TenVADResponse;
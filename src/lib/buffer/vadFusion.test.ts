@@ -0,0 +1,179 @@
+/**
+ * Unit tests for VAD fusion (policies, per-layer diagnostics, silence tail
+ * and the display span history).
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_VAD_FUSION_CONFIG,
+    appendFusionSpans,
+    fuseVadRange,
+    fusedSilenceTail,
+    mergeVadFusionConfig,
+    type VadFusionConfig,
+    type VadLayerReader,
+} from './vadFusion';
+
+const SR = 16000;
+
+/** A layer holding `values` (one per hop) from sample `start`. */
+function layer(hopSamples: number, values: number[], start = 0): VadLayerReader {
+    return {
+        hopSamples,
+        getOldestSample: () => start,
+        getCurrentSample: () => start + values.length * hopSamples,
+        valueAt: (sample) => values[Math.floor((sample - start) / hopSamples)],
+    };
+}
+
+function config(update: Partial<VadFusionConfig>): VadFusionConfig {
+    return mergeVadFusionConfig(DEFAULT_VAD_FUSION_CONFIG, update);
+}
+
+describe('fuseVadRange', () => {
+    const readers = {
+        energyVad: layer(256, [0.9, 0.9, 0.1, 0.9]),
+        inferenceVad: layer(256, [0.8, 0.2, 0.1, 0.1]),
+    };
+
+    it('or: speech where any layer is above its threshold', () => {
+        const result = fuseVadRange(readers, 0, 1024, config({ policy: 'or' }), SR);
+        expect(Array.from(result.decisions)).toEqual([1, 1, 0, 1]);
+        expect(result.hasSpeech).toBe(true);
+        expect(result.speechRatio).toBeCloseTo(0.75, 5);
+    });
+
+    it('and: speech only where every layer with data agrees', () => {
+        const result = fuseVadRange(readers, 0, 1024, config({ policy: 'and' }), SR);
+        expect(Array.from(result.decisions)).toEqual([1, 0, 0, 0]);
+    });
+
+    it('weighted: weighted mean against weightedThreshold', () => {
+        const weights = { energyVad: 1, inferenceVad: 3, sileroVad: 0 };
+        const result = fuseVadRange(readers, 0, 1024, config({ policy: 'weighted', weights, weightedThreshold: 0.4 }), SR);
+        // Scores: 0.825, 0.375, 0.1, 0.3
+        expect(Array.from(result.decisions)).toEqual([1, 0, 0, 0]);
+        expect(result.maxScore).toBeCloseTo(0.825, 5);
+    });
+
+    it('reports per-layer diagnostics', () => {
+        const result = fuseVadRange(readers, 0, 1024, config({ policy: 'and' }), SR);
+        expect(result.layers.energyVad).toMatchObject({ available: true, steps: 4, hasSpeech: true });
+        expect(result.layers.energyVad!.speechRatio).toBeCloseTo(0.75, 5);
+        expect(result.layers.inferenceVad!.maxProb).toBeCloseTo(0.8, 5);
+        expect(result.layers.inferenceVad!.meanProb).toBeCloseTo(0.3, 5);
+        expect(result.layers.sileroVad).toBeUndefined();
+    });
+
+    it('steps at the smallest hop and reads coarser layers per covering entry', () => {
+        const mixed = {
+            energyVad: layer(1280, [0.9]),
+            inferenceVad: layer(256, [0.1, 0.1, 0.9, 0.9, 0.9]),
+        };
+        const result = fuseVadRange(mixed, 0, 1280, config({ policy: 'and' }), SR);
+        expect(result.stepSamples).toBe(256);
+        expect(Array.from(result.decisions)).toEqual([0, 0, 1, 1, 1]);
+    });
+
+    it('judges steps a lagging layer has not reached by the layers that have', () => {
+        const lagging = {
+            energyVad: layer(256, [0.9, 0.9, 0.9, 0.9]),
+            inferenceVad: layer(256, [0.1, 0.9]),
+        };
+        const result = fuseVadRange(lagging, 0, 1024, config({ policy: 'and' }), SR);
+        expect(Array.from(result.decisions)).toEqual([0, 1, 1, 1]);
+        expect(result.layers.inferenceVad!.steps).toBe(2);
+    });
+
+    it('ignores layers outside config.layers', () => {
+        const result = fuseVadRange(readers, 0, 1024, config({ policy: 'and', layers: ['energyVad'] }), SR);
+        expect(Array.from(result.decisions)).toEqual([1, 1, 0, 1]);
+        expect(result.layers.inferenceVad).toBeUndefined();
+    });
+
+    it('returns no speech when no layer has data', () => {
+        const result = fuseVadRange({ energyVad: layer(256, []) }, 0, 1024, config({ policy: 'or' }), SR);
+        expect(result.hasSpeech).toBe(false);
+        expect(result.layers.energyVad!.available).toBe(false);
+    });
+
+    describe('hysteresis', () => {
+        const hysteresis = config({
+            policy: 'hysteresis',
+            layers: ['inferenceVad'],
+            onsetThreshold: 0.6,
+            offsetThreshold: 0.3,
+            onsetHangoverSec: 512 / SR,
+            offsetHangoverSec: 768 / SR,
+        });
+
+        it('starts after the onset hangover and ends after the offset hangover', () => {
+            const values = [0.1, 0.9, 0.9, 0.9, 0.5, 0.2, 0.2, 0.2, 0.1];
+            const result = fuseVadRange({ inferenceVad: layer(256, values) }, 0, values.length * 256, hysteresis, SR);
+            // Speech from the 2nd hop above onset; 0.5 (between the levels) holds it; 3 hops below offset end it
+            expect(Array.from(result.decisions)).toEqual([0, 0, 1, 1, 1, 1, 1, 0, 0]);
+        });
+
+        it('ignores blips shorter than the onset hangover', () => {
+            const values = [0.1, 0.9, 0.1, 0.9, 0.1];
+            const result = fuseVadRange({ inferenceVad: layer(256, values) }, 0, values.length * 256, hysteresis, SR);
+            expect(result.hasSpeech).toBe(false);
+        });
+
+        it('warms up on audio before the range', () => {
+            const values = [0.9, 0.9, 0.9, 0.9, 0.5, 0.5];
+            const result = fuseVadRange({ inferenceVad: layer(256, values) }, 1024, 1536, hysteresis, SR);
+            expect(Array.from(result.decisions)).toEqual([1, 1]);
+        });
+    });
+});
+
+describe('fusedSilenceTail', () => {
+    it('measures trailing fused silence', () => {
+        const readers = {
+            energyVad: layer(256, [0.9, 0.9, 0.9, 0.1, 0.1]),
+            inferenceVad: layer(256, [0.9, 0.9, 0.1, 0.9, 0.9]),
+        };
+        expect(fusedSilenceTail(readers, config({ policy: 'and' }), SR)).toBeCloseTo((3 * 256) / SR, 6);
+        expect(fusedSilenceTail(readers, config({ policy: 'or' }), SR)).toBe(0);
+    });
+
+    it('is 0 before any layer has data', () => {
+        expect(fusedSilenceTail({ energyVad: layer(256, []) }, DEFAULT_VAD_FUSION_CONFIG, SR)).toBe(0);
+    });
+});
+
+describe('appendFusionSpans', () => {
+    const result = (firstSample: number, decisions: number[]) => ({
+        decisions: Uint8Array.from(decisions),
+        firstSample,
+        stepSamples: 1600,
+    });
+
+    it('merges runs of equal decisions into spans', () => {
+        const spans = appendFusionSpans([], result(0, [0, 1, 1, 0]), SR);
+        expect(spans).toEqual([
+            { start: 0, end: 0.1, speech: false },
+            { start: 0.1, end: 0.3, speech: true },
+            { start: 0.3, end: 0.4, speech: false },
+        ]);
+    });
+
+    it('replaces the overlapping part of the history without mutating it', () => {
+        const history = appendFusionSpans([], result(0, [1, 1, 1, 1]), SR);
+        const snapshot = JSON.parse(JSON.stringify(history));
+        const spans = appendFusionSpans(history, result(3200, [0, 0]), SR);
+        expect(spans.map((s) => s.speech)).toEqual([true, false]);
+        expect(spans[0].end).toBeCloseTo(0.2, 9);
+        expect(spans[1].end).toBeCloseTo(0.4, 9);
+        expect(history).toEqual(snapshot);
+    });
+
+    it('drops spans older than keepSec', () => {
+        let spans = appendFusionSpans([], result(0, [1]), SR, 1);
+        spans = appendFusionSpans(spans, result(32000, [0]), SR, 1);
+        expect(spans).toEqual([{ start: 2, end: 2.1, speech: false }]);
+    });
+});
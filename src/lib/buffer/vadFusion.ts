@@ -0,0 +1,301 @@
+/**
+ * VAD Fusion
+ *
+ * Combines the scalar VAD layers of the BufferWorker (energy, TEN-VAD,
+ * Silero) into one speech/silence decision per step. Layers run at different
+ * hop sizes and may lag each other (inference results arrive after the energy
+ * value for the same hop), so every step is judged by the layers that have
+ * data for it; a layer with nothing written yet simply does not take part.
+ *
+ * Policies:
+ *   - or:         any layer at or above its threshold
+ *   - and:        every layer with data at or above its threshold
+ *   - weighted:   weighted mean of the layer values against weightedThreshold
+ *   - hysteresis: the weighted mean must stay above onsetThreshold for
+ *                 onsetHangoverSec to start speech, and below offsetThreshold
+ *                 for offsetHangoverSec to end it
+ *
+ * Pure functions over VadLayerReader so they run in the worker and in tests.
+ */
+
+export type VadLayerId = 'energyVad' | 'inferenceVad' | 'sileroVad';
+
+export const VAD_LAYER_IDS: readonly VadLayerId[] = ['energyVad', 'inferenceVad', 'sileroVad'];
+
+export type VadFusionPolicy = 'or' | 'and' | 'weighted' | 'hysteresis';
+
+export const VAD_FUSION_POLICIES: readonly VadFusionPolicy[] = ['or', 'and', 'weighted', 'hysteresis'];
+
+export interface VadFusionConfig {
+    policy: VadFusionPolicy;
+    /** Layers taking part in the decision */
+    layers: VadLayerId[];
+    /** Per-layer speech threshold (or / and, and the per-layer diagnostics) */
+    thresholds: Record<VadLayerId, number>;
+    /** Per-layer weight in the fused score (weighted / hysteresis) */
+    weights: Record<VadLayerId, number>;
+    /** Fused score counted as speech by the weighted policy */
+    weightedThreshold: number;
+    /** Hysteresis: score that starts speech, and score below which it ends */
+    onsetThreshold: number;
+    offsetThreshold: number;
+    /** Hysteresis: time above onset before speech starts / below offset before it ends */
+    onsetHangoverSec: number;
+    offsetHangoverSec: number;
+}
+
+export const DEFAULT_VAD_FUSION_CONFIG: VadFusionConfig = {
+    // Energy alone fires on music and noise; require the inference VADs to agree
+    policy: 'and',
+    layers: [...VAD_LAYER_IDS],
+    thresholds: { energyVad: 0.3, inferenceVad: 0.5, sileroVad: 0.5 },
+    weights: { energyVad: 0.2, inferenceVad: 0.4, sileroVad: 0.4 },
+    weightedThreshold: 0.5,
+    onsetThreshold: 0.6,
+    offsetThreshold: 0.35,
+    onsetHangoverSec: 0.064,
+    offsetHangoverSec: 0.3,
+};
+
+/** Read access to one scalar VAD layer. */
+export interface VadLayerReader {
+    /** Samples per entry */
+    readonly hopSamples: number;
+    /** First sample still held */
+    getOldestSample(): number;
+    /** Sample after the last entry written */
+    getCurrentSample(): number;
+    /** Value of the entry covering `sample` (only called within the held range) */
+    valueAt(sample: number): number;
+}
+
+export type VadLayerReaders = Partial<Record<VadLayerId, VadLayerReader>>;
+
+export interface VadLayerDiagnostics {
+    /** The layer had data for at least one step of the range */
+    available: boolean;
+    /** Steps with data */
+    steps: number;
+    maxProb: number;
+    meanProb: number;
+    /** Share of its steps at or above the layer threshold */
+    speechRatio: number;
+    /** The layer alone would report speech */
+    hasSpeech: boolean;
+}
+
+export interface FusedSpeechResult {
+    hasSpeech: boolean;
+    policy: VadFusionPolicy;
+    /** Highest fused score (weighted mean of the layers with data) */
+    maxScore: number;
+    /** Share of steps judged speech */
+    speechRatio: number;
+    /** Per-step decision (1 = speech); step i starts at firstSample + i * stepSamples */
+    decisions: Uint8Array;
+    firstSample: number;
+    stepSamples: number;
+    layers: Partial<Record<VadLayerId, VadLayerDiagnostics>>;
+}
+
+/** Merge a partial config into a full one (thresholds and weights per key). */
+export function mergeVadFusionConfig(base: VadFusionConfig, update: Partial<VadFusionConfig>): VadFusionConfig {
+    return {
+        ...base,
+        ...update,
+        layers: update.layers ? [...update.layers] : base.layers,
+        thresholds: { ...base.thresholds, ...update.thresholds },
+        weights: { ...base.weights, ...update.weights },
+    };
+}
+
+const DEFAULT_STEP_SAMPLES = 256;
+
+/**
+ * Fuse the configured layers over [startSample, endSample).
+ * Hysteresis state is warmed up on the audio just before the range, so a
+ * range that starts mid-utterance does not begin in silence.
+ */
+export function fuseVadRange(
+    readers: VadLayerReaders,
+    startSample: number,
+    endSample: number,
+    config: VadFusionConfig,
+    sampleRate: number,
+): FusedSpeechResult {
+    const active = config.layers.filter((id) => readers[id]);
+    const stepSamples = active.length > 0 ? Math.min(...active.map((id) => readers[id]!.hopSamples)) : DEFAULT_STEP_SAMPLES;
+    const firstSample = Math.floor(Math.max(0, startSample) / stepSamples) * stepSamples;
+    const stepCount = Math.max(0, Math.ceil((endSample - firstSample) / stepSamples));
+    const decisions = new Uint8Array(stepCount);
+
+    const stats = new Map(active.map((id) => [id, { steps: 0, max: 0, sum: 0, speech: 0 }]));
+    const bounds = active.map((id) => ({
+        id,
+        reader: readers[id]!,
+        oldest: readers[id]!.getOldestSample(),
+        current: readers[id]!.getCurrentSample(),
+        threshold: config.thresholds[id],
+        weight: config.weights[id],
+    }));
+
+    const onsetSamples = config.onsetHangoverSec * sampleRate;
+    const offsetSamples = config.offsetHangoverSec * sampleRate;
+    let speaking = false;
+    let aboveSamples = 0;
+    let belowSamples = 0;
+
+    const warmup = config.policy === 'hysteresis' ? Math.ceil((onsetSamples + offsetSamples) / stepSamples) : 0;
+    let maxScore = 0;
+    let speechSteps = 0;
+
+    for (let i = -Math.min(warmup, Math.floor(firstSample / stepSamples)); i < stepCount; i++) {
+        const sample = firstSample + i * stepSamples;
+        const inRange = i >= 0;
+        let available = 0;
+        let speechVotes = 0;
+        let weighted = 0;
+        let weightSum = 0;
+        let plainSum = 0;
+
+        for (const b of bounds) {
+            if (sample < b.oldest || sample >= b.current) continue;
+            const value = b.reader.valueAt(sample);
+            available++;
+            plainSum += value;
+            weighted += value * b.weight;
+            weightSum += b.weight;
+            const isSpeech = value >= b.threshold;
+            if (isSpeech) speechVotes++;
+            if (inRange) {
+                const s = stats.get(b.id)!;
+                s.steps++;
+                s.sum += value;
+                if (value > s.max) s.max = value;
+                if (isSpeech) s.speech++;
+            }
+        }
+
+        const score = available === 0 ? 0 : weightSum > 0 ? weighted / weightSum : plainSum / available;
+        let decision: boolean;
+        switch (config.policy) {
+            case 'or':
+                decision = speechVotes > 0;
+                break;
+            case 'and':
+                decision = available > 0 && speechVotes === available;
+                break;
+            case 'weighted':
+                decision = available > 0 && score >= config.weightedThreshold;
+                break;
+            case 'hysteresis':
+                if (!speaking) {
+                    aboveSamples = score >= config.onsetThreshold ? aboveSamples + stepSamples : 0;
+                    if (aboveSamples >= onsetSamples && aboveSamples > 0) {
+                        speaking = true;
+                        belowSamples = 0;
+                    }
+                } else {
+                    belowSamples = score < config.offsetThreshold ? belowSamples + stepSamples : 0;
+                    if (belowSamples >= offsetSamples) {
+                        speaking = false;
+                        aboveSamples = 0;
+                    }
+                }
+                decision = speaking;
+                break;
+        }
+
+        if (!inRange) continue;
+        if (score > maxScore) maxScore = score;
+        if (decision) {
+            decisions[i] = 1;
+            speechSteps++;
+        }
+    }
+
+    const layers: Partial<Record<VadLayerId, VadLayerDiagnostics>> = {};
+    for (const [id, s] of stats) {
+        layers[id] = {
+            available: s.steps > 0,
+            steps: s.steps,
+            maxProb: s.max,
+            meanProb: s.steps > 0 ? s.sum / s.steps : 0,
+            speechRatio: s.steps > 0 ? s.speech / s.steps : 0,
+            hasSpeech: s.speech > 0,
+        };
+    }
+
+    return {
+        hasSpeech: speechSteps > 0,
+        policy: config.policy,
+        maxScore,
+        speechRatio: stepCount > 0 ? speechSteps / stepCount : 0,
+        decisions,
+        firstSample,
+        stepSamples,
+        layers,
+    };
+}
+
+/** Seconds of fused silence before the newest data of any layer. */
+export function fusedSilenceTail(
+    readers: VadLayerReaders,
+    config: VadFusionConfig,
+    sampleRate: number,
+    maxScanSec: number = 30,
+): number {
+    const active = config.layers.filter((id) => readers[id]);
+    const head = Math.max(0, ...active.map((id) => readers[id]!.getCurrentSample()));
+    if (head === 0) return 0;
+    const oldest = Math.min(...active.map((id) => readers[id]!.getOldestSample()));
+    const start = Math.max(oldest, head - Math.round(maxScanSec * sampleRate));
+    const { decisions, firstSample, stepSamples } = fuseVadRange(readers, start, head, config, sampleRate);
+
+    let silent = 0;
+    while (silent < decisions.length && decisions[decisions.length - 1 - silent] === 0) silent++;
+    // The first step may begin before `start`; count only the scanned part
+    const silentSamples = Math.min(silent * stepSamples, head - Math.max(start, firstSample));
+    return silentSamples / sampleRate;
+}
+
+/** A run of equal fused decisions, in seconds on the pipeline timeline. */
+export interface VadFusionSpan {
+    start: number;
+    end: number;
+    speech: boolean;
+}
+
+/**
+ * Fold a fused result into a decision history for display: spans from the
+ * result replace whatever the history had for the same time, and spans older
+ * than `keepSec` before the newest one are dropped.
+ */
+export function appendFusionSpans(
+    history: VadFusionSpan[],
+    result: Pick<FusedSpeechResult, 'decisions' | 'firstSample' | 'stepSamples'>,
+    sampleRate: number,
+    keepSec: number = 30,
+): VadFusionSpan[] {
+    const { decisions, firstSample, stepSamples } = result;
+    if (decisions.length === 0) return history;
+    const from = firstSample / sampleRate;
+
+    const spans: VadFusionSpan[] = [];
+    for (const span of history) {
+        if (span.end <= from) spans.push({ ...span });
+        else if (span.start < from) spans.push({ ...span, end: from });
+    }
+
+    for (let i = 0; i < decisions.length; i++) {
+        const start = (firstSample + i * stepSamples) / sampleRate;
+        const end = (firstSample + (i + 1) * stepSamples) / sampleRate;
+        const speech = decisions[i] === 1;
+        const last = spans[spans.length - 1];
+        if (last && last.speech === speech && Math.abs(last.end - start) < 1e-9) last.end = end;
+        else spans.push({ start, end, speech });
+    }
+
+    const cutoff = spans[spans.length - 1].end - keepSec;
+    return spans.filter((span) => span.end > cutoff);
+}
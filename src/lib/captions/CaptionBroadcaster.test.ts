@@ -0,0 +1,148 @@
+/**
+ * Unit tests for CaptionBroadcaster with fake transports.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { CaptionBroadcaster, type CaptionSocketLike } from './CaptionBroadcaster';
+import { DEFAULT_CAPTION_OUTPUT, type CaptionMessage } from './types';
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+
+function makeSentence(id: string, text: string, start: number, extra: Partial<MergerSentence> = {}): MergerSentence {
+    return {
+        id,
+        text,
+        startTime: start,
+        endTime: start + 1.23456,
+        startWordIndex: 0,
+        endWordIndex: 0,
+        wordCount: 1,
+        words: [],
+        detectionMethod: 'test',
+        isMature: true,
+        ...extra,
+    };
+}
+
+class FakeSocket implements CaptionSocketLike {
+    readyState = 0;
+    sent: string[] = [];
+    closed = false;
+    onopen: ((ev: unknown) => void) | null = null;
+    onclose: ((ev: unknown) => void) | null = null;
+    onerror: ((ev: unknown) => void) | null = null;
+    constructor(public url: string) {}
+    send(data: string) { this.sent.push(data); }
+    close() { this.closed = true; }
+    open() { this.readyState = 1; this.onopen?.({}); }
+    drop() { this.readyState = 3; this.onclose?.({}); }
+}
+
+function setup(config: Partial<typeof DEFAULT_CAPTION_OUTPUT> = {}) {
+    const channelMessages: CaptionMessage[] = [];
+    const windowMessages: Array<[unknown, string]> = [];
+    const sockets: FakeSocket[] = [];
+    const broadcaster = new CaptionBroadcaster(
+        { ...DEFAULT_CAPTION_OUTPUT, enabled: true, ...config },
+        {
+            createChannel: () => ({ postMessage: (m) => channelMessages.push(m as CaptionMessage), close: () => {} }),
+            createSocket: (url) => {
+                const socket = new FakeSocket(url);
+                sockets.push(socket);
+                return socket;
+            },
+            windowTargets: () => [{ postMessage: (m, origin) => windowMessages.push([m, origin]) }],
+        }
+    );
+    return { broadcaster, channelMessages, windowMessages, sockets };
+}
+
+describe('CaptionBroadcaster', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('publishes new and revised sentences once, with the message envelope', () => {
+        const { broadcaster, channelMessages } = setup();
+        broadcaster.publishSentences([makeSentence('s1', ' Hello. ', 0)]);
+        broadcaster.publishSentences([makeSentence('s1', 'Hello.', 0), makeSentence('s2', 'World.', 2, { channel: 'Others' })]);
+        broadcaster.publishSentences([makeSentence('s1', 'Hello there.', 0), makeSentence('s2', 'World.', 2, { channel: 'Others' })]);
+
+        expect(channelMessages.map((m) => m.type === 'sentence' && [m.sentence.id, m.revised])).toEqual([
+            ['s1', false],
+            ['s2', false],
+            ['s1', true],
+        ]);
+        expect(channelMessages[0]).toMatchObject({
+            protocol: 'keet-captions',
+            version: 1,
+            seq: 1,
+            sentence: { id: 's1', text: 'Hello.', start: 0, end: 1.235 },
+        });
+        expect(channelMessages[1]).toMatchObject({ seq: 2, sentence: { channel: 'Others' } });
+    });
+
+    it('sends clear when sentences disappear and skips unchanged pending text', () => {
+        const { broadcaster, channelMessages } = setup();
+        broadcaster.publishSentences([makeSentence('s1', 'One.', 0)]);
+        broadcaster.publishImmature('two ');
+        broadcaster.publishImmature('two');
+        broadcaster.publishMature(1, 1);
+        broadcaster.publishMature(1, 1);
+        broadcaster.publishSentences([]);
+        expect(channelMessages.map((m) => m.type)).toEqual(['sentence', 'immature', 'mature', 'clear']);
+    });
+
+    it('sends nothing while disabled and closes transports when disabled', () => {
+        const { broadcaster, channelMessages, sockets } = setup({ enabled: false, webSocket: true });
+        broadcaster.publishImmature('hidden');
+        expect(channelMessages).toEqual([]);
+        expect(sockets).toHaveLength(0);
+
+        broadcaster.updateConfig({ ...DEFAULT_CAPTION_OUTPUT, enabled: true, webSocket: true });
+        expect(sockets).toHaveLength(1);
+        broadcaster.updateConfig({ ...DEFAULT_CAPTION_OUTPUT, enabled: false, webSocket: true });
+        expect(sockets[0].closed).toBe(true);
+        expect(broadcaster.getSocketStatus()).toBe('off');
+    });
+
+    it('posts to window targets with the configured origin, or only its own by default', () => {
+        const { broadcaster, windowMessages } = setup({ postMessage: true, postMessageOrigin: 'https://example.com' });
+        broadcaster.publishImmature('hi');
+        expect(windowMessages).toHaveLength(1);
+        expect(windowMessages[0][1]).toBe('https://example.com');
+
+        const own = setup({ postMessage: true });
+        own.broadcaster.publishImmature('hi');
+        expect(own.windowMessages[0][1]).toBe(window.location.origin);
+        expect(own.windowMessages[0][1]).not.toBe('*');
+    });
+
+    it('sends JSON over an open socket and reconnects with backoff', () => {
+        vi.useFakeTimers();
+        const { broadcaster, sockets } = setup({ broadcastChannel: false, webSocket: true });
+        const statuses: string[] = [];
+        broadcaster.onSocketStatus((s) => statuses.push(s));
+
+        broadcaster.publishImmature('dropped while connecting');
+        sockets[0].open();
+        broadcaster.publishImmature('hello');
+        expect(sockets[0].sent.map((d) => JSON.parse(d).text)).toEqual(['hello']);
+
+        sockets[0].drop();
+        vi.advanceTimersByTime(999);
+        expect(sockets).toHaveLength(1);
+        vi.advanceTimersByTime(1);
+        expect(sockets).toHaveLength(2);
+        sockets[1].drop();
+        vi.advanceTimersByTime(1999);
+        expect(sockets).toHaveLength(2);
+        vi.advanceTimersByTime(1);
+        expect(sockets).toHaveLength(3);
+        expect(statuses).toEqual(['open', 'error', 'connecting', 'error', 'connecting']);
+
+        broadcaster.dispose();
+        expect(sockets[2].closed).toBe(true);
+    });
+});
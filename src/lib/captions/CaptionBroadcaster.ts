@@ -0,0 +1,263 @@
+/**
+ * Keet - Caption Broadcaster
+ *
+ * Publishes live captions as CaptionMessage JSON over the enabled outputs:
+ * BroadcastChannel (same-origin tabs and the captions overlay),
+ * window.postMessage (embedding page or opener) and a WebSocket to a local
+ * relay, which is reconnected with backoff while enabled.
+ *
+ * Sentences are published from the transcript as shown (after text rules and
+ * corrections): publishSentences() diffs against what was already sent.
+ */
+
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+import {
+    CAPTION_CHANNEL_NAME,
+    CAPTION_PROTOCOL,
+    CAPTION_PROTOCOL_VERSION,
+    DEFAULT_CAPTION_OUTPUT,
+    type CaptionMessage,
+    type CaptionOutputConfig,
+    type CaptionSentence,
+    type CaptionSocketStatus,
+} from './types';
+
+type DistributiveOmit<T, K extends keyof any> = T extends unknown ? Omit<T, K> : never;
+type CaptionPayload = DistributiveOmit<CaptionMessage, 'protocol' | 'version' | 'seq' | 'timestamp'>;
+
+export interface CaptionChannelLike {
+    postMessage(message: unknown): void;
+    close(): void;
+}
+
+export interface CaptionSocketLike {
+    readonly readyState: number;
+    send(data: string): void;
+    close(): void;
+    onopen: ((ev: any) => void) | null;
+    onclose: ((ev: any) => void) | null;
+    onerror: ((ev: any) => void) | null;
+}
+
+export interface CaptionWindowTarget {
+    postMessage(message: unknown, targetOrigin: string): void;
+}
+
+/** Transport constructors; defaults use the browser APIs. Tests pass fakes. */
+export interface CaptionTransportFactories {
+    createChannel?: (name: string) => CaptionChannelLike;
+    createSocket?: (url: string) => CaptionSocketLike;
+    /** Windows that receive postMessage (default: parent when embedded, and opener) */
+    windowTargets?: () => CaptionWindowTarget[];
+}
+
+const SOCKET_OPEN = 1;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 10000;
+
+const roundMs = (sec: number) => Math.round(sec * 1000) / 1000;
+
+function defaultWindowTargets(): CaptionWindowTarget[] {
+    if (typeof window === 'undefined') return [];
+    const targets: CaptionWindowTarget[] = [];
+    if (window.parent && window.parent !== window) targets.push(window.parent);
+    if (window.opener) targets.push(window.opener as Window);
+    return targets;
+}
+
+/** A merger sentence in the published shape. */
+export function toCaptionSentence(sentence: MergerSentence): CaptionSentence {
+    return {
+        id: sentence.id,
+        text: sentence.text.trim(),
+        start: roundMs(sentence.startTime),
+        end: roundMs(sentence.endTime),
+        ...(sentence.channel ? { channel: sentence.channel } : {}),
+    };
+}
+
+/** This app's origin as a postMessage target ('/' means the same, and also works where the origin is opaque). */
+const ownOrigin = () =>
+    typeof location !== 'undefined' && location.origin && location.origin !== 'null' ? location.origin : '/';
+
+export class CaptionBroadcaster {
+    private config: CaptionOutputConfig = { ...DEFAULT_CAPTION_OUTPUT };
+    private readonly factories: Required<CaptionTransportFactories>;
+    private channel: CaptionChannelLike | null = null;
+    private socket: CaptionSocketLike | null = null;
+    private socketStatus: CaptionSocketStatus = 'off';
+    private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+    private reconnectAttempts = 0;
+    private statusCallbacks = new Set<(status: CaptionSocketStatus) => void>();
+    private seq = 0;
+    /** Sent sentence text by id */
+    private sentSentences = new Map<string, string>();
+    private lastImmature = '';
+    private lastMature = '';
+
+    constructor(config: Partial<CaptionOutputConfig> = {}, factories: CaptionTransportFactories = {}) {
+        this.factories = {
+            createChannel: factories.createChannel ?? ((name) => new BroadcastChannel(name)),
+            createSocket: factories.createSocket ?? ((url) => new WebSocket(url)),
+            windowTargets: factories.windowTargets ?? defaultWindowTargets,
+        };
+        this.updateConfig({ ...this.config, ...config });
+    }
+
+    /** Apply output settings, opening and closing transports as needed. */
+    updateConfig(config: CaptionOutputConfig): void {
+        const previous = this.config;
+        this.config = { ...config };
+        const wantChannel = config.enabled && config.broadcastChannel;
+        const wantSocket = config.enabled && config.webSocket && config.webSocketUrl.trim() !== '';
+
+        if (wantChannel && !this.channel) {
+            try {
+                this.channel = this.factories.createChannel(CAPTION_CHANNEL_NAME);
+            } catch (err) {
+                console.warn('[Captions] BroadcastChannel unavailable:', err);
+            }
+        } else if (!wantChannel && this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+
+        const urlChanged = previous.webSocketUrl !== config.webSocketUrl;
+        if (!wantSocket || urlChanged) this.closeSocket();
+        if (wantSocket && !this.socket && !this.reconnectTimer) {
+            this.reconnectAttempts = 0;
+            this.openSocket();
+        }
+    }
+
+    getSocketStatus(): CaptionSocketStatus {
+        return this.socketStatus;
+    }
+
+    /** Subscribe to WebSocket status changes. @returns unsubscribe */
+    onSocketStatus(callback: (status: CaptionSocketStatus) => void): () => void {
+        this.statusCallbacks.add(callback);
+        return () => this.statusCallbacks.delete(callback);
+    }
+
+    /**
+     * Publish new or changed sentences. When sentences disappear (transcript
+     * cleared or replaced), a clear message is sent and the list re-sent.
+     */
+    publishSentences(sentences: MergerSentence[]): void {
+        const ids = new Set(sentences.map((s) => s.id));
+        if ([...this.sentSentences.keys()].some((id) => !ids.has(id))) {
+            this.clear();
+        }
+        for (const sentence of sentences) {
+            const caption = toCaptionSentence(sentence);
+            const sent = this.sentSentences.get(caption.id);
+            if (sent === caption.text) continue;
+            this.sentSentences.set(caption.id, caption.text);
+            this.send({ type: 'sentence', sentence: caption, revised: sent !== undefined });
+        }
+    }
+
+    publishMature(cursorTime: number, sentenceCount: number): void {
+        const key = `${roundMs(cursorTime)}:${sentenceCount}`;
+        if (key === this.lastMature) return;
+        this.lastMature = key;
+        this.send({ type: 'mature', cursorTime: roundMs(cursorTime), sentenceCount });
+    }
+
+    publishImmature(text: string): void {
+        const trimmed = text.trim();
+        if (trimmed === this.lastImmature) return;
+        this.lastImmature = trimmed;
+        this.send({ type: 'immature', text: trimmed });
+    }
+
+    /** Tell consumers to drop their captions. */
+    clear(): void {
+        this.sentSentences.clear();
+        this.lastImmature = '';
+        this.lastMature = '';
+        this.send({ type: 'clear' });
+    }
+
+    dispose(): void {
+        this.updateConfig({ ...this.config, enabled: false });
+        this.statusCallbacks.clear();
+    }
+
+    private send(payload: CaptionPayload): void {
+        if (!this.config.enabled) return;
+        const message = {
+            protocol: CAPTION_PROTOCOL,
+            version: CAPTION_PROTOCOL_VERSION,
+            seq: ++this.seq,
+            timestamp: Date.now(),
+            ...payload,
+        } as CaptionMessage;
+
+        try {
+            this.channel?.postMessage(message);
+        } catch (err) {
+            console.warn('[Captions] BroadcastChannel send failed:', err);
+        }
+        if (this.config.postMessage) {
+            for (const target of this.factories.windowTargets()) {
+                try {
+                    target.postMessage(message, this.config.postMessageOrigin || ownOrigin());
+                } catch (err) {
+                    console.warn('[Captions] postMessage failed:', err);
+                }
+            }
+        }
+        // Messages sent while the relay is unreachable are dropped, not queued
+        if (this.socket?.readyState === SOCKET_OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    private openSocket(): void {
+        this.reconnectTimer = null;
+        let socket: CaptionSocketLike;
+        try {
+            socket = this.factories.createSocket(this.config.webSocketUrl.trim());
+        } catch (err) {
+            console.warn('[Captions] Invalid WebSocket URL:', err);
+            this.setSocketStatus('error');
+            return;
+        }
+        this.socket = socket;
+        this.setSocketStatus('connecting');
+        socket.onopen = () => {
+            this.reconnectAttempts = 0;
+            this.setSocketStatus('open');
+        };
+        socket.onerror = () => this.setSocketStatus('error');
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.setSocketStatus('error');
+            const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * 2 ** this.reconnectAttempts++);
+            this.reconnectTimer = setTimeout(() => this.openSocket(), delay);
+        };
+    }
+
+    private closeSocket(): void {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.onopen = socket.onclose = socket.onerror = null;
+            socket.close();
+        }
+        this.setSocketStatus('off');
+    }
+
+    private setSocketStatus(status: CaptionSocketStatus): void {
+        if (status === this.socketStatus) return;
+        this.socketStatus = status;
+        for (const cb of this.statusCallbacks) cb(status);
+    }
+}
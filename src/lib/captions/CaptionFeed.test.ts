@@ -0,0 +1,82 @@
+/**
+ * Unit tests for the caption consumer side: message parsing, the rolling
+ * caption feed and output settings storage.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CaptionFeed, parseCaptionMessage } from './CaptionFeed';
+import { loadCaptionOutput, saveCaptionOutput, CAPTION_OUTPUT_STORAGE_KEY } from './captionOutputStorage';
+import { DEFAULT_CAPTION_OUTPUT, type CaptionMessage, type CaptionSentence } from './types';
+
+let seq = 0;
+const envelope = () => ({ protocol: 'keet-captions' as const, version: 1 as const, seq: ++seq, timestamp: 0 });
+const sentence = (id: string, text: string, start: number, channel?: string): CaptionMessage => {
+    const s: CaptionSentence = { id, text, start, end: start + 1, ...(channel ? { channel } : {}) };
+    return { ...envelope(), type: 'sentence', sentence: s, revised: false };
+};
+
+describe('parseCaptionMessage', () => {
+    it('accepts messages as objects or JSON text', () => {
+        const message = sentence('s1', 'Hi.', 0);
+        expect(parseCaptionMessage(message)).toEqual(message);
+        expect(parseCaptionMessage(JSON.stringify(message))).toEqual(message);
+    });
+
+    it('rejects other protocols, versions and malformed payloads', () => {
+        expect(parseCaptionMessage({ ...envelope(), protocol: 'other', type: 'clear' })).toBeNull();
+        expect(parseCaptionMessage({ ...envelope(), version: 2, type: 'clear' })).toBeNull();
+        expect(parseCaptionMessage({ ...envelope(), type: 'sentence', sentence: { id: 's1' } })).toBeNull();
+        expect(parseCaptionMessage({ ...envelope(), type: 'unknown' })).toBeNull();
+        expect(parseCaptionMessage('{not json')).toBeNull();
+    });
+});
+
+describe('CaptionFeed', () => {
+    it('keeps recent sentences in spoken order, replaced by id, then the pending text', () => {
+        const feed = new CaptionFeed(3);
+        feed.apply(sentence('Me:1', 'Hi.', 0, 'Me'));
+        feed.apply(sentence('Me:2', 'Fine.', 4, 'Me'));
+        feed.apply(sentence('Others:1', 'How are you?', 2, 'Others'));
+        feed.apply({ ...sentence('Me:1', 'Hello.', 0, 'Me'), revised: true } as CaptionMessage);
+        feed.apply({ ...envelope(), type: 'immature', text: 'and you' });
+
+        expect(feed.recent(2).map((l) => [l.text, l.channel, l.pending])).toEqual([
+            ['How are you?', 'Others', false],
+            ['Fine.', 'Me', false],
+            ['and you', undefined, true],
+        ]);
+        expect(feed.recent(5)[0].text).toBe('Hello.');
+    });
+
+    it('drops the oldest sentences beyond its limit and empties on clear', () => {
+        const feed = new CaptionFeed(2);
+        ['a', 'b', 'c'].forEach((t, i) => feed.apply(sentence(t, t, i)));
+        expect(feed.recent(10).map((l) => l.text)).toEqual(['b', 'c']);
+        feed.apply({ ...envelope(), type: 'clear' });
+        expect(feed.recent(10)).toEqual([]);
+    });
+});
+
+describe('caption output storage', () => {
+    it('round-trips and falls back to defaults field by field', () => {
+        const data = new Map<string, string>();
+        const storage = { getItem: (k: string) => data.get(k) ?? null, setItem: (k: string, v: string) => void data.set(k, v) };
+        expect(loadCaptionOutput(storage)).toEqual(DEFAULT_CAPTION_OUTPUT);
+
+        const config = { ...DEFAULT_CAPTION_OUTPUT, enabled: true, webSocket: true, webSocketUrl: 'ws://127.0.0.1:9000' };
+        saveCaptionOutput(config, storage);
+        expect(loadCaptionOutput(storage)).toEqual(config);
+
+        storage.setItem(CAPTION_OUTPUT_STORAGE_KEY, JSON.stringify({ enabled: 'yes', webSocketUrl: 5 }));
+        expect(loadCaptionOutput(storage)).toEqual(DEFAULT_CAPTION_OUTPUT);
+
+        // '*' saved by version 1 was its default; one entered since is kept
+        expect(DEFAULT_CAPTION_OUTPUT.postMessageOrigin).toBe('');
+        storage.setItem(CAPTION_OUTPUT_STORAGE_KEY, JSON.stringify({ postMessage: true, postMessageOrigin: '*' }));
+        expect(loadCaptionOutput(storage).postMessageOrigin).toBe('');
+        saveCaptionOutput({ ...DEFAULT_CAPTION_OUTPUT, postMessage: true, postMessageOrigin: '*' }, storage);
+        expect(loadCaptionOutput(storage).postMessageOrigin).toBe('*');
+    });
+});
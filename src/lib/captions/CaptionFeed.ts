@@ -0,0 +1,163 @@
+/**
+ * Keet - Caption Feed (consumer side)
+ *
+ * Receives CaptionMessages from BroadcastChannel, window messages or a
+ * WebSocket relay and keeps the recent captions: sentences replaced by id
+ * plus the pending text. Used by the captions overlay; other consumers can
+ * use parseCaptionMessage() to validate what they receive.
+ */
+
+import {
+    CAPTION_CHANNEL_NAME,
+    CAPTION_PROTOCOL,
+    CAPTION_PROTOCOL_VERSION,
+    type CaptionMessage,
+    type CaptionSentence,
+} from './types';
+
+const MESSAGE_TYPES = new Set<CaptionMessage['type']>(['sentence', 'mature', 'immature', 'clear']);
+
+/**
+ * The message as a CaptionMessage, or null when it is not one (other
+ * protocols, newer versions, malformed payloads). Accepts objects and JSON text.
+ */
+export function parseCaptionMessage(data: unknown): CaptionMessage | null {
+    let value = data;
+    if (typeof value === 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch {
+            return null;
+        }
+    }
+    if (!value || typeof value !== 'object') return null;
+    const m = value as Partial<CaptionMessage> & Record<string, unknown>;
+    if (m.protocol !== CAPTION_PROTOCOL || m.version !== CAPTION_PROTOCOL_VERSION) return null;
+    if (typeof m.type !== 'string' || !MESSAGE_TYPES.has(m.type)) return null;
+    if (m.type === 'sentence') {
+        const s = m.sentence as Partial<CaptionSentence> | undefined;
+        if (!s || typeof s.id !== 'string' || typeof s.text !== 'string' || typeof s.start !== 'number') return null;
+    }
+    if (m.type === 'immature' && typeof m.text !== 'string') return null;
+    return m as CaptionMessage;
+}
+
+/** One displayed caption: a finalized sentence or the pending text */
+export interface CaptionLine {
+    id: string;
+    text: string;
+    channel?: string;
+    pending: boolean;
+}
+
+export class CaptionFeed {
+    private sentences: CaptionSentence[] = [];
+    private pending = '';
+
+    /** @param maxSentences finalized sentences kept (older ones are dropped) */
+    constructor(private readonly maxSentences: number = 50) {}
+
+    apply(message: CaptionMessage): void {
+        switch (message.type) {
+            case 'sentence': {
+                const index = this.sentences.findIndex((s) => s.id === message.sentence.id);
+                if (index >= 0) {
+                    this.sentences[index] = message.sentence;
+                } else {
+                    // Channels finalize independently; keep spoken order
+                    let at = this.sentences.length;
+                    while (at > 0 && this.sentences[at - 1].start > message.sentence.start) at--;
+                    this.sentences.splice(at, 0, message.sentence);
+                    if (this.sentences.length > this.maxSentences) {
+                        this.sentences.splice(0, this.sentences.length - this.maxSentences);
+                    }
+                }
+                break;
+            }
+            case 'immature':
+                this.pending = message.text;
+                break;
+            case 'clear':
+                this.sentences = [];
+                this.pending = '';
+                break;
+            case 'mature':
+                break;
+        }
+    }
+
+    /** The last `count` finalized sentences followed by the pending text. */
+    recent(count: number): CaptionLine[] {
+        const lines: CaptionLine[] = this.sentences
+            .slice(-count)
+            .filter((s) => s.text)
+            .map((s) => ({ id: s.id, text: s.text, pending: false, ...(s.channel ? { channel: s.channel } : {}) }));
+        if (this.pending) lines.push({ id: 'pending', text: this.pending, pending: true });
+        return lines;
+    }
+}
+
+export interface CaptionSubscribeOptions {
+    /** BroadcastChannel name (default 'keet-captions'); null to skip */
+    channelName?: string | null;
+    /** Listen for window messages (from a parent page or opener) (default true) */
+    windowMessages?: boolean;
+    /** WebSocket relay to connect to; reconnects every few seconds while subscribed */
+    webSocketUrl?: string;
+}
+
+/**
+ * Receive caption messages from the given sources.
+ * @returns a function that closes all of them
+ */
+export function subscribeCaptions(
+    handler: (message: CaptionMessage) => void,
+    options: CaptionSubscribeOptions = {}
+): () => void {
+    const cleanups: Array<() => void> = [];
+    const receive = (data: unknown) => {
+        const message = parseCaptionMessage(data);
+        if (message) handler(message);
+    };
+
+    const channelName = options.channelName === undefined ? CAPTION_CHANNEL_NAME : options.channelName;
+    if (channelName && typeof BroadcastChannel !== 'undefined') {
+        const channel = new BroadcastChannel(channelName);
+        channel.onmessage = (e) => receive(e.data);
+        cleanups.push(() => channel.close());
+    }
+
+    if (options.windowMessages !== false && typeof window !== 'undefined') {
+        const onMessage = (e: MessageEvent) => receive(e.data);
+        window.addEventListener('message', onMessage);
+        cleanups.push(() => window.removeEventListener('message', onMessage));
+    }
+
+    if (options.webSocketUrl) {
+        const url = options.webSocketUrl;
+        let socket: WebSocket | null = null;
+        let timer: ReturnType<typeof setTimeout> | null = null;
+        let closed = false;
+        const connect = () => {
+            timer = null;
+            try {
+                socket = new WebSocket(url);
+            } catch (err) {
+                console.warn('[Captions] Invalid WebSocket URL:', err);
+                return;
+            }
+            socket.onmessage = (e) => receive(e.data);
+            socket.onclose = () => {
+                if (!closed) timer = setTimeout(connect, 3000);
+            };
+        };
+        connect();
+        cleanups.push(() => {
+            closed = true;
+            if (timer) clearTimeout(timer);
+            socket?.close();
+        });
+    }
+
+    return () => cleanups.forEach((cleanup) => cleanup());
+}
@@ -0,0 +1,51 @@
+/**
+ * Keet - Caption Output Persistence
+ *
+ * Caption output settings live in localStorage, sanitized on load like the
+ * text rules. Version 2 made this app's origin the postMessage default; a '*'
+ * saved before that was the old default, not the user's choice, and is reset.
+ */
+
+import { DEFAULT_CAPTION_OUTPUT, type CaptionOutputConfig } from './types';
+
+export const CAPTION_OUTPUT_STORAGE_KEY = 'keet-caption-output';
+
+type StorageLike = Pick<Storage, 'getItem' | 'setItem'>;
+
+const defaultStorage = (): StorageLike | null => (typeof localStorage !== 'undefined' ? localStorage : null);
+
+const STORAGE_VERSION = 2;
+
+/** Fill in defaults for missing or mistyped fields. */
+export function sanitizeCaptionOutput(value: unknown): CaptionOutputConfig {
+    if (!value || typeof value !== 'object') return { ...DEFAULT_CAPTION_OUTPUT };
+    const v = value as Record<string, unknown>;
+    const pick = <K extends keyof CaptionOutputConfig>(key: K): CaptionOutputConfig[K] =>
+        typeof v[key] === typeof DEFAULT_CAPTION_OUTPUT[key] ? (v[key] as CaptionOutputConfig[K]) : DEFAULT_CAPTION_OUTPUT[key];
+    const legacyWildcard = pick('postMessageOrigin') === '*' && !(typeof v.version === 'number' && v.version >= STORAGE_VERSION);
+    return {
+        enabled: pick('enabled'),
+        broadcastChannel: pick('broadcastChannel'),
+        postMessage: pick('postMessage'),
+        postMessageOrigin: legacyWildcard ? '' : pick('postMessageOrigin'),
+        webSocket: pick('webSocket'),
+        webSocketUrl: pick('webSocketUrl'),
+    };
+}
+
+export function loadCaptionOutput(storage: StorageLike | null = defaultStorage()): CaptionOutputConfig {
+    try {
+        const raw = storage?.getItem(CAPTION_OUTPUT_STORAGE_KEY);
+        return raw ? sanitizeCaptionOutput(JSON.parse(raw)) : { ...DEFAULT_CAPTION_OUTPUT };
+    } catch {
+        return { ...DEFAULT_CAPTION_OUTPUT };
+    }
+}
+
+export function saveCaptionOutput(config: CaptionOutputConfig, storage: StorageLike | null = defaultStorage()): void {
+    try {
+        storage?.setItem(CAPTION_OUTPUT_STORAGE_KEY, JSON.stringify({ ...config, version: STORAGE_VERSION }));
+    } catch (err) {
+        console.warn('[Captions] Failed to save output settings:', err);
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * Keet - Caption Broadcast Module
+ */
+
+export {
+    CAPTION_PROTOCOL,
+    CAPTION_PROTOCOL_VERSION,
+    CAPTION_CHANNEL_NAME,
+    DEFAULT_CAPTION_OUTPUT,
+} from './types';
+export type {
+    CaptionMessage,
+    CaptionSentenceMessage,
+    CaptionMatureMessage,
+    CaptionImmatureMessage,
+    CaptionClearMessage,
+    CaptionSentence,
+    CaptionOutputConfig,
+    CaptionSocketStatus,
+} from './types';
+export { CaptionBroadcaster, toCaptionSentence } from './CaptionBroadcaster';
+export type { CaptionTransportFactories, CaptionChannelLike, CaptionSocketLike, CaptionWindowTarget } from './CaptionBroadcaster';
+export { CaptionFeed, parseCaptionMessage, subscribeCaptions } from './CaptionFeed';
+export type { CaptionLine, CaptionSubscribeOptions } from './CaptionFeed';
+export {
+    loadCaptionOutput,
+    saveCaptionOutput,
+    sanitizeCaptionOutput,
+    CAPTION_OUTPUT_STORAGE_KEY,
+} from './captionOutputStorage';
@@ -0,0 +1,98 @@
+/**
+ * Keet - Caption Broadcast Types
+ *
+ * JSON message schema for live captions published to other tabs, embedding
+ * pages and local WebSocket relays (e.g. an OBS browser source). Every
+ * message shares the envelope below; `type` selects the payload. The schema
+ * is documented in README.md ("Caption broadcast").
+ */
+
+export const CAPTION_PROTOCOL = 'keet-captions';
+export const CAPTION_PROTOCOL_VERSION = 1;
+
+/** Default BroadcastChannel name */
+export const CAPTION_CHANNEL_NAME = 'keet-captions';
+
+interface CaptionMessageBase {
+    protocol: typeof CAPTION_PROTOCOL;
+    version: typeof CAPTION_PROTOCOL_VERSION;
+    /** Increases by one per message from a publisher; a gap means messages were missed */
+    seq: number;
+    /** Epoch ms when the message was sent */
+    timestamp: number;
+}
+
+/** A finalized sentence as published (times in seconds since the recording started) */
+export interface CaptionSentence {
+    id: string;
+    text: string;
+    start: number;
+    end: number;
+    /** Speaker/source label when several channels are transcribed */
+    channel?: string;
+}
+
+/**
+ * A sentence was finalized, or the text of an already sent sentence changed
+ * (text rules or a user correction). Consumers replace sentences by id.
+ */
+export interface CaptionSentenceMessage extends CaptionMessageBase {
+    type: 'sentence';
+    sentence: CaptionSentence;
+    /** true when this id was sent before */
+    revised: boolean;
+}
+
+/** Finalized text advanced; the text itself arrives in sentence messages. */
+export interface CaptionMatureMessage extends CaptionMessageBase {
+    type: 'mature';
+    /** End of the finalized audio, in seconds */
+    cursorTime: number;
+    sentenceCount: number;
+}
+
+/** Pending (not yet finalized) text; replaces the previous pending text. */
+export interface CaptionImmatureMessage extends CaptionMessageBase {
+    type: 'immature';
+    text: string;
+}
+
+/** The transcript was cleared (new recording or session); drop all captions. */
+export interface CaptionClearMessage extends CaptionMessageBase {
+    type: 'clear';
+}
+
+export type CaptionMessage =
+    | CaptionSentenceMessage
+    | CaptionMatureMessage
+    | CaptionImmatureMessage
+    | CaptionClearMessage;
+
+/** Which outputs publish captions. Everything is off until the user enables it. */
+export interface CaptionOutputConfig {
+    enabled: boolean;
+    /** Same-origin tabs and windows (including the captions overlay) */
+    broadcastChannel: boolean;
+    /** window.parent / window.opener, for pages embedding Keet */
+    postMessage: boolean;
+    /**
+     * targetOrigin for postMessage: '' for this app's own origin (default),
+     * an origin such as https://example.com, or '*' for any origin (only
+     * when entered explicitly)
+     */
+    postMessageOrigin: string;
+    webSocket: boolean;
+    /** Local relay URL, e.g. ws://localhost:8765 */
+    webSocketUrl: string;
+}
+
+export const DEFAULT_CAPTION_OUTPUT: CaptionOutputConfig = {
+    enabled: false,
+    broadcastChannel: true,
+    postMessage: false,
+    postMessageOrigin: '',
+    webSocket: false,
+    webSocketUrl: 'ws://localhost:8765',
+};
+
+export type CaptionSocketStatus = 'off' | 'connecting' | 'open' | 'error';
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for voice commands: matching, formatting, sentence splitting
+ * and grammar storage.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+import { appendPunctuation, isSentencePart, VoiceCommandProcessor } from './VoiceCommandProcessor';
+import { defaultVoiceCommands, loadVoiceCommands, sanitizeVoiceCommands, saveVoiceCommands } from './commandStorage';
+
+/** A sentence with one word per 0.5 s, starting at `start`. */
+function sentence(text: string, id: string = 's1', start: number = 0): MergerSentence {
+    const tokens = text.split(' ');
+    const words = tokens.map((t, i) => ({ text: t, start: start + i * 0.5, end: start + i * 0.5 + 0.4, confidence: 0.9 }));
+    return {
+        id,
+        text,
+        startTime: start,
+        endTime: words[words.length - 1].end,
+        startWordIndex: 0,
+        endWordIndex: tokens.length - 1,
+        wordCount: tokens.length,
+        words,
+        detectionMethod: 'test',
+        isMature: true,
+    };
+}
+
+describe('VoiceCommandProcessor', () => {
+    const processor = new VoiceCommandProcessor(defaultVoiceCommands());
+
+    it('should replace spoken punctuation and keep word timings', () => {
+        const result = processor.process(sentence('Hello, comma, how are you question mark. Fine full stop. thanks'));
+        expect(result.sentences).toHaveLength(1);
+        const [out] = result.sentences;
+        expect(out.text).toBe('Hello, how are you? Fine. Thanks');
+        expect(out.words.map((w) => w.text)).toEqual(['Hello,', 'how', 'are', 'you?', 'Fine.', 'Thanks']);
+        expect(out.words[1]).toMatchObject({ start: 1, end: 1.4 }); // "how" keeps its own timing
+        expect(result.commands.map((c) => [c.commandId, c.heard, c.text])).toEqual([
+            ['comma', 'comma,', ','],
+            ['question-mark', 'question mark.', '?'],
+            ['period', 'full stop.', '.'],
+        ]);
+    });
+
+    it('should dictate escaped phrases and pass sentences without commands through', () => {
+        const result = processor.process(sentence('The literal period of time, literal new line. Literal dog.'));
+        expect(result.sentences[0].text).toBe('The period of time, new line. Literal dog.');
+        expect(result.sentences[0].words[1]).toMatchObject({ text: 'period', start: 1 });
+        expect(result.commands.map((c) => [c.commandId, c.literal])).toEqual([['period', true], ['new-line', true]]);
+
+        const untouched = sentence('Nothing to see here.');
+        expect(processor.process(untouched)).toEqual({ sentences: [untouched], commands: [] });
+    });
+
+    it('should split a sentence at a paragraph break and carry breaks at its edges', () => {
+        const result = processor.process(sentence('first part new paragraph second part', 'u1:s3'));
+        expect(result.sentences.map((s) => [s.id, s.text, s.breakBefore])).toEqual([
+            ['u1:s3', 'first part', undefined],
+            ['u1:s3~2', 'Second part', 'paragraph'],
+        ]);
+        expect(result.sentences[1]).toMatchObject({ startTime: 2, endTime: 2.9, wordCount: 2, startWordIndex: 2 });
+        expect(isSentencePart('u1:s3~2', 'u1:s3')).toBe(true);
+        expect(isSentencePart('u1:s30', 'u1:s3')).toBe(false);
+
+        const edges = processor.process(sentence('New line. done now new paragraph.'));
+        expect(edges.sentences.map((s) => [s.text, s.breakBefore])).toEqual([['Done now', 'line']]);
+        expect(edges.breakAfter).toBe('paragraph');
+
+        // Punctuation spoken on its own belongs to the previous sentence
+        const alone = processor.process(sentence('Period.'));
+        expect(alone).toMatchObject({ sentences: [], appendToPrevious: '.' });
+        expect(appendPunctuation(sentence('I am done,'), '.').text).toBe('I am done.');
+    });
+
+    it('should only recognize editing and recording commands spoken on their own', () => {
+        expect(processor.process(sentence('Scratch that.')).commands).toEqual([
+            { commandId: 'delete-last-sentence', action: 'deleteLastSentence', heard: 'Scratch that.' },
+        ]);
+        expect(processor.process(sentence('Stop recording!'))).toMatchObject({ sentences: [], commands: [{ action: 'stopRecording' }] });
+
+        const dictated = processor.process(sentence('Please stop recording the call.'));
+        expect(dictated.commands).toEqual([]);
+        expect(dictated.sentences[0].text).toBe('Please stop recording the call.');
+    });
+
+    it('should follow the configured grammar', () => {
+        const config = defaultVoiceCommands();
+        config.commands = config.commands.map((c) => (c.id === 'comma' ? { ...c, enabled: false } : c));
+        config.commands.push({ id: 'smiley', action: 'insert', phrases: ['smiley face'], text: ':)', enabled: true });
+        config.commands.push({ id: 'open', action: 'insert', phrases: ['open paren'], text: '(', enabled: true });
+        config.commands.push({ id: 'next', action: 'newParagraph', phrases: ['next topic'], enabled: true });
+        const custom = new VoiceCommandProcessor(config);
+
+        expect(custom.process(sentence('great smiley face comma open paren really next topic ok')).sentences.map((s) => s.text))
+            .toEqual(['great:) comma (really', 'Ok']);
+        expect(new VoiceCommandProcessor({ commands: [], literalWord: 'literal' }).isEmpty()).toBe(true);
+    });
+});
+
+describe('voice command storage', () => {
+    const memoryStorage = () => {
+        const data = new Map<string, string>();
+        return { getItem: (k: string) => data.get(k) ?? null, setItem: (k: string, v: string) => void data.set(k, v) };
+    };
+
+    it('should round-trip the grammar and drop malformed commands', () => {
+        const storage = memoryStorage();
+        expect(loadVoiceCommands(storage)).toEqual(defaultVoiceCommands());
+
+        const config = defaultVoiceCommands();
+        config.commands[0].phrases.push('dot');
+        saveVoiceCommands(config, storage);
+        expect(loadVoiceCommands(storage).commands[0].phrases).toEqual(['period', 'full stop', 'dot']);
+
+        expect(sanitizeVoiceCommands({
+            commands: [
+                { id: 'a', action: 'launchRockets', phrases: ['go'] },
+                { id: 'b', action: 'insert', phrases: ['dash', 3] },
+                { action: 'pause', phrases: [] },
+            ],
+        })).toEqual({ commands: [{ id: 'b', action: 'insert', phrases: ['dash'], text: '', enabled: true }], literalWord: 'literal' });
+        expect(sanitizeVoiceCommands('nonsense')).toEqual(defaultVoiceCommands());
+    });
+});
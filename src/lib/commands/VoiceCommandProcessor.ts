@@ -0,0 +1,262 @@
+/**
+ * Keet - Voice Command Processor
+ *
+ * Finds spoken commands in finalized sentences (dictation mode), takes the
+ * command words out of the text and says what was asked for. Formatting
+ * commands ("comma", "new paragraph") work anywhere in a sentence; editing
+ * and recording commands ("scratch that", "stop recording") only when they
+ * are the whole sentence, so "please stop recording now" stays dictated text.
+ * A formatting phrase is dictated as words after the literal word
+ * ("literal period").
+ *
+ * Phrases are matched on words with case and punctuation ignored, since the
+ * model punctuates what it hears ("Full stop." matches "full stop"). The
+ * processor is stateless: carrying out the commands (deleting a sentence,
+ * pausing, breaks that apply to the next sentence) is up to the caller.
+ */
+
+import { alignWords } from '../text/TextNormalizer';
+import type { DetectorWord } from '../transcription/SentenceBoundaryDetector';
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+import { INLINE_ACTIONS, type SentenceBreak, type VoiceCommand, type VoiceCommandAction, type VoiceCommandsConfig } from './types';
+
+export interface RecognizedCommand {
+    commandId: string;
+    action: VoiceCommandAction;
+    /** The command's words as transcribed, e.g. "Full stop." */
+    heard: string;
+    /** 'insert' only: the text inserted */
+    text?: string;
+    /** Escaped with the literal word: the phrase was dictated as words instead */
+    literal?: boolean;
+}
+
+export interface DictationResult {
+    /** What is left of the sentence to transcribe: nothing, the sentence, or one part per break */
+    sentences: MergerSentence[];
+    /** Commands heard, in spoken order */
+    commands: RecognizedCommand[];
+    /** Punctuation spoken before any words; it belongs at the end of the previous sentence */
+    appendToPrevious?: string;
+    /** Break spoken after the last words; it belongs before the next sentence */
+    breakAfter?: SentenceBreak;
+}
+
+interface CompiledPhrase {
+    command: VoiceCommand;
+    words: string[];
+}
+
+/** A word left in the text, with the index of the transcribed word it came from (null when inserted) */
+interface Token {
+    text: string;
+    source: number | null;
+}
+
+interface SentencePart {
+    breakBefore?: SentenceBreak;
+    tokens: Token[];
+}
+
+// Inserted text made of these attaches to the word before it ("word,") or after it ("(word")
+const CLOSING = /^[.,!?;:…%)\]}”’»]+$/u;
+const OPENING = /^[([{“‘«¿¡]+$/u;
+// Model punctuation replaced by a spoken mark ("Hello, period" → "Hello.")
+const TRAILING_PUNCTUATION = /[.,!?;:]+$/u;
+const SENTENCE_END = /[.!?…]$/u;
+
+/** Lowercase a word and drop everything but letters, digits and apostrophes. */
+const normalizeWord = (word: string) => word.normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}']+/gu, '');
+
+const capitalize = (word: string) =>
+    word.replace(/^([^\p{L}\p{N}]*)(\p{Ll})/u, (_, lead: string, letter: string) => lead + letter.toUpperCase());
+
+/** The stronger of two breaks (a paragraph includes a line). */
+export const mergeBreaks = (a: SentenceBreak | undefined, b: SentenceBreak | undefined): SentenceBreak | undefined =>
+    a === 'paragraph' || b === 'paragraph' ? 'paragraph' : (a ?? b);
+
+/** Id of part `index` of a sentence split by breaks; the first part keeps the sentence's id. */
+export const sentencePartId = (sentenceId: string, index: number) =>
+    index === 0 ? sentenceId : `${sentenceId}~${index + 1}`;
+
+/** Whether `id` is the sentence `sentenceId` or a part split from it. */
+export const isSentencePart = (id: string, sentenceId: string) =>
+    id === sentenceId || id.startsWith(`${sentenceId}~`);
+
+/** Put a spoken mark at the end of a sentence, replacing the model's own final punctuation. */
+export function appendPunctuation(sentence: MergerSentence, mark: string): MergerSentence {
+    const words = sentence.words ?? [];
+    const last = words[words.length - 1];
+    return {
+        ...sentence,
+        text: sentence.text.trimEnd().replace(TRAILING_PUNCTUATION, '') + mark,
+        words: last
+            ? [...words.slice(0, -1), { ...last, text: last.text.trimEnd().replace(TRAILING_PUNCTUATION, '') + mark }]
+            : words,
+    };
+}
+
+export class VoiceCommandProcessor {
+    private inline: CompiledPhrase[] = [];
+    private standalone = new Map<string, VoiceCommand>();
+    private literalWord: string;
+
+    constructor(config: VoiceCommandsConfig) {
+        this.literalWord = normalizeWord(config.literalWord.trim());
+        for (const command of config.commands) {
+            if (!command.enabled || (command.action === 'insert' && !command.text?.trim())) continue;
+            for (const phrase of command.phrases) {
+                const words = phrase.split(/\s+/).map(normalizeWord).filter(Boolean);
+                if (words.length === 0) continue;
+                if (INLINE_ACTIONS.includes(command.action)) {
+                    this.inline.push({ command, words });
+                } else if (!this.standalone.has(words.join(' '))) {
+                    this.standalone.set(words.join(' '), command);
+                }
+            }
+        }
+        // Longest phrase first so "new paragraph" wins over a command named "new"
+        this.inline.sort((a, b) => b.words.length - a.words.length);
+    }
+
+    /** True when no command can match, i.e. process() returns every sentence unchanged. */
+    isEmpty(): boolean {
+        return this.inline.length === 0 && this.standalone.size === 0;
+    }
+
+    /** Take the commands out of a finalized sentence. */
+    process(sentence: MergerSentence): DictationResult {
+        const tokens = sentence.text.split(/\s+/).filter(Boolean);
+        const normalized = tokens.map(normalizeWord);
+
+        const whole = this.standalone.get(normalized.filter(Boolean).join(' '));
+        if (whole) {
+            return { sentences: [], commands: [{ commandId: whole.id, action: whole.action, heard: tokens.join(' ') }] };
+        }
+
+        const commands: RecognizedCommand[] = [];
+        const parts: SentencePart[] = [{ tokens: [] }];
+        let appendToPrevious = '';
+        let prefix = '';
+        let capitalizeNext = false;
+
+        const current = () => parts[parts.length - 1];
+        const lastPart = () => [...parts].reverse().find((p) => p.tokens.length > 0);
+        const pushWord = (word: string, source: number | null) => {
+            current().tokens.push({ text: capitalizeNext ? capitalize(prefix + word) : prefix + word, source });
+            prefix = '';
+            capitalizeNext = false;
+        };
+
+        for (let i = 0; i < tokens.length;) {
+            // "literal period": the phrase's words are dictated, the literal word dropped
+            const escaped = !!this.literalWord && normalized[i] === this.literalWord ? this.matchAt(normalized, i + 1) : null;
+            if (escaped) {
+                commands.push({ commandId: escaped.command.id, action: escaped.command.action, heard: tokens[i], literal: true });
+                for (let k = 1; k <= escaped.words.length; k++) pushWord(tokens[i + k], i + k);
+                i += 1 + escaped.words.length;
+                continue;
+            }
+            const match = this.matchAt(normalized, i);
+            if (!match) {
+                pushWord(tokens[i], i);
+                i++;
+                continue;
+            }
+            const { command } = match;
+            const text = command.text?.trim() ?? '';
+            commands.push({
+                commandId: command.id,
+                action: command.action,
+                heard: tokens.slice(i, i + match.words.length).join(' '),
+                ...(command.action === 'insert' ? { text } : {}),
+            });
+            i += match.words.length;
+
+            if (command.action === 'insert') {
+                if (CLOSING.test(text)) {
+                    const part = lastPart();
+                    if (part) {
+                        const last = part.tokens[part.tokens.length - 1];
+                        last.text = last.text.replace(TRAILING_PUNCTUATION, '') + text;
+                    } else {
+                        appendToPrevious = appendToPrevious.replace(TRAILING_PUNCTUATION, '') + text;
+                    }
+                    capitalizeNext = SENTENCE_END.test(text);
+                } else if (OPENING.test(text)) {
+                    prefix += text;
+                } else {
+                    for (const word of text.split(/\s+/)) pushWord(word, null);
+                }
+                continue;
+            }
+
+            // Line or paragraph break: later words go into a new part
+            const kind: SentenceBreak = command.action === 'newParagraph' ? 'paragraph' : 'line';
+            if (current().tokens.length > 0) parts.push({ breakBefore: kind, tokens: [] });
+            else current().breakBefore = mergeBreaks(current().breakBefore, kind);
+            capitalizeNext = true;
+        }
+
+        if (commands.length === 0) return { sentences: [sentence], commands };
+        if (prefix) current().tokens.push({ text: prefix, source: null });
+
+        // An empty last part holds a break spoken after the last words
+        let breakAfter: SentenceBreak | undefined;
+        if (current().tokens.length === 0) breakAfter = parts.pop()!.breakBefore;
+
+        return {
+            sentences: this.buildParts(sentence, parts, tokens.length),
+            commands,
+            ...(appendToPrevious ? { appendToPrevious } : {}),
+            ...(breakAfter ? { breakAfter } : {}),
+        };
+    }
+
+    private matchAt(normalized: string[], start: number): CompiledPhrase | null {
+        for (const phrase of this.inline) {
+            if (phrase.words.every((word, k) => normalized[start + k] === word)) return phrase;
+        }
+        return null;
+    }
+
+    /**
+     * Sentences for the parts. Words left keep their timings; inserted ones
+     * take no time. When the sentence's words do not line up with its text,
+     * timings are re-aligned instead (see alignWords).
+     */
+    private buildParts(sentence: MergerSentence, parts: SentencePart[], transcribedCount: number): MergerSentence[] {
+        const transcribed = sentence.words ?? [];
+        const tokens = parts.flatMap((p) => p.tokens);
+        let words: DetectorWord[];
+        if (transcribed.length === transcribedCount) {
+            let time = sentence.startTime;
+            words = tokens.map(({ text, source }) => {
+                const word = source === null ? { text, start: time, end: time } : { ...transcribed[source], text };
+                time = word.end;
+                return word;
+            });
+        } else {
+            words = alignWords(transcribed, tokens.map((t) => t.text).join(' '));
+        }
+
+        let offset = 0;
+        return parts.map((part, index) => {
+            const partWords = words.slice(offset, offset + part.tokens.length);
+            const startWordIndex = sentence.startWordIndex + offset;
+            offset += part.tokens.length;
+            return {
+                ...sentence,
+                id: sentencePartId(sentence.id, index),
+                text: part.tokens.map((t) => t.text).join(' '),
+                startTime: partWords[0]?.start ?? sentence.startTime,
+                endTime: partWords[partWords.length - 1]?.end ?? sentence.endTime,
+                startWordIndex,
+                endWordIndex: startWordIndex + Math.max(0, part.tokens.length - 1),
+                wordCount: part.tokens.length,
+                words: partWords,
+                ...(part.breakBefore ? { breakBefore: part.breakBefore } : {}),
+            };
+        });
+    }
+}
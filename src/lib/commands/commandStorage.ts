@@ -0,0 +1,74 @@
+/**
+ * Keet - Voice Command Persistence
+ *
+ * The command grammar lives in localStorage next to the text rules and is
+ * sanitized the same way: malformed commands are dropped on load, and an
+ * unreadable entry gives the default grammar.
+ */
+
+import { DEFAULT_VOICE_COMMANDS, VOICE_COMMAND_LABELS, type VoiceCommand, type VoiceCommandAction, type VoiceCommandsConfig } from './types';
+
+export const VOICE_COMMANDS_STORAGE_KEY = 'keet-voice-commands';
+
+type StorageLike = Pick<Storage, 'getItem' | 'setItem'>;
+
+const defaultStorage = (): StorageLike | null => (typeof localStorage !== 'undefined' ? localStorage : null);
+
+const isAction = (value: unknown): value is VoiceCommandAction =>
+    typeof value === 'string' && Object.prototype.hasOwnProperty.call(VOICE_COMMAND_LABELS, value);
+
+/** A copy of the default grammar (commands are edited in place by the settings UI). */
+export const defaultVoiceCommands = (): VoiceCommandsConfig => ({
+    ...DEFAULT_VOICE_COMMANDS,
+    commands: DEFAULT_VOICE_COMMANDS.commands.map((c) => ({ ...c, phrases: [...c.phrases] })),
+});
+
+function sanitizeCommand(value: unknown): VoiceCommand | null {
+    if (!value || typeof value !== 'object') return null;
+    const c = value as Partial<VoiceCommand>;
+    if (typeof c.id !== 'string' || !isAction(c.action) || !Array.isArray(c.phrases)) return null;
+    return {
+        id: c.id,
+        action: c.action,
+        phrases: c.phrases.filter((p): p is string => typeof p === 'string'),
+        ...(c.action === 'insert' ? { text: typeof c.text === 'string' ? c.text : '' } : {}),
+        enabled: c.enabled !== false,
+    };
+}
+
+/** Drop malformed commands; anything unreadable gives the defaults. */
+export function sanitizeVoiceCommands(value: unknown): VoiceCommandsConfig {
+    if (!value || typeof value !== 'object') return defaultVoiceCommands();
+    const v = value as Record<string, unknown>;
+    if (!Array.isArray(v.commands)) return defaultVoiceCommands();
+    return {
+        commands: v.commands.map(sanitizeCommand).filter((c): c is VoiceCommand => c !== null),
+        literalWord: typeof v.literalWord === 'string' ? v.literalWord : DEFAULT_VOICE_COMMANDS.literalWord,
+    };
+}
+
+/** Stored grammar, or the defaults when none is stored or it cannot be read. */
+export function loadVoiceCommands(storage: StorageLike | null = defaultStorage()): VoiceCommandsConfig {
+    try {
+        const raw = storage?.getItem(VOICE_COMMANDS_STORAGE_KEY);
+        return raw ? sanitizeVoiceCommands(JSON.parse(raw)) : defaultVoiceCommands();
+    } catch {
+        return defaultVoiceCommands();
+    }
+}
+
+export function saveVoiceCommands(config: VoiceCommandsConfig, storage: StorageLike | null = defaultStorage()): void {
+    try {
+        storage?.setItem(VOICE_COMMANDS_STORAGE_KEY, JSON.stringify(config));
+    } catch (err) {
+        console.warn('[VoiceCommands] Failed to save:', err);
+    }
+}
+
+/** New command with a unique id (an empty 'insert' unless another action is given). */
+export function createVoiceCommand(action: VoiceCommandAction = 'insert'): VoiceCommand {
+    const id = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+        ? crypto.randomUUID()
+        : `command_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    return { id, action, phrases: [], ...(action === 'insert' ? { text: '' } : {}), enabled: true };
+}
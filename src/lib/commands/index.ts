@@ -0,0 +1,22 @@
+/**
+ * Keet - Voice Commands Module
+ */
+
+export type { VoiceCommand, VoiceCommandAction, VoiceCommandsConfig, SentenceBreak } from './types';
+export { DEFAULT_VOICE_COMMANDS, INLINE_ACTIONS, VOICE_COMMAND_LABELS } from './types';
+export {
+    VoiceCommandProcessor,
+    appendPunctuation,
+    isSentencePart,
+    mergeBreaks,
+    sentencePartId,
+} from './VoiceCommandProcessor';
+export type { DictationResult, RecognizedCommand } from './VoiceCommandProcessor';
+export {
+    loadVoiceCommands,
+    saveVoiceCommands,
+    sanitizeVoiceCommands,
+    createVoiceCommand,
+    defaultVoiceCommands,
+    VOICE_COMMANDS_STORAGE_KEY,
+} from './commandStorage';
@@ -0,0 +1,73 @@
+/**
+ * Keet - Voice Command Types
+ *
+ * The grammar of spoken commands recognized in dictation mode.
+ */
+
+/**
+ * What a command does:
+ * - 'insert': put `text` in place of the phrase (punctuation, symbols)
+ * - 'newLine' / 'newParagraph': break the transcript before the next words
+ * - 'deleteLastSentence': remove the last finalized sentence
+ * - 'pause' / 'resume': ignore speech until "resume" is heard
+ * - 'stopRecording': end the recording
+ */
+export type VoiceCommandAction =
+    | 'insert'
+    | 'newLine'
+    | 'newParagraph'
+    | 'deleteLastSentence'
+    | 'pause'
+    | 'resume'
+    | 'stopRecording';
+
+export interface VoiceCommand {
+    id: string;
+    action: VoiceCommandAction;
+    /** Spoken phrases (aliases) that trigger the command, e.g. ["period", "full stop"] */
+    phrases: string[];
+    /** 'insert' only: the text inserted, e.g. "." */
+    text?: string;
+    enabled: boolean;
+}
+
+export interface VoiceCommandsConfig {
+    /** Commands in the order they are listed; the longest matching phrase wins */
+    commands: VoiceCommand[];
+    /** Said before a formatting phrase to dictate the phrase as words ("literal period") */
+    literalWord: string;
+}
+
+/** Break before a sentence, from a "new line" / "new paragraph" command. */
+export type SentenceBreak = 'line' | 'paragraph';
+
+/** Actions that format text and can be spoken mid-sentence; the others must be spoken on their own. */
+export const INLINE_ACTIONS: readonly VoiceCommandAction[] = ['insert', 'newLine', 'newParagraph'];
+
+export const VOICE_COMMAND_LABELS: Record<VoiceCommandAction, string> = {
+    insert: 'Insert',
+    newLine: 'New line',
+    newParagraph: 'New paragraph',
+    deleteLastSentence: 'Delete last sentence',
+    pause: 'Pause',
+    resume: 'Resume',
+    stopRecording: 'Stop recording',
+};
+
+export const DEFAULT_VOICE_COMMANDS: VoiceCommandsConfig = {
+    commands: [
+        { id: 'period', action: 'insert', text: '.', phrases: ['period', 'full stop'], enabled: true },
+        { id: 'comma', action: 'insert', text: ',', phrases: ['comma'], enabled: true },
+        { id: 'question-mark', action: 'insert', text: '?', phrases: ['question mark'], enabled: true },
+        { id: 'exclamation-mark', action: 'insert', text: '!', phrases: ['exclamation mark', 'exclamation point'], enabled: true },
+        { id: 'colon', action: 'insert', text: ':', phrases: ['colon'], enabled: true },
+        { id: 'semicolon', action: 'insert', text: ';', phrases: ['semicolon', 'semi colon'], enabled: true },
+        { id: 'new-line', action: 'newLine', phrases: ['new line'], enabled: true },
+        { id: 'new-paragraph', action: 'newParagraph', phrases: ['new paragraph', 'next paragraph'], enabled: true },
+        { id: 'delete-last-sentence', action: 'deleteLastSentence', phrases: ['delete last sentence', 'scratch that'], enabled: true },
+        { id: 'pause', action: 'pause', phrases: ['pause', 'pause dictation'], enabled: true },
+        { id: 'resume', action: 'resume', phrases: ['resume', 'resume dictation'], enabled: true },
+        { id: 'stop-recording', action: 'stopRecording', phrases: ['stop recording', 'stop dictation'], enabled: true },
+    ],
+    literalWord: 'literal',
+};
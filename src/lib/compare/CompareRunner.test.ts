@@ -0,0 +1,200 @@
+/**
+ * Unit tests for CompareRunner (two pipeline configurations on the same audio).
+ *
+ * Worker clients are in-memory fakes: the v4 side gets merger-like results
+ * from its fake transcriber, the v3 side records the windows it is sent.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CompareRunner, type CompareSideConfig, type CompareSideResources, type CompareSideState } from './CompareRunner';
+import type { V4ProcessResult } from '../transcription/TranscriptionWorkerClient';
+
+const SR = 16000;
+const HOP = 1280;
+
+/** `speechSec` of tone followed by `silenceSec` of silence. */
+function toneThenSilence(speechSec: number, silenceSec: number): Float32Array {
+    const out = new Float32Array(Math.round((speechSec + silenceSec) * SR));
+    const speechLen = Math.round(speechSec * SR);
+    for (let i = 0; i < speechLen; i++) out[i] = 0.3 * Math.sin((2 * Math.PI * 220 * i) / SR);
+    return out;
+}
+
+const V4_SIDE: CompareSideConfig = {
+    label: 'A',
+    mode: 'v4-utterance',
+    modelId: '',
+    intervalMs: 1000,
+    silenceFlushSec: 1.0,
+    windowDuration: 5,
+    triggerInterval: 1,
+};
+const V3_SIDE: CompareSideConfig = { ...V4_SIDE, label: 'B', mode: 'v3-streaming', windowDuration: 2, triggerInterval: 1 };
+
+function v4Result(matureCursorTime: number): V4ProcessResult {
+    return {
+        matureText: 'hello world',
+        immatureText: 'again',
+        matureCursorTime,
+        fullText: 'hello world again',
+        totalSentences: 1,
+        matureSentenceCount: 1,
+        pendingSentence: 'again',
+        stats: {},
+    };
+}
+
+/** Fake workers for one side; `log` records acquire/release order across sides. */
+function createResources(label: string, log: string[], options: { slowV3?: () => Promise<void> } = {}) {
+    const vad: number[] = [];
+    const v3Windows: Array<{ length: number; startTime: number }> = [];
+    let pushed = 0;
+    const resources: CompareSideResources = {
+        mel: {
+            reset: async () => { pushed = 0; },
+            pushAudioCopy: (chunk: Float32Array) => { pushed += chunk.length; },
+            getFeatures: async (start: number, end: number) => {
+                if (end > pushed) return null;
+                const T = Math.ceil((end - start) / 160);
+                return { features: new Float32Array(T * 128), T, melBins: 128 };
+            },
+        },
+        buffer: {
+            writeScalar: (_layer, value: number) => { vad.push(value); },
+            hasSpeech: async (_layer, start: number, end: number, threshold: number) => {
+                const from = Math.floor(start / HOP);
+                const to = Math.min(vad.length, Math.ceil(end / HOP));
+                let maxProb = 0;
+                for (let i = from; i < to; i++) maxProb = Math.max(maxProb, vad[i]);
+                return { hasSpeech: maxProb >= threshold, maxProb, entriesChecked: to - from };
+            },
+            getSilenceTailDuration: async (_layer, threshold: number) => {
+                let n = 0;
+                for (let i = vad.length - 1; i >= 0 && vad[i] < threshold; i--) n++;
+                return (n * HOP) / SR;
+            },
+        },
+        transcriber: {
+            initV4Service: async () => {},
+            processV4ChunkWithFeatures: async (params) => v4Result(Math.max(0, params.endTime! - 1)),
+            v4FinalizeTimeout: async () => null,
+            initV3Service: async () => {},
+            processV3Chunk: async (audio: Float32Array, startTime?: number) => {
+                await options.slowV3?.();
+                v3Windows.push({ length: audio.length, startTime: startTime ?? 0 });
+                const n = v3Windows.length;
+                return {
+                    confirmedText: `window ${n - 1}`.trim(),
+                    pendingText: `window ${n}`,
+                    fullText: `window ${n - 1} window ${n}`,
+                    lcsLength: 0,
+                    anchorValid: true,
+                    chunkCount: n,
+                };
+            },
+            finalize: async () => ({ text: `final after ${v3Windows.length} windows` }),
+        },
+        release: () => { log.push(`release ${label}`); },
+    };
+    return { resources, v3Windows };
+}
+
+describe('CompareRunner', () => {
+    it('should run a file through each side in turn and collect text and stats', async () => {
+        const log: string[] = [];
+        const sides = { A: createResources('A', log), B: createResources('B', log) };
+        const runner = new CompareRunner({
+            acquire: async (side) => {
+                log.push(`acquire ${side.label}`);
+                return sides[side.label as 'A' | 'B'].resources;
+            },
+        });
+        const progressSides = new Set<number>();
+        runner.on('progress', (p) => progressSides.add(p.side));
+
+        const status = await runner.runFile(toneThenSilence(3, 2), [V4_SIDE, V3_SIDE]);
+
+        expect(status).toBe('completed');
+        expect(log).toEqual(['acquire A', 'release A', 'acquire B', 'release B']);
+        expect([...progressSides]).toEqual([0, 1]);
+
+        const [a, b] = runner.getSides();
+        expect(a.status).toBe('done');
+        expect(a.text).toContain('hello world');
+        expect(a.stats.inferences).toBeGreaterThan(0);
+        expect(a.stats.rtfx).toBeGreaterThan(0);
+
+        // 5 s of audio, a 2 s window every 1 s
+        expect(sides.B.v3Windows.map((w) => w.startTime)).toEqual([0, 0, 1, 2, 3]);
+        expect(sides.B.v3Windows.map((w) => w.length)).toEqual([SR, 2 * SR, 2 * SR, 2 * SR, 2 * SR]);
+        expect(b).toMatchObject({ status: 'done', text: 'final after 5 windows', pendingText: '' });
+        expect(b.stats.inferences).toBe(5);
+        expect(runner.isRunning()).toBe(false);
+    });
+
+    it('should report a side that fails without stopping the other', async () => {
+        const log: string[] = [];
+        const b = createResources('B', log);
+        const runner = new CompareRunner({
+            acquire: async (side) => {
+                if (side.label === 'A') throw new Error('model not cached');
+                return b.resources;
+            },
+        });
+
+        await runner.runFile(toneThenSilence(1, 1), [V4_SIDE, V3_SIDE]);
+
+        const [sideA, sideB] = runner.getSides();
+        expect(sideA).toMatchObject({ status: 'error', error: 'model not cached' });
+        expect(sideB.status).toBe('done');
+    });
+
+    it('should skip live v3 windows that fall due while one is running, then flush', async () => {
+        const log: string[] = [];
+        let release!: () => void;
+        const gate = () => new Promise<void>((resolve) => { release = resolve; });
+        let slow = true;
+        const b = createResources('B', log, { slowV3: () => (slow ? gate() : Promise.resolve()) });
+        const runner = new CompareRunner({ acquire: async () => b.resources });
+        const updates: CompareSideState[][] = [];
+        runner.on('update', (sides) => updates.push(sides));
+
+        await runner.startLive([V3_SIDE]);
+        const hop = new Float32Array(SR / 2);
+        runner.pushAudio(hop);
+        runner.pushAudio(hop); // 1 s: first window starts and blocks
+        for (let i = 0; i < 4; i++) runner.pushAudio(hop); // 2 s and 3 s fall due while busy
+        slow = false;
+        release();
+        await runner.stopLive();
+
+        // The first window and the flushed tail
+        expect(b.v3Windows.map((w) => w.startTime)).toEqual([0, 1]);
+        const side = runner.getSides()[0];
+        expect(side.stats.dropped).toBe(2);
+        expect(side).toMatchObject({ status: 'done', text: 'final after 2 windows' });
+        expect(log).toEqual(['release B']);
+        expect(updates.length).toBeGreaterThan(0);
+    });
+
+    it('should mark sides not yet run as cancelled', async () => {
+        const log: string[] = [];
+        const sides = { A: createResources('A', log), B: createResources('B', log) };
+        const runner = new CompareRunner({
+            acquire: async (side) => {
+                if (side.label === 'A') runner.cancel();
+                return sides[side.label as 'A' | 'B'].resources;
+            },
+        });
+
+        const status = await runner.runFile(toneThenSilence(2, 1), [V4_SIDE, V3_SIDE]);
+
+        expect(status).toBe('cancelled');
+        expect(runner.getSides().map((s) => s.status)).toEqual(['cancelled', 'cancelled']);
+        expect(runner.getSides()[0].stats.inferences).toBe(0);
+        expect(sides.B.v3Windows).toEqual([]);
+        expect(log).toEqual(['release A']);
+    });
+});
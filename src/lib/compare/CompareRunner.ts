@@ -0,0 +1,503 @@
+/**
+ * Keet - A/B Compare Runner
+ *
+ * Runs the same audio through two pipeline configurations ("sides") and
+ * collects each side's transcript and inference timing:
+ *
+ * - v4-utterance: the utterance pipeline (StreamingTranscriber, or
+ *   FileTranscriber for files) with the side's tick interval and silence flush.
+ * - v3-streaming: fixed windows of `windowDuration` every `triggerInterval`
+ *   through the worker's token-stream (LCS) merger.
+ *
+ * Both use energy VAD only, so the sides differ only in the settings being
+ * compared. A file runs one side after the other, each with the device to
+ * itself, which keeps their latencies comparable; live audio feeds both
+ * sides at once. Worker clients come from `deps.acquire`, which decides
+ * whether a side shares the app's transcription worker or loads its model in
+ * a worker of its own.
+ */
+
+import { TypedEmitter } from '../events/TypedEmitter';
+import { FileTranscriber, type FileTranscriberDeps } from '../transcription/FileTranscriber';
+import { StreamingTranscriber, type StreamingBuffer, type StreamingTranscriberDeps } from '../transcription/StreamingTranscriber';
+import type { TokenStreamResult } from '../transcription/TokenStreamTranscriber';
+import type { TranscriptionWorkerClient } from '../transcription/TranscriptionWorkerClient';
+
+export type CompareMode = 'v4-utterance' | 'v3-streaming';
+
+export interface CompareSideConfig {
+    /** Shown above the side's transcript, e.g. 'A' */
+    label: string;
+    mode: CompareMode;
+    /** Registry model id, or '' for the model the app has loaded */
+    modelId: string;
+    /** v4: time between inference ticks (for files: audio pushed between ticks) */
+    intervalMs: number;
+    /** v4: trailing silence that finalizes the pending sentence */
+    silenceFlushSec: number;
+    /** v3: window length in seconds */
+    windowDuration: number;
+    /** v3: seconds between windows */
+    triggerInterval: number;
+}
+
+export type CompareSideStatus = 'waiting' | 'loading' | 'running' | 'done' | 'error' | 'cancelled';
+
+export interface CompareStats {
+    inferences: number;
+    meanLatencyMs: number;
+    p95LatencyMs: number;
+    /** Seconds of audio in the inference windows per second of inference */
+    rtfx: number;
+    /** Ticks (v4) or windows (v3) skipped because inference was still running */
+    dropped: number;
+}
+
+export interface CompareSideState {
+    config: CompareSideConfig;
+    status: CompareSideStatus;
+    /** Finalized text */
+    text: string;
+    /** Not yet finalized text */
+    pendingText: string;
+    stats: CompareStats;
+    /** Why the side failed, or the last inference error of a live run */
+    error?: string;
+}
+
+/** Transcription worker operations both modes use (narrowed for testability). */
+export type CompareTranscriber = StreamingTranscriberDeps['transcriber']
+    & Pick<TranscriptionWorkerClient, 'initV3Service' | 'processV3Chunk' | 'finalize'>;
+
+/** Workers a side runs on, with its model loaded. */
+export interface CompareSideResources {
+    transcriber: CompareTranscriber;
+    /** A mel worker of the side's own, initialized */
+    mel: FileTranscriberDeps['mel'];
+    /** VAD layer store; a BufferWorker is created per run when omitted */
+    buffer?: StreamingBuffer;
+    /** Called once the side no longer needs the workers */
+    release?: () => void | Promise<void>;
+}
+
+export interface CompareRunnerDeps {
+    acquire(side: CompareSideConfig, index: number): Promise<CompareSideResources>;
+}
+
+export interface CompareRunnerConfig {
+    /** Sample rate of the compared PCM (default 16000) */
+    sampleRate?: number;
+    /** Language for sentence boundaries, or 'auto' (default) */
+    language?: string;
+}
+
+export interface CompareProgress {
+    /** Index of the side being run */
+    side: number;
+    processedSec: number;
+    totalSec: number;
+}
+
+export interface CompareRunnerEvents {
+    /** Any side's transcript, stats or status changed */
+    update: CompareSideState[];
+    /** File runs only */
+    progress: CompareProgress;
+}
+
+export type CompareRunStatus = 'completed' | 'cancelled';
+
+/** A side fed with live audio. */
+interface LiveSide {
+    pushAudio(samples: Float32Array): void;
+    stop(flush: boolean): Promise<void>;
+}
+
+export class CompareRunner extends TypedEmitter<CompareRunnerEvents> {
+    private deps: CompareRunnerDeps;
+    private sampleRate: number;
+    private language: string | undefined;
+    private sides: CompareSideState[] = [];
+    private timings: SideTimings[] = [];
+    private resources: Array<CompareSideResources | null> = [];
+    private liveSides: Array<LiveSide | null> = [];
+    private fileRun: FileTranscriber | null = null;
+    private running = false;
+    private cancelled = false;
+
+    constructor(deps: CompareRunnerDeps, config: CompareRunnerConfig = {}) {
+        super();
+        this.deps = deps;
+        this.sampleRate = config.sampleRate ?? 16000;
+        this.language = config.language;
+    }
+
+    isRunning(): boolean {
+        return this.running;
+    }
+
+    /** State of each side of the current or last run. */
+    getSides(): CompareSideState[] {
+        return this.sides.map((side) => ({ ...side, stats: { ...side.stats } }));
+    }
+
+    /**
+     * Transcribe `samples` with each side in turn. Resolves when all sides
+     * are done (a failing side is reported in its state, not thrown) or after
+     * cancel().
+     */
+    async runFile(samples: Float32Array, sides: CompareSideConfig[]): Promise<CompareRunStatus> {
+        this.begin(sides);
+        try {
+            for (let i = 0; i < sides.length; i++) {
+                if (this.cancelled) {
+                    this.update(i, { status: 'cancelled' });
+                    continue;
+                }
+                await this.runFileSide(i, samples);
+            }
+            return this.cancelled ? 'cancelled' : 'completed';
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /** Acquire workers for every side and start them; then feed audio with pushAudio(). */
+    async startLive(sides: CompareSideConfig[]): Promise<void> {
+        this.begin(sides);
+        try {
+            // One after the other: a side may be loading a model
+            for (let i = 0; i < sides.length && !this.cancelled; i++) {
+                this.update(i, { status: 'loading' });
+                const resources = await this.deps.acquire(sides[i], i);
+                this.resources[i] = resources;
+                if (this.cancelled) {
+                    // Stopped while this side was loading
+                    await this.release(i);
+                    this.update(i, { status: 'cancelled' });
+                    break;
+                }
+                this.liveSides[i] = sides[i].mode === 'v3-streaming'
+                    ? await this.startLiveV3(i, resources)
+                    : await this.startLiveV4(i, resources);
+                this.update(i, { status: 'running' });
+            }
+        } catch (err) {
+            await this.stopLive(false);
+            throw err;
+        }
+    }
+
+    /** Feed live PCM to every started side. */
+    pushAudio(samples: Float32Array): void {
+        // Each side gets its own copy: the pipelines may transfer what they are given
+        for (const side of this.liveSides) side?.pushAudio(samples.slice());
+    }
+
+    /**
+     * Stop a live run; with `flush`, transcribe what is left and finalize the
+     * pending text first.
+     */
+    async stopLive(flush: boolean = true): Promise<void> {
+        this.cancelled = true;
+        const live = this.liveSides;
+        this.liveSides = [];
+        await Promise.all(live.map(async (side, i) => {
+            if (!side) return;
+            try {
+                await side.stop(flush);
+                this.update(i, { status: flush ? 'done' : 'cancelled' });
+            } catch (err) {
+                this.update(i, { status: 'error', error: errorMessage(err) });
+            }
+        }));
+        await this.releaseAll();
+        this.sides.forEach((side, i) => {
+            if (side.status === 'waiting' || side.status === 'loading') this.update(i, { status: 'cancelled' });
+        });
+        this.running = false;
+    }
+
+    /** Stop the current run without finalizing; results so far are kept. */
+    cancel(): void {
+        this.cancelled = true;
+        this.fileRun?.cancel();
+        if (this.liveSides.length > 0) void this.stopLive(false);
+    }
+
+    // ---- Internal ----
+
+    private begin(sides: CompareSideConfig[]): void {
+        if (this.running) {
+            throw new Error('A comparison is already running');
+        }
+        this.running = true;
+        this.cancelled = false;
+        this.sides = sides.map((config) => ({ config, status: 'waiting', text: '', pendingText: '', stats: emptyStats() }));
+        this.timings = sides.map(() => new SideTimings());
+        this.resources = sides.map(() => null);
+        this.liveSides = [];
+        this.emit('update', this.getSides());
+    }
+
+    private async runFileSide(index: number, samples: Float32Array): Promise<void> {
+        const side = this.sides[index].config;
+        this.update(index, { status: 'loading' });
+        try {
+            const resources = await this.deps.acquire(side, index);
+            this.resources[index] = resources;
+            if (this.cancelled) {
+                this.update(index, { status: 'cancelled' });
+                return;
+            }
+            this.update(index, { status: 'running' });
+            if (side.mode === 'v3-streaming') {
+                await this.runFileV3(index, resources, samples);
+            } else {
+                await this.runFileV4(index, resources, samples);
+            }
+            this.update(index, { status: this.cancelled ? 'cancelled' : 'done' });
+        } catch (err) {
+            this.update(index, { status: 'error', error: errorMessage(err) });
+        } finally {
+            await this.release(index);
+        }
+    }
+
+    private async runFileV4(index: number, resources: CompareSideResources, samples: Float32Array): Promise<void> {
+        const side = this.sides[index].config;
+        const run = new FileTranscriber(
+            { transcriber: resources.transcriber, mel: resources.mel, buffer: resources.buffer },
+            {
+                sampleRate: this.sampleRate,
+                stepSec: side.intervalMs / 1000,
+                silenceFlushSec: side.silenceFlushSec,
+                language: this.language,
+            },
+            {
+                onProgress: (p) => this.emit('progress', { side: index, processedSec: p.processedSec, totalSec: p.totalSec }),
+            }
+        );
+        this.fileRun = run;
+        this.bindV4(index, run);
+        try {
+            await run.run(samples);
+        } finally {
+            this.fileRun = null;
+        }
+    }
+
+    private async runFileV3(index: number, resources: CompareSideResources, samples: Float32Array): Promise<void> {
+        const v3 = await this.createV3(index, resources);
+        const totalSec = samples.length / this.sampleRate;
+        for (let end = v3.triggerSamples; ; end += v3.triggerSamples) {
+            if (this.cancelled) return;
+            end = Math.min(end, samples.length);
+            const start = Math.max(0, end - v3.windowSamples);
+            await v3.processWindow(samples.subarray(start, end), start);
+            this.emit('progress', { side: index, processedSec: end / this.sampleRate, totalSec });
+            if (end >= samples.length) break;
+        }
+        await v3.finish();
+    }
+
+    private async startLiveV4(index: number, resources: CompareSideResources): Promise<LiveSide> {
+        const side = this.sides[index].config;
+        const st = new StreamingTranscriber(
+            {
+                transcriber: resources.transcriber,
+                mel: resources.mel,
+                buffer: resources.buffer,
+                inferenceVad: null,
+                sileroVad: null,
+            },
+            {
+                sampleRate: this.sampleRate,
+                intervalMs: side.intervalMs,
+                silenceFlushSec: side.silenceFlushSec,
+                language: this.language,
+                // Its own merger in a shared transcription worker
+                channel: side.label,
+            }
+        );
+        this.bindV4(index, st);
+        st.on('error', (err) => this.update(index, { error: err.message }));
+        await st.start();
+        return {
+            pushAudio: (samples) => st.pushAudio(samples),
+            stop: async (flush) => {
+                await st.stop({ flush });
+                st.removeAllListeners();
+            },
+        };
+    }
+
+    private async startLiveV3(index: number, resources: CompareSideResources): Promise<LiveSide> {
+        const v3 = await this.createV3(index, resources);
+        let tail = new Float32Array(0);
+        let total = 0;
+        let nextTrigger = v3.triggerSamples;
+        let lastWindowEnd = 0;
+        let dropped = 0;
+        let busy: Promise<void> | null = null;
+
+        const startWindow = () => {
+            const audio = tail;
+            const end = total;
+            lastWindowEnd = end;
+            busy = v3.processWindow(audio, end - audio.length)
+                .catch((err) => this.update(index, { error: errorMessage(err) }))
+                .finally(() => { busy = null; });
+        };
+
+        return {
+            pushAudio: (samples) => {
+                // Keep the last window's worth of audio
+                const merged = new Float32Array(tail.length + samples.length);
+                merged.set(tail);
+                merged.set(samples, tail.length);
+                tail = merged.length > v3.windowSamples ? merged.slice(merged.length - v3.windowSamples) : merged;
+                total += samples.length;
+                if (total < nextTrigger) return;
+
+                // Windows that fell due while the previous one was running are skipped
+                const due = Math.floor((total - nextTrigger) / v3.triggerSamples) + 1;
+                nextTrigger += due * v3.triggerSamples;
+                const skipped = busy ? due : due - 1;
+                if (skipped > 0) {
+                    dropped += skipped;
+                    this.timings[index].dropped = dropped;
+                    this.update(index, {});
+                }
+                if (!busy) startWindow();
+            },
+            stop: async (flush) => {
+                if (busy) await busy;
+                if (!flush) return;
+                if (total > lastWindowEnd) {
+                    startWindow();
+                    await busy;
+                }
+                await v3.finish();
+            },
+        };
+    }
+
+    private async createV3(index: number, resources: CompareSideResources): Promise<V3Side> {
+        const side = this.sides[index].config;
+        await resources.transcriber.initV3Service({
+            windowDuration: side.windowDuration,
+            // As in live v3 streaming: windows overlap by all but the trigger interval
+            overlapDuration: Math.max(1.0, side.windowDuration - side.triggerInterval),
+            sampleRate: this.sampleRate,
+        });
+        return new V3Side(resources.transcriber, side, this.sampleRate, {
+            onResult: (result, latencyMs, audioSec) => {
+                this.timings[index].add(latencyMs, audioSec);
+                this.update(index, { text: result.confirmedText, pendingText: result.pendingText });
+            },
+            onFinal: (text) => this.update(index, { text, pendingText: '' }),
+        });
+    }
+
+    private bindV4(index: number, source: Pick<StreamingTranscriber, 'on'>): void {
+        const timings = this.timings[index];
+        source.on('mature', (e) => this.update(index, { text: e.text }));
+        source.on('immature', (e) => this.update(index, { pendingText: e.text }));
+        source.on('metrics', (m) => {
+            timings.add(m.inferenceMs, m.window.durationSeconds);
+            this.update(index, {});
+        });
+        source.on('schedule', (s) => {
+            if (s.droppedTicks === timings.dropped) return;
+            timings.dropped = s.droppedTicks;
+            this.update(index, {});
+        });
+    }
+
+    private update(index: number, patch: Partial<Omit<CompareSideState, 'config' | 'stats'>>): void {
+        const side = this.sides[index];
+        if (!side) return;
+        this.sides[index] = { ...side, ...patch, stats: this.timings[index].stats() };
+        this.emit('update', this.getSides());
+    }
+
+    private async release(index: number): Promise<void> {
+        const resources = this.resources[index];
+        this.resources[index] = null;
+        try {
+            await resources?.release?.();
+        } catch (err) {
+            console.warn('[CompareRunner] Releasing side', this.sides[index]?.config.label, 'failed:', err);
+        }
+    }
+
+    private async releaseAll(): Promise<void> {
+        for (let i = 0; i < this.resources.length; i++) await this.release(i);
+    }
+}
+
+/** Latencies and audio covered by one side's inferences. */
+class SideTimings {
+    private latencies: number[] = [];
+    private audioSec = 0;
+    dropped = 0;
+
+    add(latencyMs: number, audioSec: number): void {
+        this.latencies.push(latencyMs);
+        this.audioSec += audioSec;
+    }
+
+    stats(): CompareStats {
+        const n = this.latencies.length;
+        if (n === 0) return { ...emptyStats(), dropped: this.dropped };
+        const sorted = [...this.latencies].sort((a, b) => a - b);
+        const totalMs = sorted.reduce((sum, ms) => sum + ms, 0);
+        return {
+            inferences: n,
+            meanLatencyMs: totalMs / n,
+            p95LatencyMs: sorted[Math.min(n - 1, Math.ceil(n * 0.95) - 1)],
+            rtfx: totalMs > 0 ? this.audioSec / (totalMs / 1000) : 0,
+            dropped: this.dropped,
+        };
+    }
+}
+
+/** v3 windows of one side: timing, results and the final text. */
+class V3Side {
+    readonly windowSamples: number;
+    readonly triggerSamples: number;
+
+    constructor(
+        private transcriber: CompareTranscriber,
+        config: CompareSideConfig,
+        private sampleRate: number,
+        private callbacks: {
+            onResult: (result: TokenStreamResult, latencyMs: number, audioSec: number) => void;
+            onFinal: (text: string) => void;
+        },
+    ) {
+        this.windowSamples = Math.max(1, Math.round(config.windowDuration * sampleRate));
+        this.triggerSamples = Math.max(1, Math.round(config.triggerInterval * sampleRate));
+    }
+
+    async processWindow(audio: Float32Array, startSample: number): Promise<void> {
+        const startedAt = performance.now();
+        const result = await this.transcriber.processV3Chunk(audio, startSample / this.sampleRate);
+        this.callbacks.onResult(result, performance.now() - startedAt, audio.length / this.sampleRate);
+    }
+
+    /** Finalize the merger; its full text becomes the side's text. */
+    async finish(): Promise<void> {
+        const final = await this.transcriber.finalize();
+        if ('text' in final && typeof final.text === 'string') this.callbacks.onFinal(final.text);
+    }
+}
+
+function emptyStats(): CompareStats {
+    return { inferences: 0, meanLatencyMs: 0, p95LatencyMs: 0, rtfx: 0, dropped: 0 };
+}
+
+function errorMessage(err: unknown): string {
+    return err instanceof Error ? err.message : String(err);
+}
@@ -0,0 +1,21 @@
+/**
+ * Keet - A/B Compare Module
+ */
+
+export { CompareRunner } from './CompareRunner';
+export type {
+    CompareMode,
+    CompareSideConfig,
+    CompareSideStatus,
+    CompareSideState,
+    CompareStats,
+    CompareTranscriber,
+    CompareSideResources,
+    CompareRunnerDeps,
+    CompareRunnerConfig,
+    CompareRunnerEvents,
+    CompareProgress,
+    CompareRunStatus,
+} from './CompareRunner';
+export { diffWords, wordErrorRate, compareTranscripts, errorStats, normalizeWord, tokenizeWords } from './wordDiff';
+export type { WordDiffOp, WordErrorStats, TranscriptComparison } from './wordDiff';
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for the word diff, WER and transcript agreement.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { compareTranscripts, diffWords, normalizeWord, tokenizeWords, wordErrorRate } from './wordDiff';
+
+describe('wordDiff', () => {
+    it('should ignore case and surrounding punctuation when matching words', () => {
+        expect(normalizeWord('"Hello,"')).toBe('hello');
+        expect(normalizeWord("don't")).toBe("don't");
+        expect(tokenizeWords('Well — yes, 3.5 times.')).toEqual(['Well', 'yes,', '3.5', 'times.']);
+        expect(diffWords('Hello, world.', 'hello world').every((op) => op.type === 'equal')).toBe(true);
+    });
+
+    it('should align substitutions, insertions and deletions', () => {
+        const ops = diffWords('the cat sat on the mat', 'the bat sat on mat today');
+        expect(ops.map((op) => op.type)).toEqual(['equal', 'substitute', 'equal', 'equal', 'delete', 'equal', 'insert']);
+        expect(ops[1]).toEqual({ type: 'substitute', a: 'cat', b: 'bat' });
+        expect(ops[6]).toEqual({ type: 'insert', b: 'today' });
+    });
+
+    it('should keep the original spelling in the diff', () => {
+        expect(diffWords('WebGPU rocks', 'webgpu rocks!')).toEqual([
+            { type: 'equal', a: 'WebGPU', b: 'webgpu' },
+            { type: 'equal', a: 'rocks', b: 'rocks!' },
+        ]);
+    });
+
+    it('should compute WER as edits over reference words', () => {
+        const stats = wordErrorRate('the cat sat on the mat', 'the bat sat on mat today');
+        expect(stats).toMatchObject({ hits: 4, substitutions: 1, deletions: 1, insertions: 1, referenceWords: 6 });
+        expect(stats.wer).toBeCloseTo(3 / 6);
+        expect(wordErrorRate('a b', 'a b').wer).toBe(0);
+        expect(wordErrorRate('a b', 'a b c d e').wer).toBe(1.5);
+        expect(wordErrorRate('', '').wer).toBe(0);
+        expect(wordErrorRate('', 'extra').wer).toBe(1);
+    });
+
+    it('should measure agreement and WER against a reference', () => {
+        const result = compareTranscripts('one two three four', 'one too three', 'one two three four');
+        expect(result.wordsA).toBe(4);
+        expect(result.wordsB).toBe(3);
+        expect(result.agreement).toBeCloseTo(2 / 4);
+        expect(result.werA?.wer).toBe(0);
+        expect(result.werB?.wer).toBeCloseTo(2 / 4);
+        expect(compareTranscripts('', '').agreement).toBe(1);
+        expect(compareTranscripts('a', 'b', '  ').werA).toBeUndefined();
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Keet - Word diff, WER and agreement
+ *
+ * Transcripts are compared word by word after normalization (lower case,
+ * leading/trailing punctuation removed), so "Hello," and "hello" match. The
+ * alignment is the minimum edit distance one, with substitutions, insertions
+ * and deletions all costing 1 – the alignment WER is defined on. Among equally
+ * short alignments the one with the fewest substitutions (most matches) wins.
+ */
+
+/** One step of the alignment of transcript `a` with transcript `b`. */
+export type WordDiffOp =
+    | { type: 'equal'; a: string; b: string }
+    | { type: 'substitute'; a: string; b: string }
+    /** Word only in `a` */
+    | { type: 'delete'; a: string }
+    /** Word only in `b` */
+    | { type: 'insert'; b: string };
+
+export interface WordErrorStats {
+    /** Reference words matched by the hypothesis */
+    hits: number;
+    substitutions: number;
+    deletions: number;
+    insertions: number;
+    referenceWords: number;
+    /** (substitutions + deletions + insertions) / referenceWords; 0 for an empty reference and hypothesis */
+    wer: number;
+}
+
+export interface TranscriptComparison {
+    diff: WordDiffOp[];
+    wordsA: number;
+    wordsB: number;
+    /** Matching words over the longer transcript (1 when both are empty) */
+    agreement: number;
+    /** Edit distance between the two, relative to `a` (WER of `b` if `a` were the reference) */
+    distance: WordErrorStats;
+    /** Each side's WER against the reference, when one was given */
+    werA?: WordErrorStats;
+    werB?: WordErrorStats;
+}
+
+// Backtrace moves
+const DIAGONAL = 0;
+const UP = 1; // delete a[i]
+const LEFT = 2; // insert b[j]
+
+/** Lower case without leading/trailing punctuation ('' for punctuation-only tokens). */
+export function normalizeWord(word: string): string {
+    return word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+/** Words of `text` as written, skipping punctuation-only tokens. */
+export function tokenizeWords(text: string): string[] {
+    return text.split(/\s+/).filter((token) => normalizeWord(token) !== '');
+}
+
+/**
+ * Align the words of `a` and `b`. Words keep their original spelling in
+ * the result; matching is on the normalized form.
+ */
+export function diffWords(a: string, b: string): WordDiffOp[] {
+    const wa = tokenizeWords(a);
+    const wb = tokenizeWords(b);
+    const na = wa.map(normalizeWord);
+    const nb = wb.map(normalizeWord);
+    const n = wa.length;
+    const m = wb.length;
+    const cols = m + 1;
+
+    // Cost = edits * EDIT + substitutions, so edits count first. Costs two rows
+    // at a time; the moves for the whole grid (one byte per cell).
+    const EDIT = Math.min(n, m) + 1;
+    const moves = new Uint8Array((n + 1) * cols);
+    let prev = new Float64Array(cols);
+    let curr = new Float64Array(cols);
+    for (let j = 0; j <= m; j++) {
+        prev[j] = j * EDIT;
+        moves[j] = LEFT;
+    }
+    for (let i = 1; i <= n; i++) {
+        curr[0] = i * EDIT;
+        moves[i * cols] = UP;
+        for (let j = 1; j <= m; j++) {
+            const diagonal = prev[j - 1] + (na[i - 1] === nb[j - 1] ? 0 : EDIT + 1);
+            const up = prev[j] + EDIT;
+            const left = curr[j - 1] + EDIT;
+            if (diagonal <= up && diagonal <= left) {
+                curr[j] = diagonal;
+                moves[i * cols + j] = DIAGONAL;
+            } else if (up <= left) {
+                curr[j] = up;
+                moves[i * cols + j] = UP;
+            } else {
+                curr[j] = left;
+                moves[i * cols + j] = LEFT;
+            }
+        }
+        [prev, curr] = [curr, prev];
+    }
+
+    const ops: WordDiffOp[] = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+        const move = i > 0 && j > 0 ? moves[i * cols + j] : i > 0 ? UP : LEFT;
+        if (move === DIAGONAL) {
+            i--;
+            j--;
+            ops.push({ type: na[i] === nb[j] ? 'equal' : 'substitute', a: wa[i], b: wb[j] });
+        } else if (move === UP) {
+            ops.push({ type: 'delete', a: wa[--i] });
+        } else {
+            ops.push({ type: 'insert', b: wb[--j] });
+        }
+    }
+    return ops.reverse();
+}
+
+/** Error counts of an alignment, with `a` as the reference. */
+export function errorStats(diff: WordDiffOp[]): WordErrorStats {
+    const stats = { hits: 0, substitutions: 0, deletions: 0, insertions: 0 };
+    for (const op of diff) {
+        if (op.type === 'equal') stats.hits++;
+        else if (op.type === 'substitute') stats.substitutions++;
+        else if (op.type === 'delete') stats.deletions++;
+        else stats.insertions++;
+    }
+    const referenceWords = stats.hits + stats.substitutions + stats.deletions;
+    const errors = stats.substitutions + stats.deletions + stats.insertions;
+    return {
+        ...stats,
+        referenceWords,
+        wer: referenceWords > 0 ? errors / referenceWords : errors > 0 ? 1 : 0,
+    };
+}
+
+/** Word error rate of `hypothesis` against `reference`. */
+export function wordErrorRate(reference: string, hypothesis: string): WordErrorStats {
+    return errorStats(diffWords(reference, hypothesis));
+}
+
+/**
+ * Diff two transcripts and measure how far they agree; with a non-empty
+ * `reference`, also each one's WER against it.
+ */
+export function compareTranscripts(a: string, b: string, reference?: string): TranscriptComparison {
+    const diff = diffWords(a, b);
+    const distance = errorStats(diff);
+    const wordsA = distance.referenceWords;
+    const wordsB = distance.hits + distance.substitutions + distance.insertions;
+    const longer = Math.max(wordsA, wordsB);
+    const comparison: TranscriptComparison = {
+        diff,
+        wordsA,
+        wordsB,
+        agreement: longer > 0 ? distance.hits / longer : 1,
+        distance,
+    };
+    if (reference && tokenizeWords(reference).length > 0) {
+        comparison.werA = wordErrorRate(reference, a);
+        comparison.werB = wordErrorRate(reference, b);
+    }
+    return comparison;
+}
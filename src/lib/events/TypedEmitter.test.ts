@@ -0,0 +1,60 @@
+/**
+ * Unit tests for TypedEmitter.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { TypedEmitter } from './TypedEmitter';
+
+interface TestEvents {
+    value: number;
+    name: string;
+}
+
+class TestEmitter extends TypedEmitter<TestEvents> {
+    fire<K extends keyof TestEvents>(event: K, payload: TestEvents[K]): void {
+        this.emit(event, payload);
+    }
+}
+
+describe('TypedEmitter', () => {
+    it('should deliver events to subscribers until they unsubscribe', () => {
+        const emitter = new TestEmitter();
+        const values: number[] = [];
+        const off = emitter.on('value', (v) => values.push(v));
+
+        emitter.fire('value', 1);
+        emitter.fire('name', 'ignored');
+        off();
+        emitter.fire('value', 2);
+
+        expect(values).toEqual([1]);
+        expect(emitter.listenerCount('value')).toBe(0);
+    });
+
+    it('should deliver once() listeners a single time', () => {
+        const emitter = new TestEmitter();
+        const names: string[] = [];
+        emitter.once('name', (n) => names.push(n));
+
+        emitter.fire('name', 'a');
+        emitter.fire('name', 'b');
+
+        expect(names).toEqual(['a']);
+    });
+
+    it('should keep notifying other listeners when one throws', () => {
+        const emitter = new TestEmitter();
+        const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const values: number[] = [];
+        emitter.on('value', () => { throw new Error('boom'); });
+        emitter.on('value', (v) => values.push(v));
+
+        emitter.fire('value', 7);
+
+        expect(values).toEqual([7]);
+        expect(spy).toHaveBeenCalled();
+        spy.mockRestore();
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Keet - Typed Event Emitter
+ *
+ * Minimal, framework-agnostic event emitter with a typed event map, for the
+ * headless pipeline classes. `on()` returns an unsubscribe function, like
+ * AudioEngine.onAudioChunk().
+ */
+
+export type EventListener<T> = (payload: T) => void;
+
+export class TypedEmitter<Events extends { [K in keyof Events]: unknown }> {
+    private listeners = new Map<keyof Events, Set<EventListener<any>>>();
+
+    /** Subscribe to an event. @returns a function that removes the listener */
+    on<K extends keyof Events>(event: K, listener: EventListener<Events[K]>): () => void {
+        let set = this.listeners.get(event);
+        if (!set) {
+            set = new Set();
+            this.listeners.set(event, set);
+        }
+        set.add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /** Subscribe for a single emission. */
+    once<K extends keyof Events>(event: K, listener: EventListener<Events[K]>): () => void {
+        const off = this.on(event, (payload) => {
+            off();
+            listener(payload);
+        });
+        return off;
+    }
+
+    off<K extends keyof Events>(event: K, listener: EventListener<Events[K]>): void {
+        this.listeners.get(event)?.delete(listener);
+    }
+
+    listenerCount<K extends keyof Events>(event: K): number {
+        return this.listeners.get(event)?.size ?? 0;
+    }
+
+    removeAllListeners(): void {
+        this.listeners.clear();
+    }
+
+    /**
+     * Deliver an event synchronously. A throwing listener is logged and does
+     * not prevent the others (or the emitting pipeline) from running.
+     */
+    protected emit<K extends keyof Events>(event: K, payload: Events[K]): void {
+        const set = this.listeners.get(event);
+        if (!set) return;
+        for (const listener of [...set]) {
+            try {
+                listener(payload);
+            } catch (err) {
+                console.error(`[TypedEmitter] Listener for "${String(event)}" threw:`, err);
+            }
+        }
+    }
+}
@@ -0,0 +1,6 @@
+/**
+ * Keet - Events Module
+ */
+
+export { TypedEmitter } from './TypedEmitter';
+export type { EventListener } from './TypedEmitter';
@@ -0,0 +1,25 @@
+/**
+ * Keet - Export Module
+ */
+
+export {
+    exportTranscript,
+    buildCues,
+    wrapLines,
+    toSRT,
+    toWebVTT,
+    toJSON,
+    toPlainText,
+    joinSentences,
+    formatSrtTimestamp,
+    formatVttTimestamp,
+    DEFAULT_CUE_OPTIONS,
+} from './transcriptExport';
+export type {
+    TranscriptExportFormat,
+    CueOptions,
+    CaptionCue,
+    TranscriptMetadata,
+    SpeakerNames,
+    ExportedFile,
+} from './transcriptExport';
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for transcript export (SRT, WebVTT, JSON, plain text).
+ *
+ * Covers timestamp formatting, line wrapping, cue splitting by line length
+ * and duration, minimum cue duration, and the JSON word-level schema.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+import {
+    buildCues,
+    exportTranscript,
+    formatSrtTimestamp,
+    formatVttTimestamp,
+    toJSON,
+    toPlainText,
+    toSRT,
+    toWebVTT,
+    wrapLines,
+} from './transcriptExport';
+
+/** Sentence with evenly spaced words of `wordSec` seconds each. */
+function sentence(id: string, text: string, start: number, wordSec: number = 0.4): MergerSentence {
+    const tokens = text.split(' ');
+    const words = tokens.map((t, i) => ({
+        text: t,
+        start: start + i * wordSec,
+        end: start + (i + 1) * wordSec,
+        confidence: 0.9,
+    }));
+    return {
+        id,
+        text,
+        startTime: start,
+        endTime: start + tokens.length * wordSec,
+        startWordIndex: 0,
+        endWordIndex: tokens.length - 1,
+        wordCount: tokens.length,
+        words,
+        detectionMethod: 'test',
+        isMature: true,
+    };
+}
+
+describe('timestamps', () => {
+    it('should format SRT timestamps with a comma', () => {
+        expect(formatSrtTimestamp(0)).toBe('00:00:00,000');
+        expect(formatSrtTimestamp(3723.456)).toBe('01:02:03,456');
+    });
+
+    it('should format WebVTT timestamps with a dot', () => {
+        expect(formatVttTimestamp(61.5)).toBe('00:01:01.500');
+    });
+
+    it('should round to milliseconds without producing 1000 ms', () => {
+        expect(formatSrtTimestamp(1.9996)).toBe('00:00:02,000');
+    });
+});
+
+describe('wrapLines', () => {
+    it('should wrap at word boundaries', () => {
+        expect(wrapLines('the quick brown fox jumps', 10)).toEqual(['the quick', 'brown fox', 'jumps']);
+    });
+
+    it('should keep an overlong word on its own line', () => {
+        expect(wrapLines('a supercalifragilistic word', 8)).toEqual(['a', 'supercalifragilistic', 'word']);
+    });
+});
+
+describe('buildCues', () => {
+    it('should emit one cue per short sentence', () => {
+        const cues = buildCues([sentence('a', 'Hello there.', 0), sentence('b', 'How are you?', 2)]);
+        expect(cues).toHaveLength(2);
+        expect(cues[0].lines).toEqual(['Hello there.']);
+        expect(cues[1].start).toBe(2);
+    });
+
+    it('should split long sentences by line length and line count', () => {
+        const text = 'one two three four five six seven eight nine ten eleven twelve';
+        const cues = buildCues([sentence('a', text, 0, 0.1)], { maxLineLength: 15, maxLines: 1 });
+        expect(cues.length).toBeGreaterThan(1);
+        for (const cue of cues) {
+            expect(cue.lines).toHaveLength(1);
+            expect(cue.lines[0].length).toBeLessThanOrEqual(15);
+        }
+        expect(cues.map((c) => c.lines.join(' ')).join(' ')).toBe(text);
+    });
+
+    it('should split by maximum cue duration', () => {
+        const text = 'w1 w2 w3 w4 w5 w6 w7 w8 w9 w10';
+        const cues = buildCues([sentence('a', text, 0, 1)], { maxCueDurationSec: 3 });
+        for (const cue of cues) {
+            expect(cue.end - cue.start).toBeLessThanOrEqual(3);
+        }
+        expect(cues).toHaveLength(4);
+    });
+
+    it('should extend short cues to the minimum duration without overlapping', () => {
+        const cues = buildCues(
+            [sentence('a', 'Hi.', 0, 0.2), sentence('b', 'Yes.', 0.5, 0.2), sentence('c', 'Ok.', 5, 0.2)],
+            { minCueDurationSec: 1 }
+        );
+        expect(cues[0].end).toBeCloseTo(0.5);
+        expect(cues[1].end).toBeCloseTo(1.5);
+        expect(cues[2].end).toBeCloseTo(6);
+    });
+
+    it('should estimate word timings when a sentence has none', () => {
+        const s = { ...sentence('a', 'alpha beta gamma delta', 10), words: [] };
+        const cues = buildCues([s], { maxLineLength: 11, maxLines: 1, minCueDurationSec: 0 });
+        expect(cues).toHaveLength(2);
+        expect(cues[0].start).toBe(10);
+        expect(cues[1].end).toBeCloseTo(s.endTime);
+    });
+});
+
+describe('serializers', () => {
+    const sentences = [sentence('a', 'Hello there.', 0), sentence('b', 'General Kenobi.', 1.5)];
+
+    it('should build numbered SRT cues', () => {
+        const srt = toSRT(sentences);
+        expect(srt).toBe(
+            '1\n00:00:00,000 --> 00:00:01,000\nHello there.\n\n' +
+            '2\n00:00:01,500 --> 00:00:02,500\nGeneral Kenobi.\n'
+        );
+    });
+
+    it('should build a WebVTT document with header', () => {
+        const vtt = toWebVTT(sentences);
+        expect(vtt.startsWith('WEBVTT\n\n')).toBe(true);
+        expect(vtt).toContain('00:00:01.500 --> 00:00:02.500\nGeneral Kenobi.');
+    });
+
+    it('should escape markup and arrows in WebVTT cue text', () => {
+        const vtt = toWebVTT([sentence('a', 'Q&A: x <b> y --> z.', 0)]);
+        expect(vtt).toContain('00:00:00.000 --> ');
+        expect(vtt).toContain('Q&amp;A: x &lt;b> y --&gt; z.');
+        expect(vtt.match(/-->/g)).toHaveLength(1);
+        expect(toSRT([sentence('a', 'Q&A', 0)])).toContain('\nQ&A\n');
+    });
+
+    it('should build JSON with word timings and confidences', () => {
+        const doc = JSON.parse(toJSON(sentences, { modelId: 'test-model' }));
+        expect(doc.version).toBe(1);
+        expect(doc.modelId).toBe('test-model');
+        expect(doc.text).toBe('Hello there. General Kenobi.');
+        expect(doc.sentences).toHaveLength(2);
+        expect(doc.sentences[1].words[0]).toEqual({ text: 'General', start: 1.5, end: 1.9, confidence: 0.9 });
+    });
+
+    it('should join plain text', () => {
+        expect(toPlainText(sentences)).toBe('Hello there. General Kenobi.');
+
+        // Breaks from dictation commands
+        const paragraph = [sentences[0], { ...sentences[1], breakBefore: 'paragraph' as const }];
+        expect(toPlainText(paragraph)).toBe('Hello there.\n\nGeneral Kenobi.');
+        expect(toPlainText([sentences[0], { ...sentences[1], breakBefore: 'line' as const }])).toBe('Hello there.\nGeneral Kenobi.');
+        expect(JSON.parse(toJSON(paragraph)).sentences[1].breakBefore).toBe('paragraph');
+    });
+
+    it('should return content with MIME type and extension', () => {
+        const file = exportTranscript('vtt', sentences);
+        expect(file.mimeType).toBe('text/vtt');
+        expect(file.extension).toBe('vtt');
+        expect(exportTranscript('txt', sentences).content).toBe('Hello there. General Kenobi.\n');
+    });
+    it('should label speakers with their names', () => {
+        const labeled = [
+            { ...sentence('a', 'Hello there.', 0), speaker: 'S1' },
+            { ...sentence('b', 'Still me.', 1.5), speaker: 'S1' },
+            { ...sentence('c', 'General Kenobi.', 3), speaker: 'S2' },
+        ];
+        const names = { S2: 'Grievous' };
+
+        expect(toPlainText(labeled, names)).toBe('Speaker 1: Hello there. Still me.\n\nGrievous: General Kenobi.');
+        const srt = toSRT(labeled, {}, names);
+        expect(srt).toContain('00:00:00,000 --> 00:00:01,000\nSpeaker 1: Hello there.');
+        expect(srt).toContain('00:00:01,500 --> 00:00:02,500\nStill me.');
+        expect(srt).toContain('\nGrievous: General Kenobi.');
+        expect(toWebVTT(labeled, {}, names)).toContain('00:00:03.000 --> 00:00:04.000\n<v Grievous>General Kenobi.');
+
+        const doc = JSON.parse(toJSON(labeled, {}, names));
+        expect(doc.text).toBe('Hello there. Still me. General Kenobi.');
+        expect(doc.speakers).toEqual([{ id: 'S1', name: 'Speaker 1' }, { id: 'S2', name: 'Grievous' }]);
+        expect(doc.sentences[2]).toMatchObject({ speaker: 'Grievous', speakerId: 'S2' });
+        expect(exportTranscript('txt', labeled, { speakerNames: names }).content).toContain('Grievous: General Kenobi.\n');
+    });
+});
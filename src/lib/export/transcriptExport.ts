@@ -0,0 +1,323 @@
+/**
+ * Keet - Transcript Export
+ *
+ * Builds downloadable transcripts from finalized merger sentences:
+ * - SRT / WebVTT captions, split into cues that respect a maximum line
+ *   length, line count and cue duration (word timings drive the splits)
+ * - JSON with sentence and word-level timestamps and confidences
+ * - Plain text
+ *
+ * Sentences with a speaker (see lib/speakers) are labeled with the speaker's
+ * name: "Name: " at each change of speaker in SRT and plain text, a voice
+ * span (<v Name>) on every WebVTT cue, and `speaker` / `speakerId` in JSON.
+ * Line and paragraph breaks from dictation commands (see lib/commands) are
+ * kept in plain text and JSON; captions are timed and ignore them.
+ *
+ * All builders are pure functions; see utils/download.ts for saving the result.
+ */
+
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+import { speakerName } from '../speakers/SpeakerTracker';
+
+export type TranscriptExportFormat = 'srt' | 'vtt' | 'json' | 'txt';
+
+export interface CueOptions {
+    /** Maximum characters per caption line (default 42) */
+    maxLineLength: number;
+    /** Maximum lines per cue (default 2) */
+    maxLines: number;
+    /** Maximum cue duration in seconds (default 7) */
+    maxCueDurationSec: number;
+    /** Minimum cue duration in seconds; extended into following gaps only (default 1) */
+    minCueDurationSec: number;
+}
+
+export const DEFAULT_CUE_OPTIONS: CueOptions = {
+    maxLineLength: 42,
+    maxLines: 2,
+    maxCueDurationSec: 7,
+    minCueDurationSec: 1,
+};
+
+/** A single caption cue. */
+export interface CaptionCue {
+    start: number;
+    end: number;
+    lines: string[];
+    /** Display name of the sentence's speaker */
+    speaker?: string;
+}
+
+/** Speaker display names by speaker id; unnamed speakers get a default name */
+export type SpeakerNames = Record<string, string>;
+
+/** Session metadata embedded in JSON exports. */
+export interface TranscriptMetadata {
+    modelId?: string;
+    createdAt?: string;
+    [key: string]: unknown;
+}
+
+export interface ExportedFile {
+    content: string;
+    mimeType: string;
+    extension: string;
+}
+
+interface TimedWord {
+    text: string;
+    start: number;
+    end: number;
+}
+
+// ---- Timestamps ----
+
+function splitTimestamp(seconds: number): [number, number, number, number] {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const h = Math.floor(totalMs / 3_600_000);
+    const m = Math.floor((totalMs % 3_600_000) / 60_000);
+    const s = Math.floor((totalMs % 60_000) / 1000);
+    return [h, m, s, totalMs % 1000];
+}
+
+const pad = (n: number, width: number = 2) => n.toString().padStart(width, '0');
+
+/** Format seconds as an SRT timestamp (HH:MM:SS,mmm). */
+export function formatSrtTimestamp(seconds: number): string {
+    const [h, m, s, ms] = splitTimestamp(seconds);
+    return `${pad(h)}:${pad(m)}:${pad(s)},${pad(ms, 3)}`;
+}
+
+/** Format seconds as a WebVTT timestamp (HH:MM:SS.mmm). */
+export function formatVttTimestamp(seconds: number): string {
+    const [h, m, s, ms] = splitTimestamp(seconds);
+    return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms, 3)}`;
+}
+
+// ---- Cue building ----
+
+/**
+ * Greedy word wrap. Words longer than the limit get a line of their own.
+ */
+export function wrapLines(text: string, maxLineLength: number): string[] {
+    const lines: string[] = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (!line) {
+            line = word;
+        } else if (line.length + 1 + word.length <= maxLineLength) {
+            line += ' ' + word;
+        } else {
+            lines.push(line);
+            line = word;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+/** Word timings for a sentence; spread evenly over the sentence when missing. */
+function sentenceWords(sentence: MergerSentence): TimedWord[] {
+    const timed = (sentence.words || [])
+        .map((w) => ({ text: w.text.trim(), start: w.start, end: w.end }))
+        .filter((w) => w.text.length > 0);
+    if (timed.length > 0) return timed;
+
+    const tokens = sentence.text.split(/\s+/).filter(Boolean);
+    const span = Math.max(0, sentence.endTime - sentence.startTime);
+    const step = tokens.length > 0 ? span / tokens.length : 0;
+    return tokens.map((text, i) => ({
+        text,
+        start: sentence.startTime + i * step,
+        end: sentence.startTime + (i + 1) * step,
+    }));
+}
+
+/**
+ * Split sentences into caption cues. A cue never spans two sentences; long
+ * sentences are broken at word boundaries when the text would exceed
+ * maxLines × maxLineLength or the cue would exceed maxCueDurationSec.
+ */
+export function buildCues(
+    sentences: MergerSentence[],
+    options: Partial<CueOptions> = {},
+    speakerNames: SpeakerNames = {}
+): CaptionCue[] {
+    const opts = { ...DEFAULT_CUE_OPTIONS, ...options };
+    const cues: CaptionCue[] = [];
+
+    for (const sentence of sentences) {
+        const speaker = sentence.speaker ? speakerName(sentence.speaker, speakerNames) : undefined;
+        let current: TimedWord[] = [];
+        const flush = () => {
+            if (current.length === 0) return;
+            const text = current.map((w) => w.text).join(' ');
+            cues.push({
+                start: current[0].start,
+                end: current[current.length - 1].end,
+                lines: wrapLines(text, opts.maxLineLength),
+                ...(speaker ? { speaker } : {}),
+            });
+            current = [];
+        };
+
+        for (const word of sentenceWords(sentence)) {
+            if (current.length > 0) {
+                const candidate = [...current, word].map((w) => w.text).join(' ');
+                const tooLong = wrapLines(candidate, opts.maxLineLength).length > opts.maxLines;
+                const tooSlow = word.end - current[0].start > opts.maxCueDurationSec;
+                if (tooLong || tooSlow) flush();
+            }
+            current.push(word);
+        }
+        flush();
+    }
+
+    // Enforce minimum duration without overlapping the next cue
+    for (let i = 0; i < cues.length; i++) {
+        const cue = cues[i];
+        const nextStart = i + 1 < cues.length ? cues[i + 1].start : Infinity;
+        if (cue.end - cue.start < opts.minCueDurationSec) {
+            cue.end = Math.min(cue.start + opts.minCueDurationSec, Math.max(cue.end, nextStart));
+        }
+        if (cue.end > nextStart) cue.end = nextStart;
+    }
+
+    return cues;
+}
+
+// ---- Serializers ----
+
+/** Build an SRT document. */
+export function toSRT(sentences: MergerSentence[], options: Partial<CueOptions> = {}, speakerNames: SpeakerNames = {}): string {
+    return buildCues(sentences, options, speakerNames)
+        .map((cue, i, cues) => {
+            const turn = cue.speaker && cue.speaker !== cues[i - 1]?.speaker;
+            const text = (turn ? `${cue.speaker}: ` : '') + cue.lines.join('\n');
+            return `${i + 1}\n${formatSrtTimestamp(cue.start)} --> ${formatSrtTimestamp(cue.end)}\n${text}\n`;
+        })
+        .join('\n');
+}
+
+/** Cue text is read as markup, and a `-->` in it would be taken for a timing line. */
+const escapeVttText = (text: string) =>
+    text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '--&gt;');
+
+/** Build a WebVTT document. */
+export function toWebVTT(sentences: MergerSentence[], options: Partial<CueOptions> = {}, speakerNames: SpeakerNames = {}): string {
+    const cues = buildCues(sentences, options, speakerNames).map((cue) => {
+        const voice = cue.speaker ? `<v ${cue.speaker.replace(/[<>&]/g, '')}>` : '';
+        return `${formatVttTimestamp(cue.start)} --> ${formatVttTimestamp(cue.end)}\n${voice}${cue.lines.map(escapeVttText).join('\n')}\n`;
+    });
+    return ['WEBVTT\n', ...cues].join('\n');
+}
+
+const roundMs = (t: number) => Math.round(t * 1000) / 1000;
+
+/** Build a JSON document with sentence and word-level timings. */
+export function toJSON(sentences: MergerSentence[], metadata: TranscriptMetadata = {}, speakerNames: SpeakerNames = {}): string {
+    const speakers = speakerIds(sentences);
+    const doc = {
+        version: 1,
+        generator: 'keet',
+        createdAt: new Date().toISOString(),
+        ...metadata,
+        duration: sentences.length > 0 ? roundMs(sentences[sentences.length - 1].endTime) : 0,
+        text: joinSentences(sentences),
+        ...(speakers.length > 0
+            ? { speakers: speakers.map((id) => ({ id, name: speakerName(id, speakerNames) })) }
+            : {}),
+        sentences: sentences.map((s) => ({
+            id: s.id,
+            start: roundMs(s.startTime),
+            end: roundMs(s.endTime),
+            text: s.text.trim(),
+            // Kept for auditing when text rules changed the sentence
+            ...(s.originalText !== undefined ? { originalText: s.originalText.trim() } : {}),
+            ...(s.corrected ? { corrected: true } : {}),
+            ...(s.channel ? { channel: s.channel } : {}),
+            ...(s.speaker ? { speaker: speakerName(s.speaker, speakerNames), speakerId: s.speaker } : {}),
+            ...(s.breakBefore ? { breakBefore: s.breakBefore } : {}),
+            words: (s.words || []).map((w) => ({
+                text: w.text.trim(),
+                start: roundMs(w.start),
+                end: roundMs(w.end),
+                confidence: w.confidence ?? null,
+            })),
+        })),
+    };
+    return JSON.stringify(doc, null, 2);
+}
+
+const BREAKS = { line: '\n', paragraph: '\n\n' } as const;
+
+/** Sentence texts joined by spaces, or by the line / paragraph break before a sentence. */
+export function joinSentences(sentences: MergerSentence[]): string {
+    let out = '';
+    for (const sentence of sentences) {
+        const text = sentence.text.trim();
+        if (!text) continue;
+        out += out ? (sentence.breakBefore ? BREAKS[sentence.breakBefore] : ' ') + text : text;
+    }
+    return out;
+}
+
+/** Speaker ids in order of first appearance. */
+function speakerIds(sentences: MergerSentence[]): string[] {
+    return [...new Set(sentences.map((s) => s.speaker).filter((id): id is string => !!id))];
+}
+
+/**
+ * Join sentence texts into a single paragraph, or with speakers, into one
+ * "Name: ..." paragraph per speaker turn.
+ */
+export function toPlainText(sentences: MergerSentence[], speakerNames: SpeakerNames = {}): string {
+    if (speakerIds(sentences).length === 0) return joinSentences(sentences);
+    const turns: { speaker: string | undefined; sentences: MergerSentence[] }[] = [];
+    for (const sentence of sentences) {
+        const last = turns[turns.length - 1];
+        if (last && last.speaker === sentence.speaker) last.sentences.push(sentence);
+        else turns.push({ speaker: sentence.speaker, sentences: [sentence] });
+    }
+    return turns
+        .map((turn) => {
+            const text = joinSentences(turn.sentences);
+            return turn.speaker && text ? `${speakerName(turn.speaker, speakerNames)}: ${text}` : text;
+        })
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+const MIME_TYPES: Record<TranscriptExportFormat, string> = {
+    srt: 'application/x-subrip',
+    vtt: 'text/vtt',
+    json: 'application/json',
+    txt: 'text/plain',
+};
+
+/**
+ * Serialize sentences in the requested format.
+ */
+export function exportTranscript(
+    format: TranscriptExportFormat,
+    sentences: MergerSentence[],
+    options: { cues?: Partial<CueOptions>; metadata?: TranscriptMetadata; speakerNames?: SpeakerNames } = {}
+): ExportedFile {
+    const names = options.speakerNames ?? {};
+    let content: string;
+    switch (format) {
+        case 'srt':
+            content = toSRT(sentences, options.cues, names);
+            break;
+        case 'vtt':
+            content = toWebVTT(sentences, options.cues, names);
+            break;
+        case 'json':
+            content = toJSON(sentences, options.metadata, names);
+            break;
+        case 'txt':
+            content = toPlainText(sentences, names) + '\n';
+            break;
+    }
+    return { content, mimeType: MIME_TYPES[format], extension: format };
+}
@@ -0,0 +1,154 @@
+/**
+ * Keet - IndexedDB Session Backend
+ *
+ * Stores transcription sessions in their own database, separate from the
+ * model caches ('keet-models-v1' Cache Storage and parakeet.js's
+ * 'parakeet-cache-db'), so clearing models never touches history and vice versa.
+ *
+ * Recorded session audio lives in a second object store keyed by
+ * [sessionId, index], so a session's chunks are read back in order with a
+ * single key range and are removed together with the session.
+ */
+
+import type { SessionAudioBackend, SessionAudioChunk, SessionBackend, SessionRecord } from './types';
+
+export const SESSION_DB_NAME = 'keet-session-history-db';
+// v2: audio_chunks store
+const SESSION_DB_VERSION = 2;
+const SESSION_STORE = 'sessions';
+const AUDIO_STORE = 'audio_chunks';
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error ?? new Error('IndexedDB request failed'));
+    });
+}
+
+function audioKeyRange(sessionId: string): IDBKeyRange {
+    return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+}
+
+/** Resolve once a readwrite transaction has committed. */
+function complete(tx: IDBTransaction): Promise<void> {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error ?? new Error('IndexedDB transaction failed'));
+        tx.onabort = () => reject(tx.error ?? new Error('IndexedDB transaction aborted'));
+    });
+}
+
+export class IndexedDBSessionBackend implements SessionBackend, SessionAudioBackend {
+    private dbPromise: Promise<IDBDatabase> | null = null;
+
+    private open(): Promise<IDBDatabase> {
+        if (this.dbPromise) return this.dbPromise;
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        this.dbPromise = new Promise<IDBDatabase>((resolve, reject) => {
+            const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                    const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+                    db.createObjectStore(AUDIO_STORE, { keyPath: ['sessionId', 'index'] });
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let deleteDatabase() from another tab proceed
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error ?? new Error('Failed to open session history database'));
+            };
+        });
+        return this.dbPromise;
+    }
+
+    private async store(mode: IDBTransactionMode, name: string = SESSION_STORE): Promise<IDBObjectStore> {
+        const db = await this.open();
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    async put(record: SessionRecord): Promise<void> {
+        await promisify((await this.store('readwrite')).put(record));
+    }
+
+    async get(id: string): Promise<SessionRecord | undefined> {
+        return promisify((await this.store('readonly')).get(id));
+    }
+
+    async getAll(): Promise<SessionRecord[]> {
+        return promisify((await this.store('readonly')).getAll());
+    }
+
+    /** Delete a session together with its recorded audio. */
+    async delete(id: string): Promise<void> {
+        const db = await this.open();
+        const tx = db.transaction([SESSION_STORE, AUDIO_STORE], 'readwrite');
+        tx.objectStore(SESSION_STORE).delete(id);
+        tx.objectStore(AUDIO_STORE).delete(audioKeyRange(id));
+        await complete(tx);
+    }
+
+    async clear(): Promise<void> {
+        const db = await this.open();
+        const tx = db.transaction([SESSION_STORE, AUDIO_STORE], 'readwrite');
+        tx.objectStore(SESSION_STORE).clear();
+        tx.objectStore(AUDIO_STORE).clear();
+        await complete(tx);
+    }
+
+    // ---- Session audio ----
+
+    async putAudioChunk(chunk: SessionAudioChunk): Promise<void> {
+        await promisify((await this.store('readwrite', AUDIO_STORE)).put(chunk));
+    }
+
+    async getAudioChunks(sessionId: string): Promise<SessionAudioChunk[]> {
+        return promisify((await this.store('readonly', AUDIO_STORE)).getAll(audioKeyRange(sessionId)));
+    }
+
+    async deleteAudio(sessionId: string): Promise<void> {
+        await promisify((await this.store('readwrite', AUDIO_STORE)).delete(audioKeyRange(sessionId)));
+    }
+
+    /** Close the connection (e.g. before deleting the database). */
+    close(): void {
+        if (!this.dbPromise) return;
+        this.dbPromise.then((db) => db.close()).catch(() => {});
+        this.dbPromise = null;
+    }
+
+    /**
+     * Delete the whole session history database.
+     * Independent of ModelManager's parakeet cache cleanup.
+     */
+    static async deleteDatabase(): Promise<void> {
+        if (typeof indexedDB === 'undefined') return;
+
+        await new Promise<void>((resolve) => {
+            const request = indexedDB.deleteDatabase(SESSION_DB_NAME);
+            request.onsuccess = () => resolve();
+            request.onerror = () => {
+                console.warn('[SessionHistory] Failed to delete session history database');
+                resolve();
+            };
+            request.onblocked = () => {
+                console.warn('[SessionHistory] Session history database delete blocked');
+                resolve();
+            };
+        });
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for SessionAudioRecorder (chunked session audio recording).
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SessionAudioRecorder, loadSessionAudio } from './SessionAudioRecorder';
+import type { SessionAudioBackend, SessionAudioChunk } from './types';
+
+function createMemoryAudioBackend(): SessionAudioBackend & { chunks: SessionAudioChunk[] } {
+    const chunks: SessionAudioChunk[] = [];
+    return {
+        chunks,
+        putAudioChunk: async (c) => { chunks.push({ ...c, samples: c.samples.slice() }); },
+        getAudioChunks: async (id) => chunks.filter((c) => c.sessionId === id).map((c) => ({ ...c })),
+        deleteAudio: async (id) => {
+            for (let i = chunks.length - 1; i >= 0; i--) {
+                if (chunks[i].sessionId === id) chunks.splice(i, 1);
+            }
+        },
+    };
+}
+
+/** Ramp of `n` samples whose int16 values are 0..n-1 (scaled to float). */
+function ramp(n: number, from: number = 0): Float32Array {
+    return Float32Array.from({ length: n }, (_, i) => (from + i) / 0x7fff);
+}
+
+describe('SessionAudioRecorder', () => {
+    it('should store fixed-size chunks as audio arrives', async () => {
+        const backend = createMemoryAudioBackend();
+        const recorder = new SessionAudioRecorder(backend, { chunkSeconds: 1 });
+        await recorder.begin('s1', 10);
+
+        recorder.push(ramp(4));
+        recorder.push(ramp(8, 4));
+        await recorder.flush();
+
+        // 12 samples at 10 Hz: one full chunk, then the 2-sample remainder on flush
+        expect(backend.chunks.map((c) => [c.index, c.samples.length])).toEqual([[0, 10], [1, 2]]);
+        expect(Array.from(backend.chunks[0].samples)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+        expect(recorder.getDurationSec()).toBeCloseTo(1.2);
+    });
+
+    it('should copy pushed samples so callers can reuse the buffer', async () => {
+        const backend = createMemoryAudioBackend();
+        const recorder = new SessionAudioRecorder(backend, { chunkSeconds: 1 });
+        await recorder.begin('s1', 4);
+
+        const buffer = ramp(4);
+        recorder.push(buffer);
+        buffer.fill(0);
+        await recorder.finish();
+
+        expect(Array.from(backend.chunks[0].samples)).toEqual([0, 1, 2, 3]);
+    });
+
+    it('should report the duration and stop recording on finish', async () => {
+        const backend = createMemoryAudioBackend();
+        const recorder = new SessionAudioRecorder(backend);
+        await recorder.begin('s1', 16000);
+        recorder.push(new Float32Array(8000));
+
+        expect(await recorder.finish()).toBeCloseTo(0.5);
+        expect(recorder.getActiveId()).toBeNull();
+
+        recorder.push(new Float32Array(100));
+        await recorder.flush();
+        expect(backend.chunks).toHaveLength(1);
+    });
+
+    it('should finish the previous session when a new one begins', async () => {
+        const backend = createMemoryAudioBackend();
+        const recorder = new SessionAudioRecorder(backend);
+        await recorder.begin('a', 16000);
+        recorder.push(new Float32Array(10));
+        await recorder.begin('b', 16000);
+
+        expect(backend.chunks.map((c) => c.sessionId)).toEqual(['a']);
+        expect(recorder.getActiveId()).toBe('b');
+    });
+
+    it('should report backend errors without throwing', async () => {
+        const errors: Error[] = [];
+        const backend = createMemoryAudioBackend();
+        backend.putAudioChunk = async () => { throw new Error('quota exceeded'); };
+        const recorder = new SessionAudioRecorder(backend, { onError: (e) => errors.push(e) });
+        await recorder.begin('s1', 16000);
+        recorder.push(new Float32Array(10));
+
+        await expect(recorder.finish()).resolves.toBeGreaterThan(0);
+        expect(errors.map((e) => e.message)).toEqual(['quota exceeded']);
+    });
+});
+
+describe('loadSessionAudio', () => {
+    it('should assemble the chunks in order into a WAV', async () => {
+        const backend = createMemoryAudioBackend();
+        const recorder = new SessionAudioRecorder(backend, { chunkSeconds: 1 });
+        await recorder.begin('s1', 4);
+        recorder.push(ramp(6));
+        await recorder.finish();
+        backend.chunks.reverse();
+
+        const wav = await loadSessionAudio(backend, 's1');
+        expect(wav?.type).toBe('audio/wav');
+        const samples = new Int16Array((await wav!.arrayBuffer()).slice(44));
+        expect(Array.from(samples)).toEqual([0, 1, 2, 3, 4, 5]);
+    });
+
+    it('should return null when nothing was recorded', async () => {
+        expect(await loadSessionAudio(createMemoryAudioBackend(), 'missing')).toBeNull();
+    });
+});
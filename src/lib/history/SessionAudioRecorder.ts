@@ -0,0 +1,144 @@
+/**
+ * Keet - Session Audio Recorder
+ *
+ * Records the audio of the active session into a SessionAudioBackend as
+ * fixed-length 16-bit PCM chunks, so a long recording is never held in memory
+ * as a whole and a closed tab loses at most the last partial chunk.
+ * Sample 0 of the recording is time 0 of the session's word timings.
+ */
+
+import { encodeWav, floatTo16BitPCM } from '../audio/wav';
+import type { SessionAudioBackend } from './types';
+
+export interface SessionAudioRecorderConfig {
+    /** Seconds of audio per stored chunk (default 10) */
+    chunkSeconds?: number;
+    onError?: (error: Error) => void;
+}
+
+export class SessionAudioRecorder {
+    private backend: SessionAudioBackend;
+    private chunkSeconds: number;
+    private onError?: (error: Error) => void;
+
+    private sessionId: string | null = null;
+    private sampleRate = 16000;
+    private pending: Int16Array[] = [];
+    private pendingSamples = 0;
+    private chunkIndex = 0;
+    private totalSamples = 0;
+    private writeChain: Promise<void> = Promise.resolve();
+
+    constructor(backend: SessionAudioBackend, config: SessionAudioRecorderConfig = {}) {
+        this.backend = backend;
+        this.chunkSeconds = config.chunkSeconds ?? 10;
+        this.onError = config.onError;
+    }
+
+    /** Id of the session being recorded, or null. */
+    getActiveId(): string | null {
+        return this.sessionId;
+    }
+
+    /** Seconds recorded so far in the active session. */
+    getDurationSec(): number {
+        return this.totalSamples / this.sampleRate;
+    }
+
+    /** Start recording a session. Any recording still active is finished first. */
+    async begin(sessionId: string, sampleRate: number): Promise<void> {
+        if (this.sessionId) await this.finish();
+        this.sessionId = sessionId;
+        this.sampleRate = sampleRate;
+        this.pending = [];
+        this.pendingSamples = 0;
+        this.chunkIndex = 0;
+        this.totalSamples = 0;
+    }
+
+    /**
+     * Append samples. They are converted (and thereby copied) synchronously,
+     * so the caller may transfer or reuse the buffer right after.
+     */
+    push(samples: Float32Array): void {
+        if (!this.sessionId || samples.length === 0) return;
+        this.pending.push(floatTo16BitPCM(samples));
+        this.pendingSamples += samples.length;
+        this.totalSamples += samples.length;
+
+        const chunkSamples = Math.max(1, Math.round(this.chunkSeconds * this.sampleRate));
+        while (this.pendingSamples >= chunkSamples) {
+            this.writeChunk(this.take(chunkSamples));
+        }
+    }
+
+    /** Store any buffered audio now, e.g. when the page is being hidden. */
+    flush(): Promise<void> {
+        if (this.sessionId && this.pendingSamples > 0) {
+            this.writeChunk(this.take(this.pendingSamples));
+        }
+        return this.writeChain;
+    }
+
+    /**
+     * Store the remaining audio and end the recording.
+     * @returns the recorded duration in seconds
+     */
+    async finish(): Promise<number> {
+        if (!this.sessionId) return 0;
+        await this.flush();
+        const duration = this.getDurationSec();
+        this.sessionId = null;
+        this.pending = [];
+        this.pendingSamples = 0;
+        return duration;
+    }
+
+    // ---- Internal ----
+
+    /** Remove the first `count` buffered samples as one contiguous chunk. */
+    private take(count: number): Int16Array {
+        const out = new Int16Array(count);
+        let filled = 0;
+        while (filled < count) {
+            const head = this.pending[0];
+            const n = Math.min(head.length, count - filled);
+            out.set(n === head.length ? head : head.subarray(0, n), filled);
+            filled += n;
+            if (n === head.length) {
+                this.pending.shift();
+            } else {
+                this.pending[0] = head.subarray(n);
+            }
+        }
+        this.pendingSamples -= count;
+        return out;
+    }
+
+    private writeChunk(samples: Int16Array): void {
+        const chunk = {
+            sessionId: this.sessionId!,
+            index: this.chunkIndex++,
+            sampleRate: this.sampleRate,
+            samples,
+        };
+        this.writeChain = this.writeChain.then(async () => {
+            try {
+                await this.backend.putAudioChunk(chunk);
+            } catch (err) {
+                this.onError?.(err instanceof Error ? err : new Error(String(err)));
+            }
+        });
+    }
+}
+
+/**
+ * Load a session's recorded audio as a WAV Blob.
+ * @returns null if nothing was recorded for the session
+ */
+export async function loadSessionAudio(backend: SessionAudioBackend, sessionId: string): Promise<Blob | null> {
+    const chunks = await backend.getAudioChunks(sessionId);
+    if (chunks.length === 0) return null;
+    chunks.sort((a, b) => a.index - b.index);
+    return encodeWav(chunks.map((c) => c.samples), chunks[0].sampleRate);
+}
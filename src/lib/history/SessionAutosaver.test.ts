@@ -0,0 +1,117 @@
+/**
+ * Unit tests for SessionAutosaver (debounced autosave of the active session).
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionAutosaver } from './SessionAutosaver';
+import { SessionStore } from './SessionStore';
+import type { SessionBackend, SessionRecord } from './types';
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+
+function createMemoryBackend(): SessionBackend & { records: Map<string, SessionRecord> } {
+    const records = new Map<string, SessionRecord>();
+    return {
+        records,
+        put: async (r) => { records.set(r.id, structuredClone(r)); },
+        get: async (id) => (records.has(id) ? structuredClone(records.get(id)!) : undefined),
+        getAll: async () => [...records.values()].map((r) => structuredClone(r)),
+        delete: async (id) => { records.delete(id); },
+        clear: async () => { records.clear(); },
+    };
+}
+
+function sentence(id: string, text: string, start: number): MergerSentence {
+    return {
+        id,
+        text,
+        startTime: start,
+        endTime: start + 1.5,
+        startWordIndex: 0,
+        endWordIndex: 0,
+        wordCount: 1,
+        words: [{ text, start, end: start + 1.5, confidence: 0.9 }],
+        detectionMethod: 'test',
+        isMature: true,
+    };
+}
+
+describe('SessionAutosaver', () => {
+    let backend: ReturnType<typeof createMemoryBackend>;
+    let store: SessionStore;
+    let saver: SessionAutosaver;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        backend = createMemoryBackend();
+        store = new SessionStore(backend);
+        saver = new SessionAutosaver(store, { debounceMs: 1000 });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    const start = () => saver.begin({
+        source: 'microphone',
+        modelId: 'parakeet-tdt-0.6b-v2',
+        settings: { v4SilenceFlushSec: 1 },
+        title: 'Test session',
+    });
+
+    it('should debounce writes during a session', async () => {
+        const id = await start();
+        saver.update({ sentences: [sentence('s1', 'One.', 0)], pendingText: 'two' });
+        saver.update({ sentences: [sentence('s1', 'One.', 0), sentence('s2', 'Two.', 2)], pendingText: '' });
+        expect(backend.records.size).toBe(0);
+
+        await vi.advanceTimersByTimeAsync(1000);
+
+        const saved = await store.get(id);
+        expect(saved!.sentences).toHaveLength(2);
+        expect(saved!.text).toBe('One. Two.');
+        expect(saved!.durationSec).toBe(3.5);
+        expect(saved!.settings).toEqual({ v4SilenceFlushSec: 1 });
+    });
+
+    it('should write the final snapshot on finish', async () => {
+        const id = await start();
+        saver.update({ sentences: [], pendingText: 'draft' });
+        const final = await saver.finish({ sentences: [sentence('s1', 'Done.', 0)], pendingText: '' });
+
+        expect(final!.text).toBe('Done.');
+        expect((await store.get(id))!.text).toBe('Done.');
+        expect(saver.getActiveId()).toBeNull();
+    });
+
+    it('should not store sessions without text', async () => {
+        await start();
+        saver.update({ sentences: [], pendingText: '  ' });
+        expect(await saver.finish()).toBeNull();
+        expect(backend.records.size).toBe(0);
+    });
+
+    it('should keep a title renamed during the session', async () => {
+        const id = await start();
+        saver.update({ sentences: [sentence('s1', 'One.', 0)], pendingText: '' });
+        await saver.flush();
+        await store.rename(id, 'Renamed');
+
+        saver.update({ sentences: [sentence('s1', 'One.', 0), sentence('s2', 'Two.', 2)], pendingText: '' });
+        await saver.flush();
+
+        const saved = await store.get(id);
+        expect(saved!.title).toBe('Renamed');
+        expect(saved!.sentences).toHaveLength(2);
+    });
+
+    it('should finish the previous session when a new one begins', async () => {
+        const first = await start();
+        saver.update({ sentences: [sentence('s1', 'First.', 0)], pendingText: '' });
+        const second = await start();
+
+        expect(second).not.toBe(first);
+        expect((await store.get(first))!.text).toBe('First.');
+    });
+});
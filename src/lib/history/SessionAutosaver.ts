@@ -0,0 +1,157 @@
+/**
+ * Keet - Session Autosaver
+ *
+ * Keeps the active recording/import session persisted while it runs.
+ * Updates are debounced so the merger's frequent results cost at most one
+ * write per interval; finish() writes the final state immediately.
+ * Sessions without any text are never stored.
+ */
+
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+import type { TextCorrection } from '../text/corrections';
+import { SessionStore, defaultSessionTitle, hasEntries, sessionText, toSessionSentences } from './SessionStore';
+import type { SessionRecord, SessionSource } from './types';
+
+export interface SessionStartInfo {
+    source: SessionSource;
+    modelId: string;
+    settings: Record<string, unknown>;
+    /** Defaults to a timestamped title (or the file name for imports) */
+    title?: string;
+    /** Set when the session audio is being recorded */
+    hasAudio?: boolean;
+}
+
+export interface SessionSnapshot {
+    sentences: MergerSentence[];
+    pendingText: string;
+    corrections?: TextCorrection[];
+    /** Names the user gave speakers, by speaker id */
+    speakerNames?: Record<string, string>;
+}
+
+export interface SessionAutosaverConfig {
+    /** Delay between an update and its write (default 2000) */
+    debounceMs?: number;
+    onError?: (error: Error) => void;
+}
+
+function createSessionId(): string {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `session_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export class SessionAutosaver {
+    private store: SessionStore;
+    private debounceMs: number;
+    private onError?: (error: Error) => void;
+
+    private active: Omit<SessionRecord, 'sentences' | 'pendingText' | 'text' | 'durationSec' | 'updatedAt'> | null = null;
+    private latest: SessionSnapshot | null = null;
+    private timer: ReturnType<typeof setTimeout> | undefined;
+    private writeChain: Promise<void> = Promise.resolve();
+
+    constructor(store: SessionStore, config: SessionAutosaverConfig = {}) {
+        this.store = store;
+        this.debounceMs = config.debounceMs ?? 2000;
+        this.onError = config.onError;
+    }
+
+    /** Id of the session being recorded, or null. */
+    getActiveId(): string | null {
+        return this.active?.id ?? null;
+    }
+
+    /**
+     * Start a new session. Any session still active is finished first.
+     * @returns the new session id
+     */
+    async begin(info: SessionStartInfo): Promise<string> {
+        if (this.active) await this.finish();
+        const now = Date.now();
+        this.active = {
+            id: createSessionId(),
+            title: info.title?.trim() || defaultSessionTitle(new Date(now)),
+            createdAt: now,
+            source: info.source,
+            modelId: info.modelId,
+            settings: { ...info.settings },
+            ...(info.hasAudio ? { hasAudio: true } : {}),
+        };
+        this.latest = null;
+        return this.active.id;
+    }
+
+    /** Record the latest transcript state; written after the debounce delay. */
+    update(snapshot: SessionSnapshot): void {
+        if (!this.active) return;
+        this.latest = snapshot;
+        if (this.timer !== undefined) return;
+        this.timer = setTimeout(() => {
+            this.timer = undefined;
+            void this.flush();
+        }, this.debounceMs);
+    }
+
+    /** Write any pending update now. */
+    flush(): Promise<void> {
+        if (this.timer !== undefined) {
+            clearTimeout(this.timer);
+            this.timer = undefined;
+        }
+        if (!this.active || !this.latest) return this.writeChain;
+
+        const record = this.buildRecord(this.active, this.latest);
+        this.latest = null;
+        // Serialize writes so an older snapshot never lands after a newer one
+        this.writeChain = this.writeChain.then(() => this.write(record));
+        return this.writeChain;
+    }
+
+    /**
+     * Write the final state and end the session.
+     * @returns the saved record, or null if the session had no text
+     */
+    async finish(snapshot?: SessionSnapshot): Promise<SessionRecord | null> {
+        if (!this.active) return null;
+        if (snapshot) this.latest = snapshot;
+        const finalSnapshot = this.latest;
+        const active = this.active;
+        await this.flush();
+        this.active = null;
+
+        if (!finalSnapshot) return null;
+        const record = this.buildRecord(active, finalSnapshot);
+        return record.text ? record : null;
+    }
+
+    // ---- Internal ----
+
+    private buildRecord(active: NonNullable<SessionAutosaver['active']>, snapshot: SessionSnapshot): SessionRecord {
+        const sentences = toSessionSentences(snapshot.sentences);
+        const last = sentences[sentences.length - 1];
+        return {
+            ...active,
+            updatedAt: Date.now(),
+            durationSec: last ? last.endTime : 0,
+            sentences,
+            pendingText: snapshot.pendingText.trim(),
+            text: sessionText(sentences, snapshot.pendingText),
+            ...(snapshot.corrections?.length ? { corrections: snapshot.corrections } : {}),
+            ...(hasEntries(snapshot.speakerNames) ? { speakerNames: snapshot.speakerNames } : {}),
+        };
+    }
+
+    private async write(record: SessionRecord): Promise<void> {
+        if (!record.text) return;
+        try {
+            // Keep a title the user changed from the history view mid-session
+            const existing = await this.store.get(record.id);
+            await this.store.save(existing ? { ...record, title: existing.title } : record);
+        } catch (err) {
+            this.onError?.(err instanceof Error ? err : new Error(String(err)));
+        }
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for SessionStore (session history listing, search, rename, delete).
+ *
+ * Uses an in-memory SessionBackend; the IndexedDB backend shares the same interface.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SessionStore, sessionText, toMergerSentences, toSessionSentences } from './SessionStore';
+import type { SessionBackend, SessionRecord } from './types';
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+
+function createMemoryBackend(): SessionBackend & { records: Map<string, SessionRecord> } {
+    const records = new Map<string, SessionRecord>();
+    return {
+        records,
+        put: async (r) => { records.set(r.id, structuredClone(r)); },
+        get: async (id) => (records.has(id) ? structuredClone(records.get(id)!) : undefined),
+        getAll: async () => [...records.values()].map((r) => structuredClone(r)),
+        delete: async (id) => { records.delete(id); },
+        clear: async () => { records.clear(); },
+    };
+}
+
+function record(id: string, title: string, text: string, updatedAt: number): SessionRecord {
+    const sentences = [{ id: `${id}_s0`, text, startTime: 0, endTime: 2, words: [] }];
+    return {
+        id,
+        title,
+        createdAt: updatedAt,
+        updatedAt,
+        durationSec: 2,
+        source: 'microphone',
+        modelId: 'parakeet-tdt-0.6b-v2',
+        settings: { v4InferenceIntervalMs: 480 },
+        sentences,
+        pendingText: '',
+        text: sessionText(sentences),
+    };
+}
+
+describe('SessionStore', () => {
+    let backend: ReturnType<typeof createMemoryBackend>;
+    let store: SessionStore;
+
+    beforeEach(async () => {
+        backend = createMemoryBackend();
+        store = new SessionStore(backend);
+        await store.save(record('a', 'Standup', 'We shipped the exporter yesterday.', 1000));
+        await store.save(record('b', 'Lecture notes', 'The Fourier transform decomposes a signal.', 3000));
+        await store.save(record('c', 'Call with Ana', 'Budget review moved to Friday.', 2000));
+    });
+
+    it('should list sessions newest first without sentences', async () => {
+        const list = await store.list();
+        expect(list.map((s) => s.id)).toEqual(['b', 'c', 'a']);
+        expect(list[0].sentenceCount).toBe(1);
+        expect('sentences' in list[0]).toBe(false);
+    });
+
+    it('should search transcript text and titles case-insensitively', async () => {
+        expect((await store.search('fourier')).map((s) => s.id)).toEqual(['b']);
+        expect((await store.search('STANDUP')).map((s) => s.id)).toEqual(['a']);
+    });
+
+    it('should require every search term to match', async () => {
+        expect((await store.search('budget friday')).map((s) => s.id)).toEqual(['c']);
+        expect(await store.search('budget fourier')).toEqual([]);
+    });
+
+    it('should list everything for a blank query', async () => {
+        expect(await store.search('   ')).toHaveLength(3);
+    });
+
+    it('should build a snippet around the first hit in long transcripts', async () => {
+        const long = `${'filler '.repeat(40)}the keyword appears here ${'tail '.repeat(40)}`;
+        await store.save(record('d', 'Long', long, 4000));
+        const [hit] = await store.search('keyword');
+        expect(hit.snippet).toContain('keyword');
+        expect(hit.snippet.startsWith('…')).toBe(true);
+        expect(hit.snippet.length).toBeLessThan(long.length);
+    });
+
+    it('should rename a session', async () => {
+        await store.rename('a', '  Daily standup  ');
+        expect((await store.get('a'))!.title).toBe('Daily standup');
+    });
+
+    it('should reject blank titles and unknown ids', async () => {
+        await expect(store.rename('a', '  ')).rejects.toThrow('empty');
+        await expect(store.rename('zzz', 'x')).rejects.toThrow('not found');
+    });
+
+    it('should replace the transcript of a saved session, keeping its title', async () => {
+        await store.rename('a', 'Daily standup');
+        const [sentence] = toMergerSentences((await store.get('a'))!.sentences);
+        const correction = { sentenceId: sentence.id, startTime: 0, before: sentence.text, after: 'We shipped the exporter today.', editedAt: 5 };
+        await store.updateTranscript('a', {
+            sentences: [{ ...sentence, text: correction.after, originalText: sentence.text, speaker: 'S2' }],
+            pendingText: '',
+            corrections: [correction],
+            speakerNames: { S2: 'Dana' },
+        });
+
+        const updated = (await store.get('a'))!;
+        expect(updated.title).toBe('Daily standup');
+        expect(updated.text).toBe('We shipped the exporter today.');
+        expect(updated.sentences[0].originalText).toBe('We shipped the exporter yesterday.');
+        expect(updated.corrections).toEqual([correction]);
+        expect(updated.sentences[0].speaker).toBe('S2');
+        expect(updated.speakerNames).toEqual({ S2: 'Dana' });
+        await expect(store.updateTranscript('zzz', { sentences: [], pendingText: '' })).rejects.toThrow('not found');
+    });
+
+        it('should delete and clear sessions', async () => {
+        await store.delete('b');
+        expect(await store.get('b')).toBeUndefined();
+        expect(await store.list()).toHaveLength(2);
+        await store.clear();
+        expect(await store.list()).toEqual([]);
+    });
+});
+
+describe('toSessionSentences', () => {
+    it('should keep text and timings and drop merger internals', () => {
+        const merger: MergerSentence = {
+            id: 's1',
+            text: ' Hello. ',
+            startTime: 1,
+            endTime: 2,
+            startWordIndex: 0,
+            endWordIndex: 0,
+            wordCount: 1,
+            words: [{ text: 'Hello.', start: 1, end: 2, confidence: 0.7, wordIndex: 0 }],
+            detectionMethod: 'nlp',
+            isMature: true,
+        };
+        expect(toSessionSentences([merger])).toEqual([
+            { id: 's1', text: 'Hello.', startTime: 1, endTime: 2, words: [{ text: 'Hello.', start: 1, end: 2, confidence: 0.7 }] },
+        ]);
+    });
+});
+
+describe('toMergerSentences', () => {
+    it('should round-trip text and word timings', () => {
+        const stored = [{ id: 's1', text: 'Hi there.', startTime: 0, endTime: 1, speaker: 'S1', breakBefore: 'paragraph' as const, words: [
+            { text: 'Hi', start: 0, end: 0.4, confidence: 0.9 },
+            { text: 'there.', start: 0.4, end: 1 },
+        ] }];
+        const merger = toMergerSentences(stored);
+        expect(merger[0].isMature).toBe(true);
+        expect(merger[0].wordCount).toBe(2);
+        expect(merger[0].speaker).toBe('S1');
+        expect(merger[0].breakBefore).toBe('paragraph');
+        expect(toSessionSentences(merger)).toEqual(stored);
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * Keet - Session Store
+ *
+ * CRUD, listing and full-text search over saved transcription sessions.
+ * Persistence is delegated to a SessionBackend (IndexedDB in the app).
+ */
+
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+import type { SessionBackend, SessionRecord, SessionSentence, SessionSummary } from './types';
+import type { SessionSnapshot } from './SessionAutosaver';
+
+const SNIPPET_RADIUS = 60;
+
+/** Whether a name map (e.g. speaker names) has anything worth saving. */
+export const hasEntries = (map: Record<string, string> | undefined): map is Record<string, string> =>
+    !!map && Object.keys(map).length > 0;
+
+/** Strip merger-internal fields, keeping text and timings. */
+export function toSessionSentences(sentences: MergerSentence[]): SessionSentence[] {
+    return sentences.map((s) => ({
+        id: s.id,
+        text: s.text.trim(),
+        startTime: s.startTime,
+        endTime: s.endTime,
+        words: (s.words || []).map((w) => ({
+            text: w.text,
+            start: w.start,
+            end: w.end,
+            ...(w.confidence !== undefined ? { confidence: w.confidence } : {}),
+        })),
+        ...(s.originalText !== undefined ? { originalText: s.originalText.trim() } : {}),
+        ...(s.channel ? { channel: s.channel } : {}),
+        ...(s.speaker ? { speaker: s.speaker } : {}),
+        ...(s.breakBefore ? { breakBefore: s.breakBefore } : {}),
+    }));
+}
+
+/** Rebuild merger-shaped sentences from history, e.g. to reopen a session for export. */
+export function toMergerSentences(sentences: SessionSentence[]): MergerSentence[] {
+    return sentences.map((s) => ({
+        id: s.id,
+        text: s.text,
+        startTime: s.startTime,
+        endTime: s.endTime,
+        startWordIndex: 0,
+        endWordIndex: Math.max(0, s.words.length - 1),
+        wordCount: s.words.length,
+        words: s.words.map((w) => ({ ...w })),
+        detectionMethod: 'history',
+        isMature: true,
+        ...(s.originalText !== undefined ? { originalText: s.originalText } : {}),
+        ...(s.channel ? { channel: s.channel } : {}),
+        ...(s.speaker ? { speaker: s.speaker } : {}),
+        ...(s.breakBefore ? { breakBefore: s.breakBefore } : {}),
+    }));
+}
+
+/** Flatten sentences (plus any pending tail) into the searchable transcript. */
+export function sessionText(sentences: SessionSentence[], pendingText: string = ''): string {
+    return [...sentences.map((s) => s.text), pendingText.trim()].filter(Boolean).join(' ');
+}
+
+/** Default title, e.g. "Session · 5 Mar 2025, 14:30" */
+export function defaultSessionTitle(date: Date = new Date()): string {
+    const stamp = date.toLocaleString(undefined, {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+    return `Session · ${stamp}`;
+}
+
+function makeSnippet(text: string, terms: string[]): string {
+    if (text.length <= SNIPPET_RADIUS * 2) return text;
+    const lower = text.toLowerCase();
+    const hit = terms.length > 0 ? lower.indexOf(terms[0]) : -1;
+    if (hit < 0) return text.slice(0, SNIPPET_RADIUS * 2).trimEnd() + '…';
+
+    const start = Math.max(0, hit - SNIPPET_RADIUS);
+    const end = Math.min(text.length, hit + terms[0].length + SNIPPET_RADIUS);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+function toSummary(record: SessionRecord, terms: string[] = []): SessionSummary {
+    const { sentences, ...rest } = record;
+    return {
+        ...rest,
+        sentenceCount: sentences.length,
+        snippet: makeSnippet(record.text, terms),
+    };
+}
+
+function tokenize(query: string): string[] {
+    return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+export class SessionStore {
+    private backend: SessionBackend;
+
+    constructor(backend: SessionBackend) {
+        this.backend = backend;
+    }
+
+    /** Insert or replace a session. */
+    async save(record: SessionRecord): Promise<void> {
+        await this.backend.put(record);
+    }
+
+    async get(id: string): Promise<SessionRecord | undefined> {
+        return this.backend.get(id);
+    }
+
+    /** All sessions, most recently updated first. */
+    async list(): Promise<SessionSummary[]> {
+        const records = await this.backend.getAll();
+        return records
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .map((r) => toSummary(r));
+    }
+
+    /**
+     * Case-insensitive full-text search over titles and transcripts.
+     * Every whitespace-separated term must match. An empty query lists all.
+     */
+    async search(query: string): Promise<SessionSummary[]> {
+        const terms = tokenize(query);
+        if (terms.length === 0) return this.list();
+
+        const records = await this.backend.getAll();
+        return records
+            .filter((r) => {
+                const haystack = `${r.title}\n${r.text}`.toLowerCase();
+                return terms.every((t) => haystack.includes(t));
+            })
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .map((r) => toSummary(r, terms));
+    }
+
+    /**
+     * Rename a session. Blank titles are rejected.
+     * @throws Error if the session does not exist.
+     */
+    async rename(id: string, title: string): Promise<void> {
+        const trimmed = title.trim();
+        if (!trimmed) throw new Error('Session title cannot be empty');
+        const record = await this.backend.get(id);
+        if (!record) throw new Error(`Session not found: ${id}`);
+        await this.backend.put({ ...record, title: trimmed });
+    }
+
+    /**
+     * Replace the transcript of a saved session (e.g. after corrections in a
+     * reopened session). Title, settings and audio are kept.
+     * @throws Error if the session does not exist.
+     */
+    async updateTranscript(id: string, snapshot: SessionSnapshot): Promise<void> {
+        const record = await this.backend.get(id);
+        if (!record) throw new Error(`Session not found: ${id}`);
+        const sentences = toSessionSentences(snapshot.sentences);
+        const { corrections: _previous, speakerNames: _previousNames, ...rest } = record;
+        await this.backend.put({
+            ...rest,
+            updatedAt: Date.now(),
+            sentences,
+            pendingText: snapshot.pendingText.trim(),
+            text: sessionText(sentences, snapshot.pendingText),
+            ...(snapshot.corrections?.length ? { corrections: snapshot.corrections } : {}),
+            ...(hasEntries(snapshot.speakerNames) ? { speakerNames: snapshot.speakerNames } : {}),
+        });
+    }
+
+    async delete(id: string): Promise<void> {
+        await this.backend.delete(id);
+    }
+
+    /** Remove every saved session. */
+    async clear(): Promise<void> {
+        await this.backend.clear();
+    }
+}
@@ -0,0 +1,20 @@
+/**
+ * Keet - Session History Module
+ */
+
+export type {
+    SessionWord,
+    SessionSentence,
+    SessionSource,
+    SessionRecord,
+    SessionSummary,
+    SessionBackend,
+    SessionAudioChunk,
+    SessionAudioBackend,
+} from './types';
+export { SessionStore, toSessionSentences, toMergerSentences, sessionText, defaultSessionTitle } from './SessionStore';
+export { IndexedDBSessionBackend, SESSION_DB_NAME } from './IndexedDBSessionBackend';
+export { SessionAutosaver } from './SessionAutosaver';
+export type { SessionStartInfo, SessionSnapshot, SessionAutosaverConfig } from './SessionAutosaver';
+export { SessionAudioRecorder, loadSessionAudio } from './SessionAudioRecorder';
+export type { SessionAudioRecorderConfig } from './SessionAudioRecorder';
@@ -0,0 +1,96 @@
+/**
+ * Keet - Session History Types
+ */
+
+import type { TextCorrection } from '../text/corrections';
+
+/** A word with timing, as stored in session history */
+export interface SessionWord {
+    text: string;
+    start: number;
+    end: number;
+    confidence?: number;
+}
+
+/** A finalized sentence, as stored in session history */
+export interface SessionSentence {
+    id: string;
+    text: string;
+    startTime: number;
+    endTime: number;
+    words: SessionWord[];
+    /** Text before text rules were applied, when they changed it */
+    originalText?: string;
+    /** Channel label for "mic+tab" sessions */
+    channel?: string;
+    /** Speaker id, when speaker labels were on */
+    speaker?: string;
+    /** Line or paragraph break before the sentence (dictation commands) */
+    breakBefore?: 'line' | 'paragraph';
+}
+
+/** Where the session audio came from ('mic+tab': microphone and tab audio as separate channels) */
+export type SessionSource = 'microphone' | 'tab' | 'mic+tab' | 'file';
+
+/** A saved transcription session */
+export interface SessionRecord {
+    id: string;
+    title: string;
+    /** Epoch ms */
+    createdAt: number;
+    /** Epoch ms of the last autosave */
+    updatedAt: number;
+    /** Seconds of transcribed audio (end of the last sentence) */
+    durationSec: number;
+    source: SessionSource;
+    modelId: string;
+    /** Snapshot of pipeline settings at session start */
+    settings: Record<string, unknown>;
+    sentences: SessionSentence[];
+    /** Text that had not been finalized when the session was last saved */
+    pendingText: string;
+    /** Flattened transcript, kept for search and list previews */
+    text: string;
+    /** Whether the session audio was recorded (see SessionAudioRecorder) */
+    hasAudio?: boolean;
+    /** Sentence edits made by the user */
+    corrections?: TextCorrection[];
+    /** Names the user gave speakers, by speaker id */
+    speakerNames?: Record<string, string>;
+}
+
+/** Lightweight listing entry (no sentences) */
+export type SessionSummary = Omit<SessionRecord, 'sentences'> & {
+    sentenceCount: number;
+    /** Excerpt around the first search hit, or the start of the transcript */
+    snippet: string;
+};
+
+/**
+ * Persistence backend for sessions. The IndexedDB backend is used in the app;
+ * anything implementing this interface works (e.g. an in-memory map in tests).
+ */
+export interface SessionBackend {
+    put(record: SessionRecord): Promise<void>;
+    get(id: string): Promise<SessionRecord | undefined>;
+    getAll(): Promise<SessionRecord[]>;
+    delete(id: string): Promise<void>;
+    clear(): Promise<void>;
+}
+
+/** A slice of recorded session audio (16-bit PCM mono) */
+export interface SessionAudioChunk {
+    sessionId: string;
+    /** Position of the chunk within the session, from 0 */
+    index: number;
+    sampleRate: number;
+    samples: Int16Array;
+}
+
+/** Persistence backend for recorded session audio. */
+export interface SessionAudioBackend {
+    putAudioChunk(chunk: SessionAudioChunk): Promise<void>;
+    /** All chunks of a session, in index order */
+    getAudioChunks(sessionId: string): Promise<SessionAudioChunk[]>;
+    deleteAudio(sessionId: string): Promise<void>;
+}
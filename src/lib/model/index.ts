@@ -1,2 +1,54 @@
 export * from './types';
 export { ModelService } from './ModelService';
+export {
+    BUILTIN_MODELS,
+    DEFAULT_MODEL_ID,
+    QUANT_CHOICES,
+    parseRepoId,
+    createCustomModel,
+    findModel,
+    findModelByRepo,
+    getModelDisplayName,
+    toLoadOptions,
+    resolveQuant,
+    modelFilenames,
+} from './registry';
+export type { ModelEntry, ModelLoadOptions, ModelQuant, QuantChoice } from './registry';
+export {
+    loadModelRegistry,
+    saveModelRegistry,
+    sanitizeModelRegistry,
+    listModels,
+    MODEL_REGISTRY_STORAGE_KEY,
+    MODEL_REGISTRY_VERSION,
+} from './registryStorage';
+export type { StoredModelRegistry, ModelQuantSelection } from './registryStorage';
+export {
+    ModelCache,
+    ParakeetIndexedDbSource,
+    ServiceWorkerCacheSource,
+    createDefaultCacheSources,
+    getStorageEstimate,
+    parseParakeetCacheKey,
+    parseHubUrl,
+    PARAKEET_DB_NAME,
+    SW_MODEL_CACHE,
+} from './modelCache';
+export type { CachedModel, CachedModelFile, CacheSourceId, ModelCacheSource, StorageEstimate } from './modelCache';
+export {
+    fetchRepoManifest,
+    verifyBlob,
+    verifyLocalFiles,
+    parseChecksums,
+    isChecksumFile,
+    hasOnnxHeader,
+    sha256Hex,
+    gitBlobSha1,
+    integrityPassed,
+    describeIntegrityFailures,
+    DEFAULT_MAX_HASH_BYTES,
+    HASH_CHUNK_BYTES,
+} from './integrity';
+export { Sha1, Sha256 } from './sha';
+export type { IncrementalHash } from './sha';
+export type { FileIntegrity, IntegrityStatus, ManifestEntry, RepoManifest, VerifyOptions } from './integrity';
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for model file integrity checks (manifest, hashes, checksum files).
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    fetchRepoManifest,
+    gitBlobSha1,
+    HASH_CHUNK_BYTES,
+    integrityPassed,
+    parseChecksums,
+    sha256Hex,
+    verifyBlob,
+    verifyLocalFiles,
+} from './integrity';
+import { Sha1, Sha256 } from './sha';
+
+const onnx = (bytes = 16) => new Blob([new Uint8Array(bytes).fill(1).map((b, i) => (i === 0 ? 0x08 : b))]);
+
+describe('model integrity', () => {
+    it('hashes like sha256sum and git', async () => {
+        const blob = new Blob(['hello\n']);
+        expect(await sha256Hex(blob)).toBe('5891b5b522d5df086d0ff0b110fbd9d21bb4fc7163af34d08286a2e846f6be03');
+        // `echo hello | git hash-object --stdin`
+        expect(await gitBlobSha1(blob)).toBe('ce013625030ba8dba906f756967f9e9ca394464a');
+    });
+
+    it('hashes in pieces the same as in one go', async () => {
+        const bytes = (text: string) => new TextEncoder().encode(text);
+        const digest = (hash: Sha1 | Sha256, ...pieces: string[]) => {
+            pieces.forEach((p) => hash.update(bytes(p)));
+            return hash.hexDigest();
+        };
+        expect(digest(new Sha256())).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+        expect(digest(new Sha256(), 'a', 'bc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        expect(digest(new Sha1(), 'ab', 'c')).toBe('a9993e364706816aba3e25717850c26c9cd0d89d');
+        const long = 'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq';
+        expect(digest(new Sha256(), long.slice(0, 50), long.slice(50)))
+            .toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+        expect(digest(new Sha1(), long.slice(0, 3), long.slice(3)))
+            .toBe('84983e441c3bd26ebaae4aa1f95129e5e54670f1');
+
+        // Larger than one slice, ending mid-block
+        const data = new Uint8Array(HASH_CHUNK_BYTES + 100).map((_, i) => (i * 31) & 0xff);
+        const whole = Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', data)), (b) => b.toString(16).padStart(2, '0')).join('');
+        expect(await sha256Hex(new Blob([data]))).toBe(whole);
+    });
+
+    it('reads sizes and hashes from the Hub tree listing', async () => {
+        let requested = '';
+        const manifest = await fetchRepoManifest('me/asr-onnx', 'main', async (url) => {
+            requested = url;
+            return {
+                ok: true,
+                status: 200,
+                json: async () => [
+                    { type: 'file', path: 'encoder-model.onnx', size: 135, oid: 'abc', lfs: { oid: 'f'.repeat(64), size: 2_400_000 } },
+                    { type: 'file', path: 'vocab.txt', size: 9, oid: 'ce01' },
+                    { type: 'directory', path: 'extras', size: 0, oid: 'd' },
+                ],
+            };
+        });
+        expect(requested).toBe('https://huggingface.co/api/models/me/asr-onnx/tree/main');
+        expect(manifest).toEqual({
+            'encoder-model.onnx': { size: 2_400_000, sha256: 'f'.repeat(64) },
+            'vocab.txt': { size: 9, gitSha1: 'ce01' },
+        });
+
+        await expect(fetchRepoManifest('me/missing', 'main', async () => ({ ok: false, status: 404, json: async () => ({}) })))
+            .rejects.toThrow('not found');
+    });
+
+    it('checks size before hash and reports mismatches', async () => {
+        const blob = onnx();
+        const sha256 = await sha256Hex(blob);
+
+        expect(await verifyBlob('encoder-model.onnx', blob, { size: 16, sha256 }))
+            .toMatchObject({ status: 'ok', checks: ['header', 'size', 'sha256'] });
+        expect(await verifyBlob('encoder-model.onnx', blob, { size: 20, sha256 }))
+            .toMatchObject({ status: 'size-mismatch', expectedSize: 20, checks: ['header', 'size'] });
+        expect(await verifyBlob('encoder-model.onnx', blob, { size: 16, sha256: '0'.repeat(64) }))
+            .toMatchObject({ status: 'hash-mismatch' });
+        // Too large to hash: size only
+        expect(await verifyBlob('encoder-model.onnx', blob, { size: 16, sha256: '0'.repeat(64) }, { maxHashBytes: 8 }))
+            .toMatchObject({ status: 'ok', checks: ['header', 'size'] });
+    });
+
+    it('rejects empty files and non-ONNX content', async () => {
+        expect((await verifyBlob('vocab.txt', new Blob([]), undefined)).status).toBe('invalid');
+        const html = await verifyBlob('decoder_joint-model.onnx', new Blob(['<!doctype html>']), undefined);
+        expect(html).toMatchObject({ status: 'invalid', detail: 'Not an ONNX model' });
+        expect((await verifyBlob('vocab.txt', new Blob(['a 0\n']), undefined)).status).toBe('unverified');
+    });
+
+    it('parses GNU and BSD checksum files', () => {
+        const a = 'a'.repeat(64);
+        const b = 'B'.repeat(64);
+        expect(parseChecksums(`${a}  encoder-model.onnx\n${a} *models/vocab.txt\nSHA256 (decoder.onnx) = ${b}\n# comment`)).toEqual({
+            'encoder-model.onnx': a,
+            'vocab.txt': a,
+            'decoder.onnx': b.toLowerCase(),
+        });
+    });
+
+    it('verifies sideloaded files against a checksum file in the selection', async () => {
+        const encoder = new File([onnx()], 'encoder-model.onnx');
+        const vocab = new File(['a 0\n'], 'vocab.txt');
+        const sums = new File([`${await sha256Hex(encoder)}  encoder-model.onnx\n${'0'.repeat(64)}  vocab.txt\n`], 'SHA256SUMS');
+
+        const results = await verifyLocalFiles([encoder, vocab, sums]);
+        expect(results.map((r) => [r.filename, r.status])).toEqual([
+            ['encoder-model.onnx', 'ok'],
+            ['vocab.txt', 'hash-mismatch'],
+        ]);
+        expect(integrityPassed(results)).toBe(false);
+
+        // Without checksums, structurally sound files pass unverified
+        const unchecked = await verifyLocalFiles([encoder, vocab]);
+        expect(unchecked.map((r) => r.status)).toEqual(['unverified', 'unverified']);
+        expect(integrityPassed(unchecked)).toBe(true);
+    });
+});
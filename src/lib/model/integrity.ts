@@ -0,0 +1,222 @@
+/**
+ * Keet - Model File Integrity
+ *
+ * Checks model files against what the Hugging Face repo publishes (size,
+ * plus the LFS sha256 or git blob sha1), against checksum files shipped next
+ * to sideloaded models, and for ONNX files, against the protobuf header.
+ */
+
+import { Sha1, Sha256, type IncrementalHash } from './sha';
+
+/** What the repo publishes for one file */
+export interface ManifestEntry {
+    size: number;
+    /** sha256 of LFS files */
+    sha256?: string;
+    /** git blob sha1 of files stored directly in git (vocab.txt, configs) */
+    gitSha1?: string;
+}
+
+/** Repo files by path */
+export type RepoManifest = Record<string, ManifestEntry>;
+
+export type IntegrityStatus = 'ok' | 'size-mismatch' | 'hash-mismatch' | 'invalid' | 'unverified';
+
+export interface FileIntegrity {
+    filename: string;
+    status: IntegrityStatus;
+    size: number;
+    expectedSize?: number;
+    /** Checks that ran, strongest last ('size', 'header', 'sha256', 'git-sha1') */
+    checks: string[];
+    detail?: string;
+}
+
+export interface VerifyOptions {
+    /**
+     * Larger files are checked by size only. Hashing reads the file a slice
+     * at a time, so this bounds time spent, not memory.
+     */
+    maxHashBytes?: number;
+}
+
+export const DEFAULT_MAX_HASH_BYTES = 1024 * 1024 * 1024;
+
+type FetchLike = (url: string) => Promise<Pick<Response, 'ok' | 'status' | 'json'>>;
+
+/**
+ * List a repo's files with their sizes and hashes from the Hub tree API.
+ * @throws Error when the repo or revision cannot be listed
+ */
+export async function fetchRepoManifest(
+    repoId: string,
+    revision = 'main',
+    fetchImpl: FetchLike = (url) => fetch(url),
+): Promise<RepoManifest> {
+    const url = `https://huggingface.co/api/models/${repoId}/tree/${encodeURIComponent(revision)}`;
+    const response = await fetchImpl(url);
+    if (!response.ok) {
+        throw new Error(
+            response.status === 404 || response.status === 401
+                ? `Model repo ${repoId}@${revision} not found`
+                : `Failed to list ${repoId}: HTTP ${response.status}`
+        );
+    }
+
+    const manifest: RepoManifest = {};
+    const entries = (await response.json()) as Array<{
+        type?: string;
+        path?: string;
+        size?: number;
+        oid?: string;
+        lfs?: { oid?: string; size?: number };
+    }>;
+    for (const entry of Array.isArray(entries) ? entries : []) {
+        if (entry.type !== 'file' || !entry.path) continue;
+        manifest[entry.path] = entry.lfs
+            ? { size: entry.lfs.size ?? entry.size ?? 0, sha256: entry.lfs.oid }
+            : { size: entry.size ?? 0, gitSha1: entry.oid };
+    }
+    return manifest;
+}
+
+function toHex(buffer: ArrayBuffer): string {
+    return Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** Bytes read at a time when hashing; memory use stays at about this much whatever the file size */
+export const HASH_CHUNK_BYTES = 8 * 1024 * 1024;
+
+/** Feed a blob to a hash one slice at a time. */
+async function hashSlices(hash: IncrementalHash, blob: Blob): Promise<string> {
+    for (let offset = 0; offset < blob.size; offset += HASH_CHUNK_BYTES) {
+        hash.update(new Uint8Array(await blob.slice(offset, offset + HASH_CHUNK_BYTES).arrayBuffer()));
+    }
+    return hash.hexDigest();
+}
+
+export async function sha256Hex(blob: Blob): Promise<string> {
+    // One slice fits in memory anyway; WebCrypto is faster
+    if (blob.size <= HASH_CHUNK_BYTES) return toHex(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+    return hashSlices(new Sha256(), blob);
+}
+
+/** The id git gives a file's contents: sha1 of "blob <size>\0" followed by the bytes */
+export async function gitBlobSha1(blob: Blob): Promise<string> {
+    const hash = new Sha1();
+    hash.update(new TextEncoder().encode(`blob ${blob.size}\0`));
+    return hashSlices(hash, blob);
+}
+
+/**
+ * An ONNX file is a serialized ModelProto, which starts with ir_version
+ * (field 1, varint: tag byte 0x08). Catches HTML error pages and truncated
+ * or empty downloads without parsing the model.
+ */
+export async function hasOnnxHeader(blob: Blob): Promise<boolean> {
+    if (blob.size < 2) return false;
+    const head = new Uint8Array(await blob.slice(0, 1).arrayBuffer());
+    return head[0] === 0x08;
+}
+
+/**
+ * Parse sha256sum output ("<hex>  <name>" or "<hex> *<name>") and BSD-style
+ * lines ("SHA256 (<name>) = <hex>"). Names are reduced to their base name.
+ */
+export function parseChecksums(text: string): Record<string, string> {
+    const checksums: Record<string, string> = {};
+    for (const line of text.split(/\r?\n/)) {
+        const gnu = /^([0-9a-f]{64})\s+\*?(.+)$/i.exec(line.trim());
+        const bsd = /^SHA256 \((.+)\) = ([0-9a-f]{64})$/i.exec(line.trim());
+        const [name, hash] = gnu ? [gnu[2], gnu[1]] : bsd ? [bsd[1], bsd[2]] : [];
+        if (!name || !hash) continue;
+        checksums[name.trim().split(/[\\/]/).pop()!] = hash.toLowerCase();
+    }
+    return checksums;
+}
+
+export function isChecksumFile(name: string): boolean {
+    return /^sha256sums(\.txt)?$/i.test(name) || /\.sha256(sum)?$/i.test(name);
+}
+
+/**
+ * Check one file. Size comes first (cheap); hashes are only computed when
+ * the size matches and the file is under `maxHashBytes`.
+ */
+export async function verifyBlob(
+    filename: string,
+    blob: Blob,
+    expected: ManifestEntry | undefined,
+    options: VerifyOptions = {},
+): Promise<FileIntegrity> {
+    const result: FileIntegrity = { filename, status: 'unverified', size: blob.size, checks: [] };
+    const maxHashBytes = options.maxHashBytes ?? DEFAULT_MAX_HASH_BYTES;
+
+    if (blob.size === 0) {
+        return { ...result, status: 'invalid', detail: 'File is empty' };
+    }
+    if (/\.onnx$/i.test(filename)) {
+        result.checks.push('header');
+        if (!(await hasOnnxHeader(blob))) {
+            return { ...result, status: 'invalid', detail: 'Not an ONNX model' };
+        }
+    }
+    if (!expected) return result;
+
+    result.expectedSize = expected.size;
+    result.checks.push('size');
+    if (blob.size !== expected.size) {
+        return { ...result, status: 'size-mismatch', detail: `Expected ${expected.size} bytes, found ${blob.size}` };
+    }
+    if (blob.size > maxHashBytes || (!expected.sha256 && !expected.gitSha1)) {
+        return { ...result, status: 'ok' };
+    }
+
+    const [check, actual, wanted] = expected.sha256
+        ? ['sha256', await sha256Hex(blob), expected.sha256]
+        : ['git-sha1', await gitBlobSha1(blob), expected.gitSha1!];
+    result.checks.push(check);
+    if (actual !== wanted.toLowerCase()) {
+        return { ...result, status: 'hash-mismatch', detail: `${check} ${actual} does not match ${wanted}` };
+    }
+    return { ...result, status: 'ok' };
+}
+
+/**
+ * Verify sideloaded files. Checksum files in the selection (SHA256SUMS,
+ * *.sha256) provide expected hashes; without one, files are only checked for
+ * being non-empty and, for .onnx, for a valid header.
+ */
+export async function verifyLocalFiles(files: File[], options: VerifyOptions = {}): Promise<FileIntegrity[]> {
+    const checksums: Record<string, string> = {};
+    for (const file of files.filter((f) => isChecksumFile(f.name))) {
+        Object.assign(checksums, parseChecksums(await file.text()));
+    }
+
+    const results: FileIntegrity[] = [];
+    for (const file of files) {
+        if (isChecksumFile(file.name)) continue;
+        const sha256 = checksums[file.name];
+        // Without a published size, the hash is the only reference
+        const expected = sha256 ? { size: file.size, sha256 } : undefined;
+        const result = await verifyBlob(file.name, file, expected, options);
+        if (sha256 && result.status === 'ok' && !result.checks.includes('sha256')) {
+            result.status = 'unverified';
+            result.detail = 'Too large to hash';
+        }
+        results.push(result);
+    }
+    return results;
+}
+
+/** True when nothing failed (unverified files pass) */
+export function integrityPassed(results: FileIntegrity[]): boolean {
+    return results.every((r) => r.status === 'ok' || r.status === 'unverified');
+}
+
+export function describeIntegrityFailures(results: FileIntegrity[]): string {
+    return results
+        .filter((r) => r.status !== 'ok' && r.status !== 'unverified')
+        .map((r) => `${r.filename}: ${r.detail ?? r.status}`)
+        .join('; ');
+}
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for the model cache view (key parsing, per-model listing, delete, pruning).
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    ModelCache,
+    parseHubUrl,
+    parseParakeetCacheKey,
+    type CacheSourceId,
+    type CachedModelFile,
+    type ModelCacheSource,
+} from './modelCache';
+import { sha256Hex } from './integrity';
+
+/** A cache source backed by a Map, with keys in the real source's format */
+class MemorySource implements ModelCacheSource {
+    readonly files = new Map<string, Blob>();
+
+    constructor(readonly id: CacheSourceId) {}
+
+    put(repoId: string, filename: string, blob: Blob, revision = 'main') {
+        const key = this.id === 'indexeddb'
+            ? `hf-${repoId}-${revision}--${filename}`
+            : `https://huggingface.co/${repoId}/resolve/${revision}/${filename}`;
+        this.files.set(key, blob);
+    }
+
+    async list(): Promise<CachedModelFile[]> {
+        return [...this.files].flatMap(([key, blob]) => {
+            const parsed = this.id === 'indexeddb' ? parseParakeetCacheKey(key) : parseHubUrl(key);
+            return parsed ? [{ ...parsed, source: this.id, size: blob.size }] : [];
+        });
+    }
+
+    async read(key: string) {
+        return this.files.get(key) ?? null;
+    }
+
+    async remove(keys: string[]) {
+        keys.forEach((key) => this.files.delete(key));
+    }
+
+    async clear() {
+        this.files.clear();
+    }
+}
+
+const bytes = (n: number, first = 0x08) => new Blob([new Uint8Array(n).fill(1).map((b, i) => (i === 0 ? first : b))]);
+
+describe('ModelCache', () => {
+    it('parses parakeet.js cache keys despite dashes in repo ids and file names', () => {
+        expect(parseParakeetCacheKey('hf-ysdede/parakeet-tdt-0.6b-v2-onnx-main--decoder_joint-model.int8.onnx')).toEqual({
+            key: 'hf-ysdede/parakeet-tdt-0.6b-v2-onnx-main--decoder_joint-model.int8.onnx',
+            repoId: 'ysdede/parakeet-tdt-0.6b-v2-onnx',
+            revision: 'main',
+            filename: 'decoder_joint-model.int8.onnx',
+        });
+        expect(parseParakeetCacheKey('hf-me/asr-v1.2-main-onnx-encoder-model.onnx.data')).toMatchObject({
+            repoId: 'me/asr-v1.2',
+            filename: 'onnx/encoder-model.onnx.data',
+        });
+        expect(parseParakeetCacheKey('something-else')).toBeNull();
+        expect(parseHubUrl('https://huggingface.co/me/asr/resolve/v1.0/vocab.txt')).toMatchObject({
+            repoId: 'me/asr',
+            revision: 'v1.0',
+            filename: 'vocab.txt',
+        });
+        expect(parseHubUrl('https://example.com/me/asr/resolve/main/vocab.txt')).toBeNull();
+    });
+
+    it('lists cached models per repo across sources and deletes one model', async () => {
+        const idb = new MemorySource('indexeddb');
+        const sw = new MemorySource('cache-storage');
+        idb.put('ysdede/parakeet-tdt-0.6b-v2-onnx', 'encoder-model.int8.onnx', bytes(300));
+        idb.put('ysdede/parakeet-tdt-0.6b-v2-onnx', 'vocab.txt', bytes(20, 0x61));
+        sw.put('ysdede/parakeet-tdt-0.6b-v2-onnx', 'encoder-model.int8.onnx', bytes(300));
+        idb.put('istupakov/parakeet-tdt-0.6b-v3-onnx', 'encoder-model.int8.onnx', bytes(100));
+        const cache = new ModelCache([idb, sw]);
+
+        const models = await cache.listModels();
+        expect(models.map((m) => [m.repoId, m.bytes, m.files.length])).toEqual([
+            ['ysdede/parakeet-tdt-0.6b-v2-onnx', 620, 3],
+            ['istupakov/parakeet-tdt-0.6b-v3-onnx', 100, 1],
+        ]);
+
+        expect(await cache.deleteModel('ysdede/parakeet-tdt-0.6b-v2-onnx')).toBe(620);
+        expect(sw.files.size).toBe(0);
+        expect((await cache.listModels()).map((m) => m.repoId)).toEqual(['istupakov/parakeet-tdt-0.6b-v3-onnx']);
+    });
+
+    it('keeps listing when a source fails', async () => {
+        const idb = new MemorySource('indexeddb');
+        idb.put('me/asr', 'vocab.txt', bytes(4, 0x61));
+        const broken: ModelCacheSource = {
+            id: 'cache-storage',
+            list: async () => { throw new Error('SecurityError'); },
+            read: async () => null,
+            remove: async () => {},
+            clear: async () => {},
+        };
+        expect(await new ModelCache([idb, broken]).listFiles()).toHaveLength(1);
+    });
+
+    it('prunes files whose size no longer matches the manifest and verifies hashes', async () => {
+        const idb = new MemorySource('indexeddb');
+        const encoder = bytes(64);
+        idb.put('me/asr', 'encoder-model.onnx', encoder);
+        idb.put('me/asr', 'decoder_joint-model.onnx', bytes(10)); // truncated
+        idb.put('me/asr', 'encoder-model.onnx', bytes(10), 'v1');
+        const cache = new ModelCache([idb]);
+        const manifest = {
+            'encoder-model.onnx': { size: 64, sha256: await sha256Hex(encoder) },
+            'decoder_joint-model.onnx': { size: 32 },
+        };
+
+        const results = await cache.verifyModel('me/asr', manifest, { revision: 'main' });
+        expect(results.map((r) => [r.filename, r.status])).toEqual([
+            ['encoder-model.onnx', 'ok'],
+            ['decoder_joint-model.onnx', 'size-mismatch'],
+        ]);
+
+        const pruned = await cache.pruneMismatched('me/asr', 'main', manifest);
+        expect(pruned.map((f) => f.filename)).toEqual(['decoder_joint-model.onnx']);
+        // Other revisions are left alone
+        expect((await cache.listFiles()).map((f) => `${f.revision}:${f.filename}`)).toEqual([
+            'main:encoder-model.onnx',
+            'v1:encoder-model.onnx',
+        ]);
+    });
+});
@@ -0,0 +1,317 @@
+/**
+ * Keet - Model Cache
+ *
+ * Downloaded model files live in two places: parakeet.js's IndexedDB store
+ * (the copy the model is loaded from) and the service worker's Cache Storage
+ * (sw.js caches the same Hub responses on the way through). This module lists
+ * both per repo, deletes a single model from both, and checks cached files
+ * against the repo manifest.
+ */
+
+import { verifyBlob, type FileIntegrity, type RepoManifest, type VerifyOptions } from './integrity';
+
+export const PARAKEET_DB_NAME = 'parakeet-cache-db';
+const PARAKEET_DB_VERSION = 1;
+const PARAKEET_STORE = 'file-store';
+/** Must match MODEL_CACHE in public/sw.js */
+export const SW_MODEL_CACHE = 'keet-models-v1';
+
+export type CacheSourceId = 'indexeddb' | 'cache-storage';
+
+export interface CachedModelFile {
+    source: CacheSourceId;
+    /** Key within the source (IndexedDB key or request URL) */
+    key: string;
+    repoId: string;
+    revision: string;
+    filename: string;
+    size: number;
+}
+
+export interface CachedModel {
+    repoId: string;
+    files: CachedModelFile[];
+    /** Sum over all files and sources */
+    bytes: number;
+}
+
+export interface ModelCacheSource {
+    readonly id: CacheSourceId;
+    list(): Promise<CachedModelFile[]>;
+    read(key: string): Promise<Blob | null>;
+    remove(keys: string[]): Promise<void>;
+    /** Remove everything in the source */
+    clear(): Promise<void>;
+}
+
+export interface StorageEstimate {
+    usage: number;
+    quota: number;
+    persisted: boolean;
+}
+
+const MODEL_FILE = '(?:encoder|decoder|vocab|nemo|tokenizer|config)[^/]*';
+
+/**
+ * Split a parakeet.js cache key, `hf-${repoId}-${revision}-${subfolder}-${filename}`.
+ * The separators are ambiguous ('-' appears in repo ids and file names), so
+ * the file name must look like a model file and the revision (a branch, tag or
+ * commit) is assumed to contain no '-'.
+ */
+export function parseParakeetCacheKey(key: string): Omit<CachedModelFile, 'source' | 'size'> | null {
+    const match = new RegExp(`^hf-([^/]+/.+?)-([^-/]+)-([^-]*)-(${MODEL_FILE})$`).exec(key);
+    if (!match) return null;
+    const [, repoId, revision, subfolder, filename] = match;
+    return { key, repoId, revision, filename: subfolder ? `${subfolder}/${filename}` : filename };
+}
+
+/** Split a Hub download URL, https://huggingface.co/<owner>/<repo>/resolve/<revision>/<path> */
+export function parseHubUrl(url: string): Omit<CachedModelFile, 'source' | 'size'> | null {
+    const match = /^https:\/\/huggingface\.co\/([^/]+\/[^/]+)\/resolve\/([^/]+)\/([^?#]+)/.exec(url);
+    if (!match) return null;
+    const [, repoId, revision, filename] = match;
+    return { key: url, repoId, revision: decodeURIComponent(revision), filename: decodeURIComponent(filename) };
+}
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error ?? new Error('IndexedDB request failed'));
+    });
+}
+
+/** parakeet.js's Hub cache: Blobs keyed by parseParakeetCacheKey()'s format */
+export class ParakeetIndexedDbSource implements ModelCacheSource {
+    readonly id = 'indexeddb' as const;
+    private dbPromise: Promise<IDBDatabase> | null = null;
+
+    private open(): Promise<IDBDatabase> {
+        if (this.dbPromise) return this.dbPromise;
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        this.dbPromise = new Promise<IDBDatabase>((resolve, reject) => {
+            const request = indexedDB.open(PARAKEET_DB_NAME, PARAKEET_DB_VERSION);
+            // Same schema parakeet.js creates, in case we open it first
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(PARAKEET_STORE)) {
+                    request.result.createObjectStore(PARAKEET_STORE);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Don't block deleteDatabase() in clear() or in the worker's recovery path
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error ?? new Error('Failed to open model cache database'));
+            };
+        });
+        return this.dbPromise;
+    }
+
+    private async store(mode: IDBTransactionMode): Promise<IDBObjectStore> {
+        const db = await this.open();
+        return db.transaction(PARAKEET_STORE, mode).objectStore(PARAKEET_STORE);
+    }
+
+    async list(): Promise<CachedModelFile[]> {
+        const store = await this.store('readonly');
+        return new Promise((resolve, reject) => {
+            const files: CachedModelFile[] = [];
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve(files);
+                const parsed = parseParakeetCacheKey(String(cursor.key));
+                const value = cursor.value as Blob | undefined;
+                if (parsed) files.push({ ...parsed, source: this.id, size: value?.size ?? 0 });
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error ?? new Error('Failed to list model cache'));
+        });
+    }
+
+    async read(key: string): Promise<Blob | null> {
+        const value = await promisify((await this.store('readonly')).get(key));
+        return value instanceof Blob ? value : null;
+    }
+
+    async remove(keys: string[]): Promise<void> {
+        if (keys.length === 0) return;
+        const store = await this.store('readwrite');
+        await Promise.all(keys.map((key) => promisify(store.delete(key))));
+    }
+
+    async clear(): Promise<void> {
+        if (typeof indexedDB === 'undefined') return;
+        const db = await this.dbPromise?.catch(() => null);
+        db?.close();
+        this.dbPromise = null;
+
+        await new Promise<void>((resolve) => {
+            const request = indexedDB.deleteDatabase(PARAKEET_DB_NAME);
+            request.onsuccess = () => resolve();
+            request.onerror = () => {
+                console.warn('[ModelCache] Failed to clear parakeet IndexedDB cache');
+                resolve();
+            };
+            request.onblocked = () => {
+                console.warn('[ModelCache] Parakeet IndexedDB cache clear blocked');
+                resolve();
+            };
+        });
+    }
+}
+
+/** The service worker's copy of Hub responses */
+export class ServiceWorkerCacheSource implements ModelCacheSource {
+    readonly id = 'cache-storage' as const;
+
+    constructor(private cacheName: string = SW_MODEL_CACHE) {}
+
+    private async open(): Promise<Cache | null> {
+        if (typeof caches === 'undefined' || !(await caches.has(this.cacheName))) return null;
+        return caches.open(this.cacheName);
+    }
+
+    async list(): Promise<CachedModelFile[]> {
+        const cache = await this.open();
+        if (!cache) return [];
+        const files: CachedModelFile[] = [];
+        for (const request of await cache.keys()) {
+            const parsed = parseHubUrl(request.url);
+            if (!parsed) continue;
+            // Content-Length avoids reading the body; opaque responses have none
+            const response = await cache.match(request);
+            const size = Number(response?.headers.get('content-length') ?? 0);
+            files.push({ ...parsed, source: this.id, size: Number.isFinite(size) ? size : 0 });
+        }
+        return files;
+    }
+
+    async read(key: string): Promise<Blob | null> {
+        const response = await (await this.open())?.match(key);
+        return response ? response.blob() : null;
+    }
+
+    async remove(keys: string[]): Promise<void> {
+        const cache = await this.open();
+        if (!cache) return;
+        await Promise.all(keys.map((key) => cache.delete(key)));
+    }
+
+    async clear(): Promise<void> {
+        if (typeof caches !== 'undefined') await caches.delete(this.cacheName);
+    }
+}
+
+export function createDefaultCacheSources(): ModelCacheSource[] {
+    return [new ParakeetIndexedDbSource(), new ServiceWorkerCacheSource()];
+}
+
+export class ModelCache {
+    private sources: ModelCacheSource[];
+
+    constructor(sources: ModelCacheSource[] = createDefaultCacheSources()) {
+        this.sources = sources;
+    }
+
+    /** Every cached model file; a source that cannot be read is skipped. */
+    async listFiles(): Promise<CachedModelFile[]> {
+        const lists = await Promise.all(this.sources.map((source) =>
+            source.list().catch((err) => {
+                console.warn(`[ModelCache] Cannot list ${source.id}:`, err);
+                return [];
+            })
+        ));
+        return lists.flat();
+    }
+
+    /** Cached files grouped by repo, largest first. */
+    async listModels(): Promise<CachedModel[]> {
+        const byRepo = new Map<string, CachedModel>();
+        for (const file of await this.listFiles()) {
+            const model = byRepo.get(file.repoId) ?? { repoId: file.repoId, files: [], bytes: 0 };
+            model.files.push(file);
+            model.bytes += file.size;
+            byRepo.set(file.repoId, model);
+        }
+        return [...byRepo.values()].sort((a, b) => b.bytes - a.bytes);
+    }
+
+    /** Remove cached files from their sources. */
+    async removeFiles(files: CachedModelFile[]): Promise<void> {
+        await Promise.all(this.sources.map((source) =>
+            source.remove(files.filter((f) => f.source === source.id).map((f) => f.key))
+        ));
+    }
+
+    /** Delete every cached file of a repo (all revisions, all sources). Returns the bytes freed. */
+    async deleteModel(repoId: string): Promise<number> {
+        const files = (await this.listFiles()).filter((f) => f.repoId === repoId);
+        await this.removeFiles(files);
+        return files.reduce((sum, f) => sum + f.size, 0);
+    }
+
+    async clear(): Promise<void> {
+        await Promise.all(this.sources.map((source) => source.clear()));
+    }
+
+    /**
+     * Check a repo's cached files against its manifest. Files missing from
+     * the manifest are checked structurally only.
+     */
+    async verifyModel(
+        repoId: string,
+        manifest: RepoManifest,
+        options: VerifyOptions & { revision?: string } = {},
+    ): Promise<Array<FileIntegrity & { source: CacheSourceId }>> {
+        const files = (await this.listFiles()).filter((f) =>
+            f.repoId === repoId && (!options.revision || f.revision === options.revision)
+        );
+        const results: Array<FileIntegrity & { source: CacheSourceId }> = [];
+        for (const file of files) {
+            const source = this.sources.find((s) => s.id === file.source)!;
+            const blob = await source.read(file.key);
+            if (!blob) continue;
+            results.push({ ...(await verifyBlob(file.filename, blob, manifest[file.filename], options)), source: file.source });
+        }
+        return results;
+    }
+
+    /**
+     * Remove cached files of repo@revision whose size differs from the
+     * manifest, so the next load downloads them again instead of feeding a
+     * truncated file to ONNX Runtime. Returns the files removed.
+     */
+    async pruneMismatched(repoId: string, revision: string, manifest: RepoManifest): Promise<CachedModelFile[]> {
+        const stale = (await this.listFiles()).filter((f) =>
+            f.repoId === repoId
+            && f.revision === revision
+            && manifest[f.filename] !== undefined
+            // Cache Storage sizes come from Content-Length and may be unknown
+            && (f.size > 0 || f.source === 'indexeddb')
+            && f.size !== manifest[f.filename].size
+        );
+        if (stale.length > 0) {
+            console.warn('[ModelCache] Removing cached files that do not match the repo:', stale.map((f) => `${f.source}:${f.filename}`));
+            await this.removeFiles(stale);
+        }
+        return stale;
+    }
+}
+
+/** Storage used and available to this origin, or null where the API is missing. */
+export async function getStorageEstimate(): Promise<StorageEstimate | null> {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const persisted = (await navigator.storage.persisted?.().catch(() => false)) ?? false;
+    return { usage, quota, persisted };
+}
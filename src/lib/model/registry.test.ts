@@ -0,0 +1,111 @@
+/**
+ * Unit tests for the model registry, quantization resolution and registry persistence.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    BUILTIN_MODELS,
+    createCustomModel,
+    getModelDisplayName,
+    modelFilenames,
+    parseRepoId,
+    resolveQuant,
+    toLoadOptions,
+} from './registry';
+import {
+    listModels,
+    loadModelRegistry,
+    sanitizeModelRegistry,
+    saveModelRegistry,
+    MODEL_REGISTRY_STORAGE_KEY,
+    MODEL_REGISTRY_VERSION,
+} from './registryStorage';
+
+const memoryStorage = () => {
+    const data = new Map<string, string>();
+    return { getItem: (k: string) => data.get(k) ?? null, setItem: (k: string, v: string) => void data.set(k, v) };
+};
+
+describe('model registry', () => {
+    it('accepts repo ids and Hub URLs', () => {
+        expect(parseRepoId(' me/parakeet-tdt-1.1b-onnx ')).toBe('me/parakeet-tdt-1.1b-onnx');
+        expect(parseRepoId('https://huggingface.co/me/my.model/tree/main')).toBe('me/my.model');
+        expect(parseRepoId('no-owner')).toBeNull();
+        expect(parseRepoId('a/b/c')).toBeNull();
+        expect(parseRepoId('../etc')).toBeNull();
+    });
+
+    it('resolves auto quantization per backend and never loads an int8 encoder on WebGPU', () => {
+        expect(resolveQuant('auto', 'auto', 'wasm')).toEqual({ encoder: 'int8', decoder: 'int8' });
+        expect(resolveQuant('auto', 'auto', 'webgpu')).toEqual({ encoder: 'fp32', decoder: 'int8' });
+        expect(resolveQuant('int8', 'fp16', 'webgpu')).toEqual({ encoder: 'fp32', decoder: 'fp16' });
+        expect(resolveQuant('fp16', 'fp32', 'wasm')).toEqual({ encoder: 'fp16', decoder: 'fp32' });
+    });
+
+    it('names variant files in the parakeet.js layout', () => {
+        expect(modelFilenames({ encoder: 'fp32', decoder: 'int8' })).toEqual({
+            encoder: 'encoder-model.onnx',
+            decoder: 'decoder_joint-model.int8.onnx',
+            tokenizer: 'vocab.txt',
+        });
+        expect(modelFilenames({ encoder: 'fp16', decoder: 'fp16' }).encoder).toBe('encoder-model.fp16.onnx');
+    });
+
+    it('builds load options and display names from entries', () => {
+        const custom = { ...createCustomModel('me/asr-onnx', 'My ASR'), encoderQuant: 'fp16' as const };
+        expect(toLoadOptions(custom)).toEqual({
+            modelId: 'me/asr-onnx',
+            repoId: 'me/asr-onnx',
+            revision: 'main',
+            encoderQuant: 'fp16',
+            decoderQuant: 'auto',
+        });
+        expect(getModelDisplayName([...BUILTIN_MODELS, custom], 'me/asr-onnx')).toBe('My ASR');
+        expect(getModelDisplayName(BUILTIN_MODELS, 'gone/model')).toBe('gone/model');
+    });
+});
+
+describe('model registry storage', () => {
+    it('round-trips custom models and built-in quantization', () => {
+        const storage = memoryStorage();
+        const registry = {
+            version: MODEL_REGISTRY_VERSION,
+            custom: [createCustomModel('me/asr-onnx')],
+            quant: { 'parakeet-tdt-0.6b-v3': { encoderQuant: 'fp16' as const, decoderQuant: 'fp32' as const } },
+        };
+        saveModelRegistry(registry, storage);
+
+        expect(JSON.parse(storage.getItem(MODEL_REGISTRY_STORAGE_KEY)!).version).toBe(MODEL_REGISTRY_VERSION);
+        const loaded = loadModelRegistry(storage);
+        expect(loaded).toEqual(registry);
+
+        const models = listModels(loaded);
+        expect(models.map((m) => m.id)).toEqual(['parakeet-tdt-0.6b-v2', 'parakeet-tdt-0.6b-v3', 'me/asr-onnx']);
+        expect(models[1]).toMatchObject({ name: 'Parakeet v3', encoderQuant: 'fp16', decoderQuant: 'fp32', builtIn: true });
+    });
+
+    it('drops invalid, duplicate and built-in-shadowing entries', () => {
+        const registry = sanitizeModelRegistry({
+            custom: [
+                { repoId: 'me/asr-onnx', encoderQuant: 'int4', builtIn: true },
+                { repoId: 'me/asr-onnx', name: 'Again' },
+                { repoId: 'ysdede/parakeet-tdt-0.6b-v2-onnx' },
+                { repoId: 'not a repo' },
+                null,
+            ],
+            quant: { 'parakeet-tdt-0.6b-v2': { encoderQuant: 'bogus', decoderQuant: 'fp16' }, 'me/asr-onnx': { encoderQuant: 'fp32' } },
+        });
+        expect(registry.custom).toHaveLength(1);
+        expect(registry.custom[0]).toEqual(createCustomModel('me/asr-onnx'));
+        expect(registry.quant).toEqual({ 'parakeet-tdt-0.6b-v2': { encoderQuant: 'auto', decoderQuant: 'fp16' } });
+    });
+
+    it('falls back to an empty registry on unreadable storage', () => {
+        const storage = memoryStorage();
+        storage.setItem(MODEL_REGISTRY_STORAGE_KEY, '{oops');
+        expect(loadModelRegistry(storage)).toEqual({ version: MODEL_REGISTRY_VERSION, custom: [], quant: {} });
+        expect(listModels(loadModelRegistry(null))).toHaveLength(BUILTIN_MODELS.length);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * Keet - Model Registry
+ *
+ * The ASR models the app can load: the built-in Parakeet repos plus any
+ * Hugging Face repo the user registers, each with the quantization to load
+ * for the encoder and the decoder. Repos must follow the parakeet.js ONNX
+ * layout (encoder-model[.int8|.fp16].onnx, decoder_joint-model[...].onnx,
+ * vocab.txt, optional .onnx.data files).
+ */
+
+import type { BackendType } from './types';
+
+export type ModelQuant = 'fp32' | 'int8' | 'fp16';
+/** 'auto': fp32 encoder on WebGPU and int8 on WASM; int8 decoder */
+export type QuantChoice = 'auto' | ModelQuant;
+
+export const QUANT_CHOICES: readonly QuantChoice[] = ['auto', 'fp32', 'int8', 'fp16'];
+
+export interface ModelEntry {
+    /** Registry id: a parakeet.js model key for built-ins, the repo id for custom models */
+    id: string;
+    name: string;
+    description: string;
+    /** Hugging Face repo, e.g. 'istupakov/parakeet-tdt-0.6b-v3-onnx' */
+    repoId: string;
+    revision: string;
+    encoderQuant: QuantChoice;
+    decoderQuant: QuantChoice;
+    builtIn?: boolean;
+}
+
+/** Everything the worker needs to fetch and load a registry model */
+export interface ModelLoadOptions {
+    modelId: string;
+    repoId: string;
+    revision?: string;
+    encoderQuant?: QuantChoice;
+    decoderQuant?: QuantChoice;
+    /** Force a backend; WebGPU is used when available if unset */
+    backend?: BackendType;
+}
+
+export const DEFAULT_MODEL_ID = 'parakeet-tdt-0.6b-v2';
+
+export const BUILTIN_MODELS: readonly ModelEntry[] = [
+    {
+        id: 'parakeet-tdt-0.6b-v2',
+        name: 'Parakeet v2',
+        description: 'English optimized',
+        repoId: 'ysdede/parakeet-tdt-0.6b-v2-onnx',
+        revision: 'main',
+        encoderQuant: 'auto',
+        decoderQuant: 'auto',
+        builtIn: true,
+    },
+    {
+        id: 'parakeet-tdt-0.6b-v3',
+        name: 'Parakeet v3',
+        description: 'Multilingual Streaming',
+        repoId: 'istupakov/parakeet-tdt-0.6b-v3-onnx',
+        revision: 'main',
+        encoderQuant: 'auto',
+        decoderQuant: 'auto',
+        builtIn: true,
+    },
+];
+
+const REPO_ID = /^[A-Za-z0-9][\w.-]*\/[A-Za-z0-9][\w.-]*$/;
+
+/** Accepts 'owner/name' or a huggingface.co URL of the repo; null when neither. */
+export function parseRepoId(input: string): string | null {
+    let value = input.trim();
+    const url = /^https?:\/\/(?:www\.)?huggingface\.co\/([^/?#]+\/[^/?#]+)/.exec(value);
+    if (url) value = url[1];
+    return REPO_ID.test(value) ? value : null;
+}
+
+/** A registry entry for a user-supplied repo (named after the repo unless a name is given). */
+export function createCustomModel(repoId: string, name?: string): ModelEntry {
+    return {
+        id: repoId,
+        name: name?.trim() || repoId.split('/')[1],
+        description: repoId,
+        repoId,
+        revision: 'main',
+        encoderQuant: 'auto',
+        decoderQuant: 'auto',
+    };
+}
+
+export function findModel(models: readonly ModelEntry[], id: string): ModelEntry | undefined {
+    return models.find((m) => m.id === id);
+}
+
+export function getModelDisplayName(models: readonly ModelEntry[], id: string): string {
+    return (findModel(models, id)?.name ?? id) || 'Unknown model';
+}
+
+/** The model registered for a repo, if any (used to label cache entries). */
+export function findModelByRepo(models: readonly ModelEntry[], repoId: string): ModelEntry | undefined {
+    return models.find((m) => m.repoId === repoId);
+}
+
+export function toLoadOptions(model: ModelEntry): ModelLoadOptions {
+    const { id: modelId, repoId, revision, encoderQuant, decoderQuant } = model;
+    return { modelId, repoId, revision, encoderQuant, decoderQuant };
+}
+
+/**
+ * The quantization actually loaded on a backend. WebGPU cannot run the int8
+ * encoder, so it gets fp32 instead.
+ */
+export function resolveQuant(
+    encoder: QuantChoice = 'auto',
+    decoder: QuantChoice = 'auto',
+    backend: BackendType,
+): { encoder: ModelQuant; decoder: ModelQuant } {
+    let encoderQuant: ModelQuant = encoder === 'auto' ? (backend === 'webgpu' ? 'fp32' : 'int8') : encoder;
+    if (backend === 'webgpu' && encoderQuant === 'int8') encoderQuant = 'fp32';
+    return { encoder: encoderQuant, decoder: decoder === 'auto' ? 'int8' : decoder };
+}
+
+const QUANT_SUFFIX: Record<ModelQuant, string> = { fp32: '', int8: '.int8', fp16: '.fp16' };
+
+/** File names of a quantization variant in the parakeet.js repo layout. */
+export function modelFilenames(quant: { encoder: ModelQuant; decoder: ModelQuant }): { encoder: string; decoder: string; tokenizer: string } {
+    return {
+        encoder: `encoder-model${QUANT_SUFFIX[quant.encoder]}.onnx`,
+        decoder: `decoder_joint-model${QUANT_SUFFIX[quant.decoder]}.onnx`,
+        tokenizer: 'vocab.txt',
+    };
+}
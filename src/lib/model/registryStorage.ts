@@ -0,0 +1,98 @@
+/**
+ * Keet - Model Registry Persistence
+ *
+ * Custom models and the quantization picked for each model (built-ins
+ * included) are kept in localStorage. Built-in entries themselves are not
+ * stored, so name or repo changes in a new build reach existing users.
+ */
+
+import { BUILTIN_MODELS, QUANT_CHOICES, parseRepoId, type ModelEntry, type QuantChoice } from './registry';
+
+export const MODEL_REGISTRY_STORAGE_KEY = 'keet-models';
+export const MODEL_REGISTRY_VERSION = 1;
+
+type StorageLike = Pick<Storage, 'getItem' | 'setItem'>;
+
+const defaultStorage = (): StorageLike | null => (typeof localStorage !== 'undefined' ? localStorage : null);
+
+export interface ModelQuantSelection {
+    encoderQuant: QuantChoice;
+    decoderQuant: QuantChoice;
+}
+
+export interface StoredModelRegistry {
+    version: number;
+    custom: ModelEntry[];
+    /** Quantization by model id, for built-in models */
+    quant: Record<string, ModelQuantSelection>;
+}
+
+const isQuant = (value: unknown): value is QuantChoice => QUANT_CHOICES.includes(value as QuantChoice);
+
+function sanitizeCustomModel(value: unknown): ModelEntry | null {
+    if (!value || typeof value !== 'object') return null;
+    const raw = value as Record<string, unknown>;
+    const repoId = typeof raw.repoId === 'string' ? parseRepoId(raw.repoId) : null;
+    if (!repoId) return null;
+    return {
+        id: repoId,
+        name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : repoId.split('/')[1],
+        description: typeof raw.description === 'string' ? raw.description : repoId,
+        repoId,
+        revision: typeof raw.revision === 'string' && raw.revision.trim() ? raw.revision.trim() : 'main',
+        encoderQuant: isQuant(raw.encoderQuant) ? raw.encoderQuant : 'auto',
+        decoderQuant: isQuant(raw.decoderQuant) ? raw.decoderQuant : 'auto',
+    };
+}
+
+/** Keep valid custom models (one per repo, none shadowing a built-in) and quant selections. */
+export function sanitizeModelRegistry(value: unknown): StoredModelRegistry {
+    const result: StoredModelRegistry = { version: MODEL_REGISTRY_VERSION, custom: [], quant: {} };
+    if (!value || typeof value !== 'object') return result;
+    const raw = value as Record<string, unknown>;
+
+    const taken = new Set(BUILTIN_MODELS.map((m) => m.repoId));
+    for (const entry of Array.isArray(raw.custom) ? raw.custom : []) {
+        const model = sanitizeCustomModel(entry);
+        if (!model || taken.has(model.repoId)) continue;
+        taken.add(model.repoId);
+        result.custom.push(model);
+    }
+
+    const quant = raw.quant && typeof raw.quant === 'object' ? (raw.quant as Record<string, unknown>) : {};
+    for (const model of BUILTIN_MODELS) {
+        const selection = quant[model.id] as Partial<ModelQuantSelection> | undefined;
+        if (!selection || typeof selection !== 'object') continue;
+        result.quant[model.id] = {
+            encoderQuant: isQuant(selection.encoderQuant) ? selection.encoderQuant : 'auto',
+            decoderQuant: isQuant(selection.decoderQuant) ? selection.decoderQuant : 'auto',
+        };
+    }
+    return result;
+}
+
+export function loadModelRegistry(storage: StorageLike | null = defaultStorage()): StoredModelRegistry {
+    try {
+        const raw = storage?.getItem(MODEL_REGISTRY_STORAGE_KEY);
+        if (raw) return sanitizeModelRegistry(JSON.parse(raw));
+    } catch (err) {
+        console.warn('[ModelRegistry] Failed to load registry:', err);
+    }
+    return sanitizeModelRegistry(null);
+}
+
+export function saveModelRegistry(registry: StoredModelRegistry, storage: StorageLike | null = defaultStorage()): void {
+    try {
+        storage?.setItem(MODEL_REGISTRY_STORAGE_KEY, JSON.stringify({ ...registry, version: MODEL_REGISTRY_VERSION }));
+    } catch (err) {
+        console.warn('[ModelRegistry] Failed to save registry:', err);
+    }
+}
+
+/** Built-ins (with their stored quantization) followed by custom models. */
+export function listModels(registry: StoredModelRegistry): ModelEntry[] {
+    return [
+        ...BUILTIN_MODELS.map((m) => ({ ...m, ...registry.quant[m.id] })),
+        ...registry.custom,
+    ];
+}
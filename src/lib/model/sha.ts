@@ -0,0 +1,150 @@
+/**
+ * Keet - Incremental SHA-1 / SHA-256
+ *
+ * crypto.subtle.digest only hashes a whole buffer, which for a model file
+ * means holding all of it in memory (twice, for git blob ids). These hash
+ * state machines take the data in pieces, so files can be read a slice at a
+ * time with constant memory.
+ */
+
+/** A hash that is fed bytes in any number of pieces. */
+export interface IncrementalHash {
+    update(data: Uint8Array): void;
+    /** Finish and return the digest as lowercase hex (the hash cannot be updated after) */
+    hexDigest(): string;
+}
+
+const BLOCK_BYTES = 64;
+
+/** Block buffering and Merkle–Damgård padding shared by SHA-1 and SHA-256. */
+abstract class BlockHash implements IncrementalHash {
+    private block = new Uint8Array(BLOCK_BYTES);
+    private blockView = new DataView(this.block.buffer);
+    private blockLength = 0;
+    private totalBytes = 0;
+    protected words: Uint32Array;
+
+    constructor(words: number) {
+        this.words = new Uint32Array(words);
+    }
+
+    protected abstract compress(block: DataView, offset: number): void;
+    protected abstract state(): Uint32Array;
+
+    update(data: Uint8Array): void {
+        this.totalBytes += data.length;
+        let offset = 0;
+        if (this.blockLength > 0) {
+            const take = Math.min(BLOCK_BYTES - this.blockLength, data.length);
+            this.block.set(data.subarray(0, take), this.blockLength);
+            this.blockLength += take;
+            offset = take;
+            if (this.blockLength < BLOCK_BYTES) return;
+            this.compress(this.blockView, 0);
+            this.blockLength = 0;
+        }
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        for (; offset + BLOCK_BYTES <= data.length; offset += BLOCK_BYTES) this.compress(view, offset);
+        this.block.set(data.subarray(offset), 0);
+        this.blockLength = data.length - offset;
+    }
+
+    hexDigest(): string {
+        const bitLength = this.totalBytes * 8;
+        this.block[this.blockLength++] = 0x80;
+        if (this.blockLength > BLOCK_BYTES - 8) {
+            this.block.fill(0, this.blockLength);
+            this.compress(this.blockView, 0);
+            this.blockLength = 0;
+        }
+        this.block.fill(0, this.blockLength);
+        // 64-bit big-endian length; files stay far below 2^53 bits
+        this.blockView.setUint32(BLOCK_BYTES - 8, Math.floor(bitLength / 0x100000000));
+        this.blockView.setUint32(BLOCK_BYTES - 4, bitLength >>> 0);
+        this.compress(this.blockView, 0);
+        return Array.from(this.state(), (w) => w.toString(16).padStart(8, '0')).join('');
+    }
+}
+
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+export class Sha256 extends BlockHash {
+    private h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+
+    constructor() {
+        super(64);
+    }
+
+    protected state(): Uint32Array {
+        return this.h;
+    }
+
+    protected compress(block: DataView, offset: number): void {
+        const w = this.words;
+        for (let i = 0; i < 16; i++) w[i] = block.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const a = w[i - 15];
+            const b = w[i - 2];
+            const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+            const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        const h = this.h;
+        let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], k = h[7];
+        for (let i = 0; i < 64; i++) {
+            const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const t1 = (k + s1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+            const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            k = g; g = f; f = e; e = (d + t1) | 0;
+            d = c; c = b; b = a; a = (t1 + t2) | 0;
+        }
+        h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+        h[4] += e; h[5] += f; h[6] += g; h[7] += k;
+    }
+}
+
+export class Sha1 extends BlockHash {
+    private h = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]);
+
+    constructor() {
+        super(80);
+    }
+
+    protected state(): Uint32Array {
+        return this.h;
+    }
+
+    protected compress(block: DataView, offset: number): void {
+        const w = this.words;
+        for (let i = 0; i < 16; i++) w[i] = block.getUint32(offset + i * 4);
+        for (let i = 16; i < 80; i++) {
+            const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+            w[i] = (x << 1) | (x >>> 31);
+        }
+
+        const h = this.h;
+        let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4];
+        for (let i = 0; i < 80; i++) {
+            let f: number;
+            let k: number;
+            if (i < 20) { f = (b & c) | (~b & d); k = 0x5a827999; }
+            else if (i < 40) { f = b ^ c ^ d; k = 0x6ed9eba1; }
+            else if (i < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8f1bbcdc; }
+            else { f = b ^ c ^ d; k = 0xca62c1d6; }
+            const t = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) | 0;
+            e = d; d = c; c = (b << 30) | (b >>> 2); b = a; a = t;
+        }
+        h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e;
+    }
+}
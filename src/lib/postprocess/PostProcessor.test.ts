@@ -0,0 +1,228 @@
+/**
+ * Unit tests for post-processing: prompt templates, batching, the chat
+ * client (streamed and JSON answers, errors), cancel and settings storage.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+import { chatCompletion, checkEndpoint, isLoopbackEndpoint, listModels, normalizeEndpoint, type FetchLike } from './chatClient';
+import { PostProcessor, batchSentences, renderPrompt } from './PostProcessor';
+import { defaultPostProcess, loadPostProcess, sanitizePostProcess, savePostProcess } from './postProcessStorage';
+import type { PostProcessResult, PromptTemplate } from './types';
+
+function sentence(id: string, text: string, extra: Partial<MergerSentence> = {}): MergerSentence {
+    return {
+        id,
+        text,
+        startTime: 0,
+        endTime: 1,
+        startWordIndex: 0,
+        endWordIndex: 0,
+        wordCount: text.split(' ').length,
+        words: [],
+        detectionMethod: 'test',
+        isMature: true,
+        ...extra,
+    };
+}
+
+/** Response with a server-sent event body, delivered in the given chunks. */
+function sseResponse(chunks: string[]) {
+    const encoder = new TextEncoder();
+    return {
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'content-type': 'text/event-stream' }),
+        body: new ReadableStream<Uint8Array<ArrayBuffer>>({
+            start(controller) {
+                for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+                controller.close();
+            },
+        }),
+        json: async () => ({}),
+        text: async () => '',
+    };
+}
+
+function jsonResponse(payload: unknown, status = 200) {
+    return {
+        ok: status < 400,
+        status,
+        headers: new Headers({ 'content-type': 'application/json' }),
+        body: null,
+        json: async () => payload,
+        text: async () => JSON.stringify(payload),
+    };
+}
+
+const chunk = (content: string) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+describe('post-processing prompts', () => {
+    const template: PromptTemplate = { id: 't', name: 'T', scope: 'batch', system: 'Part {{batch}} of {{ batches }}', user: 'Fix:\n{{transcript}}' };
+
+    it('should fill placeholders and append the transcript when the template has none', () => {
+        expect(renderPrompt(template, 'hello there', 2, 3)).toEqual([
+            { role: 'system', content: 'Part 2 of 3' },
+            { role: 'user', content: 'Fix:\nhello there' },
+        ]);
+        expect(renderPrompt({ ...template, system: ' ', user: 'Summarize.' }, 'text')).toEqual([
+            { role: 'user', content: 'Summarize.\n\ntext' },
+        ]);
+    });
+
+    it('should batch non-empty sentences', () => {
+        const sentences = ['a', ' ', 'b', 'c', 'd'].map((t, i) => sentence(`s${i}`, t));
+        expect(batchSentences(sentences, 2).map((b) => b.map((s) => s.text))).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+});
+
+describe('chat client', () => {
+    it('should accept endpoints on this device only', () => {
+        expect(checkEndpoint('http://localhost:11434/v1')).toBeNull();
+        expect(checkEndpoint('http://127.0.0.1:8080/v1')).toBeNull();
+        expect(checkEndpoint('http://[::1]:8080/v1')).toBeNull();
+        expect(checkEndpoint('https://api.example.com/v1')).toMatch(/not on this device/);
+        expect(checkEndpoint('http://192.168.1.5:11434/v1')).toMatch(/192\.168\.1\.5:11434 is not on this device/);
+        expect(isLoopbackEndpoint('http://192.168.1.5:11434/v1')).toBe(false);
+        expect(isLoopbackEndpoint('http://[::1]:11434/v1')).toBe(true);
+        expect(checkEndpoint('ftp://localhost')).toMatch(/http/);
+        expect(checkEndpoint('localhost:8080')).not.toBeNull();
+        expect(normalizeEndpoint(' http://localhost:8080/v1/chat/completions/ ')).toBe('http://localhost:8080/v1');
+    });
+
+    it('should stream deltas across chunk boundaries and send the request fields', async () => {
+        const requests: Array<{ url: string; init: RequestInit }> = [];
+        const fetchImpl: FetchLike = async (url, init) => {
+            requests.push({ url, init });
+            const events = chunk('Hel') + ': keep-alive\n' + chunk('lo') + 'data: [DONE]\n\n' + chunk('ignored');
+            return sseResponse([events.slice(0, 20), events.slice(20, 45), events.slice(45)]);
+        };
+        const deltas: string[] = [];
+        const text = await chatCompletion(
+            { endpoint: 'http://localhost:8080/v1/', model: 'llama', apiKey: 'k', messages: [{ role: 'user', content: 'hi' }], temperature: 0.2, stream: true },
+            { fetchImpl, onDelta: (d) => deltas.push(d) },
+        );
+
+        expect(text).toBe('Hello');
+        expect(deltas).toEqual(['Hel', 'lo']);
+        expect(requests[0].url).toBe('http://localhost:8080/v1/chat/completions');
+        expect((requests[0].init.headers as Record<string, string>).Authorization).toBe('Bearer k');
+        expect(JSON.parse(requests[0].init.body as string)).toEqual({
+            model: 'llama',
+            messages: [{ role: 'user', content: 'hi' }],
+            temperature: 0.2,
+            stream: true,
+        });
+    });
+
+    it('should read JSON answers and report server errors', async () => {
+        const answer: FetchLike = async () => jsonResponse({ choices: [{ message: { content: 'Done.' } }] });
+        const deltas: string[] = [];
+        await expect(chatCompletion(
+            { endpoint: 'http://localhost:1/v1', model: '', messages: [], stream: true },
+            { fetchImpl: answer, onDelta: (d) => deltas.push(d) },
+        )).resolves.toBe('Done.');
+        expect(deltas).toEqual(['Done.']);
+
+        const failing: FetchLike = async () => jsonResponse({ error: { message: 'model "x" not found' } }, 404);
+        await expect(chatCompletion({ endpoint: 'http://localhost:1/v1', model: 'x', messages: [] }, { fetchImpl: failing }))
+            .rejects.toThrow('HTTP 404: model "x" not found');
+
+        const down: FetchLike = async () => { throw new TypeError('Failed to fetch'); };
+        await expect(chatCompletion({ endpoint: 'http://localhost:1/v1', model: '', messages: [] }, { fetchImpl: down }))
+            .rejects.toThrow(/Cannot reach http:\/\/localhost:1\/v1\/chat\/completions/);
+
+        const models: FetchLike = async () => jsonResponse({ data: [{ id: 'a' }, { id: 'b' }, {}] });
+        await expect(listModels('http://localhost:1/v1', '', models)).resolves.toEqual(['a', 'b']);
+        await expect(listModels('http://192.168.1.5/v1', '', models)).rejects.toThrow(/not on this device/);
+    });
+});
+
+describe('PostProcessor', () => {
+    const config = { ...defaultPostProcess(), enabled: true, batchSize: 2 };
+    const cleanup: PromptTemplate = { id: 'p', name: 'Punctuation', scope: 'batch', system: '', user: '{{transcript}}' };
+    const sentences = [
+        sentence('s1', 'one', { speaker: 'S1' }),
+        sentence('s2', 'two', { speaker: 'S1' }),
+        sentence('s3', 'three', { speaker: 'S2' }),
+    ];
+
+    it('should not send anything while post-processing is off', async () => {
+        let calls = 0;
+        const processor = new PostProcessor({ fetchImpl: async () => { calls++; return jsonResponse({}); } });
+        await expect(processor.run(defaultPostProcess(), cleanup, sentences)).rejects.toThrow('Post-processing is off');
+        expect(calls).toBe(0);
+    });
+
+    it('should send one request per batch and join the answers', async () => {
+        const prompts: string[] = [];
+        const processor = new PostProcessor({
+            fetchImpl: async (_url, init) => {
+                const body = JSON.parse(init.body as string) as { messages: Array<{ content: string }> };
+                prompts.push(body.messages[0].content);
+                return sseResponse([chunk(`[${prompts.length}]`), 'data: [DONE]\n']);
+            },
+        });
+        const updates: PostProcessResult[] = [];
+        processor.on('update', (r) => updates.push(r));
+
+        const result = await processor.run(config, cleanup, sentences, { S2: 'Ana' });
+
+        expect(prompts).toEqual(['Speaker 1: one two', 'Ana: three']);
+        expect(result).toMatchObject({ status: 'done', text: '[1]\n\n[2]', batchesDone: 2, batchCount: 2, templateName: 'Punctuation' });
+        expect(updates.map((u) => u.text)).toContain('[1]');
+        expect(processor.isRunning).toBe(false);
+
+        const empty = await processor.run(config, { ...cleanup, scope: 'session' }, []);
+        expect(empty).toMatchObject({ status: 'error', batchCount: 0 });
+    });
+
+    it('should keep the text received so far when cancelled', async () => {
+        const processor = new PostProcessor({
+            fetchImpl: async (_url, init) => ({
+                ...sseResponse([]),
+                body: new ReadableStream<Uint8Array<ArrayBuffer>>({
+                    start(controller) {
+                        controller.enqueue(new TextEncoder().encode(chunk('Partial')));
+                        init.signal?.addEventListener('abort', () => {
+                            const err = new Error('aborted');
+                            err.name = 'AbortError';
+                            controller.error(err);
+                        });
+                    },
+                }),
+            }),
+        });
+        processor.on('update', (r) => {
+            if (r.text === 'Partial') processor.cancel();
+        });
+
+        const result = await processor.run(config, { ...cleanup, scope: 'session' }, sentences);
+        expect(result).toMatchObject({ status: 'cancelled', text: 'Partial', batchesDone: 0 });
+    });
+});
+
+describe('post-processing storage', () => {
+    const memoryStorage = () => {
+        const data = new Map<string, string>();
+        return { getItem: (k: string) => data.get(k) ?? null, setItem: (k: string, v: string) => void data.set(k, v) };
+    };
+
+    it('should be off by default and round-trip settings', () => {
+        const storage = memoryStorage();
+        expect(loadPostProcess(storage)).toEqual(defaultPostProcess());
+        expect(defaultPostProcess().enabled).toBe(false);
+
+        const config = { ...defaultPostProcess(), enabled: true, model: 'qwen2.5' };
+        config.templates[0].name = 'Short summary';
+        savePostProcess(config, storage);
+        expect(loadPostProcess(storage)).toEqual(config);
+        expect(defaultPostProcess().templates[0].name).toBe('Summary');
+
+        expect(sanitizePostProcess({ enabled: 'yes', temperature: 9, batchSize: 0, templates: [{ id: 'x' }, { id: 'y', user: 'u', scope: 'odd' }] }))
+            .toMatchObject({ enabled: false, temperature: 2, batchSize: 1, templates: [{ id: 'y', name: '', scope: 'session', system: '', user: 'u' }] });
+        expect(sanitizePostProcess({ templates: [] }).templates).toEqual(defaultPostProcess().templates);
+    });
+});
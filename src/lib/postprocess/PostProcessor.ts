@@ -0,0 +1,145 @@
+/**
+ * Keet - Post-processor
+ *
+ * Runs a prompt template over finalized sentences through the configured
+ * chat endpoint. Session-scope templates send the whole transcript in one
+ * request; batch-scope templates send `batchSize` sentences per request, one
+ * request at a time, and join the answers. The transcript is the plain-text
+ * export (speaker names and dictated breaks included).
+ *
+ * The result is emitted on every streamed piece, so a panel can show the
+ * answer as it is generated. One run at a time: starting another cancels the
+ * current one.
+ */
+
+import { TypedEmitter } from '../events/TypedEmitter';
+import { toPlainText, type SpeakerNames } from '../export/transcriptExport';
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+import { chatCompletion, type ChatMessage, type FetchLike } from './chatClient';
+import type { PostProcessConfig, PostProcessResult, PromptTemplate } from './types';
+
+export interface PostProcessorEvents {
+    /** The running result changed (text, progress or status) */
+    update: PostProcessResult;
+}
+
+export interface PostProcessorDeps {
+    fetchImpl?: FetchLike;
+}
+
+const PLACEHOLDER = /\{\{\s*(transcript|batch|batches)\s*\}\}/g;
+
+/** Chat messages for one request; the transcript is appended when the template has no {{transcript}}. */
+export function renderPrompt(template: PromptTemplate, transcript: string, batch = 1, batches = 1): ChatMessage[] {
+    const values: Record<string, string> = { transcript, batch: String(batch), batches: String(batches) };
+    const fill = (text: string) => text.replace(PLACEHOLDER, (_, name: string) => values[name]);
+    const user = /\{\{\s*transcript\s*\}\}/.test(template.user)
+        ? fill(template.user)
+        : `${fill(template.user).trimEnd()}\n\n${transcript}`;
+    const system = fill(template.system).trim();
+    return [...(system ? [{ role: 'system' as const, content: system }] : []), { role: 'user', content: user }];
+}
+
+/** Non-empty sentences in groups of `size`. */
+export function batchSentences(sentences: MergerSentence[], size: number): MergerSentence[][] {
+    const kept = sentences.filter((s) => s.text.trim());
+    const step = Math.max(1, Math.floor(size));
+    const batches: MergerSentence[][] = [];
+    for (let i = 0; i < kept.length; i += step) batches.push(kept.slice(i, i + step));
+    return batches;
+}
+
+const newId = () => (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `result_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
+
+export class PostProcessor extends TypedEmitter<PostProcessorEvents> {
+    private fetchImpl: FetchLike | undefined;
+    private controller: AbortController | null = null;
+
+    constructor(deps: PostProcessorDeps = {}) {
+        super();
+        this.fetchImpl = deps.fetchImpl;
+    }
+
+    get isRunning(): boolean {
+        return this.controller !== null;
+    }
+
+    /** Stop the current run; its result ends as 'cancelled' with the text received so far. */
+    cancel(): void {
+        this.controller?.abort();
+    }
+
+    /**
+     * Run `template` over `sentences`.
+     * @returns the final result (also emitted), with status 'done', 'error' or 'cancelled'
+     * @throws Error when post-processing is switched off, before anything is sent
+     */
+    async run(
+        config: PostProcessConfig,
+        template: PromptTemplate,
+        sentences: MergerSentence[],
+        speakerNames: SpeakerNames = {},
+    ): Promise<PostProcessResult> {
+        if (!config.enabled) throw new Error('Post-processing is off');
+        this.cancel();
+        const controller = new AbortController();
+        this.controller = controller;
+
+        const groups = template.scope === 'batch'
+            ? batchSentences(sentences, config.batchSize)
+            : [sentences.filter((s) => s.text.trim())].filter((g) => g.length > 0);
+        let result: PostProcessResult = {
+            id: newId(),
+            templateId: template.id,
+            templateName: template.name,
+            status: 'running',
+            text: '',
+            batchesDone: 0,
+            batchCount: groups.length,
+            startedAt: Date.now(),
+        };
+        const update = (patch: Partial<PostProcessResult>) => {
+            result = { ...result, ...patch };
+            this.emit('update', result);
+        };
+        update({});
+
+        try {
+            if (groups.length === 0) throw new Error('There is no finalized text to process yet');
+            for (let i = 0; i < groups.length; i++) {
+                // Batch answers are separated by a blank line
+                const lead = i > 0 && result.text ? '\n\n' : '';
+                let started = false;
+                await chatCompletion(
+                    {
+                        endpoint: config.endpoint,
+                        model: config.model,
+                        apiKey: config.apiKey,
+                        messages: renderPrompt(template, toPlainText(groups[i], speakerNames), i + 1, groups.length),
+                        temperature: config.temperature,
+                        maxTokens: config.maxTokens,
+                        stream: config.stream,
+                    },
+                    {
+                        signal: controller.signal,
+                        fetchImpl: this.fetchImpl,
+                        onDelta: (delta) => {
+                            update({ text: result.text + (started ? '' : lead) + delta });
+                            started = true;
+                        },
+                    },
+                );
+                update({ batchesDone: i + 1 });
+            }
+            update({ status: 'done', text: result.text.trim() });
+        } catch (err) {
+            if (controller.signal.aborted) update({ status: 'cancelled' });
+            else update({ status: 'error', error: err instanceof Error ? err.message : String(err) });
+        } finally {
+            if (this.controller === controller) this.controller = null;
+        }
+        return result;
+    }
+}
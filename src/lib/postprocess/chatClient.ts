@@ -0,0 +1,203 @@
+/**
+ * Keet - OpenAI-compatible Chat Client
+ *
+ * Minimal client for the `/chat/completions` and `/models` routes that
+ * llama.cpp server, Ollama, LM Studio and vLLM implement. Streamed answers
+ * are read as server-sent events (`data: {...}` lines up to `data: [DONE]`).
+ *
+ * Only servers on this device (localhost, 127.0.0.1, [::1]) are accepted:
+ * they are the hosts the Content Security Policy's connect-src allows, so
+ * any other host would be blocked by the browser anyway.
+ */
+
+export interface ChatMessage {
+    role: 'system' | 'user' | 'assistant';
+    content: string;
+}
+
+export interface ChatRequest {
+    /** Base URL, e.g. http://localhost:8080/v1 */
+    endpoint: string;
+    model: string;
+    apiKey?: string;
+    messages: ChatMessage[];
+    temperature?: number;
+    /** 0 or omitted: the server's default */
+    maxTokens?: number;
+    stream?: boolean;
+}
+
+export interface ChatOptions {
+    signal?: AbortSignal;
+    /** Streamed requests: each piece of the answer as it arrives */
+    onDelta?: (delta: string) => void;
+    fetchImpl?: FetchLike;
+}
+
+export type FetchLike = (url: string, init: RequestInit) => Promise<Pick<Response, 'ok' | 'status' | 'headers' | 'body' | 'json' | 'text'>>;
+
+// URL.hostname keeps the brackets of IPv6 literals
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+const parseUrl = (endpoint: string): URL | null => {
+    try {
+        return new URL(endpoint.trim());
+    } catch {
+        return null;
+    }
+};
+
+/** Whether the endpoint is a server on this device. */
+export function isLoopbackEndpoint(endpoint: string): boolean {
+    const url = parseUrl(endpoint);
+    return !!url && LOOPBACK_HOSTS.has(url.hostname);
+}
+
+/** Why an endpoint cannot be used, or null when it can. Hosts other than this device are refused. */
+export function checkEndpoint(endpoint: string): string | null {
+    const url = parseUrl(endpoint);
+    if (!url) return 'Enter the server URL, e.g. http://localhost:8080/v1';
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'The URL must start with http:// or https://';
+    if (!LOOPBACK_HOSTS.has(url.hostname)) {
+        return `${url.host} is not on this device. Use a server on this device (localhost, 127.0.0.1 or [::1])`;
+    }
+    return null;
+}
+
+/** Base URL without a trailing slash or a pasted `/chat/completions` route. */
+export function normalizeEndpoint(endpoint: string): string {
+    return endpoint.trim().replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+}
+
+function headers(apiKey?: string): Record<string, string> {
+    return {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    };
+}
+
+/** Fetch, with network failures (server down, CORS) explained. */
+async function send(url: string, init: RequestInit, fetchImpl: FetchLike) {
+    let response: Awaited<ReturnType<FetchLike>>;
+    try {
+        response = await fetchImpl(url, init);
+    } catch (err) {
+        if ((err as Error)?.name === 'AbortError') throw err;
+        throw new Error(`Cannot reach ${url}. Is the server running, does it allow requests from this page (CORS), and does the page's CSP allow its host?`);
+    }
+    if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        let detail = body.slice(0, 200);
+        try {
+            const parsed = JSON.parse(body) as { error?: string | { message?: string } };
+            detail = (typeof parsed.error === 'string' ? parsed.error : parsed.error?.message) ?? detail;
+        } catch {
+            // Not JSON: keep the text
+        }
+        throw new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+    return response;
+}
+
+/** Content of a completion chunk or response: `delta.content` (streamed) or `message.content`. */
+function contentOf(payload: unknown, streamed: boolean): string {
+    const choice = (payload as { choices?: Array<{ delta?: { content?: unknown }; message?: { content?: unknown } }> })?.choices?.[0];
+    const content = streamed ? choice?.delta?.content : choice?.message?.content;
+    return typeof content === 'string' ? content : '';
+}
+
+/**
+ * Read a server-sent event stream of completion chunks.
+ * @returns the whole answer
+ */
+async function readStream(body: ReadableStream<Uint8Array>, onDelta?: (delta: string) => void): Promise<string> {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    let text = '';
+
+    const handleLine = (line: string): boolean => {
+        if (!line.startsWith('data:')) return false; // comments, event names, blank lines
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return true;
+        let payload: unknown;
+        try {
+            payload = JSON.parse(data);
+        } catch {
+            return false;
+        }
+        const error = (payload as { error?: string | { message?: string } }).error;
+        if (error) throw new Error(typeof error === 'string' ? error : error.message ?? 'The server reported an error');
+        const delta = contentOf(payload, true);
+        if (delta) {
+            text += delta;
+            onDelta?.(delta);
+        }
+        return false;
+    };
+
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            buffered += decoder.decode(value, { stream: !done });
+            const lines = buffered.split(/\r?\n/);
+            buffered = done ? '' : lines.pop()!;
+            for (const line of lines) {
+                if (handleLine(line)) return text;
+            }
+            if (done) return text;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Send a chat completion request.
+ * @returns the answer's text
+ * @throws Error when the endpoint is not allowed, unreachable or answers with an error;
+ *   the fetch AbortError when `options.signal` aborts
+ */
+export async function chatCompletion(request: ChatRequest, options: ChatOptions = {}): Promise<string> {
+    const problem = checkEndpoint(request.endpoint);
+    if (problem) throw new Error(problem);
+    const { signal, onDelta, fetchImpl = (url, init) => fetch(url, init) } = options;
+
+    const response = await send(`${normalizeEndpoint(request.endpoint)}/chat/completions`, {
+        method: 'POST',
+        headers: headers(request.apiKey),
+        body: JSON.stringify({
+            ...(request.model ? { model: request.model } : {}),
+            messages: request.messages,
+            ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+            ...(request.maxTokens ? { max_tokens: request.maxTokens } : {}),
+            stream: !!request.stream,
+        }),
+        signal,
+    }, fetchImpl);
+
+    // Servers may ignore `stream`; a JSON answer is delivered as one piece
+    const json = response.headers.get('content-type')?.includes('application/json');
+    if (request.stream && response.body && !json) return readStream(response.body, onDelta);
+    const text = contentOf(await response.json(), false);
+    if (text) onDelta?.(text);
+    return text;
+}
+
+/**
+ * Model ids the server offers (`GET /models`).
+ * @throws Error like chatCompletion
+ */
+export async function listModels(
+    endpoint: string,
+    apiKey?: string,
+    fetchImpl: FetchLike = (url, init) => fetch(url, init),
+): Promise<string[]> {
+    const problem = checkEndpoint(endpoint);
+    if (problem) throw new Error(problem);
+    const response = await send(`${normalizeEndpoint(endpoint)}/models`, { headers: headers(apiKey) }, fetchImpl);
+    const payload = (await response.json()) as { data?: Array<{ id?: unknown }> };
+    return (Array.isArray(payload?.data) ? payload.data : [])
+        .map((m) => m?.id)
+        .filter((id): id is string => typeof id === 'string');
+}
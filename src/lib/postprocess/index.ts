@@ -0,0 +1,18 @@
+/**
+ * Keet - Post-processing Module
+ */
+
+export { DEFAULT_POST_PROCESS, DEFAULT_PROMPT_TEMPLATES } from './types';
+export type { PostProcessConfig, PostProcessResult, PostProcessStatus, PromptScope, PromptTemplate } from './types';
+export { chatCompletion, checkEndpoint, isLoopbackEndpoint, listModels, normalizeEndpoint } from './chatClient';
+export type { ChatMessage, ChatOptions, ChatRequest, FetchLike } from './chatClient';
+export { PostProcessor, batchSentences, renderPrompt } from './PostProcessor';
+export type { PostProcessorDeps, PostProcessorEvents } from './PostProcessor';
+export {
+    createPromptTemplate,
+    defaultPostProcess,
+    loadPostProcess,
+    savePostProcess,
+    sanitizePostProcess,
+    POST_PROCESS_STORAGE_KEY,
+} from './postProcessStorage';
@@ -0,0 +1,88 @@
+/**
+ * Keet - Post-processing Persistence
+ *
+ * Endpoint settings and prompt templates live in localStorage, sanitized on
+ * load like the caption output settings. Templates that cannot be read are
+ * dropped; no readable template at all gives the built-in ones.
+ */
+
+import { DEFAULT_POST_PROCESS, DEFAULT_PROMPT_TEMPLATES, type PostProcessConfig, type PromptTemplate } from './types';
+
+export const POST_PROCESS_STORAGE_KEY = 'keet-post-process';
+
+type StorageLike = Pick<Storage, 'getItem' | 'setItem'>;
+
+const defaultStorage = (): StorageLike | null => (typeof localStorage !== 'undefined' ? localStorage : null);
+
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value));
+
+/** A copy of the default settings (templates are edited in place by the panel). */
+export const defaultPostProcess = (): PostProcessConfig => ({
+    ...DEFAULT_POST_PROCESS,
+    templates: DEFAULT_PROMPT_TEMPLATES.map((t) => ({ ...t })),
+});
+
+function sanitizeTemplate(value: unknown): PromptTemplate | null {
+    if (!value || typeof value !== 'object') return null;
+    const t = value as Partial<PromptTemplate>;
+    if (typeof t.id !== 'string' || typeof t.user !== 'string') return null;
+    return {
+        id: t.id,
+        name: typeof t.name === 'string' ? t.name : '',
+        scope: t.scope === 'batch' ? 'batch' : 'session',
+        system: typeof t.system === 'string' ? t.system : '',
+        user: t.user,
+    };
+}
+
+/** Fill in defaults for missing or mistyped fields and keep numbers in range. */
+export function sanitizePostProcess(value: unknown): PostProcessConfig {
+    if (!value || typeof value !== 'object') return defaultPostProcess();
+    const v = value as Record<string, unknown>;
+    const pick = <K extends keyof PostProcessConfig>(key: K): PostProcessConfig[K] =>
+        typeof v[key] === typeof DEFAULT_POST_PROCESS[key] ? (v[key] as PostProcessConfig[K]) : DEFAULT_POST_PROCESS[key];
+    const number = (key: 'temperature' | 'maxTokens' | 'batchSize') =>
+        Number.isFinite(v[key]) ? (v[key] as number) : DEFAULT_POST_PROCESS[key];
+
+    const templates = Array.isArray(v.templates)
+        ? v.templates.map(sanitizeTemplate).filter((t): t is PromptTemplate => t !== null)
+        : [];
+    return {
+        enabled: pick('enabled'),
+        endpoint: pick('endpoint'),
+        model: pick('model'),
+        apiKey: pick('apiKey'),
+        temperature: clamp(number('temperature'), 0, 2),
+        maxTokens: Math.round(clamp(number('maxTokens'), 0, 32768)),
+        stream: pick('stream'),
+        batchSize: Math.round(clamp(number('batchSize'), 1, 500)),
+        autoRun: pick('autoRun'),
+        templates: templates.length > 0 ? templates : defaultPostProcess().templates,
+        templateId: pick('templateId'),
+    };
+}
+
+export function loadPostProcess(storage: StorageLike | null = defaultStorage()): PostProcessConfig {
+    try {
+        const raw = storage?.getItem(POST_PROCESS_STORAGE_KEY);
+        return raw ? sanitizePostProcess(JSON.parse(raw)) : defaultPostProcess();
+    } catch {
+        return defaultPostProcess();
+    }
+}
+
+export function savePostProcess(config: PostProcessConfig, storage: StorageLike | null = defaultStorage()): void {
+    try {
+        storage?.setItem(POST_PROCESS_STORAGE_KEY, JSON.stringify(config));
+    } catch (err) {
+        console.warn('[PostProcess] Failed to save:', err);
+    }
+}
+
+/** New session-scope template with a unique id. */
+export function createPromptTemplate(): PromptTemplate {
+    const id = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+        ? crypto.randomUUID()
+        : `template_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    return { id, name: 'New template', scope: 'session', system: '', user: '{{transcript}}' };
+}
@@ -0,0 +1,112 @@
+/**
+ * Keet - Post-processing Types
+ *
+ * Finished transcripts can be sent to a language model for summaries,
+ * action items or punctuation cleanup. The model runs behind an
+ * OpenAI-compatible HTTP API, on this device unless another host is
+ * explicitly allowed (llama.cpp server, Ollama, LM Studio, ...); nothing is
+ * sent until post-processing is switched on.
+ */
+
+/**
+ * What a prompt is run on:
+ * - 'session': the whole transcript in one request
+ * - 'batch': `batchSize` sentences per request, the answers joined in order
+ *   (for rewrites such as punctuation cleanup, where the output is as long as
+ *   the input)
+ */
+export type PromptScope = 'session' | 'batch';
+
+export interface PromptTemplate {
+    id: string;
+    name: string;
+    scope: PromptScope;
+    /** System message (empty: none is sent) */
+    system: string;
+    /**
+     * User message. Placeholders: {{transcript}}, and {{batch}} / {{batches}}
+     * (1-based batch number and count). The transcript is appended when the
+     * template has no {{transcript}}.
+     */
+    user: string;
+}
+
+export interface PostProcessConfig {
+    /** Off by default: no request is made while false */
+    enabled: boolean;
+    /** Base URL of the API, e.g. http://localhost:11434/v1 (Ollama) or http://localhost:8080/v1 (llama.cpp) */
+    endpoint: string;
+    /** Model name sent with each request ('' lets single-model servers pick theirs) */
+    model: string;
+    /** Sent as a Bearer token when set */
+    apiKey: string;
+    temperature: number;
+    /** Answer length limit in tokens (0: the server's default) */
+    maxTokens: number;
+    /** Show answers as they are generated */
+    stream: boolean;
+    /** Sentences per request for batch-scope templates */
+    batchSize: number;
+    /** Run the selected template when a recording or file import ends */
+    autoRun: boolean;
+    templates: PromptTemplate[];
+    /** Template selected in the panel */
+    templateId: string;
+}
+
+export const DEFAULT_PROMPT_TEMPLATES: PromptTemplate[] = [
+    {
+        id: 'summary',
+        name: 'Summary',
+        scope: 'session',
+        system: 'You summarize speech transcripts. Transcripts come from speech recognition and may contain recognition errors. Answer in the language of the transcript.',
+        user: 'Summarize this transcript in a short paragraph, followed by its key points as a bulleted list.\n\n{{transcript}}',
+    },
+    {
+        id: 'action-items',
+        name: 'Action items',
+        scope: 'session',
+        system: 'You extract action items from speech transcripts. Transcripts come from speech recognition and may contain recognition errors. Answer in the language of the transcript.',
+        user: 'List the action items, decisions and open questions in this transcript as a bulleted list. Name the owner when the transcript says who it is. Answer "None" if there are none.\n\n{{transcript}}',
+    },
+    {
+        id: 'punctuation',
+        name: 'Punctuation cleanup',
+        scope: 'batch',
+        system: 'You correct punctuation, capitalization and obvious speech recognition errors in transcript text. Keep the wording, the language and the line breaks. Reply with the corrected text only.',
+        user: '{{transcript}}',
+    },
+];
+
+export const DEFAULT_POST_PROCESS: PostProcessConfig = {
+    enabled: false,
+    endpoint: 'http://localhost:11434/v1',
+    model: '',
+    apiKey: '',
+    temperature: 0.2,
+    maxTokens: 0,
+    stream: true,
+    batchSize: 20,
+    autoRun: false,
+    templates: DEFAULT_PROMPT_TEMPLATES,
+    templateId: 'summary',
+};
+
+export type PostProcessStatus = 'running' | 'done' | 'error' | 'cancelled';
+
+/** One run of a template over a transcript. */
+export interface PostProcessResult {
+    id: string;
+    templateId: string;
+    /** Template name when the run started */
+    templateName: string;
+    status: PostProcessStatus;
+    /** Answer so far (batch answers joined by blank lines) */
+    text: string;
+    /** Requests finished and planned (1 for session scope) */
+    batchesDone: number;
+    batchCount: number;
+    /** Epoch ms */
+    startedAt: number;
+    error?: string;
+}
@@ -0,0 +1,29 @@
+/**
+ * Keet - Settings Module
+ */
+
+export { DEFAULT_TUNING_SETTINGS, TUNING_RANGES } from './types';
+export type { TranscriptionMode, TuningSettings, TuningSettingKey, TuningPreset } from './types';
+export {
+    loadSettings,
+    saveSettings,
+    migrateSettings,
+    sanitizeSettings,
+    sanitizePartialSettings,
+    sanitizePreset,
+    sanitizeStoredSettings,
+    SETTINGS_STORAGE_KEY,
+    SETTINGS_VERSION,
+} from './settingsStorage';
+export type { StoredSettings } from './settingsStorage';
+export {
+    BUILTIN_PRESETS,
+    PRESET_FILE_FORMAT,
+    PRESET_FILE_VERSION,
+    presetMatches,
+    findMatchingPreset,
+    createPresetId,
+    presetsToJSON,
+    parsePresetFile,
+    mergePresets,
+} from './presets';
@@ -0,0 +1,133 @@
+/**
+ * Keet - Tuning Presets
+ *
+ * Built-in presets for common use cases, matching a preset against the
+ * current settings, and the JSON file format used to share presets.
+ *
+ * Presets only carry pipeline timing and VAD settings; model and backend
+ * depend on the device and are left alone unless a user preset saved them.
+ * The VAD thresholds only apply where they are used: sileroThreshold with
+ * Silero VAD on, energyThreshold in the legacy modes. The v4 speech gate
+ * (vadThreshold, inferenceVadThreshold) is not a tuning setting.
+ */
+
+import { sanitizePreset } from './settingsStorage';
+import type { TuningPreset, TuningSettingKey, TuningSettings } from './types';
+
+export const PRESET_FILE_FORMAT = 'keet-presets';
+export const PRESET_FILE_VERSION = 1;
+
+export const BUILTIN_PRESETS: readonly TuningPreset[] = [
+    {
+        id: 'builtin-dictation',
+        name: 'Dictation',
+        description: 'One close speaker: fast ticks, sentences finalized after short pauses, voice commands',
+        builtIn: true,
+        settings: {
+            transcriptionMode: 'v4-utterance',
+            v4InferenceIntervalMs: 320,
+            v4SilenceFlushSec: 0.6,
+            sileroThreshold: 0.5,
+            energyThreshold: 0.08,
+            dictationMode: true,
+        },
+    },
+    {
+        id: 'builtin-meeting',
+        name: 'Meeting',
+        description: 'Several speakers at varying distance: medium pauses, speaker labels',
+        builtIn: true,
+        settings: {
+            transcriptionMode: 'v4-utterance',
+            v4InferenceIntervalMs: 640,
+            v4SilenceFlushSec: 1.2,
+            sileroThreshold: 0.4,
+            energyThreshold: 0.05,
+            speakerLabels: true,
+        },
+    },
+    {
+        id: 'builtin-lecture',
+        name: 'Lecture',
+        description: 'One distant speaker with long pauses: slower ticks, sentences kept open longer',
+        builtIn: true,
+        settings: {
+            transcriptionMode: 'v4-utterance',
+            v4InferenceIntervalMs: 960,
+            v4SilenceFlushSec: 2.0,
+            sileroThreshold: 0.4,
+            energyThreshold: 0.03,
+        },
+    },
+];
+
+const sameValue = (a: unknown, b: unknown) =>
+    typeof a === 'number' && typeof b === 'number' ? Math.abs(a - b) < 1e-6 : a === b;
+
+/** Whether applying the preset would leave `settings` unchanged. */
+export function presetMatches(preset: TuningPreset, settings: TuningSettings): boolean {
+    return (Object.keys(preset.settings) as TuningSettingKey[]).every((key) =>
+        sameValue(preset.settings[key], settings[key])
+    );
+}
+
+/** The first preset (user presets before built-ins) that the settings match, or null. */
+export function findMatchingPreset(presets: readonly TuningPreset[], settings: TuningSettings): TuningPreset | null {
+    return presets.find((p) => presetMatches(p, settings)) ?? null;
+}
+
+export function createPresetId(): string {
+    return typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+        ? crypto.randomUUID()
+        : `preset_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** Serialize presets for sharing. Built-in flags are not exported. */
+export function presetsToJSON(presets: readonly TuningPreset[]): string {
+    return JSON.stringify(
+        {
+            format: PRESET_FILE_FORMAT,
+            version: PRESET_FILE_VERSION,
+            presets: presets.map(({ id, name, description, settings }) => ({ id, name, description, settings })),
+        },
+        null,
+        2
+    );
+}
+
+/**
+ * Presets from an exported file. Also accepts a single preset object.
+ * @throws Error when the text is not JSON or holds no valid preset
+ */
+export function parsePresetFile(text: string): TuningPreset[] {
+    let data: unknown;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Preset file is not valid JSON');
+    }
+    const file = data as Record<string, unknown> | null;
+    if (file && typeof file === 'object' && 'format' in file && file.format !== PRESET_FILE_FORMAT) {
+        throw new Error(`Unsupported preset file format: ${String(file.format)}`);
+    }
+    const entries = file && Array.isArray(file.presets) ? file.presets : [data];
+    const presets = entries.map(sanitizePreset).filter((p): p is TuningPreset => p !== null);
+    if (presets.length === 0) throw new Error('No valid presets in file');
+    return presets;
+}
+
+/**
+ * Add imported presets to the user's presets. A preset with the id or name
+ * of an existing user preset replaces it; ids taken by built-ins get a new id.
+ */
+export function mergePresets(existing: readonly TuningPreset[], imported: readonly TuningPreset[]): TuningPreset[] {
+    const result = [...existing];
+    for (const preset of imported) {
+        const id = BUILTIN_PRESETS.some((b) => b.id === preset.id) ? createPresetId() : preset.id;
+        const next = { ...preset, id };
+        const index = result.findIndex((p) => p.id === id || p.name === preset.name);
+        if (index >= 0) result[index] = { ...next, id: result[index].id };
+        else result.push(next);
+    }
+    return result;
+}
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for settings persistence, migration and tuning presets.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+    loadSettings,
+    saveSettings,
+    migrateSettings,
+    sanitizeSettings,
+    SETTINGS_STORAGE_KEY,
+    SETTINGS_VERSION,
+} from './settingsStorage';
+import { BUILTIN_PRESETS, findMatchingPreset, mergePresets, parsePresetFile, presetsToJSON } from './presets';
+import { DEFAULT_TUNING_SETTINGS, type TuningPreset } from './types';
+
+const memoryStorage = () => {
+    const data = new Map<string, string>();
+    return { getItem: (k: string) => data.get(k) ?? null, setItem: (k: string, v: string) => void data.set(k, v) };
+};
+
+const userPreset = (id: string, name: string, settings: TuningPreset['settings']): TuningPreset => ({ id, name, settings });
+
+describe('settings storage', () => {
+    it('round-trips settings and presets with the current version', () => {
+        const storage = memoryStorage();
+        const settings = { ...DEFAULT_TUNING_SETTINGS, v4InferenceIntervalMs: 800, backend: 'wasm' as const };
+        const presets = [userPreset('p1', 'Podcast', { v4SilenceFlushSec: 1.5 })];
+        saveSettings(settings, presets, storage);
+
+        expect(JSON.parse(storage.getItem(SETTINGS_STORAGE_KEY)!).version).toBe(SETTINGS_VERSION);
+        expect(loadSettings(storage)).toEqual({ version: SETTINGS_VERSION, settings, presets });
+    });
+
+    it('migrates an unversioned settings object', () => {
+        // Shape of the settings snapshot stored with history sessions
+        const legacy = { transcriptionMode: 'v3-streaming', streamingWindow: 7, frameStride: 2 };
+        expect(migrateSettings(legacy)).toEqual({ version: 1, settings: legacy, presets: [] });
+
+        const storage = memoryStorage();
+        storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(legacy));
+        const loaded = loadSettings(storage);
+        expect(loaded.settings).toMatchObject({ ...DEFAULT_TUNING_SETTINGS, ...legacy });
+        expect(loaded.presets).toEqual([]);
+    });
+
+    it('keeps known fields of entries from a newer version', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const storage = memoryStorage();
+        storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ version: 99, settings: { sileroThreshold: 0.7, future: true }, presets: [] }));
+        expect(loadSettings(storage).settings).toEqual({ ...DEFAULT_TUNING_SETTINGS, sileroThreshold: 0.7 });
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    it('sanitizes values field by field', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const storage = memoryStorage();
+        storage.setItem(SETTINGS_STORAGE_KEY, '{not json');
+        expect(loadSettings(storage).settings).toEqual(DEFAULT_TUNING_SETTINGS);
+        warn.mockRestore();
+
+        expect(sanitizeSettings({
+            transcriptionMode: 'v9',
+            backend: 'cuda',
+            v4InferenceIntervalMs: 50,
+            v4SilenceFlushSec: '2',
+            frameStride: 2.6,
+            energyThreshold: Number.NaN,
+            sentenceLanguage: 'de',
+        })).toEqual({
+            ...DEFAULT_TUNING_SETTINGS,
+            v4InferenceIntervalMs: 320,
+            frameStride: 3,
+            sentenceLanguage: 'de',
+        });
+    });
+});
+
+describe('tuning presets', () => {
+    it('finds the preset the settings match, preferring user presets', () => {
+        const dictation = BUILTIN_PRESETS.find((p) => p.id === 'builtin-dictation')!;
+        const settings = { ...DEFAULT_TUNING_SETTINGS, ...dictation.settings, backend: 'wasm' as const };
+        expect(findMatchingPreset(BUILTIN_PRESETS, settings)).toBe(dictation);
+        expect(findMatchingPreset(BUILTIN_PRESETS, DEFAULT_TUNING_SETTINGS)).toBeNull();
+
+        const mine = userPreset('p1', 'Mine', { v4InferenceIntervalMs: 320 });
+        expect(findMatchingPreset([mine, ...BUILTIN_PRESETS], settings)).toBe(mine);
+    });
+
+    it('exports and re-imports presets without built-in flags', () => {
+        const json = presetsToJSON([BUILTIN_PRESETS[0], userPreset('p1', 'Mine', { sileroThreshold: 0.6 })]);
+        const parsed = parsePresetFile(json);
+        expect(parsed.map((p) => p.name)).toEqual(['Dictation', 'Mine']);
+        expect(parsed[0].builtIn).toBeUndefined();
+        expect(parsed[1].settings).toEqual({ sileroThreshold: 0.6 });
+
+        // A single preset object is accepted too
+        expect(parsePresetFile(JSON.stringify(userPreset('p2', 'One', { frameStride: 2 })))).toHaveLength(1);
+    });
+
+    it('rejects files without valid presets', () => {
+        expect(() => parsePresetFile('nope')).toThrow('not valid JSON');
+        expect(() => parsePresetFile(JSON.stringify({ format: 'other', presets: [] }))).toThrow('Unsupported');
+        expect(() => parsePresetFile(JSON.stringify({ format: 'keet-presets', presets: [{ id: 'x', name: 'X', settings: { bogus: 1 } }] })))
+            .toThrow('No valid presets');
+    });
+
+    it('merges imports by id or name and re-ids built-in ids', () => {
+        const existing = [userPreset('p1', 'Podcast', { v4SilenceFlushSec: 1.5 })];
+        const merged = mergePresets(existing, [
+            userPreset('other-id', 'Podcast', { v4SilenceFlushSec: 2 }),
+            userPreset('builtin-meeting', 'Meeting copy', { sileroThreshold: 0.3 }),
+        ]);
+        expect(merged).toHaveLength(2);
+        expect(merged[0]).toEqual(userPreset('p1', 'Podcast', { v4SilenceFlushSec: 2 }));
+        expect(merged[1].id).not.toBe('builtin-meeting');
+        expect(merged[1].name).toBe('Meeting copy');
+    });
+});
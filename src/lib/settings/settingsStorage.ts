@@ -0,0 +1,146 @@
+/**
+ * Keet - Settings Persistence
+ *
+ * Tuning settings and user presets live in localStorage under one versioned
+ * entry. Older entries are migrated step by step to SETTINGS_VERSION, then
+ * sanitized field by field, so an outdated or hand-edited entry keeps every
+ * value that is still valid.
+ */
+
+import {
+    DEFAULT_TUNING_SETTINGS,
+    TUNING_RANGES,
+    type TuningPreset,
+    type TuningSettingKey,
+    type TuningSettings,
+} from './types';
+import { VAD_FUSION_POLICIES } from '../buffer/vadFusion';
+
+export const SETTINGS_STORAGE_KEY = 'keet-settings';
+export const SETTINGS_VERSION = 1;
+
+type StorageLike = Pick<Storage, 'getItem' | 'setItem'>;
+
+const defaultStorage = (): StorageLike | null => (typeof localStorage !== 'undefined' ? localStorage : null);
+
+/** What is stored: the current settings and the user's presets */
+export interface StoredSettings {
+    version: number;
+    settings: TuningSettings;
+    presets: TuningPreset[];
+}
+
+type RawEntry = Record<string, unknown>;
+
+/**
+ * Migrations by source version; each returns the entry for the next version.
+ * Version 0 is a bare settings object without an envelope, the shape of the
+ * settings snapshot saved with each history session.
+ */
+const MIGRATIONS: Record<number, (entry: RawEntry) => RawEntry> = {
+    0: (entry) => ({ version: 1, settings: entry, presets: [] }),
+};
+
+/** Upgrade a stored entry to SETTINGS_VERSION. Newer entries are returned as is. */
+export function migrateSettings(value: unknown): RawEntry {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { version: SETTINGS_VERSION };
+    let entry = value as RawEntry;
+    let version = typeof entry.version === 'number' ? entry.version : 0;
+    if (version > SETTINGS_VERSION) {
+        console.warn(`[Settings] Stored settings are version ${version}; this build reads version ${SETTINGS_VERSION}`);
+        return entry;
+    }
+    while (version < SETTINGS_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) return { version: SETTINGS_VERSION };
+        entry = migrate(entry);
+        version = typeof entry.version === 'number' ? entry.version : version + 1;
+    }
+    return entry;
+}
+
+const ENUMS: Partial<Record<TuningSettingKey, readonly string[]>> = {
+    transcriptionMode: ['v2-utterance', 'v3-streaming', 'v4-utterance'],
+    backend: ['webgpu', 'wasm'],
+    vadPolicy: VAD_FUSION_POLICIES,
+};
+
+function sanitizeValue<K extends TuningSettingKey>(key: K, value: unknown): TuningSettings[K] | undefined {
+    const fallback = DEFAULT_TUNING_SETTINGS[key];
+    if (typeof value !== typeof fallback) return undefined;
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return undefined;
+        const range = TUNING_RANGES[key];
+        if (!range) return value as TuningSettings[K];
+        const clamped = Math.min(range.max, Math.max(range.min, value));
+        return (range.integer ? Math.round(clamped) : clamped) as TuningSettings[K];
+    }
+    const allowed = ENUMS[key];
+    if (allowed && !allowed.includes(value as string)) return undefined;
+    if (typeof value === 'string' && value.trim() === '') return undefined;
+    return value as TuningSettings[K];
+}
+
+/** The valid, known settings in a value; everything else is dropped. */
+export function sanitizePartialSettings(value: unknown): Partial<TuningSettings> {
+    if (!value || typeof value !== 'object') return {};
+    const v = value as Record<string, unknown>;
+    const result: Partial<TuningSettings> = {};
+    for (const key of Object.keys(DEFAULT_TUNING_SETTINGS) as TuningSettingKey[]) {
+        const sanitized = sanitizeValue(key, v[key]);
+        if (sanitized !== undefined) (result as Record<string, unknown>)[key] = sanitized;
+    }
+    return result;
+}
+
+/** Complete settings: valid values from `value`, defaults for the rest. */
+export function sanitizeSettings(value: unknown): TuningSettings {
+    return { ...DEFAULT_TUNING_SETTINGS, ...sanitizePartialSettings(value) };
+}
+
+/** A user preset, or null when it has no id, name or valid settings. */
+export function sanitizePreset(value: unknown): TuningPreset | null {
+    if (!value || typeof value !== 'object') return null;
+    const p = value as Record<string, unknown>;
+    if (typeof p.id !== 'string' || !p.id || typeof p.name !== 'string' || !p.name.trim()) return null;
+    const settings = sanitizePartialSettings(p.settings);
+    if (Object.keys(settings).length === 0) return null;
+    return {
+        id: p.id,
+        name: p.name.trim(),
+        ...(typeof p.description === 'string' && p.description ? { description: p.description } : {}),
+        settings,
+    };
+}
+
+export function sanitizeStoredSettings(value: unknown): StoredSettings {
+    const entry = migrateSettings(value);
+    const presets = Array.isArray(entry.presets)
+        ? entry.presets.map(sanitizePreset).filter((p): p is TuningPreset => p !== null)
+        : [];
+    return { version: SETTINGS_VERSION, settings: sanitizeSettings(entry.settings), presets };
+}
+
+/** Stored settings and presets, or the defaults when none are stored or they cannot be read. */
+export function loadSettings(storage: StorageLike | null = defaultStorage()): StoredSettings {
+    try {
+        const raw = storage?.getItem(SETTINGS_STORAGE_KEY);
+        if (raw) return sanitizeStoredSettings(JSON.parse(raw));
+    } catch (err) {
+        console.warn('[Settings] Failed to read stored settings:', err);
+    }
+    return { version: SETTINGS_VERSION, settings: { ...DEFAULT_TUNING_SETTINGS }, presets: [] };
+}
+
+export function saveSettings(
+    settings: TuningSettings,
+    presets: TuningPreset[],
+    storage: StorageLike | null = defaultStorage()
+): void {
+    const entry: StoredSettings = { version: SETTINGS_VERSION, settings, presets };
+    try {
+        storage?.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(entry));
+    } catch (err) {
+        console.warn('[Settings] Failed to save:', err);
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Keet - Settings Types
+ *
+ * Tuning settings that survive reloads, and named presets that bundle a
+ * subset of them for a use case.
+ */
+
+import type { BackendType } from '../../types';
+import type { VadFusionPolicy } from '../buffer/vadFusion';
+
+export type TranscriptionMode = 'v2-utterance' | 'v3-streaming' | 'v4-utterance';
+
+/** Tuning knobs persisted across reloads and captured by presets */
+export interface TuningSettings {
+    transcriptionMode: TranscriptionMode;
+    selectedModelId: string;
+    backend: BackendType;
+    /** v4 transcription tick frequency in ms (the starting point when adaptive) */
+    v4InferenceIntervalMs: number;
+    /** Adapt the v4 tick interval to inference speed, backlog and silence */
+    adaptiveInterval: boolean;
+    /** v4 silence duration that flushes the pending sentence, in seconds */
+    v4SilenceFlushSec: number;
+    /** Silero VAD probability threshold */
+    sileroThreshold: number;
+    /** Energy VAD threshold */
+    energyThreshold: number;
+    /** How v4 combines the energy, TEN-VAD and Silero layers into one speech decision */
+    vadPolicy: VadFusionPolicy;
+    /** Run Silero VAD as an extra v4 layer */
+    sileroVad: boolean;
+    /** v3 window, overlap and trigger interval, in seconds */
+    streamingWindow: number;
+    streamingOverlap: number;
+    triggerInterval: number;
+    /** Decoder frame stride (1 = full precision) */
+    frameStride: number;
+    /** Finalized words below this confidence are highlighted */
+    lowConfidenceThreshold: number;
+    /** Sentence segmentation language, or 'auto' */
+    sentenceLanguage: string;
+    /** Label v4 sentences with speakers clustered on device */
+    speakerLabels: boolean;
+    /** Speaker distance above which a sentence starts a new speaker (lower: more speakers) */
+    speakerThreshold: number;
+    /** Act on spoken commands in microphone sentences instead of transcribing them (see lib/commands) */
+    dictationMode: boolean;
+    /** Capture DSP: anti-aliased resampling, 80 Hz high-pass, noise suppression, AGC */
+    sincResampling: boolean;
+    highPassFilter: boolean;
+    noiseSuppression: boolean;
+    autoGain: boolean;
+}
+
+export type TuningSettingKey = keyof TuningSettings;
+
+export const DEFAULT_TUNING_SETTINGS: TuningSettings = {
+    transcriptionMode: 'v4-utterance',
+    selectedModelId: 'parakeet-tdt-0.6b-v2',
+    backend: 'webgpu',
+    v4InferenceIntervalMs: 480,
+    adaptiveInterval: true,
+    v4SilenceFlushSec: 1.0,
+    sileroThreshold: 0.5,
+    energyThreshold: 0.08,
+    vadPolicy: 'and',
+    sileroVad: false,
+    // Window=5s gives ~62 encoder frames (vs 87 for 7s) - 30% less decode work.
+    // Overlap=3.5s with trigger=1.5s provides enough context for LCS merging
+    // while giving the transcriber 1.5s headroom per chunk.
+    streamingWindow: 5.0,
+    streamingOverlap: 3.5,
+    triggerInterval: 1.5,
+    frameStride: 1,
+    lowConfidenceThreshold: 0.5,
+    sentenceLanguage: 'auto',
+    speakerLabels: false,
+    speakerThreshold: 0.4,
+    dictationMode: false,
+    sincResampling: true,
+    highPassFilter: true,
+    noiseSuppression: false,
+    autoGain: false,
+};
+
+/** Accepted range of each numeric setting; stored values are clamped to it */
+export const TUNING_RANGES: Partial<Record<TuningSettingKey, { min: number; max: number; integer?: boolean }>> = {
+    v4InferenceIntervalMs: { min: 320, max: 8000, integer: true },
+    v4SilenceFlushSec: { min: 0.3, max: 5.0 },
+    sileroThreshold: { min: 0.1, max: 0.9 },
+    energyThreshold: { min: 0.005, max: 0.3 },
+    streamingWindow: { min: 2.0, max: 15.0 },
+    streamingOverlap: { min: 0, max: 10 },
+    triggerInterval: { min: 0.25, max: 10 },
+    frameStride: { min: 1, max: 4, integer: true },
+    lowConfidenceThreshold: { min: 0, max: 1 },
+    speakerThreshold: { min: 0.05, max: 2 },
+};
+
+/** A named set of settings; applying it changes only the settings it lists */
+export interface TuningPreset {
+    id: string;
+    name: string;
+    description?: string;
+    /** Shipped with the app (cannot be deleted or overwritten) */
+    builtIn?: boolean;
+    settings: Partial<TuningSettings>;
+}
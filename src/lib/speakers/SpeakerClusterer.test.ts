@@ -0,0 +1,85 @@
+/**
+ * Unit tests for speaker embeddings and online speaker clustering.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SpeakerClusterer } from './SpeakerClusterer';
+import { computeSpeakerEmbedding, mergeEmbeddings, speakerDistance, type SpeakerEmbedding } from './speakerEmbedding';
+
+/** Statistics with the given means (unit variance) over `frames` frames. */
+function stats(mean: number[], frames: number = 200): SpeakerEmbedding {
+    return { frames, mean: Float64Array.from(mean), variance: new Float64Array(mean.length).fill(1) };
+}
+
+describe('speakerEmbedding', () => {
+    it('should summarize the voiced frames and skip silence', () => {
+        const melBins = 16;
+        const T = 100;
+        const features = new Float32Array(melBins * T);
+        for (let t = 0; t < T; t++) {
+            // Frames 0-59: a sloped spectrum that changes over time; 60-99: near-silence
+            for (let m = 0; m < melBins; m++) {
+                features[m * T + t] = t < 60 ? -m * 0.3 + Math.sin(t + m) : -20;
+            }
+        }
+        const embedding = computeSpeakerEmbedding(features, T, melBins, { coefficients: 8, minFrames: 30 });
+        expect(embedding).not.toBeNull();
+        expect(embedding!.frames).toBe(60);
+        expect(embedding!.mean).toHaveLength(8);
+        expect(embedding!.mean[0]).toBeGreaterThan(0); // falling spectrum → positive c1
+        expect(Math.min(...embedding!.variance)).toBeGreaterThan(0);
+
+        expect(computeSpeakerEmbedding(features, T, melBins, { minFrames: 61 })).toBeNull();
+    });
+
+    it('should measure distance by mean shift and variance mismatch', () => {
+        const a = stats([0, 0]);
+        expect(speakerDistance(a, a)).toBe(0);
+        expect(speakerDistance(a, stats([1, 1]))).toBeCloseTo(1);
+        expect(speakerDistance(a, stats([2, 0]))).toBeGreaterThan(speakerDistance(a, stats([1, 0])));
+        const wide = { ...a, variance: Float64Array.from([4, 4]) };
+        expect(speakerDistance(a, wide)).toBeCloseTo(0.5 * (4 + 0.25 - 2));
+        expect(speakerDistance(a, wide)).toBeCloseTo(speakerDistance(wide, a));
+    });
+
+    it('should pool statistics as if over both segments', () => {
+        const merged = mergeEmbeddings(stats([0], 100), stats([2], 300));
+        expect(merged.frames).toBe(400);
+        expect(merged.mean[0]).toBeCloseTo(1.5);
+        // E[x²] = 0.25·1 + 0.75·(1 + 4) = 4; minus 1.5²
+        expect(merged.variance[0]).toBeCloseTo(1.75);
+    });
+});
+
+describe('SpeakerClusterer', () => {
+    it('should start speakers for distant segments and join close ones', () => {
+        const clusterer = new SpeakerClusterer({ threshold: 0.4 });
+        expect(clusterer.assign(stats([0, 0]))).toEqual({ speaker: 'S1', distance: 0, isNew: true });
+        expect(clusterer.assign(stats([2, 2]))).toMatchObject({ speaker: 'S2', isNew: true });
+
+        const close = clusterer.assign(stats([0.3, -0.2]));
+        expect(close).toMatchObject({ speaker: 'S1', isNew: false });
+        expect(close.distance).toBeCloseTo((0.09 + 0.04) / 2); // mean of the squared shifts (unit variances)
+        expect(clusterer.assign(stats([1.9, 2.2])).speaker).toBe('S2');
+
+        expect(clusterer.getSpeakers()).toEqual([
+            { id: 'S1', frames: 400, segments: 2 },
+            { id: 'S2', frames: 400, segments: 2 },
+        ]);
+    });
+
+    it('should not start a speaker from a short segment or beyond the limit', () => {
+        const clusterer = new SpeakerClusterer({ threshold: 0.4, maxSpeakers: 2, minNewSpeakerFrames: 100 });
+        clusterer.assign(stats([0, 0]));
+        // Far away but only 50 frames: joins the closest speaker
+        expect(clusterer.assign(stats([3, 3], 50))).toMatchObject({ speaker: 'S1', isNew: false });
+        expect(clusterer.assign(stats([-3, -3]))).toMatchObject({ speaker: 'S2', isNew: true });
+        expect(clusterer.assign(stats([10, 10]))).toMatchObject({ speaker: 'S1', isNew: false });
+
+        clusterer.reset();
+        expect(clusterer.getSpeakers()).toEqual([]);
+        expect(clusterer.assign(stats([5, 5])).speaker).toBe('S1');
+    });
+});
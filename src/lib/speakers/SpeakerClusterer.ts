@@ -0,0 +1,92 @@
+/**
+ * Keet - Online speaker clustering
+ *
+ * Segments arrive one at a time (as sentences are finalized) and are never
+ * revisited: each joins the closest known speaker when it is close enough,
+ * otherwise it starts a new one. A speaker's statistics pool those of all
+ * its segments, so the model of a voice widens as more of it is heard.
+ */
+
+import { mergeEmbeddings, speakerDistance, type SpeakerEmbedding } from './speakerEmbedding';
+
+export interface SpeakerClustererConfig {
+    /** Largest distance (see speakerDistance) at which a segment joins a known speaker (default 0.4) */
+    threshold: number;
+    /** Speakers at most; once reached, segments go to the closest one (default 8) */
+    maxSpeakers: number;
+    /** Voiced frames a segment needs to start a new speaker; shorter ones join the closest (default 80) */
+    minNewSpeakerFrames: number;
+}
+
+export const DEFAULT_SPEAKER_CLUSTERER_CONFIG: SpeakerClustererConfig = {
+    threshold: 0.4,
+    maxSpeakers: 8,
+    minNewSpeakerFrames: 80,
+};
+
+export interface SpeakerAssignment {
+    /** Speaker id ('S1', 'S2', ... in order of appearance) */
+    speaker: string;
+    /** Distance to the speaker before the segment joined it (0 for a new speaker) */
+    distance: number;
+    isNew: boolean;
+}
+
+export interface SpeakerSummary {
+    id: string;
+    /** Voiced frames heard from the speaker */
+    frames: number;
+    segments: number;
+}
+
+interface SpeakerCluster {
+    id: string;
+    stats: SpeakerEmbedding;
+    segments: number;
+}
+
+export class SpeakerClusterer {
+    private config: SpeakerClustererConfig;
+    private clusters: SpeakerCluster[] = [];
+
+    constructor(config: Partial<SpeakerClustererConfig> = {}) {
+        this.config = { ...DEFAULT_SPEAKER_CLUSTERER_CONFIG, ...config };
+    }
+
+    updateConfig(config: Partial<SpeakerClustererConfig>): void {
+        this.config = { ...this.config, ...config };
+    }
+
+    /** Assign a segment to a speaker and fold it into that speaker's statistics. */
+    assign(embedding: SpeakerEmbedding): SpeakerAssignment {
+        let closest: SpeakerCluster | null = null;
+        let closestDistance = Infinity;
+        for (const cluster of this.clusters) {
+            const distance = speakerDistance(embedding, cluster.stats);
+            if (distance < closestDistance) {
+                closest = cluster;
+                closestDistance = distance;
+            }
+        }
+
+        const { threshold, maxSpeakers, minNewSpeakerFrames } = this.config;
+        const canStartSpeaker = this.clusters.length < maxSpeakers && embedding.frames >= minNewSpeakerFrames;
+        if (!closest || (closestDistance > threshold && canStartSpeaker)) {
+            const cluster = { id: `S${this.clusters.length + 1}`, stats: embedding, segments: 1 };
+            this.clusters.push(cluster);
+            return { speaker: cluster.id, distance: 0, isNew: true };
+        }
+
+        closest.stats = mergeEmbeddings(closest.stats, embedding);
+        closest.segments++;
+        return { speaker: closest.id, distance: closestDistance, isNew: false };
+    }
+
+    getSpeakers(): SpeakerSummary[] {
+        return this.clusters.map((c) => ({ id: c.id, frames: c.stats.frames, segments: c.segments }));
+    }
+
+    reset(): void {
+        this.clusters = [];
+    }
+}
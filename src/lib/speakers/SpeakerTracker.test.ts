@@ -0,0 +1,130 @@
+/**
+ * Unit tests for SpeakerTracker on synthetic voices.
+ *
+ * A "voice" is a harmonic source at a speaker's pitch shaped by vowel
+ * formants scaled by the speaker's vocal tract length, with the vowel
+ * changing every 150 ms. Log-mel frames are computed with the mel worker's
+ * own math and served by a fake mel client on one session timeline.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    computeMelFrame,
+    createMelFilterbank,
+    createPaddedHannWindow,
+    MEL_CONSTANTS,
+    precomputeTwiddles,
+    preemphasize,
+} from '../audio/mel-math';
+import { SpeakerTracker, defaultSpeakerName, speakerName } from './SpeakerTracker';
+
+const SR = 16000;
+const N_MELS = 128;
+const VOWEL_FORMANTS = [[730, 1090, 2440], [270, 2290, 3010], [300, 870, 2240], [530, 1840, 2480], [570, 840, 2410]];
+
+interface Voice {
+    f0: number;
+    /** Formant scale (shorter vocal tract → higher formants) */
+    tract: number;
+}
+
+const LOW: Voice = { f0: 115, tract: 1.0 };
+const HIGH: Voice = { f0: 210, tract: 1.17 };
+
+function speak(voice: Voice, seconds: number, vowelOffset: number): Float32Array {
+    const out = new Float32Array(Math.round(seconds * SR));
+    const syllable = 0.15 * SR;
+    let phase = 0;
+    for (let i = 0; i < out.length; i++) {
+        const formants = VOWEL_FORMANTS[(Math.floor(i / syllable) * 3 + vowelOffset) % VOWEL_FORMANTS.length];
+        const f0 = voice.f0 * (1 + 0.05 * Math.sin((3 * i) / SR));
+        phase += (2 * Math.PI * f0) / SR;
+        let sample = 0;
+        for (let h = 1; h * f0 < 7000; h++) {
+            let gain = 1 / h;
+            for (const formant of formants) gain *= 1 + 8 / (1 + ((h * f0 - formant * voice.tract) / 80) ** 2);
+            sample += gain * Math.sin(h * phase);
+        }
+        // Short pause at the end of each syllable
+        out[i] = (i % syllable < 0.12 * SR ? 0.02 : 0.001) * sample;
+    }
+    return out;
+}
+
+/** Fake mel worker: raw log-mel of the whole session, sliced like GET_FEATURES. */
+function melClient(audio: Float32Array) {
+    const { HOP_LENGTH } = MEL_CONSTANTS;
+    const filterbank = createMelFilterbank(N_MELS);
+    const window = createPaddedHannWindow();
+    const twiddles = precomputeTwiddles(MEL_CONSTANTS.N_FFT);
+    const preemph = preemphasize(audio);
+    const frames = Math.floor(audio.length / HOP_LENGTH);
+    const mel = Array.from({ length: frames }, (_, t) => computeMelFrame(preemph, t, window, twiddles, filterbank, N_MELS));
+    const requests: boolean[] = [];
+    return {
+        requests,
+        getFeatures: async (startSample: number, endSample: number, normalize: boolean = true) => {
+            requests.push(normalize);
+            const sf = Math.floor(startSample / HOP_LENGTH);
+            const ef = Math.min(frames, Math.floor(endSample / HOP_LENGTH));
+            const T = ef - sf;
+            if (T <= 0) return null;
+            const features = new Float32Array(N_MELS * T);
+            for (let m = 0; m < N_MELS; m++) {
+                for (let t = 0; t < T; t++) features[m * T + t] = mel[sf + t][m];
+            }
+            return { features, T, melBins: N_MELS };
+        },
+    };
+}
+
+/** Concatenate turns; returns the audio and each turn as a sentence span. */
+function conversation(turns: Array<[Voice, number]>) {
+    const parts = turns.map(([voice, seconds], i) => speak(voice, seconds, i));
+    const audio = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+    const sentences: Array<{ id: string; startTime: number; endTime: number }> = [];
+    let offset = 0;
+    parts.forEach((part, i) => {
+        audio.set(part, offset);
+        sentences.push({ id: `s${i}`, startTime: offset / SR, endTime: (offset + part.length) / SR });
+        offset += part.length;
+    });
+    return { audio, sentences };
+}
+
+describe('SpeakerTracker', () => {
+    it('should tell two voices apart across turns', async () => {
+        const { audio, sentences } = conversation([[LOW, 1.5], [HIGH, 1.2], [LOW, 2.0], [LOW, 1.0], [HIGH, 1.8]]);
+        const mel = melClient(audio);
+        const tracker = new SpeakerTracker(mel);
+
+        // Labels are queued and come back in order
+        const labels = await Promise.all(sentences.map((s) => tracker.label(s)));
+
+        expect(labels.map((l) => l?.speaker)).toEqual(['S1', 'S2', 'S1', 'S1', 'S2']);
+        expect(labels.map((l) => l?.isNew)).toEqual([true, true, false, false, false]);
+        expect(labels[2]).toMatchObject({ sentenceId: 's2' });
+        expect(mel.requests.every((normalize) => normalize === false)).toBe(true);
+        expect(tracker.getSpeakers().map((s) => s.segments)).toEqual([3, 2]);
+    });
+
+    it('should keep the previous speaker for segments too short to embed', async () => {
+        const { audio, sentences } = conversation([[HIGH, 1.5], [LOW, 0.2]]);
+        const tracker = new SpeakerTracker(melClient(audio), { idPrefix: 'Others:' });
+
+        expect(await tracker.label({ ...sentences[1], id: 'early' })).toBeNull();
+        expect(await tracker.label(sentences[0])).toMatchObject({ speaker: 'Others:S1', isNew: true });
+        expect(await tracker.label(sentences[1])).toEqual({ sentenceId: 's1', speaker: 'Others:S1', distance: null, isNew: false });
+        await tracker.idle();
+        expect(tracker.getSpeakers()[0].id).toBe('Others:S1');
+    });
+
+    it('should name speakers by number unless renamed', () => {
+        expect(defaultSpeakerName('S3')).toBe('Speaker 3');
+        expect(defaultSpeakerName('Others:S2')).toBe('Others · Speaker 2');
+        expect(speakerName('S1', { S1: ' Ada ' })).toBe('Ada');
+        expect(speakerName('S1', { S1: '  ' })).toBe('Speaker 1');
+    });
+});
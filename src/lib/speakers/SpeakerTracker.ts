@@ -0,0 +1,133 @@
+/**
+ * Keet - Speaker tracker
+ *
+ * Labels finalized sentences with speakers, on device and without a model:
+ * the raw log-mel frames of each sentence are read back from the mel worker,
+ * summarized (speakerEmbedding.ts) and clustered online (SpeakerClusterer).
+ * Sentences are labeled in the order they are given, one at a time, since
+ * each assignment depends on the ones before it.
+ *
+ * Usage:
+ *   const tracker = new SpeakerTracker(melClient, { idPrefix: 'Others:' });
+ *   const label = await tracker.label(sentence); // { sentenceId, speaker: 'Others:S2', ... } or null
+ */
+
+import type { MelWorkerClient } from '../audio/MelWorkerClient';
+import {
+    computeSpeakerEmbedding,
+    DEFAULT_SPEAKER_EMBEDDING_CONFIG,
+    type SpeakerEmbeddingConfig,
+} from './speakerEmbedding';
+import {
+    DEFAULT_SPEAKER_CLUSTERER_CONFIG,
+    SpeakerClusterer,
+    type SpeakerClustererConfig,
+    type SpeakerSummary,
+} from './SpeakerClusterer';
+
+export interface SpeakerTrackerConfig extends SpeakerClustererConfig, SpeakerEmbeddingConfig {
+    /** Sample rate of the mel worker's timeline (default 16000) */
+    sampleRate: number;
+    /** Prepended to speaker ids, e.g. a channel label (default '') */
+    idPrefix: string;
+}
+
+/** A time span of the mel timeline to label (a finalized sentence). */
+export interface SpeakerSegment {
+    id: string;
+    /** Seconds on the mel worker's timeline */
+    startTime: number;
+    endTime: number;
+}
+
+export interface SpeakerLabel {
+    sentenceId: string;
+    speaker: string;
+    /**
+     * Distance to the speaker's statistics before the segment joined them;
+     * null when the segment was too short to embed and kept the previous speaker
+     */
+    distance: number | null;
+    /** First segment of a new speaker */
+    isNew: boolean;
+}
+
+/** Default display name of a speaker id: 'S2' → 'Speaker 2', 'Others:S2' → 'Others · Speaker 2'. */
+export function defaultSpeakerName(speaker: string): string {
+    const match = /^(?:(.*):)?S(\d+)$/.exec(speaker);
+    if (!match) return speaker;
+    return match[1] ? `${match[1]} · Speaker ${match[2]}` : `Speaker ${match[2]}`;
+}
+
+/** The name the user gave a speaker, or its default name. */
+export function speakerName(speaker: string, names: Record<string, string> = {}): string {
+    return names[speaker]?.trim() || defaultSpeakerName(speaker);
+}
+
+export class SpeakerTracker {
+    private mel: Pick<MelWorkerClient, 'getFeatures'>;
+    private config: SpeakerTrackerConfig;
+    private clusterer: SpeakerClusterer;
+    private previousSpeaker: string | null = null;
+    private queue: Promise<unknown> = Promise.resolve();
+
+    constructor(mel: Pick<MelWorkerClient, 'getFeatures'>, config: Partial<SpeakerTrackerConfig> = {}) {
+        this.mel = mel;
+        this.config = {
+            ...DEFAULT_SPEAKER_CLUSTERER_CONFIG,
+            ...DEFAULT_SPEAKER_EMBEDDING_CONFIG,
+            sampleRate: 16000,
+            idPrefix: '',
+            ...config,
+        };
+        this.clusterer = new SpeakerClusterer(this.config);
+    }
+
+    updateConfig(config: Partial<SpeakerClustererConfig>): void {
+        this.config = { ...this.config, ...config };
+        this.clusterer.updateConfig(config);
+    }
+
+    /**
+     * Label a segment once the segments given before it are labeled. Null
+     * when nothing can be said: the mel frames are gone or the segment is too
+     * short, with no earlier speaker to carry over.
+     */
+    label(segment: SpeakerSegment): Promise<SpeakerLabel | null> {
+        const result = this.queue.then(() => this.labelNow(segment));
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /** Resolves when every segment given so far is labeled. */
+    idle(): Promise<void> {
+        return this.queue.then(() => {});
+    }
+
+    getSpeakers(): SpeakerSummary[] {
+        return this.clusterer.getSpeakers().map((s) => ({ ...s, id: this.config.idPrefix + s.id }));
+    }
+
+    /** Forget all speakers (e.g. for a new session). */
+    reset(): void {
+        this.clusterer.reset();
+        this.previousSpeaker = null;
+    }
+
+    private async labelNow(segment: SpeakerSegment): Promise<SpeakerLabel | null> {
+        const { sampleRate, idPrefix } = this.config;
+        const start = Math.max(0, Math.floor(segment.startTime * sampleRate));
+        const end = Math.ceil(segment.endTime * sampleRate);
+        const features = end > start ? await this.mel.getFeatures(start, end, false) : null;
+        const embedding = features ? computeSpeakerEmbedding(features.features, features.T, features.melBins, this.config) : null;
+
+        if (!embedding) {
+            if (!this.previousSpeaker) return null;
+            return { sentenceId: segment.id, speaker: this.previousSpeaker, distance: null, isNew: false };
+        }
+        const assignment = this.clusterer.assign(embedding);
+        const speaker = idPrefix + assignment.speaker;
+        this.previousSpeaker = speaker;
+        return { sentenceId: segment.id, speaker, distance: assignment.distance, isNew: assignment.isNew };
+    }
+}
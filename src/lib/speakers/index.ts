@@ -0,0 +1,15 @@
+/**
+ * Keet - Speakers Module
+ */
+
+export { SpeakerTracker, defaultSpeakerName, speakerName } from './SpeakerTracker';
+export type { SpeakerLabel, SpeakerSegment, SpeakerTrackerConfig } from './SpeakerTracker';
+export { SpeakerClusterer, DEFAULT_SPEAKER_CLUSTERER_CONFIG } from './SpeakerClusterer';
+export type { SpeakerAssignment, SpeakerClustererConfig, SpeakerSummary } from './SpeakerClusterer';
+export {
+    computeSpeakerEmbedding,
+    mergeEmbeddings,
+    speakerDistance,
+    DEFAULT_SPEAKER_EMBEDDING_CONFIG,
+} from './speakerEmbedding';
+export type { SpeakerEmbedding, SpeakerEmbeddingConfig } from './speakerEmbedding';
@@ -0,0 +1,142 @@
+/**
+ * Keet - Speaker embeddings from log-mel features
+ *
+ * A segment's voice is summarized by the statistics of its mel cepstra
+ * (MFCCs computed from the raw log-mel frames the mel worker already keeps):
+ * per-coefficient mean and variance over the voiced frames, i.e. a diagonal
+ * Gaussian. c0 (loudness) is left out so gain changes do not look like a new
+ * speaker. Segments and speakers are compared by the symmetric KL divergence
+ * of their Gaussians, which stays meaningful for short segments where
+ * centered / cosine embeddings are not.
+ */
+
+export interface SpeakerEmbeddingConfig {
+    /** Cepstral coefficients c1..cN kept (default 20) */
+    coefficients: number;
+    /**
+     * Frames quieter than the loudest frame by more than this (natural-log
+     * power, ≈ 4.3 dB per unit) are treated as silence (default 4)
+     */
+    dynamicRange: number;
+    /** Fewer voiced frames than this give no embedding (default 30, 0.3 s at 10 ms hops) */
+    minFrames: number;
+}
+
+export const DEFAULT_SPEAKER_EMBEDDING_CONFIG: SpeakerEmbeddingConfig = {
+    coefficients: 20,
+    dynamicRange: 4,
+    minFrames: 30,
+};
+
+/** Sufficient statistics of a segment's cepstra (or a speaker's, when accumulated). */
+export interface SpeakerEmbedding {
+    /** Voiced frames the statistics cover */
+    frames: number;
+    mean: Float64Array;
+    variance: Float64Array;
+}
+
+// Variance floor: keeps the divergence finite for near-constant coefficients
+const MIN_VARIANCE = 1e-3;
+
+const dctCache = new Map<string, Float64Array>();
+
+/** Orthonormal DCT-II rows 1..coefficients over `bins` inputs, row-major. */
+function dctMatrix(bins: number, coefficients: number): Float64Array {
+    const key = `${bins}:${coefficients}`;
+    let matrix = dctCache.get(key);
+    if (matrix) return matrix;
+    matrix = new Float64Array(coefficients * bins);
+    const scale = Math.sqrt(2 / bins);
+    for (let k = 0; k < coefficients; k++) {
+        for (let m = 0; m < bins; m++) {
+            matrix[k * bins + m] = scale * Math.cos((Math.PI * (k + 1) * (m + 0.5)) / bins);
+        }
+    }
+    dctCache.set(key, matrix);
+    return matrix;
+}
+
+/**
+ * Embed a segment from raw (un-normalized) log-mel features in the mel
+ * worker's mel-major layout [melBins, T]. Returns null when the segment has
+ * too few voiced frames to say anything about the speaker.
+ */
+export function computeSpeakerEmbedding(
+    features: Float32Array,
+    T: number,
+    melBins: number,
+    config: Partial<SpeakerEmbeddingConfig> = {}
+): SpeakerEmbedding | null {
+    const { coefficients, dynamicRange, minFrames } = { ...DEFAULT_SPEAKER_EMBEDDING_CONFIG, ...config };
+    if (T < minFrames) return null;
+
+    // Frame loudness: mean log-mel over the bins
+    const loudness = new Float64Array(T);
+    let loudest = -Infinity;
+    for (let t = 0; t < T; t++) {
+        let sum = 0;
+        for (let m = 0; m < melBins; m++) sum += features[m * T + t];
+        loudness[t] = sum / melBins;
+        if (loudness[t] > loudest) loudest = loudness[t];
+    }
+    const floor = loudest - dynamicRange;
+
+    const dct = dctMatrix(melBins, coefficients);
+    const frame = new Float64Array(melBins);
+    const sum = new Float64Array(coefficients);
+    const sumSq = new Float64Array(coefficients);
+    let frames = 0;
+    for (let t = 0; t < T; t++) {
+        if (loudness[t] < floor) continue;
+        for (let m = 0; m < melBins; m++) frame[m] = features[m * T + t];
+        for (let k = 0; k < coefficients; k++) {
+            let c = 0;
+            const row = k * melBins;
+            for (let m = 0; m < melBins; m++) c += dct[row + m] * frame[m];
+            sum[k] += c;
+            sumSq[k] += c * c;
+        }
+        frames++;
+    }
+    if (frames < minFrames) return null;
+
+    const mean = new Float64Array(coefficients);
+    const variance = new Float64Array(coefficients);
+    for (let k = 0; k < coefficients; k++) {
+        mean[k] = sum[k] / frames;
+        variance[k] = Math.max(MIN_VARIANCE, sumSq[k] / frames - mean[k] * mean[k]);
+    }
+    return { frames, mean, variance };
+}
+
+/** Statistics of `a` and `b` pooled, as if computed over both segments' frames. */
+export function mergeEmbeddings(a: SpeakerEmbedding, b: SpeakerEmbedding): SpeakerEmbedding {
+    const frames = a.frames + b.frames;
+    const wa = a.frames / frames;
+    const wb = b.frames / frames;
+    const mean = new Float64Array(a.mean.length);
+    const variance = new Float64Array(a.mean.length);
+    for (let k = 0; k < mean.length; k++) {
+        mean[k] = wa * a.mean[k] + wb * b.mean[k];
+        const secondMoment = wa * (a.variance[k] + a.mean[k] ** 2) + wb * (b.variance[k] + b.mean[k] ** 2);
+        variance[k] = Math.max(MIN_VARIANCE, secondMoment - mean[k] ** 2);
+    }
+    return { frames, mean, variance };
+}
+
+/**
+ * Symmetric KL divergence between the two diagonal Gaussians, averaged over
+ * the coefficients. 0 for identical statistics; grows with the mean shift
+ * relative to the spread and with variance mismatch.
+ */
+export function speakerDistance(a: SpeakerEmbedding, b: SpeakerEmbedding): number {
+    let total = 0;
+    for (let k = 0; k < a.mean.length; k++) {
+        const va = a.variance[k];
+        const vb = b.variance[k];
+        const diff = a.mean[k] - b.mean[k];
+        total += 0.5 * (va / vb + vb / va - 2) + 0.5 * diff * diff * (1 / va + 1 / vb);
+    }
+    return total / a.mean.length;
+}
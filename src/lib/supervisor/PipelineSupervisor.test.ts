@@ -0,0 +1,217 @@
+/**
+ * Unit tests for PipelineSupervisor (heartbeats, worker restarts, retries
+ * and the recovery limit).
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PipelineSupervisor, type RecoveryEvent, type SupervisedWorker } from './PipelineSupervisor';
+
+/** A worker whose pings answer while `healthy` and whose crash can be triggered. */
+function fakeWorker() {
+    let crash: ((message: string) => void) | null = null;
+    const worker = {
+        healthy: true,
+        /** Date.now() when the pending request was sent, null when idle */
+        busyAt: null as number | null,
+        restarts: 0,
+        failRestarts: 0,
+        ping: vi.fn(() => (worker.healthy ? Promise.resolve() : new Promise<void>(() => {}))),
+        restart: vi.fn(async () => {
+            if (worker.failRestarts > 0) {
+                worker.failRestarts--;
+                throw new Error('worker failed to load');
+            }
+            worker.restarts++;
+            worker.healthy = true;
+        }),
+        onCrash: vi.fn((cb: (message: string) => void) => {
+            crash = cb;
+            return () => { crash = null; };
+        }),
+        busySince: () => worker.busyAt,
+        crash: (message: string) => crash?.(message),
+        isWatched: () => crash !== null,
+    };
+    return worker satisfies SupervisedWorker;
+}
+
+describe('PipelineSupervisor', () => {
+    let supervisor: PipelineSupervisor;
+    let events: RecoveryEvent[];
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        supervisor = new PipelineSupervisor({ heartbeatMs: 1000, pingTimeoutMs: 500, maxMissedHeartbeats: 2, retryDelayMs: 100 });
+        events = [];
+        supervisor.on('recovery', (e) => events.push(e));
+    });
+
+    afterEach(() => {
+        supervisor.dispose();
+        vi.useRealTimers();
+    });
+
+    it('pings watched workers on every heartbeat', async () => {
+        const worker = fakeWorker();
+        supervisor.watchWorker('mel worker', worker);
+        supervisor.start();
+        await vi.advanceTimersByTimeAsync(3000);
+        expect(worker.ping).toHaveBeenCalledTimes(3);
+        expect(events).toEqual([]);
+    });
+
+    it('restarts a worker after maxMissedHeartbeats unanswered pings', async () => {
+        const worker = fakeWorker();
+        const onRestarted = vi.fn();
+        supervisor.watchWorker('buffer worker', worker, { onRestarted });
+        supervisor.start();
+        worker.healthy = false;
+
+        await vi.advanceTimersByTimeAsync(1500);
+        expect(worker.restart).not.toHaveBeenCalled();
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(worker.restart).toHaveBeenCalledTimes(1);
+        expect(onRestarted).toHaveBeenCalledTimes(1);
+        expect(events.map((e) => e.status)).toEqual(['recovering', 'recovered']);
+        expect(events[0]).toMatchObject({ component: 'buffer worker', kind: 'worker', reason: 'missed 2 heartbeats' });
+    });
+
+    it('does not restart a worker that is busy with a long request', async () => {
+        const worker = fakeWorker();
+        supervisor.watchWorker('transcription worker', worker);
+        supervisor.start();
+        // e.g. INIT_MODEL downloading a model: the worker cannot answer pings
+        worker.healthy = false;
+        worker.busyAt = Date.now();
+
+        await vi.advanceTimersByTimeAsync(10000);
+        expect(worker.restart).not.toHaveBeenCalled();
+        expect(worker.ping).not.toHaveBeenCalled();
+
+        // Pings count again once the request has finished
+        worker.busyAt = null;
+        await vi.advanceTimersByTimeAsync(2500);
+        expect(worker.restart).toHaveBeenCalledTimes(1);
+        expect(events[0].reason).toBe('missed 2 heartbeats');
+    });
+
+    it('restarts a worker whose request never returns once it has been busy for maxBusyMs', async () => {
+        const worker = fakeWorker();
+        supervisor.watchWorker('transcription worker', worker, { maxBusyMs: 5000 });
+        supervisor.start();
+        // A hung inference: neither the request nor any ping is ever answered
+        worker.healthy = false;
+        worker.busyAt = Date.now();
+
+        await vi.advanceTimersByTimeAsync(4000);
+        expect(worker.ping).not.toHaveBeenCalled();
+
+        // Pinged again from 5 s on; the second missed ping restarts it
+        await vi.advanceTimersByTimeAsync(2500);
+        expect(worker.ping).toHaveBeenCalledTimes(2);
+        expect(worker.restart).toHaveBeenCalledTimes(1);
+        expect(events[0]).toMatchObject({ component: 'transcription worker', reason: 'missed 2 heartbeats' });
+    });
+
+    it('does not count a ping that times out behind a request sent after it', async () => {
+        const worker = fakeWorker();
+        supervisor.watchWorker('transcription worker', worker);
+        supervisor.start();
+        worker.healthy = false;
+        worker.ping.mockImplementation(() => {
+            worker.busyAt = Date.now();
+            return new Promise<void>(() => {});
+        });
+
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(worker.ping).toHaveBeenCalledTimes(1);
+        expect(worker.restart).not.toHaveBeenCalled();
+    });
+
+    it('restarts a worker as soon as it crashes', async () => {
+        const worker = fakeWorker();
+        supervisor.watchWorker('TEN-VAD worker', worker);
+        worker.crash('out of memory');
+        await vi.advanceTimersByTimeAsync(0);
+        expect(worker.restarts).toBe(1);
+        expect(events[0].reason).toBe('crashed: out of memory');
+    });
+
+    it('retries a failing restart with backoff', async () => {
+        const worker = fakeWorker();
+        worker.failRestarts = 2;
+        supervisor.watchWorker('mel worker', worker);
+        worker.crash('boom');
+
+        await vi.advanceTimersByTimeAsync(100);
+        expect(worker.restart).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(200);
+        expect(worker.restart).toHaveBeenCalledTimes(3);
+        expect(events.map((e) => e.status)).toEqual(['recovering', 'recovered']);
+    });
+
+    it('reports failure and stops watching a worker that cannot be restarted', async () => {
+        const worker = fakeWorker();
+        worker.failRestarts = 10;
+        supervisor.watchWorker('mel worker', worker);
+        worker.crash('boom');
+        await vi.advanceTimersByTimeAsync(1000);
+
+        expect(worker.restart).toHaveBeenCalledTimes(3);
+        expect(events.at(-1)).toMatchObject({ status: 'failed', message: 'worker failed to load' });
+        expect(worker.isWatched()).toBe(false);
+    });
+
+    it('joins reports made while a recovery is running', async () => {
+        let finish!: () => void;
+        const action = vi.fn(() => new Promise<void>((resolve) => { finish = resolve; }));
+        const first = supervisor.recover('microphone', 'audio', 'track ended', action);
+        const second = supervisor.recover('microphone', 'audio', 'device removed', action);
+        finish();
+        expect(await first).toBe(true);
+        expect(await second).toBe(true);
+        expect(action).toHaveBeenCalledTimes(1);
+    });
+
+    it('passes the action message on to the recovered event', async () => {
+        await supervisor.recover('microphone', 'audio', 'track ended', async () => 'Switched to the default microphone');
+        expect(events.at(-1)).toMatchObject({ status: 'recovered', message: 'Switched to the default microphone' });
+    });
+
+    it('gives up on a component after maxRecoveries within the window', async () => {
+        const limited = new PipelineSupervisor({ maxRecoveries: 2, recoveryWindowMs: 10000 });
+        const seen: RecoveryEvent[] = [];
+        limited.on('recovery', (e) => seen.push(e));
+        const action = vi.fn(async () => {});
+
+        expect(await limited.recover('gpu', 'gpu', 'device lost', action)).toBe(true);
+        expect(await limited.recover('gpu', 'gpu', 'device lost', action)).toBe(true);
+        expect(await limited.recover('gpu', 'gpu', 'device lost', action)).toBe(false);
+        expect(action).toHaveBeenCalledTimes(2);
+        expect(seen.at(-1)).toMatchObject({ status: 'failed', message: 'Gave up after 2 recoveries in 10s' });
+
+        vi.advanceTimersByTime(10000);
+        expect(await limited.recover('gpu', 'gpu', 'device lost', action)).toBe(true);
+        limited.dispose();
+    });
+
+    it('stops pinging an unwatched worker', async () => {
+        const worker = fakeWorker();
+        const unwatch = supervisor.watchWorker('mel worker', worker);
+        supervisor.start();
+        unwatch();
+        await vi.advanceTimersByTimeAsync(3000);
+        expect(worker.ping).not.toHaveBeenCalled();
+        expect(worker.isWatched()).toBe(false);
+    });
+
+    it('keeps the most recent events', async () => {
+        const small = new PipelineSupervisor({ maxEvents: 3 });
+        await small.recover('a', 'worker', 'r1', async () => {});
+        await small.recover('b', 'worker', 'r2', async () => {});
+        expect(small.getEvents().map((e) => `${e.component}:${e.status}`)).toEqual(['a:recovered', 'b:recovering', 'b:recovered']);
+        small.dispose();
+    });
+});
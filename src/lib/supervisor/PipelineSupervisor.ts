@@ -0,0 +1,302 @@
+/**
+ * Keet - Pipeline Supervisor
+ *
+ * Keeps a recording session going through failures that would otherwise end
+ * it, and reports each recovery:
+ *
+ * - Workers: every watched worker is pinged each `heartbeatMs`. One that
+ *   throws (its onerror fires) or misses `maxMissedHeartbeats` pings in a row
+ *   is restarted with its last config. A worker that reports itself busy
+ *   (loading a model, running inference) is not pinged until its oldest
+ *   request is `maxBusyMs` old; after that a request that never returns
+ *   counts as a hang and missed pings restart it as usual.
+ * - Everything else (microphone, GPU): the owner calls recover() with the
+ *   action that fixes it.
+ *
+ * Recoveries of one component never overlap; a second report while one is
+ * running joins it. A failing action is retried with a doubling delay, and a
+ * component that needs more than `maxRecoveries` within `recoveryWindowMs` is
+ * given up on (reported as failed) instead of restarting forever.
+ */
+
+import { TypedEmitter } from '../events/TypedEmitter';
+
+export type RecoveryKind = 'worker' | 'audio' | 'gpu';
+
+export type RecoveryStatus = 'recovering' | 'recovered' | 'failed';
+
+export interface RecoveryEvent {
+    /** What failed, e.g. 'mel worker' or 'microphone' */
+    component: string;
+    kind: RecoveryKind;
+    status: RecoveryStatus;
+    /** Why the recovery started */
+    reason: string;
+    /** What the recovery did, or the last error when it failed */
+    message?: string;
+    /** Date.now() */
+    at: number;
+}
+
+/** What the supervisor needs from a worker client. */
+export interface SupervisedWorker {
+    /** Resolves once the worker answers */
+    ping(): Promise<void>;
+    /** Replace the worker with a fresh one running the last config */
+    restart(): Promise<void>;
+    /** Called when the worker throws or fails to load; returns an unsubscribe function */
+    onCrash(callback: (message: string) => void): () => void;
+    /**
+     * Date.now() when the oldest request still waiting for an answer was sent,
+     * or null if none is; missed pings are not counted for maxBusyMs after it
+     */
+    busySince?(): number | null;
+}
+
+export interface WatchWorkerOptions {
+    /** Override the supervisor's ping timeout (e.g. for a worker blocked by inference) */
+    pingTimeoutMs?: number;
+    maxMissedHeartbeats?: number;
+    /** Override how long a busy worker is excused from answering pings */
+    maxBusyMs?: number;
+    /** Runs after each successful restart, e.g. to rebuild state that lived in the worker */
+    onRestarted?: () => void | Promise<void>;
+}
+
+export interface PipelineSupervisorConfig {
+    heartbeatMs: number;
+    /** A ping not answered within this counts as missed */
+    pingTimeoutMs: number;
+    maxMissedHeartbeats: number;
+    /** How long a pending request excuses missed pings before the worker counts as hung */
+    maxBusyMs: number;
+    /** Tries per recovery before it is reported as failed */
+    maxAttempts: number;
+    /** Delay before the second try; doubles for each further one */
+    retryDelayMs: number;
+    /** Recoveries allowed per component within recoveryWindowMs */
+    maxRecoveries: number;
+    recoveryWindowMs: number;
+    /** Events kept for getEvents() */
+    maxEvents: number;
+}
+
+export const DEFAULT_PIPELINE_SUPERVISOR_CONFIG: PipelineSupervisorConfig = {
+    heartbeatMs: 5000,
+    pingTimeoutMs: 3000,
+    maxMissedHeartbeats: 2,
+    maxBusyMs: 120000,
+    maxAttempts: 3,
+    retryDelayMs: 500,
+    maxRecoveries: 5,
+    recoveryWindowMs: 60000,
+    maxEvents: 50,
+};
+
+export interface PipelineSupervisorEvents {
+    recovery: RecoveryEvent;
+}
+
+/** Fixes a failure; may resolve to a message describing what it did. */
+export type RecoveryAction = () => Promise<string | void>;
+
+interface WatchedWorker {
+    worker: SupervisedWorker;
+    options: WatchWorkerOptions;
+    missed: number;
+    pinging: boolean;
+    unsubscribe: () => void;
+}
+
+export class PipelineSupervisor extends TypedEmitter<PipelineSupervisorEvents> {
+    private config: PipelineSupervisorConfig;
+    private watched = new Map<string, WatchedWorker>();
+    private timer: ReturnType<typeof setInterval> | undefined;
+    private inFlight = new Map<string, Promise<boolean>>();
+    /** Start times of recent recoveries per component */
+    private recoveries = new Map<string, number[]>();
+    private events: RecoveryEvent[] = [];
+
+    constructor(config: Partial<PipelineSupervisorConfig> = {}) {
+        super();
+        this.config = { ...DEFAULT_PIPELINE_SUPERVISOR_CONFIG, ...config };
+    }
+
+    /** Start the heartbeats. Crash reports and recover() work without it. */
+    start(): void {
+        if (this.timer !== undefined) return;
+        this.timer = setInterval(() => this.heartbeat(), this.config.heartbeatMs);
+    }
+
+    stop(): void {
+        if (this.timer === undefined) return;
+        clearInterval(this.timer);
+        this.timer = undefined;
+    }
+
+    isRunning(): boolean {
+        return this.timer !== undefined;
+    }
+
+    /**
+     * Health-check a worker under `name` (replacing one watched under the
+     * same name). @returns a function that stops watching it
+     */
+    watchWorker(name: string, worker: SupervisedWorker, options: WatchWorkerOptions = {}): () => void {
+        this.watched.get(name)?.unsubscribe();
+        const entry: WatchedWorker = {
+            worker,
+            options,
+            missed: 0,
+            pinging: false,
+            unsubscribe: worker.onCrash((message) => this.restartWorker(name, `crashed: ${message}`)),
+        };
+        this.watched.set(name, entry);
+        return () => {
+            if (this.watched.get(name) !== entry) return;
+            entry.unsubscribe();
+            this.watched.delete(name);
+        };
+    }
+
+    /**
+     * Run `action` to recover `component`, reporting each step as a
+     * 'recovery' event. @returns whether the component recovered
+     */
+    recover(component: string, kind: RecoveryKind, reason: string, action: RecoveryAction): Promise<boolean> {
+        const running = this.inFlight.get(component);
+        if (running) return running;
+
+        const now = Date.now();
+        const recent = (this.recoveries.get(component) ?? []).filter((t) => now - t < this.config.recoveryWindowMs);
+        if (recent.length >= this.config.maxRecoveries) {
+            const windowSec = Math.round(this.config.recoveryWindowMs / 1000);
+            this.report({ component, kind, status: 'failed', reason, message: `Gave up after ${recent.length} recoveries in ${windowSec}s` });
+            return Promise.resolve(false);
+        }
+        recent.push(now);
+        this.recoveries.set(component, recent);
+
+        const run = this.runRecovery(component, kind, reason, action).finally(() => this.inFlight.delete(component));
+        this.inFlight.set(component, run);
+        return run;
+    }
+
+    /** Recovery events so far, oldest first. */
+    getEvents(): RecoveryEvent[] {
+        return [...this.events];
+    }
+
+    /** Stop the heartbeats and forget every watched worker. */
+    dispose(): void {
+        this.stop();
+        for (const entry of this.watched.values()) entry.unsubscribe();
+        this.watched.clear();
+        this.removeAllListeners();
+    }
+
+    // ---- Internal ----
+
+    private async runRecovery(component: string, kind: RecoveryKind, reason: string, action: RecoveryAction): Promise<boolean> {
+        this.report({ component, kind, status: 'recovering', reason });
+        let lastError = '';
+        for (let attempt = 1; attempt <= this.config.maxAttempts; attempt++) {
+            try {
+                const message = await action();
+                this.report({ component, kind, status: 'recovered', reason, message: message || undefined });
+                return true;
+            } catch (err) {
+                lastError = err instanceof Error ? err.message : String(err);
+                console.warn(`[PipelineSupervisor] ${component}: attempt ${attempt} failed:`, lastError);
+                if (attempt < this.config.maxAttempts) {
+                    await delay(this.config.retryDelayMs * 2 ** (attempt - 1));
+                }
+            }
+        }
+        this.report({ component, kind, status: 'failed', reason, message: lastError });
+        return false;
+    }
+
+    private heartbeat(): void {
+        for (const [name, entry] of this.watched) {
+            if (entry.pinging || this.inFlight.has(name)) continue;
+            if (this.isExcused(entry)) {
+                entry.missed = 0;
+                continue;
+            }
+            entry.pinging = true;
+            const timeoutMs = entry.options.pingTimeoutMs ?? this.config.pingTimeoutMs;
+            withTimeout(entry.worker.ping(), timeoutMs)
+                .then(
+                    () => {
+                        entry.missed = 0;
+                    },
+                    () => {
+                        // The ping may have queued behind a request sent after it
+                        if (this.isExcused(entry)) return;
+                        entry.missed++;
+                        const maxMissed = entry.options.maxMissedHeartbeats ?? this.config.maxMissedHeartbeats;
+                        if (entry.missed >= maxMissed) {
+                            this.restartWorker(name, `missed ${entry.missed} heartbeats`);
+                        }
+                    },
+                )
+                .finally(() => {
+                    entry.pinging = false;
+                });
+        }
+    }
+
+    /** Busy with a request that has not yet been waiting for maxBusyMs */
+    private isExcused(entry: WatchedWorker): boolean {
+        const since = entry.worker.busySince?.();
+        if (since == null) return false;
+        const maxBusyMs = entry.options.maxBusyMs ?? this.config.maxBusyMs;
+        return Date.now() - since < maxBusyMs;
+    }
+
+    private restartWorker(name: string, reason: string): void {
+        const entry = this.watched.get(name);
+        if (!entry) return;
+        entry.missed = 0;
+        this.recover(name, 'worker', reason, async () => {
+            await entry.worker.restart();
+            await entry.options.onRestarted?.();
+        }).then((recovered) => {
+            // Stop pinging a worker that cannot be brought back
+            if (!recovered && this.watched.get(name) === entry) {
+                entry.unsubscribe();
+                this.watched.delete(name);
+            }
+        });
+    }
+
+    private report(event: Omit<RecoveryEvent, 'at'>): void {
+        const full: RecoveryEvent = { ...event, at: Date.now() };
+        this.events.push(full);
+        if (this.events.length > this.config.maxEvents) this.events.shift();
+        const detail = full.message ? ` (${full.message})` : '';
+        console.log(`[PipelineSupervisor] ${full.component} ${full.status}: ${full.reason}${detail}`);
+        this.emit('recovery', full);
+    }
+}
+
+function delay(ms: number): Promise<void> {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function withTimeout<T>(promise: Promise<T>, ms: number): Promise<T> {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No answer within ${ms}ms`)), ms);
+        promise.then(
+            (value) => {
+                clearTimeout(timer);
+                resolve(value);
+            },
+            (err) => {
+                clearTimeout(timer);
+                reject(err);
+            },
+        );
+    });
+}
@@ -0,0 +1,15 @@
+/**
+ * Keet - Pipeline Supervisor Module
+ */
+
+export { PipelineSupervisor, DEFAULT_PIPELINE_SUPERVISOR_CONFIG } from './PipelineSupervisor';
+export type {
+    PipelineSupervisorConfig,
+    PipelineSupervisorEvents,
+    RecoveryAction,
+    RecoveryEvent,
+    RecoveryKind,
+    RecoveryStatus,
+    SupervisedWorker,
+    WatchWorkerOptions,
+} from './PipelineSupervisor';
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for TextNormalizer, word re-alignment and text rule storage.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TextNormalizer, alignWords, validateTextRule } from './TextNormalizer';
+import { loadTextRules, saveTextRules, sanitizeTextRules, createTextRule, TEXT_RULES_STORAGE_KEY } from './textRulesStorage';
+import { DEFAULT_TEXT_RULES, type TextRule, type TextRulesConfig } from './types';
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+
+const rule = (find: string, replace: string, extra: Partial<TextRule> = {}): TextRule =>
+    ({ ...createTextRule(), find, replace, ...extra });
+
+const normalizer = (config: Partial<TextRulesConfig>) => new TextNormalizer({ ...DEFAULT_TEXT_RULES, ...config });
+
+function makeSentence(text: string): MergerSentence {
+    const words = text.split(' ').map((w, i) => ({ text: w, start: i, end: i + 0.5, confidence: 0.9 }));
+    return {
+        id: 's1',
+        text,
+        startTime: 0,
+        endTime: words.length - 0.5,
+        startWordIndex: 0,
+        endWordIndex: words.length - 1,
+        wordCount: words.length,
+        words,
+        detectionMethod: 'test',
+        isMature: true,
+    };
+}
+
+describe('TextNormalizer', () => {
+    it('applies literal rules on whole words, case-insensitively by default', () => {
+        const n = normalizer({ rules: [rule('gonna', 'going to')] });
+        expect(n.apply('Gonna say gonnabe gonna.')).toBe('going to say gonnabe going to.');
+    });
+
+    it('does not expand $ patterns in literal replacements', () => {
+        expect(normalizer({ rules: [rule('price', '$1')] }).apply('the price')).toBe('the $1');
+    });
+
+    it('applies regex rules with capture groups', () => {
+        const n = normalizer({ rules: [rule('(\\d+) percent', '$1%', { kind: 'regex' })] });
+        expect(n.apply('up 25 percent')).toBe('up 25%');
+    });
+
+    it('skips disabled and invalid rules and reports the invalid ones', () => {
+        const bad = rule('(', 'x', { kind: 'regex' });
+        const n = normalizer({ rules: [rule('a', 'b', { enabled: false }), bad] });
+        expect(n.apply('a cat')).toBe('a cat');
+        expect(n.getRuleErrors().has(bad.id)).toBe(true);
+        expect(validateTextRule(rule('x*', '', { kind: 'regex' }))).toBe('Pattern matches empty text');
+        expect(validateTextRule(rule(' ', ''))).toBe('Find text is empty');
+    });
+
+    it('enforces vocabulary casing, longest term first', () => {
+        const n = normalizer({ vocabulary: ['Ada', 'Ada Lovelace', 'WebGPU'] });
+        expect(n.apply('ada lovelace met ada about webgpu')).toBe('Ada Lovelace met Ada about WebGPU');
+    });
+
+    it('masks profanity including user words, and capitalizes sentences', () => {
+        const n = normalizer({ maskProfanity: true, profanityWords: ['frak'], capitalizeSentences: true });
+        expect(n.apply('"oh shit, frak it"')).toBe('"Oh s***, f*** it"');
+    });
+
+    it('runs numbers after rules and passes text through when disabled', () => {
+        const config = { numbersToDigits: true, rules: [rule('a couple', 'two')] };
+        expect(normalizer(config).apply('a couple hundred')).toBe('200');
+        expect(normalizer({ ...config, enabled: false }).apply('a couple hundred')).toBe('a couple hundred');
+        expect(normalizer({}).isIdentity()).toBe(true);
+    });
+
+    it('keeps the original text and re-derives from it', () => {
+        const sentence = makeSentence('twenty five people came');
+        const normalized = normalizer({ numbersToDigits: true }).normalizeSentence(sentence);
+        expect(normalized.text).toBe('25 people came');
+        expect(normalized.originalText).toBe('twenty five people came');
+        expect(normalized.words?.map((w) => w.text)).toEqual(['25', 'people', 'came']);
+
+        // Turning the rule off restores the merger text
+        const restored = normalizer({}).normalizeSentence(normalized);
+        expect(restored.text).toBe('twenty five people came');
+        expect(restored.originalText).toBeUndefined();
+        expect(normalizer({}).normalizeSentence(sentence)).toBe(sentence);
+    });
+});
+
+describe('alignWords', () => {
+    const words = [
+        { text: 'in', start: 0, end: 0.2, confidence: 0.9 },
+        { text: 'twenty', start: 0.3, end: 0.6, confidence: 0.8 },
+        { text: 'five', start: 0.6, end: 1.0, confidence: 0.7 },
+        { text: 'minutes', start: 1.1, end: 1.5 },
+    ];
+
+    it('keeps unchanged words and gives a replaced run its span', () => {
+        const aligned = alignWords(words, 'in 25 minutes');
+        expect(aligned).toEqual([
+            words[0],
+            { text: '25', start: 0.3, end: 1.0, confidence: 0.7 },
+            words[3],
+        ]);
+    });
+
+    it('splits a span across several new words', () => {
+        const aligned = alignWords([{ text: 'gonna', start: 0, end: 1 }], 'going to');
+        expect(aligned.map((w) => [w.text, w.start, w.end])).toEqual([['going', 0, 0.5], ['to', 0.5, 1]]);
+    });
+});
+
+describe('text rule storage', () => {
+    const memoryStorage = () => {
+        const data = new Map<string, string>();
+        return { getItem: (k: string) => data.get(k) ?? null, setItem: (k: string, v: string) => void data.set(k, v) };
+    };
+
+    it('round-trips through storage', () => {
+        const storage = memoryStorage();
+        const config = { ...DEFAULT_TEXT_RULES, vocabulary: ['Keet'], rules: [rule('a', 'b')] };
+        saveTextRules(config, storage);
+        expect(loadTextRules(storage)).toEqual(config);
+    });
+
+    it('falls back to defaults for missing or malformed data', () => {
+        const storage = memoryStorage();
+        expect(loadTextRules(storage)).toEqual(DEFAULT_TEXT_RULES);
+        storage.setItem(TEXT_RULES_STORAGE_KEY, '{not json');
+        expect(loadTextRules(storage)).toEqual(DEFAULT_TEXT_RULES);
+
+        const sanitized = sanitizeTextRules({ enabled: 'yes', rules: [{ id: 'x' }, rule('a', 'b')], vocabulary: [1] });
+        expect(sanitized.enabled).toBe(true);
+        expect(sanitized.rules).toHaveLength(1);
+        expect(sanitized.vocabulary).toEqual([]);
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * Keet - Text Normalizer
+ *
+ * Applies the user's text rules to finalized sentences. Steps run in a fixed
+ * order so rules compose predictably:
+ *
+ *   find/replace rules (in list order) → vocabulary casing
+ *   → spoken numbers to digits → profanity masking → sentence capitalization
+ *
+ * Normalized sentences keep the merger's text in `originalText`, and their
+ * word timings are re-aligned to the new wording (see alignWords).
+ */
+
+import type { DetectorWord } from '../transcription/SentenceBoundaryDetector';
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+import { spokenNumbersToDigits } from './spokenNumbers';
+import type { TextRule, TextRulesConfig } from './types';
+
+/** Masked when profanity masking is on (users can add more). */
+const BUILT_IN_PROFANITY = [
+    'fuck', 'fucks', 'fucked', 'fucking', 'motherfucker', 'shit', 'shits', 'shitty', 'bullshit',
+    'bitch', 'bitches', 'bastard', 'bastards', 'asshole', 'assholes', 'dick', 'dicks', 'cunt', 'cunts',
+    'piss', 'pissed', 'damn', 'crap',
+];
+
+// Unicode-aware word boundaries (\b only knows ASCII)
+const WORD_START = '(?<![\\p{L}\\p{N}_])';
+const WORD_END = '(?![\\p{L}\\p{N}_])';
+
+interface CompiledRule {
+    pattern: RegExp;
+    replace: string | ((match: string) => string);
+}
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function literalPattern(text: string, flags: string): RegExp {
+    return new RegExp(`${WORD_START}${escapeRegExp(text.trim()).replace(/\s+/g, '\\s+')}${WORD_END}`, flags);
+}
+
+/**
+ * Check a rule before use.
+ * @returns an error message, or null when the rule is usable
+ */
+export function validateTextRule(rule: TextRule): string | null {
+    if (!rule.find.trim()) return 'Find text is empty';
+    if (rule.kind !== 'regex') return null;
+    try {
+        if (new RegExp(rule.find).test('')) return 'Pattern matches empty text';
+    } catch (err) {
+        return err instanceof Error ? err.message : String(err);
+    }
+    return null;
+}
+
+function compileRule(rule: TextRule): CompiledRule {
+    const flags = rule.caseSensitive ? 'g' : 'gi';
+    if (rule.kind === 'regex') {
+        return { pattern: new RegExp(rule.find, flags), replace: rule.replace };
+    }
+    const pattern = rule.wholeWord === false
+        ? new RegExp(escapeRegExp(rule.find), flags)
+        : literalPattern(rule.find, flags + 'u');
+    // A function keeps "$" in literal replacements from being expanded
+    return { pattern, replace: () => rule.replace };
+}
+
+/**
+ * Pairs of equal tokens in `a` and `b` (indices, in order) forming their
+ * longest common subsequence. Tokens between the pairs are the changes.
+ */
+export function matchTokens(a: string[], b: string[]): Array<[number, number]> {
+    const n = a.length;
+    const m = b.length;
+    const lcs: number[][] = Array.from({ length: n + 1 }, () => new Array<number>(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const pairs: Array<[number, number]> = [];
+    for (let i = 0, j = 0; i < n && j < m;) {
+        if (a[i] === b[j]) {
+            pairs.push([i++, j++]);
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Carry word timings over to rewritten text. Unchanged words keep their
+ * timings; a changed run (e.g. "twenty five" → "25") shares the time span of
+ * the words it replaced.
+ */
+export function alignWords(words: DetectorWord[], text: string): DetectorWord[] {
+    const tokens = text.split(/\s+/).filter(Boolean);
+    if (words.length === 0 || tokens.length === 0) return [];
+    const n = words.length;
+    const m = tokens.length;
+    const anchors = matchTokens(words.map((w) => w.text.trim()), tokens);
+
+    const out: DetectorWord[] = [];
+    // Spread tokens[tokenFrom, tokenTo) over the span of words[wordFrom, wordTo)
+    const addRun = (wordFrom: number, wordTo: number, tokenFrom: number, tokenTo: number) => {
+        if (tokenFrom === tokenTo) return;
+        const run = words.slice(wordFrom, wordTo);
+        const start = run.length > 0 ? run[0].start : (out[out.length - 1]?.end ?? words[Math.min(wordFrom, n - 1)].start);
+        const end = run.length > 0 ? run[run.length - 1].end : start;
+        const confidences = run.map((w) => w.confidence).filter((c): c is number => c !== undefined);
+        const step = (end - start) / (tokenTo - tokenFrom);
+        for (let k = 0; k < tokenTo - tokenFrom; k++) {
+            out.push({
+                text: tokens[tokenFrom + k],
+                start: start + k * step,
+                end: start + (k + 1) * step,
+                ...(confidences.length > 0 ? { confidence: Math.min(...confidences) } : {}),
+            });
+        }
+    };
+
+    let wordPos = 0;
+    let tokenPos = 0;
+    for (const [i, j] of anchors) {
+        addRun(wordPos, i, tokenPos, j);
+        out.push({ ...words[i], text: tokens[j] });
+        wordPos = i + 1;
+        tokenPos = j + 1;
+    }
+    addRun(wordPos, n, tokenPos, m);
+    return out;
+}
+
+export class TextNormalizer {
+    private config: TextRulesConfig;
+    private rules: CompiledRule[] = [];
+    private vocabulary: CompiledRule[] = [];
+    private profanity: RegExp | null = null;
+    private errors = new Map<string, string>();
+
+    constructor(config: TextRulesConfig) {
+        this.config = config;
+
+        for (const rule of config.rules) {
+            if (!rule.enabled) continue;
+            const error = validateTextRule(rule);
+            if (error) {
+                this.errors.set(rule.id, error);
+                continue;
+            }
+            this.rules.push(compileRule(rule));
+        }
+
+        // Longest terms first so "Ada Lovelace" wins over "Ada"
+        const terms = [...new Set(config.vocabulary.map((t) => t.trim()).filter(Boolean))].sort((a, b) => b.length - a.length);
+        this.vocabulary = terms.map((term) => ({ pattern: literalPattern(term, 'giu'), replace: () => term }));
+
+        if (config.maskProfanity) {
+            const words = [...BUILT_IN_PROFANITY, ...config.profanityWords.map((w) => w.trim().toLowerCase()).filter(Boolean)];
+            const alternatives = [...new Set(words)].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+            this.profanity = new RegExp(`${WORD_START}(?:${alternatives})${WORD_END}`, 'giu');
+        }
+    }
+
+    /** True when apply() never changes text. */
+    isIdentity(): boolean {
+        const c = this.config;
+        return !c.enabled || (this.rules.length === 0 && this.vocabulary.length === 0 && !c.numbersToDigits && !this.profanity && !c.capitalizeSentences);
+    }
+
+    /** Rules skipped because they are invalid, by rule id. */
+    getRuleErrors(): ReadonlyMap<string, string> {
+        return this.errors;
+    }
+
+    /** Normalize one sentence's text. */
+    apply(text: string): string {
+        if (this.isIdentity()) return text;
+        let out = text;
+        for (const { pattern, replace } of [...this.rules, ...this.vocabulary]) {
+            out = typeof replace === 'string' ? out.replace(pattern, replace) : out.replace(pattern, replace);
+        }
+        if (this.config.numbersToDigits) out = spokenNumbersToDigits(out);
+        if (this.profanity) out = out.replace(this.profanity, (m) => m[0] + '*'.repeat(m.length - 1));
+        if (this.config.capitalizeSentences) {
+            out = out.replace(/^([^\p{L}\p{N}]*)(\p{Ll})/u, (_, lead: string, letter: string) => lead + letter.toUpperCase());
+        }
+        return out;
+    }
+
+    /**
+     * Normalize a sentence. The merger's text is kept in `originalText` (a
+     * sentence normalized earlier is re-derived from its original, so rule
+     * changes do not stack). Unchanged sentences are returned as is.
+     */
+    normalizeSentence(sentence: MergerSentence): MergerSentence {
+        const source = sentence.originalText ?? sentence.text;
+        const text = this.apply(source);
+        if (text === sentence.text) return sentence;
+
+        const { originalText: _previous, ...rest } = sentence;
+        return {
+            ...rest,
+            text,
+            words: alignWords(sentence.words || [], text),
+            ...(text !== source ? { originalText: source } : {}),
+        };
+    }
+}
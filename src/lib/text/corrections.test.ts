@@ -0,0 +1,94 @@
+/**
+ * Unit tests for transcript corrections.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { applyCorrection, replaceWord, correctionChanges, rulesFromCorrection, correctionsToJSON, type TextCorrection } from './corrections';
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+
+function makeSentence(text: string): MergerSentence {
+    const words = text.split(' ').map((w, i) => ({ text: w, start: i, end: i + 0.5, confidence: 0.4 }));
+    return {
+        id: 's1',
+        text,
+        startTime: 0,
+        endTime: words.length - 0.5,
+        startWordIndex: 0,
+        endWordIndex: words.length - 1,
+        wordCount: words.length,
+        words,
+        detectionMethod: 'test',
+        isMature: true,
+    };
+}
+
+const correction = (before: string, after: string): TextCorrection =>
+    ({ sentenceId: 's1', startTime: 0, before, after, editedAt: 0 });
+
+describe('applyCorrection', () => {
+    it('replaces the text, keeps the original and drops confidence of edited words', () => {
+        const sentence = makeSentence('meet at the keys office.');
+        const corrected = applyCorrection(sentence, correction(sentence.text, 'meet at the Keet office.'));
+
+        expect(corrected.text).toBe('meet at the Keet office.');
+        expect(corrected.originalText).toBe('meet at the keys office.');
+        expect(corrected.corrected).toBe(true);
+        expect(corrected.words?.[3]).toEqual({ text: 'Keet', start: 3, end: 3.5 });
+        expect(corrected.words?.[0].confidence).toBe(0.4);
+    });
+
+    it('keeps the merger text as original for sentences rewritten by text rules', () => {
+        const sentence = { ...makeSentence('25 people'), originalText: 'twenty five people' };
+        expect(applyCorrection(sentence, correction('25 people', '26 people')).originalText).toBe('twenty five people');
+    });
+});
+
+describe('replaceWord', () => {
+    it('replaces or removes one word', () => {
+        const sentence = makeSentence('the quick brown fox');
+        expect(replaceWord(sentence, 1, 'slow')).toBe('the slow brown fox');
+        expect(replaceWord(sentence, 2, ' ')).toBe('the quick fox');
+        expect(replaceWord(sentence, 9, 'x')).toBe('the quick brown fox');
+    });
+});
+
+describe('correctionChanges', () => {
+    it('lists changed runs including insertions and deletions', () => {
+        expect(correctionChanges(correction('we use web gpu for it', 'we use WebGPU for all of it'))).toEqual([
+            { from: 'web gpu', to: 'WebGPU' },
+            { from: '', to: 'all of' },
+        ]);
+        expect(correctionChanges(correction('a b c', 'a c'))).toEqual([{ from: 'b', to: '' }]);
+        expect(correctionChanges(correction('same', 'same'))).toEqual([]);
+    });
+});
+
+describe('rulesFromCorrection', () => {
+    it('turns case fixes into vocabulary and other changes into literal rules', () => {
+        const { vocabulary, rules } = rulesFromCorrection(correction('ask ada about web gpu.', 'ask Ada about WebGPU.'));
+        expect(vocabulary).toEqual(['Ada']);
+        expect(rules).toHaveLength(1);
+        expect(rules[0]).toMatchObject({ kind: 'literal', find: 'web gpu', replace: 'WebGPU', enabled: true });
+    });
+
+    it('skips insertions, deletions and punctuation-only changes', () => {
+        const none = { vocabulary: [], rules: [] };
+        expect(rulesFromCorrection(correction('yes well okay', 'yes okay'))).toEqual(none);
+        expect(rulesFromCorrection(correction('yes okay', 'yes so okay'))).toEqual(none);
+        expect(rulesFromCorrection(correction('okay then', 'okay, then'))).toEqual(none);
+    });
+});
+
+describe('correctionsToJSON', () => {
+    it('exports corrections with their changes', () => {
+        const doc = JSON.parse(correctionsToJSON([{ ...correction('the keys app', 'the Keet app'), startTime: 1.23456 }]));
+        expect(doc.generator).toBe('keet');
+        expect(doc.corrections[0]).toMatchObject({
+            sentenceId: 's1',
+            start: 1.235,
+            changes: [{ from: 'keys', to: 'Keet' }],
+        });
+    });
+});
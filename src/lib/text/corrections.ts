@@ -0,0 +1,120 @@
+/**
+ * Keet - Transcript Corrections
+ *
+ * User edits of finalized sentences. A correction is keyed by sentence id and
+ * replaces the sentence text on top of the merger output and the text rules,
+ * so it survives later merger results and rule changes. Corrections can be
+ * exported, and turned into vocabulary terms or replacement rules.
+ */
+
+import type { MergerSentence } from '../transcription/UtteranceBasedMerger';
+import { alignWords, matchTokens } from './TextNormalizer';
+import { createTextRule } from './textRulesStorage';
+import type { TextRule } from './types';
+
+export interface TextCorrection {
+    sentenceId: string;
+    /** Sentence start (seconds), for exports */
+    startTime: number;
+    /** Text shown before the first edit (merger output with text rules applied) */
+    before: string;
+    /** Text entered by the user */
+    after: string;
+    /** Epoch ms of the latest edit */
+    editedAt: number;
+}
+
+/** A changed run of words between `before` and `after` ("" for insertions/deletions). */
+export interface CorrectionChange {
+    from: string;
+    to: string;
+}
+
+const tokenize = (text: string) => text.split(/\s+/).filter(Boolean);
+
+const stripPunctuation = (text: string) => text.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+/**
+ * Show a correction in a sentence. Words the user changed lose their
+ * confidence (they are no longer the model's guess); the rest keep theirs.
+ */
+export function applyCorrection(sentence: MergerSentence, correction: TextCorrection): MergerSentence {
+    const text = correction.after.trim();
+    const words = alignWords(sentence.words || [], text);
+    const unchanged = new Set(matchTokens(tokenize(sentence.text), tokenize(text)).map(([, j]) => j));
+    return {
+        ...sentence,
+        text,
+        words: words.map((w, i) => {
+            if (unchanged.has(i)) return w;
+            const { confidence: _confidence, ...rest } = w;
+            return rest;
+        }),
+        originalText: sentence.originalText ?? sentence.text,
+        corrected: true,
+    };
+}
+
+/** Sentence text with word `index` replaced (an empty replacement removes the word). */
+export function replaceWord(sentence: MergerSentence, index: number, replacement: string): string {
+    const words = (sentence.words || []).map((w) => w.text.trim());
+    if (index < 0 || index >= words.length) return sentence.text;
+    words[index] = replacement.trim();
+    return words.filter(Boolean).join(' ');
+}
+
+/** The runs of words that differ between a correction's before and after text. */
+export function correctionChanges(correction: Pick<TextCorrection, 'before' | 'after'>): CorrectionChange[] {
+    const a = tokenize(correction.before);
+    const b = tokenize(correction.after);
+    const changes: CorrectionChange[] = [];
+    let i = 0;
+    let j = 0;
+    for (const [ai, bj] of [...matchTokens(a, b), [a.length, b.length] as [number, number]]) {
+        if (ai > i || bj > j) {
+            changes.push({ from: a.slice(i, ai).join(' '), to: b.slice(j, bj).join(' ') });
+        }
+        i = ai + 1;
+        j = bj + 1;
+    }
+    return changes;
+}
+
+/**
+ * Text rules that would have produced a correction: case-only changes become
+ * vocabulary terms, other replacements become literal rules. Insertions and
+ * deletions are skipped.
+ */
+export function rulesFromCorrection(correction: Pick<TextCorrection, 'before' | 'after'>): { vocabulary: string[]; rules: TextRule[] } {
+    const vocabulary: string[] = [];
+    const rules: TextRule[] = [];
+    for (const change of correctionChanges(correction)) {
+        const from = stripPunctuation(change.from);
+        const to = stripPunctuation(change.to);
+        if (!from || !to || from === to) continue;
+        if (from.toLowerCase() === to.toLowerCase()) {
+            vocabulary.push(to);
+        } else {
+            rules.push({ ...createTextRule('literal'), find: from, replace: to });
+        }
+    }
+    return { vocabulary, rules };
+}
+
+/** JSON document listing corrections with their word-level changes. */
+export function correctionsToJSON(corrections: TextCorrection[]): string {
+    const doc = {
+        version: 1,
+        generator: 'keet',
+        createdAt: new Date().toISOString(),
+        corrections: corrections.map((c) => ({
+            sentenceId: c.sentenceId,
+            start: Math.round(c.startTime * 1000) / 1000,
+            before: c.before,
+            after: c.after,
+            changes: correctionChanges(c),
+            editedAt: new Date(c.editedAt).toISOString(),
+        })),
+    };
+    return JSON.stringify(doc, null, 2);
+}
@@ -0,0 +1,23 @@
+/**
+ * Keet - Text Rules Module
+ */
+
+export type { TextRule, TextRuleKind, TextRulesConfig } from './types';
+export { DEFAULT_TEXT_RULES } from './types';
+export { TextNormalizer, alignWords, matchTokens, validateTextRule } from './TextNormalizer';
+export { spokenNumbersToDigits } from './spokenNumbers';
+export {
+    loadTextRules,
+    saveTextRules,
+    sanitizeTextRules,
+    createTextRule,
+    TEXT_RULES_STORAGE_KEY,
+} from './textRulesStorage';
+export {
+    applyCorrection,
+    replaceWord,
+    correctionChanges,
+    rulesFromCorrection,
+    correctionsToJSON,
+} from './corrections';
+export type { TextCorrection, CorrectionChange } from './corrections';
@@ -0,0 +1,46 @@
+/**
+ * Unit tests for spoken number normalization.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { spokenNumbersToDigits } from './spokenNumbers';
+
+describe('spokenNumbersToDigits', () => {
+    it.each([
+        ['twenty five', '25'],
+        ['twenty-five', '25'],
+        ['one hundred and three', '103'],
+        ['three hundred forty two', '342'],
+        ['two thousand twenty four', '2024'],
+        ['nineteen hundred', '1900'],
+        ['one million two hundred thousand', '1200000'],
+        ['three point one four', '3.14'],
+        ['ten', '10'],
+    ])('converts "%s"', (input, expected) => {
+        expect(spokenNumbersToDigits(input)).toBe(expected);
+    });
+
+    it('keeps a lone number below ten as a word', () => {
+        expect(spokenNumbersToDigits('one of the five options')).toBe('one of the five options');
+    });
+
+    it('keeps surrounding text, punctuation and casing', () => {
+        expect(spokenNumbersToDigits('We met Twenty-Five people, (thirty two) in total.'))
+            .toBe('We met 25 people, (32) in total.');
+    });
+
+    it('splits numbers at punctuation and at words that cannot continue them', () => {
+        expect(spokenNumbersToDigits('eleven, twelve')).toBe('11, 12');
+        expect(spokenNumbersToDigits('seventy twenty')).toBe('70 20');
+    });
+
+    it('leaves "and" alone when no number follows', () => {
+        expect(spokenNumbersToDigits('two hundred and counting')).toBe('200 and counting');
+    });
+
+    it('does not take part of a hyphenated word', () => {
+        expect(spokenNumbersToDigits('a two-way street')).toBe('a two-way street');
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Keet - Spoken Number Normalization
+ *
+ * Rewrites English cardinal numbers written out as words into digits:
+ * "twenty-five" → "25", "one hundred and three" → "103",
+ * "three point five" → "3.5", "two thousand twenty four" → "2024".
+ *
+ * A lone word below ten ("one of them", "five") is left alone, following
+ * the usual style of spelling out small numbers. Consecutive numbers that
+ * cannot form one value ("five twenty") are converted separately.
+ */
+
+const UNITS: Record<string, number> = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+};
+const TEENS: Record<string, number> = {
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+    sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+};
+const TENS: Record<string, number> = {
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+};
+const SCALES: Record<string, number> = {
+    thousand: 1_000, million: 1_000_000, billion: 1_000_000_000,
+};
+
+type Kind = 'unit' | 'teen' | 'tens' | 'hundred' | 'scale';
+
+function kindOf(word: string): Kind | null {
+    if (word in UNITS) return 'unit';
+    if (word in TEENS) return 'teen';
+    if (word in TENS) return 'tens';
+    if (word === 'hundred') return 'hundred';
+    if (word in SCALES) return 'scale';
+    return null;
+}
+
+function valueOf(word: string): number {
+    return UNITS[word] ?? TEENS[word] ?? TENS[word] ?? SCALES[word] ?? 100;
+}
+
+/** A text token split into leading punctuation, the word and trailing punctuation. */
+interface Token {
+    lead: string;
+    core: string;
+    trail: string;
+}
+
+const TOKEN_RE = /^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u;
+
+function splitToken(raw: string): Token {
+    const m = TOKEN_RE.exec(raw)!;
+    return { lead: m[1], core: m[2], trail: m[3] };
+}
+
+/** Number words of a token ("twenty-five" → ["twenty", "five"]), or null. */
+function numberParts(core: string): string[] | null {
+    const parts = core.toLowerCase().split('-');
+    return parts.every((p) => kindOf(p) !== null) ? parts : null;
+}
+
+interface ParseState {
+    total: number;
+    current: number;
+    last: Kind | null;
+    lastScale: number;
+    wordCount: number;
+}
+
+/** Add one number word, or return null if it cannot continue the number. */
+function addWord(state: ParseState, word: string): ParseState | null {
+    const kind = kindOf(word)!;
+    const value = valueOf(word);
+    let { total, current, lastScale } = state;
+    const { last } = state;
+
+    switch (kind) {
+        case 'unit':
+            if (last === 'unit' || last === 'teen') return null;
+            current += value;
+            break;
+        case 'teen':
+        case 'tens':
+            if (last === 'unit' || last === 'teen' || last === 'tens') return null;
+            current += value;
+            break;
+        case 'hundred':
+            // "three hundred", "nineteen hundred"; not "hundred" alone
+            if (current === 0 || current >= 100 || last === 'hundred') return null;
+            current *= 100;
+            break;
+        case 'scale':
+            if ((current === 0 && total === 0) || value >= lastScale) return null;
+            total += current * value;
+            current = 0;
+            lastScale = value;
+            break;
+    }
+    return { total, current, last: kind, lastScale, wordCount: state.wordCount + 1 };
+}
+
+/** One converted number: the words it replaced and its value as text. */
+interface NumberSpan {
+    startToken: number;
+    endToken: number; // inclusive
+    value: string;
+    wordCount: number;
+}
+
+/**
+ * Parse number words starting at token `start`. Returns the longest valid
+ * number, or null when the tokens do not start a number.
+ */
+function parseNumber(tokens: Token[], start: number): NumberSpan | null {
+    let state: ParseState = { total: 0, current: 0, last: null, lastScale: Infinity, wordCount: 0 };
+    let end = -1;
+
+    for (let i = start; i < tokens.length; i++) {
+        const token = tokens[i];
+        // Punctuation between words ends the number ("five, six")
+        if (i > start && (tokens[i - 1].trail || token.lead)) break;
+
+        const lower = token.core.toLowerCase();
+        if (lower === 'and' && (state.last === 'hundred' || state.last === 'scale') && !token.trail && i + 1 < tokens.length) {
+            const next = numberParts(tokens[i + 1].core);
+            const nextKind = next ? kindOf(next[0]) : null;
+            if (nextKind && nextKind !== 'hundred' && nextKind !== 'scale') continue;
+            break;
+        }
+
+        const parts = numberParts(token.core);
+        if (!parts) break;
+        // A hyphenated token is taken whole or not at all
+        const next = parts.reduce<ParseState | null>((s, part) => s && addWord(s, part), state);
+        if (!next) break;
+        state = next;
+        end = i;
+    }
+
+    if (end < 0) return null;
+    let value = String(state.total + state.current);
+    let wordCount = state.wordCount;
+
+    // Decimal part: "point" followed by digit words
+    const pointIndex = end + 1;
+    if (pointIndex + 1 < tokens.length && !tokens[end].trail && tokens[pointIndex].core.toLowerCase() === 'point' && !tokens[pointIndex].trail) {
+        let digits = '';
+        let j = pointIndex + 1;
+        for (; j < tokens.length; j++) {
+            const lower = tokens[j].core.toLowerCase();
+            if (!(lower in UNITS) || tokens[j].lead) break;
+            digits += UNITS[lower];
+            if (tokens[j].trail) {
+                j++;
+                break;
+            }
+        }
+        if (digits) {
+            value += `.${digits}`;
+            wordCount += 1 + digits.length;
+            end = j - 1;
+        }
+    }
+
+    return { startToken: start, endToken: end, value, wordCount };
+}
+
+/** Replace spoken cardinal numbers in `text` with digits. */
+export function spokenNumbersToDigits(text: string): string {
+    const pieces = text.split(/(\s+)/);
+    // Even indices are tokens, odd ones the whitespace between them
+    const tokens = pieces.filter((_, i) => i % 2 === 0).map(splitToken);
+    const spaces = pieces.filter((_, i) => i % 2 === 1);
+
+    const out: string[] = [];
+    let i = 0;
+    while (i < tokens.length) {
+        const span = tokens[i].core ? parseNumber(tokens, i) : null;
+        const keepWords = !span || (span.wordCount === 1 && Number(span.value) < 10);
+        if (keepWords) {
+            out.push(`${tokens[i].lead}${tokens[i].core}${tokens[i].trail}`);
+            if (i < spaces.length) out.push(spaces[i]);
+            i++;
+            continue;
+        }
+        out.push(`${tokens[span.startToken].lead}${span.value}${tokens[span.endToken].trail}`);
+        if (span.endToken < spaces.length) out.push(spaces[span.endToken]);
+        i = span.endToken + 1;
+    }
+    return out.join('');
+}
@@ -0,0 +1,76 @@
+/**
+ * Keet - Text Rules Persistence
+ *
+ * Text rules live in localStorage. Stored data is sanitized on load, so a
+ * hand-edited or outdated entry falls back to defaults field by field
+ * instead of breaking the app.
+ */
+
+import { DEFAULT_TEXT_RULES, type TextRule, type TextRulesConfig } from './types';
+
+export const TEXT_RULES_STORAGE_KEY = 'keet-text-rules';
+
+type StorageLike = Pick<Storage, 'getItem' | 'setItem'>;
+
+const defaultStorage = (): StorageLike | null => (typeof localStorage !== 'undefined' ? localStorage : null);
+
+const isStringArray = (value: unknown): value is string[] =>
+    Array.isArray(value) && value.every((v) => typeof v === 'string');
+
+function sanitizeRule(value: unknown): TextRule | null {
+    if (!value || typeof value !== 'object') return null;
+    const r = value as Partial<TextRule>;
+    if (typeof r.id !== 'string' || typeof r.find !== 'string' || typeof r.replace !== 'string') return null;
+    return {
+        id: r.id,
+        kind: r.kind === 'regex' ? 'regex' : 'literal',
+        find: r.find,
+        replace: r.replace,
+        caseSensitive: r.caseSensitive === true,
+        wholeWord: r.wholeWord !== false,
+        enabled: r.enabled !== false,
+    };
+}
+
+/** Fill in defaults and drop malformed fields or rules. */
+export function sanitizeTextRules(value: unknown): TextRulesConfig {
+    if (!value || typeof value !== 'object') return { ...DEFAULT_TEXT_RULES };
+    const v = value as Record<string, unknown>;
+    const bool = (key: keyof TextRulesConfig) =>
+        typeof v[key] === 'boolean' ? (v[key] as boolean) : (DEFAULT_TEXT_RULES[key] as boolean);
+    return {
+        enabled: bool('enabled'),
+        rules: Array.isArray(v.rules) ? v.rules.map(sanitizeRule).filter((r): r is TextRule => r !== null) : [],
+        vocabulary: isStringArray(v.vocabulary) ? v.vocabulary : [],
+        numbersToDigits: bool('numbersToDigits'),
+        maskProfanity: bool('maskProfanity'),
+        profanityWords: isStringArray(v.profanityWords) ? v.profanityWords : [],
+        capitalizeSentences: bool('capitalizeSentences'),
+    };
+}
+
+/** Stored rules, or the defaults when none are stored or they cannot be read. */
+export function loadTextRules(storage: StorageLike | null = defaultStorage()): TextRulesConfig {
+    try {
+        const raw = storage?.getItem(TEXT_RULES_STORAGE_KEY);
+        return raw ? sanitizeTextRules(JSON.parse(raw)) : { ...DEFAULT_TEXT_RULES };
+    } catch {
+        return { ...DEFAULT_TEXT_RULES };
+    }
+}
+
+export function saveTextRules(config: TextRulesConfig, storage: StorageLike | null = defaultStorage()): void {
+    try {
+        storage?.setItem(TEXT_RULES_STORAGE_KEY, JSON.stringify(config));
+    } catch (err) {
+        console.warn('[TextRules] Failed to save:', err);
+    }
+}
+
+/** New empty rule with a unique id. */
+export function createTextRule(kind: TextRule['kind'] = 'literal'): TextRule {
+    const id = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+        ? crypto.randomUUID()
+        : `rule_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    return { id, kind, find: '', replace: '', caseSensitive: false, wholeWord: true, enabled: true };
+}
@@ -0,0 +1,49 @@
+/**
+ * Keet - Text Rule Types
+ *
+ * User-editable post-processing of finalized transcript text.
+ */
+
+export type TextRuleKind = 'literal' | 'regex';
+
+/** A find/replace rule. */
+export interface TextRule {
+    id: string;
+    kind: TextRuleKind;
+    /** Literal text, or a regular expression source for 'regex' rules */
+    find: string;
+    /** Replacement; 'regex' rules may use $1, $<name> etc. */
+    replace: string;
+    /** Match case exactly (default false) */
+    caseSensitive?: boolean;
+    /** Literal rules only: match whole words (default true) */
+    wholeWord?: boolean;
+    enabled: boolean;
+}
+
+export interface TextRulesConfig {
+    /** Master switch; when off, text is passed through unchanged */
+    enabled: boolean;
+    /** Find/replace rules, applied in order */
+    rules: TextRule[];
+    /** Terms whose spelling and casing are enforced, e.g. "WebGPU", "Ada Lovelace" */
+    vocabulary: string[];
+    /** "twenty five" → "25" (see spokenNumbers.ts) */
+    numbersToDigits: boolean;
+    /** Replace profanity with its first letter and asterisks */
+    maskProfanity: boolean;
+    /** Words masked in addition to the built-in list */
+    profanityWords: string[];
+    /** Uppercase the first letter of every sentence */
+    capitalizeSentences: boolean;
+}
+
+export const DEFAULT_TEXT_RULES: TextRulesConfig = {
+    enabled: true,
+    rules: [],
+    vocabulary: [],
+    numbersToDigits: false,
+    maskProfanity: false,
+    profanityWords: [],
+    capitalizeSentences: false,
+};
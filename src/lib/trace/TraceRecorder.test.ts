@@ -0,0 +1,116 @@
+/**
+ * Unit tests for TraceRecorder and the trace PCM/JSON helpers.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TraceRecorder, encodePcm, decodePcm, parseTrace } from './TraceRecorder';
+import type { StreamingRunConfig } from '../transcription/StreamingTranscriber';
+
+const CONFIG: StreamingRunConfig = {
+    sampleRate: 16000,
+    chunkSamples: 1280,
+    maxBufferSec: 120,
+    silenceFlushSec: 1,
+    vadThreshold: 0.3,
+    inferenceVadThreshold: 0.5,
+    window: { minDurationSec: 3 },
+};
+
+function createRecorder(includeAudio = true) {
+    let clock = 1000;
+    const recorder = new TraceRecorder({ includeAudio, now: () => clock });
+    return { recorder, advance: (ms: number) => { clock += ms; } };
+}
+
+describe('PCM encoding', () => {
+    it('round-trips samples at 16-bit precision', () => {
+        const samples = Float32Array.from([0, 0.5, -0.5, 1, -1, 0.123]);
+        const decoded = decodePcm(encodePcm(samples));
+        expect(decoded.length).toBe(samples.length);
+        for (let i = 0; i < samples.length; i++) expect(decoded[i]).toBeCloseTo(samples[i], 4);
+    });
+});
+
+describe('TraceRecorder', () => {
+    it('ignores events until a run starts', () => {
+        const { recorder } = createRecorder();
+        recorder.record({ type: 'finalize', matureCursorTime: null });
+        expect(recorder.hasTrace()).toBe(false);
+        expect(() => recorder.toTrace()).toThrow('No trace recorded');
+    });
+
+    it('records the timeline relative to the start', () => {
+        const { recorder, advance } = createRecorder();
+        recorder.record({ type: 'start', config: CONFIG });
+        advance(80);
+        recorder.record({ type: 'audio', offset: 0, samples: new Float32Array(1280).fill(0.25) });
+        recorder.record({ type: 'vad', layer: 'energyVad', offset: 0, values: Float32Array.of(0.9) });
+        const window = { startFrame: 0, endFrame: 1280, durationSeconds: 0.08, isInitial: true };
+        recorder.record({ type: 'window', source: 'tick', window, currentFrame: 1280, cursorFrame: 0 });
+        advance(40);
+        recorder.record({
+            type: 'asr',
+            window,
+            result: { utterance_text: 'hi', words: [{ text: 'hi', start_time: 0, end_time: 0.05 }] },
+            matureCursorTime: 0,
+        });
+
+        const trace = recorder.toTrace();
+        expect(trace.format).toBe('keet-trace');
+        expect(trace.config.window).toEqual({ minDurationSec: 3 });
+        expect(trace.events.map((e) => [e.type, e.t])).toEqual([['audio', 80], ['vad', 80], ['window', 80], ['asr', 120]]);
+
+        const audio = trace.events[0];
+        expect(audio.type === 'audio' && decodePcm(audio.pcm!)[0]).toBeCloseTo(0.25, 4);
+        expect(trace.events[1]).toMatchObject({ layer: 'energyVad', values: [0.9] });
+        expect(trace.events[2]).toMatchObject({ startFrame: 0, endFrame: 1280, isInitial: true });
+    });
+
+    it('omits PCM when audio is not included and keeps declined windows', () => {
+        const { recorder } = createRecorder(false);
+        recorder.record({ type: 'start', config: CONFIG });
+        recorder.record({ type: 'audio', offset: 0, samples: new Float32Array(1280) });
+        recorder.record({ type: 'window', source: 'tick', window: null, currentFrame: 1280, cursorFrame: 0 });
+
+        const [audio, window] = recorder.toTrace().events;
+        expect(audio).toEqual({ t: 0, type: 'audio', offset: 0, length: 1280 });
+        expect(window).toMatchObject({ startFrame: null, endFrame: null });
+    });
+
+    it('copies ASR results so later mutation does not change the trace', () => {
+        const { recorder } = createRecorder();
+        recorder.record({ type: 'start', config: CONFIG });
+        const result = { utterance_text: 'one', words: [{ text: 'one', start_time: 0, end_time: 0.3 }] };
+        recorder.record({ type: 'asr', window: { startFrame: 0, endFrame: 16000, durationSeconds: 1, isInitial: true }, result, matureCursorTime: 0 });
+        result.words[0].text = 'changed';
+
+        const event = recorder.toTrace().events[0];
+        expect(event.type === 'asr' && event.result.words?.[0].text).toBe('one');
+    });
+
+    it('starts over on a new run and after clear()', () => {
+        const { recorder } = createRecorder();
+        recorder.record({ type: 'start', config: CONFIG });
+        recorder.record({ type: 'finalize', matureCursorTime: 1 });
+        recorder.record({ type: 'start', config: CONFIG });
+        expect(recorder.getEventCount()).toBe(0);
+        recorder.clear();
+        expect(recorder.hasTrace()).toBe(false);
+    });
+});
+
+describe('parseTrace', () => {
+    it('round-trips a serialized recording', () => {
+        const { recorder } = createRecorder();
+        recorder.record({ type: 'start', config: CONFIG });
+        recorder.record({ type: 'finalize', matureCursorTime: 2.5 });
+        expect(parseTrace(recorder.serialize())).toEqual(recorder.toTrace());
+    });
+
+    it('rejects other JSON and newer versions', () => {
+        expect(() => parseTrace('{"sentences":[]}')).toThrow('Not a Keet session trace');
+        expect(() => parseTrace(JSON.stringify({ format: 'keet-trace', version: 99, config: CONFIG, events: [] }))).toThrow('Unsupported trace version: 99');
+    });
+});
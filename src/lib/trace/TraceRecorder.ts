@@ -0,0 +1,171 @@
+/**
+ * Keet - Session Trace Recorder
+ *
+ * Captures a StreamingTranscriber's 'trace' events into a SessionTrace.
+ * Attach before start() so the run config is part of the trace. With audio
+ * included a trace grows by roughly 2.7 MB per minute once serialized.
+ */
+
+import { floatTo16BitPCM } from '../audio/wav';
+import type { StreamingTraceEvent, StreamingTranscriber, StreamingRunConfig } from '../transcription/StreamingTranscriber';
+import { TRACE_FORMAT, TRACE_VERSION, type SessionTrace, type TraceEvent } from './types';
+
+export interface TraceRecorderConfig {
+    /** Store the PCM of every hop (default true) */
+    includeAudio?: boolean;
+    /** Clock for event timestamps (default performance.now) */
+    now?: () => number;
+}
+
+/** Encode samples as base64 little-endian 16-bit PCM. */
+export function encodePcm(samples: Float32Array): string {
+    const pcm = floatTo16BitPCM(samples);
+    const bytes = new Uint8Array(pcm.length * 2);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < pcm.length; i++) view.setInt16(i * 2, pcm[i], true);
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/** Decode base64 16-bit PCM back to float samples. */
+export function decodePcm(base64: string): Float32Array {
+    const binary = atob(base64);
+    const view = new DataView(new ArrayBuffer(binary.length));
+    for (let i = 0; i < binary.length; i++) view.setUint8(i, binary.charCodeAt(i));
+    const out = new Float32Array(binary.length >> 1);
+    for (let i = 0; i < out.length; i++) {
+        const s = view.getInt16(i * 2, true);
+        out[i] = s < 0 ? s / 0x8000 : s / 0x7fff;
+    }
+    return out;
+}
+
+/**
+ * Parse a serialized trace.
+ * @throws Error if the JSON is not a trace this version can read.
+ */
+export function parseTrace(json: string): SessionTrace {
+    const trace = JSON.parse(json) as Partial<SessionTrace>;
+    if (trace?.format !== TRACE_FORMAT || !Array.isArray(trace.events) || !trace.config) {
+        throw new Error('Not a Keet session trace');
+    }
+    if (typeof trace.version !== 'number' || trace.version > TRACE_VERSION) {
+        throw new Error(`Unsupported trace version: ${trace.version}`);
+    }
+    return trace as SessionTrace;
+}
+
+export class TraceRecorder {
+    private includeAudio: boolean;
+    private now: () => number;
+
+    private config: StreamingRunConfig | null = null;
+    private events: TraceEvent[] = [];
+    private createdAt = 0;
+    private startedAt = 0;
+
+    constructor(config: TraceRecorderConfig = {}) {
+        this.includeAudio = config.includeAudio ?? true;
+        this.now = config.now ?? (() => performance.now());
+    }
+
+    /**
+     * Record a transcriber's trace events until the returned function is called.
+     */
+    attach(source: Pick<StreamingTranscriber, 'on'>): () => void {
+        return source.on('trace', (event) => this.record(event));
+    }
+
+    /** Add one pipeline event. A 'start' event begins a new trace. */
+    record(event: StreamingTraceEvent): void {
+        if (event.type === 'start') {
+            this.config = { ...event.config, window: { ...event.config.window } };
+            this.events = [];
+            this.createdAt = Date.now();
+            this.startedAt = this.now();
+            return;
+        }
+        if (!this.config) return;
+        const t = Math.round(this.now() - this.startedAt);
+
+        switch (event.type) {
+            case 'audio':
+                this.events.push({
+                    t,
+                    type: 'audio',
+                    offset: event.offset,
+                    length: event.samples.length,
+                    ...(this.includeAudio ? { pcm: encodePcm(event.samples) } : {}),
+                });
+                break;
+            case 'vad':
+                // Four decimals keep probabilities readable and the file small
+                this.events.push({ t, type: 'vad', layer: event.layer, offset: event.offset, values: Array.from(event.values, (v) => Math.round(v * 1e4) / 1e4) });
+                break;
+            case 'window':
+                this.events.push({
+                    t,
+                    type: 'window',
+                    source: event.source,
+                    startFrame: event.window?.startFrame ?? null,
+                    endFrame: event.window?.endFrame ?? null,
+                    isInitial: event.window?.isInitial ?? false,
+                    currentFrame: event.currentFrame,
+                    cursorFrame: event.cursorFrame,
+                });
+                break;
+            case 'asr':
+                this.events.push({
+                    t,
+                    type: 'asr',
+                    startFrame: event.window.startFrame,
+                    endFrame: event.window.endFrame,
+                    result: structuredClone(event.result),
+                    matureCursorTime: event.matureCursorTime,
+                });
+                break;
+            case 'finalize':
+                this.events.push({ t, type: 'finalize', matureCursorTime: event.matureCursorTime });
+                break;
+        }
+    }
+
+    /** True once a run has started being recorded. */
+    hasTrace(): boolean {
+        return this.config !== null;
+    }
+
+    getEventCount(): number {
+        return this.events.length;
+    }
+
+    /**
+     * Snapshot of the recording so far.
+     * @throws Error if no run was recorded.
+     */
+    toTrace(): SessionTrace {
+        if (!this.config) throw new Error('No trace recorded');
+        return {
+            format: TRACE_FORMAT,
+            version: TRACE_VERSION,
+            createdAt: this.createdAt,
+            config: { ...this.config, window: { ...this.config.window } },
+            events: this.events.slice(),
+        };
+    }
+
+    /** Serialize the recording for download. */
+    serialize(): string {
+        return JSON.stringify(this.toTrace());
+    }
+
+    /** Drop the recording. */
+    clear(): void {
+        this.config = null;
+        this.events = [];
+    }
+}
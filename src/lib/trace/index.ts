@@ -0,0 +1,20 @@
+/**
+ * Keet - Session Trace Module
+ */
+
+export { TRACE_FORMAT, TRACE_VERSION } from './types';
+export type {
+    SessionTrace,
+    TraceEvent,
+    TraceAudioEvent,
+    TraceVadEvent,
+    TraceWindowEvent,
+    TraceAsrEvent,
+    TraceFinalizeEvent,
+    TraceTranscript,
+    TraceSentence,
+} from './types';
+export { TraceRecorder, encodePcm, decodePcm, parseTrace } from './TraceRecorder';
+export type { TraceRecorderConfig } from './TraceRecorder';
+export { replayTrace, diffTranscripts, formatTranscriptDiff } from './replayTrace';
+export type { ReplayOptions, ReplayResult, ReplayWindowDiff, TranscriptDiff } from './replayTrace';
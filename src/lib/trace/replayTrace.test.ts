@@ -0,0 +1,205 @@
+/**
+ * Tests for session trace replay and the trace regression suite.
+ *
+ * A live StreamingTranscriber run is recorded with a scripted "model" (word
+ * timings from a fixed timeline) feeding a real UtteranceBasedMerger, then
+ * replayed without it. Every `fixtures/*.trace.json` is also replayed and
+ * compared to its `*.expected.json`; drop recorded traces there (see README)
+ * to turn them into regression tests.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { StreamingTranscriber, type StreamingTranscriberDeps } from '../transcription/StreamingTranscriber';
+import { UtteranceBasedMerger, type ASRResult, type ASRWord, type MergerResult, type MergerSentence } from '../transcription/UtteranceBasedMerger';
+import type { V4ProcessResult } from '../transcription/TranscriptionWorkerClient';
+import { TraceRecorder } from './TraceRecorder';
+import { replayTrace, diffTranscripts, formatTranscriptDiff } from './replayTrace';
+import type { SessionTrace, TraceTranscript } from './types';
+
+const SR = 16000;
+const HOP = 1280;
+
+/** Word timeline of the scripted session (seconds). */
+const SCRIPT: ASRWord[] = [
+    ['Hello', 0.2, 0.5], ['everyone,', 0.55, 1.0], ['welcome', 1.1, 1.5], ['to', 1.55, 1.65], ['the', 1.7, 1.8],
+    ['weekly', 1.85, 2.2], ['sync.', 2.25, 2.7], ['Today', 3.1, 3.4], ['we', 3.45, 3.55], ['will', 3.6, 3.75],
+    ['review', 3.8, 4.2], ['the', 4.25, 4.35], ['release', 4.4, 4.8], ['plan.', 4.85, 5.3], ['First,', 5.7, 6.0],
+    ['the', 6.05, 6.15], ['build', 6.2, 6.5], ['is', 6.55, 6.65], ['green', 6.7, 7.0], ['on', 7.05, 7.15],
+    ['main.', 7.2, 7.6], ['Second,', 8.0, 8.4], ['we', 8.45, 8.55], ['still', 8.6, 8.85], ['need', 8.9, 9.1],
+    ['release', 9.15, 9.5], ['notes.', 9.55, 10.0],
+].map(([text, start_time, end_time]) => ({ text, start_time, end_time, confidence: 0.9 } as ASRWord));
+
+function speech(sec: number): Float32Array {
+    const out = new Float32Array(Math.round(sec * SR));
+    for (let i = 0; i < out.length; i++) out[i] = 0.3 * Math.sin((2 * Math.PI * 220 * i) / SR);
+    return out;
+}
+
+/** Fake worker: the scripted words inside each window go through a real merger. */
+function createScriptedDeps(): StreamingTranscriberDeps {
+    const layer: number[] = [];
+    let merger = new UtteranceBasedMerger();
+    let reported = 0;
+    const newSentences = (r: MergerResult): MergerSentence[] => {
+        const count = Math.min(r.stats.matureSentencesCreated - reported, r.allMatureSentences.length);
+        reported = r.stats.matureSentencesCreated;
+        return count > 0 ? r.allMatureSentences.slice(-count) : [];
+    };
+    const toReply = (r: MergerResult, asrResult?: ASRResult): V4ProcessResult => ({
+        matureText: r.matureText,
+        immatureText: r.immatureText,
+        matureCursorTime: r.matureCursorTime,
+        fullText: r.fullText,
+        totalSentences: r.totalSentences,
+        matureSentenceCount: r.allMatureSentences.length,
+        pendingSentence: r.pendingSentence?.text ?? null,
+        newMatureSentences: newSentences(r),
+        stats: r.stats,
+        asrResult,
+    });
+
+    return {
+        inferenceVad: null,
+        mel: {
+            pushAudioCopy: () => {},
+            getFeatures: async (start: number, end: number) => {
+                const T = Math.ceil((end - start) / 160);
+                return { features: new Float32Array(T * 128), T, melBins: 128 };
+            },
+        },
+        buffer: {
+            writeScalar: (_layer, value) => { layer.push(value); },
+            hasSpeech: async (_layer, start, end, threshold) => {
+                const values = layer.slice(Math.floor(start / HOP), Math.ceil(end / HOP));
+                const maxProb = Math.max(0, ...values);
+                return { hasSpeech: maxProb >= threshold, maxProb, entriesChecked: values.length };
+            },
+            getSilenceTailDuration: async (_layer, threshold) => {
+                let n = 0;
+                for (let i = layer.length - 1; i >= 0 && layer[i] < threshold; i--) n++;
+                return (n * HOP) / SR;
+            },
+        },
+        transcriber: {
+            initV4Service: async () => {
+                merger = new UtteranceBasedMerger();
+                reported = 0;
+            },
+            processV4ChunkWithFeatures: async ({ timeOffset = 0, endTime = 0, segmentId }) => {
+                const words = SCRIPT.filter((w) => w.start_time >= timeOffset && w.end_time <= endTime).map((w) => ({ ...w }));
+                const asrResult: ASRResult = {
+                    utterance_text: words.map((w) => w.text).join(' '),
+                    words,
+                    end_time: endTime,
+                    segment_id: segmentId,
+                };
+                return toReply(merger.processASRResult(asrResult), asrResult);
+            },
+            v4FinalizeTimeout: async () => {
+                const r = merger.finalizePendingSentenceByTimeout();
+                return r ? toReply(r) : null;
+            },
+        },
+    };
+}
+
+/** Record a scripted live run; returns the trace and what the live run produced. */
+async function recordScriptedSession(): Promise<{ trace: SessionTrace; live: MergerSentence[] }> {
+    const st = new StreamingTranscriber(createScriptedDeps(), { autoTick: false });
+    const recorder = new TraceRecorder({ includeAudio: false });
+    recorder.attach(st);
+    const live: MergerSentence[] = [];
+    st.on('sentence', (s) => live.push(s));
+
+    await st.start();
+    const audio = speech(10.5);
+    for (let i = 0; i < audio.length; i += HOP) {
+        st.pushAudio(audio.slice(i, i + HOP));
+        // Tick every 0.48 s of audio, like the live interval
+        if ((i / HOP) % 6 === 5) await st.tick();
+    }
+    await st.stop();
+    return { trace: recorder.toTrace(), live };
+}
+
+const fixtures = import.meta.glob('./fixtures/*.trace.json', { eager: true, import: 'default' }) as Record<string, SessionTrace>;
+const expectations = import.meta.glob('./fixtures/*.expected.json', { eager: true, import: 'default' }) as Record<string, TraceTranscript>;
+
+describe('replayTrace', () => {
+    it('reproduces a recorded session without the model', async () => {
+        const { trace, live } = await recordScriptedSession();
+        expect(trace.events.some((e) => e.type === 'asr')).toBe(true);
+        expect(live.length).toBeGreaterThan(1);
+
+        const replay = replayTrace(trace);
+        expect(replay.windowDiffs).toEqual([]);
+        expect(replay.cursorMismatches).toBe(0);
+        expect(replay.transcript.sentences.map((s) => s.text)).toEqual(live.map((s) => s.text.trim()));
+        expect(replay.transcript.sentences[0].startTime).toBeCloseTo(live[0].startTime, 6);
+    });
+
+    it('reports windows that change under a different WindowBuilder config', async () => {
+        const { trace } = await recordScriptedSession();
+        const replay = replayTrace(trace, { window: { minInitialDurationSec: 4 } });
+        expect(replay.windowDiffs.length).toBeGreaterThan(0);
+        const first = replay.windowDiffs[0];
+        expect(first.recorded).not.toBeNull();
+        expect(first.replayed).toBeNull();
+    });
+
+    it('applies merger overrides', async () => {
+        const { trace } = await recordScriptedSession();
+        const replay = replayTrace(trace, { merger: { enableTimeoutFinalization: false } });
+        const baseline = replayTrace(trace);
+        expect(replay.transcript.immatureText).not.toBe('');
+        expect(replay.transcript.sentences.length).toBeLessThan(baseline.transcript.sentences.length);
+    });
+});
+
+describe('diffTranscripts', () => {
+    const transcript = (texts: string[], pending = ''): TraceTranscript => ({
+        sentences: texts.map((text, i) => ({ text, startTime: i, endTime: i + 1 })),
+        matureText: texts.join(' '),
+        immatureText: pending,
+    });
+
+    it('returns no differences for equal transcripts', () => {
+        expect(diffTranscripts(transcript(['A.', 'B.']), transcript(['A.', 'B.']))).toEqual([]);
+    });
+
+    it('reports changed, missing, extra and pending text', () => {
+        expect(diffTranscripts(transcript(['A.', 'B.', 'C.']), transcript(['A.', 'b.']))).toEqual([
+            { kind: 'text', index: 1, expected: 'B.', actual: 'b.' },
+            { kind: 'missing', index: 2, expected: 'C.' },
+        ]);
+        const diffs = diffTranscripts(transcript(['A.']), transcript(['A.', 'B.'], 'and'));
+        expect(diffs.map((d) => d.kind)).toEqual(['extra', 'pending']);
+        expect(formatTranscriptDiff(diffs)).toContain('"B."');
+    });
+
+    it('reports timing drift beyond the tolerance', () => {
+        const actual = transcript(['A.']);
+        actual.sentences[0].endTime = 1.2;
+        expect(diffTranscripts(transcript(['A.']), actual)[0].kind).toBe('timing');
+        expect(diffTranscripts(transcript(['A.']), actual, 0.5)).toEqual([]);
+    });
+});
+
+describe('trace regressions', () => {
+    const names = Object.keys(fixtures);
+
+    it('has at least one fixture', () => {
+        expect(names.length).toBeGreaterThan(0);
+    });
+
+    for (const path of names) {
+        it(`replays ${path.replace('./fixtures/', '')}`, () => {
+            const expected = expectations[path.replace('.trace.json', '.expected.json')];
+            expect(expected, `missing expected output for ${path}`).toBeDefined();
+            const diffs = diffTranscripts(expected, replayTrace(fixtures[path]).transcript);
+            expect(diffs, formatTranscriptDiff(diffs)).toEqual([]);
+        });
+    }
+});
@@ -0,0 +1,243 @@
+/**
+ * Keet - Session Trace Replay
+ *
+ * Feeds a recorded trace back through WindowBuilder and UtteranceBasedMerger
+ * without the model: the recorded ASR results stand in for inference, and
+ * the builder's cursor is driven by the merger exactly as in
+ * StreamingTranscriber. Tuned window or merger settings can be passed in to
+ * see how they would have changed the transcript.
+ */
+
+import type { IRingBuffer } from '../audio/types';
+import { WindowBuilder, type WindowBuilderConfig } from '../transcription/WindowBuilder';
+import {
+    UtteranceBasedMerger,
+    type MergerResult,
+    type MergerSentence,
+    type UtteranceBasedMergerConfig,
+} from '../transcription/UtteranceBasedMerger';
+import type { SessionTrace, TraceSentence, TraceTranscript } from './types';
+
+export interface ReplayOptions {
+    /** Applied over the recorded WindowBuilder config */
+    window?: Partial<WindowBuilderConfig>;
+    /** Merger config (the live pipeline uses the defaults) */
+    merger?: Partial<UtteranceBasedMergerConfig>;
+}
+
+interface FrameRange {
+    startFrame: number;
+    endFrame: number;
+}
+
+/** A tick where the replayed builder chose a different window than the live one. */
+export interface ReplayWindowDiff {
+    /** Index of the window event in the trace */
+    eventIndex: number;
+    currentFrame: number;
+    recorded: FrameRange | null;
+    replayed: FrameRange | null;
+}
+
+export interface ReplayResult {
+    transcript: TraceTranscript;
+    windowDiffs: ReplayWindowDiff[];
+    /** Windows the builder was asked for */
+    windowCount: number;
+    /** ASR results fed to the merger */
+    asrCount: number;
+    /** Results after which the merger cursor differs from the recorded one */
+    cursorMismatches: number;
+}
+
+export interface TranscriptDiff {
+    kind: 'text' | 'timing' | 'missing' | 'extra' | 'pending';
+    /** Sentence index (-1 for the pending text) */
+    index: number;
+    expected?: string;
+    actual?: string;
+}
+
+/**
+ * Position-only stand-in for the audio ring: the builder only needs the
+ * current and oldest frame, so replay works for traces without PCM.
+ */
+class FrameCounter implements IRingBuffer {
+    readonly sampleRate: number;
+    readonly maxFrames: number;
+    private current = 0;
+
+    constructor(sampleRate: number, maxFrames: number) {
+        this.sampleRate = sampleRate;
+        this.maxFrames = maxFrames;
+    }
+
+    advanceTo(frame: number): void {
+        this.current = Math.max(this.current, frame);
+    }
+
+    write(chunk: Float32Array): void {
+        this.current += chunk.length;
+    }
+
+    read(): Float32Array {
+        throw new Error('Trace replay does not keep audio');
+    }
+
+    getCurrentFrame(): number {
+        return this.current;
+    }
+
+    getFillCount(): number {
+        return Math.min(this.current, this.maxFrames);
+    }
+
+    getSize(): number {
+        return this.maxFrames;
+    }
+
+    getCurrentTime(): number {
+        return this.current / this.sampleRate;
+    }
+
+    getBaseFrameOffset(): number {
+        return Math.max(0, this.current - this.maxFrames);
+    }
+
+    reset(): void {
+        this.current = 0;
+    }
+}
+
+const CURSOR_EPSILON = 1e-6;
+
+function toTraceSentence(s: MergerSentence): TraceSentence {
+    return { text: s.text.trim(), startTime: s.startTime, endTime: s.endTime };
+}
+
+/** Replay a trace and return the transcript it produces. */
+export function replayTrace(trace: SessionTrace, options: ReplayOptions = {}): ReplayResult {
+    const { sampleRate, maxBufferSec } = trace.config;
+    const ring = new FrameCounter(sampleRate, Math.round(maxBufferSec * sampleRate));
+    const builder = new WindowBuilder(ring, null, {
+        ...trace.config.window,
+        ...options.window,
+        sampleRate,
+        debug: false,
+    });
+    const merger = new UtteranceBasedMerger({ debug: false, language: trace.config.language ?? 'auto', ...options.merger });
+
+    const sentences: TraceSentence[] = [];
+    const windowDiffs: ReplayWindowDiff[] = [];
+    let reported = 0;
+    let windowCount = 0;
+    let asrCount = 0;
+    let cursorMismatches = 0;
+
+    // Same bookkeeping as the worker's newMatureSentences
+    const collect = (result: MergerResult) => {
+        const created = result.stats.matureSentencesCreated;
+        const count = Math.min(created - reported, result.allMatureSentences.length);
+        reported = created;
+        if (count > 0) sentences.push(...result.allMatureSentences.slice(-count).map(toTraceSentence));
+    };
+
+    trace.events.forEach((event, eventIndex) => {
+        switch (event.type) {
+            case 'audio':
+                ring.advanceTo(event.offset + event.length);
+                break;
+            case 'window': {
+                if (event.source !== 'tick') break;
+                ring.advanceTo(event.currentFrame);
+                windowCount++;
+                const window = builder.buildWindow();
+                const recorded = event.startFrame !== null && event.endFrame !== null
+                    ? { startFrame: event.startFrame, endFrame: event.endFrame }
+                    : null;
+                const replayed = window ? { startFrame: window.startFrame, endFrame: window.endFrame } : null;
+                if (recorded?.startFrame !== replayed?.startFrame || recorded?.endFrame !== replayed?.endFrame) {
+                    windowDiffs.push({ eventIndex, currentFrame: event.currentFrame, recorded, replayed });
+                }
+                break;
+            }
+            case 'asr': {
+                asrCount++;
+                const result = merger.processASRResult(event.result);
+                collect(result);
+                if (result.matureCursorTime > builder.getMatureCursorTime()) {
+                    builder.advanceMatureCursorByTime(result.matureCursorTime);
+                    builder.markSentenceEnd(Math.round(result.matureCursorTime * sampleRate));
+                }
+                if (Math.abs(result.matureCursorTime - event.matureCursorTime) > CURSOR_EPSILON) {
+                    cursorMismatches++;
+                }
+                break;
+            }
+            case 'finalize': {
+                const result = merger.finalizePendingSentenceByTimeout();
+                if (!result) break;
+                collect(result);
+                builder.advanceMatureCursorByTime(result.matureCursorTime);
+                break;
+            }
+            // VAD writes gated the live ticks; their outcome is already in the window events
+            case 'vad':
+                break;
+        }
+    });
+
+    return {
+        transcript: {
+            sentences,
+            matureText: sentences.map((s) => s.text).join(' '),
+            immatureText: merger.getImmatureText().trim(),
+        },
+        windowDiffs,
+        windowCount,
+        asrCount,
+        cursorMismatches,
+    };
+}
+
+/**
+ * Compare a replayed transcript to the expected one, sentence by sentence.
+ * Timings within `timeToleranceSec` count as equal.
+ */
+export function diffTranscripts(expected: TraceTranscript, actual: TraceTranscript, timeToleranceSec: number = 0.01): TranscriptDiff[] {
+    const diffs: TranscriptDiff[] = [];
+    const count = Math.max(expected.sentences.length, actual.sentences.length);
+
+    for (let i = 0; i < count; i++) {
+        const e = expected.sentences[i];
+        const a = actual.sentences[i];
+        if (!a) {
+            diffs.push({ kind: 'missing', index: i, expected: e.text });
+        } else if (!e) {
+            diffs.push({ kind: 'extra', index: i, actual: a.text });
+        } else if (e.text !== a.text) {
+            diffs.push({ kind: 'text', index: i, expected: e.text, actual: a.text });
+        } else if (Math.abs(e.startTime - a.startTime) > timeToleranceSec || Math.abs(e.endTime - a.endTime) > timeToleranceSec) {
+            diffs.push({
+                kind: 'timing',
+                index: i,
+                expected: `${e.startTime.toFixed(2)}-${e.endTime.toFixed(2)}`,
+                actual: `${a.startTime.toFixed(2)}-${a.endTime.toFixed(2)}`,
+            });
+        }
+    }
+    if (expected.immatureText !== actual.immatureText) {
+        diffs.push({ kind: 'pending', index: -1, expected: expected.immatureText, actual: actual.immatureText });
+    }
+    return diffs;
+}
+
+/** One line per difference, for test failure messages and the console. */
+export function formatTranscriptDiff(diffs: TranscriptDiff[]): string {
+    return diffs
+        .map((d) => {
+            const where = d.index < 0 ? 'pending' : `#${d.index}`;
+            return `${d.kind.padEnd(7)} ${where}: ${JSON.stringify(d.expected ?? '')} → ${JSON.stringify(d.actual ?? '')}`;
+        })
+        .join('\n');
+}
@@ -0,0 +1,90 @@
+/**
+ * Keet - Session Trace Types
+ *
+ * A trace is a JSON file with the timeline of one StreamingTranscriber run:
+ * PCM hops, VAD layer writes, window decisions and the raw ASR results the
+ * merger received. Everything after the model is deterministic, so a trace
+ * can be replayed through WindowBuilder and the merger without it.
+ */
+
+import type { ASRResult } from '../transcription/UtteranceBasedMerger';
+import type { StreamingRunConfig } from '../transcription/StreamingTranscriber';
+import type { VadLayerId } from '../buffer/vadFusion';
+
+export const TRACE_FORMAT = 'keet-trace';
+export const TRACE_VERSION = 1;
+
+interface TraceEventBase {
+    /** Milliseconds since the recording started (wall clock, informational) */
+    t: number;
+}
+
+export interface TraceAudioEvent extends TraceEventBase {
+    type: 'audio';
+    /** Global sample position of the first sample */
+    offset: number;
+    length: number;
+    /** Base64 little-endian 16-bit PCM; omitted when audio is not recorded */
+    pcm?: string;
+}
+
+export interface TraceVadEvent extends TraceEventBase {
+    type: 'vad';
+    layer: VadLayerId;
+    offset: number;
+    values: number[];
+}
+
+export interface TraceWindowEvent extends TraceEventBase {
+    type: 'window';
+    /** 'tick' windows came from WindowBuilder; 'flush' windows cover the tail on stop */
+    source: 'tick' | 'flush';
+    /** null when the builder declined (not enough audio yet) */
+    startFrame: number | null;
+    endFrame: number | null;
+    isInitial: boolean;
+    /** Samples pushed when the window was requested */
+    currentFrame: number;
+    cursorFrame: number;
+}
+
+export interface TraceAsrEvent extends TraceEventBase {
+    type: 'asr';
+    startFrame: number;
+    endFrame: number;
+    result: ASRResult;
+    /** Merger cursor after this result, as recorded */
+    matureCursorTime: number;
+}
+
+export interface TraceFinalizeEvent extends TraceEventBase {
+    type: 'finalize';
+    /** null when nothing was pending */
+    matureCursorTime: number | null;
+}
+
+export type TraceEvent = TraceAudioEvent | TraceVadEvent | TraceWindowEvent | TraceAsrEvent | TraceFinalizeEvent;
+
+export interface SessionTrace {
+    format: typeof TRACE_FORMAT;
+    version: number;
+    /** Epoch ms */
+    createdAt: number;
+    config: StreamingRunConfig;
+    events: TraceEvent[];
+}
+
+/** Transcript produced by a run, stored next to a trace as its expected output. */
+export interface TraceTranscript {
+    sentences: TraceSentence[];
+    /** Finalized text */
+    matureText: string;
+    /** Text still pending when the trace ended */
+    immatureText: string;
+}
+
+export interface TraceSentence {
+    text: string;
+    startTime: number;
+    endTime: number;
+}
@@ -0,0 +1,183 @@
+/**
+ * Unit tests for FileTranscriber (v4 pipeline driven from decoded file PCM).
+ *
+ * Worker clients are replaced with in-memory fakes: the buffer fake answers
+ * VAD queries from the energy VAD writes, and the transcriber fake returns
+ * merger-like results so cursor handling, silence flushes, tail flushing,
+ * progress and cancellation can be checked with synthetic audio.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { FileTranscriber, type FileTranscriberDeps, type FileTranscriptionProgress } from './FileTranscriber';
+import type { V4ProcessResult } from './TranscriptionWorkerClient';
+
+const SR = 16000;
+const HOP = 1280;
+
+/** Alternating tone bursts and silence: [speechSec, silenceSec] pairs. */
+function synthAudio(segments: Array<[number, number]>): Float32Array {
+    const total = segments.reduce((s, [a, b]) => s + a + b, 0);
+    const out = new Float32Array(Math.round(total * SR));
+    let pos = 0;
+    for (const [speechSec, silenceSec] of segments) {
+        const speechLen = Math.round(speechSec * SR);
+        for (let i = 0; i < speechLen; i++) {
+            out[pos + i] = 0.3 * Math.sin((2 * Math.PI * 220 * i) / SR);
+        }
+        pos += speechLen + Math.round(silenceSec * SR);
+    }
+    return out;
+}
+
+function makeResult(matureCursorTime: number): V4ProcessResult {
+    return {
+        matureText: 'mature',
+        immatureText: 'pending',
+        matureCursorTime,
+        fullText: 'mature pending',
+        totalSentences: 1,
+        matureSentenceCount: 1,
+        pendingSentence: 'pending',
+        stats: {},
+    };
+}
+
+function createFakes() {
+    const vad: number[] = [];
+    const windows: Array<{ timeOffset: number; endTime: number; prefix?: number }> = [];
+    let finalizeCalls = 0;
+    let pushedSamples = 0;
+
+    const deps: FileTranscriberDeps = {
+        mel: {
+            reset: async () => { pushedSamples = 0; },
+            pushAudioCopy: (chunk: Float32Array) => { pushedSamples += chunk.length; },
+            getFeatures: async (start: number, end: number) => {
+                if (end > pushedSamples) return null;
+                const T = Math.ceil((end - start) / 160);
+                return { features: new Float32Array(T * 128), T, melBins: 128 };
+            },
+        },
+        buffer: {
+            writeScalar: (_layer, value: number) => { vad.push(value); },
+            hasSpeech: async (_layer, start: number, end: number, threshold: number) => {
+                const from = Math.floor(start / HOP);
+                const to = Math.min(vad.length, Math.ceil(end / HOP));
+                let maxProb = 0;
+                for (let i = from; i < to; i++) maxProb = Math.max(maxProb, vad[i]);
+                return { hasSpeech: maxProb >= threshold, maxProb, entriesChecked: to - from };
+            },
+            getSilenceTailDuration: async (_layer, threshold: number) => {
+                let n = 0;
+                for (let i = vad.length - 1; i >= 0 && vad[i] < threshold; i--) n++;
+                return (n * HOP) / SR;
+            },
+        },
+        transcriber: {
+            initV4Service: async () => {},
+            processV4ChunkWithFeatures: async (params) => {
+                windows.push({
+                    timeOffset: params.timeOffset!,
+                    endTime: params.endTime!,
+                    prefix: params.incrementalCache?.prefixSeconds,
+                });
+                // Pretend a sentence boundary is confirmed 1s before the window end
+                return makeResult(Math.max(0, params.endTime! - 1));
+            },
+            v4FinalizeTimeout: async () => {
+                finalizeCalls++;
+                const last = windows[windows.length - 1];
+                return last ? makeResult(last.endTime) : null;
+            },
+        },
+    };
+
+    return { deps, vad, windows, finalizeCalls: () => finalizeCalls };
+}
+
+describe('FileTranscriber', () => {
+    it('should transcribe the whole file and finish with full progress', async () => {
+        const fakes = createFakes();
+        const progress: FileTranscriptionProgress[] = [];
+        const audio = synthAudio([[4, 1.5], [5, 1.5]]);
+        const ft = new FileTranscriber(fakes.deps, {}, { onProgress: (p) => progress.push(p) });
+
+        const status = await ft.run(audio);
+
+        expect(status).toBe('completed');
+        expect(fakes.windows.length).toBeGreaterThan(0);
+        const last = fakes.windows[fakes.windows.length - 1];
+        expect(last.endTime).toBeCloseTo(audio.length / SR, 3);
+        expect(fakes.finalizeCalls()).toBeGreaterThan(0);
+        expect(progress[progress.length - 1].progress).toBe(1);
+        expect(progress[progress.length - 1].etaSec).toBe(0);
+        for (let i = 1; i < progress.length; i++) {
+            expect(progress[i].processedSec).toBeGreaterThanOrEqual(progress[i - 1].processedSec);
+        }
+    });
+
+    it('should start each window at or after the mature cursor and respect max duration', async () => {
+        const fakes = createFakes();
+        const ft = new FileTranscriber(fakes.deps, { window: { maxDurationSec: 10 } });
+
+        await ft.run(synthAudio([[25, 0.5]]));
+
+        let cursor = 0;
+        for (const w of fakes.windows) {
+            expect(w.timeOffset).toBeGreaterThanOrEqual(cursor - 1e-6);
+            expect(w.endTime - w.timeOffset).toBeLessThanOrEqual(10 + 1e-6);
+            cursor = Math.max(cursor, w.endTime - 1);
+        }
+    });
+
+    it('should use the incremental cache only once a cursor exists', async () => {
+        const fakes = createFakes();
+        const ft = new FileTranscriber(fakes.deps);
+
+        await ft.run(synthAudio([[12, 0.5]]));
+
+        expect(fakes.windows[0].prefix).toBeUndefined();
+        expect(fakes.windows.some((w) => w.timeOffset > 0)).toBe(true);
+    });
+
+    it('should not run inference on pure silence', async () => {
+        const fakes = createFakes();
+        const ft = new FileTranscriber(fakes.deps);
+
+        const status = await ft.run(new Float32Array(SR * 6));
+
+        expect(status).toBe('completed');
+        expect(fakes.windows).toHaveLength(0);
+    });
+
+    it('should stop early when cancelled', async () => {
+        const fakes = createFakes();
+        const audio = synthAudio([[20, 1], [20, 1]]);
+        let ticks = 0;
+        const ft = new FileTranscriber(fakes.deps, {}, {
+            onProgress: () => {
+                if (++ticks === 3) ft.cancel();
+            },
+        });
+
+        const status = await ft.run(audio);
+
+        expect(status).toBe('cancelled');
+        expect(ticks).toBe(3);
+        expect(ft.isRunning()).toBe(false);
+        const last = fakes.windows[fakes.windows.length - 1];
+        expect(last.endTime).toBeLessThan(audio.length / SR);
+    });
+
+    it('should reject a second concurrent run', async () => {
+        const fakes = createFakes();
+        const ft = new FileTranscriber(fakes.deps);
+        const audio = synthAudio([[4, 1]]);
+
+        const first = ft.run(audio);
+        await expect(ft.run(audio)).rejects.toThrow('already running');
+        await expect(first).resolves.toBe('completed');
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * Keet v4.0 - File Transcriber
+ *
+ * Runs pre-decoded PCM (e.g. an imported audio file) through the same v4
+ * pipeline used for live capture:
+ *
+ *   PCM → MelWorker + BufferWorker (energy VAD) → WindowBuilder → UtteranceBasedMerger
+ *
+ * It drives a StreamingTranscriber by hand: audio is pushed a "step" at a
+ * time and an inference tick runs after each step without waiting for
+ * wall-clock time. The mel worker and ring buffer only hold ~120 s, so audio
+ * must be fed incrementally rather than all at once; the step size controls
+ * the speed/accuracy trade-off. Results arrive as the same events as live
+ * streaming (subscribe with on()).
+ */
+
+import type { MelWorkerClient } from '../audio/MelWorkerClient';
+import type { EventListener } from '../events/TypedEmitter';
+import type { WindowBuilderConfig } from './WindowBuilder';
+import {
+    StreamingTranscriber,
+    type StreamingBuffer,
+    type StreamingTranscriberDeps,
+    type StreamingTranscriberEvents,
+} from './StreamingTranscriber';
+
+/** Worker clients the file transcriber drives (narrowed for testability). */
+export interface FileTranscriberDeps {
+    transcriber: StreamingTranscriberDeps['transcriber'];
+    mel: Pick<MelWorkerClient, 'reset' | 'pushAudioCopy' | 'getFeatures'>;
+    /** VAD layer store; a dedicated BufferWorker is created per run when omitted */
+    buffer?: StreamingBuffer;
+}
+
+export interface FileTranscriberConfig {
+    /** Sample rate of the input PCM (default 16000) */
+    sampleRate?: number;
+    /** Samples per pushed chunk; matches the live AudioEngine chunk size (default 1280) */
+    chunkSamples?: number;
+    /** Seconds of audio pushed between inference ticks (default 2.0) */
+    stepSec?: number;
+    /** Trailing silence that finalizes the pending sentence (default 1.0) */
+    silenceFlushSec?: number;
+    /** Energy VAD threshold used for speech/silence queries (default 0.3) */
+    vadThreshold?: number;
+    /** Language for sentence boundaries, or 'auto' (default) */
+    language?: string;
+    /** Label sentences with speakers ('speaker' events; see StreamingTranscriberConfig.speakerLabels) */
+    speakerLabels?: boolean;
+    speakerThreshold?: number;
+    /** WindowBuilder overrides */
+    window?: Partial<WindowBuilderConfig>;
+}
+
+export interface FileTranscriptionProgress {
+    /** Seconds of audio pushed into the pipeline */
+    processedSec: number;
+    /** Total seconds of audio */
+    totalSec: number;
+    /** processedSec / totalSec (0-1) */
+    progress: number;
+    /** Wall-clock seconds since run() started */
+    elapsedSec: number;
+    /** Estimated wall-clock seconds remaining (null until measurable) */
+    etaSec: number | null;
+    /** Processing speed as a multiple of real time */
+    speed: number;
+}
+
+export interface FileTranscriberCallbacks {
+    onProgress?: (progress: FileTranscriptionProgress) => void;
+}
+
+export type FileTranscriptionStatus = 'completed' | 'cancelled';
+
+export class FileTranscriber {
+    private deps: FileTranscriberDeps;
+    private callbacks: FileTranscriberCallbacks;
+    private sampleRate: number;
+    private chunkSamples: number;
+    private stepSec: number;
+    private stream: StreamingTranscriber;
+
+    private cancelled = false;
+    private running = false;
+    private failure: Error | null = null;
+
+    constructor(
+        deps: FileTranscriberDeps,
+        config: FileTranscriberConfig = {},
+        callbacks: FileTranscriberCallbacks = {}
+    ) {
+        this.deps = deps;
+        this.callbacks = callbacks;
+        this.sampleRate = config.sampleRate ?? 16000;
+        this.chunkSamples = config.chunkSamples ?? 1280;
+        this.stepSec = config.stepSec ?? 2.0;
+        this.stream = new StreamingTranscriber(
+            {
+                transcriber: deps.transcriber,
+                mel: deps.mel,
+                buffer: deps.buffer,
+                inferenceVad: null, // energy VAD only: files are usually clean and TEN-VAD runs in real time
+            },
+            {
+                sampleRate: this.sampleRate,
+                chunkSamples: this.chunkSamples,
+                autoTick: false,
+                silenceFlushSec: config.silenceFlushSec,
+                vadThreshold: config.vadThreshold,
+                cacheKey: 'v4-file',
+                language: config.language,
+                speakerLabels: config.speakerLabels,
+                speakerThreshold: config.speakerThreshold,
+                window: config.window,
+            }
+        );
+        // Errors are surfaced by run() rather than skipped like in live streaming
+        this.stream.on('error', (err) => {
+            this.failure ??= err;
+        });
+    }
+
+    /** Subscribe to transcription events (mature, immature, sentence, metrics, ...). */
+    on<K extends keyof StreamingTranscriberEvents>(event: K, listener: EventListener<StreamingTranscriberEvents[K]>): () => void {
+        return this.stream.on(event, listener);
+    }
+
+    /** Whether run() is in progress. */
+    isRunning(): boolean {
+        return this.running;
+    }
+
+    /**
+     * Request cancellation. The current inference finishes, then run() resolves
+     * with 'cancelled'. Results delivered so far are kept.
+     */
+    cancel(): void {
+        this.cancelled = true;
+    }
+
+    /**
+     * Transcribe the given mono PCM. Resolves once all audio has been processed
+     * and the pending sentence has been finalized, or after cancel().
+     * @throws the first inference error
+     */
+    async run(samples: Float32Array): Promise<FileTranscriptionStatus> {
+        if (this.running) {
+            throw new Error('FileTranscriber is already running');
+        }
+        this.running = true;
+        this.cancelled = false;
+        this.failure = null;
+
+        const { sampleRate, chunkSamples } = this;
+        const totalSec = samples.length / sampleRate;
+        const stepSamples = Math.max(chunkSamples, Math.round(this.stepSec * sampleRate / chunkSamples) * chunkSamples);
+        const startedAt = performance.now();
+        let flushed = false;
+
+        try {
+            await this.deps.mel.reset();
+            await this.stream.start();
+
+            let offset = 0;
+            while (offset < samples.length) {
+                if (this.cancelled) return 'cancelled';
+
+                const stepEnd = Math.min(samples.length, offset + stepSamples);
+                this.stream.pushAudio(samples.subarray(offset, stepEnd));
+                offset = stepEnd;
+
+                await this.stream.tick();
+                this.throwIfFailed();
+                this.reportProgress(offset / sampleRate, totalSec, startedAt);
+            }
+
+            if (this.cancelled) return 'cancelled';
+            await this.stream.stop();
+            flushed = true;
+            this.throwIfFailed();
+            this.reportProgress(totalSec, totalSec, startedAt);
+            return 'completed';
+        } finally {
+            if (!flushed) await this.stream.stop({ flush: false });
+            this.running = false;
+        }
+    }
+
+    // ---- Internal ----
+
+    private throwIfFailed(): void {
+        if (this.failure) throw this.failure;
+    }
+
+    private reportProgress(processedSec: number, totalSec: number, startedAt: number): void {
+        if (!this.callbacks.onProgress) return;
+        const elapsedSec = (performance.now() - startedAt) / 1000;
+        const speed = elapsedSec > 0 ? processedSec / elapsedSec : 0;
+        const remainingSec = Math.max(0, totalSec - processedSec);
+        this.callbacks.onProgress({
+            processedSec,
+            totalSec,
+            progress: totalSec > 0 ? Math.min(1, processedSec / totalSec) : 1,
+            elapsedSec,
+            etaSec: speed > 0 ? remainingSec / speed : null,
+            speed,
+        });
+    }
+}
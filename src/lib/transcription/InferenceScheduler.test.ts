@@ -0,0 +1,72 @@
+/**
+ * Unit tests for InferenceScheduler (tick interval adaptation).
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { InferenceScheduler } from './InferenceScheduler';
+
+describe('InferenceScheduler', () => {
+    it('keeps the base interval when not adaptive, on a fixed cadence', () => {
+        const s = new InferenceScheduler({ baseIntervalMs: 500, adaptive: false });
+        s.recordInference(2000, 4);
+        s.recordTick(false, 4);
+        expect(s.intervalMs()).toBe(500);
+        expect(s.nextDelay(1000, 1120)).toBe(380);
+        expect(s.getStats()).toMatchObject({ mode: 'fixed', droppedTicks: 0 });
+    });
+
+    it('uses the base interval until inference is measured', () => {
+        expect(new InferenceScheduler({ baseIntervalMs: 640 }).intervalMs()).toBe(640);
+    });
+
+    it('ticks faster on fast devices and slower on slow ones', () => {
+        const fast = new InferenceScheduler({ baseIntervalMs: 480 });
+        fast.recordTick(true, 3);
+        fast.recordInference(60, 3);
+        expect(fast.intervalMs()).toBe(320);
+
+        const slow = new InferenceScheduler({ baseIntervalMs: 480, targetLoad: 0.5 });
+        slow.recordTick(true, 3);
+        slow.recordInference(900, 3);
+        expect(slow.intervalMs()).toBe(1800);
+        expect(slow.getStats()).toMatchObject({ mode: 'speech', latencyMs: 900 });
+        expect(slow.getStats().rtfx).toBeCloseTo(3.33, 2);
+    });
+
+    it('predicts cost from the pending window and the measured RTFx', () => {
+        const s = new InferenceScheduler({ targetLoad: 0.5 });
+        s.recordInference(200, 2); // 10x real time
+        s.recordTick(true, 12); // 12 s pending -> ~1200 ms expected
+        expect(s.intervalMs()).toBeCloseTo(2400, 5);
+        s.recordTick(true, 40);
+        expect(s.intervalMs()).toBe(4000); // maxIntervalMs
+    });
+
+    it('backs off in silence and returns to the speech interval on VAD onset', () => {
+        const s = new InferenceScheduler({ baseIntervalMs: 400, maxSilenceIntervalMs: 1000 });
+        s.recordTick(false, 0);
+        expect(s.intervalMs()).toBe(600);
+        s.recordTick(false, 0);
+        expect(s.intervalMs()).toBe(900);
+        s.recordTick(false, 0);
+        expect(s.intervalMs()).toBe(1000);
+        expect(s.getStats().mode).toBe('silence');
+
+        expect(s.noteSpeech()).toBe(true);
+        expect(s.intervalMs()).toBe(400);
+        expect(s.noteSpeech()).toBe(false);
+    });
+
+    it('drops deadlines that pass during a slow tick and waits for the next one', () => {
+        const s = new InferenceScheduler({ baseIntervalMs: 500, adaptive: false });
+        expect(s.nextDelay(0, 1300)).toBe(200);
+        expect(s.getStats()).toMatchObject({ mode: 'behind', droppedTicks: 2 });
+        expect(s.nextDelay(0, 100)).toBe(400);
+        expect(s.getStats()).toMatchObject({ mode: 'fixed', droppedTicks: 2 });
+
+        s.reset();
+        expect(s.getStats().droppedTicks).toBe(0);
+    });
+});
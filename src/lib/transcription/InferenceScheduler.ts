@@ -0,0 +1,168 @@
+/**
+ * Keet v4.0 - Inference Scheduler
+ *
+ * Chooses the delay between StreamingTranscriber ticks. With `adaptive` off
+ * ticks start every `baseIntervalMs`. With it on, the interval follows the
+ * device:
+ *
+ * - Speech: long enough that inference takes at most `targetLoad` of each
+ *   interval. The cost is the larger of the smoothed latency and a prediction
+ *   from the pending window length (audio after the mature cursor) divided
+ *   by the smoothed RTFx, so a growing window slows ticks before they overrun.
+ * - Silence: each silent tick stretches the interval by SILENCE_BACKOFF up to
+ *   `maxSilenceIntervalMs`. Live VAD speech onset ends the backoff early.
+ * - Behind: when a tick runs past one or more tick deadlines, those ticks are
+ *   dropped and the next one starts on the following deadline. Nothing is
+ *   lost: the next window covers all audio after the cursor.
+ */
+
+export interface InferenceSchedulerConfig {
+    /** Interval with adaptive scheduling off, and before anything is measured */
+    baseIntervalMs: number;
+    adaptive: boolean;
+    minIntervalMs: number;
+    maxIntervalMs: number;
+    /** Share of each interval that inference may take during speech (0-1) */
+    targetLoad: number;
+    /** Longest interval while backing off in silence */
+    maxSilenceIntervalMs: number;
+    /** Weight of the newest measurement in the smoothed latency and RTFx */
+    smoothing: number;
+}
+
+export type InferenceSchedulerMode = 'fixed' | 'speech' | 'silence' | 'behind';
+
+export interface InferenceSchedulerStats {
+    /** Interval until the next tick deadline */
+    intervalMs: number;
+    mode: InferenceSchedulerMode;
+    /** Smoothed inference latency (0 until measured) */
+    latencyMs: number;
+    /** Smoothed audio seconds transcribed per second of inference (0 until measured) */
+    rtfx: number;
+    /** Audio after the mature cursor at the last tick, in seconds */
+    pendingSec: number;
+    ticks: number;
+    /** Tick deadlines that passed while inference was running */
+    droppedTicks: number;
+}
+
+export const DEFAULT_INFERENCE_SCHEDULER_CONFIG: InferenceSchedulerConfig = {
+    baseIntervalMs: 480,
+    adaptive: true,
+    minIntervalMs: 320,
+    maxIntervalMs: 4000,
+    targetLoad: 0.6,
+    maxSilenceIntervalMs: 1600,
+    smoothing: 0.3,
+};
+
+/** Interval growth per consecutive silent tick */
+const SILENCE_BACKOFF = 1.5;
+
+const clamp = (v: number, min: number, max: number) => Math.min(max, Math.max(min, v));
+
+export class InferenceScheduler {
+    private config: InferenceSchedulerConfig;
+    private latencyMs = 0;
+    private rtfx = 0;
+    private pendingSec = 0;
+    private silentTicks = 0;
+    private ticks = 0;
+    private droppedTicks = 0;
+    private behind = false;
+
+    constructor(config: Partial<InferenceSchedulerConfig> = {}) {
+        this.config = { ...DEFAULT_INFERENCE_SCHEDULER_CONFIG, ...config };
+    }
+
+    updateConfig(config: Partial<InferenceSchedulerConfig>): void {
+        this.config = { ...this.config, ...config };
+    }
+
+    /** Forget measurements and counters (new run). */
+    reset(): void {
+        this.latencyMs = 0;
+        this.rtfx = 0;
+        this.pendingSec = 0;
+        this.silentTicks = 0;
+        this.ticks = 0;
+        this.droppedTicks = 0;
+        this.behind = false;
+    }
+
+    /** An inference over `windowSec` of audio took `inferenceMs`. */
+    recordInference(inferenceMs: number, windowSec: number): void {
+        if (!(inferenceMs > 0) || !(windowSec > 0)) return;
+        const a = this.config.smoothing;
+        const rtfx = (windowSec * 1000) / inferenceMs;
+        this.latencyMs = this.latencyMs === 0 ? inferenceMs : a * inferenceMs + (1 - a) * this.latencyMs;
+        this.rtfx = this.rtfx === 0 ? rtfx : a * rtfx + (1 - a) * this.rtfx;
+    }
+
+    /** A tick decided whether there is speech after the cursor. */
+    recordTick(hasSpeech: boolean, pendingSec: number): void {
+        this.ticks++;
+        this.pendingSec = pendingSec;
+        this.silentTicks = hasSpeech ? 0 : this.silentTicks + 1;
+    }
+
+    /**
+     * Live VAD heard speech. Returns true when this ends a silence backoff,
+     * i.e. the next tick should come sooner than currently scheduled.
+     */
+    noteSpeech(): boolean {
+        if (this.silentTicks === 0) return false;
+        const wasLonger = this.intervalMs() > this.speechIntervalMs();
+        this.silentTicks = 0;
+        return wasLonger;
+    }
+
+    /** Current tick interval. */
+    intervalMs(): number {
+        if (!this.config.adaptive) return this.config.baseIntervalMs;
+        const speech = this.speechIntervalMs();
+        if (this.silentTicks === 0) return speech;
+        const backoff = speech * SILENCE_BACKOFF ** this.silentTicks;
+        return Math.max(speech, Math.min(this.config.maxSilenceIntervalMs, backoff));
+    }
+
+    /**
+     * Delay before the next tick, for a tick that started at `startedAt` and
+     * ended at `now` (ms, same clock). Ticks start on a fixed cadence; deadlines
+     * missed while the tick ran are counted as dropped.
+     */
+    nextDelay(startedAt: number, now: number): number {
+        const interval = this.intervalMs();
+        const elapsed = Math.max(0, now - startedAt);
+        const missed = Math.floor(elapsed / interval);
+        this.behind = missed > 0;
+        this.droppedTicks += missed;
+        return interval - (elapsed % interval);
+    }
+
+    getStats(): InferenceSchedulerStats {
+        return {
+            intervalMs: Math.round(this.intervalMs()),
+            mode: this.mode(),
+            latencyMs: this.latencyMs,
+            rtfx: this.rtfx,
+            pendingSec: this.pendingSec,
+            ticks: this.ticks,
+            droppedTicks: this.droppedTicks,
+        };
+    }
+
+    private mode(): InferenceSchedulerMode {
+        if (this.behind) return 'behind';
+        if (!this.config.adaptive) return 'fixed';
+        return this.silentTicks > 0 ? 'silence' : 'speech';
+    }
+
+    private speechIntervalMs(): number {
+        const { baseIntervalMs, minIntervalMs, maxIntervalMs, targetLoad } = this.config;
+        if (this.latencyMs === 0) return baseIntervalMs;
+        const predictedMs = this.rtfx > 0 ? (this.pendingSec * 1000) / this.rtfx : 0;
+        return clamp(Math.max(this.latencyMs, predictedMs) / targetLoad, minIntervalMs, maxIntervalMs);
+    }
+}
@@ -13,14 +13,29 @@ import type {
   ModelProgress,
   ModelManagerCallbacks
 } from './types';
-
-// Default model configuration (Parakeet TDT 0.6B)
-const DEFAULT_MODEL_ID = 'parakeet-tdt-0.6b-v2';
-
-const CACHE_NAME = 'keet-model-cache-v1';
-const PARAKEET_DB_NAME = 'parakeet-cache-db';
-
-type ModelConfigResolver = ((modelKeyOrRepoId: string) => { repoId?: string } | null) | undefined;
+import {
+  BUILTIN_MODELS,
+  DEFAULT_MODEL_ID,
+  findModel,
+  modelFilenames,
+  resolveQuant,
+  type ModelLoadOptions
+} from '../model/registry';
+import { ModelCache } from '../model/modelCache';
+import {
+  describeIntegrityFailures,
+  fetchRepoManifest,
+  integrityPassed,
+  verifyLocalFiles,
+  type RepoManifest
+} from '../model/integrity';
+
+type ModelFilenames = ReturnType<typeof modelFilenames>;
+type GetModelFile = (
+  repoId: string,
+  filename: string,
+  options: { revision?: string; progress?: (p: { loaded: number; total: number }) => void }
+) => Promise<string>;
 
 type ResolvedModelAssets = {
   urls: {
@@ -46,9 +61,11 @@ export class ModelManager {
   private _callbacks: ModelManagerCallbacks = {};
   private _isOfflineReady: boolean = false;
   private _isCached: boolean = false;
+  private _cache: ModelCache;
 
-  constructor(callbacks: ModelManagerCallbacks = {}) {
+  constructor(callbacks: ModelManagerCallbacks = {}, cache: ModelCache = new ModelCache()) {
     this._callbacks = callbacks;
+    this._cache = cache;
   }
 
   // Getters
@@ -68,10 +85,14 @@ export class ModelManager {
   }
 
   /**
-   * Load the model with WebGPU/WASM fallback
+   * Load a registry model with WebGPU/WASM fallback. The requested
+   * quantization must exist in the repo; cached files that no longer match
+   * the repo manifest are removed and downloaded again.
    */
-  async loadModel(config: { modelId?: string } = {}): Promise<void> {
+  async loadModel(config: Partial<ModelLoadOptions> = {}): Promise<void> {
     const modelId = config.modelId || DEFAULT_MODEL_ID;
+    const repoId = config.repoId || findModel(BUILTIN_MODELS, modelId)?.repoId || modelId;
+    const revision = config.revision || 'main';
 
     this._setState('loading');
 
@@ -82,9 +103,8 @@ export class ModelManager {
     });
 
     try {
-      // 1. Detect WebGPU support
-      const hasWebGPU = await this._detectWebGPU();
-      this._backend = hasWebGPU ? 'webgpu' : 'wasm';
+      // 1. Detect WebGPU support (unless WASM was asked for)
+      this._backend = await this._selectBackend(config.backend);
 
       this._setProgress({
         stage: 'backend',
@@ -96,7 +116,7 @@ export class ModelManager {
       this._setProgress({ stage: 'import', progress: 15, message: 'Loading parakeet.js...' });
 
       // @ts-ignore - parakeet.js is a JS module
-      const { ParakeetModel, getParakeetModel, getModelConfig } = await import('parakeet.js');
+      const { ParakeetModel, getModelFile } = await import('parakeet.js');
 
       const createModelFromAssets = async (assets: ResolvedModelAssets): Promise<any> => {
         const preprocessorBackend = assets.preprocessorBackend || 'js';
@@ -110,27 +130,35 @@ export class ModelManager {
         });
       };
 
-      // 3. Resolve model URLs via parakeet.js Hub (handles .data files correctly)
+      // 3. Resolve the quantization variant against the repo manifest
       this._setProgress({
         stage: 'resolve',
         progress: 20,
         message: 'Resolving model assets...'
       });
 
-      const modelAssets = await getParakeetModel(modelId, {
-        backend: this._backend,
-        preprocessorBackend: 'js', // Use pure JS mel — faster, no ONNX download needed
-        progress: (p: any) => {
-          // Map parakeet.js progress to our UI
-          const pct = Math.round(20 + (p.loaded / p.total) * 70);
-          this._setProgress({
-            stage: 'download',
-            progress: pct,
-            message: 'Downloading assets...',
-            file: `${p.file} (${Math.round(p.loaded / 1024 / 1024)}MB)`
-          });
+      const quant = resolveQuant(config.encoderQuant, config.decoderQuant, this._backend);
+      const filenames = modelFilenames(quant);
+      const manifest = await this._fetchManifest(repoId, revision);
+      if (manifest) {
+        const missing = [filenames.encoder, filenames.decoder, filenames.tokenizer].filter((name) => !manifest[name]);
+        if (missing.length > 0) {
+          throw new Error(
+            `${repoId} has no ${quant.encoder} encoder / ${quant.decoder} decoder variant (missing ${missing.join(', ')})`
+          );
         }
-      });
+        await this._cache.pruneMismatched(repoId, revision, manifest);
+      }
+
+      const modelAssets = await this._downloadModelAssets(getModelFile, repoId, revision, filenames, manifest);
+
+      if (manifest) {
+        const corrupt = await this._cache.pruneMismatched(repoId, revision, manifest);
+        if (corrupt.length > 0) {
+          const names = [...new Set(corrupt.map((f) => f.filename))].join(', ');
+          throw new Error(`Downloaded ${names} does not match ${repoId} and was removed from the cache. Try loading again.`);
+        }
+      }
 
       // 4. Load the model into ONNX Runtime
       this._setProgress({
@@ -140,7 +168,7 @@ export class ModelManager {
       });
 
       try {
-        this._model = await createModelFromAssets(modelAssets as ResolvedModelAssets);
+        this._model = await createModelFromAssets(modelAssets);
       } catch (loadError) {
         if (!this._isRecoverableFetchError(loadError)) {
           throw loadError;
@@ -153,13 +181,9 @@ export class ModelManager {
           message: 'Recovering stale model cache...'
         });
 
-        await this._clearParakeetIndexedDbCache();
+        await this._cache.deleteModel(repoId);
 
-        const directAssets = this._buildDirectModelAssets(
-          modelId,
-          this._backend,
-          getModelConfig as ModelConfigResolver
-        );
+        const directAssets = this._buildDirectModelAssets(repoId, revision, filenames, manifest);
 
         this._setProgress({
           stage: 'recover',
@@ -176,6 +200,7 @@ export class ModelManager {
 
       this._setProgress({ stage: 'complete', progress: 100, message: 'Model ready' });
       this._setState('ready');
+      void this._watchDeviceLoss();
 
       // Mark as offline ready
       this._isOfflineReady = true;
@@ -195,9 +220,11 @@ export class ModelManager {
   }
 
   /**
-   * Side-load model from local files
+   * Side-load model from local files. A SHA256SUMS or *.sha256 file in the
+   * selection is checked against; ONNX files are always checked for a valid
+   * header. WebGPU is used when available unless `backend` is 'wasm'.
    */
-  async loadLocalModel(files: FileList): Promise<void> {
+  async loadLocalModel(files: FileList | File[], backend?: BackendType): Promise<void> {
     this._setState('loading');
     this._setProgress({
       stage: 'init',
@@ -228,8 +255,15 @@ export class ModelManager {
         throw new Error(`Missing required files: ${missing.join(', ')}`);
       }
 
-      const hasWebGPU = await this._detectWebGPU();
-      this._backend = hasWebGPU ? 'webgpu' : 'wasm';
+      this._setProgress({ stage: 'verify', progress: 10, message: 'Verifying files...' });
+      const used = Object.values(assets).filter((f): f is File => !!f);
+      const checksums = fileArray.filter((f) => !used.includes(f) && /sha256/i.test(f.name));
+      const integrity = await verifyLocalFiles([...used, ...checksums]);
+      if (!integrityPassed(integrity)) {
+        throw new Error(`Integrity check failed: ${describeIntegrityFailures(integrity)}`);
+      }
+
+      this._backend = await this._selectBackend(backend);
 
       this._setProgress({ stage: 'import', progress: 20, message: 'Initialising parakeet.js...' });
       const { ParakeetModel } = await import('parakeet.js');
@@ -263,6 +297,7 @@ export class ModelManager {
 
       this._setProgress({ stage: 'complete', progress: 100, message: 'Local model ready' });
       this._setState('ready');
+      void this._watchDeviceLoss();
       this._isOfflineReady = true;
 
     } catch (error) {
@@ -278,6 +313,34 @@ export class ModelManager {
     }
   }
 
+  /**
+   * WASM when requested, otherwise WebGPU if the browser has a usable adapter
+   */
+  private async _selectBackend(requested?: BackendType): Promise<BackendType> {
+    if (requested === 'wasm') return 'wasm';
+    return (await this._detectWebGPU()) ? 'webgpu' : 'wasm';
+  }
+
+  /**
+   * Report loss of the WebGPU device ONNX Runtime runs on (driver reset, GPU
+   * removed or reclaimed). Sessions on a lost device cannot run again.
+   */
+  private async _watchDeviceLoss(): Promise<void> {
+    if (this._backend !== 'webgpu') return;
+    const model = this._model;
+    try {
+      // ort.env.webgpu.device is a GPUDevice, or a promise of one in newer releases
+      const device = await (globalThis as any).ort?.env?.webgpu?.device;
+      if (!device?.lost) return;
+      const info = await device.lost;
+      // A newer model owns the device now, or it was released on purpose
+      if (this._model !== model || info?.reason === 'destroyed') return;
+      this._callbacks.onDeviceLost?.(info?.message || 'WebGPU device lost');
+    } catch (e) {
+      console.warn('[ModelManager] Cannot watch the WebGPU device:', e);
+    }
+  }
+
   /**
    * Detect WebGPU availability
    */
@@ -324,12 +387,11 @@ export class ModelManager {
   }
 
   /**
-   * Clear cached model data
+   * Clear cached model data (every model, both caches)
    */
   async clearCache(): Promise<void> {
     try {
-      await caches.delete(CACHE_NAME);
-      await this._clearParakeetIndexedDbCache();
+      await this._cache.clear();
       this._isCached = false;
       console.log('Model cache cleared');
     } catch (e) {
@@ -354,41 +416,92 @@ export class ModelManager {
     return message.includes('failed to fetch') || message.includes('fetch failed');
   }
 
+  /** The repo manifest, or null when the Hub cannot be reached (cached files are used unchecked). */
+  private async _fetchManifest(repoId: string, revision: string): Promise<RepoManifest | null> {
+    try {
+      return await fetchRepoManifest(repoId, revision);
+    } catch (error) {
+      if (error instanceof Error && error.message.includes('not found')) throw error;
+      console.warn('[ModelManager] Could not fetch repo manifest, skipping integrity checks:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch (or read from the parakeet.js cache) each model file. External
+   * .data files are fetched when the manifest lists them, or tried when
+   * there is no manifest.
+   */
+  private async _downloadModelAssets(
+    getModelFile: GetModelFile,
+    repoId: string,
+    revision: string,
+    filenames: ModelFilenames,
+    manifest: RepoManifest | null
+  ): Promise<ResolvedModelAssets> {
+    const files: Array<{ key: keyof ResolvedModelAssets['urls']; name: string; optional?: boolean }> = [
+      { key: 'encoderUrl', name: filenames.encoder },
+      { key: 'decoderUrl', name: filenames.decoder },
+      { key: 'tokenizerUrl', name: filenames.tokenizer },
+      { key: 'encoderDataUrl', name: `${filenames.encoder}.data`, optional: true },
+      { key: 'decoderDataUrl', name: `${filenames.decoder}.data`, optional: true },
+    ];
+
+    const urls: Record<string, string | null> = {};
+    for (const { key, name, optional } of files) {
+      if (optional && manifest && !manifest[name]) continue;
+      try {
+        urls[key] = await getModelFile(repoId, name, {
+          revision,
+          progress: (p) => {
+            // Map per-file progress to our UI
+            const pct = Math.round(20 + (p.loaded / p.total) * 70);
+            this._setProgress({
+              stage: 'download',
+              progress: pct,
+              message: 'Downloading assets...',
+              file: `${name} (${Math.round(p.loaded / 1024 / 1024)}MB)`
+            });
+          }
+        });
+      } catch (error) {
+        if (!optional) throw error;
+        urls[key] = null;
+      }
+    }
+
+    return {
+      urls: urls as ResolvedModelAssets['urls'],
+      filenames: { encoder: filenames.encoder, decoder: filenames.decoder },
+      preprocessorBackend: 'js', // Use pure JS mel — faster, no ONNX download needed
+    };
+  }
+
   private _buildDirectModelAssets(
-    modelId: string,
-    backend: BackendType,
-    getModelConfig: ModelConfigResolver
+    repoId: string,
+    revision: string,
+    filenames: ModelFilenames,
+    manifest: RepoManifest | null
   ): ResolvedModelAssets {
-    const repoId = getModelConfig?.(modelId)?.repoId || modelId;
-    const revision = 'main';
-    const encoderName = backend === 'webgpu' ? 'encoder-model.onnx' : 'encoder-model.int8.onnx';
-    const decoderName = 'decoder_joint-model.int8.onnx';
     const baseUrl = `https://huggingface.co/${repoId}/resolve/${revision}`;
+    const dataUrl = (name: string) => (manifest?.[`${name}.data`] ? `${baseUrl}/${name}.data` : undefined);
 
     return {
       urls: {
-        encoderUrl: `${baseUrl}/${encoderName}`,
-        decoderUrl: `${baseUrl}/${decoderName}`,
-        tokenizerUrl: `${baseUrl}/vocab.txt`,
+        encoderUrl: `${baseUrl}/${filenames.encoder}`,
+        decoderUrl: `${baseUrl}/${filenames.decoder}`,
+        tokenizerUrl: `${baseUrl}/${filenames.tokenizer}`,
+        encoderDataUrl: dataUrl(filenames.encoder),
+        decoderDataUrl: dataUrl(filenames.decoder),
       },
+      filenames: { encoder: filenames.encoder, decoder: filenames.decoder },
       preprocessorBackend: 'js',
     };
   }
+}
 
-  private async _clearParakeetIndexedDbCache(): Promise<void> {
-    if (typeof indexedDB === 'undefined') return;
-
-    await new Promise<void>((resolve) => {
-      const request = indexedDB.deleteDatabase(PARAKEET_DB_NAME);
-      request.onsuccess = () => resolve();
-      request.onerror = () => {
-        console.warn('[ModelManager] Failed to clear parakeet IndexedDB cache');
-        resolve();
-      };
-      request.onblocked = () => {
-        console.warn('[ModelManager] Parakeet IndexedDB cache clear blocked');
-        resolve();
-      };
-    });
-  }
+/** Whether an inference error means the WebGPU device is gone (rather than a bad input). */
+export function isDeviceLostError(error: unknown): boolean {
+  const message = error instanceof Error ? error.message : String(error);
+  return /device (was |is |has been )?lost|device_removed|device_hung|gpudevice.*(destroyed|lost)/i.test(message);
 }
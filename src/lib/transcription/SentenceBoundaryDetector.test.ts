@@ -0,0 +1,113 @@
+/**
+ * Unit tests for sentence boundary backends, language rules and detection.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SentenceBoundaryDetector, type DetectorWord } from './SentenceBoundaryDetector';
+import { IntlSentenceSegmenter, HeuristicSentenceSegmenter, createSentenceSegmenter } from './sentenceSegmenters';
+import { detectLanguage, getLanguageRules } from './sentenceLanguages';
+import { UtteranceBasedMerger } from './UtteranceBasedMerger';
+
+const toWords = (text: string): DetectorWord[] =>
+    text.split(' ').map((w, i) => ({ text: w, start: i * 0.4, end: i * 0.4 + 0.3 }));
+
+const sentenceTexts = (segmenter: { segment(text: string): Array<{ text: string }> }, text: string) =>
+    segmenter.segment(text).map((s) => s.text);
+
+const GERMAN = 'Wir treffen uns am 3. Oktober mit Dr. Müller. Das ist z.B. sehr wichtig für uns. Danke und bis dann.';
+const SPANISH = 'Hola a todos. ¿Qué tal están? Hoy vamos a hablar con la Sra. Pérez sobre el proyecto. Es muy importante para el equipo.';
+
+describe('sentence segmenters', () => {
+    it('Intl.Segmenter keeps German abbreviations and dates inside sentences', () => {
+        expect(sentenceTexts(new IntlSentenceSegmenter('de'), GERMAN)).toEqual([
+            'Wir treffen uns am 3. Oktober mit Dr. Müller.',
+            'Das ist z.B. sehr wichtig für uns.',
+            'Danke und bis dann.',
+        ]);
+    });
+
+    it('the heuristic splits at language terminators and reports the unterminated tail', () => {
+        expect(sentenceTexts(new HeuristicSentenceSegmenter('es'), 'Hola Sr. Pérez. ¿Qué tal? bien gracias. Y usted')).toEqual([
+            'Hola Sr. Pérez.',
+            '¿Qué tal? bien gracias.',
+            'Y usted',
+        ]);
+        // Greek question mark
+        expect(sentenceTexts(new HeuristicSentenceSegmenter('el'), 'Τι κάνεις; Καλά είμαι.')).toEqual(['Τι κάνεις;', 'Καλά είμαι.']);
+    });
+
+    it('end positions point at the end of each sentence', () => {
+        const text = 'Erster Satz.  Zweiter Satz.';
+        const [first, second] = new IntlSentenceSegmenter('de').segment(text);
+        expect(text.slice(0, first.endPos)).toBe('Erster Satz.');
+        expect(second.endPos).toBe(text.length);
+    });
+
+    it('picks winkNLP for English and Intl.Segmenter otherwise in auto mode', () => {
+        expect(createSentenceSegmenter('en').kind).toBe('wink');
+        expect(createSentenceSegmenter('de-AT').kind).toBe('intl');
+        expect(createSentenceSegmenter('en', 'heuristic').kind).toBe('heuristic');
+        expect(getLanguageRules('pt-BR').name).toBe('Português');
+        expect(getLanguageRules('xx')).toBe(getLanguageRules('en'));
+    });
+});
+
+describe('detectLanguage', () => {
+    it('recognizes languages by stopwords and script', () => {
+        expect(detectLanguage(GERMAN)?.language).toBe('de');
+        expect(detectLanguage(SPANISH)?.language).toBe('es');
+        expect(detectLanguage('We said that the plan is not what they have in mind for this week.')?.language).toBe('en');
+        expect(detectLanguage('Я думаю, что это не так, но мы уже все было сделали.')?.language).toBe('ru');
+        expect(detectLanguage('Я думаю, що це не так, але ми вже все зробили і пішли.')?.language).toBe('uk');
+        expect(detectLanguage('Αυτό είναι και για σένα και για μένα, αλλά δεν θα έρθει.')?.language).toBe('el');
+    });
+
+    it('does not guess from short text', () => {
+        expect(detectLanguage('Hallo Welt')).toBeNull();
+    });
+});
+
+describe('SentenceBoundaryDetector languages', () => {
+    it('switches from English to a detected language once two guesses agree', () => {
+        const detector = new SentenceBoundaryDetector();
+        const words = toWords(GERMAN);
+        detector.detectSentenceEndings(words);
+        expect(detector.getStats()).toMatchObject({ language: 'en', segmenter: 'wink', languageDetected: false });
+
+        const endings = detector.detectSentenceEndings(words.slice());
+        expect(detector.getStats()).toMatchObject({ language: 'de', segmenter: 'intl', languageDetected: true });
+        expect(endings.map((w) => w.text)).toEqual(['Müller.', 'uns.', 'dann.']);
+        expect(endings[0].sentenceMetadata?.detectionMethod).toBe('intl');
+
+        detector.resetLanguage();
+        expect(detector.getStats()).toMatchObject({ language: 'en', segmenter: 'wink' });
+    });
+
+    it('uses a fixed language without detection', () => {
+        const detector = new SentenceBoundaryDetector({ language: 'es' });
+        const endings = detector.detectSentenceEndings(toWords(SPANISH));
+        expect(endings.map((w) => w.text)).toEqual(['todos.', 'están?', 'proyecto.', 'equipo.']);
+        expect(detector.getStats()).toMatchObject({ language: 'es', languageDetected: false });
+
+        detector.updateConfig({ language: 'en', segmenter: 'heuristic' });
+        expect(detector.getStats().segmenter).toBe('heuristic');
+    });
+
+    it('applies language rules to the word-level heuristic', () => {
+        const detector = new SentenceBoundaryDetector({ useNLP: false, language: 'de' });
+        const endings = detector.detectSentenceEndings(toWords(GERMAN));
+        expect(endings.map((w) => w.text)).toEqual(['Müller.', 'uns.', 'dann.']);
+        expect(endings[0].sentenceMetadata?.detectionMethod).toBe('heuristic');
+    });
+
+    it('reports the language with merger results', () => {
+        const merger = new UtteranceBasedMerger({ language: 'de' });
+        const result = merger.processASRResult({
+            utterance_text: 'Das ist gut. Wir sehen uns morgen.',
+            words: toWords('Das ist gut. Wir sehen uns morgen.').map((w) => ({ text: w.text, start_time: w.start, end_time: w.end })),
+        });
+        expect(result.segmentation).toEqual({ language: 'de', languageDetected: false, segmenter: 'intl' });
+    });
+});
@@ -1,15 +1,26 @@
 /**
  * SentenceBoundaryDetector.ts
  *
- * Utility class for detecting sentence boundaries using winkNLP.
- * Provides both NLP-based and heuristic fallback methods for sentence
- * boundary detection in transcription data.
+ * Utility class for detecting sentence boundaries in transcription data.
+ * Text is split by a pluggable backend (see sentenceSegmenters.ts: winkNLP
+ * for English, Intl.Segmenter for other languages) chosen from the session
+ * language, which can be detected from the text; a word-level punctuation
+ * heuristic is the fallback.
  *
  * Ported from legacy UI project/src/utils/SentenceBoundaryDetector.js to TypeScript.
  */
 
-import winkNLP from 'wink-nlp';
-import model from 'wink-eng-lite-web-model';
+import {
+    createSentenceSegmenter,
+    isFalseBoundary,
+    type DetectedSentence,
+    type SentenceSegmenter,
+    type SentenceSegmenterKind,
+    type SentenceSegmenterPreference,
+} from './sentenceSegmenters';
+import { detectLanguage, getLanguageRules } from './sentenceLanguages';
+
+export type { DetectedSentence } from './sentenceSegmenters';
 
 /** A word object with text and timing information */
 export interface DetectorWord {
@@ -20,18 +31,13 @@ export interface DetectorWord {
     confidence?: number;
 }
 
-/** A detected sentence with position metadata */
-export interface DetectedSentence {
-    text: string;
-    endPos: number;
-}
-
 /** A word that ends a sentence, with metadata */
 export interface SentenceEndingWord extends DetectorWord {
     wordIndex: number;
     sentenceMetadata?: {
         sentenceText: string;
-        detectionMethod: 'nlp' | 'heuristic';
+        /** 'nlp': winkNLP, 'intl': Intl.Segmenter, 'heuristic': punctuation */
+        detectionMethod: 'nlp' | 'intl' | 'heuristic';
     };
 }
 
@@ -45,8 +51,12 @@ interface WordPosition {
 
 /** Configuration for SentenceBoundaryDetector */
 export interface SentenceBoundaryDetectorConfig {
-    /** Whether to use winkNLP or fall back to heuristic (default: true) */
+    /** Whether to use a segmenter backend or fall back to the word heuristic (default: true) */
     useNLP: boolean;
+    /** Language code ('de', 'es', ...) or 'auto' to detect it from the text (default: 'auto', English until detected) */
+    language: string;
+    /** Segmenter backend (default: 'auto': winkNLP for English, Intl.Segmenter otherwise) */
+    segmenter: SentenceSegmenterPreference;
     /** Enable debug logging (default: false) */
     debug: boolean;
     /** Max number of cached NLP results (default: 100) */
@@ -59,9 +69,42 @@ export interface SentenceBoundaryDetectorConfig {
     maxRetainedSentences: number;
 }
 
+/** Language assumed in 'auto' mode until one is detected */
+const FALLBACK_LANGUAGE = 'en';
+/** Recent words used for language detection */
+const LANGUAGE_SAMPLE_WORDS = 200;
+/** Minimum detectLanguage() confidence to act on */
+const MIN_LANGUAGE_CONFIDENCE = 0.08;
+
+const SEGMENTER_METHODS: Record<SentenceSegmenterKind, 'nlp' | 'intl' | 'heuristic'> = {
+    wink: 'nlp',
+    intl: 'intl',
+    heuristic: 'heuristic',
+};
+
+export interface SentenceBoundaryDetectorStats {
+    nlpAvailable: boolean;
+    usingNLP: boolean;
+    cacheSize: number;
+    maxCacheSize: number;
+    /** Language sentences are split for */
+    language: string;
+    /** Whether `language` was detected from the text ('auto' mode) */
+    languageDetected: boolean;
+    /** Active backend ('words': word-level punctuation heuristic) */
+    segmenter: SentenceSegmenterKind | 'words';
+}
+
+/** Which language and backend split the sentences (reported with merger results) */
+export type SentenceSegmentationInfo = Pick<SentenceBoundaryDetectorStats, 'language' | 'languageDetected' | 'segmenter'>;
+
 export class SentenceBoundaryDetector {
     private config: SentenceBoundaryDetectorConfig;
-    private nlp: any | null = null;
+    private segmenter: SentenceSegmenter | null = null;
+    /** Language found by detection in 'auto' mode */
+    private detectedLanguage: string | null = null;
+    /** A different language seen once; switched to when the next guess agrees */
+    private languageCandidate: string | null = null;
     private cache: Map<string, DetectedSentence[]> = new Map();
     private lastProcessedWordCount: number = 0;
     private lastSentenceEndings: SentenceEndingWord[] = [];
@@ -70,6 +113,8 @@ export class SentenceBoundaryDetector {
     constructor(config: Partial<SentenceBoundaryDetectorConfig> = {}) {
         this.config = {
             useNLP: true,
+            language: 'auto',
+            segmenter: 'auto',
             debug: false,
             cacheSize: 100,
             minSentenceLength: 3,
@@ -78,26 +123,61 @@ export class SentenceBoundaryDetector {
             ...config,
         };
 
-        this.initializeNLP();
+        this.initializeSegmenter();
     }
 
     /**
-     * Initialize winkNLP with sentence boundary detection pipeline.
+     * Create the segmenter backend for the current language.
      */
-    private initializeNLP(): void {
+    private initializeSegmenter(): void {
+        const language = this.getLanguage();
         try {
-            // Use only sentence boundary detection for optimal performance
-            this.nlp = winkNLP(model, ['sbd']);
+            this.segmenter = createSentenceSegmenter(language, this.config.segmenter);
             if (this.config.debug) {
-                console.log('[SentenceDetector] winkNLP initialized successfully');
+                console.log(`[SentenceDetector] Using ${this.segmenter.kind} segmenter for "${language}"`);
             }
         } catch (error) {
-            console.warn('[SentenceDetector] Failed to initialize winkNLP:', error);
+            console.warn(`[SentenceDetector] Failed to initialize the segmenter for "${language}":`, error);
             console.warn('[SentenceDetector] Falling back to heuristic sentence detection');
+            this.segmenter = null;
             this.config.useNLP = false;
         }
     }
 
+    /** The language sentences are split for (the detected one in 'auto' mode). */
+    getLanguage(): string {
+        if (this.config.language !== 'auto') return this.config.language;
+        return this.detectedLanguage ?? FALLBACK_LANGUAGE;
+    }
+
+    /**
+     * In 'auto' mode, guess the language from recent words and switch the
+     * backend once two guesses in a row agree on a different language.
+     */
+    private updateDetectedLanguage(words: DetectorWord[]): void {
+        if (this.config.language !== 'auto') return;
+        const sample = words.slice(-LANGUAGE_SAMPLE_WORDS).map((w) => w.text).join(' ');
+        const guess = detectLanguage(sample);
+        if (!guess || guess.confidence < MIN_LANGUAGE_CONFIDENCE) return;
+
+        if (guess.language === this.getLanguage()) {
+            this.detectedLanguage = guess.language;
+            this.languageCandidate = null;
+            return;
+        }
+        if (this.languageCandidate !== guess.language) {
+            this.languageCandidate = guess.language;
+            return;
+        }
+        if (this.config.debug) {
+            console.log(`[SentenceDetector] Language detected: ${guess.language} (was ${this.getLanguage()})`);
+        }
+        this.detectedLanguage = guess.language;
+        this.languageCandidate = null;
+        this.reset();
+        if (this.config.useNLP) this.initializeSegmenter();
+    }
+
     /**
      * Detect sentence boundaries in a text and return sentence ending positions.
      * @param words - Array of word objects with {text, start, end} properties
@@ -119,7 +199,9 @@ export class SentenceBoundaryDetector {
             this.reset();
         }
 
-        if (!this.config.useNLP || !this.nlp) {
+        this.updateDetectedLanguage(words);
+
+        if (!this.config.useNLP || !this.segmenter) {
             return this.detectSentenceEndingsHeuristic(words);
         }
 
@@ -255,24 +337,7 @@ export class SentenceBoundaryDetector {
             return this.mapSentenceEndingsToWords(cachedResult, words, wordPositions);
         }
 
-        // Process with winkNLP
-        const doc = this.nlp.readDoc(fullText);
-        const sentences: DetectedSentence[] = [];
-
-        const sentenceTexts: string[] = doc.sentences().out();
-        let currentPos = 0;
-
-        sentenceTexts.forEach((sentenceText: string) => {
-            const sentenceStart = fullText.indexOf(sentenceText, currentPos);
-            if (sentenceStart !== -1) {
-                const sentenceEnd = sentenceStart + sentenceText.length;
-                sentences.push({
-                    text: sentenceText,
-                    endPos: sentenceEnd,
-                });
-                currentPos = sentenceEnd;
-            }
-        });
+        const sentences = this.segmenter!.segment(fullText);
 
         // Cache the result
         this.addToCache(cacheKey, sentences);
@@ -281,22 +346,25 @@ export class SentenceBoundaryDetector {
     }
 
     /**
-     * Fallback heuristic sentence boundary detection.
+     * Fallback heuristic sentence boundary detection: words ending in the
+     * language's terminators, except abbreviations and similar false ends.
      */
     private detectSentenceEndingsHeuristic(words: DetectorWord[]): SentenceEndingWord[] {
-        return words
-            .filter(word => /[.?!]$/.test(word.text))
-            .map((word, _idx) => {
-                const wordIndex = words.indexOf(word);
-                return {
-                    ...word,
-                    wordIndex,
-                    sentenceMetadata: {
-                        sentenceText: word.text,
-                        detectionMethod: 'heuristic' as const,
-                    },
-                };
+        const rules = getLanguageRules(this.getLanguage());
+        const endings: SentenceEndingWord[] = [];
+        words.forEach((word, wordIndex) => {
+            if (!word.text || !rules.terminators.includes(word.text.trimEnd().slice(-1))) return;
+            if (isFalseBoundary(word.text, words[wordIndex + 1]?.text ?? '', rules)) return;
+            endings.push({
+                ...word,
+                wordIndex,
+                sentenceMetadata: {
+                    sentenceText: word.text,
+                    detectionMethod: 'heuristic',
+                },
             });
+        });
+        return endings;
     }
 
     /**
@@ -401,7 +469,7 @@ export class SentenceBoundaryDetector {
                     wordIndex: closestWordIndex,
                     sentenceMetadata: {
                         sentenceText: sentence.text,
-                        detectionMethod: 'nlp',
+                        detectionMethod: this.segmenter ? SEGMENTER_METHODS[this.segmenter.kind] : 'nlp',
                     },
                 });
             }
@@ -447,10 +515,16 @@ export class SentenceBoundaryDetector {
      * Update configuration.
      */
     updateConfig(newConfig: Partial<SentenceBoundaryDetectorConfig>): void {
+        const previous = this.config;
         this.config = { ...this.config, ...newConfig };
 
-        if (newConfig.useNLP !== undefined && newConfig.useNLP && !this.nlp) {
-            this.initializeNLP();
+        const backendChanged = this.config.language !== previous.language || this.config.segmenter !== previous.segmenter;
+        if (backendChanged) {
+            this.resetLanguage();
+            this.reset();
+        }
+        if (this.config.useNLP && (backendChanged || !this.segmenter)) {
+            this.initializeSegmenter();
         }
 
         if (this.config.debug) {
@@ -471,15 +545,31 @@ export class SentenceBoundaryDetector {
         }
     }
 
+    /**
+     * Forget the detected language (new session); 'auto' starts over from English.
+     */
+    resetLanguage(): void {
+        const hadDetection = this.detectedLanguage !== null;
+        this.detectedLanguage = null;
+        this.languageCandidate = null;
+        if (hadDetection && this.config.language === 'auto' && this.config.useNLP) {
+            this.initializeSegmenter();
+        }
+    }
+
     /**
      * Get current statistics.
      */
-    getStats(): { nlpAvailable: boolean; usingNLP: boolean; cacheSize: number; maxCacheSize: number } {
+    getStats(): SentenceBoundaryDetectorStats {
+        const usingNLP = this.config.useNLP && !!this.segmenter;
         return {
-            nlpAvailable: !!this.nlp,
-            usingNLP: this.config.useNLP && !!this.nlp,
+            nlpAvailable: !!this.segmenter,
+            usingNLP,
             cacheSize: this.cache.size,
             maxCacheSize: this.config.cacheSize,
+            language: this.getLanguage(),
+            languageDetected: this.config.language === 'auto' && this.detectedLanguage !== null,
+            segmenter: usingNLP ? this.segmenter!.kind : 'words',
         };
     }
 }
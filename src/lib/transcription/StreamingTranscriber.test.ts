@@ -0,0 +1,631 @@
+/**
+ * Unit tests for StreamingTranscriber (headless v4 pipeline orchestration).
+ *
+ * Worker clients are replaced with in-memory fakes: the buffer fake stores
+ * the energy/inference VAD layers and answers speech queries from them, and
+ * the transcriber fake behaves like a merger that finalizes one sentence per
+ * window, so events, VAD gating, flushing and scheduling can be checked with
+ * synthetic audio.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { StreamingTranscriber, type StreamingTranscriberDeps } from './StreamingTranscriber';
+import type { V4ProcessResult } from './TranscriptionWorkerClient';
+import type { MergerSentence } from './UtteranceBasedMerger';
+import type { TenVADResult } from '../buffer/types';
+import { DEFAULT_VAD_FUSION_CONFIG, fuseVadRange, fusedSilenceTail, mergeVadFusionConfig, type FusedSpeechResult, type VadFusionConfig, type VadLayerReaders } from '../buffer/vadFusion';
+import { SharedAudioRing, SharedAudioReader } from '../audio/SharedAudioRing';
+
+const SR = 16000;
+const HOP = 1280;
+
+function tone(sec: number): Float32Array {
+    const out = new Float32Array(Math.round(sec * SR));
+    for (let i = 0; i < out.length; i++) out[i] = 0.3 * Math.sin((2 * Math.PI * 220 * i) / SR);
+    return out;
+}
+
+function silence(sec: number): Float32Array {
+    return new Float32Array(Math.round(sec * SR));
+}
+
+/** Push audio the way AudioEngine delivers it: fixed 80 ms chunks. */
+function pushInChunks(st: StreamingTranscriber, audio: Float32Array, chunk: number = HOP): void {
+    for (let i = 0; i < audio.length; i += chunk) {
+        st.pushAudio(audio.slice(i, Math.min(audio.length, i + chunk)));
+    }
+}
+
+function sentence(index: number, start: number, end: number): MergerSentence {
+    return {
+        id: `s${index}`,
+        text: `Sentence ${index}.`,
+        startTime: start,
+        endTime: end,
+        startWordIndex: 0,
+        endWordIndex: 1,
+        wordCount: 2,
+        words: [],
+        detectionMethod: 'test',
+        isMature: true,
+    };
+}
+
+function createFakes() {
+    const layers: Record<string, number[]> = { energyVad: [], inferenceVad: [], sileroVad: [] };
+    const windows: Array<{ timeOffset: number; endTime: number; prefix?: number; stream?: string; cacheKey?: string }> = [];
+    const mature: MergerSentence[] = [];
+    let pending = '';
+    let initCalls = 0;
+    let finalizeCalls = 0;
+    let failNext = false;
+    let failNextInit = false;
+    let inferenceReady = false;
+    let vadCallback: ((r: TenVADResult) => void) | null = null;
+    const transferred: number[] = [];
+
+    const hopOf = (layer: string) => (layer === 'inferenceVad' ? 256 : layer === 'sileroVad' ? 512 : HOP);
+    const state = (cursor: number): V4ProcessResult => {
+        const matureText = mature.map((s) => s.text).join(' ');
+        return {
+            matureText,
+            immatureText: pending,
+            matureCursorTime: cursor,
+            fullText: [matureText, pending].filter(Boolean).join(' '),
+            totalSentences: mature.length + (pending ? 1 : 0),
+            matureSentenceCount: mature.length,
+            pendingSentence: pending || null,
+            stats: { utterancesProcessed: windows.length },
+        };
+    };
+
+    const deps: StreamingTranscriberDeps = {
+        mel: {
+            pushAudioCopy: () => {},
+            getFeatures: async (start: number, end: number) => {
+                const T = Math.ceil((end - start) / 160);
+                return { features: new Float32Array(T * 128), T, melBins: 128 };
+            },
+        },
+        buffer: {
+            writeScalar: (layer, value) => { layers[layer].push(value); },
+            writeBatch: (layer, data) => { layers[layer].push(...data); },
+            hasSpeech: async (layer, start, end, threshold) => {
+                const values = layers[layer];
+                const from = Math.floor(start / hopOf(layer));
+                const to = Math.min(values.length, Math.ceil(end / hopOf(layer)));
+                let maxProb = 0;
+                for (let i = from; i < to; i++) maxProb = Math.max(maxProb, values[i]);
+                return { hasSpeech: maxProb >= threshold, maxProb, entriesChecked: Math.max(0, to - from) };
+            },
+            getSilenceTailDuration: async (layer, threshold) => {
+                const values = layers[layer];
+                let n = 0;
+                for (let i = values.length - 1; i >= 0 && values[i] < threshold; i--) n++;
+                return (n * hopOf(layer)) / SR;
+            },
+        },
+        inferenceVad: {
+            onResult: (cb) => { vadCallback = cb; },
+            isReady: () => inferenceReady,
+            processTransfer: (samples, offset) => { transferred.push(offset); void samples; },
+        },
+        transcriber: {
+            initV4Service: async () => {
+                initCalls++;
+                if (failNextInit) {
+                    failNextInit = false;
+                    throw new Error('init failed');
+                }
+            },
+            processV4ChunkWithFeatures: async (params) => {
+                if (failNext) {
+                    failNext = false;
+                    throw new Error('inference failed');
+                }
+                windows.push({
+                    timeOffset: params.timeOffset!,
+                    endTime: params.endTime!,
+                    prefix: params.incrementalCache?.prefixSeconds,
+                    stream: params.stream,
+                    cacheKey: params.segmentId?.replace(/_\d+_\d+$/, ''),
+                });
+                // One sentence matures per window, ending 1 s before the window end
+                const end = Math.max(0, params.endTime! - 1);
+                const newSentence = sentence(mature.length, params.timeOffset!, end);
+                mature.push(newSentence);
+                pending = 'and then';
+                return { ...state(end), newMatureSentences: [newSentence] };
+            },
+            v4FinalizeTimeout: async () => {
+                finalizeCalls++;
+                if (!pending) return null;
+                const last = windows[windows.length - 1];
+                const s = sentence(mature.length, last.endTime - 1, last.endTime);
+                mature.push(s);
+                pending = '';
+                return { ...state(last.endTime), newMatureSentences: [s] };
+            },
+        },
+    };
+
+    return {
+        deps,
+        layers,
+        hopOf,
+        windows,
+        transferred,
+        initCalls: () => initCalls,
+        finalizeCalls: () => finalizeCalls,
+        failNextInference: () => { failNext = true; },
+        failNextInit: () => { failNextInit = true; },
+        setInferenceReady: (ready: boolean) => { inferenceReady = ready; },
+        emitInferenceVad: (result: TenVADResult) => vadCallback?.(result),
+    };
+}
+
+/** Add the BufferWorker's fusion queries to the buffer fake, answered by vadFusion over its layers. */
+function withFusion(fakes: ReturnType<typeof createFakes>) {
+    let config: VadFusionConfig = DEFAULT_VAD_FUSION_CONFIG;
+    const configs: VadFusionConfig[] = [];
+    const readers = (): VadLayerReaders => Object.fromEntries(Object.entries(fakes.layers).map(([id, values]) => [id, {
+        hopSamples: fakes.hopOf(id),
+        getOldestSample: () => 0,
+        getCurrentSample: () => values.length * fakes.hopOf(id),
+        valueAt: (sample: number) => values[Math.floor(sample / fakes.hopOf(id))],
+    }]));
+    Object.assign(fakes.deps.buffer!, {
+        setFusion: async (update: Partial<VadFusionConfig>) => {
+            config = mergeVadFusionConfig(config, update);
+            configs.push(config);
+            return config;
+        },
+        hasSpeechFused: async (start: number, end: number) => fuseVadRange(readers(), start, end, config, SR),
+        getFusedSilenceTail: async () => fusedSilenceTail(readers(), config, SR),
+    });
+    return configs;
+}
+
+function collect(st: StreamingTranscriber) {
+    const events: string[] = [];
+    const sentences: MergerSentence[] = [];
+    const errors: Error[] = [];
+    st.on('sentence', (s) => { events.push(`sentence:${s.id}`); sentences.push(s); });
+    st.on('mature', (m) => events.push(`mature:${m.cursorTime.toFixed(2)}`));
+    st.on('immature', (m) => events.push(`immature:${m.text}`));
+    st.on('metrics', () => events.push('metrics'));
+    st.on('error', (e) => errors.push(e));
+    return { events, sentences, errors };
+}
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('StreamingTranscriber', () => {
+    it('should emit sentence, mature, immature and metrics events for speech', async () => {
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false });
+        const { events, sentences } = collect(st);
+
+        await st.start();
+        pushInChunks(st, tone(4));
+        await st.tick();
+
+        expect(fakes.windows).toHaveLength(1);
+        expect(fakes.windows[0].timeOffset).toBe(0);
+        expect(fakes.windows[0].endTime).toBeCloseTo(4, 3);
+        expect(events).toEqual(['sentence:s0', 'mature:3.00', 'immature:and then', 'metrics']);
+        expect(sentences[0].startTime).toBe(0);
+        expect(st.getMatureCursorTime()).toBeCloseTo(3, 3);
+        await st.stop({ flush: false });
+    });
+
+    it('should start windows at the mature cursor and use the incremental cache after it', async () => {
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false });
+
+        await st.start();
+        pushInChunks(st, tone(4));
+        await st.tick();
+        pushInChunks(st, tone(3.2));
+        await st.tick();
+
+        expect(fakes.windows).toHaveLength(2);
+        expect(fakes.windows[0].prefix).toBeUndefined();
+        expect(fakes.windows[1].timeOffset).toBeGreaterThanOrEqual(3 - 1e-6);
+        expect(fakes.windows[1].endTime).toBeCloseTo(7.2, 3);
+        await st.stop({ flush: false });
+    });
+
+    it('should re-chunk arbitrary input sizes to the VAD hop', async () => {
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false });
+
+        await st.start();
+        pushInChunks(st, tone(1), 1000); // 16 000 samples in 1000-sample pieces
+        expect(fakes.layers.energyVad).toHaveLength(Math.floor(SR / HOP));
+        expect(st.getCurrentTime()).toBeCloseTo((Math.floor(SR / HOP) * HOP) / SR, 6);
+
+        await st.stop({ flush: false });
+    });
+
+    it('should hand audio and energy VAD to workers that attach to shared rings', async () => {
+        const fakes = createFakes();
+        const { mel, buffer, inferenceVad } = fakes.deps;
+        const pushed: number[] = [];
+        let melReader: SharedAudioReader | null = null;
+        let laneReader: SharedAudioReader | null = null;
+        mel.pushAudioCopy = (chunk) => { pushed.push(chunk.length); };
+        mel.attachSharedAudio = async (sab) => { melReader = new SharedAudioReader(SharedAudioRing.attach(sab)); };
+        mel.detachSharedAudio = async () => { melReader = null; };
+        inferenceVad!.attachSharedAudio = async () => {};
+        buffer!.attachSharedLayer = async (layer, sab) => {
+            expect(layer).toBe('energyVad');
+            laneReader = new SharedAudioReader(SharedAudioRing.attach(sab), 0);
+        };
+        buffer!.detachSharedLayer = async () => { laneReader = null; };
+        // Like the BufferWorker, take in shared entries before answering
+        const hasSpeech = buffer!.hasSpeech;
+        buffer!.hasSpeech = (...args) => {
+            const lane = laneReader?.read();
+            if (lane) fakes.layers.energyVad.push(...lane.samples);
+            return hasSpeech(...args);
+        };
+
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false, sharedAudio: true });
+        await st.start();
+        fakes.setInferenceReady(true);
+        pushInChunks(st, tone(4));
+
+        expect(pushed).toEqual([]);
+        expect(fakes.transferred).toEqual([]);
+        expect(fakes.layers.energyVad).toHaveLength(0);
+        const audio = melReader!.read()!;
+        expect(audio.offset).toBe(0);
+        expect(audio.samples).toHaveLength(4 * SR);
+
+        fakes.emitInferenceVad({ probabilities: new Float32Array(250).fill(0.9), flags: new Uint8Array(250), globalSampleOffset: 0, hopCount: 250, processingTimeMs: 1 });
+        await st.tick();
+        expect(fakes.layers.energyVad).toHaveLength(4 * SR / HOP);
+        expect(fakes.windows).toHaveLength(1);
+
+        await st.stop({ flush: false });
+        expect(melReader).toBeNull();
+        expect(laneReader).toBeNull();
+    });
+
+    it('should take audio another thread writes to its shared ring instead of pushed audio', async () => {
+        const fakes = createFakes();
+        const unshared = new StreamingTranscriber(createFakes().deps, { autoTick: false, sharedAudio: false });
+        await unshared.start();
+        expect(unshared.getSharedAudioBuffer()).toBeNull();
+        expect(unshared.readSharedAudio()).toBe(false);
+        await unshared.stop({ flush: false });
+
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false, sharedAudio: true });
+        const vad: boolean[] = [];
+        st.on('vad', (v) => vad.push(v.isSpeech));
+        await st.start();
+        expect(st.readSharedAudio()).toBe(true);
+
+        // The capture worklet's view of the ring: 2 s in 80 ms chunks
+        const writer = SharedAudioRing.attach(st.getSharedAudioBuffer()!);
+        const audio = tone(2);
+        for (let i = 0; i < audio.length; i += HOP) writer.write(audio.slice(i, i + HOP));
+        pushInChunks(st, tone(1));
+
+        await vi.waitFor(() => expect(st.getCurrentTime()).toBe(2));
+        expect(vad).toHaveLength(2 * SR / HOP);
+        expect(fakes.layers.energyVad).toHaveLength(2 * SR / HOP);
+
+        // A trailing partial chunk is read by flush(), and the ring is never written twice
+        writer.write(new Float32Array(500));
+        await st.stop();
+        expect(writer.getCurrentFrame()).toBe(2 * SR + 500);
+        expect(fakes.windows.length).toBeGreaterThan(0);
+    });
+
+    it('should finalize the pending sentence once trailing silence reaches the flush delay', async () => {
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false, silenceFlushSec: 10 });
+        const { sentences } = collect(st);
+
+        await st.start();
+        pushInChunks(st, tone(4));
+        await st.tick();
+        // Speech remains after the cursor (3 s), so this window is transcribed, not flushed
+        pushInChunks(st, silence(3));
+        await st.tick();
+        expect(fakes.windows).toHaveLength(2);
+
+        // Only silence after the new cursor, but less than the 10 s delay
+        pushInChunks(st, silence(1));
+        await st.tick();
+        expect(fakes.finalizeCalls()).toBe(0);
+
+        st.updateConfig({ silenceFlushSec: 1.0 });
+        await st.tick();
+        expect(fakes.finalizeCalls()).toBe(1);
+        expect(sentences.map((s) => s.id)).toEqual(['s0', 's1', 's2']);
+        await st.stop({ flush: false });
+    });
+
+    it('should not run inference on silence', async () => {
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false });
+
+        await st.start();
+        pushInChunks(st, silence(5));
+        await st.tick();
+        await st.stop();
+
+        expect(fakes.windows).toHaveLength(0);
+    });
+
+    it('should require inference VAD agreement once it is ready', async () => {
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false });
+        const probabilities: number[] = [];
+        st.on('speechProbability', (p) => probabilities.push(p));
+
+        await st.start();
+        fakes.setInferenceReady(true);
+        pushInChunks(st, tone(4));
+        expect(fakes.transferred).toHaveLength(50);
+
+        // TEN-VAD hears no speech in the tone (e.g. music): inference is skipped
+        const hops = Math.ceil((4 * SR) / 256);
+        fakes.emitInferenceVad({
+            probabilities: new Float32Array(hops).fill(0.05),
+            flags: new Uint8Array(hops),
+            globalSampleOffset: 0,
+            hopCount: hops,
+            processingTimeMs: 1,
+        });
+        await st.tick();
+
+        expect(fakes.layers.inferenceVad).toHaveLength(hops);
+        expect(probabilities[probabilities.length - 1]).toBeCloseTo(0.05);
+        expect(fakes.windows).toHaveLength(0);
+        await st.stop({ flush: false });
+    });
+
+    it('should gate on the fused VAD decision and feed Silero its own layer', async () => {
+        const fakes = createFakes();
+        const configs = withFusion(fakes);
+        let sileroCallback: ((r: TenVADResult) => void) | null = null;
+        const sileroOffsets: number[] = [];
+        fakes.deps.sileroVad = {
+            onResult: (cb) => { sileroCallback = cb; },
+            isReady: () => true,
+            processTransfer: (_samples, offset) => { sileroOffsets.push(offset); },
+        };
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false, vadPolicy: 'or', sileroThreshold: 0.6 });
+        const fusions: FusedSpeechResult[] = [];
+        st.on('fusion', (f) => fusions.push(f));
+
+        await st.start();
+        expect(configs[0]).toMatchObject({ policy: 'or', layers: ['energyVad', 'inferenceVad', 'sileroVad'] });
+        expect(configs[0].thresholds).toEqual({ energyVad: 0.3, inferenceVad: 0.5, sileroVad: 0.6 });
+
+        fakes.setInferenceReady(true);
+        pushInChunks(st, tone(4));
+        expect(sileroOffsets).toHaveLength(50);
+        const tenHops = Math.ceil((4 * SR) / 256);
+        fakes.emitInferenceVad({
+            probabilities: new Float32Array(tenHops).fill(0.05),
+            flags: new Uint8Array(tenHops),
+            globalSampleOffset: 0,
+            hopCount: tenHops,
+            processingTimeMs: 1,
+        });
+        const sileroHops = (4 * SR) / 512;
+        sileroCallback!({
+            probabilities: new Float32Array(sileroHops).fill(0.9),
+            flags: new Uint8Array(sileroHops).fill(1),
+            globalSampleOffset: 0,
+            hopCount: sileroHops,
+            processingTimeMs: 1,
+        });
+        expect(fakes.layers.sileroVad).toHaveLength(sileroHops);
+
+        // OR: energy and Silero hear speech even though TEN-VAD does not
+        await st.tick();
+        expect(fakes.windows).toHaveLength(1);
+        expect(fusions[0]).toMatchObject({ hasSpeech: true, policy: 'or' });
+        expect(fusions[0].layers.inferenceVad).toMatchObject({ available: true, hasSpeech: false });
+
+        st.updateConfig({ vadPolicy: 'and' });
+        await Promise.resolve();
+        expect(configs[configs.length - 1].policy).toBe('and');
+        await st.stop({ flush: false });
+    });
+
+    it('should buffer audio but wait for the model before inference', async () => {
+        const fakes = createFakes();
+        let ready = false;
+        const st = new StreamingTranscriber({ ...fakes.deps, isModelReady: () => ready }, { autoTick: false });
+
+        await st.start();
+        pushInChunks(st, tone(4));
+        await st.tick();
+        expect(fakes.initCalls()).toBe(0);
+        expect(fakes.windows).toHaveLength(0);
+
+        ready = true;
+        await st.tick();
+        expect(fakes.initCalls()).toBe(1);
+        expect(fakes.windows).toHaveLength(1);
+        await st.stop({ flush: false });
+    });
+
+    it('should report inference errors and keep running', async () => {
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false });
+        const { errors } = collect(st);
+
+        await st.start();
+        pushInChunks(st, tone(4));
+        fakes.failNextInference();
+        await st.tick();
+        expect(errors.map((e) => e.message)).toEqual(['inference failed']);
+
+        await st.tick();
+        expect(fakes.windows).toHaveLength(1);
+        await st.stop({ flush: false });
+    });
+
+    it('should report a failed service init and retry it on a later tick', async () => {
+        vi.useFakeTimers();
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { intervalMs: 500 });
+        const { errors } = collect(st);
+
+        fakes.failNextInit();
+        await st.start();
+        expect(errors.map((e) => e.message)).toEqual(['init failed']);
+
+        pushInChunks(st, tone(4));
+        fakes.failNextInit();
+        await vi.advanceTimersByTimeAsync(500);
+        expect(errors.map((e) => e.message)).toEqual(['init failed', 'init failed']);
+        expect(fakes.windows).toHaveLength(0);
+
+        await vi.advanceTimersByTimeAsync(500);
+        expect(fakes.initCalls()).toBe(3);
+        expect(fakes.windows).toHaveLength(1);
+        await st.stop({ flush: false });
+    });
+
+    it('should transcribe the unprocessed tail and finalize on stop', async () => {
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false });
+        const { sentences } = collect(st);
+
+        await st.start();
+        pushInChunks(st, tone(4));
+        await st.tick();
+        pushInChunks(st, tone(1.05)); // ends on a partial hop
+        await st.stop();
+
+        const last = fakes.windows[fakes.windows.length - 1];
+        expect(last.endTime).toBeCloseTo(5.05, 3);
+        expect(fakes.finalizeCalls()).toBe(1);
+        expect(sentences).toHaveLength(3);
+        expect(st.isRunning()).toBe(false);
+    });
+
+    it('should tick on its own interval until stopped', async () => {
+        vi.useFakeTimers();
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { intervalMs: 500 });
+
+        await st.start();
+        pushInChunks(st, tone(4));
+        await vi.advanceTimersByTimeAsync(499);
+        expect(fakes.windows).toHaveLength(0);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(fakes.windows).toHaveLength(1);
+
+        await st.stop({ flush: false });
+        pushInChunks(st, tone(4));
+        await vi.advanceTimersByTimeAsync(2000);
+        expect(fakes.windows).toHaveLength(1);
+    });
+
+    it('should back off while silent and tick sooner once speech starts when adaptive', async () => {
+        vi.useFakeTimers();
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { intervalMs: 400, adaptiveInterval: true });
+        const intervals: number[] = [];
+        st.on('schedule', (s) => intervals.push(s.intervalMs));
+
+        await st.start();
+        pushInChunks(st, silence(2));
+        await vi.advanceTimersByTimeAsync(400 + 600);
+        expect(intervals).toEqual([600, 900]);
+        expect(st.getSchedulerStats()).toMatchObject({ mode: 'silence', ticks: 2 });
+
+        // Speech onset ends the 900 ms backoff: the next tick comes 400 ms after the last one
+        pushInChunks(st, tone(2));
+        await vi.advanceTimersByTimeAsync(400);
+        expect(fakes.windows).toHaveLength(1);
+        expect(st.getSchedulerStats().mode).not.toBe('silence');
+        await st.stop({ flush: false });
+    });
+
+    it('should label sentences and use its own merger stream for a channel', async () => {
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false, channel: 'Others' });
+        const { sentences } = collect(st);
+
+        await st.start();
+        pushInChunks(st, tone(4));
+        await st.tick();
+
+        expect(fakes.windows[0]).toMatchObject({ stream: 'Others', cacheKey: 'v4-stream-Others' });
+        expect(sentences[0]).toMatchObject({ id: 'Others:s0', channel: 'Others', text: 'Sentence 0.' });
+        await st.stop({ flush: false });
+    });
+
+    it('should report the speaker of each sentence after it, before stop() resolves', async () => {
+        const fakes = createFakes();
+        const normalized: boolean[] = [];
+        const getFeatures = fakes.deps.mel.getFeatures;
+        fakes.deps.mel.getFeatures = (start, end, normalize = true) => {
+            normalized.push(normalize);
+            return getFeatures(start, end, normalize);
+        };
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false, channel: 'Others', speakerLabels: true });
+        const { events } = collect(st);
+        st.on('speaker', (label) => events.push(`speaker:${label.sentenceId}=${label.speaker}`));
+
+        await st.start();
+        pushInChunks(st, tone(4));
+        await st.tick();
+        await st.stop();
+
+        // The tick's sentence and the flushed ones, each labeled (in order) some time after it
+        const ids = events.filter((e) => e.startsWith('sentence:')).map((e) => e.slice('sentence:'.length));
+        const labels = events.filter((e) => e.startsWith('speaker:'));
+        expect(ids.length).toBeGreaterThan(1);
+        expect(labels).toEqual(ids.map((id) => `speaker:${id}=Others:S1`));
+        for (const id of ids) {
+            expect(events.indexOf(`speaker:${id}=Others:S1`)).toBeGreaterThan(events.indexOf(`sentence:${id}`));
+        }
+        // Inference reads normalized features, speaker labeling the raw log-mel
+        expect(normalized).toContain(false);
+    });
+
+    it('should start a new merger session after resetService without reusing sentence ids', async () => {
+        const fakes = createFakes();
+        const st = new StreamingTranscriber(fakes.deps, { autoTick: false });
+        const { sentences } = collect(st);
+
+        await st.start();
+        pushInChunks(st, tone(4));
+        await st.tick();
+        expect(fakes.initCalls()).toBe(1);
+
+        st.resetService();
+        pushInChunks(st, tone(3.2));
+        await st.tick();
+
+        expect(fakes.initCalls()).toBe(2);
+        // Finalized audio is not transcribed again
+        expect(fakes.windows[1].timeOffset).toBeGreaterThanOrEqual(3 - 1e-6);
+        expect(sentences.map((s) => s.id)).toEqual(['s0', 'r1:s1']);
+        expect(st.supervisedWorkers()).toEqual([]);
+        await st.stop({ flush: false });
+    });
+
+    it('should reject a second start while running', async () => {
+        const st = new StreamingTranscriber(createFakes().deps, { autoTick: false });
+        await st.start();
+        await expect(st.start()).rejects.toThrow('already running');
+        await st.stop({ flush: false });
+    });
+});
@@ -0,0 +1,1025 @@
+/**
+ * Keet v4.0 - Streaming Transcriber
+ *
+ * Headless orchestration of the v4 utterance pipeline, independent of the UI
+ * and of where the audio comes from:
+ *
+ *   pushAudio(PCM) → RingBuffer + HybridVAD (energy) + MelWorker + TEN-VAD [+ Silero]
+ *                  → BufferWorker (energyVad / inferenceVad / sileroVad layers)
+ *   tick()         → fused VAD gate → WindowBuilder → mel features → merger (worker)
+ *
+ * The BufferWorker combines the VAD layers with the selected `vadPolicy`
+ * (see lib/buffer/vadFusion); each decision is emitted as a 'fusion' event.
+ *
+ * When the page is cross-origin isolated, each hop is written once to a
+ * SharedAudioRing that the mel and TEN-VAD workers follow, and energy VAD
+ * values go to a second ring the BufferWorker reads; otherwise (or for a
+ * dependency without attach support) hops are posted to each worker. The
+ * audio ring can also be written by another thread, such as the capture
+ * worklet (see readSharedAudio), so audio reaches the workers without
+ * passing through the main thread.
+ *
+ * Automatic ticks are timed by an InferenceScheduler: a fixed period, or with
+ * `adaptiveInterval` one that follows measured latency, backlog and silence.
+ *
+ * Results are delivered as events (see StreamingTranscriberEvents). Any PCM
+ * source works: pushed audio is re-chunked to the 80 ms hop the VAD layers
+ * expect, and time 0 is the first sample pushed after start().
+ *
+ * Usage:
+ *   const st = new StreamingTranscriber({ transcriber, mel });
+ *   st.on('sentence', (s) => console.log(s.text));
+ *   await st.start();
+ *   source.onChunk((pcm) => st.pushAudio(pcm));
+ *   ...
+ *   await st.stop();
+ */
+
+import { RingBuffer } from '../audio/RingBuffer';
+import { SharedAudioRing, SharedAudioReader, followSharedAudio, isSharedAudioSupported } from '../audio/SharedAudioRing';
+import type { IRingBuffer } from '../audio/types';
+import type { MelWorkerClient } from '../audio/MelWorkerClient';
+import { BufferWorkerClient } from '../buffer/BufferWorkerClient';
+import type { BufferWorkerConfig, TenVADResult } from '../buffer/types';
+import type { FusedSpeechResult, VadFusionConfig, VadFusionPolicy, VadLayerId } from '../buffer/vadFusion';
+import { TypedEmitter } from '../events/TypedEmitter';
+import type { SupervisedWorker } from '../supervisor/PipelineSupervisor';
+import { HybridVAD } from '../vad/HybridVAD';
+import { TenVADWorkerClient } from '../vad/TenVADWorkerClient';
+import { SileroVADWorkerClient } from '../vad/SileroVADWorkerClient';
+import { SpeakerTracker, type SpeakerLabel } from '../speakers/SpeakerTracker';
+import { WindowBuilder, type TranscriptionWindow, type WindowBuilderConfig } from './WindowBuilder';
+import type { TranscriptionWorkerClient, V4ProcessResult } from './TranscriptionWorkerClient';
+import type { ASRResult, MergerSentence } from './UtteranceBasedMerger';
+import type { SentenceSegmentationInfo } from './SentenceBoundaryDetector';
+import { InferenceScheduler, type InferenceSchedulerStats } from './InferenceScheduler';
+
+/** BufferWorker operations used by the pipeline (narrowed for testability). */
+export type StreamingBuffer = Pick<BufferWorkerClient, 'writeScalar' | 'hasSpeech' | 'getSilenceTailDuration'>
+    & Partial<Pick<BufferWorkerClient, 'writeBatch' | 'writeBatchTransfer' | 'attachSharedLayer' | 'detachSharedLayer'>>
+    & Partial<Pick<BufferWorkerClient, 'setFusion' | 'hasSpeechFused' | 'getFusedSilenceTail'>>;
+
+/** Inference-based VAD (TEN-VAD or Silero) operations used by the pipeline. */
+export type StreamingInferenceVad = Pick<TenVADWorkerClient, 'onResult' | 'isReady' | 'processTransfer'>
+    & Partial<Pick<TenVADWorkerClient, 'attachSharedAudio' | 'detachSharedAudio'>>;
+
+export type StreamingMel = Pick<MelWorkerClient, 'pushAudioCopy' | 'getFeatures'>
+    & Partial<Pick<MelWorkerClient, 'attachSharedAudio' | 'detachSharedAudio'>>;
+
+export interface StreamingTranscriberDeps {
+    transcriber: Pick<TranscriptionWorkerClient, 'initV4Service' | 'processV4ChunkWithFeatures' | 'v4FinalizeTimeout'>;
+    mel: StreamingMel;
+    /**
+     * VAD layer store. When omitted, a dedicated BufferWorker is created on
+     * start() and disposed on stop(); a provided one is never disposed.
+     */
+    buffer?: StreamingBuffer;
+    /**
+     * Inference VAD. Omitted: a TEN-VAD worker is created per run (see
+     * `tenVadWasmPath`). null: energy VAD only.
+     */
+    inferenceVad?: StreamingInferenceVad | null;
+    /**
+     * Second inference VAD writing the `sileroVad` layer. Omitted: a Silero
+     * worker is created per run when the `sileroVad` option is on. null: none.
+     */
+    sileroVad?: StreamingInferenceVad | null;
+    /** Inference is skipped (audio is still buffered) while this returns false */
+    isModelReady?: () => boolean;
+}
+
+export interface StreamingTranscriberConfig {
+    /** Sample rate of pushed PCM (default 16000) */
+    sampleRate?: number;
+    /** Samples per VAD hop; pushed audio is re-chunked to this size (default 1280) */
+    chunkSamples?: number;
+    /** Inference tick period when ticking automatically (default 480) */
+    intervalMs?: number;
+    /** Schedule tick() every intervalMs after start() (default true) */
+    autoTick?: boolean;
+    /**
+     * Adapt the tick period to measured inference latency, the pending window
+     * and silence, starting from intervalMs (default false: fixed period)
+     */
+    adaptiveInterval?: boolean;
+    /** Trailing silence that finalizes the pending sentence (default 1.0) */
+    silenceFlushSec?: number;
+    /** Energy VAD threshold for speech/silence queries (default 0.3) */
+    vadThreshold?: number;
+    /** Inference VAD threshold for speech queries (default 0.5) */
+    inferenceVadThreshold?: number;
+    /** How the BufferWorker combines the VAD layers (default 'and') */
+    vadPolicy?: VadFusionPolicy;
+    /** Run Silero VAD as an extra layer (default false) */
+    sileroVad?: boolean;
+    /** Silero VAD speech threshold (default 0.5) */
+    sileroThreshold?: number;
+    /** Silero ONNX model URL (default '': the Hugging Face onnx-community model) */
+    sileroModelUrl?: string;
+    /** Seconds of audio kept for windows and VAD layers (default 120) */
+    maxBufferSec?: number;
+    /** Incremental decoder cache key (default 'v4-stream', or 'v4-stream-<channel>') */
+    cacheKey?: string;
+    /**
+     * Audio channel label for multi-source capture (e.g. 'Me', 'Others').
+     * Each channel gets its own merger in the transcription worker, and its
+     * sentences carry the label and an id prefixed with it, so several
+     * transcribers can feed one transcript.
+     */
+    channel?: string;
+    /** Language for sentence boundaries ('de', 'es', ...) or 'auto' to detect it (default 'auto') */
+    language?: string;
+    /**
+     * Label finalized sentences with speakers clustered from their mel
+     * features, reported as 'speaker' events (default false)
+     */
+    speakerLabels?: boolean;
+    /** Speaker distance above which a sentence starts a new speaker (default 0.4; see lib/speakers) */
+    speakerThreshold?: number;
+    /**
+     * Share audio and energy VAD with the workers through SharedArrayBuffer
+     * rings instead of per-hop messages (default: when crossOriginIsolated)
+     */
+    sharedAudio?: boolean;
+    /** Where the TEN-VAD worker loads its WASM from (default '/wasm/') */
+    tenVadWasmPath?: string;
+    /** WindowBuilder overrides */
+    window?: Partial<WindowBuilderConfig>;
+    /** Log tick diagnostics to the console (default false) */
+    debug?: boolean;
+}
+
+/** Runtime-adjustable settings (see updateConfig) */
+export type StreamingTranscriberTuning = Pick<StreamingTranscriberConfig, 'intervalMs' | 'adaptiveInterval' | 'silenceFlushSec' | 'vadThreshold' | 'inferenceVadThreshold' | 'vadPolicy' | 'sileroThreshold' | 'speakerThreshold'>;
+
+export interface StreamingMatureEvent {
+    /** All finalized text */
+    text: string;
+    /** Finalized plus pending text */
+    fullText: string;
+    /** End of the finalized audio, in seconds since start() */
+    cursorTime: number;
+}
+
+export interface StreamingImmatureEvent {
+    /** Pending (not yet finalized) text */
+    text: string;
+    fullText: string;
+}
+
+export interface StreamingMetrics {
+    window: TranscriptionWindow;
+    /** Wall-clock time for mel features + inference */
+    inferenceMs: number;
+    /** inferenceMs relative to the window duration (< 1 is faster than real time) */
+    rtf: number;
+    sentencesFinalized: number;
+    cursorUpdates: number;
+    utterancesProcessed: number;
+    /** Fill of the transcriber's audio ring buffer (0-1) */
+    bufferFillRatio: number;
+    /** Audio held in the ring buffer, in ms */
+    bufferLatencyMs: number;
+    /** Language and backend the merger used for sentence boundaries */
+    segmentation?: SentenceSegmentationInfo;
+}
+
+export interface StreamingVadEvent {
+    isSpeech: boolean;
+    energy: number;
+    snr: number;
+    /** HybridVAD state machine state */
+    state: string;
+}
+
+/** Settings a run started with, as needed to replay it. */
+export interface StreamingRunConfig {
+    sampleRate: number;
+    chunkSamples: number;
+    maxBufferSec: number;
+    silenceFlushSec: number;
+    vadThreshold: number;
+    inferenceVadThreshold: number;
+    /** Sentence boundary language setting (absent in older traces: 'auto') */
+    language?: string;
+    /** VAD fusion policy (absent in older traces: 'and') */
+    vadPolicy?: VadFusionPolicy;
+    window: Partial<WindowBuilderConfig>;
+}
+
+/**
+ * Pipeline internals for session traces (see lib/trace). Typed arrays are
+ * only valid during the listener call: the pipeline may transfer them to a
+ * worker right after.
+ */
+export type StreamingTraceEvent =
+    | { type: 'start'; config: StreamingRunConfig }
+    /** A VAD hop entered the pipeline at `offset` (global sample position) */
+    | { type: 'audio'; offset: number; samples: Float32Array }
+    | { type: 'vad'; layer: VadLayerId; offset: number; values: Float32Array }
+    /** A tick found speech and asked WindowBuilder for a window (null: none yet); flush windows bypass the builder */
+    | { type: 'window'; source: 'tick' | 'flush'; window: TranscriptionWindow | null; currentFrame: number; cursorFrame: number }
+    /** What the merger received for a window, and the cursor it answered with */
+    | { type: 'asr'; window: TranscriptionWindow; result: ASRResult; matureCursorTime: number }
+    /** Pending sentence finalized after silence or on flush (null: nothing was pending) */
+    | { type: 'finalize'; matureCursorTime: number | null };
+
+export interface StreamingTranscriberEvents {
+    /** Finalized text changed (new sentence or cursor advance) */
+    mature: StreamingMatureEvent;
+    /** Pending text changed */
+    immature: StreamingImmatureEvent;
+    /** A sentence was finalized; emitted once per sentence, in order */
+    sentence: MergerSentence;
+    /** After each inference */
+    metrics: StreamingMetrics;
+    /** After each automatic tick: the interval chosen for the next one */
+    schedule: InferenceSchedulerStats;
+    /** Energy VAD result for each pushed hop */
+    vad: StreamingVadEvent;
+    /** Latest inference VAD (TEN-VAD) speech probability */
+    speechProbability: number;
+    /** Fused VAD decision of each tick and flush, with per-layer diagnostics */
+    fusion: FusedSpeechResult;
+    /** Speaker of a finalized sentence (with `speakerLabels`); follows its 'sentence' event */
+    speaker: SpeakerLabel;
+    /** Inference or flush failure; the pipeline keeps running */
+    error: Error;
+    /** Pipeline timeline for session traces; only built while someone listens */
+    trace: StreamingTraceEvent;
+}
+
+/** BufferWorker layout of the v4 pipeline. */
+export function createStreamingBufferConfig(sampleRate: number = 16000, maxDurationSec: number = 120, chunkSamples: number = 1280): BufferWorkerConfig {
+    return {
+        sampleRate,
+        layers: {
+            audio: { hopSamples: 1, entryDimension: 1, maxDurationSec },
+            mel: { hopSamples: 160, entryDimension: 128, maxDurationSec },
+            energyVad: { hopSamples: chunkSamples, entryDimension: 1, maxDurationSec },
+            inferenceVad: { hopSamples: 256, entryDimension: 1, maxDurationSec },
+            sileroVad: { hopSamples: 512, entryDimension: 1, maxDurationSec },
+        },
+    };
+}
+
+const VAD_SPEECH = 0.9;
+const VAD_SILENCE = 0.1;
+/** Shorter tails are not worth an inference on flush */
+const MIN_TAIL_SEC = 0.3;
+
+/** Run an optional attach call; false when it is missing or fails. */
+async function tryAttach(name: string, attach: (() => Promise<void>) | undefined): Promise<boolean> {
+    if (!attach) return false;
+    try {
+        await attach();
+        return true;
+    } catch (err) {
+        console.warn(`[StreamingTranscriber] ${name} cannot read shared audio, posting hops instead:`, err);
+        return false;
+    }
+}
+
+export class StreamingTranscriber extends TypedEmitter<StreamingTranscriberEvents> {
+    private deps: StreamingTranscriberDeps;
+    private config: Required<Omit<StreamingTranscriberConfig, 'window' | 'channel'>>;
+    private windowConfig: Partial<WindowBuilderConfig>;
+    private channel: string | undefined;
+
+    private running = false;
+    private ring: IRingBuffer | null = null;
+    /** Energy VAD values (one per hop) for the BufferWorker, when it reads them shared */
+    private energyLane: SharedAudioRing | null = null;
+    /** Dependencies following the shared audio ring rather than receiving hops */
+    private sharedMel = false;
+    private sharedInferenceVad = false;
+    private sharedSileroVad = false;
+    /** Set while another thread writes the audio ring (readSharedAudio); pushAudio() is ignored then */
+    private sharedInput: SharedAudioReader | null = null;
+    private stopSharedInput: (() => void) | null = null;
+    private windowBuilder: WindowBuilder | null = null;
+    private vad: HybridVAD | null = null;
+    private buffer: StreamingBuffer | null = null;
+    private inferenceVad: StreamingInferenceVad | null = null;
+    private ownedBuffer: BufferWorkerClient | null = null;
+    private ownedInferenceVad: TenVADWorkerClient | null = null;
+    private sileroVad: StreamingInferenceVad | null = null;
+    private ownedSileroVad: SileroVADWorkerClient | null = null;
+    private speakerTracker: SpeakerTracker | null = null;
+
+    /** Samples pushed since start() (the pipeline's global sample position) */
+    private samplePosition = 0;
+    private pendingChunk: Float32Array;
+    private pendingLength = 0;
+
+    private autoTicking = false;
+    private tickTimer: ReturnType<typeof setTimeout> | undefined;
+    private tickPromise: Promise<void> | null = null;
+    private tickCount = 0;
+    private scheduler: InferenceScheduler;
+    /** performance.now() when the last automatic tick started */
+    private tickStartedAt = 0;
+    private serviceReady = false;
+    private modelWaitLogged = false;
+
+    private lastMatureText = '';
+    private lastCursorTime = 0;
+    private lastImmatureText = '';
+    /** Merger sessions replaced by resetService() this run; later sentence ids get an `r<n>:` prefix */
+    private serviceEpoch = 0;
+    /** Mature cursor when the merger was last replaced (a new merger reports from 0) */
+    private cursorFloor = 0;
+
+    constructor(deps: StreamingTranscriberDeps, config: StreamingTranscriberConfig = {}) {
+        super();
+        this.deps = deps;
+        this.config = {
+            sampleRate: config.sampleRate ?? 16000,
+            chunkSamples: config.chunkSamples ?? 1280,
+            intervalMs: config.intervalMs ?? 480,
+            autoTick: config.autoTick ?? true,
+            adaptiveInterval: config.adaptiveInterval ?? false,
+            silenceFlushSec: config.silenceFlushSec ?? 1.0,
+            vadThreshold: config.vadThreshold ?? 0.3,
+            inferenceVadThreshold: config.inferenceVadThreshold ?? 0.5,
+            vadPolicy: config.vadPolicy ?? 'and',
+            sileroVad: config.sileroVad ?? false,
+            sileroThreshold: config.sileroThreshold ?? 0.5,
+            sileroModelUrl: config.sileroModelUrl ?? '',
+            maxBufferSec: config.maxBufferSec ?? 120,
+            cacheKey: config.cacheKey ?? (config.channel ? `v4-stream-${config.channel}` : 'v4-stream'),
+            language: config.language ?? 'auto',
+            speakerLabels: config.speakerLabels ?? false,
+            speakerThreshold: config.speakerThreshold ?? 0.4,
+            sharedAudio: config.sharedAudio ?? isSharedAudioSupported(),
+            tenVadWasmPath: config.tenVadWasmPath ?? '/wasm/',
+            debug: config.debug ?? false,
+        };
+        this.channel = config.channel;
+        this.windowConfig = {
+            minDurationSec: 3.0,
+            maxDurationSec: 30.0,
+            minInitialDurationSec: 1.5,
+            useVadBoundaries: false, // VAD boundaries are managed by the BufferWorker
+            vadSilenceThreshold: this.config.vadThreshold,
+            debug: this.config.debug,
+            ...config.window,
+            sampleRate: this.config.sampleRate,
+        };
+        this.pendingChunk = new Float32Array(this.config.chunkSamples);
+        this.scheduler = new InferenceScheduler({
+            baseIntervalMs: this.config.intervalMs,
+            adaptive: this.config.adaptiveInterval,
+        });
+    }
+
+    isRunning(): boolean {
+        return this.running;
+    }
+
+    /** Seconds of audio pushed since start(). */
+    getCurrentTime(): number {
+        return this.samplePosition / this.config.sampleRate;
+    }
+
+    /** Seconds of audio finalized so far (the mature cursor). */
+    getMatureCursorTime(): number {
+        return this.windowBuilder?.getMatureCursorTime() ?? 0;
+    }
+
+    /** Adjust tick period, flush delay, VAD thresholds or fusion policy while running. */
+    updateConfig(tuning: StreamingTranscriberTuning): void {
+        for (const [key, value] of Object.entries(tuning)) {
+            if (value !== undefined) (this.config as Record<string, unknown>)[key] = value;
+        }
+        this.scheduler.updateConfig({ baseIntervalMs: this.config.intervalMs, adaptive: this.config.adaptiveInterval });
+        this.speakerTracker?.updateConfig({ threshold: this.config.speakerThreshold });
+        if (this.running) this.applyFusion().catch((err) => this.reportError(err));
+    }
+
+    /** Tick scheduling state: interval, measured latency and dropped ticks. */
+    getSchedulerStats(): InferenceSchedulerStats {
+        return this.scheduler.getStats();
+    }
+
+    /**
+     * Prepare a new run: fresh buffers, VAD state and merger session.
+     * The mel worker is not reset here; its owner decides when to do that.
+     */
+    async start(): Promise<void> {
+        if (this.running) throw new Error('StreamingTranscriber is already running');
+        const { sampleRate, maxBufferSec, chunkSamples } = this.config;
+
+        const sharedRing = this.config.sharedAudio ? new SharedAudioRing(sampleRate, maxBufferSec) : null;
+        this.ring = sharedRing ?? new RingBuffer(sampleRate, maxBufferSec);
+        this.windowBuilder = new WindowBuilder(this.ring, null, this.windowConfig);
+        this.vad = new HybridVAD({
+            sileroThreshold: 0.5,
+            onsetConfirmations: 2,
+            offsetConfirmations: 3,
+            sampleRate,
+        });
+        this.samplePosition = 0;
+        this.pendingLength = 0;
+        this.tickCount = 0;
+        this.scheduler.reset();
+        this.serviceReady = false;
+        this.modelWaitLogged = false;
+        this.lastMatureText = '';
+        this.lastCursorTime = 0;
+        this.lastImmatureText = '';
+        this.serviceEpoch = 0;
+        this.cursorFloor = 0;
+        // Speakers are per run; channels keep theirs apart with an id prefix
+        this.speakerTracker = this.config.speakerLabels
+            ? new SpeakerTracker(this.deps.mel, {
+                sampleRate,
+                threshold: this.config.speakerThreshold,
+                idPrefix: this.channel ? `${this.channel}:` : '',
+            })
+            : null;
+
+        if (this.deps.buffer) {
+            this.buffer = this.deps.buffer;
+        } else {
+            this.ownedBuffer = new BufferWorkerClient();
+            await this.ownedBuffer.init(createStreamingBufferConfig(sampleRate, maxBufferSec, chunkSamples));
+            this.buffer = this.ownedBuffer;
+        }
+
+        if (this.deps.inferenceVad !== undefined) {
+            this.inferenceVad = this.deps.inferenceVad;
+        } else {
+            this.ownedInferenceVad = new TenVADWorkerClient();
+            this.inferenceVad = this.ownedInferenceVad;
+            // Non-blocking: energy VAD alone gates inference until TEN-VAD is ready
+            this.ownedInferenceVad.init({ hopSize: 256, threshold: 0.5, wasmPath: this.config.tenVadWasmPath }).catch((err) => {
+                console.warn('[StreamingTranscriber] TEN-VAD init failed, using energy-only:', err);
+            });
+        }
+        this.inferenceVad?.onResult((result) => this.handleInferenceVad(result));
+
+        if (this.deps.sileroVad !== undefined) {
+            this.sileroVad = this.deps.sileroVad;
+        } else if (this.config.sileroVad) {
+            this.ownedSileroVad = new SileroVADWorkerClient();
+            this.sileroVad = this.ownedSileroVad;
+            // Non-blocking like TEN-VAD: the layer joins the fusion once results arrive
+            const modelUrl = this.config.sileroModelUrl || undefined;
+            this.ownedSileroVad.init({ threshold: this.config.sileroThreshold, modelUrl }).catch((err) => {
+                console.warn('[StreamingTranscriber] Silero VAD init failed, running without it:', err);
+            });
+        }
+        this.sileroVad?.onResult((result) => this.writeInferenceLayer('sileroVad', result));
+
+        await this.applyFusion();
+
+        if (sharedRing) await this.attachShared(sharedRing);
+
+        // A failure here is reported and retried by the next tick
+        if (this.isModelReady()) await this.initService().catch((err) => this.reportError(err));
+
+        if (this.tracing()) {
+            const { silenceFlushSec, vadThreshold, inferenceVadThreshold, language, vadPolicy } = this.config;
+            this.emit('trace', {
+                type: 'start',
+                config: { sampleRate, chunkSamples, maxBufferSec, silenceFlushSec, vadThreshold, inferenceVadThreshold, language, vadPolicy, window: { ...this.windowConfig } },
+            });
+        }
+
+        this.running = true;
+        this.autoTicking = this.config.autoTick;
+        if (this.autoTicking) this.scheduleTick(this.scheduler.intervalMs());
+    }
+
+    /**
+     * The merger session is gone (the transcription worker was restarted):
+     * start a new one on the next tick. Audio before the mature cursor is
+     * not transcribed again, and sentences from the new session get ids that
+     * cannot collide with the ones already emitted.
+     */
+    resetService(): void {
+        if (!this.running) return;
+        this.serviceReady = false;
+        this.serviceEpoch++;
+        this.cursorFloor = this.lastCursorTime;
+        this.lastImmatureText = '';
+    }
+
+    /** Workers this run created (not injected ones), for health checks. Empty when stopped. */
+    supervisedWorkers(): { name: string; worker: SupervisedWorker }[] {
+        const workers: { name: string; worker: SupervisedWorker | null }[] = [
+            { name: 'buffer worker', worker: this.ownedBuffer },
+            { name: 'TEN-VAD worker', worker: this.ownedInferenceVad },
+            { name: 'Silero VAD worker', worker: this.ownedSileroVad },
+        ];
+        return workers.filter((w): w is { name: string; worker: SupervisedWorker } => w.worker !== null);
+    }
+
+    /**
+     * The audio ring of this run when it is shared, for a producer on another
+     * thread to write (see readSharedAudio). Null when stopped or not shared.
+     */
+    getSharedAudioBuffer(): SharedArrayBuffer | null {
+        return this.ring instanceof SharedAudioRing ? this.ring.buffer : null;
+    }
+
+    /**
+     * Take audio from the shared ring as another thread writes it, instead of
+     * from pushAudio(), which is ignored from then on. Call right after
+     * start(), before any audio is pushed; the other thread must be the ring's
+     * only writer. @returns false when this run has no shared ring
+     */
+    readSharedAudio(): boolean {
+        if (!this.running || !(this.ring instanceof SharedAudioRing)) return false;
+        if (this.sharedInput) return true;
+        const reader = new SharedAudioReader(this.ring);
+        this.sharedInput = reader;
+        this.stopSharedInput = followSharedAudio(reader, (samples) => this.enqueue(samples, true));
+        return true;
+    }
+
+    /**
+     * Feed mono PCM at the configured sample rate. Chunks of exactly
+     * `chunkSamples` are handed on without copying, so the caller must not
+     * reuse the buffer afterwards (it may be transferred to the VAD worker).
+     */
+    pushAudio(samples: Float32Array): void {
+        if (!this.running || this.sharedInput) return;
+        this.enqueue(samples, false);
+    }
+
+    /**
+     * One inference step: if there is speech after the mature cursor, build a
+     * window and transcribe it; after enough trailing silence, finalize the
+     * pending sentence. Called automatically when `autoTick` is on.
+     */
+    tick(): Promise<void> {
+        if (!this.running) return Promise.resolve();
+        if (this.tickPromise) return this.tickPromise;
+        this.tickPromise = this.runTick().finally(() => {
+            this.tickPromise = null;
+        });
+        return this.tickPromise;
+    }
+
+    /**
+     * Transcribe any speech after the cursor that no tick covered yet, then
+     * finalize the pending sentence.
+     */
+    async flush(): Promise<void> {
+        if (!this.running || !this.isModelReady()) return;
+        if (this.tickPromise) await this.tickPromise;
+        this.drainSharedInput();
+        this.flushPendingChunk();
+
+        const builder = this.windowBuilder!;
+        const { sampleRate } = this.config;
+        const startSample = builder.getMatureCursorFrame();
+        const endSample = this.samplePosition;
+        try {
+            await this.initService();
+            if (endSample - startSample >= MIN_TAIL_SEC * sampleRate) {
+                // Without fusion only energy VAD: inference results for the tail may not be in yet
+                const tailHasSpeech = this.buffer!.hasSpeechFused
+                    ? await this.fusedSpeech(startSample, endSample)
+                    : (await this.buffer!.hasSpeech('energyVad', startSample, endSample, this.config.vadThreshold)).hasSpeech;
+                if (tailHasSpeech) {
+                    const window: TranscriptionWindow = {
+                        startFrame: startSample,
+                        endFrame: endSample,
+                        durationSeconds: (endSample - startSample) / sampleRate,
+                        isInitial: startSample === 0,
+                    };
+                    if (this.tracing()) {
+                        this.emit('trace', { type: 'window', source: 'flush', window, currentFrame: endSample, cursorFrame: startSample });
+                    }
+                    await this.transcribeWindow(window);
+                }
+            }
+            await this.finalizePending();
+        } catch (err) {
+            this.reportError(err);
+        }
+    }
+
+    /**
+     * Stop ticking and release per-run resources. By default the remaining
+     * audio is transcribed and the pending sentence finalized first.
+     */
+    async stop(options: { flush?: boolean } = {}): Promise<void> {
+        if (!this.running) return;
+        this.autoTicking = false;
+        if (this.tickTimer !== undefined) {
+            clearTimeout(this.tickTimer);
+            this.tickTimer = undefined;
+        }
+        if (options.flush !== false) {
+            await this.flush();
+        } else if (this.tickPromise) {
+            await this.tickPromise;
+        }
+        await this.speakerTracker?.idle();
+
+        this.stopSharedInput?.();
+        this.stopSharedInput = null;
+        this.sharedInput = null;
+        this.running = false;
+        this.speakerTracker = null;
+        await this.detachShared();
+        this.ownedBuffer?.dispose();
+        this.ownedBuffer = null;
+        this.ownedInferenceVad?.dispose();
+        this.ownedInferenceVad = null;
+        this.ownedSileroVad?.dispose();
+        this.ownedSileroVad = null;
+        this.buffer = null;
+        this.inferenceVad = null;
+        this.sileroVad = null;
+        this.ring = null;
+        this.windowBuilder = null;
+        this.vad = null;
+    }
+
+    // ---- Internal ----
+
+    private tracing(): boolean {
+        return this.listenerCount('trace') > 0;
+    }
+
+    private isModelReady(): boolean {
+        return this.deps.isModelReady?.() ?? true;
+    }
+
+    /** Layers in this run, and the policy and thresholds to combine them with. */
+    private fusionConfig(): Partial<VadFusionConfig> {
+        const layers: VadLayerId[] = ['energyVad'];
+        if (this.inferenceVad) layers.push('inferenceVad');
+        if (this.sileroVad) layers.push('sileroVad');
+        return {
+            policy: this.config.vadPolicy,
+            layers,
+            thresholds: {
+                energyVad: this.config.vadThreshold,
+                inferenceVad: this.config.inferenceVadThreshold,
+                sileroVad: this.config.sileroThreshold,
+            },
+        };
+    }
+
+    private async applyFusion(): Promise<void> {
+        await this.buffer?.setFusion?.(this.fusionConfig());
+    }
+
+    /** Fused speech decision for [start, end), reported as a 'fusion' event. */
+    private async fusedSpeech(startSample: number, endSample: number): Promise<boolean> {
+        const result = await this.buffer!.hasSpeechFused!(startSample, endSample);
+        this.emit('fusion', result);
+        return result.hasSpeech;
+    }
+
+    private async initService(): Promise<void> {
+        if (this.serviceReady) return;
+        await this.deps.transcriber.initV4Service({ debug: false, language: this.config.language }, this.channel);
+        this.serviceReady = true;
+    }
+
+    /**
+     * Point each dependency that supports it at the shared rings. One that
+     * cannot attach keeps getting hops by message.
+     */
+    private async attachShared(ring: SharedAudioRing): Promise<void> {
+        const { sampleRate, chunkSamples, maxBufferSec } = this.config;
+        const { mel } = this.deps;
+        const buffer = this.buffer;
+        const inferenceVad = this.inferenceVad;
+        const sileroVad = this.sileroVad;
+
+        this.sharedMel = await tryAttach('Mel worker', mel.attachSharedAudio?.bind(mel, ring.buffer));
+        this.sharedInferenceVad = await tryAttach('TEN-VAD', inferenceVad?.attachSharedAudio?.bind(inferenceVad, ring.buffer));
+        this.sharedSileroVad = await tryAttach('Silero VAD', sileroVad?.attachSharedAudio?.bind(sileroVad, ring.buffer));
+        const lane = new SharedAudioRing(sampleRate / chunkSamples, maxBufferSec);
+        if (await tryAttach('BufferWorker', buffer?.attachSharedLayer?.bind(buffer, 'energyVad', lane.buffer))) {
+            this.energyLane = lane;
+        }
+        if (this.config.debug) {
+            console.log(`[StreamingTranscriber] Shared audio: mel=${this.sharedMel}, tenVad=${this.sharedInferenceVad}, silero=${this.sharedSileroVad}, energyVad=${!!this.energyLane}`);
+        }
+    }
+
+    /** Let dependencies outliving this run stop following its rings (the mel worker computes what is left). */
+    private async detachShared(): Promise<void> {
+        if (this.sharedMel) await this.deps.mel.detachSharedAudio?.().catch(() => {});
+        if (this.sharedInferenceVad && !this.ownedInferenceVad) await this.inferenceVad?.detachSharedAudio?.().catch(() => {});
+        if (this.sharedSileroVad && !this.ownedSileroVad) await this.sileroVad?.detachSharedAudio?.().catch(() => {});
+        if (this.energyLane && !this.ownedBuffer) await this.buffer?.detachSharedLayer?.('energyVad').catch(() => {});
+        this.sharedMel = false;
+        this.sharedInferenceVad = false;
+        this.sharedSileroVad = false;
+        this.energyLane = null;
+    }
+
+    private scheduleTick(delayMs: number): void {
+        this.tickTimer = setTimeout(async () => {
+            this.tickTimer = undefined;
+            if (!this.autoTicking) return;
+            this.tickStartedAt = performance.now();
+            // A failed tick must not end the loop
+            await this.tick().catch((err) => this.reportError(err));
+            if (!this.autoTicking) return;
+            const delay = this.scheduler.nextDelay(this.tickStartedAt, performance.now());
+            this.emit('schedule', this.scheduler.getStats());
+            this.scheduleTick(delay);
+        }, delayMs);
+    }
+
+    /** Speech while backing off in silence: bring the next tick forward. */
+    private wakeScheduler(): void {
+        if (!this.scheduler.noteSpeech() || this.tickTimer === undefined) return;
+        clearTimeout(this.tickTimer);
+        const elapsed = performance.now() - this.tickStartedAt;
+        this.scheduleTick(Math.max(0, this.scheduler.intervalMs() - elapsed));
+    }
+
+    /** Re-chunk to hops; `inRing` when the samples are already in the ring (written by another thread). */
+    private enqueue(samples: Float32Array, inRing: boolean): void {
+        const size = this.config.chunkSamples;
+
+        if (this.pendingLength === 0 && samples.length === size) {
+            this.processChunk(samples, inRing);
+            return;
+        }
+
+        let offset = 0;
+        while (offset < samples.length) {
+            const n = Math.min(size - this.pendingLength, samples.length - offset);
+            this.pendingChunk.set(samples.subarray(offset, offset + n), this.pendingLength);
+            this.pendingLength += n;
+            offset += n;
+            if (this.pendingLength === size) {
+                const chunk = this.pendingChunk;
+                this.pendingChunk = new Float32Array(size);
+                this.pendingLength = 0;
+                this.processChunk(chunk, inRing);
+            }
+        }
+    }
+
+    private processChunk(chunk: Float32Array, inRing = false): void {
+        const offset = this.samplePosition;
+        this.samplePosition += chunk.length;
+        if (!inRing) this.ring!.write(chunk);
+        if (this.tracing()) this.emit('trace', { type: 'audio', offset, samples: chunk });
+
+        // 1. Energy VAD (synchronous, fast) → BufferWorker
+        const vadResult = this.vad!.processEnergyOnly(chunk);
+        this.writeEnergyVad(offset, vadResult.isSpeech);
+        if (vadResult.isSpeech) this.wakeScheduler();
+
+        // 2. Mel worker (copy, keep the chunk for the TEN-VAD transfer)
+        if (!this.sharedMel) this.deps.mel.pushAudioCopy(chunk);
+
+        // 3. Silero VAD (copy), then TEN-VAD (transfer, no copy)
+        if (this.sileroVad?.isReady() && !this.sharedSileroVad) this.sileroVad.processTransfer(chunk.slice(), offset);
+        const inferenceReady = this.inferenceVad?.isReady() ?? false;
+        if (inferenceReady && !this.sharedInferenceVad) this.inferenceVad!.processTransfer(chunk, offset);
+
+        this.emit('vad', {
+            isSpeech: vadResult.isSpeech,
+            energy: vadResult.energy,
+            snr: vadResult.snr || 0,
+            state: vadResult.state,
+        });
+        if (!inferenceReady) this.emit('speechProbability', vadResult.sileroProbability || 0);
+    }
+
+    /** Take what the other thread wrote since the last read, so flush() covers it. */
+    private drainSharedInput(): void {
+        const data = this.sharedInput?.read();
+        if (data) this.enqueue(data.samples, true);
+    }
+
+    /** Push a trailing partial hop (zero-padded for the VAD layers) before flushing. */
+    private flushPendingChunk(): void {
+        if (this.pendingLength === 0) return;
+        const partial = this.pendingChunk.slice(0, this.pendingLength);
+        const offset = this.samplePosition;
+        this.pendingLength = 0;
+        this.samplePosition += partial.length;
+        if (!this.sharedInput) this.ring!.write(partial);
+        if (this.tracing()) this.emit('trace', { type: 'audio', offset, samples: partial });
+        if (!this.sharedMel) this.deps.mel.pushAudioCopy(partial);
+        const vadResult = this.vad!.processEnergyOnly(partial);
+        this.writeEnergyVad(offset, vadResult.isSpeech);
+    }
+
+    private writeEnergyVad(offset: number, isSpeech: boolean): void {
+        const value = isSpeech ? VAD_SPEECH : VAD_SILENCE;
+        if (this.tracing()) {
+            this.emit('trace', { type: 'vad', layer: 'energyVad', offset, values: Float32Array.of(value) });
+        }
+        if (this.energyLane) {
+            this.energyLane.write(Float32Array.of(value));
+        } else {
+            // With its offset, so a restarted BufferWorker stays on the pipeline timeline
+            this.buffer!.writeScalar('energyVad', value, offset);
+        }
+    }
+
+    private handleInferenceVad(result: TenVADResult): void {
+        if (!this.buffer || result.hopCount === 0) return;
+        // Read before the probabilities are transferred to the BufferWorker
+        const latest = result.probabilities[result.hopCount - 1];
+        this.writeInferenceLayer('inferenceVad', result);
+        this.emit('speechProbability', latest);
+    }
+
+    private writeInferenceLayer(layer: 'inferenceVad' | 'sileroVad', result: TenVADResult): void {
+        if (!this.buffer || result.hopCount === 0) return;
+        if (this.tracing()) {
+            this.emit('trace', { type: 'vad', layer, offset: result.globalSampleOffset, values: result.probabilities });
+        }
+        // Batch-write hop probabilities (single worker message)
+        if (this.buffer.writeBatchTransfer) {
+            this.buffer.writeBatchTransfer(layer, result.probabilities, result.globalSampleOffset);
+        } else {
+            this.buffer.writeBatch?.(layer, result.probabilities, result.globalSampleOffset);
+        }
+    }
+
+    private async runTick(): Promise<void> {
+        if (!this.isModelReady()) {
+            if (!this.modelWaitLogged && this.config.debug) {
+                console.log('[StreamingTranscriber] Model not ready yet - audio is being captured and preprocessed');
+            }
+            this.modelWaitLogged = true;
+            return;
+        }
+        if (!this.serviceReady) {
+            if (this.modelWaitLogged && this.config.debug) {
+                console.log('[StreamingTranscriber] Model is now ready - starting inference');
+            }
+            try {
+                await this.initService();
+            } catch (err) {
+                // E.g. the worker is still restarting; the next tick tries again
+                this.reportError(err);
+                return;
+            }
+        }
+
+        this.tickCount++;
+        const builder = this.windowBuilder!;
+        const buffer = this.buffer!;
+        const startSample = Math.max(0, builder.getMatureCursorFrame());
+        const currentSample = this.samplePosition;
+
+        try {
+            let hasSpeech = false;
+            if (currentSample > startSample && buffer.hasSpeechFused) {
+                hasSpeech = await this.fusedSpeech(startSample, currentSample);
+            } else if (currentSample > startSample) {
+                const energy = await buffer.hasSpeech('energyVad', startSample, currentSample, this.config.vadThreshold);
+                if (this.inferenceVad?.isReady()) {
+                    // Require both to agree: music/noise can have energy without speech
+                    const inference = await buffer.hasSpeech('inferenceVad', startSample, currentSample, this.config.inferenceVadThreshold);
+                    hasSpeech = energy.hasSpeech && inference.hasSpeech;
+                } else {
+                    hasSpeech = energy.hasSpeech;
+                }
+            }
+
+            this.scheduler.recordTick(hasSpeech, (currentSample - startSample) / this.config.sampleRate);
+
+            if (this.config.debug && (this.tickCount <= 5 || this.tickCount % 20 === 0)) {
+                console.log(
+                    `[StreamingTranscriber] tick #${this.tickCount} hasSpeech=${hasSpeech}, ` +
+                    `samples=[${startSample}:${currentSample}], cursor=${builder.getMatureCursorTime().toFixed(2)}s`
+                );
+            }
+
+            if (!hasSpeech) {
+                const silenceSec = buffer.getFusedSilenceTail
+                    ? await buffer.getFusedSilenceTail()
+                    : await buffer.getSilenceTailDuration('energyVad', this.config.vadThreshold);
+                if (silenceSec >= this.config.silenceFlushSec) {
+                    await this.finalizePending();
+                }
+                return;
+            }
+
+            const window = builder.buildWindow();
+            if (this.tracing()) {
+                this.emit('trace', { type: 'window', source: 'tick', window, currentFrame: currentSample, cursorFrame: startSample });
+            }
+            if (!window) return;
+            if (this.config.debug) {
+                console.log(`[StreamingTranscriber] tick #${this.tickCount} window [${window.startFrame}:${window.endFrame}] ${window.durationSeconds.toFixed(2)}s (initial=${window.isInitial})`);
+            }
+            await this.transcribeWindow(window);
+        } catch (err) {
+            this.reportError(err);
+        }
+    }
+
+    private async transcribeWindow(window: TranscriptionWindow): Promise<void> {
+        const builder = this.windowBuilder!;
+        const { sampleRate, cacheKey } = this.config;
+        const inferenceStart = performance.now();
+
+        const features = await this.deps.mel.getFeatures(window.startFrame, window.endFrame);
+        if (!features) return;
+
+        const cursorFrame = builder.getMatureCursorFrame();
+        const prefixSeconds = cursorFrame > 0 ? (window.startFrame - cursorFrame) / sampleRate : 0;
+
+        const result = await this.deps.transcriber.processV4ChunkWithFeatures({
+            features: features.features,
+            T: features.T,
+            melBins: features.melBins,
+            timeOffset: window.startFrame / sampleRate,
+            endTime: window.endFrame / sampleRate,
+            segmentId: `${cacheKey}_${window.startFrame}_${window.endFrame}`,
+            incrementalCache: prefixSeconds > 0 ? { cacheKey, prefixSeconds } : undefined,
+            stream: this.channel,
+        });
+        const inferenceMs = performance.now() - inferenceStart;
+        this.scheduler.recordInference(inferenceMs, window.durationSeconds);
+
+        // windowBuilder is cleared if stop() raced with this inference
+        if (!this.windowBuilder) return;
+        if (result.asrResult && this.tracing()) {
+            this.emit('trace', { type: 'asr', window, result: result.asrResult, matureCursorTime: result.matureCursorTime });
+        }
+        if (result.matureCursorTime > builder.getMatureCursorTime()) {
+            builder.advanceMatureCursorByTime(result.matureCursorTime);
+            builder.markSentenceEnd(Math.round(result.matureCursorTime * sampleRate));
+        }
+        this.emitResult(result);
+
+        const ring = this.ring!;
+        this.emit('metrics', {
+            window,
+            inferenceMs,
+            rtf: inferenceMs / (window.durationSeconds * 1000),
+            sentencesFinalized: result.matureSentenceCount,
+            cursorUpdates: result.stats?.matureCursorUpdates || 0,
+            utterancesProcessed: result.stats?.utterancesProcessed || 0,
+            bufferFillRatio: ring.getFillCount() / ring.getSize(),
+            bufferLatencyMs: (ring.getFillCount() / sampleRate) * 1000,
+            segmentation: result.segmentation,
+        });
+    }
+
+    /** Queue a sentence for speaker labeling; the label follows as a 'speaker' event. */
+    private labelSpeaker(tracker: SpeakerTracker, sentence: MergerSentence): void {
+        tracker.label(sentence)
+            .then((label) => {
+                if (label) this.emit('speaker', label);
+            })
+            .catch((err) => this.reportError(err));
+    }
+
+    private async finalizePending(): Promise<void> {
+        const result = await this.deps.transcriber.v4FinalizeTimeout(this.channel);
+        if (this.tracing()) {
+            this.emit('trace', { type: 'finalize', matureCursorTime: result ? result.matureCursorTime : null });
+        }
+        if (!result || !this.windowBuilder) return;
+        this.windowBuilder.advanceMatureCursorByTime(result.matureCursorTime);
+        this.emitResult(result);
+    }
+
+    private emitResult(result: Pick<V4ProcessResult, 'matureText' | 'immatureText' | 'fullText' | 'matureCursorTime' | 'newMatureSentences'>): void {
+        for (const sentence of result.newMatureSentences ?? []) {
+            const id = this.serviceEpoch > 0 ? `r${this.serviceEpoch}:${sentence.id}` : sentence.id;
+            const emitted = this.channel
+                ? { ...sentence, id: `${this.channel}:${id}`, channel: this.channel }
+                : id === sentence.id ? sentence : { ...sentence, id };
+            this.emit('sentence', emitted);
+            if (this.speakerTracker) this.labelSpeaker(this.speakerTracker, emitted);
+        }
+        const cursorTime = Math.max(result.matureCursorTime, this.cursorFloor);
+        if (result.matureText !== this.lastMatureText || cursorTime !== this.lastCursorTime) {
+            this.lastMatureText = result.matureText;
+            this.lastCursorTime = cursorTime;
+            this.emit('mature', {
+                text: result.matureText,
+                fullText: result.fullText,
+                cursorTime,
+            });
+        }
+        if (result.immatureText !== this.lastImmatureText) {
+            this.lastImmatureText = result.immatureText;
+            this.emit('immature', { text: result.immatureText, fullText: result.fullText });
+        }
+    }
+
+    private reportError(err: unknown): void {
+        const error = err instanceof Error ? err : new Error(String(err));
+        if (this.listenerCount('error') === 0) {
+            console.error('[StreamingTranscriber] Error:', error);
+        }
+        this.emit('error', error);
+    }
+}
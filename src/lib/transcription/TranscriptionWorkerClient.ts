@@ -9,7 +9,10 @@
 
 import { ModelState, ModelProgress, TranscriptionResult } from './types';
 import { TokenStreamResult, TokenStreamConfig } from './TokenStreamTranscriber';
-import type { MergerResult, UtteranceBasedMergerConfig } from './UtteranceBasedMerger';
+import type { ASRResult, MergerResult, MergerSentence, UtteranceBasedMergerConfig } from './UtteranceBasedMerger';
+import type { SentenceSegmentationInfo } from './SentenceBoundaryDetector';
+import type { ModelLoadOptions } from '../model/registry';
+import type { BackendType } from '../model/types';
 
 /** Result from v4 utterance-based processing */
 export interface V4ProcessResult {
@@ -21,7 +24,13 @@ export interface V4ProcessResult {
     totalSentences: number;
     matureSentenceCount: number;
     pendingSentence: string | null;
+    /** Sentences finalized since the previous v4 reply (with word timings) */
+    newMatureSentences?: MergerSentence[];
     stats: any;
+    /** Language and backend used for sentence boundaries (PROCESS_V4 replies only) */
+    segmentation?: SentenceSegmentationInfo;
+    /** The raw ASR result fed to the merger (PROCESS_V4 replies only) */
+    asrResult?: ASRResult;
 }
 
 /** Incremental cache parameters for v4 transcription */
@@ -30,10 +39,21 @@ export interface V4IncrementalCache {
     prefixSeconds: number;
 }
 
+/** What restart() loads again: the last model and the services built on it */
+interface LoadedModel {
+    options?: Partial<ModelLoadOptions>;
+    files?: File[];
+    backend?: BackendType;
+}
+
 export class TranscriptionWorkerClient {
-    private worker: Worker;
+    private worker!: Worker;
     private messageId = 0;
-    private pendingPromises: Map<number, { resolve: Function; reject: Function }> = new Map();
+    private pendingPromises: Map<number, { type: string; sentAt: number; resolve: Function; reject: Function }> = new Map();
+    private crashCallbacks = new Set<(message: string) => void>();
+    private lastModel: LoadedModel | null = null;
+    private lastServiceConfig: any = null;
+    private lastV3Config: TokenStreamConfig | null = null;
 
     // Callbacks for reactive updates
     public onModelProgress?: (p: ModelProgress) => void;
@@ -41,8 +61,14 @@ export class TranscriptionWorkerClient {
     public onV3Confirmed?: (text: string, words: any[]) => void;
     public onV3Pending?: (text: string, words: any[]) => void;
     public onError?: (msg: string) => void;
+    /** The WebGPU device was lost; the model has to be loaded again (e.g. on WASM) */
+    public onDeviceLost?: (reason: string) => void;
 
     constructor() {
+        this.spawn();
+    }
+
+    private spawn() {
         // Create the worker
         this.worker = new Worker(new URL('./transcription.worker.ts', import.meta.url), {
             type: 'module'
@@ -51,10 +77,19 @@ export class TranscriptionWorkerClient {
         this.worker.onmessage = (e) => this.handleMessage(e.data);
         this.worker.onerror = (e) => {
             console.error('[TranscriptionWorkerClient] Fatal Worker Error:', e);
+            this.rejectPending('Fatal background worker error');
             this.onError?.('Fatal background worker error');
+            for (const cb of this.crashCallbacks) cb(e.message || 'Fatal background worker error');
         };
     }
 
+    private rejectPending(message: string) {
+        for (const [, { reject }] of this.pendingPromises) {
+            reject(new Error(message));
+        }
+        this.pendingPromises.clear();
+    }
+
     private handleMessage(data: any) {
         const { type, payload, id } = data;
 
@@ -88,32 +123,61 @@ export class TranscriptionWorkerClient {
             case 'ERROR':
                 this.onError?.(payload);
                 break;
+            case 'DEVICE_LOST':
+                this.onDeviceLost?.(payload);
+                break;
         }
     }
 
     private sendRequest(type: string, payload?: any): Promise<any> {
         const id = this.messageId++;
         return new Promise((resolve, reject) => {
-            this.pendingPromises.set(id, { resolve, reject });
+            this.pendingPromises.set(id, { type, sentAt: Date.now(), resolve, reject });
             this.worker.postMessage({ type, payload, id });
         });
     }
 
     // API Methods
-    async initModel(modelId?: string): Promise<void> {
-        return this.sendRequest('INIT_MODEL', { modelId });
+    /**
+     * Load a registry model: a model id alone, or repo and quantization (see toLoadOptions).
+     * Resolves to the backend it runs on.
+     */
+    async initModel(model?: string | ModelLoadOptions): Promise<{ backend: BackendType }> {
+        const options = typeof model === 'object' ? model : { modelId: model };
+        const result = await this.sendRequest('INIT_MODEL', options);
+        this.lastModel = { options };
+        return result;
     }
 
-    async initLocalModel(files: FileList | File[]): Promise<void> {
-        return this.sendRequest('LOAD_LOCAL_MODEL', Array.from(files));
+    async initLocalModel(files: FileList | File[], backend?: BackendType): Promise<{ backend: BackendType }> {
+        const fileArray = Array.from(files);
+        const result = await this.sendRequest('LOAD_LOCAL_MODEL', { files: fileArray, backend });
+        this.lastModel = { files: fileArray, backend };
+        return result;
+    }
+
+    /**
+     * Load the last model again on another backend (e.g. WASM after the GPU
+     * was lost). Services keep running on the reloaded model.
+     */
+    async switchBackend(backend: BackendType): Promise<{ backend: BackendType }> {
+        const model = this.lastModel;
+        if (!model) throw new Error('No model loaded');
+        if (model.files) return this.initLocalModel(model.files, backend);
+        const options = { ...model.options, backend };
+        const result = await this.sendRequest('INIT_MODEL', options);
+        this.lastModel = { options };
+        return result;
     }
 
     async initService(config: any): Promise<void> {
-        return this.sendRequest('INIT_SERVICE', { config });
+        await this.sendRequest('INIT_SERVICE', { config });
+        this.lastServiceConfig = config;
     }
 
     async initV3Service(config: TokenStreamConfig): Promise<void> {
-        return this.sendRequest('INIT_V3_SERVICE', { config });
+        await this.sendRequest('INIT_V3_SERVICE', { config });
+        this.lastV3Config = config;
     }
 
     async processChunk(audio: Float32Array): Promise<TranscriptionResult> {
@@ -148,7 +212,7 @@ export class TranscriptionWorkerClient {
         return this.sendRequest('RESET');
     }
 
-    async finalize(): Promise<TranscriptionResult | TokenStreamResult | MergerResult | { text: string }> {
+    async finalize(): Promise<TranscriptionResult | TokenStreamResult | (MergerResult & { newMatureSentences?: MergerSentence[] }) | { text: string }> {
         return this.sendRequest('FINALIZE');
     }
 
@@ -156,9 +220,10 @@ export class TranscriptionWorkerClient {
 
     /**
      * Initialize the v4 utterance-based merger in the worker.
+     * @param stream - Merger instance to (re)create; independent audio sources use separate streams
      */
-    async initV4Service(config?: Partial<UtteranceBasedMergerConfig>): Promise<void> {
-        return this.sendRequest('INIT_V4_SERVICE', { config: config || {} });
+    async initV4Service(config?: Partial<UtteranceBasedMergerConfig>, stream?: string): Promise<void> {
+        return this.sendRequest('INIT_V4_SERVICE', { config: config || {}, stream });
     }
 
     /**
@@ -173,6 +238,8 @@ export class TranscriptionWorkerClient {
         endTime?: number;
         segmentId?: string;
         incrementalCache?: V4IncrementalCache;
+        /** Merger instance (see initV4Service) */
+        stream?: string;
     }): Promise<V4ProcessResult> {
         return this.sendRequest('PROCESS_V4_CHUNK_WITH_FEATURES', params);
     }
@@ -181,19 +248,63 @@ export class TranscriptionWorkerClient {
      * Trigger timeout-based finalization of the pending sentence in the merger.
      * Call this when VAD detects extended silence.
      */
-    async v4FinalizeTimeout(): Promise<V4ProcessResult | null> {
-        return this.sendRequest('V4_FINALIZE_TIMEOUT');
+    async v4FinalizeTimeout(stream?: string): Promise<V4ProcessResult | null> {
+        return this.sendRequest('V4_FINALIZE_TIMEOUT', { stream });
     }
 
     /**
      * Reset the v4 merger state.
      */
-    async v4Reset(): Promise<void> {
-        return this.sendRequest('V4_RESET');
+    async v4Reset(stream?: string): Promise<void> {
+        return this.sendRequest('V4_RESET', { stream });
+    }
+
+    // ---- Supervision ----
+
+    /** Round trip to the worker; resolves once it answers (inference may delay it). */
+    async ping(): Promise<void> {
+        await this.sendRequest('PING');
+    }
+
+    /**
+     * When (Date.now()) the oldest request other than a ping was sent, or null
+     * if none is waiting. Loading a model or a long inference keeps the worker
+     * from answering pings, so the supervisor does not count them as missed
+     * until that request has been waiting too long.
+     */
+    busySince(): number | null {
+        for (const { type, sentAt } of this.pendingPromises.values()) {
+            if (type !== 'PING') return sentAt;
+        }
+        return null;
+    }
+
+    /** Called with the error message when the worker throws or fails to load. */
+    onCrash(callback: (message: string) => void): () => void {
+        this.crashCallbacks.add(callback);
+        return () => this.crashCallbacks.delete(callback);
+    }
+
+    /**
+     * Replace the worker with a fresh one and load the last model and v1/v3
+     * services again. v4 mergers are not restored: their owners start new
+     * sessions (see StreamingTranscriber.resetService).
+     */
+    async restart(): Promise<void> {
+        this.worker.terminate();
+        this.rejectPending('Transcription worker restarted');
+        this.spawn();
+        const model = this.lastModel;
+        if (!model) return;
+        if (model.files) await this.initLocalModel(model.files, model.backend);
+        else await this.sendRequest('INIT_MODEL', model.options);
+        if (this.lastServiceConfig) await this.initService(this.lastServiceConfig);
+        if (this.lastV3Config) await this.initV3Service(this.lastV3Config);
     }
 
     dispose() {
         this.worker.terminate();
         this.pendingPromises.clear();
+        this.crashCallbacks.clear();
     }
 }
@@ -2,7 +2,8 @@
  * UtteranceBasedMerger.ts
  *
  * A sentence-based transcription merging approach that processes progressive
- * utterance texts. Sentences are detected via winkNLP and finalized once a
+ * utterance texts. Sentences are detected by SentenceBoundaryDetector (winkNLP
+ * for English, Intl.Segmenter for other languages) and finalized once a
  * following sentence appears (proving the previous one is stable).
  *
  * Ported from legacy UI project/src/UtteranceBasedMerger.js to TypeScript,
@@ -16,7 +17,9 @@ import {
     SentenceBoundaryDetector,
     type DetectorWord,
     type SentenceEndingWord,
+    type SentenceSegmentationInfo,
 } from './SentenceBoundaryDetector';
+import type { SentenceSegmenterPreference } from './sentenceSegmenters';
 
 // ---- Public types ----
 
@@ -53,6 +56,16 @@ export interface MergerSentence {
     timestamp?: number;
     wordEndTime?: number;
     sentenceEndingWord?: SentenceEndingWord;
+    /** Merger output before text rules rewrote `text` (see lib/text) */
+    originalText?: string;
+    /** Text edited by the user (see lib/text/corrections) */
+    corrected?: boolean;
+    /** Audio channel label when several sources are transcribed (see StreamingTranscriberConfig.channel) */
+    channel?: string;
+    /** Speaker id from on-device speaker clustering (see lib/speakers); display names are kept by the app */
+    speaker?: string;
+    /** Line or paragraph break before the sentence, from a dictation command (see lib/commands) */
+    breakBefore?: 'line' | 'paragraph';
 }
 
 /** The result returned from processASRResult */
@@ -68,6 +81,8 @@ export interface MergerResult {
     pendingSentence: MergerSentence | null;
     usedPreciseTimestamps: boolean;
     stats: MergerStats;
+    /** Language and backend used for sentence boundaries */
+    segmentation: SentenceSegmentationInfo;
     utteranceCount: number;
     lastUtteranceText: string;
 }
@@ -84,6 +99,10 @@ export interface MergerStats {
 export interface UtteranceBasedMergerConfig {
     debug: boolean;
     useNLP: boolean;
+    /** Session language for sentence boundaries, or 'auto' to detect it (see SentenceBoundaryDetectorConfig) */
+    language: string;
+    /** Sentence boundary backend (default 'auto') */
+    sentenceSegmenter: SentenceSegmenterPreference;
     minSentenceLength: number;
     requireFollowingSentence: boolean;
     matureSentenceOffset: number;
@@ -151,6 +170,8 @@ export class UtteranceBasedMerger {
         this.config = {
             debug: false,
             useNLP: true,
+            language: 'auto',
+            sentenceSegmenter: 'auto',
             minSentenceLength: 10,
             requireFollowingSentence: true,
             matureSentenceOffset: -2,
@@ -163,6 +184,8 @@ export class UtteranceBasedMerger {
 
         this.sentenceDetector = new SentenceBoundaryDetector({
             useNLP: this.config.useNLP,
+            language: this.config.language,
+            segmenter: this.config.sentenceSegmenter,
             debug: this.config.debug,
             minSentenceLength: this.config.minSentenceLength,
         });
@@ -614,6 +637,7 @@ export class UtteranceBasedMerger {
             pendingSentence: this.pendingSentence,
             usedPreciseTimestamps: sentenceResult?.usedPreciseTimestamps || false,
             stats: { ...this.stats },
+            segmentation: this.getSegmentation(),
             utteranceCount: this.utterances.length,
             lastUtteranceText: this.currentUtteranceText,
         };
@@ -726,6 +750,7 @@ export class UtteranceBasedMerger {
         };
 
         this.sentenceDetector.reset();
+        this.sentenceDetector.resetLanguage();
 
         if (this.config.debug) {
             console.log('[UtteranceMerger] Reset complete');
@@ -741,10 +766,14 @@ export class UtteranceBasedMerger {
         if (
             newConfig.debug !== undefined ||
             newConfig.minSentenceLength !== undefined ||
-            newConfig.useNLP !== undefined
+            newConfig.useNLP !== undefined ||
+            newConfig.language !== undefined ||
+            newConfig.sentenceSegmenter !== undefined
         ) {
             this.sentenceDetector.updateConfig({
                 useNLP: this.config.useNLP,
+                language: this.config.language,
+                segmenter: this.config.sentenceSegmenter,
                 debug: this.config.debug,
                 minSentenceLength: this.config.minSentenceLength,
             });
@@ -755,6 +784,14 @@ export class UtteranceBasedMerger {
         }
     }
 
+    /**
+     * Language and backend currently used for sentence boundaries.
+     */
+    getSegmentation(): SentenceSegmentationInfo {
+        const { language, languageDetected, segmenter } = this.sentenceDetector.getStats();
+        return { language, languageDetected, segmenter };
+    }
+
     /**
      * Get current statistics.
      */
@@ -8,4 +8,29 @@ export { TranscriptionService } from './TranscriptionService';
 export { TokenStreamTranscriber } from './TokenStreamTranscriber';
 export type { TokenStreamConfig, TokenStreamCallbacks, TokenStreamResult } from './TokenStreamTranscriber';
 export { TranscriptionWorkerClient } from './TranscriptionWorkerClient';
-export type { MergerResult } from './UtteranceBasedMerger';
+export type { ASRResult, ASRWord, MergerResult, MergerSentence } from './UtteranceBasedMerger';
+export { StreamingTranscriber, createStreamingBufferConfig } from './StreamingTranscriber';
+export type {
+    StreamingTranscriberDeps,
+    StreamingTranscriberConfig,
+    StreamingTranscriberTuning,
+    StreamingTranscriberEvents,
+    StreamingMatureEvent,
+    StreamingImmatureEvent,
+    StreamingMetrics,
+    StreamingVadEvent,
+    StreamingBuffer,
+    StreamingInferenceVad,
+    StreamingRunConfig,
+    StreamingTraceEvent,
+} from './StreamingTranscriber';
+export { FileTranscriber } from './FileTranscriber';
+export type { FileTranscriberDeps, FileTranscriberConfig, FileTranscriberCallbacks, FileTranscriptionProgress, FileTranscriptionStatus } from './FileTranscriber';
+export { SentenceBoundaryDetector } from './SentenceBoundaryDetector';
+export type { SentenceBoundaryDetectorConfig, SentenceBoundaryDetectorStats, SentenceSegmentationInfo } from './SentenceBoundaryDetector';
+export { createSentenceSegmenter, WinkSentenceSegmenter, IntlSentenceSegmenter, HeuristicSentenceSegmenter } from './sentenceSegmenters';
+export type { SentenceSegmenter, SentenceSegmenterKind, SentenceSegmenterPreference, DetectedSentence } from './sentenceSegmenters';
+export { LANGUAGE_RULES, SENTENCE_LANGUAGES, getLanguageRules, detectLanguage } from './sentenceLanguages';
+export type { LanguageRules, LanguageGuess } from './sentenceLanguages';
+export { InferenceScheduler, DEFAULT_INFERENCE_SCHEDULER_CONFIG } from './InferenceScheduler';
+export type { InferenceSchedulerConfig, InferenceSchedulerStats, InferenceSchedulerMode } from './InferenceScheduler';
@@ -0,0 +1,152 @@
+/**
+ * sentenceLanguages.ts
+ *
+ * Per-language sentence rules for the sentence boundary backends:
+ * abbreviations that end in a period without ending the sentence, sentence
+ * terminators, and month names that make "3." an ordinal date. Also a
+ * lightweight stopword/script language detector for sessions whose language
+ * is set to 'auto'.
+ */
+
+/** Sentence rules for one language */
+export interface LanguageRules {
+    /** Display name (in the language itself) */
+    name: string;
+    /** Lowercase abbreviations including their final period, e.g. 'z.b.' */
+    abbreviations: string[];
+    /** Characters that end a sentence */
+    terminators: string;
+    /** Lowercase month names; "<number>. <month>" is a date, not a sentence end */
+    months?: string[];
+}
+
+const LATIN_TERMINATORS = '.?!…';
+
+export const LANGUAGE_RULES: Record<string, LanguageRules> = {
+    en: {
+        name: 'English',
+        abbreviations: ['mr.', 'mrs.', 'ms.', 'dr.', 'prof.', 'st.', 'vs.', 'e.g.', 'i.e.', 'jr.', 'sr.', 'inc.', 'ltd.', 'approx.', 'no.'],
+        terminators: LATIN_TERMINATORS,
+    },
+    de: {
+        name: 'Deutsch',
+        abbreviations: ['z.b.', 'bzw.', 'usw.', 'ca.', 'dr.', 'prof.', 'nr.', 'str.', 'd.h.', 'u.a.', 'evtl.', 'ggf.', 'vgl.', 'inkl.', 'hr.', 'fr.', 'bspw.', 'sog.', 'etc.', 'u.s.w.'],
+        terminators: LATIN_TERMINATORS,
+        months: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+    },
+    es: {
+        name: 'Español',
+        abbreviations: ['sr.', 'sra.', 'srta.', 'dr.', 'dra.', 'ud.', 'uds.', 'etc.', 'p.ej.', 'aprox.', 'núm.', 'pág.', 'av.', 'lic.', 'ing.', 'prof.'],
+        terminators: LATIN_TERMINATORS,
+    },
+    fr: {
+        name: 'Français',
+        abbreviations: ['m.', 'mme.', 'mlle.', 'dr.', 'etc.', 'p.ex.', 'env.', 'st.', 'ste.', 'av.', 'prof.'],
+        terminators: LATIN_TERMINATORS,
+    },
+    it: {
+        name: 'Italiano',
+        abbreviations: ['sig.', 'sig.ra.', 'dott.', 'prof.', 'ecc.', 'ing.', 'avv.', 'es.', 'dr.'],
+        terminators: LATIN_TERMINATORS,
+    },
+    pt: {
+        name: 'Português',
+        abbreviations: ['sr.', 'sra.', 'dr.', 'dra.', 'etc.', 'p.ex.', 'av.', 'prof.', 'exmo.'],
+        terminators: LATIN_TERMINATORS,
+    },
+    nl: {
+        name: 'Nederlands',
+        abbreviations: ['dhr.', 'mevr.', 'dr.', 'bijv.', 'enz.', 'o.a.', 'ca.', 'nr.', 'd.w.z.', 'prof.'],
+        terminators: LATIN_TERMINATORS,
+        months: ['januari', 'februari', 'maart', 'april', 'mei', 'juni', 'juli', 'augustus', 'september', 'oktober', 'november', 'december'],
+    },
+    pl: {
+        name: 'Polski',
+        abbreviations: ['np.', 'itd.', 'itp.', 'dr.', 'prof.', 'tzn.', 'ok.', 'ul.', 'nr.', 'wg.', 'tj.'],
+        terminators: LATIN_TERMINATORS,
+        months: ['stycznia', 'lutego', 'marca', 'kwietnia', 'maja', 'czerwca', 'lipca', 'sierpnia', 'września', 'października', 'listopada', 'grudnia'],
+    },
+    sv: {
+        name: 'Svenska',
+        abbreviations: ['t.ex.', 'bl.a.', 'osv.', 'dvs.', 'ca.', 'nr.', 's.k.', 'dr.'],
+        terminators: LATIN_TERMINATORS,
+    },
+    ru: {
+        name: 'Русский',
+        abbreviations: ['т.е.', 'т.д.', 'т.п.', 'др.', 'г.', 'им.', 'ул.', 'стр.', 'см.', 'проф.'],
+        terminators: LATIN_TERMINATORS,
+    },
+    uk: {
+        name: 'Українська',
+        abbreviations: ['т.д.', 'т.п.', 'ін.', 'див.', 'вул.', 'р.', 'проф.'],
+        terminators: LATIN_TERMINATORS,
+    },
+    el: {
+        name: 'Ελληνικά',
+        abbreviations: ['κ.', 'κα.', 'π.χ.', 'δηλ.', 'κτλ.', 'κλπ.'],
+        // Greek uses ";" (and U+037E) as its question mark
+        terminators: `${LATIN_TERMINATORS};\u037E`,
+    },
+};
+
+/** Language codes with sentence rules, for settings menus */
+export const SENTENCE_LANGUAGES = Object.keys(LANGUAGE_RULES);
+
+/** Rules for a language code ('de', 'de-AT'); English rules for unknown languages. */
+export function getLanguageRules(language: string): LanguageRules {
+    const base = language.toLowerCase().split(/[-_]/)[0];
+    return LANGUAGE_RULES[base] ?? LANGUAGE_RULES.en;
+}
+
+// ---- Language detection ----
+
+/** Frequent short words; a text's language is the one whose words it uses most. */
+const STOPWORDS: Record<string, string[]> = {
+    en: ['the', 'and', 'is', 'are', 'was', 'that', 'this', 'with', 'for', 'you', 'have', 'not', 'what', 'it', 'of', 'to', 'we', 'they', 'be', 'will'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'wir', 'sie', 'mit', 'auf', 'ein', 'eine', 'auch', 'es', 'zu', 'den', 'dem', 'sind', 'haben'],
+    es: ['el', 'la', 'los', 'las', 'que', 'y', 'es', 'en', 'un', 'una', 'por', 'para', 'con', 'no', 'se', 'lo', 'del', 'está', 'pero', 'muy'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'que', 'un', 'une', 'des', 'pour', 'dans', 'pas', 'nous', 'vous', 'je', 'ce', 'avec', 'sur', 'qui', 'du'],
+    it: ['il', 'la', 'che', 'e', 'è', 'di', 'un', 'una', 'per', 'non', 'sono', 'con', 'questo', 'della', 'gli', 'anche', 'ma', 'come', 'nel', 'lo'],
+    pt: ['o', 'a', 'os', 'que', 'e', 'é', 'um', 'uma', 'para', 'não', 'com', 'do', 'da', 'em', 'se', 'mas', 'muito', 'isso', 'eu', 'nós'],
+    nl: ['de', 'het', 'een', 'en', 'is', 'van', 'dat', 'niet', 'ik', 'we', 'ze', 'met', 'op', 'zijn', 'voor', 'maar', 'ook', 'er', 'dit', 'wat'],
+    pl: ['i', 'w', 'na', 'nie', 'to', 'się', 'że', 'jest', 'z', 'do', 'jak', 'ale', 'co', 'tak', 'dla', 'mnie', 'być', 'już', 'jestem', 'bardzo'],
+    sv: ['och', 'är', 'att', 'det', 'som', 'en', 'på', 'inte', 'jag', 'vi', 'med', 'för', 'har', 'de', 'av', 'till', 'den', 'men', 'om', 'så'],
+    ru: ['и', 'в', 'не', 'что', 'на', 'я', 'он', 'с', 'это', 'как', 'по', 'но', 'мы', 'вы', 'так', 'все', 'было', 'есть', 'только', 'уже'],
+    uk: ['і', 'в', 'не', 'що', 'на', 'я', 'він', 'з', 'це', 'як', 'але', 'ми', 'ви', 'так', 'все', 'було', 'є', 'тільки', 'вже', 'та'],
+    el: ['και', 'το', 'η', 'ο', 'να', 'είναι', 'σε', 'δεν', 'τα', 'για', 'με', 'που', 'την', 'της', 'του', 'θα', 'από', 'μια', 'ένα', 'αλλά'],
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words)])
+) as Record<string, Set<string>>;
+
+export interface LanguageGuess {
+    language: string;
+    /** Share of scored words that were this language's stopwords, minus the runner-up's share (0-1) */
+    confidence: number;
+}
+
+/** Minimum words before a guess is made */
+const MIN_DETECTION_WORDS = 8;
+
+/**
+ * Guess the language of a text from its script and stopwords. Returns null
+ * for short or ambiguous text.
+ */
+export function detectLanguage(text: string): LanguageGuess | null {
+    const words = text.toLowerCase().match(/[\p{L}']+/gu) ?? [];
+    if (words.length < MIN_DETECTION_WORDS) return null;
+
+    if (/\p{Script=Greek}/u.test(text)) return { language: 'el', confidence: 1 };
+    const cyrillic = /\p{Script=Cyrillic}/u.test(text);
+    if (cyrillic && /[іїєґ]/u.test(text)) return { language: 'uk', confidence: 1 };
+
+    const candidates = Object.keys(STOPWORD_SETS).filter((lang) => cyrillic === (lang === 'ru' || lang === 'uk'));
+    const scores = candidates
+        .map((language) => ({ language, hits: words.filter((w) => STOPWORD_SETS[language].has(w)).length }))
+        .sort((a, b) => b.hits - a.hits);
+    const [best, second] = scores;
+    if (!best || best.hits === 0) return null;
+    const confidence = (best.hits - (second?.hits ?? 0)) / words.length;
+    return confidence > 0 ? { language: best.language, confidence } : null;
+}
@@ -0,0 +1,160 @@
+/**
+ * sentenceSegmenters.ts
+ *
+ * Pluggable sentence boundary backends for SentenceBoundaryDetector. Each
+ * backend splits a text into sentences with end positions; the detector maps
+ * those back to words.
+ *
+ * - 'wink': winkNLP with the English model (the original backend)
+ * - 'intl': Intl.Segmenter for the session language
+ * - 'heuristic': terminal punctuation, for browsers without Intl.Segmenter
+ *
+ * 'intl' and 'heuristic' rejoin splits that the language's rules say are not
+ * sentence ends: known abbreviations, "3. Oktober" style dates, and a
+ * following lowercase word.
+ */
+
+import winkNLP from 'wink-nlp';
+import model from 'wink-eng-lite-web-model';
+import { getLanguageRules, type LanguageRules } from './sentenceLanguages';
+
+/** A detected sentence with position metadata */
+export interface DetectedSentence {
+    text: string;
+    endPos: number;
+}
+
+export type SentenceSegmenterKind = 'wink' | 'intl' | 'heuristic';
+
+/** Backend preference; 'auto' uses winkNLP for English and Intl.Segmenter otherwise */
+export type SentenceSegmenterPreference = SentenceSegmenterKind | 'auto';
+
+export interface SentenceSegmenter {
+    readonly kind: SentenceSegmenterKind;
+    readonly language: string;
+    segment(text: string): DetectedSentence[];
+}
+
+const escapeRegExp = (s: string) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Last whitespace-separated token of a text, lowercased and without opening quotes/brackets */
+const lastToken = (text: string) =>
+    (text.trimEnd().split(/\s+/).pop() ?? '').toLowerCase().replace(/^[("'“‘«¿¡]+/, '');
+
+/** First letter of a text, skipping quotes, brackets and inverted marks */
+const firstLetter = (text: string) => text.match(/\p{L}/u)?.[0] ?? '';
+
+const startsLowercase = (text: string) => {
+    const letter = firstLetter(text);
+    return letter !== '' && letter !== letter.toUpperCase() && letter === letter.toLowerCase();
+};
+
+/** Whether the boundary between `before` and `after` is not a sentence end under `rules` */
+export function isFalseBoundary(before: string, after: string, rules: LanguageRules): boolean {
+    const token = lastToken(before);
+    if (rules.abbreviations.includes(token)) return true;
+    if (rules.months && /^\d{1,2}\.$/.test(token)) {
+        const next = (after.trim().split(/\s+/)[0] ?? '').toLowerCase().replace(/[^\p{L}]/gu, '');
+        if (rules.months.includes(next)) return true;
+    }
+    return startsLowercase(after);
+}
+
+/** Join sentences whose boundary is not a sentence end. */
+function mergeFalseBoundaries(text: string, sentences: DetectedSentence[], rules: LanguageRules): DetectedSentence[] {
+    const merged: DetectedSentence[] = [];
+    let start = 0;
+    for (let i = 0; i < sentences.length; i++) {
+        const sentence = sentences[i];
+        const next = sentences[i + 1];
+        if (next && isFalseBoundary(sentence.text, next.text, rules)) continue;
+        const segmentText = text.slice(start, sentence.endPos).trim();
+        if (segmentText) merged.push({ text: segmentText, endPos: sentence.endPos });
+        start = sentence.endPos;
+    }
+    return merged;
+}
+
+export class WinkSentenceSegmenter implements SentenceSegmenter {
+    readonly kind = 'wink' as const;
+    readonly language = 'en';
+    private nlp = winkNLP(model, ['sbd']);
+
+    segment(text: string): DetectedSentence[] {
+        const sentences: DetectedSentence[] = [];
+        let currentPos = 0;
+        for (const sentenceText of this.nlp.readDoc(text).sentences().out() as string[]) {
+            const sentenceStart = text.indexOf(sentenceText, currentPos);
+            if (sentenceStart === -1) continue;
+            currentPos = sentenceStart + sentenceText.length;
+            sentences.push({ text: sentenceText, endPos: currentPos });
+        }
+        return sentences;
+    }
+}
+
+export class IntlSentenceSegmenter implements SentenceSegmenter {
+    readonly kind = 'intl' as const;
+    private segmenter: Intl.Segmenter;
+    private rules: LanguageRules;
+
+    constructor(readonly language: string) {
+        this.segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
+        this.rules = getLanguageRules(language);
+    }
+
+    static isSupported(): boolean {
+        return typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function';
+    }
+
+    segment(text: string): DetectedSentence[] {
+        const sentences: DetectedSentence[] = [];
+        for (const { segment, index } of this.segmenter.segment(text)) {
+            const trimmed = segment.trimEnd();
+            if (trimmed.trim()) sentences.push({ text: trimmed.trim(), endPos: index + trimmed.length });
+        }
+        return mergeFalseBoundaries(text, sentences, this.rules);
+    }
+}
+
+export class HeuristicSentenceSegmenter implements SentenceSegmenter {
+    readonly kind = 'heuristic' as const;
+    private rules: LanguageRules;
+    private boundary: RegExp;
+
+    constructor(readonly language: string) {
+        this.rules = getLanguageRules(language);
+        // Terminators, then closing quotes/brackets, then whitespace or the end
+        this.boundary = new RegExp(`[${escapeRegExp(this.rules.terminators)}]+["'”’»)\\]]*(?=\\s|$)`, 'gu');
+    }
+
+    segment(text: string): DetectedSentence[] {
+        const sentences: DetectedSentence[] = [];
+        let start = 0;
+        for (const match of text.matchAll(this.boundary)) {
+            const endPos = match.index! + match[0].length;
+            const sentenceText = text.slice(start, endPos).trim();
+            if (sentenceText) sentences.push({ text: sentenceText, endPos });
+            start = endPos;
+        }
+        // Unterminated tail, as the other backends report it
+        const tail = text.slice(start).trim();
+        if (tail) sentences.push({ text: tail, endPos: text.trimEnd().length });
+        return mergeFalseBoundaries(text, sentences, this.rules);
+    }
+}
+
+/**
+ * Backend for a language. 'auto' keeps winkNLP for English and uses
+ * Intl.Segmenter for other languages, or the heuristic where it is missing.
+ */
+export function createSentenceSegmenter(
+    language: string,
+    preference: SentenceSegmenterPreference = 'auto'
+): SentenceSegmenter {
+    const isEnglish = language.toLowerCase().startsWith('en');
+    const kind = preference === 'auto' ? (isEnglish ? 'wink' : 'intl') : preference;
+    if (kind === 'wink') return new WinkSentenceSegmenter();
+    if (kind === 'intl' && IntlSentenceSegmenter.isSupported()) return new IntlSentenceSegmenter(language);
+    return new HeuristicSentenceSegmenter(language);
+}
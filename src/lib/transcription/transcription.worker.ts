@@ -12,14 +12,51 @@
 import { ParakeetModel, getParakeetModel } from 'parakeet.js';
 import { TranscriptionService } from './TranscriptionService';
 import { TokenStreamTranscriber } from './TokenStreamTranscriber';
-import { ModelManager } from './ModelManager';
+import { ModelManager, isDeviceLostError } from './ModelManager';
 import { UtteranceBasedMerger } from './UtteranceBasedMerger';
-import type { ASRResult, MergerResult } from './UtteranceBasedMerger';
+import type { ASRResult, MergerResult, MergerSentence } from './UtteranceBasedMerger';
 
 let modelManager: ModelManager | null = null;
 let transcriptionService: TranscriptionService | null = null;
 let tokenStreamTranscriber: TokenStreamTranscriber | null = null;
-let utteranceMerger: UtteranceBasedMerger | null = null;
+
+/**
+ * v4 merger state per stream. Independent audio sources (e.g. microphone and
+ * tab audio) each get their own merger; requests without a stream id use
+ * DEFAULT_V4_STREAM.
+ */
+interface V4Stream {
+    merger: UtteranceBasedMerger;
+    // Number of mature sentences already sent to the main thread. The merger prunes
+    // its own history, so the main thread accumulates the full session from these deltas.
+    reportedMatureCount: number;
+}
+const DEFAULT_V4_STREAM = 'default';
+const v4Streams = new Map<string, V4Stream>();
+
+// Streams share the model, so their inferences run one at a time
+let inferenceChain: Promise<unknown> = Promise.resolve();
+function runExclusive<T>(task: () => Promise<T>): Promise<T> {
+    const run = inferenceChain.then(task, task);
+    inferenceChain = run.catch(() => {});
+    return run;
+}
+
+function getV4Stream(id: string | undefined): V4Stream {
+    const stream = v4Streams.get(id ?? DEFAULT_V4_STREAM);
+    if (!stream) {
+        throw new Error('UtteranceBasedMerger not initialized');
+    }
+    return stream;
+}
+
+/** Mature sentences created since the previous v4 reply for this stream. */
+function takeNewMatureSentences(stream: V4Stream, result: MergerResult): MergerSentence[] {
+    const created = result.stats.matureSentencesCreated;
+    const count = Math.min(created - stream.reportedMatureCount, result.allMatureSentences.length);
+    stream.reportedMatureCount = created;
+    return count > 0 ? result.allMatureSentences.slice(-count) : [];
+}
 
 // Mock callbacks for ModelManager
 const modelCallbacks = {
@@ -31,6 +68,9 @@ const modelCallbacks = {
     },
     onError: (e: Error) => {
         postMessage({ type: 'ERROR', payload: e.message });
+    },
+    onDeviceLost: (reason: string) => {
+        postMessage({ type: 'DEVICE_LOST', payload: reason });
     }
 };
 
@@ -54,7 +94,7 @@ self.onmessage = async (e: MessageEvent) => {
                     modelManager = new ModelManager(modelCallbacks);
                 }
                 await modelManager.loadModel(payload);
-                postMessage({ type: 'INIT_MODEL_DONE', id });
+                postMessage({ type: 'INIT_MODEL_DONE', id, payload: { backend: modelManager.getBackend() } });
                 break;
 
             case 'LOAD_LOCAL_MODEL':
@@ -62,8 +102,8 @@ self.onmessage = async (e: MessageEvent) => {
                     modelManager = new ModelManager(modelCallbacks);
                 }
                 // FileList can't be easily sent, but File can be part of Transferable or just sent as is
-                await modelManager.loadLocalModel(payload);
-                postMessage({ type: 'INIT_MODEL_DONE', id });
+                await modelManager.loadLocalModel(payload.files, payload.backend);
+                postMessage({ type: 'INIT_MODEL_DONE', id, payload: { backend: modelManager.getBackend() } });
                 break;
 
             case 'INIT_SERVICE':
@@ -169,14 +209,18 @@ self.onmessage = async (e: MessageEvent) => {
                 if (tokenStreamTranscriber) {
                     const final = tokenStreamTranscriber.finalize();
                     postMessage({ type: 'FINALIZE_DONE', payload: { text: final.fullText }, id });
-                } else if (utteranceMerger) {
+                } else if (v4Streams.has(DEFAULT_V4_STREAM)) {
                     // For v4 utterance mode, finalize pending sentence
-                    const flushResult = utteranceMerger.finalizePendingSentenceByTimeout();
-                    const mergerResult = flushResult || {
-                        matureText: utteranceMerger.getMatureText(),
-                        immatureText: utteranceMerger.getImmatureText(),
-                        matureCursorTime: utteranceMerger.getMatureCursorTime(),
-                    };
+                    const stream = getV4Stream(DEFAULT_V4_STREAM);
+                    const flushResult = stream.merger.finalizePendingSentenceByTimeout();
+                    const mergerResult = flushResult
+                        ? { ...flushResult, newMatureSentences: takeNewMatureSentences(stream, flushResult) }
+                        : {
+                            matureText: stream.merger.getMatureText(),
+                            immatureText: stream.merger.getImmatureText(),
+                            matureCursorTime: stream.merger.getMatureCursorTime(),
+                            newMatureSentences: [],
+                        };
                     postMessage({ type: 'FINALIZE_DONE', payload: mergerResult, id });
                 } else if (transcriptionService) {
                     const finalResult = transcriptionService.finalize();
@@ -190,7 +234,10 @@ self.onmessage = async (e: MessageEvent) => {
                 if (!modelManager) {
                     throw new Error('ModelManager not initialized');
                 }
-                utteranceMerger = new UtteranceBasedMerger(payload.config || {});
+                v4Streams.set(payload.stream ?? DEFAULT_V4_STREAM, {
+                    merger: new UtteranceBasedMerger(payload.config || {}),
+                    reportedMatureCount: 0,
+                });
                 postMessage({ type: 'INIT_V4_SERVICE_DONE', id });
                 break;
             }
@@ -199,9 +246,7 @@ self.onmessage = async (e: MessageEvent) => {
                 if (!modelManager) {
                     throw new Error('ModelManager not initialized');
                 }
-                if (!utteranceMerger) {
-                    throw new Error('UtteranceBasedMerger not initialized');
-                }
+                const stream = getV4Stream(payload.stream);
 
                 const model = modelManager.getModel();
                 if (!model) {
@@ -209,7 +254,7 @@ self.onmessage = async (e: MessageEvent) => {
                 }
 
                 // Transcribe using pre-computed mel features
-                const v4TranscribeResult = await model.transcribe(null, 16000, {
+                const v4TranscribeResult = await runExclusive<any>(() => model.transcribe(null, 16000, {
                     precomputedFeatures: {
                         features: payload.features,
                         T: payload.T,
@@ -226,7 +271,7 @@ self.onmessage = async (e: MessageEvent) => {
                             prefixSeconds: payload.incrementalCache.prefixSeconds,
                         },
                     } : {}),
-                });
+                }));
 
                 // Feed ASR result into the utterance merger
                 const asrResult: ASRResult = {
@@ -241,7 +286,7 @@ self.onmessage = async (e: MessageEvent) => {
                     segment_id: payload.segmentId,
                 };
 
-                const v4MergerResult = utteranceMerger.processASRResult(asrResult);
+                const v4MergerResult = stream.merger.processASRResult(asrResult);
 
                 postMessage({
                     type: 'PROCESS_V4_CHUNK_WITH_FEATURES_DONE',
@@ -257,7 +302,11 @@ self.onmessage = async (e: MessageEvent) => {
                         totalSentences: v4MergerResult.totalSentences,
                         matureSentenceCount: v4MergerResult.allMatureSentences.length,
                         pendingSentence: v4MergerResult.pendingSentence?.text || null,
+                        newMatureSentences: takeNewMatureSentences(stream, v4MergerResult),
                         stats: v4MergerResult.stats,
+                        segmentation: v4MergerResult.segmentation,
+                        // Exactly what the merger saw, for session traces
+                        asrResult,
                     },
                     id,
                 });
@@ -265,10 +314,8 @@ self.onmessage = async (e: MessageEvent) => {
             }
 
             case 'V4_FINALIZE_TIMEOUT': {
-                if (!utteranceMerger) {
-                    throw new Error('UtteranceBasedMerger not initialized');
-                }
-                const timeoutResult = utteranceMerger.finalizePendingSentenceByTimeout();
+                const stream = getV4Stream(payload?.stream);
+                const timeoutResult = stream.merger.finalizePendingSentenceByTimeout();
                 postMessage({
                     type: 'V4_FINALIZE_TIMEOUT_DONE',
                     payload: timeoutResult ? {
@@ -276,6 +323,7 @@ self.onmessage = async (e: MessageEvent) => {
                         immatureText: timeoutResult.immatureText,
                         matureCursorTime: timeoutResult.matureCursorTime,
                         fullText: timeoutResult.fullText,
+                        newMatureSentences: takeNewMatureSentences(stream, timeoutResult),
                     } : null,
                     id,
                 });
@@ -283,18 +331,27 @@ self.onmessage = async (e: MessageEvent) => {
             }
 
             case 'V4_RESET': {
-                if (utteranceMerger) {
-                    utteranceMerger.reset();
+                const stream = v4Streams.get(payload?.stream ?? DEFAULT_V4_STREAM);
+                if (stream) {
+                    stream.merger.reset();
+                    stream.reportedMatureCount = 0;
                 }
                 postMessage({ type: 'V4_RESET_DONE', id });
                 break;
             }
 
+            case 'PING':
+                postMessage({ type: 'PING_DONE', id });
+                break;
+
             default:
                 console.warn('[TranscriptionWorker] Unknown message type:', type);
         }
     } catch (err: any) {
         console.error('[TranscriptionWorker] Error:', err);
+        if (modelManager?.getBackend() === 'webgpu' && isDeviceLostError(err)) {
+            postMessage({ type: 'DEVICE_LOST', payload: err.message });
+        }
         postMessage({ type: 'ERROR', payload: err.message, id });
     }
 };
@@ -52,6 +52,8 @@ export interface ModelManagerCallbacks {
   onProgress?: (progress: ModelProgress) => void;
   onStateChange?: (state: ModelState) => void;
   onError?: (error: Error) => void;
+  /** The WebGPU device the model runs on was lost; it must be reloaded */
+  onDeviceLost?: (reason: string) => void;
 }
 
 /**
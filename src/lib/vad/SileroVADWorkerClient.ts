@@ -0,0 +1,207 @@
+/**
+ * SileroVADWorkerClient
+ *
+ * Main-thread client for the Silero VAD Web Worker. Same surface as
+ * TenVADWorkerClient, so StreamingTranscriber can drive either one; results
+ * are written to the BufferWorker's `sileroVad` layer.
+ */
+
+import type { SileroVADResponse, SileroVADWorkerConfig } from '../buffer/types';
+import type { TenVADResultCallback } from './TenVADWorkerClient';
+
+export class SileroVADWorkerClient {
+    private worker!: Worker;
+    private messageId = 0;
+    private pendingPromises = new Map<number, { type: string; sentAt: number; resolve: (v: any) => void; reject: (e: any) => void }>();
+    private resultCallback: TenVADResultCallback | null = null;
+    private ready = false;
+    private crashCallbacks = new Set<(message: string) => void>();
+    // Replayed by restart()
+    private lastConfig: SileroVADWorkerConfig | null = null;
+    private sharedBuffer: SharedArrayBuffer | null = null;
+
+    constructor() {
+        this.spawn();
+    }
+
+    /**
+     * Load onnxruntime-web and the Silero model in the worker.
+     * @param config - speech threshold, optional model URL
+     */
+    async init(config: Partial<SileroVADWorkerConfig> = {}): Promise<void> {
+        const cfg: SileroVADWorkerConfig = {
+            threshold: config.threshold ?? 0.5,
+            modelUrl: config.modelUrl,
+        };
+        this.lastConfig = cfg;
+        await this.sendRequest('INIT', cfg);
+        this.ready = true;
+    }
+
+    /**
+     * Register a callback for streaming VAD results.
+     * Called once per audio chunk processed.
+     */
+    onResult(callback: TenVADResultCallback): void {
+        this.resultCallback = callback;
+    }
+
+    /**
+     * Send an audio chunk for processing (fire-and-forget).
+     * Results are delivered via the onResult callback.
+     *
+     * @param samples - Float32 PCM audio at 16kHz
+     * @param globalSampleOffset - Global sample index of the chunk start
+     */
+    process(samples: Float32Array, globalSampleOffset: number): void {
+        if (!this.ready) return;
+        const copy = new Float32Array(samples);
+        this.worker.postMessage(
+            { type: 'PROCESS', payload: { samples: copy, globalSampleOffset } },
+            [copy.buffer]
+        );
+    }
+
+    /**
+     * Send an audio chunk by transferring ownership of the buffer.
+     * The caller must not reuse `samples` after calling this.
+     */
+    processTransfer(samples: Float32Array, globalSampleOffset: number): void {
+        if (!this.ready) return;
+        this.worker.postMessage(
+            { type: 'PROCESS', payload: { samples, globalSampleOffset } },
+            [samples.buffer]
+        );
+    }
+
+    /**
+     * Process audio from a SharedAudioRing as it is written, starting at its
+     * current frame, instead of from process() calls. Results still arrive
+     * via onResult. May be called before init() completes.
+     */
+    async attachSharedAudio(buffer: SharedArrayBuffer): Promise<void> {
+        await this.sendRequest('ATTACH_SHARED', { buffer });
+        this.sharedBuffer = buffer;
+    }
+
+    /** Stop following the shared ring. */
+    async detachSharedAudio(): Promise<void> {
+        this.sharedBuffer = null;
+        await this.sendRequest('DETACH_SHARED', undefined);
+    }
+
+    /**
+     * Reset internal state (accumulator, LSTM state); queued audio is dropped.
+     */
+    async reset(): Promise<void> {
+        await this.sendRequest('RESET', undefined);
+    }
+
+    /** Round trip to the worker; resolves once it answers. */
+    async ping(): Promise<void> {
+        await this.sendRequest('PING', undefined);
+    }
+
+    /** When (Date.now()) the oldest request other than a ping (e.g. loading the model) was sent, or null if none is waiting. */
+    busySince(): number | null {
+        for (const { type, sentAt } of this.pendingPromises.values()) {
+            if (type !== 'PING') return sentAt;
+        }
+        return null;
+    }
+
+    /** Called with the error message when the worker throws or fails to load. */
+    onCrash(callback: (message: string) => void): () => void {
+        this.crashCallbacks.add(callback);
+        return () => this.crashCallbacks.delete(callback);
+    }
+
+    /**
+     * Replace the worker with a fresh one, initialized with the last config
+     * and following the same shared ring. Pending requests are rejected; the
+     * onResult callback is kept.
+     */
+    async restart(): Promise<void> {
+        this.worker.terminate();
+        this.rejectPending('SileroVADWorkerClient restarted');
+        this.ready = false;
+        this.spawn();
+        if (this.sharedBuffer) await this.sendRequest('ATTACH_SHARED', { buffer: this.sharedBuffer });
+        if (this.lastConfig) await this.init(this.lastConfig);
+    }
+
+    /**
+     * Dispose the worker and release the ONNX session.
+     */
+    dispose(): void {
+        this.worker.terminate();
+        this.rejectPending('SileroVADWorkerClient disposed');
+        this.ready = false;
+        this.resultCallback = null;
+        this.crashCallbacks.clear();
+    }
+
+    isReady(): boolean {
+        return this.ready;
+    }
+
+    // ---- Internal ----
+
+    private spawn(): void {
+        this.worker = new Worker(new URL('./silero.worker.ts', import.meta.url), {
+            type: 'module',
+        });
+        this.worker.onmessage = (e: MessageEvent<SileroVADResponse>) => {
+            this.handleMessage(e.data);
+        };
+        this.worker.onerror = (e: Event) => {
+            const err = e as ErrorEvent;
+            console.error('[SileroVADWorkerClient] Worker error:', err.message);
+            const message = err.message || 'Silero VAD worker error';
+            this.rejectPending(message);
+            for (const cb of this.crashCallbacks) cb(message);
+        };
+    }
+
+    private rejectPending(message: string): void {
+        for (const [, p] of this.pendingPromises) {
+            p.reject(new Error(message));
+        }
+        this.pendingPromises.clear();
+    }
+
+    private handleMessage(msg: SileroVADResponse): void {
+        // Streaming results don't have an id
+        if (msg.type === 'RESULT') {
+            this.resultCallback?.(msg.payload);
+            return;
+        }
+
+        if (msg.type === 'ERROR') {
+            const p = this.pendingPromises.get(msg.id);
+            if (p) {
+                this.pendingPromises.delete(msg.id);
+                p.reject(new Error(msg.payload));
+            } else {
+                console.error('[SileroVADWorkerClient] Unhandled error:', msg.payload);
+            }
+            return;
+        }
+
+        if (msg.id !== undefined) {
+            const p = this.pendingPromises.get(msg.id);
+            if (p) {
+                this.pendingPromises.delete(msg.id);
+                p.resolve(msg.payload);
+            }
+        }
+    }
+
+    private sendRequest(type: string, payload: any): Promise<any> {
+        return new Promise((resolve, reject) => {
+            const id = ++this.messageId;
+            this.pendingPromises.set(id, { type, sentAt: Date.now(), resolve, reject });
+            this.worker.postMessage({ type, payload, id });
+        });
+    }
+}
@@ -5,6 +5,7 @@
  *   - Client is not ready until init() completes.
  *   - init() resolves when worker sends INIT success, rejects when worker sends ERROR.
  *   - process() does nothing when not ready.
+ *   - busySince() is set while init() is pending (the supervisor skips pings then).
  *   - onResult callback receives RESULT payloads from the worker.
  *   - dispose() terminates the worker and clears state.
  *
@@ -45,6 +46,15 @@ describe('TenVADWorkerClient', () => {
         expect(client.isReady()).toBe(false);
     }, 15000);
 
+    it('should be busy while init is pending', async () => {
+        expect(client.busySince()).toBeNull();
+        const before = Date.now();
+        const init = client.init({ wasmPath: 'https://invalid.invalid/' });
+        expect(client.busySince()).toBeGreaterThanOrEqual(before);
+        await expect(init).rejects.toThrow();
+        expect(client.busySince()).toBeNull();
+    }, 15000);
+
     it('should accept onResult callback without throwing', () => {
         const results: TenVADResult[] = [];
         expect(() => client.onResult((r) => results.push(r))).not.toThrow();
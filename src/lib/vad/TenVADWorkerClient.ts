@@ -12,27 +12,18 @@ import type { TenVADConfig, TenVADResponse, TenVADResult } from '../buffer/types
 export type TenVADResultCallback = (result: TenVADResult) => void;
 
 export class TenVADWorkerClient {
-    private worker: Worker;
+    private worker!: Worker;
     private messageId = 0;
-    private pendingPromises = new Map<number, { resolve: (v: any) => void; reject: (e: any) => void }>();
+    private pendingPromises = new Map<number, { type: string; sentAt: number; resolve: (v: any) => void; reject: (e: any) => void }>();
     private resultCallback: TenVADResultCallback | null = null;
     private ready = false;
+    private crashCallbacks = new Set<(message: string) => void>();
+    // Replayed by restart()
+    private lastConfig: TenVADConfig | null = null;
+    private sharedBuffer: SharedArrayBuffer | null = null;
 
     constructor() {
-        this.worker = new Worker(new URL('./tenvad.worker.ts', import.meta.url), {
-            type: 'module',
-        });
-        this.worker.onmessage = (e: MessageEvent<TenVADResponse>) => {
-            this.handleMessage(e.data);
-        };
-        this.worker.onerror = (e: Event) => {
-            const err = e as ErrorEvent;
-            console.error('[TenVADWorkerClient] Worker error:', err.message);
-            for (const [, p] of this.pendingPromises) {
-                p.reject(new Error(err.message || 'TenVAD worker error'));
-            }
-            this.pendingPromises.clear();
-        };
+        this.spawn();
     }
 
     /**
@@ -45,6 +36,7 @@ export class TenVADWorkerClient {
             threshold: config.threshold ?? 0.5,
             wasmPath: config.wasmPath ?? '/wasm/',
         };
+        this.lastConfig = cfg;
         const result = await this.sendRequest('INIT', cfg);
         this.ready = true;
         return result;
@@ -86,6 +78,22 @@ export class TenVADWorkerClient {
         );
     }
 
+    /**
+     * Process audio from a SharedAudioRing as it is written, starting at its
+     * current frame, instead of from process() calls. Results still arrive
+     * via onResult. May be called before init() completes.
+     */
+    async attachSharedAudio(buffer: SharedArrayBuffer): Promise<void> {
+        await this.sendRequest('ATTACH_SHARED', { buffer });
+        this.sharedBuffer = buffer;
+    }
+
+    /** Stop following the shared ring. */
+    async detachSharedAudio(): Promise<void> {
+        this.sharedBuffer = null;
+        await this.sendRequest('DETACH_SHARED', undefined);
+    }
+
     /**
      * Reset internal state (accumulator, VAD model state).
      */
@@ -93,17 +101,48 @@ export class TenVADWorkerClient {
         await this.sendRequest('RESET', undefined);
     }
 
+    /** Round trip to the worker; resolves once it answers. */
+    async ping(): Promise<void> {
+        await this.sendRequest('PING', undefined);
+    }
+
+    /** When (Date.now()) the oldest request other than a ping (e.g. loading the model) was sent, or null if none is waiting. */
+    busySince(): number | null {
+        for (const { type, sentAt } of this.pendingPromises.values()) {
+            if (type !== 'PING') return sentAt;
+        }
+        return null;
+    }
+
+    /** Called with the error message when the worker throws or fails to load. */
+    onCrash(callback: (message: string) => void): () => void {
+        this.crashCallbacks.add(callback);
+        return () => this.crashCallbacks.delete(callback);
+    }
+
+    /**
+     * Replace the worker with a fresh one, initialized with the last config
+     * and following the same shared ring. Pending requests are rejected; the
+     * onResult callback is kept.
+     */
+    async restart(): Promise<void> {
+        this.worker.terminate();
+        this.rejectPending('TenVADWorkerClient restarted');
+        this.ready = false;
+        this.spawn();
+        if (this.sharedBuffer) await this.sendRequest('ATTACH_SHARED', { buffer: this.sharedBuffer });
+        if (this.lastConfig) await this.init(this.lastConfig);
+    }
+
     /**
      * Dispose the worker and free WASM memory.
      */
     dispose(): void {
         this.worker.terminate();
-        for (const [, p] of this.pendingPromises) {
-            p.reject(new Error('TenVADWorkerClient disposed'));
-        }
-        this.pendingPromises.clear();
+        this.rejectPending('TenVADWorkerClient disposed');
         this.ready = false;
         this.resultCallback = null;
+        this.crashCallbacks.clear();
     }
 
     isReady(): boolean {
@@ -112,6 +151,29 @@ export class TenVADWorkerClient {
 
     // ---- Internal ----
 
+    private spawn(): void {
+        this.worker = new Worker(new URL('./tenvad.worker.ts', import.meta.url), {
+            type: 'module',
+        });
+        this.worker.onmessage = (e: MessageEvent<TenVADResponse>) => {
+            this.handleMessage(e.data);
+        };
+        this.worker.onerror = (e: Event) => {
+            const err = e as ErrorEvent;
+            console.error('[TenVADWorkerClient] Worker error:', err.message);
+            const message = err.message || 'TenVAD worker error';
+            this.rejectPending(message);
+            for (const cb of this.crashCallbacks) cb(message);
+        };
+    }
+
+    private rejectPending(message: string): void {
+        for (const [, p] of this.pendingPromises) {
+            p.reject(new Error(message));
+        }
+        this.pendingPromises.clear();
+    }
+
     private handleMessage(msg: TenVADResponse): void {
         // Streaming results don't have an id
         if (msg.type === 'RESULT') {
@@ -142,7 +204,7 @@ export class TenVADWorkerClient {
     private sendRequest(type: string, payload: any): Promise<any> {
         return new Promise((resolve, reject) => {
             const id = ++this.messageId;
-            this.pendingPromises.set(id, { resolve, reject });
+            this.pendingPromises.set(id, { type, sentAt: Date.now(), resolve, reject });
             this.worker.postMessage({ type, payload, id });
         });
     }
@@ -4,3 +4,4 @@ export { SileroVAD } from './SileroVAD';
 export { HybridVAD } from './HybridVAD';
 export { VADRingBuffer } from './VADRingBuffer';
 export { TenVADWorkerClient } from './TenVADWorkerClient';
+export { SileroVADWorkerClient } from './SileroVADWorkerClient';
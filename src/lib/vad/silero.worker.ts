@@ -0,0 +1,177 @@
+/**
+ * Silero VAD Worker
+ *
+ * Runs the Silero VAD v5 ONNX model (onnxruntime-web, single-threaded WASM)
+ * off the main thread, with the same protocol as the TEN-VAD worker: PROCESS
+ * messages or a followed SharedAudioRing in, per-hop RESULT messages out.
+ * Hops are 512 samples (32 ms at 16 kHz).
+ *
+ * Inference is async, so incoming audio is queued and processed in order;
+ * the LSTM state carries across chunks.
+ */
+
+import type { SileroVADRequest, SileroVADWorkerConfig, TenVADResult } from '../buffer/types';
+import { SharedAudioRing, SharedAudioReader, followSharedAudio } from '../audio/SharedAudioRing';
+import { SileroVAD } from './SileroVAD';
+
+// ---- Worker State ----
+
+let vad: SileroVAD | null = null;
+let hopSize = 512;
+let threshold = 0.5;
+
+// Accumulator for partial hops between chunks
+let accumulator = new Float32Array(hopSize);
+let accumulatorPos = 0;
+
+// Chunks run one after another (session.run is async)
+let queue: Promise<void> = Promise.resolve();
+/** Bumped by RESET so queued chunks from before it are dropped */
+let generation = 0;
+
+// Shared audio input
+let stopFollowing: (() => void) | null = null;
+
+// ---- Message Handler ----
+
+self.onmessage = async (e: MessageEvent<SileroVADRequest>) => {
+    const msg = e.data;
+
+    try {
+        switch (msg.type) {
+            case 'INIT':
+                await handleInit(msg.id, msg.payload);
+                break;
+            case 'PROCESS':
+                enqueue(msg.payload.samples, msg.payload.globalSampleOffset);
+                break;
+            case 'ATTACH_SHARED':
+                handleAttachShared(msg.id, msg.payload.buffer);
+                break;
+            case 'DETACH_SHARED':
+                stopFollowing?.();
+                stopFollowing = null;
+                respond({ type: 'DETACH_SHARED', id: msg.id, payload: { success: true } });
+                break;
+            case 'RESET':
+                handleReset(msg.id);
+                break;
+            case 'PING':
+                respond({ type: 'PING', id: msg.id, payload: { success: true } });
+                break;
+            case 'DISPOSE':
+                await handleDispose(msg.id);
+                break;
+        }
+    } catch (err) {
+        respond({ type: 'ERROR', id: (msg as any).id ?? 0, payload: String(err) });
+    }
+};
+
+// ---- Handlers ----
+
+async function handleInit(id: number, cfg: SileroVADWorkerConfig): Promise<void> {
+    threshold = cfg.threshold || 0.5;
+
+    try {
+        // SileroVAD expects a global `ort`, as parakeet.js provides on the main thread
+        const ortModule: any = await import('onnxruntime-web');
+        const ort = ortModule.default ?? ortModule;
+        if (!ort.env.wasm.wasmPaths) {
+            ort.env.wasm.wasmPaths = `https://cdn.jsdelivr.net/npm/onnxruntime-web@${ort.env.versions?.common}/dist/`;
+        }
+        ort.env.wasm.numThreads = 1;
+        (globalThis as any).ort = ort;
+
+        vad = new SileroVAD({ threshold, sampleRate: 16000, ...(cfg.modelUrl ? { modelUrl: cfg.modelUrl } : {}) });
+        await vad.init();
+        hopSize = vad.getHopSize();
+        accumulator = new Float32Array(hopSize);
+        accumulatorPos = 0;
+
+        console.log(`[Silero Worker] Initialized: hopSize=${hopSize}, threshold=${threshold}`);
+        respond({ type: 'INIT', id, payload: { success: true } });
+    } catch (err) {
+        vad = null;
+        console.error('[Silero Worker] Init failed:', err);
+        respond({ type: 'ERROR', id, payload: `Silero VAD init failed: ${err}` });
+    }
+}
+
+function enqueue(samples: Float32Array, globalSampleOffset: number): void {
+    if (!vad) return;
+    const gen = generation;
+    queue = queue
+        .then(() => (gen === generation ? handleProcess(samples, globalSampleOffset) : undefined))
+        .catch((err) => console.error('[Silero Worker] Process failed:', err));
+}
+
+async function handleProcess(samples: Float32Array, globalSampleOffset: number): Promise<void> {
+    if (!vad) return;
+    const startTime = performance.now();
+
+    const maxHops = Math.ceil((samples.length + accumulatorPos) / hopSize);
+    const probabilities = new Float32Array(maxHops);
+    const flags = new Uint8Array(maxHops);
+    let hopCount = 0;
+    let firstResultOffset = globalSampleOffset;
+
+    let sampleIdx = 0;
+    while (sampleIdx < samples.length) {
+        while (accumulatorPos < hopSize && sampleIdx < samples.length) {
+            accumulator[accumulatorPos++] = samples[sampleIdx++];
+        }
+        if (accumulatorPos < hopSize) break;
+
+        if (hopCount === 0) firstResultOffset = globalSampleOffset + sampleIdx - hopSize;
+        const result = await vad.process(accumulator);
+        probabilities[hopCount] = result.probability;
+        flags[hopCount] = result.isSpeech ? 1 : 0;
+        hopCount++;
+        accumulatorPos = 0;
+    }
+
+    if (hopCount === 0) return;
+    const trimmedProbs = probabilities.slice(0, hopCount);
+    const trimmedFlags = flags.slice(0, hopCount);
+    const payload: TenVADResult = {
+        probabilities: trimmedProbs,
+        flags: trimmedFlags,
+        globalSampleOffset: firstResultOffset,
+        hopCount,
+        processingTimeMs: performance.now() - startTime,
+    };
+    (self as any).postMessage({ type: 'RESULT', payload }, [trimmedProbs.buffer, trimmedFlags.buffer]);
+}
+
+function handleAttachShared(id: number, buffer: SharedArrayBuffer): void {
+    stopFollowing?.();
+    const reader = new SharedAudioReader(SharedAudioRing.attach(buffer));
+    stopFollowing = followSharedAudio(reader, enqueue);
+    respond({ type: 'ATTACH_SHARED', id, payload: { success: true } });
+}
+
+function handleReset(id: number): void {
+    generation++;
+    accumulator.fill(0);
+    accumulatorPos = 0;
+    vad?.reset();
+    respond({ type: 'RESET', id, payload: { success: true } });
+}
+
+async function handleDispose(id: number): Promise<void> {
+    stopFollowing?.();
+    stopFollowing = null;
+    generation++;
+    await vad?.dispose();
+    vad = null;
+    respond({ type: 'DISPOSE', id, payload: { success: true } });
+}
+
+function respond(msg: any, transfers?: Transferable[]): void {
+    if (transfers) {
+        (self as any).postMessage(msg, transfers);
+    } else {
+        (self as any).postMessage(msg);
+    }
+}
@@ -9,9 +9,14 @@
  * The worker accumulates leftover samples between chunks so that
  * producers can send arbitrarily sized buffers (e.g., 1280 samples from
  * the AudioWorklet) and the worker handles the hop alignment internally.
+ *
+ * Instead of PROCESS messages, the worker can follow a SharedAudioRing
+ * (ATTACH_SHARED); samples written while the model is still loading are
+ * skipped, as PROCESS messages are not sent before it is ready.
  */
 
 import type { TenVADRequest, TenVADResult } from '../buffer/types';
+import { SharedAudioRing, SharedAudioReader, followSharedAudio } from '../audio/SharedAudioRing';
 
 // ---- TEN-VAD Module Interface ----
 
@@ -55,6 +60,9 @@ let accumulatorPos: number = 0;
 // Global sample counter for tracking position
 let globalSamplePosition: number = 0;
 
+// Shared audio input
+let stopFollowing: (() => void) | null = null;
+
 // ---- Message Handler ----
 
 self.onmessage = async (e: MessageEvent<TenVADRequest>) => {
@@ -68,9 +76,20 @@ self.onmessage = async (e: MessageEvent<TenVADRequest>) => {
             case 'PROCESS':
                 handleProcess(msg.payload.samples, msg.payload.globalSampleOffset);
                 break;
+            case 'ATTACH_SHARED':
+                handleAttachShared(msg.id, msg.payload.buffer);
+                break;
+            case 'DETACH_SHARED':
+                stopFollowing?.();
+                stopFollowing = null;
+                respond({ type: 'DETACH_SHARED', id: msg.id, payload: { success: true } });
+                break;
             case 'RESET':
                 handleReset(msg.id);
                 break;
+            case 'PING':
+                respond({ type: 'PING', id: msg.id, payload: { success: true } });
+                break;
             case 'DISPOSE':
                 handleDispose(msg.id);
                 break;
@@ -224,6 +243,13 @@ function handleProcess(samples: Float32Array, globalSampleOffset: number): void
     }
 }
 
+function handleAttachShared(id: number, buffer: SharedArrayBuffer): void {
+    stopFollowing?.();
+    const reader = new SharedAudioReader(SharedAudioRing.attach(buffer));
+    stopFollowing = followSharedAudio(reader, handleProcess);
+    respond({ type: 'ATTACH_SHARED', id, payload: { success: true } });
+}
+
 function handleReset(id: number): void {
     if (accumulator) {
         accumulator.fill(0);
@@ -244,6 +270,8 @@ function handleReset(id: number): void {
 }
 
 function handleDispose(id: number): void {
+    stopFollowing?.();
+    stopFollowing = null;
     if (module && vadHandle) {
         module._ten_vad_destroy(handlePtr);
         module._free(audioPtr);
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { createAppStore } from './appStore';
-import { createRoot } from 'solid-js';
+import { createRoot, createEffect } from 'solid-js';
+import { AudioEngine } from '../lib/audio';
 
 describe('appStore', () => {
   let store: ReturnType<typeof createAppStore>;
@@ -174,6 +175,187 @@ describe('appStore', () => {
       const result = await store.copyTranscript();
       expect(result).toBe(false);
     });
+
+    const makeSentence = (id: string, text: string, start: number) => ({
+      id,
+      text,
+      startTime: start,
+      endTime: start + 1,
+      startWordIndex: 0,
+      endWordIndex: 0,
+      wordCount: 1,
+      words: [{ text, start, end: start + 1, confidence: 0.8 }],
+      detectionMethod: 'test',
+      isMature: true,
+    });
+
+    it('should accumulate mature sentences without duplicates', () => {
+      store.appendMatureSentences([makeSentence('s1', 'One.', 0)]);
+      store.appendMatureSentences([makeSentence('s1', 'One.', 0), makeSentence('s2', 'Two.', 1)]);
+      store.appendMatureSentences(undefined);
+      expect(store.matureSentences().map((s) => s.id)).toEqual(['s1', 's2']);
+
+      store.clearTranscript();
+      expect(store.matureSentences()).toEqual([]);
+    });
+
+    it('should interleave sentences from several channels by start time', () => {
+      store.appendMatureSentences([{ ...makeSentence('Me:s1', 'Hi.', 0), channel: 'Me' }]);
+      store.appendMatureSentences([{ ...makeSentence('Me:s2', 'Fine.', 4), channel: 'Me' }]);
+      store.appendMatureSentences([{ ...makeSentence('Others:s1', 'How are you?', 2), channel: 'Others' }]);
+      expect(store.matureSentences().map((s) => s.channel)).toEqual(['Me', 'Others', 'Me']);
+      expect(store.matureText()).toBe('Hi. How are you? Fine.');
+    });
+
+    it('should keep sentence corrections when more sentences arrive', () => {
+      store.appendMatureSentences([makeSentence('s1', 'keys.', 0)]);
+      store.correctSentence('s1', 'Keet.');
+      store.appendMatureSentences([makeSentence('s2', 'Next.', 1)]);
+
+      expect(store.matureSentences().map((s) => s.text)).toEqual(['Keet.', 'Next.']);
+      expect(store.matureSentences()[0]).toMatchObject({ corrected: true, originalText: 'keys.' });
+      expect(store.corrections()).toMatchObject([{ sentenceId: 's1', before: 'keys.', after: 'Keet.' }]);
+
+      // Editing back to the shown text drops the correction
+      store.correctSentence('s1', 'keys.');
+      expect(store.corrections()).toEqual([]);
+      store.correctSentence('s1', 'Keet.');
+      store.clearTranscript();
+      expect(store.corrections()).toEqual([]);
+    });
+
+    it('should learn vocabulary from a correction', () => {
+      store.appendMatureSentences([makeSentence('s1', 'ask ada.', 0)]);
+      store.correctSentence('s1', 'ask Ada.');
+      store.learnFromCorrection('s1');
+      store.learnFromCorrection('s1');
+      expect(store.textRules().vocabulary).toEqual(['Ada']);
+      localStorage.removeItem('keet-text-rules');
+    });
+
+    it('should apply text rules to mature sentences and keep the original', () => {
+      store.appendMatureSentences([makeSentence('s1', 'webgpu is fast.', 0)]);
+      store.setTextRules({ ...store.textRules(), vocabulary: ['WebGPU'], capitalizeSentences: true });
+
+      const [sentence] = store.matureSentences();
+      expect(sentence.text).toBe('WebGPU is fast.');
+      expect(sentence.originalText).toBe('webgpu is fast.');
+      expect(store.matureText()).toBe('WebGPU is fast.');
+      expect(JSON.parse(localStorage.getItem('keet-text-rules')!).vocabulary).toEqual(['WebGPU']);
+
+      store.setTextRules({ ...store.textRules(), enabled: false });
+      expect(store.matureText()).toBe('webgpu is fast.');
+      localStorage.removeItem('keet-text-rules');
+    });
+
+    it('should download an export of the finalized sentences', () => {
+      const createUrl = vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:test');
+      vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      store.appendMatureSentences([makeSentence('s1', 'Hello.', 0)]);
+      expect(store.exportTranscript('srt')).toBe(true);
+
+      expect(createUrl).toHaveBeenCalledTimes(1);
+      expect(click).toHaveBeenCalledTimes(1);
+      const anchor = click.mock.contexts[0] as HTMLAnchorElement;
+      expect(anchor.download).toMatch(/^keet-transcript-.*\.srt$/);
+    });
+
+    it('should refuse timed exports without sentences', () => {
+      store.setTranscript('flat v3 text');
+      expect(store.exportTranscript('vtt')).toBe(false);
+      expect(store.errorMessage()).toContain('Nothing to export');
+    });
+  });
+
+  describe('Dictation', () => {
+    const dictated = (id: string, text: string, start: number) => ({
+      id,
+      text,
+      startTime: start,
+      endTime: start + 1,
+      startWordIndex: 0,
+      endWordIndex: 0,
+      wordCount: 1,
+      words: [],
+      detectionMethod: 'test',
+      isMature: true,
+    });
+
+    it('should format, break and delete sentences as commanded', () => {
+      store.receiveDictation(dictated('s1', 'Dear Ada comma', 0));
+      store.receiveDictation(dictated('s2', 'New paragraph. Thanks for the notes period.', 1));
+      store.receiveDictation(dictated('s3', 'Wrong words here.', 2));
+      store.receiveDictation(dictated('s4', 'Scratch that.', 3));
+      store.receiveDictation(dictated('s5', 'See you new line', 4));
+      store.receiveDictation(dictated('s6', 'Exclamation mark.', 5));
+      store.receiveDictation(dictated('s7', 'Bye.', 6));
+
+      expect(store.matureText()).toBe('Dear Ada,\n\nThanks for the notes. See you!\nBye.');
+      expect(store.commandLog().map((e) => e.detail)).toEqual([
+        'Inserted ","',
+        'Paragraph break',
+        'Inserted "."',
+        'Deleted "Wrong words here."',
+        'Line break',
+        'Inserted "!"',
+      ]);
+    });
+
+    it('should ignore speech while paused and hand recording commands back', () => {
+      expect(store.receiveDictation(dictated('s1', 'Pause.', 0))).toMatchObject([{ action: 'pause' }]);
+      expect(store.dictationPaused()).toBe(true);
+      expect(store.receiveDictation(dictated('s2', 'Not for the transcript. Period.', 1))).toEqual([]);
+      store.receiveDictation(dictated('s3', 'Resume.', 2));
+      store.receiveDictation(dictated('s4', 'Scratch that.', 3));
+      expect(store.matureSentences()).toEqual([]);
+      expect(store.commandLog().map((e) => [e.action, !!e.ignored])).toEqual([['pause', false], ['resume', false], ['deleteLastSentence', true]]);
+
+      // Speaker labels reach every part of a split sentence
+      store.receiveDictation(dictated('s5', 'one new paragraph two', 4));
+      store.setSentenceSpeaker('s5', 'S1');
+      expect(store.matureSentences().map((s) => [s.id, s.speaker])).toEqual([['s5', 'S1'], ['s5~2', 'S1']]);
+
+      expect(store.receiveDictation(dictated('s6', 'Stop recording.', 5))).toMatchObject([{ action: 'stopRecording' }]);
+      store.resetDictation();
+      expect(store.commandLog()).toEqual([]);
+    });
+  });
+
+  describe('Post-processing', () => {
+    it('should be off by default and keep the latest result per run, newest first', () => {
+      expect(store.postProcess().enabled).toBe(false);
+      const result = {
+        id: 'r1', templateId: 'summary', templateName: 'Summary', status: 'running' as const,
+        text: '', batchesDone: 0, batchCount: 1, startedAt: 0,
+      };
+      store.upsertPostProcessResult(result);
+      store.upsertPostProcessResult({ ...result, id: 'r2' });
+      store.upsertPostProcessResult({ ...result, status: 'done', text: 'Short.' });
+
+      expect(store.postProcessResults().map((r) => [r.id, r.status, r.text])).toEqual([
+        ['r2', 'running', ''],
+        ['r1', 'done', 'Short.'],
+      ]);
+    });
+  });
+
+  describe('Capture settings', () => {
+    it('should carry a preset\'s energy threshold to a running engine', () => {
+      const engine = new AudioEngine({ sampleRate: 16000, ...store.captureConfig() });
+      expect(engine.getSignalMetrics().threshold).toBe(store.energyThreshold());
+
+      // The sync App.tsx runs for its engines
+      const stop = createRoot((d) => {
+        createEffect(() => engine.updateConfig(store.captureConfig()));
+        return d;
+      });
+      store.applyPreset('builtin-lecture');
+      expect(engine.getSignalMetrics().threshold).toBe(0.03);
+      stop();
+      engine.dispose();
+    });
   });
 
   describe('Online/Offline Status', () => {
@@ -5,8 +5,67 @@
  * Manages recording state, model status, and transcript.
  */
 
-import { createSignal, createMemo, createRoot, onCleanup } from 'solid-js';
+import { createSignal, createMemo, createRoot, createEffect, onCleanup } from 'solid-js';
 import type { RecordingState, ModelState, BackendType } from '../types';
+import type { MergerSentence } from '../lib/transcription/UtteranceBasedMerger';
+import type { SentenceSegmentationInfo } from '../lib/transcription/SentenceBoundaryDetector';
+import type { InferenceSchedulerStats } from '../lib/transcription/InferenceScheduler';
+import type { FusedSpeechResult, VadFusionSpan } from '../lib/buffer/vadFusion';
+import type { RecoveryEvent } from '../lib/supervisor';
+import type { AudioEngineConfig } from '../lib/audio';
+import type { CompareProgress, CompareSideConfig, CompareSideState } from '../lib/compare';
+import { exportTranscript as buildExport, joinSentences, type TranscriptExportFormat } from '../lib/export';
+import {
+  VoiceCommandProcessor,
+  appendPunctuation,
+  isSentencePart,
+  loadVoiceCommands,
+  mergeBreaks,
+  saveVoiceCommands,
+  type RecognizedCommand,
+  type SentenceBreak,
+  type VoiceCommandAction,
+  type VoiceCommandsConfig,
+} from '../lib/commands';
+import {
+  TextNormalizer,
+  loadTextRules,
+  saveTextRules,
+  applyCorrection,
+  rulesFromCorrection,
+  correctionsToJSON,
+  type TextCorrection,
+  type TextRulesConfig,
+} from '../lib/text';
+import { loadCaptionOutput, saveCaptionOutput, type CaptionOutputConfig, type CaptionSocketStatus } from '../lib/captions';
+import { loadPostProcess, savePostProcess, type PostProcessConfig, type PostProcessResult } from '../lib/postprocess';
+import {
+  BUILTIN_PRESETS,
+  createPresetId,
+  findMatchingPreset,
+  loadSettings,
+  mergePresets,
+  parsePresetFile,
+  presetsToJSON,
+  saveSettings,
+  DEFAULT_TUNING_SETTINGS,
+  type TranscriptionMode,
+  type TuningPreset,
+  type TuningSettings,
+} from '../lib/settings';
+import {
+  DEFAULT_MODEL_ID,
+  createCustomModel,
+  findModel,
+  listModels,
+  loadModelRegistry,
+  parseRepoId,
+  saveModelRegistry,
+  type ModelEntry,
+  type ModelQuantSelection,
+  type StoredModelRegistry,
+} from '../lib/model';
+import { downloadTextFile, timestampedFilename } from '../utils/download';
 
 export interface DebugToken {
   id: string;
@@ -21,7 +80,13 @@ export interface SystemMetrics {
 }
 
 /** Transcription mode: v2 (per-utterance VAD), v3 (overlapping windows + LCS merge), v4 (utterance-based merger) */
-export type TranscriptionMode = 'v2-utterance' | 'v3-streaming' | 'v4-utterance';
+export type { TranscriptionMode };
+
+/**
+ * Audio captured while recording: the microphone, tab/system audio
+ * (getDisplayMedia), or both transcribed as separate channels ("Me" / "Others").
+ */
+export type CaptureSource = 'mic' | 'tab' | 'both';
 
 /** Merge info for v3 streaming mode */
 export interface MergeInfo {
@@ -40,6 +105,35 @@ export interface VADState {
   hybridState: string;
 }
 
+/** Progress of an audio file import running through the v4 pipeline */
+export interface FileImportState {
+  fileName: string;
+  /** 'decoding' while the file is decoded/resampled, then 'transcribing' */
+  phase: 'decoding' | 'transcribing';
+  /** 0-1 */
+  progress: number;
+  processedSec: number;
+  totalSec: number;
+  /** Estimated seconds remaining, null until measurable */
+  etaSec: number | null;
+  /** Speed as a multiple of real time */
+  speed: number;
+}
+
+/** A voice command heard in dictation mode */
+export interface VoiceCommandLogEntry {
+  id: number;
+  /** Date.now() when it was heard */
+  time: number;
+  action: VoiceCommandAction;
+  /** The command's words as transcribed */
+  heard: string;
+  /** What it did, e.g. the inserted text or the deleted sentence */
+  detail: string;
+  /** Heard but with nothing to do (e.g. no sentence to delete) */
+  ignored?: boolean;
+}
+
 /** Merger stats for v4 mode */
 export interface V4MergerStats {
   sentencesFinalized: number;
@@ -48,21 +142,35 @@ export interface V4MergerStats {
 }
 
 export function createAppStore() {
+  // Tuning settings and user presets saved by the previous visit
+  const stored = loadSettings();
+  const initial = stored.settings;
+
   // Recording state
   const [recordingState, setRecordingState] = createSignal<RecordingState>('idle');
   const [sessionDuration, setSessionDuration] = createSignal(0);
   const [availableDevices, setAvailableDevices] = createSignal<MediaDeviceInfo[]>([]);
   const [selectedDeviceId, setSelectedDeviceId] = createSignal('');
+  const [captureSource, setCaptureSource] = createSignal<CaptureSource>('mic');
 
   let timerInterval: number | undefined;
 
   // Model state
   const [modelState, setModelState] = createSignal<ModelState>('unloaded');
-  const [selectedModelId, setSelectedModelId] = createSignal('parakeet-tdt-0.6b-v2');
+  const [selectedModelId, setSelectedModelId] = createSignal(initial.selectedModelId);
   const [modelProgress, setModelProgress] = createSignal(0);
   const [modelMessage, setModelMessage] = createSignal('');
   const [modelFile, setModelFile] = createSignal('');
-  const [backend, setBackend] = createSignal<BackendType>('webgpu');
+
+  // Model registry (built-ins plus custom repos, with quantization), persisted in localStorage
+  const [modelRegistry, setModelRegistry] = createSignal<StoredModelRegistry>(loadModelRegistry());
+  createEffect(() => saveModelRegistry(modelRegistry()));
+  const models = createMemo(() => listModels(modelRegistry()));
+  // A removed custom model falls back to the default
+  const selectedModel = createMemo<ModelEntry>(
+    () => findModel(models(), selectedModelId()) ?? findModel(models(), DEFAULT_MODEL_ID)!
+  );
+  const [backend, setBackend] = createSignal<BackendType>(initial.backend);
   const [errorMessage, setErrorMessage] = createSignal<string | null>(null);
 
 
@@ -79,6 +187,9 @@ export function createAppStore() {
   const [isOfflineReady, setIsOfflineReady] = createSignal(false);
   const [isOnline, setIsOnline] = createSignal(typeof navigator !== 'undefined' ? navigator.onLine : true);
 
+  // Pipeline recoveries (worker restarts, microphone re-acquisition, GPU fallback), oldest first
+  const [recoveryEvents, setRecoveryEvents] = createSignal<RecoveryEvent[]>([]);
+
   // Debug metrics
   const [inferenceLatency, setInferenceLatencyInternal] = createSignal(0);
   const [latencySamples, setLatencySamples] = createSignal<number[]>([]);
@@ -99,7 +210,7 @@ export function createAppStore() {
   });
 
   // Transcription mode toggle (v4-utterance is the new default)
-  const [transcriptionMode, setTranscriptionMode] = createSignal<TranscriptionMode>('v4-utterance');
+  const [transcriptionMode, setTranscriptionMode] = createSignal<TranscriptionMode>(initial.transcriptionMode);
   const [mergeInfo, setMergeInfo] = createSignal<MergeInfo>({
     lcsLength: 0,
     anchorValid: false,
@@ -125,27 +236,100 @@ export function createAppStore() {
     latencyMs: 0,
   });
 
-  // v3 Streaming config
-  // Window=5s gives ~62 encoder frames (vs 87 for 7s) - 30% less decode work.
-  // Overlap=3.5s with trigger=1.5s provides enough context for LCS merging
-  // while giving the transcriber 1.5s headroom per chunk.
-  const [streamingWindow, setStreamingWindow] = createSignal(5.0);
-  const [streamingOverlap, setStreamingOverlap] = createSignal(3.5);
-  const [triggerInterval, setTriggerInterval] = createSignal(1.5);
-  const [energyThreshold, setEnergyThreshold] = createSignal(0.08);
+  // v3 Streaming config (defaults and their rationale in DEFAULT_TUNING_SETTINGS)
+  const [streamingWindow, setStreamingWindow] = createSignal(initial.streamingWindow);
+  const [streamingOverlap, setStreamingOverlap] = createSignal(initial.streamingOverlap);
+  const [triggerInterval, setTriggerInterval] = createSignal(initial.triggerInterval);
+  const [energyThreshold, setEnergyThreshold] = createSignal(initial.energyThreshold);
   // Decoder frame stride: 1 = full precision, 2 = halves decoder steps (faster, coarser timestamps)
-  const [frameStride, setFrameStride] = createSignal(1);
+  const [frameStride, setFrameStride] = createSignal(initial.frameStride);
 
   // v4 Pipeline config
-  const [v4InferenceIntervalMs, setV4InferenceIntervalMs] = createSignal(480); // Transcription tick frequency in ms (320-8000)
-  const [v4SilenceFlushSec, setV4SilenceFlushSec] = createSignal(1.0); // Silence duration to flush pending sentence
-  const [sileroThreshold, setSileroThreshold] = createSignal(0.5); // Silero VAD probability threshold
+  const [v4InferenceIntervalMs, setV4InferenceIntervalMs] = createSignal(initial.v4InferenceIntervalMs); // Transcription tick frequency in ms (320-8000)
+  const [adaptiveInterval, setAdaptiveInterval] = createSignal(initial.adaptiveInterval); // Adapt the tick interval to the device
+  const [schedulerStats, setSchedulerStats] = createSignal<InferenceSchedulerStats | null>(null); // Tick scheduling of the running pipeline
+  const [v4SilenceFlushSec, setV4SilenceFlushSec] = createSignal(initial.v4SilenceFlushSec); // Silence duration to flush pending sentence
+  const [sileroThreshold, setSileroThreshold] = createSignal(initial.sileroThreshold); // Silero VAD probability threshold
+  const [vadPolicy, setVadPolicy] = createSignal(initial.vadPolicy); // How the VAD layers are combined
+  const [sileroVad, setSileroVad] = createSignal(initial.sileroVad); // Run Silero VAD as an extra layer
+  const [vadFusion, setVadFusion] = createSignal<FusedSpeechResult | null>(null); // Latest fused decision with per-layer diagnostics
+  const [vadFusionSpans, setVadFusionSpans] = createSignal<VadFusionSpan[]>([]); // Recent fused decisions for the visualizer
 
   // UI state
   const [showDebugPanel, setShowDebugPanel] = createSignal(false);
+  const [showHistoryPanel, setShowHistoryPanel] = createSignal(false);
+  const [showComparePanel, setShowComparePanel] = createSignal(false);
+  const [showPostProcessPanel, setShowPostProcessPanel] = createSignal(false);
+  // Id of the session being autosaved to history (null when idle)
+  const [activeSessionId, setActiveSessionId] = createSignal<string | null>(null);
+  // Record session audio alongside the transcript (off by default: audio stays in memory only)
+  const [recordSessionAudio, setRecordSessionAudio] = createSignal(false);
+  // Object URL of the recorded audio for the transcript on screen (null when none)
+  const [sessionAudioUrl, setSessionAudioUrl] = createSignal<string | null>(null);
+  // Record a v4 pipeline trace (debug panel) and whether the last run left one to download
+  const [recordTrace, setRecordTrace] = createSignal(false);
+  const [traceAvailable, setTraceAvailable] = createSignal(false);
+  // Finalized words below this confidence are highlighted in the transcript
+  const [lowConfidenceThreshold, setLowConfidenceThreshold] = createSignal(initial.lowConfidenceThreshold);
+  // Session language for sentence segmentation ('auto' detects it from the transcript)
+  const [sentenceLanguage, setSentenceLanguage] = createSignal(initial.sentenceLanguage);
+  // On-device speaker labels for v4 sentences, and the distance that starts a new speaker
+  const [speakerLabels, setSpeakerLabels] = createSignal(initial.speakerLabels);
+  const [speakerThreshold, setSpeakerThreshold] = createSignal(initial.speakerThreshold);
+  // Act on spoken commands in the microphone's sentences
+  const [dictationMode, setDictationMode] = createSignal(initial.dictationMode);
+  // Capture DSP stages applied before the ring buffer and mel extraction
+  const [sincResampling, setSincResampling] = createSignal(initial.sincResampling);
+  const [highPassFilter, setHighPassFilter] = createSignal(initial.highPassFilter);
+  const [noiseSuppression, setNoiseSuppression] = createSignal(initial.noiseSuppression);
+  const [autoGain, setAutoGain] = createSignal(initial.autoGain);
+  // Language and backend the v4 sentence detector is using (from merger results)
+  const [sentenceSegmentation, setSentenceSegmentation] = createSignal<SentenceSegmentationInfo | null>(null);
+
+  // All persisted tuning settings; saved whenever one changes
+  const tuningSettings = createMemo<TuningSettings>(() => ({
+    transcriptionMode: transcriptionMode(),
+    selectedModelId: selectedModelId(),
+    backend: backend(),
+    v4InferenceIntervalMs: v4InferenceIntervalMs(),
+    adaptiveInterval: adaptiveInterval(),
+    v4SilenceFlushSec: v4SilenceFlushSec(),
+    sileroThreshold: sileroThreshold(),
+    energyThreshold: energyThreshold(),
+    vadPolicy: vadPolicy(),
+    sileroVad: sileroVad(),
+    streamingWindow: streamingWindow(),
+    streamingOverlap: streamingOverlap(),
+    triggerInterval: triggerInterval(),
+    frameStride: frameStride(),
+    lowConfidenceThreshold: lowConfidenceThreshold(),
+    sentenceLanguage: sentenceLanguage(),
+    speakerLabels: speakerLabels(),
+    speakerThreshold: speakerThreshold(),
+    dictationMode: dictationMode(),
+    sincResampling: sincResampling(),
+    highPassFilter: highPassFilter(),
+    noiseSuppression: noiseSuppression(),
+    autoGain: autoGain(),
+  }));
+  // What every AudioEngine takes from the settings: the energy VAD threshold and the DSP stages
+  const captureConfig = createMemo<Pick<AudioEngineConfig, 'energyThreshold' | 'frontEnd'>>(() => ({
+    energyThreshold: energyThreshold(),
+    frontEnd: {
+      sincResampling: sincResampling(),
+      highPassFilter: highPassFilter(),
+      noiseSuppression: noiseSuppression(),
+      autoGain: autoGain(),
+    },
+  }));
+  const [userPresets, setUserPresets] = createSignal<TuningPreset[]>(stored.presets);
+  createEffect(() => saveSettings(tuningSettings(), userPresets()));
+
+  // Built-in presets first in menus; user presets win when both match the settings
+  const presets = createMemo(() => [...BUILTIN_PRESETS, ...userPresets()]);
+  const activePreset = createMemo(() => findMatchingPreset([...userPresets(), ...BUILTIN_PRESETS], tuningSettings()));
 
   // v4 Utterance-based state
-  const [matureText, setMatureText] = createSignal('');
   const [immatureText, setImmatureText] = createSignal('');
   const [matureCursorTime, setMatureCursorTime] = createSignal(0);
   const [vadState, setVadState] = createSignal<VADState>({
@@ -161,6 +345,126 @@ export function createAppStore() {
     utterancesProcessed: 0,
   });
 
+  // Finalized sentences with timings for the whole session (the merger only keeps recent ones)
+  const [rawMatureSentences, setMatureSentences] = createSignal<MergerSentence[]>([]);
+
+  // Text rules (vocabulary, replacements, numbers, profanity), persisted in localStorage
+  const [textRules, setTextRulesSignal] = createSignal<TextRulesConfig>(loadTextRules());
+  const setTextRules = (config: TextRulesConfig) => {
+    setTextRulesSignal(config);
+    saveTextRules(config);
+  };
+  const textNormalizer = createMemo(() => new TextNormalizer(textRules()));
+
+  // Voice command grammar, persisted in localStorage; the log and pause state of the current session
+  const [voiceCommands, setVoiceCommandsSignal] = createSignal<VoiceCommandsConfig>(loadVoiceCommands());
+  const setVoiceCommands = (config: VoiceCommandsConfig) => {
+    setVoiceCommandsSignal(config);
+    saveVoiceCommands(config);
+  };
+  const commandProcessor = createMemo(() => new VoiceCommandProcessor(voiceCommands()));
+  const [dictationPaused, setDictationPaused] = createSignal(false);
+  const [commandLog, setCommandLog] = createSignal<VoiceCommandLogEntry[]>([]);
+  const COMMAND_LOG_SIZE = 100;
+  let commandLogId = 0;
+  // Break spoken after a sentence's last words, applied to the next sentence
+  let pendingBreak: SentenceBreak | undefined;
+
+  // Live caption outputs (BroadcastChannel, postMessage, WebSocket), persisted in localStorage
+  const [captionOutput, setCaptionOutputSignal] = createSignal<CaptionOutputConfig>(loadCaptionOutput());
+  const setCaptionOutput = (config: CaptionOutputConfig) => {
+    setCaptionOutputSignal(config);
+    saveCaptionOutput(config);
+  };
+  const [captionSocketStatus, setCaptionSocketStatus] = createSignal<CaptionSocketStatus>('off');
+
+  // Post-processing through a local LLM server (off by default), persisted in localStorage
+  const [postProcess, setPostProcessSignal] = createSignal<PostProcessConfig>(loadPostProcess());
+  const setPostProcess = (config: PostProcessConfig) => {
+    setPostProcessSignal(config);
+    savePostProcess(config);
+  };
+  // Post-processing runs, newest first
+  const [postProcessResults, setPostProcessResults] = createSignal<PostProcessResult[]>([]);
+  const POST_PROCESS_RESULTS_SIZE = 20;
+  /** Add a run's result or replace it by id (results are emitted on every streamed piece) */
+  const upsertPostProcessResult = (result: PostProcessResult) => {
+    setPostProcessResults((results) =>
+      results.some((r) => r.id === result.id)
+        ? results.map((r) => (r.id === result.id ? result : r))
+        : [result, ...results].slice(0, POST_PROCESS_RESULTS_SIZE));
+  };
+
+  // Text rules applied, merger text kept in originalText.
+  // Normalized sentences are cached per raw sentence until the rules change.
+  let normalizedCache = new WeakMap<MergerSentence, MergerSentence>();
+  let cachedNormalizer: TextNormalizer | null = null;
+  const normalizedSentences = createMemo(() => {
+    const normalizer = textNormalizer();
+    if (normalizer !== cachedNormalizer) {
+      normalizedCache = new WeakMap();
+      cachedNormalizer = normalizer;
+    }
+    return rawMatureSentences().map((sentence) => {
+      let normalized = normalizedCache.get(sentence);
+      if (!normalized) {
+        normalized = normalizer.normalizeSentence(sentence);
+        normalizedCache.set(sentence, normalized);
+      }
+      return normalized;
+    });
+  });
+
+  // Names the user gave speakers of the transcript on screen, by speaker id
+  const [speakerNames, setSpeakerNames] = createSignal<Record<string, string>>({});
+
+  // User edits of finalized sentences, by sentence id (applied on top of the text rules)
+  const [corrections, setCorrectionList] = createSignal<TextCorrection[]>([]);
+  const correctionById = createMemo(() => new Map(corrections().map((c) => [c.sentenceId, c])));
+
+  // Sentences as shown and exported
+  const matureSentences = createMemo(() => {
+    const byId = correctionById();
+    if (byId.size === 0) return normalizedSentences();
+    return normalizedSentences().map((sentence) => {
+      const correction = byId.get(sentence.id);
+      return correction ? applyCorrection(sentence, correction) : sentence;
+    });
+  });
+  // Finalized v4 text, built from the normalized sentences
+  const matureText = createMemo(() => joinSentences(matureSentences()));
+
+  // File import state (null when no import is running)
+  const [fileImport, setFileImport] = createSignal<FileImportState | null>(null);
+  const isImportingFile = () => fileImport() !== null;
+
+  // A/B compare: the two sides (starting as the current v4 settings vs v3), the pasted
+  // reference transcript and the state of the current or last run
+  const [compareConfigs, setCompareConfigs] = createSignal<CompareSideConfig[]>([
+    {
+      label: 'A',
+      mode: 'v4-utterance',
+      modelId: '',
+      intervalMs: initial.v4InferenceIntervalMs,
+      silenceFlushSec: initial.v4SilenceFlushSec,
+      windowDuration: initial.streamingWindow,
+      triggerInterval: initial.triggerInterval,
+    },
+    {
+      label: 'B',
+      mode: 'v3-streaming',
+      modelId: '',
+      intervalMs: initial.v4InferenceIntervalMs,
+      silenceFlushSec: initial.v4SilenceFlushSec,
+      windowDuration: initial.streamingWindow,
+      triggerInterval: initial.triggerInterval,
+    },
+  ]);
+  const [compareReference, setCompareReference] = createSignal('');
+  const [compareSides, setCompareSides] = createSignal<CompareSideState[]>([]);
+  const [compareProgress, setCompareProgress] = createSignal<CompareProgress | null>(null);
+  const [isComparing, setIsComparing] = createSignal(false);
+
 
   // Network status listeners (with cleanup to prevent leaks)
   if (typeof window !== 'undefined') {
@@ -216,6 +520,308 @@ export function createAppStore() {
   const clearTranscript = () => {
     setTranscript('');
     setPendingText('');
+    setMatureSentences([]);
+    setCorrectionList([]);
+    setSpeakerNames({});
+  };
+
+  const appendMatureSentences = (sentences: MergerSentence[] | undefined) => {
+    if (!sentences || sentences.length === 0) return;
+    setMatureSentences(prev => {
+      const seen = new Set(prev.map(s => s.id));
+      const fresh = sentences.filter(s => !seen.has(s.id));
+      if (fresh.length === 0) return prev;
+      const next = [...prev, ...fresh];
+      // Channels finalize independently; keep their sentences in spoken order
+      const ordered = next.every((s, i) => i === 0 || next[i - 1].startTime <= s.startTime);
+      return ordered ? next : next.sort((x, y) => x.startTime - y.startTime);
+    });
+  };
+
+  /** Attach a speaker label that arrived after its sentence (and the parts dictation split it into). */
+  const setSentenceSpeaker = (sentenceId: string, speaker: string) => {
+    setMatureSentences(prev => {
+      const labels = (s: MergerSentence) => isSentencePart(s.id, sentenceId) && s.speaker !== speaker;
+      if (!prev.some(labels)) return prev;
+      return prev.map(s => (labels(s) ? { ...s, speaker } : s));
+    });
+  };
+
+  const logCommand = (command: RecognizedCommand, detail: string, ignored = false) => {
+    const entry: VoiceCommandLogEntry = {
+      id: ++commandLogId,
+      time: Date.now(),
+      action: command.action,
+      heard: command.heard,
+      detail,
+      ...(ignored ? { ignored } : {}),
+    };
+    setCommandLog(prev => [...prev.slice(1 - COMMAND_LOG_SIZE), entry]);
+  };
+
+  /** Index of the last finalized sentence of a channel, or -1. */
+  const lastSentenceIndex = (sentences: MergerSentence[], channel: string | undefined) => {
+    for (let i = sentences.length - 1; i >= 0; i--) {
+      if (sentences[i].channel === channel) return i;
+    }
+    return -1;
+  };
+
+  /** Remove the channel's last sentence. @returns its text as shown, or null when there is none */
+  const deleteLastSentence = (channel: string | undefined) => {
+    const index = lastSentenceIndex(rawMatureSentences(), channel);
+    if (index < 0) return null;
+    const removed = rawMatureSentences()[index];
+    const shown = matureSentences().find((s) => s.id === removed.id)?.text ?? removed.text;
+    setMatureSentences(prev => prev.filter((_, i) => i !== index));
+    setCorrectionList(corrections().filter((c) => c.sentenceId !== removed.id));
+    return shown.trim();
+  };
+
+  /**
+   * Add a finalized sentence heard in dictation mode: spoken commands are
+   * taken out of it and carried out. While paused, the sentence is dropped
+   * unless it is "resume" or "stop recording".
+   * @returns the commands heard; stopping the recording is left to the caller
+   */
+  const receiveDictation = (sentence: MergerSentence): RecognizedCommand[] => {
+    const result = commandProcessor().process(sentence);
+    if (dictationPaused()) {
+      const [command] = result.commands;
+      const wakes = result.sentences.length === 0 && (command?.action === 'resume' || command?.action === 'stopRecording');
+      if (!wakes) return [];
+    }
+
+    for (const command of result.commands) {
+      if (command.literal) {
+        logCommand(command, 'Kept as text');
+        continue;
+      }
+      switch (command.action) {
+        case 'insert':
+          logCommand(command, `Inserted "${command.text}"`);
+          break;
+        case 'newLine':
+          logCommand(command, 'Line break');
+          break;
+        case 'newParagraph':
+          logCommand(command, 'Paragraph break');
+          break;
+        case 'deleteLastSentence': {
+          const deleted = deleteLastSentence(sentence.channel);
+          logCommand(command, deleted !== null ? `Deleted "${deleted}"` : 'Nothing to delete', deleted === null);
+          break;
+        }
+        case 'pause':
+          setDictationPaused(true);
+          logCommand(command, 'Dictation paused');
+          break;
+        case 'resume':
+          logCommand(command, dictationPaused() ? 'Dictation resumed' : 'Not paused', !dictationPaused());
+          setDictationPaused(false);
+          break;
+        case 'stopRecording':
+          logCommand(command, 'Recording stopped');
+          break;
+      }
+    }
+
+    const mark = result.appendToPrevious;
+    if (mark) {
+      setMatureSentences(prev => {
+        const index = lastSentenceIndex(prev, sentence.channel);
+        return index < 0 ? prev : prev.map((s, i) => (i === index ? appendPunctuation(s, mark) : s));
+      });
+    }
+    const [first, ...rest] = result.sentences;
+    if (first) {
+      const breakBefore = mergeBreaks(pendingBreak, first.breakBefore);
+      appendMatureSentences([breakBefore ? { ...first, breakBefore } : first, ...rest]);
+      pendingBreak = result.breakAfter;
+    } else {
+      pendingBreak = mergeBreaks(pendingBreak, result.breakAfter);
+    }
+    return result.commands;
+  };
+
+  /** Start dictation afresh for a new recording: not paused, no pending break, empty log. */
+  const resetDictation = () => {
+    setDictationPaused(false);
+    setCommandLog([]);
+    pendingBreak = undefined;
+  };
+
+  /** Name a speaker; a blank name goes back to the default ("Speaker 2"). */
+  const renameSpeaker = (speaker: string, name: string) => {
+    const { [speaker]: _previous, ...rest } = speakerNames();
+    const trimmed = name.trim().replace(/\s+/g, ' ');
+    setSpeakerNames(trimmed ? { ...rest, [speaker]: trimmed } : rest);
+  };
+
+  /**
+   * Replace a finalized sentence's text. The first edit remembers the text
+   * shown before it; editing back to that text drops the correction.
+   */
+  const correctSentence = (sentenceId: string, text: string) => {
+    const sentence = normalizedSentences().find((s) => s.id === sentenceId);
+    if (!sentence) return;
+    const after = text.trim().replace(/\s+/g, ' ');
+    const existing = correctionById().get(sentenceId);
+    const before = existing?.before ?? sentence.text.trim();
+    const others = corrections().filter((c) => c.sentenceId !== sentenceId);
+    if (!after || after === before) {
+      setCorrectionList(others);
+      return;
+    }
+    setCorrectionList([...others, { sentenceId, startTime: sentence.startTime, before, after, editedAt: Date.now() }]);
+  };
+
+  const revertCorrection = (sentenceId: string) =>
+    setCorrectionList(corrections().filter((c) => c.sentenceId !== sentenceId));
+
+  /** Add the vocabulary terms and replacement rules a correction implies (skipping ones already present). */
+  const learnFromCorrection = (sentenceId: string) => {
+    const correction = correctionById().get(sentenceId);
+    if (!correction) return;
+    const learned = rulesFromCorrection(correction);
+    const config = textRules();
+    const terms = new Set(config.vocabulary);
+    const known = new Set(config.rules.map((r) => `${r.kind}:${r.find.toLowerCase()}`));
+    setTextRules({
+      ...config,
+      vocabulary: [...config.vocabulary, ...learned.vocabulary.filter((t) => !terms.has(t))],
+      rules: [...config.rules, ...learned.rules.filter((r) => !known.has(`${r.kind}:${r.find.toLowerCase()}`))],
+    });
+  };
+
+  // ---- Settings presets ----
+  const applySettings = (settings: Partial<TuningSettings>) => {
+    const s = settings;
+    if (s.transcriptionMode !== undefined) setTranscriptionMode(s.transcriptionMode);
+    if (s.selectedModelId !== undefined) setSelectedModelId(s.selectedModelId);
+    if (s.backend !== undefined) setBackend(s.backend);
+    if (s.v4InferenceIntervalMs !== undefined) setV4InferenceIntervalMs(s.v4InferenceIntervalMs);
+    if (s.adaptiveInterval !== undefined) setAdaptiveInterval(s.adaptiveInterval);
+    if (s.v4SilenceFlushSec !== undefined) setV4SilenceFlushSec(s.v4SilenceFlushSec);
+    if (s.sileroThreshold !== undefined) setSileroThreshold(s.sileroThreshold);
+    if (s.energyThreshold !== undefined) setEnergyThreshold(s.energyThreshold);
+    if (s.vadPolicy !== undefined) setVadPolicy(s.vadPolicy);
+    if (s.sileroVad !== undefined) setSileroVad(s.sileroVad);
+    if (s.streamingWindow !== undefined) setStreamingWindow(s.streamingWindow);
+    if (s.streamingOverlap !== undefined) setStreamingOverlap(s.streamingOverlap);
+    if (s.triggerInterval !== undefined) setTriggerInterval(s.triggerInterval);
+    if (s.frameStride !== undefined) setFrameStride(s.frameStride);
+    if (s.lowConfidenceThreshold !== undefined) setLowConfidenceThreshold(s.lowConfidenceThreshold);
+    if (s.sentenceLanguage !== undefined) setSentenceLanguage(s.sentenceLanguage);
+    if (s.speakerLabels !== undefined) setSpeakerLabels(s.speakerLabels);
+    if (s.speakerThreshold !== undefined) setSpeakerThreshold(s.speakerThreshold);
+    if (s.dictationMode !== undefined) setDictationMode(s.dictationMode);
+    if (s.sincResampling !== undefined) setSincResampling(s.sincResampling);
+    if (s.highPassFilter !== undefined) setHighPassFilter(s.highPassFilter);
+    if (s.noiseSuppression !== undefined) setNoiseSuppression(s.noiseSuppression);
+    if (s.autoGain !== undefined) setAutoGain(s.autoGain);
+  };
+
+  const applyPreset = (id: string) => {
+    const preset = presets().find((p) => p.id === id);
+    if (preset) applySettings(preset.settings);
+  };
+
+  /** Save the current tuning (without model and backend) as a user preset; an existing name is overwritten. */
+  const saveCurrentAsPreset = (name: string, description?: string) => {
+    const trimmed = name.trim();
+    if (!trimmed) return null;
+    const { selectedModelId: _model, backend: _backend, ...settings } = tuningSettings();
+    const existing = userPresets().find((p) => p.name === trimmed);
+    const preset: TuningPreset = { id: existing?.id ?? createPresetId(), name: trimmed, description, settings };
+    setUserPresets(existing ? userPresets().map((p) => (p.id === existing.id ? preset : p)) : [...userPresets(), preset]);
+    return preset;
+  };
+
+  const deletePreset = (id: string) => setUserPresets(userPresets().filter((p) => p.id !== id));
+
+  /** Download the user presets, or all presets when there are none. */
+  const exportPresets = () => {
+    const list = userPresets().length > 0 ? userPresets() : presets();
+    downloadTextFile(presetsToJSON(list), timestampedFilename('keet-presets', 'json'), 'application/json');
+  };
+
+  /** Add presets from an exported file. @returns number imported; sets errorMessage on failure */
+  const importPresets = (text: string) => {
+    try {
+      const imported = parsePresetFile(text);
+      setUserPresets(mergePresets(userPresets(), imported));
+      return imported.length;
+    } catch (err) {
+      setErrorMessage(err instanceof Error ? err.message : String(err));
+      return 0;
+    }
+  };
+
+  const resetSettings = () => applySettings(DEFAULT_TUNING_SETTINGS);
+
+  /** Register a Hugging Face repo ('owner/name' or its URL). @returns the entry; sets errorMessage on failure */
+  const addCustomModel = (input: string, name?: string) => {
+    const repoId = parseRepoId(input);
+    if (!repoId) {
+      setErrorMessage(`Not a Hugging Face repo id: ${input.trim() || '(empty)'}`);
+      return null;
+    }
+    const existing = models().find((m) => m.repoId === repoId);
+    if (existing) return existing;
+    const model = createCustomModel(repoId, name);
+    setModelRegistry((r) => ({ ...r, custom: [...r.custom, model] }));
+    return model;
+  };
+
+  const removeCustomModel = (id: string) => {
+    setModelRegistry((r) => ({ ...r, custom: r.custom.filter((m) => m.id !== id) }));
+    if (selectedModelId() === id) setSelectedModelId(DEFAULT_MODEL_ID);
+  };
+
+  /** Pick the encoder/decoder quantization of a model; applies on its next load. */
+  const setModelQuant = (id: string, quant: Partial<ModelQuantSelection>) => {
+    setModelRegistry((r) => {
+      const custom = r.custom.find((m) => m.id === id);
+      if (custom) {
+        return { ...r, custom: r.custom.map((m) => (m.id === id ? { ...m, ...quant } : m)) };
+      }
+      const current = r.quant[id] ?? { encoderQuant: 'auto', decoderQuant: 'auto' };
+      return { ...r, quant: { ...r.quant, [id]: { ...current, ...quant } } };
+    });
+  };
+
+  const exportCorrections = () => {
+    if (corrections().length === 0) return false;
+    downloadTextFile(correctionsToJSON(corrections()), timestampedFilename('keet-corrections', 'json'), 'application/json');
+    return true;
+  };
+
+  /**
+   * Download the transcript. Timed formats need finalized v4 sentences;
+   * plain text falls back to the flat transcript for v2/v3 sessions.
+   * Returns false when there is nothing to export.
+   */
+  const exportTranscript = (format: TranscriptExportFormat) => {
+    const sentences = matureSentences();
+    let content: string;
+    let mimeType: string;
+    if (sentences.length > 0) {
+      const file = buildExport(format, sentences, {
+        metadata: { modelId: selectedModelId() },
+        speakerNames: speakerNames(),
+      });
+      content = file.content;
+      mimeType = file.mimeType;
+    } else if (format === 'txt' && transcript().trim()) {
+      content = transcript().trim() + '\n';
+      mimeType = 'text/plain';
+    } else {
+      setErrorMessage('Nothing to export yet: no finalized sentences');
+      return false;
+    }
+    downloadTextFile(content, timestampedFilename('keet-transcript', format), mimeType);
+    return true;
   };
 
   const copyTranscript = async () => {
@@ -232,9 +838,12 @@ export function createAppStore() {
     recordingState,
     availableDevices,
     selectedDeviceId,
+    captureSource,
     sessionDuration,
     modelState,
     selectedModelId,
+    models,
+    selectedModel,
     modelProgress,
     modelMessage,
     modelFile,
@@ -247,6 +856,7 @@ export function createAppStore() {
     isSpeechDetected,
     isOfflineReady,
     isOnline,
+    recoveryEvents,
     inferenceLatency,
     inferenceLatencyAverage,
     rtf,
@@ -264,22 +874,71 @@ export function createAppStore() {
     frameStride,
     // v4 config
     v4InferenceIntervalMs,
+    adaptiveInterval,
+    schedulerStats,
     v4SilenceFlushSec,
     sileroThreshold,
+    vadPolicy,
+    sileroVad,
+    vadFusion,
+    vadFusionSpans,
     // UI state
     showDebugPanel,
+    showHistoryPanel,
+    showComparePanel,
+    showPostProcessPanel,
+    activeSessionId,
+    recordSessionAudio,
+    sessionAudioUrl,
+    recordTrace,
+    traceAvailable,
     // v4 state
     matureText,
     immatureText,
     matureCursorTime,
     vadState,
     v4MergerStats,
+    matureSentences,
+    textRules,
+    captionOutput,
+    captionSocketStatus,
+    postProcess,
+    postProcessResults,
+    textNormalizer,
+    corrections,
+    speakerNames,
+    lowConfidenceThreshold,
+    sentenceLanguage,
+    speakerLabels,
+    speakerThreshold,
+    dictationMode,
+    voiceCommands,
+    dictationPaused,
+    commandLog,
+    sincResampling,
+    highPassFilter,
+    noiseSuppression,
+    autoGain,
+    captureConfig,
+    tuningSettings,
+    presets,
+    userPresets,
+    activePreset,
+    sentenceSegmentation,
+    fileImport,
+    isImportingFile,
+    compareConfigs,
+    compareReference,
+    compareSides,
+    compareProgress,
+    isComparing,
 
     // Setters (for internal use)
     setRecordingState,
     setSessionDuration,
     setAvailableDevices,
     setSelectedDeviceId,
+    setCaptureSource,
     setModelState,
     setSelectedModelId,
     setModelProgress,
@@ -293,6 +952,7 @@ export function createAppStore() {
     setAudioLevel,
     setIsSpeechDetected,
     setIsOfflineReady,
+    setRecoveryEvents,
     setInferenceLatency,
     setRtf,
     setBufferMetrics,
@@ -307,15 +967,54 @@ export function createAppStore() {
     setFrameStride,
     // UI setters
     setShowDebugPanel,
+    setShowHistoryPanel,
+    setShowComparePanel,
+    setShowPostProcessPanel,
+    setActiveSessionId,
+    setRecordSessionAudio,
+    setSessionAudioUrl,
+    setRecordTrace,
+    setTraceAvailable,
     // v4 setters
     setV4InferenceIntervalMs,
+    setAdaptiveInterval,
+    setSchedulerStats,
     setV4SilenceFlushSec,
     setSileroThreshold,
-    setMatureText,
+    setVadPolicy,
+    setSileroVad,
+    setVadFusion,
+    setVadFusionSpans,
     setImmatureText,
     setMatureCursorTime,
     setVadState,
     setV4MergerStats,
+    setMatureSentences,
+    setTextRules,
+    setCaptionOutput,
+    setCaptionSocketStatus,
+    setPostProcess,
+    setPostProcessResults,
+    setCorrections: setCorrectionList,
+    setSpeakerNames,
+    setLowConfidenceThreshold,
+    setSentenceLanguage,
+    setSpeakerLabels,
+    setSpeakerThreshold,
+    setDictationMode,
+    setVoiceCommands,
+    setCommandLog,
+    setSincResampling,
+    setHighPassFilter,
+    setNoiseSuppression,
+    setAutoGain,
+    setSentenceSegmentation,
+    setFileImport,
+    setCompareConfigs,
+    setCompareReference,
+    setCompareSides,
+    setCompareProgress,
+    setIsComparing,
 
     // Actions
     startRecording,
@@ -324,6 +1023,27 @@ export function createAppStore() {
     appendTranscript,
     clearTranscript,
     copyTranscript,
+    appendMatureSentences,
+    setSentenceSpeaker,
+    renameSpeaker,
+    receiveDictation,
+    resetDictation,
+    upsertPostProcessResult,
+    exportTranscript,
+    correctSentence,
+    revertCorrection,
+    learnFromCorrection,
+    exportCorrections,
+    applySettings,
+    applyPreset,
+    saveCurrentAsPreset,
+    deletePreset,
+    exportPresets,
+    importPresets,
+    resetSettings,
+    addCustomModel,
+    removeCustomModel,
+    setModelQuant,
   };
 }
 
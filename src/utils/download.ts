@@ -0,0 +1,23 @@
+/**
+ * Save text content as a file via a temporary object URL.
+ */
+export function downloadTextFile(content: string, filename: string, mimeType: string = 'text/plain'): void {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Timestamped file name, e.g. keet-transcript-2024-05-01-1430.srt */
+export function timestampedFilename(prefix: string, extension: string, date: Date = new Date()): string {
+  const p = (n: number) => n.toString().padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${p(date.getMonth() + 1)}-${p(date.getDate())}-${p(date.getHours())}${p(date.getMinutes())}`;
+  return `${prefix}-${stamp}.${extension}`;
+}
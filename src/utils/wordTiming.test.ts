@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { findSpanAtTime } from './wordTiming';
+
+const words = [
+  { start: 0.5, end: 0.9 },
+  { start: 0.9, end: 1.4 },
+  { start: 2.0, end: 2.6 },
+];
+
+describe('findSpanAtTime', () => {
+  it('should find the word being spoken', () => {
+    expect(findSpanAtTime(words, 0.6)).toBe(0);
+    expect(findSpanAtTime(words, 2.1)).toBe(2);
+  });
+
+  it('should pick the later word at a shared boundary', () => {
+    expect(findSpanAtTime(words, 0.9)).toBe(1);
+  });
+
+  it('should return -1 before, between and after words', () => {
+    expect(findSpanAtTime(words, 0.1)).toBe(-1);
+    expect(findSpanAtTime(words, 1.7)).toBe(-1);
+    expect(findSpanAtTime(words, 3)).toBe(-1);
+  });
+
+  it('should handle an empty list', () => {
+    expect(findSpanAtTime([], 1)).toBe(-1);
+  });
+});
@@ -0,0 +1,26 @@
+/** Anything with a start/end time in seconds (words, sentences). */
+export interface TimedSpan {
+  start: number;
+  end: number;
+}
+
+/**
+ * Index of the span being spoken at `time`, or -1 between spans.
+ * Spans must be sorted by start time (as merger words are).
+ */
+export function findSpanAtTime(spans: readonly TimedSpan[], time: number): number {
+  let lo = 0;
+  let hi = spans.length - 1;
+  let last = -1;
+  // Last span that started at or before `time`
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (spans[mid].start <= time) {
+      last = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return last >= 0 && time < spans[last].end ? last : -1;
+}